@@ -0,0 +1,80 @@
+/**
+ * Auth Controller
+ * Handles Sign-In With Ethereum login
+ */
+
+const authService = require('../services/authService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+
+/**
+ * Get a sign-in nonce
+ * GET /api/auth/nonce
+ * 
+ * Returns a single-use nonce to include in the SIWE message. Nonces expire after 10 minutes.
+ * Each client IP keeps at most AUTH_MAX_NONCES_PER_CLIENT unused nonces; asking for more
+ * invalidates its oldest.
+ */
+function getNonce(req, res) {
+  try {
+    res.json({
+      success: true,
+      nonce: authService.createNonce(req.ip)
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getNonce'));
+  }
+}
+
+/**
+ * Sign in with a signed SIWE message
+ * POST /api/auth/verify
+ * 
+ * Body: { message, signature }
+ * 
+ * Validates inputs, calls authService.signIn() to check the message domain, nonce and
+ * signature, and returns the signed-in address with a session token to send as
+ * `Authorization: Bearer <token>` on write requests.
+ */
+async function verify(req, res) {
+  try {
+    const { message, signature } = req.body;
+    
+    // Validate inputs
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json(formatError(new Error('SIWE message is required'), 'verify'));
+    }
+    if (!signature || typeof signature !== 'string') {
+      return res.status(400).json(formatError(new Error('Signature is required'), 'verify'));
+    }
+    
+    const session = await authService.signIn(message, signature);
+    
+    res.json({
+      success: true,
+      address: session.address,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    res.status(401).json(formatError(error, 'verify'));
+  }
+}
+
+/**
+ * Get the signed-in account
+ * GET /api/auth/session
+ * 
+ * Requires a session token. Returns the address the token was issued to.
+ */
+function getSession(req, res) {
+  res.json({
+    success: true,
+    address: req.user.address
+  });
+}
+
+module.exports = {
+  getNonce,
+  verify,
+  getSession
+};
@@ -0,0 +1,364 @@
+/**
+ * Certificate Controller
+ * Handles certificate issuance, revocation and lookup, and the verification of
+ * quality and compliance certificate documents against their on-chain hashes
+ */
+
+const contractService = require('../services/contractService');
+const jobService = require('../services/jobService');
+const certificateStoreService = require('../services/certificateStoreService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, isValidProductId, parseTimestamp, generateCertificateHash, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// CertificateType enum names, in SafeBiteCertificates order
+const CERTIFICATE_TYPES = ['QUALITY', 'COMPLIANCE', 'ORGANIC', 'HALAL', 'KOSHER', 'FAIR_TRADE', 'LAB_REPORT', 'OTHER'];
+
+const CERTIFICATE_SCOPES = ['product', 'batch'];
+
+// Role and certificate type values checked before queueing an issue
+const ROLE_RETAILER = 2;
+const ROLE_REGULATOR = 3;
+const CERTIFICATE_QUALITY = 0;
+
+/**
+ * Parse a certificate type given as an enum value or a name
+ * 
+ * @param {number|string} value - Type value (e.g. 2 or "2") or name (e.g. "ORGANIC")
+ * @returns {number|null} CertificateType enum value, or null if invalid
+ */
+function parseCertificateType(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const type = Number(value);
+    return Number.isInteger(type) && type >= 0 && type < CERTIFICATE_TYPES.length ? type : null;
+  }
+  const index = CERTIFICATE_TYPES.indexOf(String(value).toUpperCase());
+  return index === -1 ? null : index;
+}
+
+/**
+ * Issue a certificate (Regulator, or Retailer for QUALITY certificates)
+ * POST /api/certificates
+ * 
+ * Body: { signerAddress, scope, productId | batchId and producer, certificateType, documentHash, expiresAt }
+ * 
+ * Validates inputs (scope must be product or batch with the matching target; batch certificates
+ * name the producer too, since batch IDs are only unique per producer; certificateType
+ * an enum value or name, expiresAt optional Unix seconds or ISO-8601 date in the future),
+ * verifies the signer may issue the type for the scope, calls contractService.issueCertificate(),
+ * and returns certificate ID and transaction hash. Retailers issue QUALITY certificates for
+ * products they own only, which the contract enforces.
+ */
+async function issueCertificate(req, res) {
+  try {
+    const { signerAddress, scope = 'product', productId, batchId, producer, certificateType, documentHash, expiresAt } = req.body;
+
+    // Validate inputs
+    if (!CERTIFICATE_SCOPES.includes(scope)) {
+      return res.status(400).json(formatError(new Error('scope must be one of product or batch'), 'issueCertificate'));
+    }
+    const type = parseCertificateType(certificateType);
+    if (type === null) {
+      return res.status(400).json(formatError(new Error(`certificateType must be one of ${CERTIFICATE_TYPES.join(', ')}`), 'issueCertificate'));
+    }
+    if (!documentHash || typeof documentHash !== 'string' || documentHash.trim().length === 0) {
+      return res.status(400).json(formatError(new Error('Document hash is required'), 'issueCertificate'));
+    }
+    let expiry = 0;
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '' && expiresAt !== 0) {
+      expiry = parseTimestamp(expiresAt);
+      if (expiry === null) {
+        return res.status(400).json(formatError(new Error('Invalid expiresAt'), 'issueCertificate'));
+      }
+      if (expiry <= Math.floor(Date.now() / 1000)) {
+        return res.status(400).json(formatError(new Error('expiresAt must be in the future'), 'issueCertificate'));
+      }
+    }
+
+    // Resolve the certificate subject for the requested scope
+    let target;
+    if (scope === 'product') {
+      if (!isValidProductId(productId)) {
+        return res.status(400).json(formatError(new Error('Invalid product ID'), 'issueCertificate'));
+      }
+      target = productId;
+    } else {
+      if (!batchId || typeof batchId !== 'string' || batchId.trim().length === 0) {
+        return res.status(400).json(formatError(new Error('Batch ID is required'), 'issueCertificate'));
+      }
+      if (!producer || !isValidAddress(producer)) {
+        return res.status(400).json(formatError(new Error('Invalid producer address'), 'issueCertificate'));
+      }
+      target = { producer, batchId };
+    }
+
+    // Check user role (REGULATOR for every type and batches, RETAILER also for QUALITY on single products)
+    const hasRegulatorRole = await contractService.hasRole(signerAddress, ROLE_REGULATOR);
+    if (!hasRegulatorRole) {
+      if (scope === 'batch') {
+        return res.status(403).json(formatError(new Error('You must be a REGULATOR to issue batch certificates'), 'issueCertificate'));
+      }
+      const hasRetailerRole = type === CERTIFICATE_QUALITY && await contractService.hasRole(signerAddress, ROLE_RETAILER);
+      if (!hasRetailerRole) {
+        return res.status(403).json(formatError(new Error(`You must be a REGULATOR to issue ${CERTIFICATE_TYPES[type]} certificates`), 'issueCertificate'));
+      }
+    }
+
+    // Queue contractService.issueCertificate()
+    const job = jobService.submit(signerAddress, 'issueCertificate', () => contractService.issueCertificate(signerAddress, scope, target, type, documentHash.trim(), expiry));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    // Return certificate ID and transaction hash
+    res.json({
+      success: true,
+      jobId: job.id,
+      certificateId: result.certificateId,
+      transactionHash: result.transactionHash,
+      message: scope === 'batch'
+        ? `${CERTIFICATE_TYPES[type]} certificate issued for batch ${batchId} of producer ${producer}`
+        : `${CERTIFICATE_TYPES[type]} certificate issued for product ${productId}`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'issueCertificate'));
+  }
+}
+
+/**
+ * Revoke a certificate (its issuer or a Regulator)
+ * POST /api/certificates/:id/revoke
+ * 
+ * Body: { signerAddress, reason }
+ * 
+ * Validates certificate ID and reason, calls contractService.revokeCertificate(),
+ * and returns transaction hash. The contract rejects callers who are neither the
+ * issuer nor a regulator, and certificates that are already revoked.
+ */
+async function revokeCertificate(req, res) {
+  try {
+    const certificateId = parseInt(req.params.id);
+    const { signerAddress, reason } = req.body;
+
+    // Validate inputs
+    if (!Number.isInteger(certificateId) || certificateId <= 0) {
+      return res.status(400).json(formatError(new Error('Invalid certificate ID'), 'revokeCertificate'));
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json(formatError(new Error('Revocation reason is required'), 'revokeCertificate'));
+    }
+
+    // Queue contractService.revokeCertificate()
+    const job = jobService.submit(signerAddress, 'revokeCertificate', () => contractService.revokeCertificate(signerAddress, certificateId, reason.trim()));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      certificateId: certificateId,
+      transactionHash: result.transactionHash,
+      message: `Certificate ${certificateId} revoked`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'revokeCertificate'));
+  }
+}
+
+/**
+ * Get a certificate by ID
+ * GET /api/certificates/:id
+ * 
+ * Validates certificate ID, calls contractService.getCertificate(), and returns the
+ * certificate with isValid evaluated now.
+ */
+async function getCertificate(req, res) {
+  try {
+    const certificateId = parseInt(req.params.id);
+
+    // Validate certificateId
+    if (!Number.isInteger(certificateId) || certificateId <= 0) {
+      return res.status(400).json(formatError(new Error('Invalid certificate ID'), 'getCertificate'));
+    }
+
+    const certificate = await contractService.getCertificate(certificateId);
+
+    res.json({
+      success: true,
+      certificate: certificate
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getCertificate'));
+  }
+}
+
+/**
+ * Get the certificates covering a product
+ * GET /api/certificates/product/:productId
+ * 
+ * Query: validOnly=true to leave out revoked and expired certificates
+ * 
+ * Validates product ID, calls contractService.getProductCertificates(), and returns
+ * the product's own certificates followed by those of its batch.
+ */
+async function getProductCertificates(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+
+    // Validate productId
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'getProductCertificates'));
+    }
+
+    let certificates = await contractService.getProductCertificates(productId);
+    if (req.query.validOnly === 'true') {
+      certificates = certificates.filter((certificate) => certificate.isValid);
+    }
+
+    res.json({
+      success: true,
+      productId: productId,
+      certificates: certificates,
+      count: certificates.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProductCertificates'));
+  }
+}
+
+/**
+ * Find where a product's on-chain data records a certificate hash
+ * 
+ * @param {number} productId - Product ID
+ * @param {string} hash - Certificate hash (lowercase)
+ * @returns {Promise<Array<Object>>} Matches, each with a source of 'certificate' (registry entry),
+ *   'metadata' (metadata hash, or one entry of merged certificate metadata) or 'verification' (check record)
+ */
+async function findCertificateRecords(productId, hash) {
+  const [product, certificates, verifications] = await Promise.all([
+    contractService.getProduct(productId),
+    contractService.getProductCertificates(productId),
+    contractService.getVerificationHistory(productId)
+  ]);
+  const matches = [];
+
+  for (const certificate of certificates) {
+    if (certificate.documentHash.toLowerCase() === hash) {
+      matches.push({
+        source: 'certificate',
+        certificateId: certificate.id,
+        certificateType: certificate.certificateTypeName,
+        isValid: certificate.isValid
+      });
+    }
+  }
+
+  // Metadata may be a plain hash or merged certificate metadata JSON
+  let metadata = { metadataHash: product.metadataHash };
+  try {
+    const parsed = JSON.parse(product.metadataHash);
+    if (parsed && typeof parsed === 'object') {
+      metadata = parsed;
+    }
+  } catch (e) {
+    // Not JSON, compare the hash as a whole
+  }
+  for (const [key, value] of Object.entries(metadata)) {
+    if (typeof value === 'string' && value.toLowerCase() === hash) {
+      matches.push({ source: 'metadata', key: key });
+    }
+  }
+
+  for (const verification of verifications) {
+    if (verification.certificateHash && verification.certificateHash.toLowerCase() === hash) {
+      matches.push({
+        source: 'verification',
+        verificationType: verification.vType,
+        verifier: verification.verifier,
+        timestamp: verification.timestamp
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Get a stored certificate document by its hash
+ * GET /api/certificates/:hash
+ * 
+ * Returns the certificate whose hash was recorded on-chain, as kept by the certificate store.
+ * 404 if no certificate with this hash is stored.
+ */
+async function getCertificateDocument(req, res) {
+  try {
+    const hash = req.params.hash.toLowerCase();
+    const certificate = certificateStoreService.load(hash);
+    if (!certificate) {
+      return res.status(404).json(formatError(new Error('Certificate not found in the certificate store'), 'getCertificateDocument'));
+    }
+
+    res.json({
+      success: true,
+      hash: hash,
+      certificate: certificate
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getCertificateDocument'));
+  }
+}
+
+/**
+ * Verify a certificate document against the chain
+ * POST /api/certificates/verify
+ * 
+ * Body: { certificate: { productId, type, verifier, result, notes, timestamp } }
+ * 
+ * Recomputes the hash with generateCertificateHash() and looks for it in the certificate
+ * product's registry certificates, metadata hash and verification records. verified is true
+ * when any of them records the hash; valid is true when a matching registry certificate is
+ * still valid. A verified document is kept in the certificate store so it can be fetched by hash.
+ */
+async function verifyCertificate(req, res) {
+  try {
+    const { certificate } = req.body;
+
+    // Validate the document
+    const invalidReason = certificateStoreService.validate(certificate);
+    if (invalidReason) {
+      return res.status(400).json(formatError(new Error(invalidReason), 'verifyCertificate'));
+    }
+
+    const hash = generateCertificateHash(certificate);
+    const matches = await findCertificateRecords(certificate.productId, hash);
+    const verified = matches.length > 0;
+    if (verified) {
+      certificateStoreService.save(certificate);
+    }
+
+    res.json({
+      success: true,
+      hash: hash,
+      productId: certificate.productId,
+      verified: verified,
+      valid: matches.some((match) => match.source === 'certificate' && match.isValid),
+      matches: matches,
+      message: verified
+        ? `Certificate matches the on-chain records of product ${certificate.productId}`
+        : `No on-chain record of product ${certificate.productId} matches this certificate`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'verifyCertificate'));
+  }
+}
+
+module.exports = {
+  issueCertificate,
+  revokeCertificate,
+  getCertificate,
+  getProductCertificates,
+  getCertificateDocument,
+  verifyCertificate
+};
@@ -0,0 +1,226 @@
+/**
+ * Cold Chain Controller
+ * Handles cold-chain requirements, temperature logger uploads and temperature history
+ */
+
+const contractService = require('../services/contractService');
+const temperatureLogService = require('../services/temperatureLogService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, isValidProductId, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Each individually recorded reading is its own transaction, so cap individual uploads
+const MAX_INDIVIDUAL_READINGS = 50;
+
+/**
+ * Set cold-chain limits for a product (Producer of the product only)
+ * POST /api/coldchain/:productId/requirement
+ * 
+ * Body: { signerAddress, minTemperature, maxTemperature, maxExcursionMinutes }
+ * 
+ * Temperatures are in °C. Validates inputs, calls contractService.setColdChainRequirement(),
+ * and returns transaction hash. Limits cannot be changed once readings are recorded.
+ */
+async function setRequirement(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+    const { signerAddress, minTemperature, maxTemperature, maxExcursionMinutes = 0 } = req.body;
+
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'setRequirement'));
+    }
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'setRequirement'));
+    }
+    if (typeof minTemperature !== 'number' || typeof maxTemperature !== 'number' || minTemperature >= maxTemperature) {
+      return res.status(400).json(formatError(new Error('minTemperature and maxTemperature must be numbers with minimum below maximum'), 'setRequirement'));
+    }
+    if (!Number.isInteger(maxExcursionMinutes) || maxExcursionMinutes < 0) {
+      return res.status(400).json(formatError(new Error('maxExcursionMinutes must be a non-negative integer'), 'setRequirement'));
+    }
+
+    const job = jobService.submit(signerAddress, 'setColdChainRequirement', () => contractService.setColdChainRequirement(
+      signerAddress,
+      productId,
+      temperatureLogService.toTenths(minTemperature),
+      temperatureLogService.toTenths(maxTemperature),
+      maxExcursionMinutes
+    ));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      message: 'Cold-chain requirement set successfully'
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'setRequirement'));
+  }
+}
+
+/**
+ * Upload temperature logger readings
+ * POST /api/coldchain/:productId/readings
+ * 
+ * JSON body: { signerAddress, readings: [{ timestamp, temperature }] | csv, mode }
+ * CSV body (Content-Type: text/csv): timestamp,temperature rows, with
+ * signerAddress and mode as query parameters
+ * 
+ * Timestamps are Unix seconds or ISO-8601, temperatures are °C. mode is 'individual'
+ * (one transaction per reading) or 'batch' (raw readings stored off-chain and anchored
+ * on-chain by hash); it defaults to individual for a single reading and batch otherwise.
+ * Returns transaction hashes and whether the upload breached the cold chain.
+ */
+async function uploadReadings(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+    const isCsvUpload = typeof req.body === 'string';
+    const { signerAddress, mode } = isCsvUpload ? req.query : req.body;
+
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'uploadReadings'));
+    }
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'uploadReadings'));
+    }
+    if (mode !== undefined && mode !== 'individual' && mode !== 'batch') {
+      return res.status(400).json(formatError(new Error("mode must be 'individual' or 'batch'"), 'uploadReadings'));
+    }
+
+    let readings;
+    try {
+      readings = temperatureLogService.parseReadings(isCsvUpload ? { csv: req.body } : req.body);
+    } catch (error) {
+      return res.status(400).json(formatError(error, 'uploadReadings'));
+    }
+
+    const requirement = await contractService.getColdChainRequirement(productId);
+    if (!requirement.isSet) {
+      return res.status(400).json(formatError(new Error('No cold-chain requirement set for this product'), 'uploadReadings'));
+    }
+
+    const uploadMode = mode || (readings.length === 1 ? 'individual' : 'batch');
+
+    if (uploadMode === 'individual') {
+      if (readings.length > MAX_INDIVIDUAL_READINGS) {
+        return res.status(400).json(formatError(new Error(`Individual uploads are limited to ${MAX_INDIVIDUAL_READINGS} readings; use batch mode`), 'uploadReadings'));
+      }
+
+      // One job sends every reading in order
+      const job = jobService.submit(signerAddress, 'recordTemperatureReadings', async () => {
+        const transactionHashes = [];
+        let breach = false;
+        for (const reading of readings) {
+          const result = await contractService.recordTemperatureReading(signerAddress, productId, reading.temperature, reading.timestamp);
+          transactionHashes.push(result.transactionHash);
+          breach = breach || result.breach;
+        }
+        return { transactionHashes, breach };
+      });
+      if (prefersAsync(req)) {
+        return res.status(202).json(queuedJobResponse(job));
+      }
+      const { transactionHashes, breach } = await job.promise;
+
+      return res.json({
+        success: true,
+        jobId: job.id,
+        mode: uploadMode,
+        readingCount: readings.length,
+        breach: breach,
+        transactionHashes: transactionHashes
+      });
+    }
+
+    // Store raw readings before anchoring their hash on-chain
+    const dataHash = temperatureLogService.hashReadings(readings);
+    const summary = temperatureLogService.summarize(readings, requirement);
+    temperatureLogService.saveBatch(productId, dataHash, readings);
+
+    const job = jobService.submit(signerAddress, 'recordReadingBatch', () => contractService.recordReadingBatch(signerAddress, productId, dataHash, summary));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      mode: uploadMode,
+      readingCount: readings.length,
+      breach: result.breach,
+      dataHash: dataHash,
+      excursionMinutes: summary.excursionMinutes,
+      transactionHash: result.transactionHash
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'uploadReadings'));
+  }
+}
+
+/**
+ * Get the cold-chain log for a product
+ * GET /api/coldchain/:productId
+ * 
+ * Validates product ID, calls contractService.getColdChainLog(), attaches the raw
+ * readings of each batch from the temperature log store, and returns everything in °C.
+ * Batch readings are null if the raw data is missing or no longer matches its on-chain hash.
+ */
+async function getColdChainLog(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+
+    // Validate productId
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'getColdChainLog'));
+    }
+
+    const log = await contractService.getColdChainLog(productId);
+    const toCelsius = (tenths) => temperatureLogService.toCelsius(tenths);
+
+    res.json({
+      success: true,
+      productId: productId,
+      requirement: {
+        ...log.requirement,
+        minTemperature: toCelsius(log.requirement.minTemperature),
+        maxTemperature: toCelsius(log.requirement.maxTemperature)
+      },
+      readings: log.readings.map((reading) => ({
+        ...reading,
+        temperature: toCelsius(reading.temperature)
+      })),
+      batches: log.batches.map((batch) => {
+        const rawReadings = temperatureLogService.loadBatch(batch.dataHash);
+        return {
+          ...batch,
+          minTemperature: toCelsius(batch.minTemperature),
+          maxTemperature: toCelsius(batch.maxTemperature),
+          readings: rawReadings && rawReadings.map((reading) => ({
+            recordedAt: reading.timestamp,
+            temperature: toCelsius(reading.temperature)
+          }))
+        };
+      }),
+      breaches: log.breaches.map((breach) => ({
+        ...breach,
+        temperature: toCelsius(breach.temperature)
+      })),
+      isCompromised: log.isCompromised
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getColdChainLog'));
+  }
+}
+
+module.exports = {
+  setRequirement,
+  uploadReadings,
+  getColdChainLog
+};
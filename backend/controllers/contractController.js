@@ -0,0 +1,32 @@
+/**
+ * Contract Controller
+ * Serves contract deployment details to clients
+ */
+
+const contractService = require('../services/contractService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+
+/**
+ * Get the deployed contracts
+ * GET /api/contracts
+ * 
+ * Returns the chain ID with the address and ABI of each contract, so the frontend can
+ * build its own contract instances and have users sign transactions in their wallet.
+ */
+function getDeployment(req, res) {
+  try {
+    const deployment = contractService.getDeployment();
+    
+    res.json({
+      success: true,
+      chainId: deployment.chainId,
+      contracts: deployment.contracts
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getDeployment'));
+  }
+}
+
+module.exports = {
+  getDeployment
+};
@@ -0,0 +1,135 @@
+/**
+ * Emergency Controller
+ * Handles the guardian's emergency stop of the supply chain contract
+ */
+
+const contractService = require('../services/contractService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+/**
+ * Queue an emergency transaction and respond with its outcome
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type
+ * @param {Function} run - Sends the transaction
+ * @param {Object} details - Fields added to the success response
+ */
+async function submitEmergencyJob(req, res, type, run, details) {
+  const job = jobService.submit(req.body.signerAddress, type, run);
+  if (prefersAsync(req)) {
+    return res.status(202).json(queuedJobResponse(job));
+  }
+  const result = await job.promise;
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    transactionHash: result.transactionHash,
+    ...details
+  });
+}
+
+/**
+ * Get whether the supply chain is paused
+ * GET /api/emergency
+ * 
+ * Returns { paused, reason, guardian }. While paused, supply chain writes are answered
+ * with 503 SUPPLY_CHAIN_PAUSED; reads keep working.
+ */
+async function getPauseState(req, res) {
+  try {
+    const state = await contractService.getPauseState();
+
+    res.json({
+      success: true,
+      ...state
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getPauseState'));
+  }
+}
+
+/**
+ * Pause the supply chain (guardian only)
+ * POST /api/emergency/pause
+ * 
+ * Body: { signerAddress, reason }
+ * 
+ * The reason is shown to everyone while the pause lasts. Role management keeps working,
+ * so a compromised key can be revoked before unpausing.
+ */
+async function pause(req, res) {
+  try {
+    const { signerAddress } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json(formatError(new Error('A reason is required to pause the supply chain'), 'pause'));
+    }
+
+    const state = await contractService.getPauseState();
+    if (state.paused) {
+      return res.status(400).json(formatError(new Error('Supply chain is already paused'), 'pause'));
+    }
+
+    await submitEmergencyJob(req, res, 'pauseSupplyChain',
+      () => contractService.pauseSupplyChain(signerAddress, reason),
+      { paused: true, reason: reason, message: 'Supply chain paused' });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'pause'));
+  }
+}
+
+/**
+ * Resume the supply chain (guardian only)
+ * POST /api/emergency/unpause
+ * 
+ * Body: { signerAddress }
+ */
+async function unpause(req, res) {
+  try {
+    const state = await contractService.getPauseState();
+    if (!state.paused) {
+      return res.status(400).json(formatError(new Error('Supply chain is not paused'), 'unpause'));
+    }
+
+    await submitEmergencyJob(req, res, 'unpauseSupplyChain',
+      () => contractService.unpauseSupplyChain(req.body.signerAddress),
+      { paused: false, message: 'Supply chain resumed' });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'unpause'));
+  }
+}
+
+/**
+ * Appoint the guardian (access control owner only)
+ * POST /api/emergency/guardian
+ * 
+ * Body: { signerAddress, guardian }
+ * 
+ * When the access control contract is owned by the governance multisig, the guardian is
+ * changed through a setGuardian proposal instead.
+ */
+async function setGuardian(req, res) {
+  try {
+    const { signerAddress, guardian } = req.body;
+    if (!guardian || !isValidAddress(guardian)) {
+      return res.status(400).json(formatError(new Error('Invalid guardian address'), 'setGuardian'));
+    }
+
+    await submitEmergencyJob(req, res, 'setGuardian',
+      () => contractService.setGuardian(signerAddress, guardian),
+      { guardian: guardian, message: `${guardian} is now the guardian` });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'setGuardian'));
+  }
+}
+
+module.exports = {
+  getPauseState,
+  pause,
+  unpause,
+  setGuardian
+};
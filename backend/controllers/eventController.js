@@ -0,0 +1,83 @@
+/**
+ * Event Controller
+ * Streams live contract events to dashboards
+ */
+
+const eventStreamService = require('../services/eventStreamService');
+const { formatError } = require('../utils/errors');
+const { isValidAddress } = require('../utils/helpers');
+
+/**
+ * Split a comma-separated query parameter
+ * @param {string|undefined} value - Query parameter value
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+function parseList(value) {
+  return typeof value === 'string'
+    ? value.split(',').map((item) => item.trim()).filter((item) => item.length > 0)
+    : [];
+}
+
+/**
+ * Stream contract events over Server-Sent Events
+ * GET /api/events/stream?address=0x...&productId=1,2&events=TransferInitiated,ProductVerified
+ * 
+ * Each filter takes a comma-separated list; events must match every filter given.
+ * address matches any address in the event (producer, sender, recipient, verifier, account),
+ * productId matches the event's product. Each message has the event name as its SSE event
+ * type and { id, event, productId, blockNumber, transactionHash, timestamp, args } as data.
+ * Clients that reconnect with a Last-Event-ID header (sent automatically by EventSource)
+ * or lastEventId query parameter first receive the events they missed.
+ */
+async function streamEvents(req, res) {
+  try {
+    const addresses = parseList(req.query.address);
+    const productIds = parseList(req.query.productId);
+    const events = parseList(req.query.events);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    
+    if (!addresses.every(isValidAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid address filter'), 'streamEvents'));
+    }
+    if (!productIds.every((id) => /^\d+$/.test(id) && Number(id) > 0)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID filter'), 'streamEvents'));
+    }
+    const eventNames = eventStreamService.getEventNames();
+    const unknown = events.filter((name) => !eventNames.includes(name));
+    if (unknown.length > 0) {
+      return res.status(400).json(formatError(new Error(`Unknown events: ${unknown.join(', ')}. Available: ${eventNames.join(', ')}`), 'streamEvents'));
+    }
+    if (lastEventId !== null && !/^\d+-\d+$/.test(lastEventId)) {
+      return res.status(400).json(formatError(new Error('Invalid Last-Event-ID'), 'streamEvents'));
+    }
+    
+    const filter = {
+      addresses: addresses.map((address) => address.toLowerCase()),
+      productIds: productIds.map(Number),
+      events
+    };
+    
+    // The client can disconnect while missed events are being replayed
+    let closed = false;
+    let unsubscribe = null;
+    res.on('close', () => {
+      closed = true;
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+    
+    unsubscribe = await eventStreamService.subscribe(res, filter, lastEventId);
+    if (closed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json(formatError(error, 'streamEvents'));
+    }
+  }
+}
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,529 @@
+/**
+ * Governance Controller
+ * Handles multi-signature proposals over the access control contract and its two-step ownership
+ */
+
+const contractService = require('../services/contractService');
+const indexerService = require('../services/indexerService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Role enum names, in SafeBiteAccessRoles order
+const ROLE_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
+
+// Proposal statuses reported by indexerService.formatProposal()
+const PROPOSAL_STATUSES = ['PENDING', 'QUEUED', 'READY', 'EXECUTED', 'CANCELLED'];
+
+// Longest timelock the governance contract accepts (SafeBiteGovernance.MAX_DELAY)
+const MAX_DELAY = 30 * 24 * 60 * 60;
+
+/**
+ * Parse a role given as 0-3 or a role name
+ * 
+ * @param {*} value - Role from the request body
+ * @returns {number|null} Role enum value, or null if not a manageable role
+ */
+function parseRole(value) {
+  const role = /^\d+$/.test(String(value)) ? Number(value) : ROLE_NAMES.indexOf(String(value).toUpperCase());
+  return role >= 0 && role <= 3 ? role : null;
+}
+
+/**
+ * Parse a proposal ID route parameter
+ * 
+ * @param {string} value - Route parameter
+ * @returns {number|null} Proposal ID, or null if not a positive integer
+ */
+function parseProposalId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Turn a proposal action into the contract call it makes
+ * 
+ * @param {string} action - grantRole, revokeRole, transferOwnership, acceptOwnership,
+ *   cancelOwnershipTransfer, setGuardian, addSigner, removeSigner, changeThreshold or changeDelay
+ * @param {Object} params - Action parameters: { account, role, validUntil } for role actions,
+ *   { newOwner } for transferOwnership, { guardian } for setGuardian, { account } for signer
+ *   changes, { threshold } or { delay }
+ * @returns {Object} { functionName, args }
+ * @throws {Error} If the action is unknown or a parameter is invalid
+ */
+function buildProposalCall(action, params = {}) {
+  switch (action) {
+    case 'grantRole':
+    case 'revokeRole': {
+      const role = parseRole(params.role);
+      if (!params.account || !isValidAddress(params.account)) {
+        throw new Error('Invalid account address');
+      }
+      if (role === null) {
+        throw new Error('Invalid role (must be 0-3 or a role name other than CONSUMER)');
+      }
+      if (action === 'revokeRole') {
+        return { functionName: 'revokeRole', args: [params.account, role] };
+      }
+      const validUntil = params.validUntil === undefined || params.validUntil === null ? 0 : Number(params.validUntil);
+      if (!Number.isInteger(validUntil) || validUntil < 0) {
+        throw new Error('validUntil must be a Unix timestamp in seconds');
+      }
+      return validUntil
+        ? { functionName: 'grantRoleUntil', args: [params.account, role, validUntil] }
+        : { functionName: 'grantRole', args: [params.account, role] };
+    }
+    case 'transferOwnership':
+      if (!params.newOwner || !isValidAddress(params.newOwner)) {
+        throw new Error('Invalid new owner address');
+      }
+      return { functionName: 'transferOwnership', args: [params.newOwner] };
+    case 'acceptOwnership':
+    case 'cancelOwnershipTransfer':
+      return { functionName: action, args: [] };
+    case 'setGuardian':
+      if (!params.guardian || !isValidAddress(params.guardian)) {
+        throw new Error('Invalid guardian address');
+      }
+      return { functionName: 'setGuardian', args: [params.guardian] };
+    case 'addSigner':
+    case 'removeSigner':
+      if (!params.account || !isValidAddress(params.account)) {
+        throw new Error('Invalid signer address');
+      }
+      return { functionName: action, args: [params.account] };
+    case 'changeThreshold': {
+      const threshold = Number(params.threshold);
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error('Threshold must be a positive integer');
+      }
+      return { functionName: 'changeThreshold', args: [threshold] };
+    }
+    case 'changeDelay': {
+      const delay = Number(params.delay);
+      if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY) {
+        throw new Error(`Delay must be between 0 and ${MAX_DELAY} seconds`);
+      }
+      return { functionName: 'changeDelay', args: [delay] };
+    }
+    default:
+      throw new Error('Invalid action');
+  }
+}
+
+/**
+ * Describe a decoded proposal call in words
+ * 
+ * @param {Object|null} call - Call from ContractService.decodeProposalCall()
+ * @returns {string} Summary such as "Grant DISTRIBUTOR to 0x..."
+ */
+function summarizeCall(call) {
+  if (!call) {
+    return 'Unknown call';
+  }
+
+  const { functionName, args } = call;
+  switch (functionName) {
+    case 'grantRole':
+      return `Grant ${ROLE_NAMES[args.role]} to ${args.account}`;
+    case 'grantRoleUntil':
+      return `Grant ${ROLE_NAMES[args.role]} to ${args.account} until ${new Date(args.validUntil * 1000).toISOString()}`;
+    case 'revokeRole':
+      return `Revoke ${ROLE_NAMES[args.role]} from ${args.account}`;
+    case 'transferOwnership':
+      return `Offer access control ownership to ${args.newOwner}`;
+    case 'acceptOwnership':
+      return 'Accept access control ownership';
+    case 'cancelOwnershipTransfer':
+      return 'Cancel the pending ownership transfer';
+    case 'setGuardian':
+      return `Appoint ${args.newGuardian} as pause guardian`;
+    case 'addSigner':
+      return `Add signer ${args.signer}`;
+    case 'removeSigner':
+      return `Remove signer ${args.signer}`;
+    case 'changeThreshold':
+      return `Require ${args.newThreshold} approvals`;
+    case 'changeDelay':
+      return `Set the timelock to ${args.newDelay} seconds`;
+    default:
+      return functionName;
+  }
+}
+
+/**
+ * Add approval count and a summary of the call to a proposal for API responses
+ * 
+ * @param {Object} proposal - Proposal from indexerService
+ * @returns {Object} Proposal with approvals and summary
+ */
+function describeProposal(proposal) {
+  return {
+    ...proposal,
+    approvals: proposal.approvers.length,
+    summary: summarizeCall(proposal.call)
+  };
+}
+
+/**
+ * Load a proposal that is still open
+ * 
+ * @param {Object} req - Express request with the proposal ID in params.id
+ * @param {Object} res - Express response, answered with 400/404 when the lookup fails
+ * @param {string} context - Error context
+ * @returns {Promise<Object|null>} Proposal, or null if a response was sent
+ */
+async function loadOpenProposal(req, res, context) {
+  const proposalId = parseProposalId(req.params.id);
+  if (proposalId === null) {
+    res.status(400).json(formatError(new Error('Invalid proposal ID'), context));
+    return null;
+  }
+
+  const proposal = await indexerService.getProposal(proposalId);
+  if (!proposal) {
+    res.status(404).json(formatError(new Error('Proposal not found'), context));
+    return null;
+  }
+  if (proposal.executed || proposal.cancelled) {
+    res.status(400).json(formatError(new Error(`Proposal was already ${proposal.status.toLowerCase()}`), context));
+    return null;
+  }
+  return proposal;
+}
+
+/**
+ * Queue a governance write and send its response
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type
+ * @param {Function} run - Sends the transaction; resolves with contractService's receipt
+ * @param {Function} describe - Builds the response fields from the receipt
+ * 
+ * Answers 202 with the job when the request prefers async, otherwise waits for the receipt.
+ */
+async function submitGovernanceJob(req, res, type, run, describe) {
+  const job = jobService.submit(req.body.signerAddress, type, run);
+  if (prefersAsync(req)) {
+    return res.status(202).json(queuedJobResponse(job));
+  }
+  const result = await job.promise;
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    transactionHash: result.transactionHash,
+    ...describe(result)
+  });
+}
+
+/**
+ * Get the governance setup and who owns the access control contract
+ * GET /api/governance
+ * 
+ * governedByMultisig is true once the governance contract has accepted ownership;
+ * until then role changes are made directly by the owner.
+ */
+async function getGovernance(req, res) {
+  try {
+    const governance = await contractService.getGovernance();
+    const { owner, pendingOwner } = await contractService.getAccessControlOwnership();
+
+    res.json({
+      success: true,
+      governance: governance,
+      accessControl: {
+        address: contractService.contractAddresses.accessControl,
+        owner: owner,
+        pendingOwner: pendingOwner,
+        governedByMultisig: owner.toLowerCase() === governance.address.toLowerCase()
+      }
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getGovernance'));
+  }
+}
+
+/**
+ * List governance proposals
+ * GET /api/governance/proposals?status=PENDING
+ * 
+ * status is optional: PENDING, QUEUED, READY, EXECUTED or CANCELLED. Newest first.
+ */
+async function listProposals(req, res) {
+  try {
+    let status = null;
+    if (req.query.status !== undefined && req.query.status !== '') {
+      status = String(req.query.status).toUpperCase();
+      if (!PROPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json(formatError(new Error(`Invalid status (must be ${PROPOSAL_STATUSES.join(', ')})`), 'listProposals'));
+      }
+    }
+
+    const proposals = await indexerService.getProposals({ status });
+
+    res.json({
+      success: true,
+      proposals: proposals.map(describeProposal),
+      count: proposals.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'listProposals'));
+  }
+}
+
+/**
+ * Get a governance proposal with its history
+ * GET /api/governance/proposals/:id
+ */
+async function getProposal(req, res) {
+  try {
+    const proposalId = parseProposalId(req.params.id);
+    if (proposalId === null) {
+      return res.status(400).json(formatError(new Error('Invalid proposal ID'), 'getProposal'));
+    }
+
+    const proposal = await indexerService.getProposal(proposalId);
+    if (!proposal) {
+      return res.status(404).json(formatError(new Error('Proposal not found'), 'getProposal'));
+    }
+
+    res.json({
+      success: true,
+      proposal: describeProposal(proposal)
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProposal'));
+  }
+}
+
+/**
+ * Propose a role, ownership or governance change (governance signers only)
+ * POST /api/governance/proposals
+ * 
+ * Body: { signerAddress, action, params, description }
+ * 
+ * action is grantRole ({ account, role, validUntil }), revokeRole ({ account, role }),
+ * transferOwnership ({ newOwner }), acceptOwnership, cancelOwnershipTransfer,
+ * setGuardian ({ guardian }), addSigner or removeSigner ({ account }),
+ * changeThreshold ({ threshold }) or changeDelay ({ delay }). The proposer's approval is
+ * recorded with the proposal.
+ */
+async function createProposal(req, res) {
+  try {
+    const { signerAddress, action } = req.body;
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() : '';
+
+    let call;
+    try {
+      call = buildProposalCall(action, req.body.params || {});
+    } catch (error) {
+      return res.status(400).json(formatError(error, 'createProposal'));
+    }
+    const { target, data } = contractService.encodeProposalCall(call.functionName, call.args);
+    const summary = summarizeCall(contractService.decodeProposalCall(target, data));
+
+    await submitGovernanceJob(req, res, 'createProposal',
+      () => contractService.propose(signerAddress, target, data, description || summary),
+      (result) => ({
+        proposalId: result.proposalId,
+        summary: summary,
+        message: `Proposal #${result.proposalId} created: ${summary}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'createProposal'));
+  }
+}
+
+/**
+ * Approve a proposal (governance signers only)
+ * POST /api/governance/proposals/:id/approve
+ * 
+ * Body: { signerAddress }
+ * 
+ * The approval that reaches the threshold starts the timelock.
+ */
+async function approveProposal(req, res) {
+  try {
+    const proposal = await loadOpenProposal(req, res, 'approveProposal');
+    if (!proposal) {
+      return;
+    }
+
+    await submitGovernanceJob(req, res, 'approveProposal',
+      () => contractService.approveProposal(req.body.signerAddress, proposal.id),
+      () => ({
+        proposalId: proposal.id,
+        message: `Proposal #${proposal.id} approved`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'approveProposal'));
+  }
+}
+
+/**
+ * Withdraw an approval (governance signers only)
+ * POST /api/governance/proposals/:id/revoke
+ * 
+ * Body: { signerAddress }
+ * 
+ * Dropping below the threshold stops the timelock; it starts over once the threshold is reached again.
+ */
+async function revokeApproval(req, res) {
+  try {
+    const proposal = await loadOpenProposal(req, res, 'revokeApproval');
+    if (!proposal) {
+      return;
+    }
+
+    await submitGovernanceJob(req, res, 'revokeProposalApproval',
+      () => contractService.revokeProposalApproval(req.body.signerAddress, proposal.id),
+      () => ({
+        proposalId: proposal.id,
+        message: `Approval of proposal #${proposal.id} withdrawn`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'revokeApproval'));
+  }
+}
+
+/**
+ * Execute a proposal whose timelock has passed (governance signers only)
+ * POST /api/governance/proposals/:id/execute
+ * 
+ * Body: { signerAddress }
+ * 
+ * Answers 400 while the proposal lacks approvals or its timelock is running. A revert of
+ * the proposed call (e.g. revoking a role the account does not hold) is reported as usual.
+ */
+async function executeProposal(req, res) {
+  try {
+    const proposal = await loadOpenProposal(req, res, 'executeProposal');
+    if (!proposal) {
+      return;
+    }
+    if (proposal.status === 'PENDING') {
+      return res.status(400).json(formatError(new Error('Proposal has not reached the approval threshold'), 'executeProposal'));
+    }
+    // The next block is stamped no earlier than now, even when no block was mined since the timelock ended
+    if (proposal.status === 'QUEUED' && proposal.readyAt > Math.floor(Date.now() / 1000)) {
+      return res.status(400).json(formatError(new Error(`Proposal timelock ends at ${new Date(proposal.readyAt * 1000).toISOString()}`), 'executeProposal'));
+    }
+
+    await submitGovernanceJob(req, res, 'executeProposal',
+      () => contractService.executeProposal(req.body.signerAddress, proposal.id),
+      () => ({
+        proposalId: proposal.id,
+        summary: summarizeCall(proposal.call),
+        message: `Proposal #${proposal.id} executed`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'executeProposal'));
+  }
+}
+
+/**
+ * Cancel an open proposal (its proposer only)
+ * POST /api/governance/proposals/:id/cancel
+ * 
+ * Body: { signerAddress }
+ * 
+ * Other signers cannot cancel, and a proposal to remove the proposer cannot be cancelled, so no
+ * single signer can stop a proposal; approvers withdraw their approval instead.
+ */
+async function cancelProposal(req, res) {
+  try {
+    const proposal = await loadOpenProposal(req, res, 'cancelProposal');
+    if (!proposal) {
+      return;
+    }
+
+    await submitGovernanceJob(req, res, 'cancelProposal',
+      () => contractService.cancelProposal(req.body.signerAddress, proposal.id),
+      () => ({
+        proposalId: proposal.id,
+        message: `Proposal #${proposal.id} cancelled`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'cancelProposal'));
+  }
+}
+
+/**
+ * Offer ownership of the access control contract to a new address (owner only)
+ * POST /api/governance/ownership/transfer
+ * 
+ * Body: { signerAddress, newOwner }
+ * 
+ * Ownership only moves once the new owner accepts. To hand the contract to the governance
+ * multisig, offer it to the governance address and have the signers propose acceptOwnership.
+ * Once the multisig owns the contract, transfers go through proposals instead.
+ */
+async function transferOwnership(req, res) {
+  try {
+    const { signerAddress, newOwner } = req.body;
+    if (!newOwner || !isValidAddress(newOwner)) {
+      return res.status(400).json(formatError(new Error('Invalid new owner address'), 'transferOwnership'));
+    }
+
+    await submitGovernanceJob(req, res, 'transferAccessControlOwnership',
+      () => contractService.transferAccessControlOwnership(signerAddress, newOwner),
+      () => ({
+        pendingOwner: newOwner,
+        message: `Ownership offered to ${newOwner}; it takes effect once accepted`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'transferOwnership'));
+  }
+}
+
+/**
+ * Accept ownership of the access control contract (pending owner only)
+ * POST /api/governance/ownership/accept
+ * 
+ * Body: { signerAddress }
+ */
+async function acceptOwnership(req, res) {
+  try {
+    await submitGovernanceJob(req, res, 'acceptAccessControlOwnership',
+      () => contractService.acceptAccessControlOwnership(req.body.signerAddress),
+      () => ({
+        owner: req.body.signerAddress,
+        message: `${req.body.signerAddress} now owns the access control contract`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'acceptOwnership'));
+  }
+}
+
+/**
+ * Withdraw a pending ownership offer (owner only)
+ * POST /api/governance/ownership/cancel
+ * 
+ * Body: { signerAddress }
+ */
+async function cancelOwnershipTransfer(req, res) {
+  try {
+    await submitGovernanceJob(req, res, 'cancelAccessControlOwnershipTransfer',
+      () => contractService.cancelAccessControlOwnershipTransfer(req.body.signerAddress),
+      () => ({
+        message: 'Pending ownership transfer cancelled'
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'cancelOwnershipTransfer'));
+  }
+}
+
+module.exports = {
+  getGovernance,
+  listProposals,
+  getProposal,
+  createProposal,
+  approveProposal,
+  revokeApproval,
+  executeProposal,
+  cancelProposal,
+  transferOwnership,
+  acceptOwnership,
+  cancelOwnershipTransfer
+};
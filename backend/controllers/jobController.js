@@ -0,0 +1,37 @@
+/**
+ * Job Controller
+ * Reports the status of queued write transactions
+ */
+
+const jobService = require('../services/jobService');
+const { formatError } = require('../utils/errors');
+
+/**
+ * Get a job
+ * GET /api/jobs/:id
+ * 
+ * Write endpoints answer with a jobId; when called with a "Prefer: respond-async" header
+ * they respond 202 straight away and the job can be polled here. Status is pending until
+ * the transaction is mined, then mined (with the endpoint's result), reverted (with the
+ * decoded revert reason) or failed.
+ */
+async function getJob(req, res) {
+  try {
+    const job = jobService.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json(formatError(new Error('Job not found'), 'getJob'));
+    }
+    
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'getJob'));
+  }
+}
+
+module.exports = {
+  getJob
+};
@@ -0,0 +1,365 @@
+/**
+ * Organization Controller
+ * Handles organizations and their admins, who manage the operational roles of their members
+ */
+
+const contractService = require('../services/contractService');
+const indexerService = require('../services/indexerService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Role enum names, in SafeBiteAccessRoles order
+const ROLE_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
+
+/**
+ * Parse an organization ID route parameter
+ * 
+ * @param {string} value - Route parameter
+ * @returns {number|null} Organization ID, or null if not a positive integer
+ */
+function parseOrganizationId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Queue an organization write and send its response
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type, also used as the error context
+ * @param {Function} run - Sends the transaction; resolves with contractService's receipt
+ * @param {Function} describe - Builds the response fields from the receipt
+ * 
+ * The job is queued under the signed-in account, which requireAuth has checked against
+ * any signerAddress given. Answers 202 with the job when the request prefers async,
+ * otherwise waits for the receipt.
+ */
+async function submitOrganizationJob(req, res, type, run, describe) {
+  const job = jobService.submit(req.user.address, type, run);
+  if (prefersAsync(req)) {
+    return res.status(202).json(queuedJobResponse(job));
+  }
+  const result = await job.promise;
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    transactionHash: result.transactionHash,
+    ...describe(result)
+  });
+}
+
+/**
+ * Load an organization and one of its members from the indexed state
+ * 
+ * @param {Object} res - Express response, answered with 400/404 when the lookup fails
+ * @param {string} context - Error context
+ * @param {string} idParam - Organization ID route parameter
+ * @param {string} accountAddress - Member address
+ * @returns {Promise<Object|null>} { organization, member }, or null if a response was sent
+ */
+async function loadMember(res, context, idParam, accountAddress) {
+  const organizationId = parseOrganizationId(idParam);
+  if (organizationId === null) {
+    res.status(400).json(formatError(new Error('Invalid organization ID'), context));
+    return null;
+  }
+  if (!accountAddress || !isValidAddress(accountAddress)) {
+    res.status(400).json(formatError(new Error('Invalid account address'), context));
+    return null;
+  }
+
+  const organization = await indexerService.getOrganization(organizationId);
+  if (!organization) {
+    res.status(404).json(formatError(new Error('Organization not found'), context));
+    return null;
+  }
+  const member = organization.members.find((entry) => entry.address.toLowerCase() === accountAddress.toLowerCase());
+  if (!member) {
+    res.status(404).json(formatError(new Error('Account is not a member of this organization'), context));
+    return null;
+  }
+  return { organization, member };
+}
+
+/**
+ * List organizations
+ * GET /api/organizations
+ * 
+ * Returns every organization with its member count and admin addresses.
+ */
+async function listOrganizations(req, res) {
+  try {
+    const organizations = await indexerService.getOrganizations();
+
+    res.json({
+      success: true,
+      organizations: organizations,
+      count: organizations.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'listOrganizations'));
+  }
+}
+
+/**
+ * Get an organization with its members
+ * GET /api/organizations/:id
+ * 
+ * Each member lists the roles it holds, so admins can see who does what.
+ */
+async function getOrganization(req, res) {
+  try {
+    const organizationId = parseOrganizationId(req.params.id);
+    if (organizationId === null) {
+      return res.status(400).json(formatError(new Error('Invalid organization ID'), 'getOrganization'));
+    }
+
+    const organization = await indexerService.getOrganization(organizationId);
+    if (!organization) {
+      return res.status(404).json(formatError(new Error('Organization not found'), 'getOrganization'));
+    }
+
+    res.json({
+      success: true,
+      organization: {
+        ...organization,
+        members: organization.members.map((member) => ({
+          ...member,
+          roleNames: member.roles.map((role) => ROLE_NAMES[role])
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getOrganization'));
+  }
+}
+
+/**
+ * Get the organization of an address
+ * GET /api/organizations/account/:address
+ * 
+ * organization is null for addresses that belong to none. invitation is the organization
+ * an admin has invited the address to, read from the contract, or null if there is none.
+ */
+async function getAccountOrganization(req, res) {
+  try {
+    const address = req.params.address;
+    if (!isValidAddress(address)) {
+      return res.status(400).json(formatError(new Error('Invalid address'), 'getAccountOrganization'));
+    }
+
+    const organization = await indexerService.getAccountOrganization(address);
+    const { invitationId } = await contractService.getAccountOrganization(address);
+    const invited = invitationId ? await indexerService.getOrganization(invitationId) : null;
+
+    res.json({
+      success: true,
+      address: address,
+      organization: organization,
+      invitation: invited ? { organizationId: invited.id, organizationName: invited.name } : null
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getAccountOrganization'));
+  }
+}
+
+/**
+ * Register an organization (access control owner only)
+ * POST /api/organizations
+ * 
+ * Body: { signerAddress, name, adminAddress }
+ * 
+ * adminAddress is optional; when given, it joins the organization as its first admin.
+ * The contract enforces the owner check.
+ */
+async function registerOrganization(req, res) {
+  try {
+    const { signerAddress, adminAddress } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name) {
+      return res.status(400).json(formatError(new Error('Organization name is required'), 'registerOrganization'));
+    }
+    if (adminAddress !== undefined && adminAddress !== null && adminAddress !== '' && !isValidAddress(adminAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid admin address'), 'registerOrganization'));
+    }
+
+    await submitOrganizationJob(req, res, 'registerOrganization',
+      () => contractService.registerOrganization(signerAddress, name, adminAddress || null),
+      (result) => ({
+        organizationId: result.organizationId,
+        name: name,
+        adminAddress: adminAddress || null,
+        message: `Organization ${name} registered`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'registerOrganization'));
+  }
+}
+
+/**
+ * Add a member to an organization (owner or organization admin)
+ * POST /api/organizations/:id/members
+ * 
+ * Body: { signerAddress, accountAddress }
+ * 
+ * The access control owner adds the account directly. An organization admin only invites
+ * it (invited: true); the account joins once it accepts through POST /api/organizations/:id/accept.
+ * Once a member, the organization's admins can grant it operational roles through POST /api/roles/grant.
+ */
+async function addMember(req, res) {
+  try {
+    const { signerAddress, accountAddress } = req.body;
+    const organizationId = parseOrganizationId(req.params.id);
+
+    if (organizationId === null) {
+      return res.status(400).json(formatError(new Error('Invalid organization ID'), 'addMember'));
+    }
+    if (!accountAddress || !isValidAddress(accountAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid account address'), 'addMember'));
+    }
+
+    const current = await indexerService.getAccountOrganization(accountAddress);
+    if (current) {
+      return res.status(400).json(formatError(new Error(`Account already belongs to ${current.organizationName}`), 'addMember'));
+    }
+
+    await submitOrganizationJob(req, res, 'addOrganizationMember',
+      () => contractService.addOrganizationMember(signerAddress, organizationId, accountAddress),
+      (result) => ({
+        organizationId: organizationId,
+        accountAddress: accountAddress,
+        invited: result.invited,
+        message: result.invited
+          ? `${accountAddress} invited to organization #${organizationId}`
+          : `${accountAddress} added to organization #${organizationId}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'addMember'));
+  }
+}
+
+/**
+ * Accept an invitation to an organization
+ * POST /api/organizations/:id/accept
+ * 
+ * Body: { signerAddress }
+ * 
+ * The signed-in account joins the organization one of its admins invited it to.
+ */
+async function acceptInvitation(req, res) {
+  try {
+    const organizationId = parseOrganizationId(req.params.id);
+    if (organizationId === null) {
+      return res.status(400).json(formatError(new Error('Invalid organization ID'), 'acceptInvitation'));
+    }
+
+    await submitOrganizationJob(req, res, 'acceptOrganizationInvitation',
+      () => contractService.acceptOrganizationInvitation(req.user.address, organizationId),
+      () => ({
+        organizationId: organizationId,
+        accountAddress: req.user.address,
+        message: `${req.user.address} joined organization #${organizationId}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'acceptInvitation'));
+  }
+}
+
+/**
+ * Remove a member from an organization (owner or organization admin)
+ * DELETE /api/organizations/:id/members/:address
+ * 
+ * The member must not be an admin and must hold no operational roles.
+ */
+async function removeMember(req, res) {
+  try {
+    const loaded = await loadMember(res, 'removeMember', req.params.id, req.params.address);
+    if (!loaded) {
+      return;
+    }
+    const { organization, member } = loaded;
+
+    await submitOrganizationJob(req, res, 'removeOrganizationMember',
+      () => contractService.removeOrganizationMember(req.user.address, member.address),
+      () => ({
+        organizationId: organization.id,
+        accountAddress: member.address,
+        message: `${member.address} removed from ${organization.name}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'removeMember'));
+  }
+}
+
+/**
+ * Make a member an admin of the organization (access control owner only)
+ * POST /api/organizations/:id/admins
+ * 
+ * Body: { signerAddress, accountAddress }
+ */
+async function grantAdmin(req, res) {
+  try {
+    const loaded = await loadMember(res, 'grantAdmin', req.params.id, req.body.accountAddress);
+    if (!loaded) {
+      return;
+    }
+    const { organization, member } = loaded;
+    if (member.isAdmin) {
+      return res.status(400).json(formatError(new Error('Account is already an admin of this organization'), 'grantAdmin'));
+    }
+
+    await submitOrganizationJob(req, res, 'grantOrganizationAdmin',
+      () => contractService.grantOrganizationAdmin(req.user.address, member.address),
+      () => ({
+        organizationId: organization.id,
+        accountAddress: member.address,
+        message: `${member.address} is now an admin of ${organization.name}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'grantAdmin'));
+  }
+}
+
+/**
+ * Take admin rights from an organization admin (access control owner only)
+ * DELETE /api/organizations/:id/admins/:address
+ * 
+ * The account stays a member of the organization.
+ */
+async function revokeAdmin(req, res) {
+  try {
+    const loaded = await loadMember(res, 'revokeAdmin', req.params.id, req.params.address);
+    if (!loaded) {
+      return;
+    }
+    const { organization, member } = loaded;
+    if (!member.isAdmin) {
+      return res.status(400).json(formatError(new Error('Account is not an admin of this organization'), 'revokeAdmin'));
+    }
+
+    await submitOrganizationJob(req, res, 'revokeOrganizationAdmin',
+      () => contractService.revokeOrganizationAdmin(req.user.address, member.address),
+      () => ({
+        organizationId: organization.id,
+        accountAddress: member.address,
+        message: `${member.address} is no longer an admin of ${organization.name}`
+      }));
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'revokeAdmin'));
+  }
+}
+
+module.exports = {
+  listOrganizations,
+  getOrganization,
+  getAccountOrganization,
+  registerOrganization,
+  addMember,
+  acceptInvitation,
+  removeMember,
+  grantAdmin,
+  revokeAdmin
+};
@@ -4,53 +4,349 @@
  */
 
 const contractService = require('../services/contractService');
+const indexerService = require('../services/indexerService');
 const qrService = require('../services/qrService');
-const { formatError, parseContractError } = require('../utils/errors');
-const { isValidProductId, isValidAddress } = require('../utils/helpers');
+const relayService = require('../services/relayService');
+const jobService = require('../services/jobService');
+const { formatError, parseContractError, getErrorStatus, isContractError } = require('../utils/errors');
+const { isValidProductId, isValidAddress, parseTimestamp, mergeCertificateMetadata, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Longest look-ahead accepted by the expiring products query
+const MAX_EXPIRY_WINDOW_DAYS = 365;
+
+// Most inputs accepted for one composite product
+const MAX_COMPOSITE_INPUTS = 20;
+
+// ProductStatus names, in SafeBiteSupplyChain enum order
+const STATUS_NAMES = ['CREATED', 'SHIPPED', 'RECEIVED', 'STORED', 'DELIVERED', 'EXPIRED'];
+
+// Statuses SafeBiteSupplyChain.updateStatus() accepts from each status
+// Any status before DELIVERED can also move to EXPIRED to pull spoiled goods early
+const STATUS_TRANSITIONS = {
+  CREATED: ['SHIPPED', 'EXPIRED'],
+  SHIPPED: ['RECEIVED', 'EXPIRED'],
+  RECEIVED: ['STORED', 'DELIVERED', 'EXPIRED'],
+  STORED: ['DELIVERED', 'EXPIRED'],
+  DELIVERED: [],
+  EXPIRED: []
+};
+
+// Certificate names accepted as metadata keys
+const CERTIFICATE_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+/**
+ * Validate the registration fields shared by raw and composite products
+ * 
+ * @param {Object} body - Request body
+ * @returns {Object} { error } if invalid, otherwise { dates } with dates in Unix seconds
+ */
+function validateRegistration(body) {
+  const { signerAddress, name, batchId, origin } = body;
+  
+  if (!signerAddress || !isValidAddress(signerAddress)) {
+    return { error: 'Invalid signer address' };
+  }
+  if (!name || name.trim().length === 0) {
+    return { error: 'Product name is required' };
+  }
+  if (!batchId || batchId.trim().length === 0) {
+    return { error: 'Batch ID is required' };
+  }
+  if (!origin || origin.trim().length === 0) {
+    return { error: 'Origin is required' };
+  }
+  
+  const dates = {};
+  for (const field of ['productionDate', 'bestBeforeDate', 'useByDate']) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    dates[field] = parseTimestamp(value);
+    if (dates[field] === null) {
+      return { error: `Invalid ${field}` };
+    }
+  }
+  if (dates.bestBeforeDate && dates.useByDate && dates.bestBeforeDate > dates.useByDate) {
+    return { error: 'bestBeforeDate cannot be after useByDate' };
+  }
+  
+  return { dates };
+}
 
 /**
  * Register a new product
  * POST /api/products/register
  * 
- * Body: { signerAddress, name, batchId, origin, metadataHash }
+ * Body: { signerAddress, name, batchId, origin, metadataHash, productionDate, bestBeforeDate, useByDate,
+ *         nonce, deadline, signature }
  * 
  * Validates input (name, batchId, origin required), calls contractService.registerProduct(),
  * generates QR code for the product, and returns product ID, transaction hash, and QR code.
+ * Dates are optional Unix seconds or ISO-8601 strings; productionDate defaults to now.
+ * With a signature, the request is a RegisterProduct message signed by signerAddress
+ * (dates as Unix seconds, 0 when omitted) and is relayed through the forwarder instead.
  */
 async function registerProduct(req, res) {
   try {
-    const { signerAddress, name, batchId, origin, metadataHash = '' } = req.body;
+    const { signerAddress, name, batchId, origin, metadataHash = '', nonce, deadline, signature } = req.body;
     
     // Validate inputs
-    if (!signerAddress || !isValidAddress(signerAddress)) {
-      return res.status(400).json(formatError(new Error('Invalid signer address'), 'registerProduct'));
+    const { error, dates } = validateRegistration(req.body);
+    if (error) {
+      return res.status(400).json(formatError(new Error(error), 'registerProduct'));
     }
-    if (!name || name.trim().length === 0) {
-      return res.status(400).json(formatError(new Error('Product name is required'), 'registerProduct'));
+    
+    // Relay signed requests, otherwise call contractService.registerProduct()
+    let job;
+    if (signature !== undefined) {
+      const request = {
+        signer: signerAddress,
+        name,
+        batchId,
+        origin,
+        metadataHash,
+        productionDate: dates.productionDate || 0,
+        bestBeforeDate: dates.bestBeforeDate || 0,
+        useByDate: dates.useByDate || 0,
+        nonce,
+        deadline
+      };
+      // Reject bad signatures now rather than in the queued job
+      await relayService.verifyRequest('RegisterProduct', request, signature);
+      job = jobService.submit(signerAddress, 'registerProduct', () => relayService.registerProduct(request, signature));
+    } else {
+      job = jobService.submit(signerAddress, 'registerProduct', () => contractService.registerProduct(signerAddress, name, batchId, origin, metadataHash, dates));
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    // Generate QR code
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const qrCode = await qrService.generateQRCode(result.productId, baseUrl);
+    
+    // Return response
+    res.json({
+      success: true,
+      jobId: job.id,
+      productId: result.productId,
+      transactionHash: result.transactionHash,
+      qrCode: qrCode
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'registerProduct'));
+  }
+}
+
+/**
+ * Register a composite product made from input products
+ * POST /api/products/composite
+ * 
+ * Body: { signerAddress, name, batchId, origin, metadataHash, productionDate, bestBeforeDate, useByDate,
+ *         inputs: [{ productId, portion }] }
+ * 
+ * Validates the registration fields and inputs, calls contractService.registerCompositeProduct(),
+ * generates QR code for the new product, and returns product ID, transaction hash, and QR code.
+ * portion is the share of each input used, in basis points (10000 = the whole input).
+ * The signer must own every input; fully consumed inputs can no longer be transferred.
+ */
+async function registerCompositeProduct(req, res) {
+  try {
+    const { signerAddress, name, batchId, origin, metadataHash = '', inputs } = req.body;
+    
+    // Validate inputs
+    const { error, dates } = validateRegistration(req.body);
+    if (error) {
+      return res.status(400).json(formatError(new Error(error), 'registerCompositeProduct'));
     }
-    if (!batchId || batchId.trim().length === 0) {
-      return res.status(400).json(formatError(new Error('Batch ID is required'), 'registerProduct'));
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_COMPOSITE_INPUTS) {
+      return res.status(400).json(formatError(new Error(`inputs must be an array of 1 to ${MAX_COMPOSITE_INPUTS} input products`), 'registerCompositeProduct'));
     }
-    if (!origin || origin.trim().length === 0) {
-      return res.status(400).json(formatError(new Error('Origin is required'), 'registerProduct'));
+    for (const input of inputs) {
+      if (!input || !isValidProductId(input.productId)) {
+        return res.status(400).json(formatError(new Error('Invalid input product ID'), 'registerCompositeProduct'));
+      }
+      if (!Number.isInteger(input.portion) || input.portion < 1 || input.portion > 10000) {
+        return res.status(400).json(formatError(new Error('Input portion must be an integer between 1 and 10000 basis points'), 'registerCompositeProduct'));
+      }
     }
     
-    // Call contractService.registerProduct()
-    const result = await contractService.registerProduct(signerAddress, name, batchId, origin, metadataHash);
+    const job = jobService.submit(signerAddress, 'registerCompositeProduct', () => contractService.registerCompositeProduct(signerAddress, name, batchId, origin, metadataHash, dates, inputs));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Generate QR code
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const qrCode = await qrService.generateQRCode(result.productId, baseUrl);
     
-    // Return response
     res.json({
       success: true,
+      jobId: job.id,
       productId: result.productId,
       transactionHash: result.transactionHash,
       qrCode: qrCode
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'registerProduct'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'registerCompositeProduct'));
+  }
+}
+
+/**
+ * Load a product the signer is about to change
+ * 
+ * @param {number} productId - Product ID
+ * @param {string} signerAddress - Signer address
+ * @returns {Promise<Object>} { product } if the signer owns it, otherwise { status, message }
+ * 
+ * Reads the contract rather than the indexer, so a transfer the indexer has not caught up
+ * with yet cannot decide who may change the product.
+ */
+async function loadOwnedProduct(productId, signerAddress) {
+  let product;
+  try {
+    product = await contractService.getProduct(productId);
+  } catch (error) {
+    if (isContractError(error, 'ProductNotFound')) {
+      return { status: 404, message: 'Product not found' };
+    }
+    throw error;
+  }
+  if (product.currentOwner.toLowerCase() !== signerAddress.toLowerCase()) {
+    return { status: 403, message: 'You are not the owner of this product' };
+  }
+  return { product };
+}
+
+/**
+ * Update product status
+ * PUT /api/products/:id/status
+ * 
+ * Body: { signerAddress, status }
+ * 
+ * status is a status name (e.g. "STORED") or its enum value. Only the current owner can
+ * update the status, and only along the contract's state machine:
+ * CREATED -> SHIPPED -> RECEIVED -> STORED -> DELIVERED, where RECEIVED can also go straight
+ * to DELIVERED and anything before DELIVERED can be marked EXPIRED. Invalid transitions are
+ * rejected with the statuses allowed from the current one, before a transaction is sent.
+ */
+async function updateProductStatus(req, res) {
+  try {
+    const productId = parseInt(req.params.id);
+    const { signerAddress, status } = req.body;
+    
+    // Validate inputs
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'updateProductStatus'));
+    }
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'updateProductStatus'));
+    }
+    const newStatus = typeof status === 'string' ? status.toUpperCase() : STATUS_NAMES[status];
+    if (!STATUS_NAMES.includes(newStatus)) {
+      return res.status(400).json(formatError(new Error(`status must be one of ${STATUS_NAMES.join(', ')}`), 'updateProductStatus'));
+    }
+    
+    const { product, status: errorStatus, message } = await loadOwnedProduct(productId, signerAddress);
+    if (!product) {
+      return res.status(errorStatus).json(formatError(new Error(message), 'updateProductStatus'));
+    }
+    
+    // Mirror the contract's state machine
+    const currentStatus = STATUS_NAMES[product.status];
+    const allowed = STATUS_TRANSITIONS[currentStatus];
+    if (!allowed.includes(newStatus)) {
+      const reason = allowed.length === 0
+        ? `Cannot change status after ${currentStatus}`
+        : `${currentStatus} can only transition to ${allowed.join(' or ')}`;
+      const error = new Error(reason);
+      error.code = 'INVALID_STATUS_TRANSITION';
+      return res.status(400).json({ ...formatError(error, 'updateProductStatus'), currentStatus, allowedStatuses: allowed });
+    }
+    
+    const job = jobService.submit(signerAddress, 'updateStatus', () => contractService.updateStatus(signerAddress, productId, STATUS_NAMES.indexOf(newStatus)));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    res.json({
+      success: true,
+      jobId: job.id,
+      productId: productId,
+      previousStatus: currentStatus,
+      status: newStatus,
+      transactionHash: result.transactionHash
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'updateProductStatus'));
+  }
+}
+
+/**
+ * Update product metadata
+ * PUT /api/products/:id/metadata
+ * 
+ * Body: { signerAddress, metadataHash } or { signerAddress, certificateType, certificateHash }
+ * 
+ * Only the current owner can update metadata. metadataHash replaces the stored metadata;
+ * certificateType and certificateHash attach one certificate instead, merged into the existing
+ * metadata like quality and compliance certificates (e.g. { "organic": "0x..." }).
+ */
+async function updateProductMetadata(req, res) {
+  try {
+    const productId = parseInt(req.params.id);
+    const { signerAddress, metadataHash, certificateType, certificateHash } = req.body;
+    
+    // Validate inputs
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'updateProductMetadata'));
+    }
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'updateProductMetadata'));
+    }
+    const isCertificate = certificateType !== undefined || certificateHash !== undefined;
+    if (isCertificate && metadataHash !== undefined) {
+      return res.status(400).json(formatError(new Error('Send either metadataHash or certificateType and certificateHash, not both'), 'updateProductMetadata'));
+    }
+    if (isCertificate) {
+      if (typeof certificateType !== 'string' || !CERTIFICATE_TYPE_PATTERN.test(certificateType)) {
+        return res.status(400).json(formatError(new Error('certificateType must be 1-32 letters, digits, dashes or underscores, starting with a letter'), 'updateProductMetadata'));
+      }
+      if (typeof certificateHash !== 'string' || certificateHash.trim().length === 0) {
+        return res.status(400).json(formatError(new Error('Certificate hash is required'), 'updateProductMetadata'));
+      }
+    } else if (typeof metadataHash !== 'string' || metadataHash.trim().length === 0) {
+      return res.status(400).json(formatError(new Error('Metadata hash is required'), 'updateProductMetadata'));
+    }
+    
+    const { product, status: errorStatus, message } = await loadOwnedProduct(productId, signerAddress);
+    if (!product) {
+      return res.status(errorStatus).json(formatError(new Error(message), 'updateProductMetadata'));
+    }
+    
+    const newMetadataHash = isCertificate
+      ? mergeCertificateMetadata(product.metadataHash, certificateType, certificateHash.trim())
+      : metadataHash.trim();
+    
+    const job = jobService.submit(signerAddress, 'updateProductMetadata', () => contractService.updateProductMetadata(signerAddress, productId, newMetadataHash));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    res.json({
+      success: true,
+      jobId: job.id,
+      productId: productId,
+      metadataHash: newMetadataHash,
+      transactionHash: result.transactionHash
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'updateProductMetadata'));
   }
 }
 
@@ -58,7 +354,7 @@ async function registerProduct(req, res) {
  * Get product information
  * GET /api/products/:id
  * 
- * Validates product ID, calls contractService.getProduct() which already includes
+ * Validates product ID, calls indexerService.getProduct() which already includes
  * owner, status, and authentic status, and returns formatted product data.
  */
 async function getProduct(req, res) {
@@ -70,8 +366,8 @@ async function getProduct(req, res) {
       return res.status(400).json(formatError(new Error('Invalid product ID'), 'getProduct'));
     }
     
-    // Call contractService.getProduct() (already includes owner, status, authentic)
-    const product = await contractService.getProduct(productId);
+    // Call indexerService.getProduct() (already includes owner, status, authentic)
+    const product = await indexerService.getProduct(productId);
     
     // Return formatted product
     res.json({
@@ -79,7 +375,7 @@ async function getProduct(req, res) {
       product: product
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getProduct'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProduct'));
   }
 }
 
@@ -87,7 +383,7 @@ async function getProduct(req, res) {
  * Get product journey
  * GET /api/products/:id/journey
  * 
- * Validates product ID, calls contractService.getProductJourney(), and returns journey array.
+ * Validates product ID, calls indexerService.getProductJourney(), and returns journey array.
  */
 async function getProductJourney(req, res) {
   try {
@@ -98,8 +394,8 @@ async function getProductJourney(req, res) {
       return res.status(400).json(formatError(new Error('Invalid product ID'), 'getProductJourney'));
     }
     
-    // Call contractService.getProductJourney()
-    const journey = await contractService.getProductJourney(productId);
+    // Call indexerService.getProductJourney()
+    const journey = await indexerService.getProductJourney(productId);
     
     // Return journey
     res.json({
@@ -107,7 +403,7 @@ async function getProductJourney(req, res) {
       journey: journey
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getProductJourney'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProductJourney'));
   }
 }
 
@@ -116,7 +412,9 @@ async function getProductJourney(req, res) {
  * GET /api/products/:id/provenance
  * 
  * Validates product ID, calls contractService.getCompleteProvenance(),
- * parses JSON string, and returns provenance object.
+ * parses JSON string, attaches the upstream ingredient tree from
+ * contractService.getIngredientTree() and the valid (unrevoked, unexpired) certificates
+ * from contractService.getProductCertificates(), and returns provenance object.
  */
 async function getProductProvenance(req, res) {
   try {
@@ -133,13 +431,61 @@ async function getProductProvenance(req, res) {
     // Parse JSON string
     const provenance = JSON.parse(provenanceString);
     
+    // Walk the ingredient DAG upstream (empty for raw products)
+    provenance.ingredients = await contractService.getIngredientTree(productId);
+    
+    // Only certificates that still hold count towards provenance
+    const certificates = await contractService.getProductCertificates(productId);
+    provenance.certificates = certificates.filter((certificate) => certificate.isValid);
+    
     // Return provenance
     res.json({
       success: true,
       provenance: provenance
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getProductProvenance'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProductProvenance'));
+  }
+}
+
+/**
+ * Get products made from a product
+ * GET /api/products/:id/derived
+ * 
+ * Validates product ID, calls contractService.getDerivedProducts(), and returns the
+ * downstream tree plus a flat list of every affected product, so a contaminated
+ * ingredient can be traced into every finished good that used it.
+ */
+async function getDerivedProducts(req, res) {
+  try {
+    const productId = parseInt(req.params.id);
+    
+    // Validate productId
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'getDerivedProducts'));
+    }
+    
+    const derived = await contractService.getDerivedProducts(productId);
+    
+    // Flatten the tree, listing products reachable through several paths once
+    const affected = new Map();
+    const collect = (nodes) => {
+      for (const node of nodes) {
+        const { derived: children, portion, transactionHash, ...product } = node;
+        affected.set(node.productId, product);
+        collect(children);
+      }
+    };
+    collect(derived);
+    
+    res.json({
+      success: true,
+      productId: productId,
+      derived: derived,
+      affectedProducts: Array.from(affected.values())
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getDerivedProducts'));
   }
 }
 
@@ -147,8 +493,8 @@ async function getProductProvenance(req, res) {
  * List products (filtered by role/ownership/producer)
  * GET /api/products?owner=address&producer=address
  * 
- * Gets optional query params (owner, producer), gets product count,
- * fetches products and filters by owner or producer, and returns product list.
+ * Gets optional query params (owner, producer), reads matching products from the
+ * indexed store via indexerService.listProducts(), and returns product list.
  * 
  * - If `producer` is specified: returns all products registered by that producer (regardless of current ownership)
  * - If `owner` is specified: returns all products currently owned by that address
@@ -158,67 +504,68 @@ async function listProducts(req, res) {
   try {
     const { owner, producer } = req.query;
     
-    // Get product count
-    const count = await contractService.getProductCount();
-    
-    const products = [];
-    
-    // If producer specified, filter by producer (who registered the product)
-    if (producer && isValidAddress(producer)) {
-      for (let i = 1; i <= count; i++) {
-        try {
-          const product = await contractService.getProduct(i);
-          if (product.producer && product.producer.toLowerCase() === producer.toLowerCase()) {
-            products.push(product);
-          }
-        } catch (error) {
-          // Product might not exist, skip it
-          continue;
-        }
-      }
+    // Malformed filters are ignored
+    const products = await indexerService.listProducts({
+      producer: producer && isValidAddress(producer) ? producer : undefined,
+      owner: owner && isValidAddress(owner) ? owner : undefined
+    });
+    
+    // Return list of products
+    res.json({
+      success: true,
+      products: products,
+      count: products.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'listProducts'));
+  }
+}
+
+/**
+ * List products expiring soon for an owner
+ * GET /api/products/expiring?owner=0x...&days=7
+ * 
+ * Validates owner address and days (default 7), calls indexerService.getExpiringProducts(),
+ * and returns the owner's undelivered products whose best-before or use-by date falls within
+ * the window, soonest first. Products already past those dates are included.
+ */
+async function getExpiringProducts(req, res) {
+  try {
+    const { owner } = req.query;
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    
+    // Validate inputs
+    if (!owner || !isValidAddress(owner)) {
+      return res.status(400).json(formatError(new Error('Invalid owner address'), 'getExpiringProducts'));
     }
-    // If owner specified, filter by current owner
-    else if (owner && isValidAddress(owner)) {
-      for (let i = 1; i <= count; i++) {
-        try {
-          const product = await contractService.getProduct(i);
-          if (product.currentOwner && product.currentOwner.toLowerCase() === owner.toLowerCase()) {
-            products.push(product);
-          }
-        } catch (error) {
-          // Product might not exist, skip it
-          continue;
-        }
-      }
-    } else {
-      // Fetch all products
-      for (let i = 1; i <= count; i++) {
-        try {
-          const product = await contractService.getProduct(i);
-          products.push(product);
-        } catch (error) {
-          // Product might not exist, skip it
-          continue;
-        }
-      }
+    if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WINDOW_DAYS) {
+      return res.status(400).json(formatError(new Error(`days must be an integer between 0 and ${MAX_EXPIRY_WINDOW_DAYS}`), 'getExpiringProducts'));
     }
     
-    // Return list of products
+    const products = await indexerService.getExpiringProducts(owner, days);
+    
     res.json({
       success: true,
+      owner: owner,
+      days: days,
       products: products,
       count: products.length
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'listProducts'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getExpiringProducts'));
   }
 }
 
 module.exports = {
   registerProduct,
+  registerCompositeProduct,
+  updateProductStatus,
+  updateProductMetadata,
   getProduct,
   getProductJourney,
   getProductProvenance,
-  listProducts
+  getDerivedProducts,
+  listProducts,
+  getExpiringProducts
 };
 
@@ -0,0 +1,195 @@
+/**
+ * Recall Controller
+ * Handles product recall operations (Regulator only)
+ */
+
+const contractService = require('../services/contractService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, isValidProductId, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+const RECALL_SCOPES = ['product', 'batch', 'producer'];
+
+/**
+ * Issue a recall (Regulator only)
+ * POST /api/recalls
+ * 
+ * Body: { signerAddress, scope, productId | batchId and producer | producer, reason, severity }
+ * 
+ * Validates inputs (scope must be product, batch or producer, with the matching target;
+ * batch recalls name the producer too, since batch IDs are only unique per producer;
+ * severity must be 0-2), verifies signer has REGULATOR role,
+ * calls contractService.issueRecall(), and returns recall ID and transaction hash.
+ */
+async function issueRecall(req, res) {
+  try {
+    const { signerAddress, scope, productId, batchId, producer, reason, severity } = req.body;
+    
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'issueRecall'));
+    }
+    if (!RECALL_SCOPES.includes(scope)) {
+      return res.status(400).json(formatError(new Error('scope must be one of product, batch or producer'), 'issueRecall'));
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json(formatError(new Error('Recall reason is required'), 'issueRecall'));
+    }
+    if (!Number.isInteger(severity) || severity < 0 || severity > 2) {
+      return res.status(400).json(formatError(new Error('Invalid severity (must be 0-2)'), 'issueRecall'));
+    }
+    
+    // Resolve the recall target for the requested scope
+    let target;
+    if (scope === 'product') {
+      if (!isValidProductId(productId)) {
+        return res.status(400).json(formatError(new Error('Invalid product ID'), 'issueRecall'));
+      }
+      target = productId;
+    } else if (scope === 'batch') {
+      if (!batchId || typeof batchId !== 'string' || batchId.trim().length === 0) {
+        return res.status(400).json(formatError(new Error('Batch ID is required'), 'issueRecall'));
+      }
+      if (!producer || !isValidAddress(producer)) {
+        return res.status(400).json(formatError(new Error('Invalid producer address'), 'issueRecall'));
+      }
+      target = { producer, batchId };
+    } else {
+      if (!producer || !isValidAddress(producer)) {
+        return res.status(400).json(formatError(new Error('Invalid producer address'), 'issueRecall'));
+      }
+      target = producer;
+    }
+    
+    // Check user role (must be REGULATOR)
+    const hasRegulatorRole = await contractService.hasRole(signerAddress, 3); // REGULATOR = 3
+    
+    if (!hasRegulatorRole) {
+      return res.status(403).json(formatError(new Error('You must be a REGULATOR to issue recalls'), 'issueRecall'));
+    }
+    
+    // Queue contractService.issueRecall()
+    const job = jobService.submit(signerAddress, 'issueRecall', () => contractService.issueRecall(signerAddress, scope, target, reason.trim(), severity));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    // Return recall ID and transaction hash
+    res.json({
+      success: true,
+      jobId: job.id,
+      recallId: result.recallId,
+      transactionHash: result.transactionHash,
+      message: scope === 'batch'
+        ? `Recall issued for batch ${batchId} of producer ${producer}`
+        : `Recall issued for ${scope} ${target}`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'issueRecall'));
+  }
+}
+
+/**
+ * List all recalls
+ * GET /api/recalls
+ * 
+ * Calls contractService.listRecalls() and returns recall records, oldest first.
+ */
+async function listRecalls(req, res) {
+  try {
+    const recalls = await contractService.listRecalls();
+    
+    res.json({
+      success: true,
+      recalls: recalls,
+      count: recalls.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'listRecalls'));
+  }
+}
+
+/**
+ * Get a recall by ID
+ * GET /api/recalls/:id
+ * 
+ * Validates recall ID, calls contractService.getRecall(), and returns the recall record.
+ */
+async function getRecall(req, res) {
+  try {
+    const recallId = parseInt(req.params.id);
+    
+    // Validate recallId
+    if (!Number.isInteger(recallId) || recallId <= 0) {
+      return res.status(400).json(formatError(new Error('Invalid recall ID'), 'getRecall'));
+    }
+    
+    const recall = await contractService.getRecall(recallId);
+    
+    res.json({
+      success: true,
+      recall: recall
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRecall'));
+  }
+}
+
+/**
+ * Get recall status of a product
+ * GET /api/recalls/product/:productId
+ * 
+ * Validates product ID, calls contractService.getProductRecall(), and returns
+ * whether the product is recalled together with the covering recall.
+ */
+async function getProductRecall(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+    
+    // Validate productId
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'getProductRecall'));
+    }
+    
+    const recall = await contractService.getProductRecall(productId);
+    
+    res.json({
+      success: true,
+      productId: productId,
+      recalled: recall !== null,
+      recall: recall
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getProductRecall'));
+  }
+}
+
+/**
+ * Get current holders of recalled products
+ * GET /api/recalls/holders
+ * 
+ * Calls contractService.getRecalledHolders() and returns every address currently
+ * holding recalled products, with the products and covering recall IDs.
+ */
+async function getRecalledHolders(req, res) {
+  try {
+    const holders = await contractService.getRecalledHolders();
+    
+    res.json({
+      success: true,
+      holders: holders,
+      count: holders.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRecalledHolders'));
+  }
+}
+
+module.exports = {
+  issueRecall,
+  listRecalls,
+  getRecall,
+  getProductRecall,
+  getRecalledHolders
+};
@@ -0,0 +1,39 @@
+/**
+ * Relay Controller
+ * Serves what clients need to sign meta-transactions for the relayer
+ */
+
+const relayService = require('../services/relayService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress } = require('../utils/helpers');
+
+/**
+ * Get signing details for an address
+ * GET /api/relay/:address
+ * 
+ * Returns the relayer address, the EIP-712 domain and types, and the nonce the address
+ * must sign its next request with. Signed requests are sent to the usual write endpoints
+ * with nonce, deadline and signature added to the body.
+ */
+async function getRelayInfo(req, res) {
+  try {
+    const { address } = req.params;
+    
+    if (!isValidAddress(address)) {
+      return res.status(400).json(formatError(new Error('Invalid address'), 'getRelayInfo'));
+    }
+    
+    const info = await relayService.getRelayInfo(address);
+    
+    res.json({
+      success: true,
+      ...info
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRelayInfo'));
+  }
+}
+
+module.exports = {
+  getRelayInfo
+};
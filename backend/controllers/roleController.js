@@ -4,15 +4,83 @@
  */
 
 const contractService = require('../services/contractService');
-const { formatError } = require('../utils/errors');
-const { isValidAddress, getDeployerAddress } = require('../utils/helpers');
+const indexerService = require('../services/indexerService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, getDeployerAddress, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Role enum names, in SafeBiteAccessRoles order
+const ROLE_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
+
+// Role returned for addresses without an assigned role
+const ROLE_CONSUMER = 4;
+
+// Default look-ahead for roles expiring soon (7 days)
+const DEFAULT_EXPIRY_WINDOW = 7 * 24 * 60 * 60;
+
+/**
+ * Parse a role given as an enum value or a name
+ * 
+ * @param {number|string} value - Role value (e.g. 0 or "0") or name (e.g. "PRODUCER")
+ * @returns {number|null} Role enum value, or null if invalid
+ */
+function parseRole(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const role = Number(value);
+    return Number.isInteger(role) && role >= 0 && role < ROLE_NAMES.length ? role : null;
+  }
+  const index = ROLE_NAMES.indexOf(String(value).toUpperCase());
+  return index === -1 ? null : index;
+}
+
+/**
+ * Describe the roles an address holds for API responses
+ * 
+ * @param {Array<number>} roles - Role enum values in enum order
+ * @returns {Object} { role, roleName, roles, roleNames } where role is the first role held
+ *   (CONSUMER if none), kept for clients that expect a single role
+ */
+function describeRoles(roles) {
+  const role = roles.length > 0 ? roles[0] : ROLE_CONSUMER;
+  return {
+    role: role,
+    roleName: ROLE_NAMES[role],
+    roles: roles,
+    roleNames: roles.map((held) => ROLE_NAMES[held])
+  };
+}
+
+/**
+ * Describe role grants for API responses
+ * 
+ * @param {Array<Object>} grants - Grants from indexerService
+ * @returns {Array<Object>} Grants with their roleName
+ */
+function describeGrants(grants) {
+  return grants.map((grant) => ({ ...grant, roleName: ROLE_NAMES[grant.role] }));
+}
+
+/**
+ * Parse an optional role expiry
+ * 
+ * @param {*} value - Expiry in Unix seconds, or undefined/null/0 for none
+ * @returns {number|null} Expiry (0 = never expires), or null if invalid
+ */
+function parseValidUntil(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const validUntil = Number(value);
+  return Number.isInteger(validUntil) && validUntil >= 0 ? validUntil : null;
+}
 
 /**
  * Check user role
  * GET /api/roles/check/:address
  * 
- * Validates address, calls contractService.getUserRole(),
- * maps role number to role name, and returns role info.
+ * Validates address, calls indexerService.getUserRoles(),
+ * and returns every role the address holds plus its first role.
+ * grants also lists expired and suspended roles, which do not count.
  */
 async function checkRole(req, res) {
   try {
@@ -23,22 +91,19 @@ async function checkRole(req, res) {
       return res.status(400).json(formatError(new Error('Invalid address'), 'checkRole'));
     }
     
-    // Call contractService.getUserRole()
-    const role = await contractService.getUserRole(address);
-    
-    // Map role number to role name
-    const roleNames = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
-    const roleName = roleNames[role] || 'UNKNOWN';
+    // Call indexerService.getUserRoles()
+    const roles = await indexerService.getUserRoles(address);
+    const grants = await indexerService.getRoleGrants(address);
     
     // Return role info
     res.json({
       success: true,
       address: address,
-      role: role,
-      roleName: roleName
+      ...describeRoles(roles),
+      grants: describeGrants(grants)
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'checkRole'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'checkRole'));
   }
 }
 
@@ -46,8 +111,8 @@ async function checkRole(req, res) {
  * Get current user's role (from wallet address in query)
  * GET /api/roles/my-role?address=0x...
  * 
- * Gets address from query params, validates it, calls contractService.getUserRole(),
- * maps role number to role name, and returns role.
+ * Gets address from query params, validates it, calls indexerService.getUserRoles(),
+ * and returns every role the address holds plus its first role.
  */
 async function getMyRole(req, res) {
   try {
@@ -58,21 +123,16 @@ async function getMyRole(req, res) {
       return res.status(400).json(formatError(new Error('Invalid address'), 'getMyRole'));
     }
     
-    // Call contractService.getUserRole()
-    const role = await contractService.getUserRole(address);
-    
-    // Map role number to role name
-    const roleNames = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
-    const roleName = roleNames[role] || 'UNKNOWN';
+    // Call indexerService.getUserRoles()
+    const roles = await indexerService.getUserRoles(address);
     
     // Return role
     res.json({
       success: true,
-      role: role,
-      roleName: roleName
+      ...describeRoles(roles)
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getMyRole'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getMyRole'));
   }
 }
 
@@ -80,14 +140,18 @@ async function getMyRole(req, res) {
  * Grant role to address (Admin only - for demo setup)
  * POST /api/roles/grant
  * 
- * Body: { signerAddress, accountAddress, role }
+ * Body: { signerAddress, accountAddress, role, validUntil }
  * 
- * Validates inputs, calls contractService.grantRole() (contract enforces owner check),
- * and returns transaction hash.
+ * Validates inputs, calls contractService.grantRole() (contract enforces the admin check:
+ * the owner, or an admin of the account's organization for PRODUCER, DISTRIBUTOR and RETAILER),
+ * and returns transaction hash. The role is added to the roles the account already holds.
+ * validUntil is an optional expiry in Unix seconds; granting a held role again sets its
+ * expiry, which renews time-limited roles (omit it to make the role permanent).
  */
 async function grantRole(req, res) {
   try {
     const { signerAddress, accountAddress, role } = req.body;
+    const validUntil = parseValidUntil(req.body.validUntil);
     
     // Validate inputs
     if (!signerAddress || !isValidAddress(signerAddress)) {
@@ -102,18 +166,300 @@ async function grantRole(req, res) {
     if (role === 4) {
       return res.status(400).json(formatError(new Error('CONSUMER role is public and does not need to be granted'), 'grantRole'));
     }
+    if (validUntil === null) {
+      return res.status(400).json(formatError(new Error('validUntil must be a Unix timestamp in seconds'), 'grantRole'));
+    }
     
-    // Call contractService.grantRole() (contract enforces owner check)
-    const result = await contractService.grantRole(signerAddress, accountAddress, role);
+    // Queue contractService.grantRole() (contract enforces owner check and that the expiry is in the future)
+    const job = jobService.submit(signerAddress, 'grantRole', () => contractService.grantRole(signerAddress, accountAddress, role, validUntil));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Return transaction hash
     res.json({
       success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      validUntil: validUntil,
+      message: validUntil ? `Role granted until ${new Date(validUntil * 1000).toISOString()}` : `Role granted successfully`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'grantRole'));
+  }
+}
+
+/**
+ * Revoke a role from an address (contract owner or organization admin)
+ * POST /api/roles/revoke
+ * 
+ * Body: { signerAddress, accountAddress, role }
+ * 
+ * role is optional when the account holds a single role, which is then revoked; accounts
+ * holding several roles must name the one to revoke, and their other roles are kept.
+ * Expired and suspended roles can be revoked too.
+ * The indexed roles are checked first so mistakes are reported without sending a transaction.
+ * The contract enforces the admin check, as for grants.
+ */
+async function revokeRole(req, res) {
+  try {
+    const { signerAddress, accountAddress } = req.body;
+    
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'revokeRole'));
+    }
+    if (!accountAddress || !isValidAddress(accountAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid account address'), 'revokeRole'));
+    }
+    const requestedRole = req.body.role === undefined ? null : parseRole(req.body.role);
+    if (req.body.role !== undefined && requestedRole === null) {
+      return res.status(400).json(formatError(new Error('Invalid role (must be 0-4 or a role name)'), 'revokeRole'));
+    }
+    
+    const currentRoles = (await indexerService.getRoleGrants(accountAddress)).map((grant) => grant.role);
+    const heldNames = currentRoles.map((held) => ROLE_NAMES[held]).join(', ');
+    if (currentRoles.length === 0) {
+      return res.status(400).json(formatError(new Error('Account has no role to revoke'), 'revokeRole'));
+    }
+    if (requestedRole === null && currentRoles.length > 1) {
+      return res.status(400).json(formatError(new Error(`Account holds ${heldNames}; specify the role to revoke`), 'revokeRole'));
+    }
+    if (requestedRole !== null && !currentRoles.includes(requestedRole)) {
+      return res.status(400).json(formatError(new Error(`Account holds ${heldNames}, not ${ROLE_NAMES[requestedRole]}`), 'revokeRole'));
+    }
+    const role = requestedRole === null ? currentRoles[0] : requestedRole;
+    
+    const job = jobService.submit(signerAddress, 'revokeRole', () => contractService.revokeRole(signerAddress, accountAddress, role));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      accountAddress: accountAddress,
+      role: role,
+      roleName: ROLE_NAMES[role],
+      message: `${ROLE_NAMES[role]} role revoked from ${accountAddress}`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'revokeRole'));
+  }
+}
+
+/**
+ * Validate a suspension change and load the grant it applies to
+ * 
+ * @param {Object} req - Express request with body { signerAddress, accountAddress, role }
+ * @param {Object} res - Express response, answered with 400 when validation fails
+ * @param {string} context - Error context
+ * @returns {Promise<Object|null>} The indexed grant, or null if a response was sent
+ */
+async function loadGrant(req, res, context) {
+  const { signerAddress, accountAddress } = req.body;
+  
+  if (!signerAddress || !isValidAddress(signerAddress)) {
+    res.status(400).json(formatError(new Error('Invalid signer address'), context));
+    return null;
+  }
+  if (!accountAddress || !isValidAddress(accountAddress)) {
+    res.status(400).json(formatError(new Error('Invalid account address'), context));
+    return null;
+  }
+  const role = parseRole(req.body.role);
+  if (req.body.role === undefined || role === null || role === ROLE_CONSUMER) {
+    res.status(400).json(formatError(new Error('Invalid role (must be 0-3 or a role name)'), context));
+    return null;
+  }
+  
+  const grant = (await indexerService.getRoleGrants(accountAddress)).find((entry) => entry.role === role);
+  if (!grant) {
+    res.status(400).json(formatError(new Error(`Account does not hold ${ROLE_NAMES[role]}`), context));
+    return null;
+  }
+  return grant;
+}
+
+/**
+ * Suspend a role of an address (contract owner or organization admin)
+ * POST /api/roles/suspend
+ * 
+ * Body: { signerAddress, accountAddress, role }
+ * 
+ * The account keeps the grant, but the role stops counting until it is reinstated,
+ * e.g. while a distributor is under investigation. The contract enforces the admin check.
+ */
+async function suspendRole(req, res) {
+  try {
+    const grant = await loadGrant(req, res, 'suspendRole');
+    if (!grant) {
+      return;
+    }
+    if (grant.suspended) {
+      return res.status(400).json(formatError(new Error(`${ROLE_NAMES[grant.role]} is already suspended`), 'suspendRole'));
+    }
+    const { signerAddress, accountAddress } = req.body;
+    
+    const job = jobService.submit(signerAddress, 'suspendRole', () => contractService.suspendRole(signerAddress, accountAddress, grant.role));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    res.json({
+      success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
-      message: `Role granted successfully`
+      accountAddress: accountAddress,
+      role: grant.role,
+      roleName: ROLE_NAMES[grant.role],
+      message: `${ROLE_NAMES[grant.role]} role of ${accountAddress} suspended`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'suspendRole'));
+  }
+}
+
+/**
+ * Reinstate a suspended role (contract owner or organization admin)
+ * POST /api/roles/reinstate
+ * 
+ * Body: { signerAddress, accountAddress, role }
+ * 
+ * The role counts again unless it expired in the meantime.
+ */
+async function reinstateRole(req, res) {
+  try {
+    const grant = await loadGrant(req, res, 'reinstateRole');
+    if (!grant) {
+      return;
+    }
+    if (!grant.suspended) {
+      return res.status(400).json(formatError(new Error(`${ROLE_NAMES[grant.role]} is not suspended`), 'reinstateRole'));
+    }
+    const { signerAddress, accountAddress } = req.body;
+    
+    const job = jobService.submit(signerAddress, 'reinstateRole', () => contractService.reinstateRole(signerAddress, accountAddress, grant.role));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      accountAddress: accountAddress,
+      role: grant.role,
+      roleName: ROLE_NAMES[grant.role],
+      message: `${ROLE_NAMES[grant.role]} role of ${accountAddress} reinstated`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'reinstateRole'));
+  }
+}
+
+/**
+ * List time-limited roles expiring soon
+ * GET /api/roles/expiring?within=604800&role=REGULATOR
+ * 
+ * within is the look-ahead in seconds (default 7 days); role is optional. Roles that have
+ * already expired are included, flagged expired, since they stay granted until renewed
+ * or revoked. Soonest expiry first, so admins can renew before operations stop.
+ */
+async function getExpiringRoles(req, res) {
+  try {
+    const within = req.query.within === undefined ? DEFAULT_EXPIRY_WINDOW : Number(req.query.within);
+    if (!Number.isInteger(within) || within < 0) {
+      return res.status(400).json(formatError(new Error('within must be a number of seconds'), 'getExpiringRoles'));
+    }
+    let role = null;
+    if (req.query.role !== undefined && req.query.role !== '') {
+      role = parseRole(req.query.role);
+      if (role === null || role === ROLE_CONSUMER) {
+        return res.status(400).json(formatError(new Error('Invalid role (must be 0-3 or a role name)'), 'getExpiringRoles'));
+      }
+    }
+    
+    const grants = await indexerService.getExpiringRoles(within, role);
+    
+    res.json({
+      success: true,
+      within: within,
+      grants: describeGrants(grants),
+      count: grants.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getExpiringRoles'));
+  }
+}
+
+/**
+ * List role holders
+ * GET /api/roles/holders?role=PRODUCER
+ * 
+ * role is optional (enum value or name); without it every address with an assigned role
+ * is listed, once per role it holds. Expired and suspended grants are listed with active
+ * false. Reads the indexed roles via indexerService.getRoleHolders().
+ */
+async function getRoleHolders(req, res) {
+  try {
+    let role = null;
+    if (req.query.role !== undefined && req.query.role !== '') {
+      role = parseRole(req.query.role);
+      if (role === null) {
+        return res.status(400).json(formatError(new Error('Invalid role (must be 0-4 or a role name)'), 'getRoleHolders'));
+      }
+      if (role === ROLE_CONSUMER) {
+        return res.status(400).json(formatError(new Error('CONSUMER role is public and has no holder list'), 'getRoleHolders'));
+      }
+    }
+    
+    const holders = await indexerService.getRoleHolders(role);
+    
+    res.json({
+      success: true,
+      role: role,
+      roleName: role === null ? null : ROLE_NAMES[role],
+      holders: holders.map((holder) => ({ ...holder, roleName: ROLE_NAMES[holder.role] })),
+      count: holders.length
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'grantRole'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRoleHolders'));
+  }
+}
+
+/**
+ * Get the role history of an address
+ * GET /api/roles/history/:address
+ * 
+ * Returns every grant, revocation, expiry change, suspension and reinstatement of the
+ * address, oldest first, together with its current roles.
+ */
+async function getRoleHistory(req, res) {
+  try {
+    const address = req.params.address;
+    
+    // Validate address
+    if (!isValidAddress(address)) {
+      return res.status(400).json(formatError(new Error('Invalid address'), 'getRoleHistory'));
+    }
+    
+    const history = await indexerService.getRoleHistory(address);
+    const roles = await indexerService.getUserRoles(address);
+    
+    res.json({
+      success: true,
+      address: address,
+      ...describeRoles(roles),
+      history: history.map((change) => ({ ...change, roleName: ROLE_NAMES[change.role] }))
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRoleHistory'));
   }
 }
 
@@ -121,15 +467,19 @@ async function grantRole(req, res) {
  * Grant role to address using deployer account (Development only)
  * POST /api/roles/grant-dev
  * 
- * Body: { accountAddress, role }
+ * Only registered when NODE_ENV is development (see routes/roles.js).
+ * 
+ * Body: { accountAddress, role, validUntil }
  * 
  * Automatically uses the deployer account from deployment file as signer.
  * This is a convenience endpoint for development/testing with Hardhat accounts.
  * No need to provide signerAddress - it uses the contract owner automatically.
+ * validUntil is an optional expiry in Unix seconds, as for POST /api/roles/grant.
  */
 async function grantRoleDev(req, res) {
   try {
     const { accountAddress, role } = req.body;
+    const validUntil = parseValidUntil(req.body.validUntil);
     
     // Validate inputs
     if (!accountAddress || !isValidAddress(accountAddress)) {
@@ -141,6 +491,9 @@ async function grantRoleDev(req, res) {
     if (role === 4) {
       return res.status(400).json(formatError(new Error('CONSUMER role is public and does not need to be granted'), 'grantRoleDev'));
     }
+    if (validUntil === null) {
+      return res.status(400).json(formatError(new Error('validUntil must be a Unix timestamp in seconds'), 'grantRoleDev'));
+    }
     
     // Get deployer address from deployment file
     let deployerAddress;
@@ -150,8 +503,12 @@ async function grantRoleDev(req, res) {
       return res.status(500).json(formatError(new Error(`Failed to get deployer address: ${error.message}`), 'grantRoleDev'));
     }
     
-    // Call contractService.grantRole() using deployer as signer
-    const result = await contractService.grantRole(deployerAddress, accountAddress, role);
+    // Queue contractService.grantRole() using deployer as signer
+    const job = jobService.submit(deployerAddress, 'grantRole', () => contractService.grantRole(deployerAddress, accountAddress, role, validUntil));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Map role number to role name
     const roleNames = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
@@ -160,15 +517,17 @@ async function grantRoleDev(req, res) {
     // Return transaction hash
     res.json({
       success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
       deployerAddress: deployerAddress,
       accountAddress: accountAddress,
       role: role,
       roleName: roleName,
+      validUntil: validUntil,
       message: `${roleName} role granted successfully to ${accountAddress}`
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'grantRoleDev'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'grantRoleDev'));
   }
 }
 
@@ -218,7 +577,8 @@ async function batchGrantRoleDev(req, res) {
     
     for (const assignment of assignments) {
       try {
-        const result = await contractService.grantRole(deployerAddress, assignment.accountAddress, assignment.role);
+        const job = jobService.submit(deployerAddress, 'grantRole', () => contractService.grantRole(deployerAddress, assignment.accountAddress, assignment.role));
+        const result = await job.promise;
         results.push({
           accountAddress: assignment.accountAddress,
           role: assignment.role,
@@ -248,7 +608,7 @@ async function batchGrantRoleDev(req, res) {
       message: `Granted ${results.length} out of ${assignments.length} roles successfully`
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'batchGrantRoleDev'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'batchGrantRoleDev'));
   }
 }
 
@@ -256,6 +616,12 @@ module.exports = {
   checkRole,
   getMyRole,
   grantRole,
+  revokeRole,
+  suspendRole,
+  reinstateRole,
+  getExpiringRoles,
+  getRoleHolders,
+  getRoleHistory,
   grantRoleDev,
   batchGrantRoleDev
 };
@@ -0,0 +1,270 @@
+/**
+ * Role Request Controller
+ * Handles role applications and their review by admins
+ */
+
+const contractService = require('../services/contractService');
+const indexerService = require('../services/indexerService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+// Role enum names, in SafeBiteAccessRoles order
+const ROLE_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
+
+// RequestStatus enum names, in SafeBiteAccessRoles order
+const STATUS_NAMES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// Most supporting documents a request can carry (SafeBiteAccessRoles.MAX_REQUEST_DOCUMENTS)
+const MAX_REQUEST_DOCUMENTS = 10;
+
+/**
+ * Add role and status names to a request for API responses
+ * 
+ * @param {Object} request - Request from indexerService
+ * @returns {Object} Request with roleName and statusName
+ */
+function describeRequest(request) {
+  return {
+    ...request,
+    roleName: ROLE_NAMES[request.role],
+    statusName: STATUS_NAMES[request.status]
+  };
+}
+
+/**
+ * Parse a request ID route parameter
+ * 
+ * @param {string} value - Route parameter
+ * @returns {number|null} Request ID, or null if not a positive integer
+ */
+function parseRequestId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Load a pending request for review
+ * 
+ * @param {Object} req - Express request with the request ID in params.id
+ * @param {Object} res - Express response, answered with 400/404 when the request cannot be reviewed
+ * @param {string} context - Error context
+ * @returns {Promise<Object|null>} The request, or null if a response was sent
+ */
+async function loadPendingRequest(req, res, context) {
+  const requestId = parseRequestId(req.params.id);
+  if (requestId === null) {
+    res.status(400).json(formatError(new Error('Invalid request ID'), context));
+    return null;
+  }
+
+  const request = await indexerService.getRoleRequest(requestId);
+  if (!request) {
+    res.status(404).json(formatError(new Error('Role request not found'), context));
+    return null;
+  }
+  if (STATUS_NAMES[request.status] !== 'PENDING') {
+    res.status(400).json(formatError(new Error(`Role request was already ${STATUS_NAMES[request.status].toLowerCase()}`), context));
+    return null;
+  }
+  return request;
+}
+
+/**
+ * Apply for a role
+ * POST /api/role-requests
+ * 
+ * Body: { signerAddress, role, organizationName, documentHashes }
+ * 
+ * The signer is the applicant. role is 0-3 or a role name; documentHashes is an optional
+ * list of up to 10 hashes or references of supporting documents (licenses, registrations).
+ * The request is recorded on-chain and stays on record after it is decided.
+ */
+async function submitRequest(req, res) {
+  try {
+    const { signerAddress } = req.body;
+    const role = /^\d+$/.test(String(req.body.role)) ? Number(req.body.role) : ROLE_NAMES.indexOf(String(req.body.role).toUpperCase());
+    const organizationName = typeof req.body.organizationName === 'string' ? req.body.organizationName.trim() : '';
+    const documentHashes = req.body.documentHashes === undefined ? [] : req.body.documentHashes;
+
+    if (!Number.isInteger(role) || role < 0 || role > 3) {
+      return res.status(400).json(formatError(new Error('Invalid role (must be 0-3 or a role name other than CONSUMER)'), 'submitRequest'));
+    }
+    if (!organizationName) {
+      return res.status(400).json(formatError(new Error('Organization name is required'), 'submitRequest'));
+    }
+    if (!Array.isArray(documentHashes) || documentHashes.some((hash) => typeof hash !== 'string' || !hash.trim())) {
+      return res.status(400).json(formatError(new Error('documentHashes must be a list of non-empty strings'), 'submitRequest'));
+    }
+    if (documentHashes.length > MAX_REQUEST_DOCUMENTS) {
+      return res.status(400).json(formatError(new Error(`At most ${MAX_REQUEST_DOCUMENTS} documents can be attached`), 'submitRequest'));
+    }
+
+    const hashes = documentHashes.map((hash) => hash.trim());
+    const job = jobService.submit(signerAddress, 'requestRole', () => contractService.requestRole(signerAddress, role, organizationName, hashes));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      requestId: result.requestId,
+      role: role,
+      roleName: ROLE_NAMES[role],
+      message: `Request #${result.requestId} for the ${ROLE_NAMES[role]} role submitted`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'submitRequest'));
+  }
+}
+
+/**
+ * List role requests
+ * GET /api/role-requests?status=PENDING&applicant=0x...
+ * 
+ * Both filters are optional. Newest first.
+ */
+async function listRequests(req, res) {
+  try {
+    const { applicant } = req.query;
+    let status = null;
+
+    if (req.query.status !== undefined && req.query.status !== '') {
+      status = STATUS_NAMES.indexOf(String(req.query.status).toUpperCase());
+      if (status === -1) {
+        return res.status(400).json(formatError(new Error('Invalid status (must be PENDING, APPROVED or REJECTED)'), 'listRequests'));
+      }
+    }
+    if (applicant !== undefined && !isValidAddress(applicant)) {
+      return res.status(400).json(formatError(new Error('Invalid applicant address'), 'listRequests'));
+    }
+
+    const requests = await indexerService.getRoleRequests({ status, applicant: applicant || null });
+
+    res.json({
+      success: true,
+      requests: requests.map(describeRequest),
+      count: requests.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'listRequests'));
+  }
+}
+
+/**
+ * Get a role request with its audit trail
+ * GET /api/role-requests/:id
+ * 
+ * history lists the submission and decision with their actors and transactions.
+ */
+async function getRequest(req, res) {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (requestId === null) {
+      return res.status(400).json(formatError(new Error('Invalid request ID'), 'getRequest'));
+    }
+
+    const request = await indexerService.getRoleRequest(requestId);
+    if (!request) {
+      return res.status(404).json(formatError(new Error('Role request not found'), 'getRequest'));
+    }
+
+    res.json({
+      success: true,
+      request: describeRequest(request)
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getRequest'));
+  }
+}
+
+/**
+ * Approve a role request, granting the role (contract owner or organization admin)
+ * POST /api/role-requests/:id/approve
+ * 
+ * Body: { signerAddress, validUntil }
+ * 
+ * validUntil is an optional expiry of the granted role in Unix seconds. The contract
+ * enforces the same admin check as POST /api/roles/grant.
+ */
+async function approveRequest(req, res) {
+  try {
+    const request = await loadPendingRequest(req, res, 'approveRequest');
+    if (!request) {
+      return;
+    }
+    const { signerAddress } = req.body;
+    const validUntil = req.body.validUntil === undefined || req.body.validUntil === null ? 0 : Number(req.body.validUntil);
+    if (!Number.isInteger(validUntil) || validUntil < 0) {
+      return res.status(400).json(formatError(new Error('validUntil must be a Unix timestamp in seconds'), 'approveRequest'));
+    }
+
+    const job = jobService.submit(signerAddress, 'approveRoleRequest', () => contractService.approveRoleRequest(signerAddress, request.id, validUntil));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      requestId: request.id,
+      applicant: request.applicant,
+      role: request.role,
+      roleName: ROLE_NAMES[request.role],
+      message: `${ROLE_NAMES[request.role]} role granted to ${request.applicant}`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'approveRequest'));
+  }
+}
+
+/**
+ * Reject a role request (contract owner or organization admin)
+ * POST /api/role-requests/:id/reject
+ * 
+ * Body: { signerAddress, reason }
+ * 
+ * The reason is recorded on-chain and shown to the applicant.
+ */
+async function rejectRequest(req, res) {
+  try {
+    const request = await loadPendingRequest(req, res, 'rejectRequest');
+    if (!request) {
+      return;
+    }
+    const { signerAddress } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json(formatError(new Error('A rejection reason is required'), 'rejectRequest'));
+    }
+
+    const job = jobService.submit(signerAddress, 'rejectRoleRequest', () => contractService.rejectRoleRequest(signerAddress, request.id, reason));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      requestId: request.id,
+      reason: reason,
+      message: `Request #${request.id} rejected`
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'rejectRequest'));
+  }
+}
+
+module.exports = {
+  submitRequest,
+  listRequests,
+  getRequest,
+  approveRequest,
+  rejectRequest
+};
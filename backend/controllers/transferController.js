@@ -4,21 +4,36 @@
  */
 
 const contractService = require('../services/contractService');
-const { formatError } = require('../utils/errors');
-const { isValidAddress, isValidProductId } = require('../utils/helpers');
+const indexerService = require('../services/indexerService');
+const relayService = require('../services/relayService');
+const jobService = require('../services/jobService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidAddress, isValidProductId, prefersAsync, queuedJobResponse } = require('../utils/helpers');
 
 /**
- * Transfer product ownership
+ * Check an optional acceptance timeout in seconds (0 or omitted = no deadline)
+ * @param {*} timeout - Timeout from request body
+ * @returns {boolean} True if timeout is omitted or a non-negative integer
+ */
+function isValidTimeout(timeout) {
+  return timeout === undefined || (Number.isInteger(timeout) && timeout >= 0);
+}
+
+/**
+ * Initiate a product ownership transfer
  * POST /api/transfers
  * 
- * Body: { signerAddress, productId, toAddress, shipmentDetails }
+ * Body: { signerAddress, productId, toAddress, shipmentDetails, timeout, nonce, deadline, signature }
  * 
- * Validates inputs (signerAddress, productId, toAddress, shipmentDetails),
+ * Validates inputs (signerAddress, productId, toAddress, timeout),
  * calls contractService.transferOwnership(), and returns transaction hash.
+ * Custody stays with the sender until the recipient accepts the transfer.
+ * With a signature, the request is a TransferOwnership message signed by signerAddress
+ * and is relayed through the forwarder instead.
  */
 async function transferOwnership(req, res) {
   try {
-    const { signerAddress, productId, toAddress, shipmentDetails } = req.body;
+    const { signerAddress, productId, toAddress, shipmentDetails, timeout, nonce, deadline, signature } = req.body;
     
     // Validate all inputs
     if (!signerAddress || !isValidAddress(signerAddress)) {
@@ -30,18 +45,41 @@ async function transferOwnership(req, res) {
     if (!toAddress || !isValidAddress(toAddress)) {
       return res.status(400).json(formatError(new Error('Invalid recipient address'), 'transferOwnership'));
     }
+    if (!isValidTimeout(timeout)) {
+      return res.status(400).json(formatError(new Error('Timeout must be a non-negative number of seconds'), 'transferOwnership'));
+    }
     
-    // Call contractService.transferOwnership()
-    const result = await contractService.transferOwnership(signerAddress, productId, toAddress, shipmentDetails || '');
+    // Relay signed requests, otherwise call contractService.transferOwnership()
+    let job;
+    if (signature !== undefined) {
+      const request = {
+        signer: signerAddress,
+        productId,
+        to: toAddress,
+        shipmentDetails: shipmentDetails || '',
+        timeout: timeout || 0,
+        nonce,
+        deadline
+      };
+      await relayService.verifyRequest('TransferOwnership', request, signature);
+      job = jobService.submit(signerAddress, 'transferOwnership', () => relayService.transferOwnership(request, signature));
+    } else {
+      job = jobService.submit(signerAddress, 'transferOwnership', () => contractService.transferOwnership(signerAddress, productId, toAddress, shipmentDetails || '', timeout || 0));
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Return transaction hash
     res.json({
       success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
-      message: 'Ownership transferred successfully'
+      message: 'Transfer initiated, awaiting recipient acceptance'
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'transferOwnership'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'transferOwnership'));
   }
 }
 
@@ -49,14 +87,14 @@ async function transferOwnership(req, res) {
  * Batch transfer multiple products
  * POST /api/transfers/batch
  * 
- * Body: { signerAddress, productIds: [], toAddress, shipmentDetails }
+ * Body: { signerAddress, productIds: [], toAddress, shipmentDetails, timeout }
  * 
  * Validates inputs (productIds must be array), calls contractService.batchTransferOwnership(),
- * and returns transaction hash.
+ * and returns transaction hash. The recipient accepts each product individually.
  */
 async function batchTransferOwnership(req, res) {
   try {
-    const { signerAddress, productIds, toAddress, shipmentDetails } = req.body;
+    const { signerAddress, productIds, toAddress, shipmentDetails, timeout } = req.body;
     
     // Validate inputs (productIds must be array)
     if (!signerAddress || !isValidAddress(signerAddress)) {
@@ -73,18 +111,26 @@ async function batchTransferOwnership(req, res) {
     if (!toAddress || !isValidAddress(toAddress)) {
       return res.status(400).json(formatError(new Error('Invalid recipient address'), 'batchTransferOwnership'));
     }
+    if (!isValidTimeout(timeout)) {
+      return res.status(400).json(formatError(new Error('Timeout must be a non-negative number of seconds'), 'batchTransferOwnership'));
+    }
     
-    // Call contractService.batchTransferOwnership()
-    const result = await contractService.batchTransferOwnership(signerAddress, productIds, toAddress, shipmentDetails || '');
+    // Queue contractService.batchTransferOwnership()
+    const job = jobService.submit(signerAddress, 'batchTransferOwnership', () => contractService.batchTransferOwnership(signerAddress, productIds, toAddress, shipmentDetails || '', timeout || 0));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Return transaction hash
     res.json({
       success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
-      message: `Transferred ${productIds.length} products successfully`
+      message: `Initiated transfer of ${productIds.length} products, awaiting recipient acceptance`
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'batchTransferOwnership'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'batchTransferOwnership'));
   }
 }
 
@@ -92,7 +138,7 @@ async function batchTransferOwnership(req, res) {
  * Get transfer history for a product
  * GET /api/transfers/:productId
  * 
- * Validates product ID, calls contractService.getTransferHistory() which already formats
+ * Validates product ID, calls indexerService.getTransferHistory() which already formats
  * transfer records (converts addresses, timestamps), and returns transfer history.
  */
 async function getTransferHistory(req, res) {
@@ -104,8 +150,8 @@ async function getTransferHistory(req, res) {
       return res.status(400).json(formatError(new Error('Invalid product ID'), 'getTransferHistory'));
     }
     
-    // Call contractService.getTransferHistory() (already formats transfers)
-    const transfers = await contractService.getTransferHistory(productId);
+    // Call indexerService.getTransferHistory() (already formats transfers)
+    const transfers = await indexerService.getTransferHistory(productId);
     
     // Return history
     res.json({
@@ -113,13 +159,214 @@ async function getTransferHistory(req, res) {
       transfers: transfers
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getTransferHistory'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getTransferHistory'));
+  }
+}
+
+/**
+ * Accept a pending transfer
+ * POST /api/transfers/:productId/accept
+ * 
+ * Body: { signerAddress, nonce, deadline, signature }
+ * 
+ * Validates signer address (recipient) and product ID, calls contractService.acceptTransfer(),
+ * and returns transaction hash.
+ * With a signature, the request is a AcceptTransfer message signed by signerAddress
+ * and is relayed through the forwarder instead.
+ */
+async function acceptTransfer(req, res) {
+  try {
+    const { signerAddress, nonce, deadline, signature } = req.body;
+    const productId = parseInt(req.params.productId);
+    
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'acceptTransfer'));
+    }
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'acceptTransfer'));
+    }
+    
+    // Relay signed requests, otherwise call contractService.acceptTransfer()
+    let job;
+    if (signature !== undefined) {
+      const request = { signer: signerAddress, productId, nonce, deadline };
+      await relayService.verifyRequest('AcceptTransfer', request, signature);
+      job = jobService.submit(signerAddress, 'acceptTransfer', () => relayService.acceptTransfer(request, signature));
+    } else {
+      job = jobService.submit(signerAddress, 'acceptTransfer', () => contractService.acceptTransfer(signerAddress, productId));
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    // Return transaction hash
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      message: 'Transfer accepted, ownership transferred'
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'acceptTransfer'));
+  }
+}
+
+/**
+ * Reject a pending transfer
+ * POST /api/transfers/:productId/reject
+ * 
+ * Body: { signerAddress, nonce, deadline, signature }
+ * 
+ * Validates signer address (recipient) and product ID, calls contractService.rejectTransfer(),
+ * and returns transaction hash.
+ * With a signature, the request is a RejectTransfer message signed by signerAddress
+ * and is relayed through the forwarder instead.
+ */
+async function rejectTransfer(req, res) {
+  try {
+    const { signerAddress, nonce, deadline, signature } = req.body;
+    const productId = parseInt(req.params.productId);
+    
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'rejectTransfer'));
+    }
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'rejectTransfer'));
+    }
+    
+    // Relay signed requests, otherwise call contractService.rejectTransfer()
+    let job;
+    if (signature !== undefined) {
+      const request = { signer: signerAddress, productId, nonce, deadline };
+      await relayService.verifyRequest('RejectTransfer', request, signature);
+      job = jobService.submit(signerAddress, 'rejectTransfer', () => relayService.rejectTransfer(request, signature));
+    } else {
+      job = jobService.submit(signerAddress, 'rejectTransfer', () => contractService.rejectTransfer(signerAddress, productId));
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    // Return transaction hash
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      message: 'Transfer rejected'
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'rejectTransfer'));
+  }
+}
+
+/**
+ * Cancel a pending transfer
+ * POST /api/transfers/:productId/cancel
+ * 
+ * Body: { signerAddress }
+ * 
+ * Validates signer address (current owner) and product ID, calls contractService.cancelTransfer(),
+ * and returns transaction hash.
+ */
+async function cancelTransfer(req, res) {
+  try {
+    const { signerAddress } = req.body;
+    const productId = parseInt(req.params.productId);
+    
+    // Validate inputs
+    if (!signerAddress || !isValidAddress(signerAddress)) {
+      return res.status(400).json(formatError(new Error('Invalid signer address'), 'cancelTransfer'));
+    }
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'cancelTransfer'));
+    }
+    
+    // Queue contractService.cancelTransfer()
+    const job = jobService.submit(signerAddress, 'cancelTransfer', () => contractService.cancelTransfer(signerAddress, productId));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
+    
+    // Return transaction hash
+    res.json({
+      success: true,
+      jobId: job.id,
+      transactionHash: result.transactionHash,
+      message: 'Transfer cancelled'
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'cancelTransfer'));
+  }
+}
+
+/**
+ * Get the pending transfer for a product
+ * GET /api/transfers/pending/:productId
+ * 
+ * Validates product ID, calls indexerService.getPendingTransfer(), and returns
+ * the pending transfer (null if none is pending).
+ */
+async function getPendingTransfer(req, res) {
+  try {
+    const productId = parseInt(req.params.productId);
+    
+    // Validate productId
+    if (!isValidProductId(productId)) {
+      return res.status(400).json(formatError(new Error('Invalid product ID'), 'getPendingTransfer'));
+    }
+    
+    const pendingTransfer = await indexerService.getPendingTransfer(productId);
+    
+    res.json({
+      success: true,
+      pendingTransfer: pendingTransfer
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getPendingTransfer'));
+  }
+}
+
+/**
+ * Get incoming shipments awaiting acceptance by an address
+ * GET /api/transfers/incoming/:address
+ * 
+ * Validates address, calls indexerService.getIncomingTransfers(), and returns
+ * the pending transfers addressed to it.
+ */
+async function getIncomingTransfers(req, res) {
+  try {
+    const { address } = req.params;
+    
+    // Validate address
+    if (!isValidAddress(address)) {
+      return res.status(400).json(formatError(new Error('Invalid address'), 'getIncomingTransfers'));
+    }
+    
+    const transfers = await indexerService.getIncomingTransfers(address);
+    
+    res.json({
+      success: true,
+      transfers: transfers,
+      count: transfers.length
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json(formatError(error, 'getIncomingTransfers'));
   }
 }
 
 module.exports = {
   transferOwnership,
   batchTransferOwnership,
-  getTransferHistory
+  getTransferHistory,
+  acceptTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  getPendingTransfer,
+  getIncomingTransfers
 };
 
@@ -4,8 +4,33 @@
  */
 
 const contractService = require('../services/contractService');
-const { formatError } = require('../utils/errors');
-const { isValidProductId, isValidAddress } = require('../utils/helpers');
+const indexerService = require('../services/indexerService');
+const relayService = require('../services/relayService');
+const jobService = require('../services/jobService');
+const certificateStoreService = require('../services/certificateStoreService');
+const { formatError, getErrorStatus } = require('../utils/errors');
+const { isValidProductId, isValidAddress, generateCertificateHash, prefersAsync, queuedJobResponse } = require('../utils/helpers');
+
+/**
+ * Check the certificate document sent with a relayed check against its signed hash
+ * 
+ * @param {Object} certificate - Certificate document, or undefined when none was sent
+ * @param {string} certificateHash - Signed certificate hash
+ * @returns {string|null} Reason the document cannot be stored, or null if it can (or none was sent)
+ */
+function checkCertificateDocument(certificate, certificateHash) {
+  if (certificate === undefined) {
+    return null;
+  }
+  const invalidReason = certificateStoreService.validate(certificate);
+  if (invalidReason) {
+    return invalidReason;
+  }
+  if (generateCertificateHash(certificate) !== String(certificateHash).toLowerCase()) {
+    return 'Certificate does not match certificateHash';
+  }
+  return null;
+}
 
 /**
  * Verify product authenticity
@@ -28,18 +53,23 @@ async function verifyAuthenticity(req, res) {
       return res.status(400).json(formatError(new Error('Invalid product ID'), 'verifyAuthenticity'));
     }
     
-    // Call contractService.verifyAuthenticity()
-    const result = await contractService.verifyAuthenticity(signerAddress, productId, notes);
+    // Queue contractService.verifyAuthenticity()
+    const job = jobService.submit(signerAddress, 'verifyAuthenticity', () => contractService.verifyAuthenticity(signerAddress, productId, notes));
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Return result with isValid boolean
     res.json({
       success: true,
+      jobId: job.id,
       isValid: result.isValid,
       transactionHash: result.transactionHash,
       message: 'Product authenticity verified'
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'verifyAuthenticity'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'verifyAuthenticity'));
   }
 }
 
@@ -47,14 +77,19 @@ async function verifyAuthenticity(req, res) {
  * Perform quality check
  * POST /api/verification/quality
  * 
- * Body: { signerAddress, productId, qualityScore, notes }
+ * Body: { signerAddress, productId, qualityScore, notes, certificateHash, certificate, nonce, deadline, signature }
  * 
  * Validates inputs (qualityScore must be 0-100), verifies signer has RETAILER or REGULATOR role,
  * calls contractService.performQualityCheck(), and returns transaction hash.
+ * With a signature, the request is a QualityCheck message signed by signerAddress and is
+ * relayed through the forwarder instead; certificateHash is then the signed certificate hash.
+ * Either way, certificateHash is recorded as a QUALITY certificate if the check passes; without a
+ * signature the backend generates one if it is omitted. The optional certificate is the document
+ * behind that hash and is kept in the certificate store once the check is mined.
  */
 async function performQualityCheck(req, res) {
   try {
-    const { signerAddress, productId, qualityScore, notes = '' } = req.body;
+    const { signerAddress, productId, qualityScore, notes = '', certificateHash = '', certificate, nonce, deadline, signature } = req.body;
     
     // Validate inputs
     if (!signerAddress || !isValidAddress(signerAddress)) {
@@ -66,6 +101,10 @@ async function performQualityCheck(req, res) {
     if (typeof qualityScore !== 'number' || qualityScore < 0 || qualityScore > 100) {
       return res.status(400).json(formatError(new Error('Quality score must be between 0 and 100'), 'performQualityCheck'));
     }
+    const certificateError = checkCertificateDocument(certificate, certificateHash);
+    if (certificateError) {
+      return res.status(400).json(formatError(new Error(certificateError), 'performQualityCheck'));
+    }
     
     // Check user role (must be RETAILER or REGULATOR)
     const hasRetailerRole = await contractService.hasRole(signerAddress, 2); // RETAILER = 2
@@ -75,8 +114,42 @@ async function performQualityCheck(req, res) {
       return res.status(403).json(formatError(new Error('You must be a RETAILER or REGULATOR to perform quality checks'), 'performQualityCheck'));
     }
     
-    // Call contractService.performQualityCheck()
-    const result = await contractService.performQualityCheck(signerAddress, productId, qualityScore, notes);
+    // Relay signed requests, otherwise call contractService.performQualityCheck()
+    let job;
+    if (signature !== undefined) {
+      const request = {
+        signer: signerAddress,
+        productId,
+        qualityScore,
+        notes,
+        certificateHash,
+        nonce,
+        deadline
+      };
+      // Reject bad signatures before queueing
+      await relayService.verifyRequest('QualityCheck', request, signature);
+      job = jobService.submit(signerAddress, 'performQualityCheck', async () => {
+        const result = await relayService.performQualityCheck(request, signature);
+        if (certificate !== undefined) {
+          certificateStoreService.save(certificate);
+        }
+        // Authenticity is only verified automatically by a regulator's passing check
+        result.autoVerified = hasRegulatorRole && qualityScore >= 50 && result.isAuthentic;
+        return result;
+      });
+    } else {
+      job = jobService.submit(signerAddress, 'performQualityCheck', async () => {
+        const result = await contractService.performQualityCheck(signerAddress, productId, qualityScore, certificateHash, notes);
+        if (certificate !== undefined) {
+          certificateStoreService.save(certificate);
+        }
+        return result;
+      });
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Build response message
     let message = `Quality check completed with score ${qualityScore}/100`;
@@ -87,6 +160,7 @@ async function performQualityCheck(req, res) {
     // Return transaction hash and authenticity status
     res.json({
       success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
       qualityScore: qualityScore,
       passed: qualityScore >= 50,
@@ -95,7 +169,7 @@ async function performQualityCheck(req, res) {
       message: message
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'performQualityCheck'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'performQualityCheck'));
   }
 }
 
@@ -103,14 +177,19 @@ async function performQualityCheck(req, res) {
  * Perform compliance check (Regulator only)
  * POST /api/verification/compliance
  * 
- * Body: { signerAddress, productId, compliant, certificateHash }
+ * Body: { signerAddress, productId, compliant, certificateHash, certificate, notes, nonce, deadline, signature }
  * 
  * Validates inputs, verifies signer has REGULATOR role,
  * calls contractService.checkCompliance(), and returns transaction hash.
+ * With a signature, the request is a ComplianceCheck message signed by signerAddress and is
+ * relayed through the forwarder instead; certificateHash is then the signed certificate hash.
+ * Either way, certificateHash is recorded as a COMPLIANCE certificate if the check passes; without a
+ * signature the backend generates one if it is omitted. The optional certificate is the document
+ * behind that hash and is kept in the certificate store once the check is mined.
  */
 async function checkCompliance(req, res) {
   try {
-    const { signerAddress, productId, compliant, certificateHash = '' } = req.body;
+    const { signerAddress, productId, compliant, certificateHash = '', certificate, notes = '', nonce, deadline, signature } = req.body;
     
     // Validate inputs
     if (!signerAddress || !isValidAddress(signerAddress)) {
@@ -122,6 +201,10 @@ async function checkCompliance(req, res) {
     if (typeof compliant !== 'boolean') {
       return res.status(400).json(formatError(new Error('compliant must be a boolean'), 'checkCompliance'));
     }
+    const certificateError = checkCertificateDocument(certificate, certificateHash);
+    if (certificateError) {
+      return res.status(400).json(formatError(new Error(certificateError), 'checkCompliance'));
+    }
     
     // Check user role (must be REGULATOR)
     const hasRegulatorRole = await contractService.hasRole(signerAddress, 3); // REGULATOR = 3
@@ -130,9 +213,42 @@ async function checkCompliance(req, res) {
       return res.status(403).json(formatError(new Error('You must be a REGULATOR to perform compliance checks'), 'checkCompliance'));
     }
     
-    // Call contractService.checkCompliance()
+    // Relay signed requests, otherwise call contractService.checkCompliance()
     // This will auto-verify authenticity if both quality and compliance checks have passed
-    const result = await contractService.checkCompliance(signerAddress, productId, compliant, certificateHash);
+    let job;
+    if (signature !== undefined) {
+      const request = {
+        signer: signerAddress,
+        productId,
+        compliant,
+        notes,
+        certificateHash,
+        nonce,
+        deadline
+      };
+      // Reject bad signatures before queueing
+      await relayService.verifyRequest('ComplianceCheck', request, signature);
+      job = jobService.submit(signerAddress, 'checkCompliance', async () => {
+        const result = await relayService.checkCompliance(request, signature);
+        if (certificate !== undefined) {
+          certificateStoreService.save(certificate);
+        }
+        result.autoVerified = compliant && result.isAuthentic;
+        return result;
+      });
+    } else {
+      job = jobService.submit(signerAddress, 'checkCompliance', async () => {
+        const result = await contractService.checkCompliance(signerAddress, productId, compliant, certificateHash, notes);
+        if (certificate !== undefined) {
+          certificateStoreService.save(certificate);
+        }
+        return result;
+      });
+    }
+    if (prefersAsync(req)) {
+      return res.status(202).json(queuedJobResponse(job));
+    }
+    const result = await job.promise;
     
     // Build response message
     let message = `Product marked as ${compliant ? 'compliant' : 'non-compliant'}`;
@@ -143,6 +259,7 @@ async function checkCompliance(req, res) {
     // Return transaction hash and authenticity status
     res.json({
       success: true,
+      jobId: job.id,
       transactionHash: result.transactionHash,
       compliant: compliant,
       isAuthentic: result.isAuthentic || false,
@@ -150,16 +267,17 @@ async function checkCompliance(req, res) {
       message: message
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'checkCompliance'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'checkCompliance'));
   }
 }
 
 /**
  * Get verification history for a product
- * GET /api/verification/:productId
+ * GET /api/verification/:productId?offset=0&limit=20
  * 
- * Validates product ID, calls contractService.getVerificationHistory() which already formats
+ * Validates product ID, calls indexerService.getVerificationHistory() which already formats
  * verification records (converts types, timestamps), and returns verification history.
+ * When limit is given, returns a single page and the total number of records instead.
  */
 async function getVerificationHistory(req, res) {
   try {
@@ -170,8 +288,29 @@ async function getVerificationHistory(req, res) {
       return res.status(400).json(formatError(new Error('Invalid product ID'), 'getVerificationHistory'));
     }
     
-    // Call contractService.getVerificationHistory() (already formats verifications)
-    const verifications = await contractService.getVerificationHistory(productId);
+    // Paginated request
+    if (req.query.limit !== undefined) {
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+      const limit = parseInt(req.query.limit);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json(formatError(new Error('offset must be a non-negative integer'), 'getVerificationHistory'));
+      }
+      if (!Number.isInteger(limit) || limit <= 0) {
+        return res.status(400).json(formatError(new Error('limit must be a positive integer'), 'getVerificationHistory'));
+      }
+      
+      const page = await indexerService.getVerificationHistoryPage(productId, offset, limit);
+      return res.json({
+        success: true,
+        verifications: page.verifications,
+        total: page.total,
+        offset: offset,
+        limit: limit
+      });
+    }
+    
+    // Call indexerService.getVerificationHistory() (already formats verifications)
+    const verifications = await indexerService.getVerificationHistory(productId);
     
     // Return history
     res.json({
@@ -179,7 +318,7 @@ async function getVerificationHistory(req, res) {
       verifications: verifications
     });
   } catch (error) {
-    res.status(500).json(formatError(error, 'getVerificationHistory'));
+    res.status(getErrorStatus(error)).json(formatError(error, 'getVerificationHistory'));
   }
 }
 
@@ -0,0 +1,242 @@
+/**
+ * Webhook Controller
+ * Manages webhook subscriptions for the signed-in account
+ */
+
+const webhookService = require('../services/webhookService');
+const { formatError } = require('../utils/errors');
+const { isValidAddress } = require('../utils/helpers');
+
+/**
+ * Validate webhook fields
+ * 
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only validate the fields present (for updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWebhook(body, partial) {
+  const { url, events, filters, description, active } = body;
+
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+  }
+  if (!partial || events !== undefined) {
+    const eventNames = webhookService.getEventNames();
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter((name) => !eventNames.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Available: ${eventNames.join(', ')}`;
+    }
+  }
+  if (filters !== undefined) {
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+      return 'filters must be an object';
+    }
+    if (filters.address && !isValidAddress(filters.address)) {
+      return 'Invalid address filter';
+    }
+    if (filters.producer && !isValidAddress(filters.producer)) {
+      return 'Invalid producer filter';
+    }
+    if (filters.batchId && typeof filters.batchId !== 'string') {
+      return 'batchId filter must be a string';
+    }
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Register a webhook
+ * POST /api/webhooks
+ * 
+ * Body: { url, events: [], filters: { address, batchId, producer }, description }
+ * 
+ * Events are contract event names (ProductRegistered, OwnershipTransferred, ProductVerified,
+ * ProductRecalled, ...). Filters are optional; a delivery is only sent when every set filter
+ * matches. Returns the webhook and its signing secret, which is not shown again.
+ */
+async function createWebhook(req, res) {
+  try {
+    const error = validateWebhook(req.body, false);
+    if (error) {
+      return res.status(400).json(formatError(new Error(error), 'createWebhook'));
+    }
+    
+    const { url, events, filters, description } = req.body;
+    const { webhook, secret } = await webhookService.createWebhook(req.user.address, { url, events, filters, description });
+    
+    res.json({
+      success: true,
+      webhook,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'createWebhook'));
+  }
+}
+
+/**
+ * List the signed-in account's webhooks
+ * GET /api/webhooks
+ */
+async function listWebhooks(req, res) {
+  try {
+    const webhooks = webhookService.listWebhooks(req.user.address);
+    
+    res.json({
+      success: true,
+      webhooks,
+      count: webhooks.length
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'listWebhooks'));
+  }
+}
+
+/**
+ * Get a webhook
+ * GET /api/webhooks/:id
+ */
+async function getWebhook(req, res) {
+  try {
+    const webhook = webhookService.getWebhook(req.user.address, req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json(formatError(new Error('Webhook not found'), 'getWebhook'));
+    }
+    
+    res.json({
+      success: true,
+      webhook
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'getWebhook'));
+  }
+}
+
+/**
+ * Update a webhook
+ * PUT /api/webhooks/:id
+ * 
+ * Body: any of { url, events, filters, description, active }
+ * 
+ * filters replaces all filters; set active to false to pause deliveries.
+ */
+async function updateWebhook(req, res) {
+  try {
+    const error = validateWebhook(req.body, true);
+    if (error) {
+      return res.status(400).json(formatError(new Error(error), 'updateWebhook'));
+    }
+    
+    const { url, events, filters, description, active } = req.body;
+    const webhook = webhookService.updateWebhook(req.user.address, req.params.id, { url, events, filters, description, active });
+    
+    if (!webhook) {
+      return res.status(404).json(formatError(new Error('Webhook not found'), 'updateWebhook'));
+    }
+    
+    res.json({
+      success: true,
+      webhook
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'updateWebhook'));
+  }
+}
+
+/**
+ * Replace a webhook's signing secret
+ * POST /api/webhooks/:id/rotate-secret
+ */
+async function rotateSecret(req, res) {
+  try {
+    const secret = webhookService.rotateSecret(req.user.address, req.params.id);
+    
+    if (!secret) {
+      return res.status(404).json(formatError(new Error('Webhook not found'), 'rotateSecret'));
+    }
+    
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'rotateSecret'));
+  }
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+async function deleteWebhook(req, res) {
+  try {
+    if (!webhookService.deleteWebhook(req.user.address, req.params.id)) {
+      return res.status(404).json(formatError(new Error('Webhook not found'), 'deleteWebhook'));
+    }
+    
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'deleteWebhook'));
+  }
+}
+
+/**
+ * Get a webhook's delivery log
+ * GET /api/webhooks/:id/deliveries?limit=50
+ * 
+ * Returns deliveries newest first with their status (pending, succeeded or failed),
+ * attempt count, last response status or error, and payload.
+ */
+async function getDeliveries(req, res) {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json(formatError(new Error('limit must be between 1 and 500'), 'getDeliveries'));
+    }
+    
+    const deliveries = webhookService.getDeliveries(req.user.address, req.params.id, limit);
+    
+    if (!deliveries) {
+      return res.status(404).json(formatError(new Error('Webhook not found'), 'getDeliveries'));
+    }
+    
+    res.json({
+      success: true,
+      deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    res.status(500).json(formatError(error, 'getDeliveries'));
+  }
+}
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  getDeliveries
+};
@@ -0,0 +1,56 @@
+/**
+ * Auth Middleware
+ * Binds the signed-in wallet address to write requests
+ */
+
+const authService = require('../services/authService');
+const { formatError } = require('../utils/errors');
+const { isValidAddress } = require('../utils/helpers');
+
+/**
+ * Require a valid session token
+ * 
+ * Reads the Bearer token from the Authorization header, verifies it, and sets
+ * req.user = { address }. The request's signerAddress (from the body, or the query string
+ * for non-JSON bodies) must be the signed-in address; when omitted, it is filled in so
+ * controllers sign as the caller.
+ * 
+ * Responds 401 if the token is missing or invalid, 400 if signerAddress is malformed,
+ * and 403 if it belongs to another account.
+ */
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    const error = new Error('Authentication required: sign in with your wallet');
+    error.code = 'UNAUTHORIZED';
+    return res.status(401).json(formatError(error, 'requireAuth'));
+  }
+
+  try {
+    req.user = { address: authService.verifyToken(match[1]).address };
+  } catch (err) {
+    const error = new Error('Session is invalid or has expired: sign in again');
+    error.code = 'UNAUTHORIZED';
+    return res.status(401).json(formatError(error, 'requireAuth'));
+  }
+
+  // CSV uploads carry their parameters in the query string
+  const params = req.body && typeof req.body === 'object' ? req.body : req.query;
+  const { signerAddress } = params;
+  if (signerAddress === undefined || signerAddress === null || signerAddress === '') {
+    params.signerAddress = req.user.address;
+  } else if (typeof signerAddress !== 'string' || !isValidAddress(signerAddress)) {
+    return res.status(400).json(formatError(new Error('Invalid signer address'), 'requireAuth'));
+  } else if (signerAddress.toLowerCase() !== req.user.address.toLowerCase()) {
+    const error = new Error('signerAddress does not match the signed-in account');
+    error.code = 'FORBIDDEN';
+    return res.status(403).json(formatError(error, 'requireAuth'));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAuth
+};
@@ -0,0 +1,38 @@
+/**
+ * Pause Middleware
+ * Turns away supply chain writes while the guardian has paused the contract
+ */
+
+const contractService = require('../services/contractService');
+const { formatError } = require('../utils/errors');
+
+/**
+ * Reject the request while the supply chain is paused
+ * 
+ * Responds 503 with code SUPPLY_CHAIN_PAUSED and the guardian's reason instead of
+ * submitting a transaction that would revert. If the pause state cannot be read the
+ * request goes ahead; the contract enforces the pause either way.
+ */
+async function rejectWhenPaused(req, res, next) {
+  let state;
+  try {
+    state = await contractService.getPauseState();
+  } catch (err) {
+    return next();
+  }
+
+  if (state.paused) {
+    const error = new Error(`The supply chain is paused: ${state.reason}`);
+    error.code = 'SUPPLY_CHAIN_PAUSED';
+    return res.status(503).json({
+      ...formatError(error, 'rejectWhenPaused'),
+      reason: state.reason
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  rejectWhenPaused
+};
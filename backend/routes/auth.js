@@ -0,0 +1,20 @@
+/**
+ * Auth Routes
+ * API endpoints for Sign-In With Ethereum
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// Get a nonce for the SIWE message
+router.get('/nonce', authController.getNonce);
+
+// Exchange a signed SIWE message for a session token
+router.post('/verify', authController.verify);
+
+// Get the signed-in account
+router.get('/session', requireAuth, authController.getSession);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Certificate Routes
+ * API endpoints for the certificate registry
+ */
+
+const express = require('express');
+const router = express.Router();
+const certificateController = require('../controllers/certificateController');
+const { requireAuth } = require('../middleware/auth');
+
+// Issue a certificate for a product or batch (Regulator, or Retailer for QUALITY)
+router.post('/', requireAuth, certificateController.issueCertificate);
+
+// Verify a certificate document against the chain
+router.post('/verify', certificateController.verifyCertificate);
+
+// Revoke a certificate (issuer or Regulator)
+router.post('/:id/revoke', requireAuth, certificateController.revokeCertificate);
+
+// Get the certificates covering a product - MUST come before /:id
+router.get('/product/:productId', certificateController.getProductCertificates);
+
+// Get a stored certificate document by hash - MUST come before /:id
+router.get('/:hash(0x[0-9a-fA-F]{64})', certificateController.getCertificateDocument);
+
+// Get certificate by ID
+router.get('/:id', certificateController.getCertificate);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Cold Chain Routes
+ * API endpoints for cold-chain temperature logging
+ */
+
+const express = require('express');
+const router = express.Router();
+const coldChainController = require('../controllers/coldChainController');
+const { requireAuth } = require('../middleware/auth');
+
+// Set cold-chain limits for a product (Producer of the product only)
+router.post('/:productId/requirement', requireAuth, coldChainController.setRequirement);
+
+// Upload temperature logger readings as JSON or CSV (current owner only)
+router.post('/:productId/readings', express.text({ type: 'text/csv', limit: '5mb' }), requireAuth, coldChainController.uploadReadings);
+
+// Get cold-chain requirement, readings, batches and breaches for a product
+router.get('/:productId', coldChainController.getColdChainLog);
+
+module.exports = router;
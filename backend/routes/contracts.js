@@ -0,0 +1,13 @@
+/**
+ * Contract Routes
+ * API endpoints for contract deployment details
+ */
+
+const express = require('express');
+const router = express.Router();
+const contractController = require('../controllers/contractController');
+
+// Get contract addresses and ABIs
+router.get('/', contractController.getDeployment);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Emergency Routes
+ * API endpoints for pausing and resuming the supply chain
+ */
+
+const express = require('express');
+const router = express.Router();
+const emergencyController = require('../controllers/emergencyController');
+const { requireAuth } = require('../middleware/auth');
+
+// Get whether the supply chain is paused, why, and who the guardian is
+router.get('/', emergencyController.getPauseState);
+
+// Pause and resume the supply chain (guardian only)
+router.post('/pause', requireAuth, emergencyController.pause);
+router.post('/unpause', requireAuth, emergencyController.unpause);
+
+// Appoint the guardian (access control owner only)
+router.post('/guardian', requireAuth, emergencyController.setGuardian);
+
+module.exports = router;
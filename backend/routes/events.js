@@ -0,0 +1,13 @@
+/**
+ * Event Routes
+ * API endpoints for live contract events
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+
+// Stream contract events over Server-Sent Events
+router.get('/stream', eventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Governance Routes
+ * API endpoints for multi-signature proposals and access control ownership
+ */
+
+const express = require('express');
+const router = express.Router();
+const governanceController = require('../controllers/governanceController');
+const { requireAuth } = require('../middleware/auth');
+
+// Get the signers, threshold, timelock and access control owner
+router.get('/', governanceController.getGovernance);
+
+// List and read proposals
+router.get('/proposals', governanceController.listProposals);
+router.get('/proposals/:id', governanceController.getProposal);
+
+// Propose, approve, withdraw approval, execute and cancel (governance signers only)
+router.post('/proposals', requireAuth, governanceController.createProposal);
+router.post('/proposals/:id/approve', requireAuth, governanceController.approveProposal);
+router.post('/proposals/:id/revoke', requireAuth, governanceController.revokeApproval);
+router.post('/proposals/:id/execute', requireAuth, governanceController.executeProposal);
+router.post('/proposals/:id/cancel', requireAuth, governanceController.cancelProposal);
+
+// Two-step ownership transfer of the access control contract
+router.post('/ownership/transfer', requireAuth, governanceController.transferOwnership);
+router.post('/ownership/accept', requireAuth, governanceController.acceptOwnership);
+router.post('/ownership/cancel', requireAuth, governanceController.cancelOwnershipTransfer);
+
+module.exports = router;
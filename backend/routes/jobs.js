@@ -0,0 +1,13 @@
+/**
+ * Job Routes
+ * API endpoints for queued write transactions
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+// Get the status of a queued transaction
+router.get('/:id', jobController.getJob);
+
+module.exports = router;
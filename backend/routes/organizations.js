@@ -0,0 +1,34 @@
+/**
+ * Organization Routes
+ * API endpoints for organizations and delegated role administration
+ */
+
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { requireAuth } = require('../middleware/auth');
+
+// List organizations
+router.get('/', organizationController.listOrganizations);
+
+// Register an organization (access control owner only)
+router.post('/', requireAuth, organizationController.registerOrganization);
+
+// Get the organization of an address
+router.get('/account/:address', organizationController.getAccountOrganization);
+
+// Get an organization with its members
+router.get('/:id', organizationController.getOrganization);
+
+// Add or remove members (owner or organization admin)
+router.post('/:id/members', requireAuth, organizationController.addMember);
+router.delete('/:id/members/:address', requireAuth, organizationController.removeMember);
+
+// Join an organization whose admin invited the signed-in account
+router.post('/:id/accept', requireAuth, organizationController.acceptInvitation);
+
+// Appoint or remove organization admins (access control owner only)
+router.post('/:id/admins', requireAuth, organizationController.grantAdmin);
+router.delete('/:id/admins/:address', requireAuth, organizationController.revokeAdmin);
+
+module.exports = router;
@@ -6,19 +6,36 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const { requireAuth } = require('../middleware/auth');
+const { rejectWhenPaused } = require('../middleware/pause');
 
 // Register a new product
-router.post('/register', productController.registerProduct);
+router.post('/register', requireAuth, rejectWhenPaused, productController.registerProduct);
+
+// Register a composite product made from input products
+router.post('/composite', requireAuth, rejectWhenPaused, productController.registerCompositeProduct);
 
 // List products (with optional filters) - MUST come before /:id routes
 router.get('/', productController.listProducts);
 
+// List an owner's products expiring soon - MUST come before /:id routes
+router.get('/expiring', productController.getExpiringProducts);
+
 // Get product journey
 router.get('/:id/journey', productController.getProductJourney);
 
+// Get products made from a product
+router.get('/:id/derived', productController.getDerivedProducts);
+
 // Get complete product provenance
 router.get('/:id/provenance', productController.getProductProvenance);
 
+// Update product status
+router.put('/:id/status', requireAuth, rejectWhenPaused, productController.updateProductStatus);
+
+// Update product metadata or attach a certificate
+router.put('/:id/metadata', requireAuth, rejectWhenPaused, productController.updateProductMetadata);
+
 // Get product information - MUST come last (catches all other /:id routes)
 router.get('/:id', productController.getProduct);
 
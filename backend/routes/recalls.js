@@ -0,0 +1,26 @@
+/**
+ * Recall Routes
+ * API endpoints for product recalls
+ */
+
+const express = require('express');
+const router = express.Router();
+const recallController = require('../controllers/recallController');
+const { requireAuth } = require('../middleware/auth');
+
+// Issue a recall for a product, batch or producer (Regulator only)
+router.post('/', requireAuth, recallController.issueRecall);
+
+// List all recalls
+router.get('/', recallController.listRecalls);
+
+// Get current holders of recalled products - MUST come before /:id
+router.get('/holders', recallController.getRecalledHolders);
+
+// Get recall status of a product - MUST come before /:id
+router.get('/product/:productId', recallController.getProductRecall);
+
+// Get recall by ID
+router.get('/:id', recallController.getRecall);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/**
+ * Relay Routes
+ * API endpoints for meta-transaction signing details
+ */
+
+const express = require('express');
+const router = express.Router();
+const relayController = require('../controllers/relayController');
+
+// Get relayer, EIP-712 domain and types, and the next nonce for an address
+router.get('/:address', relayController.getRelayInfo);
+
+module.exports = router;
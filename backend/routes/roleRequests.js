@@ -0,0 +1,24 @@
+/**
+ * Role Request Routes
+ * API endpoints for role applications and their review
+ */
+
+const express = require('express');
+const router = express.Router();
+const roleRequestController = require('../controllers/roleRequestController');
+const { requireAuth } = require('../middleware/auth');
+
+// Apply for a role (the signer is the applicant)
+router.post('/', requireAuth, roleRequestController.submitRequest);
+
+// List role requests
+router.get('/', roleRequestController.listRequests);
+
+// Get a role request with its audit trail
+router.get('/:id', roleRequestController.getRequest);
+
+// Approve or reject a pending request (contract owner or organization admin)
+router.post('/:id/approve', requireAuth, roleRequestController.approveRequest);
+router.post('/:id/reject', requireAuth, roleRequestController.rejectRequest);
+
+module.exports = router;
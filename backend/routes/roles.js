@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const roleController = require('../controllers/roleController');
+const { requireAuth } = require('../middleware/auth');
 
 // Check role of an address
 router.get('/check/:address', roleController.checkRole);
@@ -14,13 +15,33 @@ router.get('/check/:address', roleController.checkRole);
 router.get('/my-role', roleController.getMyRole);
 
 // Grant role to address (Admin only - for demo setup)
-router.post('/grant', roleController.grantRole);
+router.post('/grant', requireAuth, roleController.grantRole);
 
-// Grant role using deployer account (Development only - automatically uses contract owner)
-router.post('/grant-dev', roleController.grantRoleDev);
+// Revoke role from address (contract owner or organization admin)
+router.post('/revoke', requireAuth, roleController.revokeRole);
 
-// Batch grant roles using deployer account (Development only)
-router.post('/batch-grant-dev', roleController.batchGrantRoleDev);
+// Suspend or reinstate a role (contract owner or organization admin)
+router.post('/suspend', requireAuth, roleController.suspendRole);
+router.post('/reinstate', requireAuth, roleController.reinstateRole);
+
+// List time-limited roles expiring soon
+router.get('/expiring', roleController.getExpiringRoles);
+
+// List addresses holding a role
+router.get('/holders', roleController.getRoleHolders);
+
+// Get role changes of an address
+router.get('/history/:address', roleController.getRoleHistory);
+
+// Grant roles using the deployer account, without authentication
+// Only registered with NODE_ENV=development so local setup scripts work; they do not exist anywhere else
+if (process.env.NODE_ENV === 'development') {
+  // Grant role using deployer account (automatically uses contract owner)
+  router.post('/grant-dev', roleController.grantRoleDev);
+
+  // Batch grant roles using deployer account
+  router.post('/batch-grant-dev', roleController.batchGrantRoleDev);
+}
 
 module.exports = router;
 
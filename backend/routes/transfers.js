@@ -6,12 +6,25 @@
 const express = require('express');
 const router = express.Router();
 const transferController = require('../controllers/transferController');
+const { requireAuth } = require('../middleware/auth');
+const { rejectWhenPaused } = require('../middleware/pause');
 
-// Transfer product ownership
-router.post('/', transferController.transferOwnership);
+// Initiate a product ownership transfer
+router.post('/', requireAuth, rejectWhenPaused, transferController.transferOwnership);
 
 // Batch transfer multiple products
-router.post('/batch', transferController.batchTransferOwnership);
+router.post('/batch', requireAuth, rejectWhenPaused, transferController.batchTransferOwnership);
+
+// Accept, reject or cancel a pending transfer
+router.post('/:productId/accept', requireAuth, rejectWhenPaused, transferController.acceptTransfer);
+router.post('/:productId/reject', requireAuth, rejectWhenPaused, transferController.rejectTransfer);
+router.post('/:productId/cancel', requireAuth, rejectWhenPaused, transferController.cancelTransfer);
+
+// Get incoming shipments awaiting acceptance by an address
+router.get('/incoming/:address', transferController.getIncomingTransfers);
+
+// Get the pending transfer for a product
+router.get('/pending/:productId', transferController.getPendingTransfer);
 
 // Get transfer history for a product
 router.get('/:productId', transferController.getTransferHistory);
@@ -6,15 +6,17 @@
 const express = require('express');
 const router = express.Router();
 const verificationController = require('../controllers/verificationController');
+const { requireAuth } = require('../middleware/auth');
+const { rejectWhenPaused } = require('../middleware/pause');
 
 // Verify product authenticity
-router.post('/authenticity', verificationController.verifyAuthenticity);
+router.post('/authenticity', requireAuth, rejectWhenPaused, verificationController.verifyAuthenticity);
 
 // Perform quality check
-router.post('/quality', verificationController.performQualityCheck);
+router.post('/quality', requireAuth, rejectWhenPaused, verificationController.performQualityCheck);
 
 // Perform compliance check (Regulator only)
-router.post('/compliance', verificationController.checkCompliance);
+router.post('/compliance', requireAuth, rejectWhenPaused, verificationController.checkCompliance);
 
 // Get verification history for a product
 router.get('/:productId', verificationController.getVerificationHistory);
@@ -0,0 +1,30 @@
+/**
+ * Webhook Routes
+ * API endpoints for webhook subscriptions
+ * 
+ * Every route requires a session; webhooks belong to the signed-in account.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireAuth } = require('../middleware/auth');
+
+// Register a webhook
+router.post('/', requireAuth, webhookController.createWebhook);
+
+// List the signed-in account's webhooks
+router.get('/', requireAuth, webhookController.listWebhooks);
+
+// Get a webhook's delivery log
+router.get('/:id/deliveries', requireAuth, webhookController.getDeliveries);
+
+// Replace a webhook's signing secret
+router.post('/:id/rotate-secret', requireAuth, webhookController.rotateSecret);
+
+// Get, update or delete a webhook
+router.get('/:id', requireAuth, webhookController.getWebhook);
+router.put('/:id', requireAuth, webhookController.updateWebhook);
+router.delete('/:id', requireAuth, webhookController.deleteWebhook);
+
+module.exports = router;
@@ -3,10 +3,14 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
-const contractService = require('./services/contractService');
 
+// Load .env before services read their configuration
 dotenv.config();
 
+const contractService = require('./services/contractService');
+const indexerService = require('./services/indexerService');
+const webhookService = require('./services/webhookService');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -26,12 +30,38 @@ const transferRoutes = require('./routes/transfers');
 const verificationRoutes = require('./routes/verification');
 const roleRoutes = require('./routes/roles');
 const qrRoutes = require('./routes/qr');
+const recallRoutes = require('./routes/recalls');
+const coldChainRoutes = require('./routes/coldchain');
+const authRoutes = require('./routes/auth');
+const contractRoutes = require('./routes/contracts');
+const relayRoutes = require('./routes/relay');
+const jobRoutes = require('./routes/jobs');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const organizationRoutes = require('./routes/organizations');
+const roleRequestRoutes = require('./routes/roleRequests');
+const governanceRoutes = require('./routes/governance');
+const emergencyRoutes = require('./routes/emergency');
+const certificateRoutes = require('./routes/certificates');
 
 app.use('/api/products', productRoutes);
 app.use('/api/transfers', transferRoutes);
 app.use('/api/verification', verificationRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/qr', qrRoutes);
+app.use('/api/recalls', recallRoutes);
+app.use('/api/coldchain', coldChainRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/relay', relayRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/role-requests', roleRequestRoutes);
+app.use('/api/governance', governanceRoutes);
+app.use('/api/emergency', emergencyRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -59,6 +89,12 @@ async function startServer() {
     // Wait for contract service initialization
     await initPromise;
     
+    // Catch up the event indexer and keep following new blocks
+    await indexerService.start();
+    
+    // Send webhook deliveries queued by the indexer, including retries left from a previous run
+    webhookService.start();
+    
     // Start server
     return new Promise((resolve) => {
       const server = app.listen(PORT, () => {
@@ -0,0 +1,172 @@
+/**
+ * Auth Service
+ * Sign-In With Ethereum (EIP-4361) login and session tokens
+ * 
+ * A client asks for a nonce, has the wallet sign a SIWE message containing it, and
+ * exchanges the message and signature for a JWT. The token carries the recovered
+ * address, which the auth middleware binds to each write request.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage } = require('siwe');
+const contractService = require('./contractService');
+
+// How long an issued nonce can be used to sign in
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+class AuthService {
+  constructor() {
+    // nonce -> { expiresAt, client }, in the order the nonces were issued
+    this.nonces = new Map();
+    // client -> Set of its unused nonces, oldest first
+    this.clientNonces = new Map();
+    // Unused nonces kept at most; once full, no more are issued until some are used or expire
+    this.maxNonces = parseInt(process.env.AUTH_MAX_NONCES || '10000');
+    // Unused nonces one client may hold; issuing another drops that client's oldest
+    this.maxNoncesPerClient = parseInt(process.env.AUTH_MAX_NONCES_PER_CLIENT || '20');
+    this.domains = (process.env.SIWE_DOMAINS || 'localhost:5173,127.0.0.1:5173')
+      .split(',')
+      .map((domain) => domain.trim())
+      .filter((domain) => domain.length > 0);
+    this.tokenTtl = process.env.JWT_EXPIRES_IN || '24h';
+    this.secret = process.env.JWT_SECRET;
+    if (!this.secret) {
+      // Sessions will not survive a restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('JWT_SECRET not set, using a random secret for this process');
+    }
+  }
+
+  /**
+   * Issue a single-use nonce for a SIWE message
+   * 
+   * @param {string} client - Requesting client, e.g. its IP address
+   * @returns {string} Alphanumeric nonce
+   * @throws {Error} TOO_MANY_NONCES (503) if maxNonces unused nonces are outstanding
+   * 
+   * A client holding maxNoncesPerClient unused nonces loses its oldest one, so a client
+   * asking for nonces in a loop only ever evicts its own.
+   */
+  createNonce(client) {
+    this.pruneNonces();
+    const own = this.clientNonces.get(client) || new Set();
+    while (own.size >= this.maxNoncesPerClient) {
+      this.deleteNonce(own.values().next().value);
+    }
+    if (this.nonces.size >= this.maxNonces) {
+      const error = new Error('Too many sign-ins in progress, try again later');
+      error.code = 'TOO_MANY_NONCES';
+      error.status = 503;
+      throw error;
+    }
+    const nonce = crypto.randomBytes(16).toString('hex');
+    this.nonces.set(nonce, { expiresAt: Date.now() + NONCE_TTL_MS, client });
+    this.clientNonces.set(client, own.add(nonce));
+    return nonce;
+  }
+
+  /**
+   * Forget a nonce, used or not
+   * 
+   * @param {string} nonce - Nonce to delete
+   * @returns {number|null} When the nonce would have expired, or null if it was not issued
+   */
+  deleteNonce(nonce) {
+    const entry = this.nonces.get(nonce);
+    if (!entry) {
+      return null;
+    }
+    this.nonces.delete(nonce);
+    const own = this.clientNonces.get(entry.client);
+    own.delete(nonce);
+    if (own.size === 0) {
+      this.clientNonces.delete(entry.client);
+    }
+    return entry.expiresAt;
+  }
+
+  /**
+   * Drop expired nonces
+   * 
+   * Nonces are kept in the order they were issued, all with the same lifetime,
+   * so pruning stops at the first one that is still valid.
+   */
+  pruneNonces() {
+    const now = Date.now();
+    for (const [nonce, { expiresAt }] of this.nonces) {
+      if (expiresAt >= now) {
+        break;
+      }
+      this.deleteNonce(nonce);
+    }
+  }
+
+  /**
+   * Verify a signed SIWE message and issue a session token
+   * 
+   * @param {string} message - EIP-4361 message text that was signed
+   * @param {string} signature - Wallet signature of the message
+   * @returns {Promise<Object>} { address, token, expiresAt } with expiresAt in Unix seconds
+   * @throws {Error} If the message is malformed, for another domain or chain, uses an unknown or
+   *   expired nonce, is outside its validity window, or the signature does not match
+   * 
+   * The nonce is consumed even if verification fails, so a message can only be tried once.
+   */
+  async signIn(message, signature) {
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw new Error('Invalid SIWE message');
+    }
+
+    if (!this.domains.includes(siweMessage.domain)) {
+      throw new Error(`SIWE message domain ${siweMessage.domain} is not allowed`);
+    }
+
+    const nonceExpiresAt = this.deleteNonce(siweMessage.nonce);
+    if (!nonceExpiresAt || nonceExpiresAt < Date.now()) {
+      throw new Error('Invalid or expired nonce');
+    }
+
+    const chainId = await contractService.getChainId();
+    if (siweMessage.chainId !== chainId) {
+      throw new Error(`SIWE message is for chain ${siweMessage.chainId}, expected chain ${chainId}`);
+    }
+
+    const result = await siweMessage.verify(
+      { signature, nonce: siweMessage.nonce, domain: siweMessage.domain },
+      { suppressExceptions: true }
+    );
+    if (!result.success) {
+      throw new Error(`SIWE verification failed: ${result.error ? result.error.type : 'invalid signature'}`);
+    }
+
+    const address = result.data.address;
+    const token = jwt.sign({ sub: address }, this.secret, { expiresIn: this.tokenTtl });
+    return {
+      address,
+      token,
+      expiresAt: jwt.decode(token).exp
+    };
+  }
+
+  /**
+   * Verify a session token
+   * 
+   * @param {string} token - JWT issued by signIn()
+   * @returns {Object} { address, expiresAt }
+   * @throws {Error} If the token is invalid or expired
+   */
+  verifyToken(token) {
+    const payload = jwt.verify(token, this.secret);
+    return {
+      address: payload.sub,
+      expiresAt: payload.exp
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
@@ -0,0 +1,82 @@
+/**
+ * Certificate Store Service
+ * Content-addressed storage of quality and compliance certificate documents
+ * 
+ * Only a certificate's hash goes on-chain. The full certificate is kept here,
+ * keyed by that hash, so the inputs behind a recorded hash can be retrieved
+ * and checked by recomputing the hash.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildCertificateDocument, generateCertificateHash, isValidAddress, isValidProductId } = require('../utils/helpers');
+
+class CertificateStoreService {
+  constructor() {
+    this.dataDir = process.env.CERTIFICATE_DATA_DIR || path.join(__dirname, '../data/certificates');
+  }
+
+  /**
+   * Check that a submitted certificate has the fields a check certificate is built from
+   * 
+   * @param {Object} certificate - Certificate as { productId, type, verifier, result, notes, timestamp }
+   * @returns {string|null} Reason the certificate is malformed, or null if it is well formed
+   */
+  validate(certificate) {
+    if (!certificate || typeof certificate !== 'object' || Array.isArray(certificate)) {
+      return 'Certificate must be an object';
+    }
+    if (!isValidProductId(certificate.productId)) {
+      return 'Certificate productId must be a positive integer';
+    }
+    if (typeof certificate.type !== 'string' || certificate.type.length === 0) {
+      return 'Certificate type is required';
+    }
+    if (!isValidAddress(certificate.verifier)) {
+      return 'Certificate verifier must be an address';
+    }
+    if (typeof certificate.result !== 'number' && typeof certificate.result !== 'boolean') {
+      return 'Certificate result must be a score or a boolean';
+    }
+    if (certificate.notes !== undefined && typeof certificate.notes !== 'string') {
+      return 'Certificate notes must be a string';
+    }
+    if (!Number.isInteger(certificate.timestamp) || certificate.timestamp <= 0) {
+      return 'Certificate timestamp must be Unix seconds';
+    }
+    return null;
+  }
+
+  /**
+   * Store a certificate under its hash
+   * 
+   * @param {Object} data - Certificate data, as passed to generateCertificateHash()
+   * @returns {string} Certificate hash (hex string with 0x prefix)
+   */
+  save(data) {
+    const certificate = buildCertificateDocument(data);
+    const hash = generateCertificateHash(certificate);
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.writeFileSync(path.join(this.dataDir, `${hash}.json`), JSON.stringify(certificate));
+    return hash;
+  }
+
+  /**
+   * Load a stored certificate
+   * 
+   * @param {string} hash - Certificate hash
+   * @returns {Object|null} Certificate if stored and matching the hash, otherwise null
+   */
+  load(hash) {
+    const file = path.join(this.dataDir, `${hash.toLowerCase()}.json`);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    const certificate = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return generateCertificateHash(certificate) === hash.toLowerCase() ? certificate : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new CertificateStoreService();
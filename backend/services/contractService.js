@@ -8,14 +8,43 @@
  */
 
 const { ethers } = require('ethers');
-const { loadContractAddresses, loadContractABI, generateCertificateHash, mergeCertificateMetadata, formatDate } = require('../utils/helpers');
+const jobService = require('./jobService');
+const certificateStoreService = require('./certificateStoreService');
+const { loadContractAddresses, loadContractABI, generateCertificateHash } = require('../utils/helpers');
+
+// ProductStatus values from SafeBiteSupplyChain
+const PRODUCT_STATUS_EXPIRED = 5;
+
+// CertificateType and CertificateScope names from SafeBiteCertificates, by enum value
+const CERTIFICATE_TYPES = ['QUALITY', 'COMPLIANCE', 'ORGANIC', 'HALAL', 'KOSHER', 'FAIR_TRADE', 'LAB_REPORT', 'OTHER'];
+const CERTIFICATE_SCOPES = ['PRODUCT', 'BATCH'];
+
+// Verification records read per call when loading a product's full verification history
+const VERIFICATION_PAGE_SIZE = 100;
+
+// Functions governance proposals can call, by the contract that has them
+const PROPOSAL_FUNCTIONS = {
+  accessControl: ['grantRole', 'grantRoleUntil', 'revokeRole', 'transferOwnership', 'acceptOwnership', 'cancelOwnershipTransfer', 'setGuardian'],
+  governance: ['addSigner', 'removeSigner', 'changeThreshold', 'changeDelay']
+};
 
 class ContractService {
   constructor() {
     this.provider = null;
     this.accessControlContract = null;
     this.supplyChainContract = null;
+    this.recallContract = null;
+    this.coldChainContract = null;
+    this.forwarderContract = null;
+    this.governanceContract = null;
+    this.certificateContract = null;
     this.contractAddresses = null;
+    this.contractABIs = null;
+    this.chainId = null;
+    // How long to wait for a receipt before checking whether a transaction was dropped
+    this.receiptTimeout = parseInt(process.env.TX_RECEIPT_TIMEOUT_MS || '60000');
+    // How many times a dropped transaction is sent again
+    this.maxRebroadcasts = parseInt(process.env.TX_MAX_REBROADCASTS || '3');
   }
 
   /**
@@ -34,15 +63,31 @@ class ContractService {
       this.contractAddresses = loadContractAddresses();
       
       // Create provider using RPC_URL from environment (default to localhost:8545)
+      // Response caching is disabled so the indexer sees blocks mined by our own writes
       const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+      this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
       
       // Verify provider connection
       await this.provider.getBlockNumber();
+      this.chainId = Number((await this.provider.getNetwork()).chainId);
       
       // Load contract ABIs from artifacts
       const accessControlABI = loadContractABI('SafeBiteAccessRoles');
       const supplyChainABI = loadContractABI('SafeBiteSupplyChain');
+      const recallABI = loadContractABI('SafeBiteRecalls');
+      const coldChainABI = loadContractABI('SafeBiteColdChain');
+      const forwarderABI = loadContractABI('SafeBiteForwarder');
+      const governanceABI = loadContractABI('SafeBiteGovernance');
+      const certificateABI = loadContractABI('SafeBiteCertificates');
+      this.contractABIs = {
+        accessControl: accessControlABI,
+        supplyChain: supplyChainABI,
+        recalls: recallABI,
+        coldChain: coldChainABI,
+        forwarder: forwarderABI,
+        governance: governanceABI,
+        certificates: certificateABI
+      };
       
       // Create contract instances (read-only, connected to provider)
       this.accessControlContract = new ethers.Contract(
@@ -57,12 +102,151 @@ class ContractService {
         this.provider
       );
       
+      this.recallContract = new ethers.Contract(
+        this.contractAddresses.recalls,
+        recallABI,
+        this.provider
+      );
+      
+      this.coldChainContract = new ethers.Contract(
+        this.contractAddresses.coldChain,
+        coldChainABI,
+        this.provider
+      );
+      
+      this.forwarderContract = new ethers.Contract(
+        this.contractAddresses.forwarder,
+        forwarderABI,
+        this.provider
+      );
+      
+      this.governanceContract = new ethers.Contract(
+        this.contractAddresses.governance,
+        governanceABI,
+        this.provider
+      );
+      
+      this.certificateContract = new ethers.Contract(
+        this.contractAddresses.certificates,
+        certificateABI,
+        this.provider
+      );
+      
       console.log('Contract service initialized successfully');
       console.log(`Access Control: ${this.contractAddresses.accessControl}`);
       console.log(`Supply Chain: ${this.contractAddresses.supplyChain}`);
+      console.log(`Recalls: ${this.contractAddresses.recalls}`);
+      console.log(`Cold Chain: ${this.contractAddresses.coldChain}`);
+      console.log(`Forwarder: ${this.contractAddresses.forwarder}`);
+      console.log(`Governance: ${this.contractAddresses.governance}`);
+      console.log(`Certificates: ${this.contractAddresses.certificates}`);
     } catch (error) {
       console.error('Failed to initialize contract service:', error.message);
-      throw new Error(`Contract service initialization failed: ${error.message}`);
+      throw new Error(`Contract service initialization failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the chain ID of the connected network
+   * 
+   * @returns {Promise<number>} Chain ID, read when the service is initialized
+   * 
+   * Initializes the service first if that has not happened yet.
+   */
+  async getChainId() {
+    if (this.chainId === null) {
+      await this.initialize();
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Get the deployed contracts for clients that sign their own transactions
+   * 
+   * @returns {Object} { chainId, contracts } where contracts maps accessControl, supplyChain,
+   *   recalls, coldChain, forwarder, governance and certificates to { address, abi }
+   */
+  getDeployment() {
+    if (!this.contractAddresses || !this.contractABIs) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    const contracts = {};
+    for (const [key, abi] of Object.entries(this.contractABIs)) {
+      contracts[key] = {
+        address: this.contractAddresses[key],
+        abi
+      };
+    }
+    
+    return {
+      chainId: this.chainId,
+      contracts
+    };
+  }
+
+  /**
+   * Check that writes may be sent from unlocked node accounts
+   * 
+   * @throws {Error} NODE_SIGNER_DISABLED (503) if they may not
+   * 
+   * Every write not relayed through the forwarder asks the node to sign for signerAddress,
+   * which only works on a development node whose accounts are unlocked. ALLOW_NODE_SIGNERS=true
+   * or false decides; when unset, they are allowed only with NODE_ENV development or test.
+   * Endpoints that accept EIP-712 signed requests still work without them.
+   */
+  requireNodeSigner() {
+    const allowed = process.env.ALLOW_NODE_SIGNERS !== undefined
+      ? process.env.ALLOW_NODE_SIGNERS === 'true'
+      : ['development', 'test'].includes(process.env.NODE_ENV);
+    if (!allowed) {
+      const error = new Error('This write needs an unlocked node account, which is disabled here: send a signed request where the endpoint accepts one, or set ALLOW_NODE_SIGNERS=true on a development node');
+      error.code = 'NODE_SIGNER_DISABLED';
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a sent transaction to be mined, sending it again if the node drops it
+   * 
+   * @param {Object} tx - Transaction response returned by a contract call
+   * @param {ethers.Signer} signer - Signer that sent the transaction
+   * @returns {Promise<Object>} Transaction receipt
+   * @throws {Error} If the transaction reverts, or is not mined within maxRebroadcasts + 1 timeouts
+   * 
+   * Reports every broadcast to the running job. If no receipt arrives within receiptTimeout
+   * and the node no longer knows the transaction, it is sent again with the same nonce and
+   * fields; a transaction still in the mempool is simply waited on again.
+   */
+  async waitForReceipt(tx, signer) {
+    let current = tx;
+    jobService.recordTransaction(current.hash);
+    
+    for (let waits = 0; ; waits++) {
+      try {
+        return await current.wait(1, this.receiptTimeout);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') {
+          throw error;
+        }
+      }
+      
+      if (waits >= this.maxRebroadcasts) {
+        throw new Error(`Transaction ${current.hash} was not mined after ${waits + 1} attempts`);
+      }
+      
+      // Still pending: keep waiting. Dropped: send it again with the same nonce
+      if (!(await this.provider.getTransaction(current.hash))) {
+        current = await signer.sendTransaction({
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          nonce: tx.nonce,
+          gasLimit: tx.gasLimit
+        });
+        jobService.recordTransaction(current.hash);
+      }
     }
   }
 
@@ -74,6 +258,8 @@ class ContractService {
    * 
    * Calls accessControl.getRole(address) and returns the role number.
    * Returns 4 (CONSUMER) as default if address has no assigned role.
+   * Addresses can hold several roles; this returns the first one in enum order
+   * (see getUserRoles()).
    */
   async getUserRole(address) {
     if (!this.accessControlContract) {
@@ -84,7 +270,55 @@ class ContractService {
       const role = await this.accessControlContract.getRole(address);
       return Number(role);
     } catch (error) {
-      throw new Error(`Failed to get user role: ${error.message}`);
+      throw new Error(`Failed to get user role: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get all roles granted to a user
+   * 
+   * @param {string} address - User wallet address
+   * @returns {Promise<Array<number>>} Role enum values in enum order, empty if the address
+   *   has no assigned role (it is a consumer)
+   * 
+   * Calls accessControl.getRoles(address) and converts the roles to numbers.
+   */
+  async getUserRoles(address) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const roles = await this.accessControlContract.getRoles(address);
+      return roles.map((role) => Number(role));
+    } catch (error) {
+      throw new Error(`Failed to get user roles: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get every role granted to a user, including expired and suspended ones
+   * 
+   * @param {string} address - User wallet address
+   * @returns {Promise<Array<Object>>} Grants as { role, validUntil, suspended } in enum order;
+   *   validUntil is 0 for roles that never expire
+   * 
+   * Calls accessControl.getRoleGrants(address).
+   */
+  async getRoleGrants(address) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const grants = await this.accessControlContract.getRoleGrants(address);
+      return grants.map((grant) => ({
+        role: Number(grant.role),
+        validUntil: Number(grant.validUntil),
+        suspended: grant.suspended
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get role grants: ${error.message}`, { cause: error });
     }
   }
 
@@ -96,7 +330,7 @@ class ContractService {
    * @returns {Promise<boolean>} True if user has the role
    * 
    * Calls accessControl.hasRole(address, role) and returns boolean result.
-   * CONSUMER role (4) always returns true for any address.
+   * CONSUMER role (4) always returns true for any address; expired and suspended roles return false.
    */
   async hasRole(address, role) {
     if (!this.accessControlContract) {
@@ -107,7 +341,7 @@ class ContractService {
       const hasRoleResult = await this.accessControlContract.hasRole(address, role);
       return hasRoleResult;
     } catch (error) {
-      throw new Error(`Failed to check role: ${error.message}`);
+      throw new Error(`Failed to check role: ${error.message}`, { cause: error });
     }
   }
 
@@ -119,17 +353,23 @@ class ContractService {
    * @param {string} batchId - Batch identifier
    * @param {string} origin - Origin location
    * @param {string} metadataHash - IPFS hash or metadata reference
+   * @param {Object} dates - Product dates in Unix seconds (optional)
+   * @param {number} dates.productionDate - Production date (defaults to registration time)
+   * @param {number} dates.bestBeforeDate - Best-before date (omit if none)
+   * @param {number} dates.useByDate - Use-by date (omit if none)
    * @returns {Promise<Object>} Transaction receipt with productId
    * 
    * Gets signer from provider, connects supply chain contract to signer,
    * calls registerProduct(), waits for transaction, parses ProductRegistered event
    * to extract productId, and returns transaction hash and productId.
    */
-  async registerProduct(signerAddress, name, batchId, origin, metadataHash) {
+  async registerProduct(signerAddress, name, batchId, origin, metadataHash, dates = {}) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -138,10 +378,19 @@ class ContractService {
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
       // Call registerProduct function
-      const tx = await contractWithSigner.registerProduct(name, batchId, origin, metadataHash || '');
+      const { productionDate = 0, bestBeforeDate = 0, useByDate = 0 } = dates;
+      const tx = await contractWithSigner.registerProduct(
+        name,
+        batchId,
+        origin,
+        metadataHash || '',
+        productionDate,
+        bestBeforeDate,
+        useByDate
+      );
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
       // Parse ProductRegistered event to get productId
       let productId = null;
@@ -176,7 +425,71 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to register product: ${error.message}`);
+      throw new Error(`Failed to register product: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Register a composite product made from input products
+   * 
+   * @param {string} signerAddress - Address of the producer (must have PRODUCER role and own every input)
+   * @param {string} name - Product name
+   * @param {string} batchId - Batch identifier
+   * @param {string} origin - Origin location
+   * @param {string} metadataHash - IPFS hash or metadata reference
+   * @param {Object} dates - Product dates in Unix seconds, as for registerProduct()
+   * @param {Array<Object>} inputs - Inputs as [{ productId, portion }], portion in basis points (10000 = whole input)
+   * @returns {Promise<Object>} Transaction receipt with productId
+   * 
+   * Calls registerCompositeProduct(), which registers the output product and consumes
+   * the given share of each input in one transaction, then parses ProductRegistered
+   * to extract the new productId.
+   */
+  async registerCompositeProduct(signerAddress, name, batchId, origin, metadataHash, dates, inputs) {
+    if (!this.supplyChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.supplyChainContract.connect(signer);
+      
+      const { productionDate = 0, bestBeforeDate = 0, useByDate = 0 } = dates;
+      const tx = await contractWithSigner.registerCompositeProduct(
+        name,
+        batchId,
+        origin,
+        metadataHash || '',
+        productionDate,
+        bestBeforeDate,
+        useByDate,
+        inputs.map((input) => ({ productId: input.productId, portion: input.portion }))
+      );
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      let productId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.supplyChainContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'ProductRegistered') {
+            productId = Number(parsedLog.args.productId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+      
+      return {
+        transactionHash: receipt.hash,
+        productId: productId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to register composite product: ${error.message}`, { cause: error });
     }
   }
 
@@ -186,9 +499,12 @@ class ContractService {
    * @param {number} productId - Product ID
    * @returns {Promise<Object>} Product data with owner, status, and authenticity flag
    * 
-   * Calls supplyChain.getProduct(productId), getCurrentOwner(productId),
-   * getProductStatus(productId), and isProductAuthentic(productId),
-   * then returns formatted product object with all information.
+   * Calls supplyChain.getProduct(productId), getProductDates(productId), getConsumedPortion(productId), getCurrentOwner(productId),
+   * getProductStatus(productId), isProductAuthentic(productId), recalls.isProductRecalled(productId),
+   * coldChain.isCompromised(productId) and getProductCertificates(productId), then returns formatted product object with all information.
+   * Dates that were not set at registration are 0. consumedPortion is the share of the product
+   * used as an ingredient so far, in basis points (10000 = fully consumed). certificateIds lists every
+   * certificate covering the product; certificates holds only the valid (unrevoked, unexpired) ones.
    */
   async getProduct(productId) {
     if (!this.supplyChainContract) {
@@ -200,10 +516,15 @@ class ContractService {
       const productData = await this.supplyChainContract.getProduct(productId);
       
       // Get additional information
-      const [currentOwner, status, isAuthentic] = await Promise.all([
+      const [dates, consumedPortion, currentOwner, status, isAuthentic, isRecalled, isColdChainCompromised, certificates] = await Promise.all([
+        this.supplyChainContract.getProductDates(productId),
+        this.supplyChainContract.getConsumedPortion(productId),
         this.supplyChainContract.getCurrentOwner(productId),
         this.supplyChainContract.getProductStatus(productId),
-        this.supplyChainContract.isProductAuthentic(productId)
+        this.supplyChainContract.isProductAuthentic(productId),
+        this.recallContract.isProductRecalled(productId),
+        this.coldChainContract.isCompromised(productId),
+        this.getProductCertificates(productId)
       ]);
       
       return {
@@ -214,131 +535,182 @@ class ContractService {
         createdAt: Number(productData.createdAt),
         origin: productData.origin,
         metadataHash: productData.metadataHash,
+        productionDate: Number(dates.productionDate),
+        bestBeforeDate: Number(dates.bestBeforeDate),
+        useByDate: Number(dates.useByDate),
         currentOwner: currentOwner,
         status: Number(status),
-        isAuthentic: isAuthentic
+        isExpired: Number(status) === PRODUCT_STATUS_EXPIRED,
+        consumedPortion: Number(consumedPortion),
+        isAuthentic: isAuthentic,
+        isRecalled: isRecalled,
+        isColdChainCompromised: isColdChainCompromised,
+        certificateIds: certificates.map((certificate) => certificate.id),
+        certificates: certificates.filter((certificate) => certificate.isValid)
       };
     } catch (error) {
-      throw new Error(`Failed to get product: ${error.message}`);
+      throw new Error(`Failed to get product: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get product journey timeline
+   * Get complete product provenance
    * 
    * @param {number} productId - Product ID
-   * @returns {Promise<Array>} Array of journey events as strings with formatted timestamps
+   * @returns {Promise<string>} JSON string with complete provenance data
    * 
-   * Queries ProductRegistered, OwnershipTransferred, and StatusUpdated events
-   * to build complete product journey timeline.
+   * Calls supplyChain.getCompleteProvenance(productId) and returns JSON string
+   * containing all product data, transfers, and verifications.
    */
-  async getProductJourney(productId) {
-    if (!this.supplyChainContract || !this.provider) {
+  async getCompleteProvenance(productId) {
+    if (!this.supplyChainContract) {
       throw new Error('Contract service not initialized');
     }
     
     try {
-      const journey = [];
-      
-      // Get product info for registration event
-      const product = await this.getProduct(productId);
-      
-      // Add product registration event
-      journey.push({
-        event: 'Product registered',
-        description: `Product registered: ${product.name} (Batch: ${product.batchId}) by producer`,
-        timestamp: product.createdAt,
-        formattedDate: formatDate(product.createdAt)
-      });
-      
-      // Query OwnershipTransferred events
-      const transferFilter = this.supplyChainContract.filters.OwnershipTransferred(productId);
-      const transferEvents = await this.supplyChainContract.queryFilter(transferFilter);
-      
-      // Query StatusUpdated events
-      const statusFilter = this.supplyChainContract.filters.StatusUpdated(productId);
-      const statusEvents = await this.supplyChainContract.queryFilter(statusFilter);
-      
-      // Process transfer events
-      for (const event of transferEvents) {
-        const block = await this.provider.getBlock(event.blockNumber);
-        journey.push({
-          event: 'Ownership transferred',
-          description: `Transferred from ${event.args.from} to ${event.args.to}`,
-          timestamp: Number(block.timestamp),
-          formattedDate: formatDate(Number(block.timestamp)),
-          shipmentDetails: event.args.shipmentDetails || ''
-        });
-      }
-      
-      // Process status update events
-      for (const event of statusEvents) {
-        const block = await this.provider.getBlock(event.blockNumber);
-        const statusNames = ['CREATED', 'SHIPPED', 'RECEIVED', 'STORED', 'DELIVERED'];
-        const oldStatus = statusNames[Number(event.args.oldStatus)];
-        const newStatus = statusNames[Number(event.args.newStatus)];
-        
-        journey.push({
-          event: 'Status updated',
-          description: `Status changed from ${oldStatus} to ${newStatus}`,
-          timestamp: Number(block.timestamp),
-          formattedDate: formatDate(Number(block.timestamp)),
-          updatedBy: event.args.updatedBy
-        });
-      }
-      
-      // Sort by timestamp (chronological order)
-      journey.sort((a, b) => a.timestamp - b.timestamp);
-      
-      // Format as strings for backward compatibility
-      return journey.map(item => 
-        `${item.description} at ${item.formattedDate}`
-      );
+      const provenance = await this.supplyChainContract.getCompleteProvenance(productId);
+      return provenance;
     } catch (error) {
-      throw new Error(`Failed to get product journey: ${error.message}`);
+      throw new Error(`Failed to get complete provenance: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get complete product provenance
+   * Get the upstream ingredient tree of a product
    * 
    * @param {number} productId - Product ID
-   * @returns {Promise<string>} JSON string with complete provenance data
+   * @returns {Promise<Array>} Ingredients as [{ productId, name, batchId, producer, portion, isRecalled, ingredients }],
+   *   where each ingredient's own ingredients are nested recursively (empty for raw products)
    * 
-   * Calls supplyChain.getCompleteProvenance(productId) and returns JSON string
-   * containing all product data, transfers, and verifications.
+   * Reads getIngredients() for the product and walks the DAG upstream so a finished good
+   * can be traced back to every raw input. Portions are in basis points of the input used.
    */
-  async getCompleteProvenance(productId) {
+  async getIngredientTree(productId) {
     if (!this.supplyChainContract) {
       throw new Error('Contract service not initialized');
     }
     
     try {
-      const provenance = await this.supplyChainContract.getCompleteProvenance(productId);
-      return provenance;
+      return await this.buildIngredientTree(productId);
+    } catch (error) {
+      throw new Error(`Failed to get ingredients: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Recursively build the ingredient tree for getIngredientTree()
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Nested ingredients
+   */
+  async buildIngredientTree(productId) {
+    const ingredients = await this.supplyChainContract.getIngredients(productId);
+    const tree = [];
+    
+    for (const ingredient of ingredients) {
+      const inputId = Number(ingredient.productId);
+      tree.push({
+        ...(await this.getLineageNode(inputId)),
+        portion: Number(ingredient.portion),
+        ingredients: await this.buildIngredientTree(inputId)
+      });
+    }
+    
+    return tree;
+  }
+
+  /**
+   * Get the downstream products made from a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Derived products as [{ productId, name, batchId, producer, portion, isRecalled, derived }],
+   *   where products made from each derived product are nested recursively
+   * 
+   * Queries IngredientConsumed events for the product as an input and walks the DAG
+   * downstream, so a contaminated ingredient can be traced into every finished good
+   * that used it. Portions are in basis points of the input used.
+   */
+  async getDerivedProducts(productId) {
+    if (!this.supplyChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      return await this.buildDerivedTree(productId);
     } catch (error) {
-      throw new Error(`Failed to get complete provenance: ${error.message}`);
+      throw new Error(`Failed to get derived products: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Recursively build the derived product tree for getDerivedProducts()
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Nested derived products
+   */
+  async buildDerivedTree(productId) {
+    const filter = this.supplyChainContract.filters.IngredientConsumed(productId);
+    const events = await this.supplyChainContract.queryFilter(filter);
+    const tree = [];
+    
+    for (const event of events) {
+      const outputId = Number(event.args.outputId);
+      tree.push({
+        ...(await this.getLineageNode(outputId)),
+        portion: Number(event.args.portion),
+        transactionHash: event.transactionHash,
+        derived: await this.buildDerivedTree(outputId)
+      });
     }
+    
+    return tree;
+  }
+
+  /**
+   * Get the product fields shown for each node of a lineage tree
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} { productId, name, batchId, producer, currentOwner, isRecalled }
+   */
+  async getLineageNode(productId) {
+    const [productData, currentOwner, isRecalled] = await Promise.all([
+      this.supplyChainContract.getProduct(productId),
+      this.supplyChainContract.getCurrentOwner(productId),
+      this.recallContract.isProductRecalled(productId)
+    ]);
+    
+    return {
+      productId: productId,
+      name: productData.name,
+      batchId: productData.batchId,
+      producer: productData.producer,
+      currentOwner: currentOwner,
+      isRecalled: isRecalled
+    };
   }
 
   /**
-   * Transfer product ownership
+   * Initiate a product ownership transfer
    * 
    * @param {string} signerAddress - Current owner address
    * @param {number} productId - Product ID
    * @param {string} toAddress - Recipient address
    * @param {string} shipmentDetails - Shipping information
+   * @param {number} timeout - Seconds the recipient has to accept (0 = no deadline)
    * @returns {Promise<Object>} Transaction receipt
    * 
    * Gets signer from provider, connects supply chain contract to signer,
-   * calls transferOwnership(productId, toAddress, shipmentDetails),
+   * calls transferOwnership(productId, toAddress, shipmentDetails, timeout),
    * waits for transaction, and returns receipt with transaction hash.
+   * Custody only moves once the recipient accepts the pending transfer.
    */
-  async transferOwnership(signerAddress, productId, toAddress, shipmentDetails) {
+  async transferOwnership(signerAddress, productId, toAddress, shipmentDetails, timeout = 0) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -347,10 +719,10 @@ class ContractService {
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
       // Call transferOwnership function
-      const tx = await contractWithSigner.transferOwnership(productId, toAddress, shipmentDetails || '');
+      const tx = await contractWithSigner.transferOwnership(productId, toAddress, shipmentDetails || '', timeout);
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
       return {
         transactionHash: receipt.hash,
@@ -358,7 +730,7 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to transfer ownership: ${error.message}`);
+      throw new Error(`Failed to transfer ownership: ${error.message}`, { cause: error });
     }
   }
 
@@ -369,17 +741,20 @@ class ContractService {
    * @param {Array<number>} productIds - Array of product IDs
    * @param {string} toAddress - Recipient address
    * @param {string} shipmentDetails - Shipping information
+   * @param {number} timeout - Seconds the recipient has to accept (0 = no deadline)
    * @returns {Promise<Object>} Transaction receipt
    * 
    * Gets signer from provider, connects supply chain contract to signer,
-   * calls batchTransferOwnership(productIds, toAddress, shipmentDetails),
+   * calls batchTransferOwnership(productIds, toAddress, shipmentDetails, timeout),
    * waits for transaction, and returns receipt with transaction hash.
    */
-  async batchTransferOwnership(signerAddress, productIds, toAddress, shipmentDetails) {
+  async batchTransferOwnership(signerAddress, productIds, toAddress, shipmentDetails, timeout = 0) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -388,10 +763,10 @@ class ContractService {
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
       // Call batchTransferOwnership function
-      const tx = await contractWithSigner.batchTransferOwnership(productIds, toAddress, shipmentDetails || '');
+      const tx = await contractWithSigner.batchTransferOwnership(productIds, toAddress, shipmentDetails || '', timeout);
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
       return {
         transactionHash: receipt.hash,
@@ -399,77 +774,72 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to batch transfer ownership: ${error.message}`);
+      throw new Error(`Failed to batch transfer ownership: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get transfer history for a product
+   * Accept a pending transfer
    * 
+   * @param {string} signerAddress - Recipient address
    * @param {number} productId - Product ID
-   * @returns {Promise<Array>} Array of transfer records
+   * @returns {Promise<Object>} Transaction receipt
    * 
-   * Queries OwnershipTransferred events from the blockchain to build transfer history.
+   * Calls acceptTransfer(productId), which moves custody to the recipient
+   * and emits OwnershipTransferred.
    */
-  async getTransferHistory(productId) {
-    if (!this.supplyChainContract || !this.provider) {
-      throw new Error('Contract service not initialized');
-    }
-    
-    try {
-      // Query OwnershipTransferred events for this product
-      const filter = this.supplyChainContract.filters.OwnershipTransferred(productId);
-      const events = await this.supplyChainContract.queryFilter(filter);
-      
-      // Get block timestamps for each event
-      const transfers = await Promise.all(events.map(async (event) => {
-        const block = await this.provider.getBlock(event.blockNumber);
-        return {
-          from: event.args.from,
-          to: event.args.to,
-          timestamp: Number(block.timestamp),
-          shipmentDetails: event.args.shipmentDetails || ''
-        };
-      }));
-      
-      // Sort by timestamp (chronological order)
-      transfers.sort((a, b) => a.timestamp - b.timestamp);
-      
-      return transfers;
-    } catch (error) {
-      throw new Error(`Failed to get transfer history: ${error.message}`);
-    }
+  async acceptTransfer(signerAddress, productId) {
+    return this.sendPendingTransferAction('acceptTransfer', 'accept transfer', signerAddress, productId);
   }
 
   /**
-   * Update product status
+   * Reject a pending transfer
+   * 
+   * @param {string} signerAddress - Recipient address
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} Transaction receipt
+   * 
+   * Calls rejectTransfer(productId); custody stays with the sender.
+   */
+  async rejectTransfer(signerAddress, productId) {
+    return this.sendPendingTransferAction('rejectTransfer', 'reject transfer', signerAddress, productId);
+  }
+
+  /**
+   * Cancel a pending transfer
    * 
    * @param {string} signerAddress - Current owner address
    * @param {number} productId - Product ID
-   * @param {number} newStatus - Status enum value (0=CREATED, 1=SHIPPED, etc.)
    * @returns {Promise<Object>} Transaction receipt
    * 
-   * Gets signer from provider, connects supply chain contract to signer,
-   * calls updateStatus(productId, newStatus), waits for transaction,
-   * and returns receipt with transaction hash.
+   * Calls cancelTransfer(productId) to withdraw a transfer the recipient has not accepted.
    */
-  async updateStatus(signerAddress, productId, newStatus) {
+  async cancelTransfer(signerAddress, productId) {
+    return this.sendPendingTransferAction('cancelTransfer', 'cancel transfer', signerAddress, productId);
+  }
+
+  /**
+   * Send an accept, reject or cancel transaction for a pending transfer
+   * 
+   * @param {string} method - Supply chain contract method name
+   * @param {string} action - Action description used in error messages
+   * @param {string} signerAddress - Address sending the transaction
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async sendPendingTransferAction(method, action, signerAddress, productId) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
-      // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
-      
-      // Connect contract to signer for write operations
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
-      // Call updateStatus function
-      const tx = await contractWithSigner.updateStatus(productId, newStatus);
-      
-      // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const tx = await contractWithSigner[method](productId);
+      const receipt = await this.waitForReceipt(tx, signer);
       
       return {
         transactionHash: receipt.hash,
@@ -477,27 +847,142 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to update status: ${error.message}`);
+      throw new Error(`Failed to ${action}: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Verify product authenticity
+   * Get the pending transfer for a product
    * 
-   * @param {string} signerAddress - Verifier address (anyone can verify)
    * @param {number} productId - Product ID
-   * @param {string} notes - Verification notes
-   * @returns {Promise<Object>} Verification result with isValid boolean
-   * 
-   * Gets signer from provider, connects supply chain contract to signer,
-   * calls verifyAuthenticity(productId, notes), waits for transaction,
-   * then checks the authenticity flag to get the result, and returns transaction hash and result.
+   * @returns {Promise<Object|null>} Pending transfer, or null if none is pending
+   */
+  async getPendingTransfer(productId) {
+    if (!this.supplyChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const pending = await this.supplyChainContract.getPendingTransfer(productId);
+      if (pending.to === ethers.ZeroAddress) {
+        return null;
+      }
+      return this.formatPendingTransfer(productId, pending);
+    } catch (error) {
+      throw new Error(`Failed to get pending transfer: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Format an on-chain PendingTransfer struct for API responses
+   * 
+   * @param {number} productId - Product ID
+   * @param {Object} pending - PendingTransfer struct returned by the contract
+   * @returns {Object} Pending transfer with timestamps converted and expiry flag added
+   */
+  formatPendingTransfer(productId, pending) {
+    const expiresAt = Number(pending.expiresAt);
+    
+    return {
+      productId: Number(productId),
+      from: pending.from,
+      to: pending.to,
+      initiatedAt: Number(pending.initiatedAt),
+      expiresAt: expiresAt,
+      isExpired: expiresAt !== 0 && Math.floor(Date.now() / 1000) > expiresAt,
+      shipmentDetails: pending.shipmentDetails || ''
+    };
+  }
+
+  /**
+   * Get transfer history for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Array of transfer records
+   * 
+   * Calls supplyChain.getTransferHistory(productId), which returns the custody chain
+   * recorded on-chain each time a recipient accepts a transfer, oldest first.
+   */
+  async getTransferHistory(productId) {
+    if (!this.supplyChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const records = await this.supplyChainContract.getTransferHistory(productId);
+      
+      return records.map((record) => ({
+        from: record.from,
+        to: record.to,
+        timestamp: Number(record.timestamp),
+        shipmentDetails: record.shipmentDetails || ''
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get transfer history: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Update product status
+   * 
+   * @param {string} signerAddress - Current owner address
+   * @param {number} productId - Product ID
+   * @param {number} newStatus - Status enum value (0=CREATED, 1=SHIPPED, etc.)
+   * @returns {Promise<Object>} Transaction receipt
+   * 
+   * Gets signer from provider, connects supply chain contract to signer,
+   * calls updateStatus(productId, newStatus), waits for transaction,
+   * and returns receipt with transaction hash.
+   */
+  async updateStatus(signerAddress, productId, newStatus) {
+    if (!this.supplyChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      // Get signer from provider
+      const signer = await this.provider.getSigner(signerAddress);
+      
+      // Connect contract to signer for write operations
+      const contractWithSigner = this.supplyChainContract.connect(signer);
+      
+      // Call updateStatus function
+      const tx = await contractWithSigner.updateStatus(productId, newStatus);
+      
+      // Wait for transaction to be mined
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to update status: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Verify product authenticity
+   * 
+   * @param {string} signerAddress - Verifier address (anyone can verify)
+   * @param {number} productId - Product ID
+   * @param {string} notes - Verification notes
+   * @returns {Promise<Object>} Verification result with isValid boolean
+   * 
+   * Gets signer from provider, connects supply chain contract to signer,
+   * calls verifyAuthenticity(productId, notes), waits for transaction,
+   * then checks the authenticity flag to get the result, and returns transaction hash and result.
    */
   async verifyAuthenticity(signerAddress, productId, notes) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -509,7 +994,7 @@ class ContractService {
       const tx = await contractWithSigner.verifyAuthenticity(productId, notes || '');
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
       // Check the authenticity flag after the transaction
       const isValid = await this.isProductAuthentic(productId);
@@ -521,7 +1006,7 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to verify authenticity: ${error.message}`);
+      throw new Error(`Failed to verify authenticity: ${error.message}`, { cause: error });
     }
   }
 
@@ -531,19 +1016,24 @@ class ContractService {
    * @param {string} signerAddress - Retailer or Regulator address
    * @param {number} productId - Product ID
    * @param {number} qualityScore - Quality score (0-100)
+   * @param {string} certificateHash - Certificate hash if the check passes (optional, will be auto-generated if not provided)
    * @param {string} notes - Quality check notes
    * @returns {Promise<Object>} Transaction receipt
    * 
    * Gets signer from provider, connects supply chain contract to signer,
-   * calls performQualityCheck(productId, qualityScore, notes), waits for transaction,
-   * generates quality certificate hash, merges with existing metadataHash, and updates it.
+   * auto-generates certificate hash if not provided and the check passes,
+   * calls performQualityCheck(productId, qualityScore, notes, certificateHash) and waits for transaction.
+   * A passing check records the hash as a QUALITY certificate. An auto-generated certificate
+   * is kept in the certificate store once the transaction is mined.
    * Returns receipt with transaction hash.
    */
-  async performQualityCheck(signerAddress, productId, qualityScore, notes) {
+  async performQualityCheck(signerAddress, productId, qualityScore, certificateHash, notes) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -551,38 +1041,42 @@ class ContractService {
       // Connect contract to signer for write operations
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
-      // Generate quality certificate hash
-      const timestamp = Math.floor(Date.now() / 1000); // Current timestamp in seconds
-      const qualityCertificateHash = generateCertificateHash({
-        productId,
-        type: 'QUALITY_CHECK',
-        verifier: signerAddress,
-        result: qualityScore,
-        notes: notes || '',
-        timestamp
-      });
+      // Determine if quality check passed (score >= 50)
+      const passed = qualityScore >= 50;
       
-      // Get current product to retrieve existing metadataHash
-      const product = await this.getProduct(productId);
-      const existingMetadataHash = product.metadataHash || '';
+      let qualityCertificateHash = certificateHash || '';
+      let qualityCertificate = null;
       
-      // Merge quality certificate with existing metadata
-      const mergedMetadataHash = mergeCertificateMetadata(existingMetadataHash, 'quality', qualityCertificateHash);
+      // Auto-generate certificate hash if not provided and the check passes
+      if (passed && !qualityCertificateHash) {
+        const timestamp = Math.floor(Date.now() / 1000); // Current timestamp in seconds
+        qualityCertificate = {
+          productId,
+          type: 'QUALITY_CHECK',
+          verifier: signerAddress,
+          result: qualityScore,
+          notes: notes || '',
+          timestamp
+        };
+        qualityCertificateHash = generateCertificateHash(qualityCertificate);
+      }
       
-      // Call performQualityCheck function with merged certificate hash
-      // Contract will store it if quality check passes
+      // Call performQualityCheck function with the certificate hash
+      // Contract will record it if quality check passes
       const tx = await contractWithSigner.performQualityCheck(
         productId, 
         qualityScore, 
         notes || '', 
-        mergedMetadataHash
+        qualityCertificateHash
       );
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
-      // Determine if quality check passed (score >= 50)
-      const passed = qualityScore >= 50;
+      // Keep a generated certificate so the recorded hash can be checked later
+      if (qualityCertificate) {
+        certificateStoreService.save(qualityCertificate);
+      }
       
       // Check if authenticity was auto-verified after quality check (if done by regulator)
       let isAuthentic = false;
@@ -594,8 +1088,6 @@ class ContractService {
           if (isRegulator) {
             // Check if authenticity was auto-verified (both quality and compliance checks passed)
             isAuthentic = await this.isProductAuthentic(productId);
-            // Check if compliance check has also passed
-            const product = await this.getProduct(productId);
             // If product is authentic and we just did quality check, it means both are done
             autoVerified = isAuthentic;
           }
@@ -614,7 +1106,7 @@ class ContractService {
         autoVerified: autoVerified
       };
     } catch (error) {
-      throw new Error(`Failed to perform quality check: ${error.message}`);
+      throw new Error(`Failed to perform quality check: ${error.message}`, { cause: error });
     }
   }
 
@@ -625,19 +1117,21 @@ class ContractService {
    * @param {number} productId - Product ID
    * @param {boolean} compliant - Compliance result
    * @param {string} certificateHash - Certificate hash if compliant (optional, will be auto-generated if not provided)
+   * @param {string} notes - Compliance check notes
    * @returns {Promise<Object>} Transaction receipt
    * 
    * Gets signer from provider, connects supply chain contract to signer,
    * auto-generates certificate hash if not provided and product is compliant,
-   * merges with existing metadataHash (e.g., quality certificate),
-   * calls checkCompliance(productId, compliant, mergedCertificateHash), waits for transaction,
-   * and returns receipt with transaction hash.
+   * calls checkCompliance(productId, compliant, notes, certificateHash), waits for transaction,
+   * stores an auto-generated certificate in the certificate store, and returns receipt with transaction hash.
    */
-  async checkCompliance(signerAddress, productId, compliant, certificateHash) {
+  async checkCompliance(signerAddress, productId, compliant, certificateHash, notes) {
     if (!this.supplyChainContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
@@ -646,36 +1140,32 @@ class ContractService {
       const contractWithSigner = this.supplyChainContract.connect(signer);
       
       let finalCertificateHash = certificateHash || '';
+      let complianceCertificate = null;
       
       // Auto-generate certificate hash if not provided and product is compliant
       if (compliant && !finalCertificateHash) {
         const timestamp = Math.floor(Date.now() / 1000); // Current timestamp in seconds
-        finalCertificateHash = generateCertificateHash({
+        complianceCertificate = {
           productId,
           type: 'COMPLIANCE',
           verifier: signerAddress,
           result: compliant,
-          notes: 'Compliance certificate',
+          notes: notes || 'Compliance certificate',
           timestamp
-        });
-      }
-      
-      // If compliant and we have a certificate hash, merge with existing metadata
-      if (compliant && finalCertificateHash) {
-        // Get current product to retrieve existing metadataHash
-        const product = await this.getProduct(productId);
-        const existingMetadataHash = product.metadataHash || '';
-        
-        // Merge compliance certificate with existing metadata (e.g., quality certificate)
-        const mergedMetadataHash = mergeCertificateMetadata(existingMetadataHash, 'compliance', finalCertificateHash);
-        finalCertificateHash = mergedMetadataHash;
+        };
+        finalCertificateHash = generateCertificateHash(complianceCertificate);
       }
       
       // Call checkCompliance function (this will auto-verify authenticity if conditions are met)
-      const tx = await contractWithSigner.checkCompliance(productId, compliant, finalCertificateHash);
+      const tx = await contractWithSigner.checkCompliance(productId, compliant, notes || '', finalCertificateHash);
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Keep a generated certificate so the recorded hash can be checked later
+      if (complianceCertificate) {
+        certificateStoreService.save(complianceCertificate);
+      }
       
       // Check if authenticity was auto-verified after compliance check
       let isAuthentic = false;
@@ -697,7 +1187,7 @@ class ContractService {
         autoVerified: isAuthentic && compliant // True if authenticity was auto-verified
       };
     } catch (error) {
-      throw new Error(`Failed to check compliance: ${error.message}`);
+      throw new Error(`Failed to check compliance: ${error.message}`, { cause: error });
     }
   }
 
@@ -707,109 +1197,79 @@ class ContractService {
    * @param {number} productId - Product ID
    * @returns {Promise<Array>} Array of verification records
    * 
-   * Queries ProductVerified, AuthenticityConfirmed, and ComplianceChecked events
-   * from the blockchain to build verification history.
+   * Reads every authenticity, quality and compliance check stored on-chain with its
+   * notes, VERIFICATION_PAGE_SIZE records at a time through getVerificationHistoryPage()
+   * so long histories do not exceed the node's call gas limit.
    */
   async getVerificationHistory(productId) {
-    if (!this.supplyChainContract || !this.provider) {
+    if (!this.supplyChainContract) {
       throw new Error('Contract service not initialized');
     }
     
     try {
-      const verifications = [];
-      
-      // Query ProductVerified events for this product
-      const productVerifiedFilter = this.supplyChainContract.filters.ProductVerified(productId);
-      const productVerifiedEvents = await this.supplyChainContract.queryFilter(productVerifiedFilter);
-      
-      // Query AuthenticityConfirmed events for this product
-      const authenticityFilter = this.supplyChainContract.filters.AuthenticityConfirmed(productId);
-      const authenticityEvents = await this.supplyChainContract.queryFilter(authenticityFilter);
-      
-      // Query ComplianceChecked events for this product
-      const complianceFilter = this.supplyChainContract.filters.ComplianceChecked(productId);
-      const complianceEvents = await this.supplyChainContract.queryFilter(complianceFilter);
-      
-      // Process ProductVerified events (includes quality checks, compliance checks, authenticity)
-      for (const event of productVerifiedEvents) {
-        const block = await this.provider.getBlock(event.blockNumber);
-        const vType = Number(event.args.vType);
-        const result = event.args.result;
-        const verifier = event.args.verifier;
-        
-        // Try to get notes from transaction logs if available
-        let notes = '';
-        try {
-          const txReceipt = await this.provider.getTransactionReceipt(event.transactionHash);
-          // Notes might be in additional logs, but for now we'll use empty string
-          // In a real implementation, you might emit notes in a separate event
-        } catch (e) {
-          // Ignore errors getting notes
-        }
-        
-        verifications.push({
-          verifier: verifier,
-          timestamp: Number(block.timestamp),
-          vType: vType,
-          type: vType, // Also include as 'type' for backward compatibility
-          result: result,
-          notes: notes
-        });
-      }
-      
-      // Process AuthenticityConfirmed events (add as AUTHENTICITY verification)
-      for (const event of authenticityEvents) {
-        const block = await this.provider.getBlock(event.blockNumber);
-        // Check if we already have this in ProductVerified events
-        const exists = verifications.some(v => 
-          v.timestamp === Number(block.timestamp) && 
-          v.vType === 2 && // AUTHENTICITY
-          v.verifier.toLowerCase() === event.args.verifier.toLowerCase()
-        );
-        
-        if (!exists) {
-          verifications.push({
-            verifier: event.args.verifier,
-            timestamp: Number(block.timestamp),
-            vType: 2, // AUTHENTICITY
-            type: 2,
-            result: true,
-            notes: 'Authenticity confirmed'
-          });
-        }
-      }
-      
-      // Process ComplianceChecked events (add as REGULATORY_APPROVAL verification)
-      for (const event of complianceEvents) {
-        const block = await this.provider.getBlock(event.blockNumber);
-        // Check if we already have this in ProductVerified events
-        const exists = verifications.some(v => 
-          v.timestamp === Number(block.timestamp) && 
-          v.vType === 1 && // REGULATORY_APPROVAL
-          v.verifier.toLowerCase() === event.args.regulator.toLowerCase()
-        );
-        
-        if (!exists) {
-          verifications.push({
-            verifier: event.args.regulator,
-            timestamp: Number(block.timestamp),
-            vType: 1, // REGULATORY_APPROVAL
-            type: 1,
-            result: event.args.compliant,
-            notes: 'Compliance check'
-          });
+      const records = [];
+      let total;
+      do {
+        const [page, pageTotal] = await this.supplyChainContract.getVerificationHistoryPage(productId, records.length, VERIFICATION_PAGE_SIZE);
+        records.push(...page);
+        total = Number(pageTotal);
+        if (page.length === 0) {
+          break;
         }
-      }
-      
-      // Sort by timestamp (chronological order)
-      verifications.sort((a, b) => a.timestamp - b.timestamp);
-      
-      return verifications;
+      } while (records.length < total);
+      return records.map((record) => this.formatVerification(record));
+    } catch (error) {
+      throw new Error(`Failed to get verification history: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get a page of verification history for a product
+   * 
+   * @param {number} productId - Product ID
+   * @param {number} offset - Index of the first record to return
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Object>} Object with verifications array and total record count
+   * 
+   * Calls supplyChain.getVerificationHistoryPage(productId, offset, limit) so large
+   * histories can be read in chunks.
+   */
+  async getVerificationHistoryPage(productId, offset, limit) {
+    if (!this.supplyChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const [records, total] = await this.supplyChainContract.getVerificationHistoryPage(productId, offset, limit);
+      return {
+        verifications: records.map((record) => this.formatVerification(record)),
+        total: Number(total)
+      };
     } catch (error) {
-      throw new Error(`Failed to get verification history: ${error.message}`);
+      throw new Error(`Failed to get verification history: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Format an on-chain Verification struct for API responses
+   * 
+   * @param {Object} record - Verification struct returned by the contract
+   * @returns {Object} Verification record with numeric fields converted
+   */
+  formatVerification(record) {
+    const vType = Number(record.vType);
+    return {
+      verifier: record.verifier,
+      timestamp: Number(record.timestamp),
+      vType: vType,
+      type: vType, // Also include as 'type' for backward compatibility
+      result: record.result,
+      score: Number(record.score),
+      notes: record.notes,
+      certificateHash: record.certificateHash
+    };
+  }
+
   /**
    * Check if product is authentic
    * 
@@ -827,7 +1287,7 @@ class ContractService {
       const isAuthentic = await this.supplyChainContract.isProductAuthentic(productId);
       return isAuthentic;
     } catch (error) {
-      throw new Error(`Failed to check product authenticity: ${error.message}`);
+      throw new Error(`Failed to check product authenticity: ${error.message}`, { cause: error });
     }
   }
 
@@ -847,7 +1307,7 @@ class ContractService {
       const count = await this.supplyChainContract.getProductCount();
       return Number(count);
     } catch (error) {
-      throw new Error(`Failed to get product count: ${error.message}`);
+      throw new Error(`Failed to get product count: ${error.message}`, { cause: error });
     }
   }
 
@@ -857,16 +1317,20 @@ class ContractService {
    * @param {string} signerAddress - Admin address (contract owner)
    * @param {string} accountAddress - Address to grant role to
    * @param {number} role - Role enum value
+   * @param {number} validUntil - Expiry in Unix seconds (optional, 0 = never expires)
    * @returns {Promise<Object>} Transaction receipt with transaction hash
    * 
    * Gets signer from provider, connects access control contract to signer,
-   * calls grantRole(accountAddress, role), waits for transaction, and returns receipt.
+   * calls grantRole(accountAddress, role), or grantRoleUntil when an expiry is given,
+   * waits for transaction, and returns receipt. Granting a held role again sets its expiry.
    */
-  async grantRole(signerAddress, accountAddress, role) {
+  async grantRole(signerAddress, accountAddress, role, validUntil = 0) {
     if (!this.accessControlContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
       // Get signer from provider (for Hardhat local node, this works)
       const signer = await this.provider.getSigner(signerAddress);
@@ -874,11 +1338,13 @@ class ContractService {
       // Connect contract to signer for write operations
       const contractWithSigner = this.accessControlContract.connect(signer);
       
-      // Call grantRole function
-      const tx = await contractWithSigner.grantRole(accountAddress, role);
+      // Call grantRole function, or grantRoleUntil for time-limited grants
+      const tx = validUntil
+        ? await contractWithSigner.grantRoleUntil(accountAddress, role, validUntil)
+        : await contractWithSigner.grantRole(accountAddress, role);
       
       // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt(tx, signer);
       
       return {
         transactionHash: receipt.hash,
@@ -886,47 +1352,1386 @@ class ContractService {
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to grant role: ${error.message}`);
+      throw new Error(`Failed to grant role: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Update product metadata
+   * Revoke a role from an address (contract owner only)
    * 
-   * @param {string} signerAddress - Current owner address
-   * @param {number} productId - Product ID
-   * @param {string} metadataHash - New metadata hash
-   * @returns {Promise<Object>} Transaction receipt
+   * @param {string} signerAddress - Admin address (contract owner)
+   * @param {string} accountAddress - Address to revoke the role from
+   * @param {number} role - Role enum value the account currently holds
+   * @returns {Promise<Object>} Transaction receipt with transaction hash
    * 
-   * Gets signer from provider, connects supply chain contract to signer,
-   * calls updateProductMetadata(productId, metadataHash), waits for transaction,
-   * and returns receipt with transaction hash.
+   * Gets signer from provider, connects access control contract to signer,
+   * calls revokeRole(accountAddress, role), waits for transaction, and returns receipt.
    */
-  async updateProductMetadata(signerAddress, productId, metadataHash) {
-    if (!this.supplyChainContract || !this.provider) {
+  async revokeRole(signerAddress, accountAddress, role) {
+    if (!this.accessControlContract || !this.provider) {
       throw new Error('Contract service not initialized');
     }
     
+    this.requireNodeSigner();
+    
     try {
-      // Get signer from provider
       const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      const tx = await contractWithSigner.revokeRole(accountAddress, role);
+      const receipt = await this.waitForReceipt(tx, signer);
       
-      // Connect contract to signer for write operations
-      const contractWithSigner = this.supplyChainContract.connect(signer);
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to revoke role: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Suspend a role of an address (role admin only)
+   * 
+   * @param {string} signerAddress - Access control owner or organization admin
+   * @param {string} accountAddress - Address whose role is suspended
+   * @param {number} role - Role enum value the account currently holds
+   * @returns {Promise<Object>} Transaction receipt with transaction hash
+   * 
+   * The account keeps the grant, but the role does not count until it is reinstated.
+   */
+  async suspendRole(signerAddress, accountAddress, role) {
+    if (!this.accessControlContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      const tx = await contractWithSigner.suspendRole(accountAddress, role);
+      const receipt = await this.waitForReceipt(tx, signer);
       
-      // Call updateProductMetadata function
-      const tx = await contractWithSigner.updateProductMetadata(productId, metadataHash);
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to suspend role: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Reinstate a suspended role of an address (role admin only)
+   * 
+   * @param {string} signerAddress - Access control owner or organization admin
+   * @param {string} accountAddress - Address whose role is reinstated
+   * @param {number} role - Suspended role enum value
+   * @returns {Promise<Object>} Transaction receipt with transaction hash
+   */
+  async reinstateRole(signerAddress, accountAddress, role) {
+    if (!this.accessControlContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      const tx = await contractWithSigner.reinstateRole(accountAddress, role);
+      const receipt = await this.waitForReceipt(tx, signer);
       
-      // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to reinstate role: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Register an organization (access control owner only)
+   * 
+   * @param {string} signerAddress - Access control owner address
+   * @param {string} name - Organization name
+   * @param {string|null} adminAddress - First organization admin (optional)
+   * @returns {Promise<Object>} Transaction receipt with organizationId
+   * 
+   * Calls registerOrganization(name, admin) and parses the OrganizationRegistered event
+   * to extract organizationId. The admin is added as a member of the organization.
+   */
+  async registerOrganization(signerAddress, name, adminAddress) {
+    if (!this.accessControlContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      const tx = await contractWithSigner.registerOrganization(name, adminAddress || ethers.ZeroAddress);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Parse OrganizationRegistered event to get organizationId
+      let organizationId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.accessControlContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'OrganizationRegistered') {
+            organizationId = Number(parsedLog.args.organizationId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
       
       return {
         transactionHash: receipt.hash,
+        organizationId: organizationId,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to update product metadata: ${error.message}`);
+      throw new Error(`Failed to register organization: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add an address to an organization (owner or organization admin)
+   * 
+   * @param {string} signerAddress - Access control owner or admin of the organization
+   * @param {number} organizationId - Organization ID
+   * @param {string} accountAddress - Address to add
+   * @returns {Promise<Object>} Transaction receipt with invited
+   * 
+   * The owner adds the address directly. An organization admin only invites it, and
+   * invited is true until the address calls acceptOrganizationInvitation.
+   */
+  async addOrganizationMember(signerAddress, organizationId, accountAddress) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    const owner = await this.accessControlContract.owner();
+    const result = await this.sendAccessControlAction('addOrganizationMember', 'add organization member', signerAddress, organizationId, accountAddress);
+    return { ...result, invited: owner.toLowerCase() !== signerAddress.toLowerCase() };
+  }
+
+  /**
+   * Join the organization an admin invited the signer to
+   * 
+   * @param {string} signerAddress - Invited address
+   * @param {number} organizationId - Organization the invitation is for
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async acceptOrganizationInvitation(signerAddress, organizationId) {
+    return this.sendAccessControlAction('acceptOrganizationInvitation', 'accept organization invitation', signerAddress, organizationId);
+  }
+
+  /**
+   * Remove an address from its organization (owner or organization admin)
+   * 
+   * @param {string} signerAddress - Access control owner or admin of the member's organization
+   * @param {string} accountAddress - Member to remove (must hold no admin rights or operational roles)
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async removeOrganizationMember(signerAddress, accountAddress) {
+    return this.sendAccessControlAction('removeOrganizationMember', 'remove organization member', signerAddress, accountAddress);
+  }
+
+  /**
+   * Make a member an admin of their organization (access control owner only)
+   * 
+   * @param {string} signerAddress - Access control owner address
+   * @param {string} accountAddress - Organization member
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async grantOrganizationAdmin(signerAddress, accountAddress) {
+    return this.sendAccessControlAction('grantOrganizationAdmin', 'grant organization admin', signerAddress, accountAddress);
+  }
+
+  /**
+   * Take admin rights from an organization admin (access control owner only)
+   * 
+   * @param {string} signerAddress - Access control owner address
+   * @param {string} accountAddress - Organization admin
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async revokeOrganizationAdmin(signerAddress, accountAddress) {
+    return this.sendAccessControlAction('revokeOrganizationAdmin', 'revoke organization admin', signerAddress, accountAddress);
+  }
+
+  /**
+   * Call an organization or role request management function of the access control contract
+   * 
+   * @param {string} method - Contract method name
+   * @param {string} action - Action description for error messages
+   * @param {string} signerAddress - Caller address
+   * @param {...*} args - Method arguments
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async sendAccessControlAction(method, action, signerAddress, ...args) {
+    if (!this.accessControlContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      
+      const tx = await contractWithSigner[method](...args);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to ${action}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get an organization
+   * 
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Object>} { id, name, createdAt }
+   */
+  async getOrganization(organizationId) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const organization = await this.accessControlContract.getOrganization(organizationId);
+      return {
+        id: Number(organization.id),
+        name: organization.name,
+        createdAt: Number(organization.createdAt)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get organization: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the organization an address belongs to
+   * 
+   * @param {string} address - Account address
+   * @returns {Promise<Object>} { organizationId, isAdmin, invitationId }, organizationId 0 if the address
+   *   has none and invitationId 0 if no organization has invited it
+   */
+  async getAccountOrganization(address) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const organizationId = await this.accessControlContract.getOrganizationOf(address);
+      const isAdmin = await this.accessControlContract.isOrganizationAdmin(address);
+      const invitationId = await this.accessControlContract.getOrganizationInvitation(address);
+      return { organizationId: Number(organizationId), isAdmin: isAdmin, invitationId: Number(invitationId) };
+    } catch (error) {
+      throw new Error(`Failed to get account organization: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Apply for a role
+   * 
+   * @param {string} signerAddress - Applicant address
+   * @param {number} role - Requested role enum value (0-3)
+   * @param {string} organizationName - Company or body the applicant represents
+   * @param {Array<string>} documentHashes - Supporting document hashes or references
+   * @returns {Promise<Object>} Transaction receipt with requestId
+   * 
+   * Calls requestRole(role, organizationName, documentHashes) and parses the RoleRequested
+   * event to extract requestId.
+   */
+  async requestRole(signerAddress, role, organizationName, documentHashes) {
+    if (!this.accessControlContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.accessControlContract.connect(signer);
+      const tx = await contractWithSigner.requestRole(role, organizationName, documentHashes);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Parse RoleRequested event to get requestId
+      let requestId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.accessControlContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'RoleRequested') {
+            requestId = Number(parsedLog.args.requestId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+      
+      return {
+        transactionHash: receipt.hash,
+        requestId: requestId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to request role: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Approve a role request, granting the role (role admin only)
+   * 
+   * @param {string} signerAddress - Access control owner or organization admin
+   * @param {number} requestId - Pending request ID
+   * @param {number} validUntil - Expiry of the granted role in Unix seconds (0 = never expires)
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async approveRoleRequest(signerAddress, requestId, validUntil = 0) {
+    return this.sendAccessControlAction('approveRoleRequest', 'approve role request', signerAddress, requestId, validUntil);
+  }
+
+  /**
+   * Reject a role request (role admin only)
+   * 
+   * @param {string} signerAddress - Access control owner or organization admin
+   * @param {number} requestId - Pending request ID
+   * @param {string} reason - Why the request was rejected, shown to the applicant
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async rejectRoleRequest(signerAddress, requestId, reason) {
+    return this.sendAccessControlAction('rejectRoleRequest', 'reject role request', signerAddress, requestId, reason);
+  }
+
+  /**
+   * Get a role request
+   * 
+   * @param {number} requestId - Request ID
+   * @returns {Promise<Object>} { id, applicant, role, organizationName, documentHashes, status,
+   *   reason, reviewer, createdAt, decidedAt }; status is 0=PENDING, 1=APPROVED, 2=REJECTED
+   */
+  async getRoleRequest(requestId) {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const request = await this.accessControlContract.getRoleRequest(requestId);
+      return {
+        id: Number(request.id),
+        applicant: request.applicant,
+        role: Number(request.role),
+        organizationName: request.organizationName,
+        documentHashes: [...request.documentHashes],
+        status: Number(request.status),
+        reason: request.reason,
+        reviewer: request.reviewer === ethers.ZeroAddress ? null : request.reviewer,
+        createdAt: Number(request.createdAt),
+        decidedAt: Number(request.decidedAt)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get role request: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the owner of the access control contract and any pending ownership transfer
+   * 
+   * @returns {Promise<Object>} { owner, pendingOwner }, pendingOwner null if no transfer is pending
+   */
+  async getAccessControlOwnership() {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const owner = await this.accessControlContract.owner();
+      const pendingOwner = await this.accessControlContract.pendingOwner();
+      return {
+        owner: owner,
+        pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner
+      };
+    } catch (error) {
+      throw new Error(`Failed to get access control ownership: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Offer ownership of the access control contract to a new address (owner only)
+   * 
+   * @param {string} signerAddress - Current owner address
+   * @param {string} newOwner - Address that becomes owner once it accepts
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async transferAccessControlOwnership(signerAddress, newOwner) {
+    return this.sendAccessControlAction('transferOwnership', 'transfer ownership', signerAddress, newOwner);
+  }
+
+  /**
+   * Accept ownership of the access control contract (pending owner only)
+   * 
+   * @param {string} signerAddress - Pending owner address
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async acceptAccessControlOwnership(signerAddress) {
+    return this.sendAccessControlAction('acceptOwnership', 'accept ownership', signerAddress);
+  }
+
+  /**
+   * Withdraw a pending ownership transfer of the access control contract (owner only)
+   * 
+   * @param {string} signerAddress - Current owner address
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async cancelAccessControlOwnershipTransfer(signerAddress) {
+    return this.sendAccessControlAction('cancelOwnershipTransfer', 'cancel ownership transfer', signerAddress);
+  }
+
+  /**
+   * Get the emergency stop state of the supply chain
+   *
+   * @returns {Promise<Object>} { paused, reason, guardian }, reason null unless paused and
+   *   guardian null if none is appointed
+   */
+  async getPauseState() {
+    if (!this.accessControlContract) {
+      throw new Error('Contract service not initialized');
+    }
+
+    try {
+      const paused = await this.accessControlContract.paused();
+      const reason = await this.accessControlContract.pauseReason();
+      const guardian = await this.accessControlContract.guardian();
+      return {
+        paused: paused,
+        reason: paused ? reason : null,
+        guardian: guardian === ethers.ZeroAddress ? null : guardian
+      };
+    } catch (error) {
+      throw new Error(`Failed to get pause state: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Appoint the guardian who can pause the supply chain (access control owner only)
+   *
+   * @param {string} signerAddress - Access control owner address
+   * @param {string} guardian - New guardian, or the zero address to remove it
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async setGuardian(signerAddress, guardian) {
+    return this.sendAccessControlAction('setGuardian', 'set guardian', signerAddress, guardian);
+  }
+
+  /**
+   * Pause every state-changing supply chain function (guardian only)
+   *
+   * @param {string} signerAddress - Guardian address
+   * @param {string} reason - Why the supply chain is paused, shown to users
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async pauseSupplyChain(signerAddress, reason) {
+    return this.sendAccessControlAction('pause', 'pause supply chain', signerAddress, reason);
+  }
+
+  /**
+   * Resume the supply chain after a pause (guardian only)
+   *
+   * @param {string} signerAddress - Guardian address
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async unpauseSupplyChain(signerAddress) {
+    return this.sendAccessControlAction('unpause', 'unpause supply chain', signerAddress);
+  }
+
+  /**
+   * Get the signers, threshold and timelock of the governance contract
+   * 
+   * @returns {Promise<Object>} { address, signers, threshold, delay } with delay in seconds
+   */
+  async getGovernance() {
+    if (!this.governanceContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const signers = await this.governanceContract.getSigners();
+      const threshold = await this.governanceContract.threshold();
+      const delay = await this.governanceContract.delay();
+      return {
+        address: this.governanceContract.target,
+        signers: [...signers],
+        threshold: Number(threshold),
+        delay: Number(delay)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get governance: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Encode a call for a governance proposal
+   * 
+   * @param {string} functionName - Access control or governance function (see PROPOSAL_FUNCTIONS)
+   * @param {Array} args - Function arguments
+   * @returns {Object} { target, data } where target is the address of the contract to call
+   * @throws {Error} If proposals cannot call the function
+   */
+  encodeProposalCall(functionName, args) {
+    if (!this.accessControlContract || !this.governanceContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    for (const [key, functions] of Object.entries(PROPOSAL_FUNCTIONS)) {
+      if (functions.includes(functionName)) {
+        const contract = key === 'accessControl' ? this.accessControlContract : this.governanceContract;
+        return {
+          target: contract.target,
+          data: contract.interface.encodeFunctionData(functionName, args)
+        };
+      }
+    }
+    throw new Error(`Proposals cannot call ${functionName}`);
+  }
+
+  /**
+   * Decode the call of a governance proposal
+   * 
+   * @param {string} target - Address the proposal calls
+   * @param {string} data - Encoded call
+   * @returns {Object|null} { contract, functionName, args } with args keyed by parameter name,
+   *   or null if the call is not one proposals can make
+   */
+  decodeProposalCall(target, data) {
+    if (!this.accessControlContract || !this.governanceContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    const key = target.toLowerCase() === this.accessControlContract.target.toLowerCase() ? 'accessControl'
+      : target.toLowerCase() === this.governanceContract.target.toLowerCase() ? 'governance'
+      : null;
+    if (!key) {
+      return null;
+    }
+    
+    const contract = key === 'accessControl' ? this.accessControlContract : this.governanceContract;
+    const parsed = contract.interface.parseTransaction({ data });
+    if (!parsed || !PROPOSAL_FUNCTIONS[key].includes(parsed.name)) {
+      return null;
+    }
+    
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      const value = parsed.args[index];
+      args[input.name] = typeof value === 'bigint' ? Number(value) : value;
+    });
+    return { contract: key, functionName: parsed.name, args };
+  }
+
+  /**
+   * Propose a call to the access control or governance contract (signers only)
+   * 
+   * @param {string} signerAddress - Governance signer, whose approval is recorded with the proposal
+   * @param {string} target - Contract to call
+   * @param {string} data - Encoded call (see encodeProposalCall())
+   * @param {string} description - Why the change is proposed
+   * @returns {Promise<Object>} Transaction receipt with proposalId
+   * 
+   * Calls propose(target, data, description) and parses the ProposalCreated event to
+   * extract proposalId.
+   */
+  async propose(signerAddress, target, data, description) {
+    if (!this.governanceContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.governanceContract.connect(signer);
+      const tx = await contractWithSigner.propose(target, data, description);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Parse ProposalCreated event to get proposalId
+      let proposalId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.governanceContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'ProposalCreated') {
+            proposalId = Number(parsedLog.args.proposalId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+      
+      return {
+        transactionHash: receipt.hash,
+        proposalId: proposalId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to create proposal: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Approve a proposal (signers only)
+   * 
+   * @param {string} signerAddress - Governance signer
+   * @param {number} proposalId - Open proposal ID
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async approveProposal(signerAddress, proposalId) {
+    return this.sendGovernanceAction('approve', 'approve proposal', signerAddress, proposalId);
+  }
+
+  /**
+   * Withdraw an approval of a proposal (signers only)
+   * 
+   * @param {string} signerAddress - Governance signer who approved the proposal
+   * @param {number} proposalId - Open proposal ID
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async revokeProposalApproval(signerAddress, proposalId) {
+    return this.sendGovernanceAction('revokeApproval', 'revoke approval', signerAddress, proposalId);
+  }
+
+  /**
+   * Execute a proposal whose timelock has passed (signers only)
+   * 
+   * @param {string} signerAddress - Governance signer
+   * @param {number} proposalId - Queued proposal ID
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async executeProposal(signerAddress, proposalId) {
+    return this.sendGovernanceAction('execute', 'execute proposal', signerAddress, proposalId);
+  }
+
+  /**
+   * Cancel an open proposal (its proposer only)
+   * 
+   * @param {string} signerAddress - Governance signer
+   * @param {number} proposalId - Open proposal ID
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async cancelProposal(signerAddress, proposalId) {
+    return this.sendGovernanceAction('cancel', 'cancel proposal', signerAddress, proposalId);
+  }
+
+  /**
+   * Call a proposal function of the governance contract
+   * 
+   * @param {string} method - Contract method name
+   * @param {string} action - Action description for error messages
+   * @param {string} signerAddress - Caller address
+   * @param {...*} args - Method arguments
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async sendGovernanceAction(method, action, signerAddress, ...args) {
+    if (!this.governanceContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.governanceContract.connect(signer);
+      
+      const tx = await contractWithSigner[method](...args);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to ${action}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get a governance proposal
+   * 
+   * @param {number} proposalId - Proposal ID
+   * @returns {Promise<Object>} { id, proposer, target, data, description, createdAt, readyAt,
+   *   executed, cancelled, approvers }; readyAt is 0 until the threshold is reached, and
+   *   approvers lists the current signers who approved
+   */
+  async getProposal(proposalId) {
+    if (!this.governanceContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const proposal = await this.governanceContract.getProposal(proposalId);
+      const approvers = await this.governanceContract.getApprovers(proposalId);
+      return {
+        id: Number(proposal.id),
+        proposer: proposal.proposer,
+        target: proposal.target,
+        data: proposal.data,
+        description: proposal.description,
+        createdAt: Number(proposal.createdAt),
+        readyAt: Number(proposal.readyAt),
+        executed: proposal.executed,
+        cancelled: proposal.cancelled,
+        approvers: [...approvers]
+      };
+    } catch (error) {
+      throw new Error(`Failed to get proposal: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Issue a recall (Regulator only)
+   * 
+   * @param {string} signerAddress - Regulator address
+   * @param {string} scope - 'product', 'batch' or 'producer'
+   * @param {number|string|Object} target - Product ID, { producer, batchId } or producer address depending on scope
+   * @param {string} reason - Why the recall was issued
+   * @param {number} severity - Severity enum value (0=CLASS_I, 1=CLASS_II, 2=CLASS_III)
+   * @returns {Promise<Object>} Transaction receipt with recallId
+   * 
+   * Gets signer from provider, connects recall contract to signer, calls
+   * recallProduct(), recallBatch() or recallProducer() depending on scope,
+   * waits for transaction, and parses the ProductRecalled event to extract recallId.
+   */
+  async issueRecall(signerAddress, scope, target, reason, severity) {
+    if (!this.recallContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      // Get signer from provider
+      const signer = await this.provider.getSigner(signerAddress);
+      
+      // Connect contract to signer for write operations
+      const contractWithSigner = this.recallContract.connect(signer);
+      
+      // Call the recall function matching the scope
+      let tx;
+      if (scope === 'product') {
+        tx = await contractWithSigner.recallProduct(target, reason, severity);
+      } else if (scope === 'batch') {
+        tx = await contractWithSigner.recallBatch(target.producer, target.batchId, reason, severity);
+      } else if (scope === 'producer') {
+        tx = await contractWithSigner.recallProducer(target, reason, severity);
+      } else {
+        throw new Error(`Unknown recall scope: ${scope}`);
+      }
+      
+      // Wait for transaction to be mined
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Parse ProductRecalled event to get recallId
+      let recallId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.recallContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'ProductRecalled') {
+            recallId = Number(parsedLog.args.recallId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+      
+      return {
+        transactionHash: receipt.hash,
+        recallId: recallId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to issue recall: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get a recall by ID
+   * 
+   * @param {number} recallId - Recall ID
+   * @returns {Promise<Object>} Formatted recall record
+   */
+  async getRecall(recallId) {
+    if (!this.recallContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const recall = await this.recallContract.getRecall(recallId);
+      return this.formatRecall(recall);
+    } catch (error) {
+      throw new Error(`Failed to get recall: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List all recalls
+   * 
+   * @returns {Promise<Array>} Array of formatted recall records, oldest first
+   * 
+   * Calls recalls.getRecallCount() and fetches every recall by ID.
+   */
+  async listRecalls() {
+    if (!this.recallContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const count = Number(await this.recallContract.getRecallCount());
+      const recalls = [];
+      for (let i = 1; i <= count; i++) {
+        recalls.push(this.formatRecall(await this.recallContract.getRecall(i)));
+      }
+      return recalls;
+    } catch (error) {
+      throw new Error(`Failed to list recalls: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the recall covering a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object|null>} Formatted recall record, or null if the product is not recalled
+   * 
+   * Calls recalls.getProductRecallId(productId), which checks product, batch and producer recalls.
+   */
+  async getProductRecall(productId) {
+    if (!this.recallContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const recallId = Number(await this.recallContract.getProductRecallId(productId));
+      if (recallId === 0) {
+        return null;
+      }
+      return this.formatRecall(await this.recallContract.getRecall(recallId));
+    } catch (error) {
+      throw new Error(`Failed to get product recall: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get current holders of recalled products
+   * 
+   * @returns {Promise<Array>} One entry per holder with the recalled products they hold
+   * 
+   * Walks every product, keeps those covered by a recall, and groups them by current owner
+   * so retailers and consumers holding recalled stock can be notified.
+   */
+  async getRecalledHolders() {
+    if (!this.supplyChainContract || !this.recallContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const count = await this.getProductCount();
+      const holders = new Map();
+      
+      for (let productId = 1; productId <= count; productId++) {
+        const recallId = Number(await this.recallContract.getProductRecallId(productId));
+        if (recallId === 0) {
+          continue;
+        }
+        
+        const holder = await this.supplyChainContract.getCurrentOwner(productId);
+        const key = holder.toLowerCase();
+        if (!holders.has(key)) {
+          holders.set(key, { holder: holder, role: await this.getUserRole(holder), products: [] });
+        }
+        holders.get(key).products.push({ productId: productId, recallId: recallId });
+      }
+      
+      return Array.from(holders.values());
+    } catch (error) {
+      throw new Error(`Failed to get recalled holders: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Format an on-chain Recall struct for API responses
+   * 
+   * @param {Object} recall - Recall struct returned by the contract
+   * @returns {Object} Recall record with numeric fields converted and enum names added
+   */
+  formatRecall(recall) {
+    const scopeNames = ['PRODUCT', 'BATCH', 'PRODUCER'];
+    const severityNames = ['CLASS_I', 'CLASS_II', 'CLASS_III'];
+    const scope = Number(recall.scope);
+    const severity = Number(recall.severity);
+    return {
+      id: Number(recall.id),
+      scope: scope,
+      scopeName: scopeNames[scope] || 'UNKNOWN',
+      productId: Number(recall.productId),
+      batchId: recall.batchId,
+      producer: recall.producer,
+      severity: severity,
+      severityName: severityNames[severity] || 'UNKNOWN',
+      reason: recall.reason,
+      issuedBy: recall.issuedBy,
+      timestamp: Number(recall.timestamp)
+    };
+  }
+
+  /**
+   * Issue a certificate (Regulator, or Retailer for QUALITY certificates)
+   * 
+   * @param {string} signerAddress - Issuer address
+   * @param {string} scope - 'product' or 'batch'
+   * @param {number|Object} target - Product ID, or { producer, batchId } for a batch
+   * @param {number} certificateType - CertificateType enum value (see CERTIFICATE_TYPES)
+   * @param {string} documentHash - Hash or reference of the certificate document
+   * @param {number} expiresAt - Unix timestamp the certificate expires at (0 = never expires)
+   * @returns {Promise<Object>} Transaction receipt with certificateId
+   * 
+   * Gets signer from provider, connects certificate contract to signer, calls
+   * issueCertificate() or issueBatchCertificate() depending on scope, waits for transaction,
+   * and parses the CertificateIssued event to extract certificateId.
+   */
+  async issueCertificate(signerAddress, scope, target, certificateType, documentHash, expiresAt) {
+    if (!this.certificateContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      // Get signer from provider
+      const signer = await this.provider.getSigner(signerAddress);
+      
+      // Connect contract to signer for write operations
+      const contractWithSigner = this.certificateContract.connect(signer);
+      
+      // Call the issue function matching the scope
+      let tx;
+      if (scope === 'product') {
+        tx = await contractWithSigner.issueCertificate(target, certificateType, documentHash, expiresAt);
+      } else if (scope === 'batch') {
+        tx = await contractWithSigner.issueBatchCertificate(target.producer, target.batchId, certificateType, documentHash, expiresAt);
+      } else {
+        throw new Error(`Unknown certificate scope: ${scope}`);
+      }
+      
+      // Wait for transaction to be mined
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      // Parse CertificateIssued event to get certificateId
+      let certificateId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = this.certificateContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'CertificateIssued') {
+            certificateId = Number(parsedLog.args.certificateId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+      
+      return {
+        transactionHash: receipt.hash,
+        certificateId: certificateId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to issue certificate: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Revoke a certificate (its issuer or a Regulator)
+   * 
+   * @param {string} signerAddress - Issuer or regulator address
+   * @param {number} certificateId - Certificate ID
+   * @param {string} reason - Why the certificate is withdrawn
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async revokeCertificate(signerAddress, certificateId, reason) {
+    if (!this.certificateContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const tx = await this.certificateContract.connect(signer).revokeCertificate(certificateId, reason);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to revoke certificate: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get a certificate by ID
+   * 
+   * @param {number} certificateId - Certificate ID
+   * @returns {Promise<Object>} Formatted certificate record
+   */
+  async getCertificate(certificateId) {
+    if (!this.certificateContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const certificate = await this.certificateContract.getCertificate(certificateId);
+      return this.formatCertificate(certificate);
+    } catch (error) {
+      throw new Error(`Failed to get certificate: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get every certificate covering a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Formatted certificate records, the product's own first, then its batch's
+   * 
+   * Calls supplyChain.getProductCertificateIds(productId), which asks the certificate registry and
+   * includes batch certificates issued after the product was registered, and fetches every certificate by ID.
+   * Revoked and expired certificates are included with isValid false.
+   */
+  async getProductCertificates(productId) {
+    if (!this.supplyChainContract || !this.certificateContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const certificateIds = await this.supplyChainContract.getProductCertificateIds(productId);
+      return Promise.all(certificateIds.map(async (certificateId) =>
+        this.formatCertificate(await this.certificateContract.getCertificate(certificateId))
+      ));
+    } catch (error) {
+      throw new Error(`Failed to get product certificates: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Format an on-chain Certificate struct for API responses
+   * 
+   * @param {Object} certificate - Certificate struct returned by the contract
+   * @returns {Object} Certificate record with numeric fields converted, enum names added,
+   *   and isExpired / isValid evaluated against the current time
+   */
+  formatCertificate(certificate) {
+    const certificateType = Number(certificate.certificateType);
+    const scope = Number(certificate.scope);
+    const expiresAt = Number(certificate.expiresAt);
+    const isExpired = expiresAt !== 0 && expiresAt < Math.floor(Date.now() / 1000);
+    return {
+      id: Number(certificate.id),
+      certificateType: certificateType,
+      certificateTypeName: CERTIFICATE_TYPES[certificateType] || 'UNKNOWN',
+      scope: scope,
+      scopeName: CERTIFICATE_SCOPES[scope] || 'UNKNOWN',
+      productId: Number(certificate.productId),
+      batchId: certificate.batchId,
+      producer: CERTIFICATE_SCOPES[scope] === 'BATCH' ? certificate.producer : null,
+      documentHash: certificate.documentHash,
+      issuer: certificate.issuer,
+      issuedAt: Number(certificate.issuedAt),
+      expiresAt: expiresAt,
+      revoked: certificate.revoked,
+      revokedBy: certificate.revoked ? certificate.revokedBy : null,
+      revokedAt: Number(certificate.revokedAt),
+      revocationReason: certificate.revocationReason,
+      isExpired: isExpired,
+      isValid: !certificate.revoked && !isExpired
+    };
+  }
+
+  /**
+   * Update product metadata
+   * 
+   * @param {string} signerAddress - Current owner address
+   * @param {number} productId - Product ID
+   * @param {string} metadataHash - New metadata hash
+   * @returns {Promise<Object>} Transaction receipt
+   * 
+   * Gets signer from provider, connects supply chain contract to signer,
+   * calls updateProductMetadata(productId, metadataHash), waits for transaction,
+   * and returns receipt with transaction hash.
+   */
+  async updateProductMetadata(signerAddress, productId, metadataHash) {
+    if (!this.supplyChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      // Get signer from provider
+      const signer = await this.provider.getSigner(signerAddress);
+      
+      // Connect contract to signer for write operations
+      const contractWithSigner = this.supplyChainContract.connect(signer);
+      
+      // Call updateProductMetadata function
+      const tx = await contractWithSigner.updateProductMetadata(productId, metadataHash);
+      
+      // Wait for transaction to be mined
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to update product metadata: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Set cold-chain limits for a product (Producer of the product only)
+   * 
+   * @param {string} signerAddress - Producer address
+   * @param {number} productId - Product ID
+   * @param {number} minTemperature - Lowest allowed temperature in tenths of °C
+   * @param {number} maxTemperature - Highest allowed temperature in tenths of °C
+   * @param {number} maxExcursionMinutes - Tolerated time outside the range
+   * @returns {Promise<Object>} Transaction receipt
+   * 
+   * Gets signer from provider, connects cold chain contract to signer,
+   * calls setRequirement(), waits for transaction, and returns receipt.
+   */
+  async setColdChainRequirement(signerAddress, productId, minTemperature, maxTemperature, maxExcursionMinutes) {
+    if (!this.coldChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.coldChainContract.connect(signer);
+      
+      const tx = await contractWithSigner.setRequirement(productId, minTemperature, maxTemperature, maxExcursionMinutes);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to set cold-chain requirement: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Record a single temperature reading (current owner only)
+   * 
+   * @param {string} signerAddress - Custodian address
+   * @param {number} productId - Product ID
+   * @param {number} temperature - Reading in tenths of °C
+   * @param {number} recordedAt - Sensor timestamp (Unix seconds)
+   * @returns {Promise<Object>} Transaction receipt with breach flag
+   * 
+   * Calls recordReading() and checks the receipt for a ColdChainBreach event.
+   */
+  async recordTemperatureReading(signerAddress, productId, temperature, recordedAt) {
+    if (!this.coldChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.coldChainContract.connect(signer);
+      
+      const tx = await contractWithSigner.recordReading(productId, temperature, recordedAt);
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        breach: this.hasColdChainBreach(receipt)
+      };
+    } catch (error) {
+      throw new Error(`Failed to record temperature reading: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Anchor a batch of temperature readings by hash (current owner only)
+   * 
+   * @param {string} signerAddress - Custodian address
+   * @param {number} productId - Product ID
+   * @param {string} dataHash - keccak256 hash of the raw readings
+   * @param {Object} summary - Batch summary from temperatureLogService.summarize()
+   * @returns {Promise<Object>} Transaction receipt with breach flag
+   * 
+   * Calls recordReadingBatch() and checks the receipt for a ColdChainBreach event.
+   */
+  async recordReadingBatch(signerAddress, productId, dataHash, summary) {
+    if (!this.coldChainContract || !this.provider) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    this.requireNodeSigner();
+    
+    try {
+      const signer = await this.provider.getSigner(signerAddress);
+      const contractWithSigner = this.coldChainContract.connect(signer);
+      
+      const tx = await contractWithSigner.recordReadingBatch(
+        productId,
+        dataHash,
+        summary.readingCount,
+        summary.startTime,
+        summary.endTime,
+        summary.minTemperature,
+        summary.maxTemperature,
+        summary.excursionMinutes
+      );
+      const receipt = await this.waitForReceipt(tx, signer);
+      
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        breach: this.hasColdChainBreach(receipt)
+      };
+    } catch (error) {
+      throw new Error(`Failed to record reading batch: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check a transaction receipt for a ColdChainBreach event
+   * 
+   * @param {Object} receipt - Transaction receipt
+   * @returns {boolean} True if the transaction emitted ColdChainBreach
+   */
+  hasColdChainBreach(receipt) {
+    return receipt.logs.some((log) => {
+      try {
+        return this.coldChainContract.interface.parseLog(log)?.name === 'ColdChainBreach';
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get cold-chain limits for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} { minTemperature, maxTemperature, maxExcursionMinutes, isSet }
+   *   with temperatures in tenths of °C
+   */
+  async getColdChainRequirement(productId) {
+    if (!this.coldChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const requirement = await this.coldChainContract.getRequirement(productId);
+      
+      return {
+        minTemperature: Number(requirement.minTemperature),
+        maxTemperature: Number(requirement.maxTemperature),
+        maxExcursionMinutes: Number(requirement.maxExcursionMinutes),
+        isSet: requirement.isSet
+      };
+    } catch (error) {
+      throw new Error(`Failed to get cold-chain requirement: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the cold-chain log for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} Requirement, individual readings, reading batches,
+   *   breaches and compromised flag, with temperatures in tenths of °C
+   * 
+   * Reads requirement, readings and batches from the cold chain contract and
+   * queries ColdChainBreach events for the product.
+   */
+  async getColdChainLog(productId) {
+    if (!this.coldChainContract) {
+      throw new Error('Contract service not initialized');
+    }
+    
+    try {
+      const [requirement, readings, batches, isCompromised, breachEvents] = await Promise.all([
+        this.getColdChainRequirement(productId),
+        this.coldChainContract.getReadings(productId),
+        this.coldChainContract.getReadingBatches(productId),
+        this.coldChainContract.isCompromised(productId),
+        this.coldChainContract.queryFilter(this.coldChainContract.filters.ColdChainBreach(productId))
+      ]);
+      
+      return {
+        requirement: requirement,
+        readings: readings.map((reading) => ({
+          temperature: Number(reading.temperature),
+          recordedAt: Number(reading.recordedAt),
+          recordedBy: reading.recordedBy
+        })),
+        batches: batches.map((batch) => ({
+          dataHash: batch.dataHash,
+          readingCount: Number(batch.readingCount),
+          startTime: Number(batch.startTime),
+          endTime: Number(batch.endTime),
+          minTemperature: Number(batch.minTemperature),
+          maxTemperature: Number(batch.maxTemperature),
+          excursionMinutes: Number(batch.excursionMinutes),
+          recordedBy: batch.recordedBy
+        })),
+        breaches: breachEvents.map((event) => ({
+          recordedBy: event.args.recordedBy,
+          temperature: Number(event.args.temperature),
+          recordedAt: Number(event.args.recordedAt),
+          excursionMinutes: Number(event.args.excursionMinutes),
+          transactionHash: event.transactionHash
+        })),
+        isCompromised: isCompromised
+      };
+    } catch (error) {
+      throw new Error(`Failed to get cold-chain log: ${error.message}`, { cause: error });
     }
   }
 }
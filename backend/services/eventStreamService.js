@@ -0,0 +1,243 @@
+/**
+ * Event Stream Service
+ * Fans indexed contract events out to dashboards over Server-Sent Events
+ * 
+ * Subscribes to the events the indexer commits and writes the ones dashboards care
+ * about to every connected client whose filters match. Events only reach clients once
+ * the indexer has stored them, so a client that refetches on an event reads the new state.
+ * A reconnecting client sends the ID of the last event it received (Last-Event-ID) and
+ * is first sent everything it missed.
+ */
+
+const indexerService = require('./indexerService');
+const { isValidAddress } = require('../utils/helpers');
+
+// Events streamed to clients, by contract
+const STREAMED_EVENTS = {
+  SafeBiteSupplyChain: [
+    'ProductRegistered',
+    'TransferInitiated',
+    'TransferRejected',
+    'TransferCancelled',
+    'OwnershipTransferred',
+    'StatusUpdated',
+    'ProductVerified'
+  ],
+  SafeBiteAccessRoles: [
+    'RoleGranted',
+    'RoleRevoked',
+    'RoleValidityChanged',
+    'RoleSuspended',
+    'RoleReinstated',
+    'RoleRequested',
+    'RoleRequestApproved',
+    'RoleRequestRejected',
+    'OwnershipTransferStarted',
+    'GuardianUpdated',
+    'Paused',
+    'Unpaused'
+  ],
+  SafeBiteGovernance: [
+    'ProposalCreated',
+    'ProposalApproved',
+    'ApprovalRevoked',
+    'ProposalQueued',
+    'ProposalExecuted',
+    'ProposalCancelled'
+  ],
+  SafeBiteCertificates: [
+    'CertificateIssued',
+    'CertificateRevoked'
+  ]
+};
+
+// Most events replayed to a reconnecting client
+const MAX_REPLAY = 500;
+
+class EventStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeatInterval = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS || '15000');
+    this.heartbeat = null;
+    indexerService.on('events', (events) => this.broadcast(events));
+  }
+
+  /**
+   * Get the names of the events clients can subscribe to
+   * 
+   * @returns {Array<string>} Event names
+   */
+  getEventNames() {
+    return [...new Set(Object.values(STREAMED_EVENTS).flat())];
+  }
+
+  /**
+   * Start streaming events to a client
+   * 
+   * @param {Object} res - Express response, kept open until the client disconnects
+   * @param {Object} filter - { addresses, productIds, events }; empty lists match everything
+   * @param {string|null} lastEventId - ID of the last event the client received, to replay what it missed
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(res, filter, lastEventId = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const client = { res, filter, queue: null };
+
+    // Events committed while the replay is read are queued and sent after it
+    if (lastEventId) {
+      client.queue = [];
+      this.clients.add(client);
+      const [blockNumber, logIndex] = lastEventId.split('-').map(Number);
+      let missed = [];
+      try {
+        missed = await indexerService.getEventsAfter(blockNumber, logIndex, MAX_REPLAY);
+      } catch (error) {
+        console.error('Event stream replay failed:', error.message);
+      }
+      const seen = new Set(missed.map((event) => this.getEventId(event)));
+      [...missed, ...client.queue.filter((event) => !seen.has(this.getEventId(event)))]
+        .forEach((event) => this.send(client, event));
+      client.queue = null;
+    } else {
+      this.clients.add(client);
+    }
+
+    this.startHeartbeat();
+    return () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * Send newly indexed events to every matching client
+   * 
+   * @param {Array<Object>} events - Events emitted by the indexer
+   */
+  broadcast(events) {
+    for (const client of this.clients) {
+      for (const event of events) {
+        if (client.queue) {
+          client.queue.push(event);
+        } else {
+          this.send(client, event);
+        }
+      }
+    }
+  }
+
+  /**
+   * Write an event to a client if it is streamed and matches the client's filter
+   * 
+   * @param {Object} client - Connected client
+   * @param {Object} event - Indexed event
+   */
+  send(client, event) {
+    if (!this.matches(event, client.filter)) {
+      return;
+    }
+
+    const id = this.getEventId(event);
+    client.res.write(`id: ${id}\nevent: ${event.name}\ndata: ${JSON.stringify(this.formatEvent(event))}\n\n`);
+  }
+
+  /**
+   * Check whether an event passes a client's filter
+   * 
+   * @param {Object} event - Indexed event
+   * @param {Object} filter - { addresses, productIds, events }
+   * @returns {boolean} True if the event is streamed and matches every non-empty filter
+   * 
+   * An address matches any address argument (producer, from, to, verifier, account, ...).
+   * A product ID matches the event's product, or either side of an ingredient link.
+   */
+  matches(event, filter) {
+    if (!(STREAMED_EVENTS[event.contract] || []).includes(event.name)) {
+      return false;
+    }
+    if (filter.events.length > 0 && !filter.events.includes(event.name)) {
+      return false;
+    }
+    if (filter.productIds.length > 0) {
+      const ids = ['productId', 'inputId', 'outputId']
+        .filter((key) => event.args[key] !== undefined)
+        .map((key) => Number(event.args[key]));
+      if (!ids.some((id) => filter.productIds.includes(id))) {
+        return false;
+      }
+    }
+    if (filter.addresses.length > 0) {
+      const addresses = Object.values(event.args)
+        .filter((value) => typeof value === 'string' && isValidAddress(value))
+        .map((value) => value.toLowerCase());
+      if (!addresses.some((address) => filter.addresses.includes(address))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Build the SSE ID of an event
+   * 
+   * @param {Object} event - Indexed event
+   * @returns {string} "<blockNumber>-<logIndex>"
+   */
+  getEventId(event) {
+    return `${event.blockNumber}-${event.logIndex}`;
+  }
+
+  /**
+   * Format an event for clients
+   * 
+   * @param {Object} event - Indexed event
+   * @returns {Object} { id, event, productId, blockNumber, transactionHash, timestamp, args }
+   */
+  formatEvent(event) {
+    return {
+      id: this.getEventId(event),
+      event: event.name,
+      productId: event.productId,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: event.blockTimestamp,
+      args: event.args
+    };
+  }
+
+  /**
+   * Send a comment to every client periodically so proxies keep idle connections open
+   */
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(': keep-alive\n\n'));
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop the heartbeat once no clients are connected
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EventStreamService();
@@ -0,0 +1,1639 @@
+/**
+ * Indexer Service
+ * Follows SafeBite contract events into a local SQLite read store
+ * 
+ * Reading lists and histories straight from the chain costs several RPC calls per
+ * product and a full event scan per request. The indexer instead walks new blocks,
+ * stores every contract event, and refreshes the state of each product or account an
+ * event touches, so the read endpoints answer from the local database.
+ * 
+ * Progress is checkpointed per block range. The hashes of recent blocks are kept so a
+ * chain reorganization can be detected and the orphaned events rolled back. Every read
+ * first catches up to the chain head, so a read issued after a write sees its result.
+ * 
+ * Each committed range is emitted as an 'events' event, which the event stream service
+ * fans out to connected dashboards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const contractService = require('./contractService');
+const { formatDate } = require('../utils/helpers');
+const { isContractError } = require('../utils/errors');
+
+// ProductStatus values from SafeBiteSupplyChain
+const PRODUCT_STATUS_DELIVERED = 4;
+const PRODUCT_STATUS_EXPIRED = 5;
+const STATUS_NAMES = ['CREATED', 'SHIPPED', 'RECEIVED', 'STORED', 'DELIVERED', 'EXPIRED'];
+
+// CertificateType values from SafeBiteCertificates that authenticity depends on
+const CERTIFICATE_QUALITY = 0;
+const CERTIFICATE_COMPLIANCE = 1;
+const CERTIFICATE_TYPES = ['QUALITY', 'COMPLIANCE', 'ORGANIC', 'HALAL', 'KOSHER', 'FAIR_TRADE', 'LAB_REPORT', 'OTHER'];
+const CERTIFICATE_SCOPES = ['PRODUCT', 'BATCH'];
+
+// Role returned by SafeBiteAccessRoles.getRole for addresses without a role
+const ROLE_CONSUMER = 4;
+
+// SafeBiteAccessRoles events that change the roles of their account
+const ROLE_EVENTS = ['RoleGranted', 'RoleRevoked', 'RoleValidityChanged', 'RoleSuspended', 'RoleReinstated'];
+
+// Role history action of each role event
+const ROLE_ACTIONS = {
+  RoleGranted: 'granted',
+  RoleRevoked: 'revoked',
+  RoleValidityChanged: 'validity',
+  RoleSuspended: 'suspended',
+  RoleReinstated: 'reinstated'
+};
+
+// Bumped when a table definition changes; stores written with another version are rebuilt
+const SCHEMA_VERSION = '8';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    product_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_product ON events (product_id, name);
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    batch_id TEXT NOT NULL,
+    producer TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    origin TEXT NOT NULL,
+    metadata_hash TEXT NOT NULL,
+    production_date INTEGER NOT NULL,
+    best_before_date INTEGER NOT NULL,
+    use_by_date INTEGER NOT NULL,
+    current_owner TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    consumed_portion INTEGER NOT NULL,
+    is_authentic INTEGER NOT NULL,
+    is_recalled INTEGER NOT NULL,
+    is_cold_chain_compromised INTEGER NOT NULL,
+    certificate_ids TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS products_owner ON products (current_owner);
+  CREATE INDEX IF NOT EXISTS products_producer ON products (producer);
+  CREATE INDEX IF NOT EXISTS products_batch ON products (batch_id);
+  CREATE TABLE IF NOT EXISTS pending_transfers (
+    product_id INTEGER PRIMARY KEY,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    initiated_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    shipment_details TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS pending_transfers_to ON pending_transfers (to_address);
+  CREATE TABLE IF NOT EXISTS verifications (
+    product_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    verifier TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    v_type INTEGER NOT NULL,
+    result INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    notes TEXT NOT NULL,
+    certificate_hash TEXT NOT NULL,
+    PRIMARY KEY (product_id, position)
+  );
+  CREATE TABLE IF NOT EXISTS roles (
+    address TEXT NOT NULL,
+    role INTEGER NOT NULL,
+    valid_until INTEGER NOT NULL,
+    suspended INTEGER NOT NULL,
+    PRIMARY KEY (address, role)
+  );
+  CREATE TABLE IF NOT EXISTS organizations (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS organization_members (
+    address TEXT PRIMARY KEY,
+    organization_id INTEGER NOT NULL,
+    is_admin INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS organization_members_organization ON organization_members (organization_id);
+  CREATE TABLE IF NOT EXISTS role_requests (
+    id INTEGER PRIMARY KEY,
+    applicant TEXT NOT NULL,
+    role INTEGER NOT NULL,
+    organization_name TEXT NOT NULL,
+    document_hashes TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    reviewer TEXT,
+    created_at INTEGER NOT NULL,
+    decided_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS role_requests_applicant ON role_requests (applicant);
+  CREATE INDEX IF NOT EXISTS role_requests_status ON role_requests (status);
+  CREATE TABLE IF NOT EXISTS proposals (
+    id INTEGER PRIMARY KEY,
+    proposer TEXT NOT NULL,
+    target TEXT NOT NULL,
+    data TEXT NOT NULL,
+    description TEXT NOT NULL,
+    approvers TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    ready_at INTEGER NOT NULL,
+    executed INTEGER NOT NULL,
+    cancelled INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS certificates (
+    id INTEGER PRIMARY KEY,
+    certificate_type INTEGER NOT NULL,
+    scope INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    batch_id TEXT NOT NULL,
+    producer TEXT,
+    document_hash TEXT NOT NULL,
+    issuer TEXT NOT NULL,
+    issued_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked INTEGER NOT NULL,
+    revoked_by TEXT,
+    revoked_at INTEGER NOT NULL,
+    revocation_reason TEXT NOT NULL
+  );
+`;
+
+const DATA_TABLES = [
+  'blocks', 'events', 'products', 'pending_transfers', 'verifications', 'roles', 'organizations', 'organization_members',
+  'role_requests', 'proposals', 'certificates'
+];
+
+// SafeBiteAccessRoles events that change a role request
+const ROLE_REQUEST_EVENTS = ['RoleRequested', 'RoleRequestApproved', 'RoleRequestRejected'];
+
+// SafeBiteGovernance events that change a proposal, with their history action
+const PROPOSAL_ACTIONS = {
+  ProposalCreated: 'proposed',
+  ProposalApproved: 'approved',
+  ApprovalRevoked: 'revoked',
+  ProposalQueued: 'queued',
+  ProposalExecuted: 'executed',
+  ProposalCancelled: 'cancelled'
+};
+
+/**
+ * Normalize an address for storage and lookups
+ * @param {string} address - Address in any case
+ * @returns {string} Checksummed address
+ */
+function normalizeAddress(address) {
+  return ethers.getAddress(address.toLowerCase());
+}
+
+/**
+ * Convert decoded event arguments to a JSON-safe object keyed by parameter name
+ * @param {Object} parsed - LogDescription returned by Interface.parseLog()
+ * @returns {Object} Arguments with bigints converted to numbers (or strings if too large)
+ */
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    if (typeof value === 'bigint') {
+      args[input.name] = value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+}
+
+class IndexerService extends EventEmitter {
+  constructor() {
+    super();
+    this.dbPath = process.env.INDEXER_DB_PATH || path.join(__dirname, '../data/indexer.sqlite');
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_BLOCKS || '2000');
+    this.reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH || '64');
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000');
+    this.db = null;
+    this.sources = null;
+    this.startBlock = 0;
+    this.timer = null;
+    this.currentSync = null;
+    this.nextSync = null;
+  }
+
+  /**
+   * Start following the chain
+   * 
+   * Catches up to the chain head, then polls for new blocks every INDEXER_POLL_INTERVAL_MS.
+   * Reads also catch up on demand, so polling only keeps the store warm between requests.
+   * 
+   * @throws {Error} If the store cannot be opened or the first sync fails
+   */
+  async start() {
+    const blockNumber = await this.sync();
+    console.log(`Indexer synced to block ${blockNumber} (${this.dbPath})`);
+
+    this.timer = setInterval(() => {
+      this.sync().catch((error) => console.error('Indexer sync failed:', error.message));
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling and close the store
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Catch up to the chain head
+   * 
+   * @returns {Promise<number>} Last indexed block number
+   * 
+   * Calls made while a sync is running wait for it and share one follow-up sync,
+   * so a read issued after a write always indexes the block holding the write.
+   */
+  sync() {
+    if (!this.nextSync) {
+      const previous = this.currentSync || Promise.resolve();
+      const run = previous.catch(() => {}).then(() => {
+        this.nextSync = null;
+        this.currentSync = run;
+        return this.syncToHead();
+      }).finally(() => {
+        if (this.currentSync === run) {
+          this.currentSync = null;
+        }
+      });
+      this.nextSync = run;
+    }
+    return this.nextSync;
+  }
+
+  /**
+   * Open the store and bind it to the deployed contracts
+   * 
+   * Creates the schema on first use. The store is wiped when the chain ID or contract
+   * addresses change, e.g. after a redeploy, so it never mixes data from two deployments.
+   * Stores created with an older schema are dropped and rebuilt from the chain.
+   */
+  async open() {
+    if (this.db) {
+      return;
+    }
+    if (!contractService.supplyChainContract || !contractService.provider) {
+      throw new Error('Contract service not initialized');
+    }
+
+    this.sources = new Map([
+      [contractService.accessControlContract, 'SafeBiteAccessRoles'],
+      [contractService.supplyChainContract, 'SafeBiteSupplyChain'],
+      [contractService.recallContract, 'SafeBiteRecalls'],
+      [contractService.coldChainContract, 'SafeBiteColdChain'],
+      [contractService.governanceContract, 'SafeBiteGovernance'],
+      [contractService.certificateContract, 'SafeBiteCertificates']
+    ].map(([contract, name]) => [contract.target.toLowerCase(), { contract, name }]));
+    this.startBlock = process.env.INDEXER_START_BLOCK !== undefined
+      ? parseInt(process.env.INDEXER_START_BLOCK)
+      : contractService.contractAddresses.startBlock || 0;
+
+    const { chainId } = await contractService.provider.getNetwork();
+    const identity = JSON.stringify({ chainId: chainId.toString(), contracts: [...this.sources.keys()] });
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    this.db = db;
+
+    if (this.getMeta('schemaVersion') !== SCHEMA_VERSION) {
+      db.transaction(() => {
+        for (const table of DATA_TABLES) {
+          db.prepare(`DROP TABLE IF EXISTS ${table}`).run();
+        }
+        db.prepare('DELETE FROM meta').run();
+        db.exec(SCHEMA);
+        this.setMeta('schemaVersion', SCHEMA_VERSION);
+      })();
+    }
+
+    if (this.getMeta('identity') !== identity) {
+      db.transaction(() => {
+        this.clear();
+        this.setMeta('identity', identity);
+      })();
+    }
+  }
+
+  /**
+   * Index every block between the checkpoint and the chain head
+   * @returns {Promise<number>} Last indexed block number
+   */
+  async syncToHead() {
+    await this.open();
+
+    const head = await contractService.provider.getBlockNumber();
+    let from = await this.rollbackOrphanedBlocks();
+
+    while (from <= head) {
+      const to = Math.min(head, from + this.batchSize - 1);
+      await this.indexRange(from, to);
+      from = to + 1;
+    }
+
+    return from - 1;
+  }
+
+  /**
+   * Detect a reorganization and undo the events of orphaned blocks
+   * 
+   * @returns {Promise<number>} First block number that still has to be indexed
+   * 
+   * Compares the stored hashes of recent blocks with the chain, newest first, until one
+   * matches. Events after that block are deleted and the products and accounts they
+   * touched are refreshed from the chain. If no retained block matches, the reorg is deeper
+   * than INDEXER_REORG_DEPTH and the store is rebuilt from the start block.
+   */
+  async rollbackOrphanedBlocks() {
+    const lastBlock = this.getMeta('lastBlock');
+    if (lastBlock === null) {
+      return this.startBlock;
+    }
+
+    const stored = this.db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC').all();
+    for (const { number, hash } of stored) {
+      const block = await contractService.provider.getBlock(number);
+      if (!block || block.hash !== hash) {
+        continue;
+      }
+      if (number < Number(lastBlock)) {
+        await this.rollbackTo(number);
+      }
+      return number + 1;
+    }
+
+    console.warn('Indexer: no common ancestor with the chain, rebuilding the store');
+    this.db.transaction(() => this.clear())();
+    return this.startBlock;
+  }
+
+  /**
+   * Delete events after a block and refresh everything they touched
+   * @param {number} blockNumber - Last block still on the canonical chain
+   */
+  async rollbackTo(blockNumber) {
+    const orphaned = this.db.prepare('SELECT name, args FROM events WHERE block_number > ?').all(blockNumber)
+      .map((row) => ({ name: row.name, args: JSON.parse(row.args) }));
+    console.warn(`Indexer: chain reorganized, rolling back ${orphaned.length} events after block ${blockNumber}`);
+
+    const state = await this.fetchState(this.collectTouched(orphaned));
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+      this.db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+      this.applyState(state);
+      this.setMeta('lastBlock', blockNumber);
+    })();
+  }
+
+  /**
+   * Index the contract events of a block range
+   * 
+   * @param {number} from - First block number
+   * @param {number} to - Last block number
+   * 
+   * Fetches and decodes the logs, reads the current state of every touched product
+   * and account, then writes events, state and the new checkpoint in one transaction.
+   * Once committed, the decoded events are emitted as 'events', oldest first.
+   */
+  async indexRange(from, to) {
+    const provider = contractService.provider;
+    const logs = await provider.getLogs({
+      address: [...this.sources.keys()],
+      fromBlock: from,
+      toBlock: to
+    });
+
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber)), to];
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      const block = await provider.getBlock(number);
+      if (!block) {
+        throw new Error(`Block ${number} not found`);
+      }
+      blocks.set(number, block);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      if (block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing`);
+      }
+
+      const source = this.sources.get(log.address.toLowerCase());
+      const parsed = source.contract.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      const args = serializeArgs(parsed);
+      const productId = args.productId || args.inputId || null;
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockTimestamp: block.timestamp,
+        transactionHash: log.transactionHash,
+        contract: source.name,
+        name: parsed.name,
+        productId,
+        args
+      });
+    }
+
+    const state = await this.fetchState(this.collectTouched(events));
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, block_timestamp, transaction_hash, contract, name, product_id, args)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertBlock = this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)');
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run(
+          event.blockNumber,
+          event.logIndex,
+          event.blockTimestamp,
+          event.transactionHash,
+          event.contract,
+          event.name,
+          event.productId,
+          JSON.stringify(event.args)
+        );
+      }
+      for (const block of blocks.values()) {
+        insertBlock.run(block.number, block.hash);
+      }
+      this.db.prepare('DELETE FROM blocks WHERE number < ?').run(to - this.reorgDepth);
+      this.applyState(state);
+      this.setMeta('lastBlock', to);
+      this.setMeta('lastBlockTimestamp', blocks.get(to).timestamp);
+    })();
+
+    if (events.length > 0) {
+      this.emit('events', events);
+    }
+  }
+
+  /**
+   * Work out which products, accounts, organizations, role requests, proposals and certificates a list of events changed
+   * 
+   * @param {Array<Object>} events - Events as { name, args }
+   * @returns {Object} { products: Set<number>, accounts: Set<string>, organizations: Set<number>,
+   *   requests: Set<number>, proposals: Set<number>, certificates: Set<number> }
+   * 
+   * Batch recalls touch every stored product of the producer's batch, producer recalls every product from the producer,
+   * and batch certificates every stored product of the producer's batch.
+   * Signer changes touch every open proposal, since only current signers' approvals count.
+   */
+  collectTouched(events) {
+    const products = new Set();
+    const accounts = new Set();
+    const organizations = new Set();
+    const requests = new Set();
+    const proposals = new Set();
+    const certificates = new Set();
+
+    for (const { name, args } of events) {
+      for (const key of ['productId', 'inputId', 'outputId']) {
+        if (args[key]) {
+          products.add(Number(args[key]));
+        }
+      }
+      if (ROLE_EVENTS.includes(name) || name.startsWith('OrganizationMember') || name.startsWith('OrganizationAdmin')) {
+        accounts.add(normalizeAddress(args.account));
+      }
+      if (name === 'OrganizationRegistered') {
+        organizations.add(Number(args.organizationId));
+      }
+      if (ROLE_REQUEST_EVENTS.includes(name)) {
+        requests.add(Number(args.requestId));
+      }
+      if (PROPOSAL_ACTIONS[name]) {
+        proposals.add(Number(args.proposalId));
+      }
+      if (name === 'SignerAdded' || name === 'SignerRemoved') {
+        this.db.prepare('SELECT id FROM proposals WHERE executed = 0 AND cancelled = 0').all()
+          .forEach((row) => proposals.add(row.id));
+      }
+      if (name === 'ProductRecalled') {
+        if (args.batchId) {
+          this.db.prepare('SELECT id FROM products WHERE batch_id = ? AND producer = ?').all(args.batchId, normalizeAddress(args.producer))
+            .forEach((row) => products.add(row.id));
+        } else if (args.producer && args.producer !== ethers.ZeroAddress) {
+          this.db.prepare('SELECT id FROM products WHERE producer = ?').all(normalizeAddress(args.producer))
+            .forEach((row) => products.add(row.id));
+        }
+      }
+      if (name === 'CertificateIssued' || name === 'CertificateRevoked') {
+        certificates.add(Number(args.certificateId));
+        if (args.batchId) {
+          this.db.prepare('SELECT id FROM products WHERE batch_id = ? AND producer = ?').all(args.batchId, normalizeAddress(args.producer))
+            .forEach((row) => products.add(row.id));
+        }
+      }
+    }
+
+    return { products, accounts, organizations, requests, proposals, certificates };
+  }
+
+  /**
+   * Read the current on-chain state of products, accounts, organizations, role requests, proposals and certificates
+   * 
+   * @param {Object} touched - { products: Set<number>, accounts: Set<string>, organizations: Set<number>,
+   *   requests: Set<number>, proposals: Set<number>, certificates: Set<number> }
+   * @returns {Promise<Object>} { products: Map<id, state|null>, accounts: Map<address, { grants, organizationId, isAdmin }>,
+   *   organizations: Map<id, organization|null>, requests: Map<id, request|null>, proposals: Map<id, proposal|null>,
+   *   certificates: Map<id, certificate|null> }
+   * 
+   * A product, organization, request, proposal or certificate state is null when it no longer exists, which
+   * happens when its creation was in an orphaned block.
+   */
+  async fetchState(touched) {
+    const products = new Map();
+    for (const productId of touched.products) {
+      try {
+        const product = await contractService.getProduct(productId);
+        const pendingTransfer = await contractService.getPendingTransfer(productId);
+        const verifications = await contractService.getVerificationHistory(productId);
+        products.set(productId, { product, pendingTransfer, verifications });
+      } catch (error) {
+        if (!isContractError(error, 'ProductNotFound')) {
+          throw error;
+        }
+        products.set(productId, null);
+      }
+    }
+
+    const accounts = new Map();
+    for (const address of touched.accounts) {
+      const grants = await contractService.getRoleGrants(address);
+      const { organizationId, isAdmin } = await contractService.getAccountOrganization(address);
+      accounts.set(address, { grants, organizationId, isAdmin });
+    }
+
+    const organizations = new Map();
+    for (const organizationId of touched.organizations) {
+      try {
+        organizations.set(organizationId, await contractService.getOrganization(organizationId));
+      } catch (error) {
+        if (!isContractError(error, 'OrganizationNotFound')) {
+          throw error;
+        }
+        organizations.set(organizationId, null);
+      }
+    }
+
+    const requests = new Map();
+    for (const requestId of touched.requests) {
+      try {
+        requests.set(requestId, await contractService.getRoleRequest(requestId));
+      } catch (error) {
+        if (!isContractError(error, 'RoleRequestNotFound')) {
+          throw error;
+        }
+        requests.set(requestId, null);
+      }
+    }
+
+    const proposals = new Map();
+    for (const proposalId of touched.proposals) {
+      try {
+        proposals.set(proposalId, await contractService.getProposal(proposalId));
+      } catch (error) {
+        if (!isContractError(error, 'ProposalNotFound')) {
+          throw error;
+        }
+        proposals.set(proposalId, null);
+      }
+    }
+
+    const certificates = new Map();
+    for (const certificateId of touched.certificates) {
+      try {
+        certificates.set(certificateId, await contractService.getCertificate(certificateId));
+      } catch (error) {
+        if (!isContractError(error, 'CertificateNotFound')) {
+          throw error;
+        }
+        certificates.set(certificateId, null);
+      }
+    }
+
+    return { products, accounts, organizations, requests, proposals, certificates };
+  }
+
+  /**
+   * Write fetched product, account, organization, role request, proposal and certificate state to the store
+   * Must run inside a transaction.
+   * 
+   * @param {Object} state - State returned by fetchState()
+   */
+  applyState(state) {
+    const db = this.db;
+    const upsertProduct = db.prepare(`
+      INSERT OR REPLACE INTO products (
+        id, name, batch_id, producer, created_at, origin, metadata_hash, production_date,
+        best_before_date, use_by_date, current_owner, status, consumed_portion, is_authentic,
+        is_recalled, is_cold_chain_compromised, certificate_ids
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertPending = db.prepare(`
+      INSERT INTO pending_transfers (product_id, from_address, to_address, initiated_at, expires_at, shipment_details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertVerification = db.prepare(`
+      INSERT INTO verifications (product_id, position, verifier, timestamp, v_type, result, score, notes, certificate_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const [productId, entry] of state.products) {
+      db.prepare('DELETE FROM pending_transfers WHERE product_id = ?').run(productId);
+      db.prepare('DELETE FROM verifications WHERE product_id = ?').run(productId);
+
+      if (entry === null) {
+        db.prepare('DELETE FROM products WHERE id = ?').run(productId);
+        continue;
+      }
+
+      const { product, pendingTransfer, verifications } = entry;
+      upsertProduct.run(
+        productId,
+        product.name,
+        product.batchId,
+        normalizeAddress(product.producer),
+        product.createdAt,
+        product.origin,
+        product.metadataHash,
+        product.productionDate,
+        product.bestBeforeDate,
+        product.useByDate,
+        normalizeAddress(product.currentOwner),
+        product.status,
+        product.consumedPortion,
+        product.isAuthentic ? 1 : 0,
+        product.isRecalled ? 1 : 0,
+        product.isColdChainCompromised ? 1 : 0,
+        JSON.stringify(product.certificateIds)
+      );
+
+      if (pendingTransfer) {
+        insertPending.run(
+          productId,
+          normalizeAddress(pendingTransfer.from),
+          normalizeAddress(pendingTransfer.to),
+          pendingTransfer.initiatedAt,
+          pendingTransfer.expiresAt,
+          pendingTransfer.shipmentDetails
+        );
+      }
+
+      verifications.forEach((verification, position) => {
+        insertVerification.run(
+          productId,
+          position,
+          verification.verifier,
+          verification.timestamp,
+          verification.vType,
+          verification.result ? 1 : 0,
+          verification.score,
+          verification.notes,
+          verification.certificateHash
+        );
+      });
+    }
+
+    for (const [address, { grants, organizationId, isAdmin }] of state.accounts) {
+      db.prepare('DELETE FROM roles WHERE address = ?').run(address);
+      for (const grant of grants) {
+        db.prepare('INSERT INTO roles (address, role, valid_until, suspended) VALUES (?, ?, ?, ?)')
+          .run(address, grant.role, grant.validUntil, grant.suspended ? 1 : 0);
+      }
+
+      db.prepare('DELETE FROM organization_members WHERE address = ?').run(address);
+      if (organizationId !== 0) {
+        db.prepare('INSERT INTO organization_members (address, organization_id, is_admin) VALUES (?, ?, ?)')
+          .run(address, organizationId, isAdmin ? 1 : 0);
+      }
+    }
+
+    for (const [organizationId, organization] of state.organizations) {
+      if (organization === null) {
+        db.prepare('DELETE FROM organizations WHERE id = ?').run(organizationId);
+      } else {
+        db.prepare('INSERT OR REPLACE INTO organizations (id, name, created_at) VALUES (?, ?, ?)')
+          .run(organizationId, organization.name, organization.createdAt);
+      }
+    }
+
+    for (const [requestId, request] of state.requests) {
+      if (request === null) {
+        db.prepare('DELETE FROM role_requests WHERE id = ?').run(requestId);
+      } else {
+        db.prepare(`
+          INSERT OR REPLACE INTO role_requests (
+            id, applicant, role, organization_name, document_hashes, status, reason, reviewer, created_at, decided_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          requestId,
+          normalizeAddress(request.applicant),
+          request.role,
+          request.organizationName,
+          JSON.stringify(request.documentHashes),
+          request.status,
+          request.reason,
+          request.reviewer ? normalizeAddress(request.reviewer) : null,
+          request.createdAt,
+          request.decidedAt
+        );
+      }
+    }
+
+    for (const [proposalId, proposal] of state.proposals) {
+      if (proposal === null) {
+        db.prepare('DELETE FROM proposals WHERE id = ?').run(proposalId);
+      } else {
+        db.prepare(`
+          INSERT OR REPLACE INTO proposals (
+            id, proposer, target, data, description, approvers, created_at, ready_at, executed, cancelled
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          proposalId,
+          normalizeAddress(proposal.proposer),
+          normalizeAddress(proposal.target),
+          proposal.data,
+          proposal.description,
+          JSON.stringify(proposal.approvers.map(normalizeAddress)),
+          proposal.createdAt,
+          proposal.readyAt,
+          proposal.executed ? 1 : 0,
+          proposal.cancelled ? 1 : 0
+        );
+      }
+    }
+
+    for (const [certificateId, certificate] of state.certificates) {
+      if (certificate === null) {
+        db.prepare('DELETE FROM certificates WHERE id = ?').run(certificateId);
+      } else {
+        db.prepare(`
+          INSERT OR REPLACE INTO certificates (
+            id, certificate_type, scope, product_id, batch_id, producer, document_hash, issuer, issued_at, expires_at,
+            revoked, revoked_by, revoked_at, revocation_reason
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          certificateId,
+          certificate.certificateType,
+          certificate.scope,
+          certificate.productId,
+          certificate.batchId,
+          certificate.producer ? normalizeAddress(certificate.producer) : null,
+          certificate.documentHash,
+          normalizeAddress(certificate.issuer),
+          certificate.issuedAt,
+          certificate.expiresAt,
+          certificate.revoked ? 1 : 0,
+          certificate.revokedBy ? normalizeAddress(certificate.revokedBy) : null,
+          certificate.revokedAt,
+          certificate.revocationReason
+        );
+      }
+    }
+  }
+
+  /**
+   * Delete all indexed data and the checkpoint
+   * Must run inside a transaction.
+   */
+  clear() {
+    for (const table of DATA_TABLES) {
+      this.db.prepare(`DELETE FROM ${table}`).run();
+    }
+    this.db.prepare("DELETE FROM meta WHERE key IN ('lastBlock', 'lastBlockTimestamp')").run();
+  }
+
+  /**
+   * Read a checkpoint value
+   * @param {string} key - Meta key
+   * @returns {string|null} Stored value, or null if unset
+   */
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Write a checkpoint value
+   * @param {string} key - Meta key
+   * @param {string|number} value - Value to store
+   */
+  setMeta(key, value) {
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, String(value));
+  }
+
+  /**
+   * Get the timestamp of the last indexed block
+   * Used as the current time for expiry, matching the clock the contract uses.
+   * 
+   * @returns {number} Unix seconds
+   */
+  getChainTime() {
+    return Number(this.getMeta('lastBlockTimestamp') || Math.floor(Date.now() / 1000));
+  }
+
+  /**
+   * Format a stored product row like ContractService.getProduct()
+   * 
+   * @param {Object} row - Row from the products table
+   * @param {number} now - Current chain time in Unix seconds
+   * @returns {Object} Product object
+   * 
+   * Rows are only refreshed when an event touches the product, so passing the use-by
+   * date is applied here: the product reports EXPIRED and stops being authentic.
+   * Certificate expiry is applied the same way; a product stops being authentic once its
+   * QUALITY or COMPLIANCE certificates have all expired.
+   */
+  formatProduct(row, now) {
+    const pastUseBy = row.use_by_date !== 0 && now > row.use_by_date;
+    const isExpired = row.status === PRODUCT_STATUS_EXPIRED || (row.status !== PRODUCT_STATUS_DELIVERED && pastUseBy);
+    const certificateIds = JSON.parse(row.certificate_ids);
+    const certificates = this.getCertificates(certificateIds, now).filter((certificate) => certificate.isValid);
+    const isCertified = [CERTIFICATE_QUALITY, CERTIFICATE_COMPLIANCE]
+      .every((type) => certificates.some((certificate) => certificate.certificateType === type));
+
+    return {
+      id: row.id,
+      name: row.name,
+      batchId: row.batch_id,
+      producer: row.producer,
+      createdAt: row.created_at,
+      origin: row.origin,
+      metadataHash: row.metadata_hash,
+      productionDate: row.production_date,
+      bestBeforeDate: row.best_before_date,
+      useByDate: row.use_by_date,
+      currentOwner: row.current_owner,
+      status: isExpired ? PRODUCT_STATUS_EXPIRED : row.status,
+      isExpired: isExpired,
+      consumedPortion: row.consumed_portion,
+      isAuthentic: row.is_authentic === 1 && !isExpired && isCertified,
+      isRecalled: row.is_recalled === 1,
+      isColdChainCompromised: row.is_cold_chain_compromised === 1,
+      certificateIds: certificateIds,
+      certificates: certificates
+    };
+  }
+
+  /**
+   * Format a stored certificate like ContractService.formatCertificate()
+   * 
+   * @param {Object} row - Row from the certificates table
+   * @param {number} now - Current chain time in Unix seconds
+   * @returns {Object} Certificate record with isExpired / isValid evaluated at now
+   */
+  formatCertificate(row, now) {
+    const isExpired = row.expires_at !== 0 && now > row.expires_at;
+    const revoked = row.revoked === 1;
+
+    return {
+      id: row.id,
+      certificateType: row.certificate_type,
+      certificateTypeName: CERTIFICATE_TYPES[row.certificate_type] || 'UNKNOWN',
+      scope: row.scope,
+      scopeName: CERTIFICATE_SCOPES[row.scope] || 'UNKNOWN',
+      productId: row.product_id,
+      batchId: row.batch_id,
+      producer: row.producer,
+      documentHash: row.document_hash,
+      issuer: row.issuer,
+      issuedAt: row.issued_at,
+      expiresAt: row.expires_at,
+      revoked: revoked,
+      revokedBy: row.revoked_by,
+      revokedAt: row.revoked_at,
+      revocationReason: row.revocation_reason,
+      isExpired: isExpired,
+      isValid: !revoked && !isExpired
+    };
+  }
+
+  /**
+   * Read stored certificates by ID, in the given order
+   * 
+   * @param {Array<number>} certificateIds - Certificate IDs
+   * @param {number} now - Current chain time in Unix seconds
+   * @returns {Array<Object>} Formatted certificates; IDs not in the store are skipped
+   */
+  getCertificates(certificateIds, now) {
+    const select = this.db.prepare('SELECT * FROM certificates WHERE id = ?');
+    return certificateIds
+      .map((certificateId) => select.get(certificateId))
+      .filter(Boolean)
+      .map((row) => this.formatCertificate(row, now));
+  }
+
+  /**
+   * Format a stored role grant
+   * 
+   * @param {Object} row - Row from the roles table
+   * @param {number} now - Current chain time in Unix seconds
+   * @returns {Object} { role, validUntil, suspended, expired, active }
+   * 
+   * Expiry is not an event, so like products it is applied when the grant is read.
+   */
+  formatGrant(row, now) {
+    const expired = row.valid_until !== 0 && now > row.valid_until;
+    const suspended = row.suspended === 1;
+
+    return {
+      role: row.role,
+      validUntil: row.valid_until,
+      suspended: suspended,
+      expired: expired,
+      active: !suspended && !expired
+    };
+  }
+
+  /**
+   * Get product information
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} Product data in the same shape as ContractService.getProduct()
+   * @throws {Error} If the product does not exist
+   */
+  async getProduct(productId) {
+    await this.sync();
+
+    const row = this.db.prepare('SELECT * FROM products WHERE id = ?').get(productId);
+    if (!row) {
+      throw new Error('Failed to get product: product does not exist');
+    }
+    return this.formatProduct(row, this.getChainTime());
+  }
+
+  /**
+   * List products, optionally filtered by producer or current owner
+   * 
+   * @param {Object} filters - Filters (optional)
+   * @param {string} filters.producer - Producer address
+   * @param {string} filters.owner - Current owner address (ignored if producer is given)
+   * @returns {Promise<Array>} Products ordered by ID
+   */
+  async listProducts({ producer, owner } = {}) {
+    await this.sync();
+
+    let rows;
+    if (producer) {
+      rows = this.db.prepare('SELECT * FROM products WHERE producer = ? ORDER BY id').all(normalizeAddress(producer));
+    } else if (owner) {
+      rows = this.db.prepare('SELECT * FROM products WHERE current_owner = ? ORDER BY id').all(normalizeAddress(owner));
+    } else {
+      rows = this.db.prepare('SELECT * FROM products ORDER BY id').all();
+    }
+
+    const now = this.getChainTime();
+    return rows.map((row) => this.formatProduct(row, now));
+  }
+
+  /**
+   * Get products held by an owner that expire within a number of days
+   * 
+   * @param {string} owner - Current owner address
+   * @param {number} days - Look-ahead window in days
+   * @returns {Promise<Array>} Products sorted by the earliest of best-before and use-by,
+   *   each with daysUntilBestBefore and daysUntilUseBy (negative once passed, null if not set)
+   * 
+   * Keeps undelivered products whose best-before or use-by date falls before the end of
+   * the window, including products already past it, so retailers can mark down or pull stock.
+   */
+  async getExpiringProducts(owner, days) {
+    const products = await this.listProducts({ owner });
+    const now = this.getChainTime();
+    const cutoff = now + days * 86400;
+    const daysUntil = (date) => (date === 0 ? null : Math.floor((date - now) / 86400));
+
+    return products
+      .filter((product) => {
+        const nextDate = this.getNextExpiryDate(product);
+        return product.status !== PRODUCT_STATUS_DELIVERED && nextDate !== null && nextDate <= cutoff;
+      })
+      .map((product) => ({
+        ...product,
+        daysUntilBestBefore: daysUntil(product.bestBeforeDate),
+        daysUntilUseBy: daysUntil(product.useByDate)
+      }))
+      .sort((a, b) => this.getNextExpiryDate(a) - this.getNextExpiryDate(b));
+  }
+
+  /**
+   * Get the earlier of a product's best-before and use-by dates
+   * 
+   * @param {Object} product - Product returned by getProduct()
+   * @returns {number|null} Unix seconds, or null if the product has neither date
+   */
+  getNextExpiryDate(product) {
+    const dates = [product.bestBeforeDate, product.useByDate].filter((date) => date !== 0);
+    return dates.length > 0 ? Math.min(...dates) : null;
+  }
+
+  /**
+   * Get product journey timeline
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Journey events as strings with formatted timestamps
+   * 
+   * Combines the product registration with indexed OwnershipTransferred and
+   * StatusUpdated events, oldest first.
+   */
+  async getProductJourney(productId) {
+    const product = await this.getProduct(productId);
+    const rows = this.db.prepare(`
+      SELECT name, block_timestamp, args FROM events
+      WHERE product_id = ? AND contract = 'SafeBiteSupplyChain' AND name IN ('OwnershipTransferred', 'StatusUpdated')
+      ORDER BY block_number, log_index
+    `).all(productId);
+
+    const journey = [{
+      description: `Product registered: ${product.name} (Batch: ${product.batchId}) by producer`,
+      timestamp: product.createdAt
+    }];
+
+    for (const row of rows) {
+      const args = JSON.parse(row.args);
+      journey.push({
+        description: row.name === 'OwnershipTransferred'
+          ? `Transferred from ${args.from} to ${args.to}`
+          : `Status changed from ${STATUS_NAMES[args.oldStatus]} to ${STATUS_NAMES[args.newStatus]}`,
+        timestamp: row.block_timestamp
+      });
+    }
+
+    return journey
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map((item) => `${item.description} at ${formatDate(item.timestamp)}`);
+  }
+
+  /**
+   * Get transfer history for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Accepted transfers as { from, to, timestamp, shipmentDetails }, oldest first
+   * @throws {Error} If the product does not exist
+   */
+  async getTransferHistory(productId) {
+    await this.getProduct(productId);
+
+    return this.db.prepare(`
+      SELECT block_timestamp, args FROM events
+      WHERE product_id = ? AND contract = 'SafeBiteSupplyChain' AND name = 'OwnershipTransferred'
+      ORDER BY block_number, log_index
+    `).all(productId).map((row) => {
+      const args = JSON.parse(row.args);
+      return {
+        from: args.from,
+        to: args.to,
+        timestamp: row.block_timestamp,
+        shipmentDetails: args.shipmentDetails || ''
+      };
+    });
+  }
+
+  /**
+   * Get the pending transfer for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object|null>} Pending transfer, or null if none is pending
+   * @throws {Error} If the product does not exist
+   */
+  async getPendingTransfer(productId) {
+    await this.getProduct(productId);
+
+    const row = this.db.prepare('SELECT * FROM pending_transfers WHERE product_id = ?').get(productId);
+    return row ? this.formatPendingTransfer(row) : null;
+  }
+
+  /**
+   * Get pending transfers addressed to a recipient
+   * 
+   * @param {string} address - Recipient address
+   * @returns {Promise<Array>} Pending transfers with product name and batch ID
+   */
+  async getIncomingTransfers(address) {
+    await this.sync();
+
+    return this.db.prepare(`
+      SELECT pending_transfers.*, products.name, products.batch_id FROM pending_transfers
+      JOIN products ON products.id = pending_transfers.product_id
+      WHERE pending_transfers.to_address = ?
+      ORDER BY pending_transfers.product_id
+    `).all(normalizeAddress(address)).map((row) => ({
+      ...this.formatPendingTransfer(row),
+      productName: row.name,
+      batchId: row.batch_id
+    }));
+  }
+
+  /**
+   * Format a stored pending transfer like ContractService.formatPendingTransfer()
+   * @param {Object} row - Row from the pending_transfers table
+   * @returns {Object} Pending transfer
+   */
+  formatPendingTransfer(row) {
+    return contractService.formatPendingTransfer(row.product_id, {
+      from: row.from_address,
+      to: row.to_address,
+      initiatedAt: row.initiated_at,
+      expiresAt: row.expires_at,
+      shipmentDetails: row.shipment_details
+    });
+  }
+
+  /**
+   * Get verification history for a product
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} Verification records in chronological order
+   * @throws {Error} If the product does not exist
+   */
+  async getVerificationHistory(productId) {
+    const page = await this.getVerificationHistoryPage(productId, 0, -1);
+    return page.verifications;
+  }
+
+  /**
+   * Get a page of verification history for a product
+   * 
+   * @param {number} productId - Product ID
+   * @param {number} offset - Index of the first record to return
+   * @param {number} limit - Maximum number of records to return (-1 for all)
+   * @returns {Promise<Object>} Object with verifications array and total record count
+   * @throws {Error} If the product does not exist
+   */
+  async getVerificationHistoryPage(productId, offset, limit) {
+    await this.getProduct(productId);
+
+    const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM verifications WHERE product_id = ?').get(productId);
+    const rows = this.db.prepare(`
+      SELECT * FROM verifications WHERE product_id = ? ORDER BY position LIMIT ? OFFSET ?
+    `).all(productId, limit, offset);
+
+    return {
+      verifications: rows.map((row) => contractService.formatVerification({
+        verifier: row.verifier,
+        timestamp: row.timestamp,
+        vType: row.v_type,
+        result: row.result === 1,
+        score: row.score,
+        notes: row.notes,
+        certificateHash: row.certificate_hash
+      })),
+      total: total
+    };
+  }
+
+  /**
+   * Get the batch and producer of a stored product without syncing
+   * 
+   * @param {number} productId - Product ID
+   * @returns {Object|null} { batchId, producer }, or null if the product is not indexed
+   * 
+   * For 'events' listeners, which run while the indexer is still syncing.
+   */
+  getStoredProductOrigin(productId) {
+    if (!this.db) {
+      return null;
+    }
+
+    const row = this.db.prepare('SELECT batch_id, producer FROM products WHERE id = ?').get(productId);
+    return row ? { batchId: row.batch_id, producer: row.producer } : null;
+  }
+
+  /**
+   * Get indexed events after a position in the chain
+   * 
+   * @param {number} blockNumber - Block number of the last event already seen
+   * @param {number} logIndex - Log index of the last event already seen
+   * @param {number} limit - Maximum number of events to return
+   * @returns {Promise<Array>} Events in the shape emitted as 'events', oldest first
+   */
+  async getEventsAfter(blockNumber, logIndex, limit) {
+    await this.sync();
+
+    return this.db.prepare(`
+      SELECT * FROM events
+      WHERE block_number > ? OR (block_number = ? AND log_index > ?)
+      ORDER BY block_number, log_index
+      LIMIT ?
+    `).all(blockNumber, blockNumber, logIndex, limit).map((row) => ({
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      blockTimestamp: row.block_timestamp,
+      transactionHash: row.transaction_hash,
+      contract: row.contract,
+      name: row.name,
+      productId: row.product_id,
+      args: JSON.parse(row.args)
+    }));
+  }
+
+  /**
+   * Get user role
+   * 
+   * @param {string} address - User wallet address
+   * @returns {Promise<number>} Role enum value, 4 (CONSUMER) if the address has no assigned role
+   * 
+   * For addresses holding several roles this is the first in enum order, like
+   * SafeBiteAccessRoles.getRole.
+   */
+  async getUserRole(address) {
+    const roles = await this.getUserRoles(address);
+    return roles.length > 0 ? roles[0] : ROLE_CONSUMER;
+  }
+
+  /**
+   * Get the roles a user currently holds
+   * 
+   * @param {string} address - User wallet address
+   * @returns {Promise<Array<number>>} Role enum values in enum order, empty if the address has no active role
+   * 
+   * Like SafeBiteAccessRoles.getRoles, expired and suspended roles are left out.
+   * Expiry is judged against the time of the last indexed block.
+   */
+  async getUserRoles(address) {
+    await this.sync();
+
+    return this.db.prepare(`
+      SELECT role FROM roles
+      WHERE address = ? AND suspended = 0 AND (valid_until = 0 OR valid_until >= ?)
+      ORDER BY role
+    `).all(normalizeAddress(address), this.getChainTime()).map((row) => row.role);
+  }
+
+  /**
+   * Get every role granted to a user, including expired and suspended ones
+   * 
+   * @param {string} address - User wallet address
+   * @returns {Promise<Array>} Grants as { role, validUntil, suspended, expired, active } in enum order
+   */
+  async getRoleGrants(address) {
+    await this.sync();
+
+    const now = this.getChainTime();
+    return this.db.prepare('SELECT * FROM roles WHERE address = ? ORDER BY role')
+      .all(normalizeAddress(address))
+      .map((row) => this.formatGrant(row, now));
+  }
+
+  /**
+   * List time-limited roles that expire soon or have expired
+   * 
+   * @param {number} within - Seconds ahead of now to look for expiries
+   * @param {number|null} role - Role enum value, or null for every role
+   * @returns {Promise<Array>} Grants as { address, role, validUntil, suspended, expired, active },
+   *   soonest expiry first
+   * 
+   * Expired grants are kept until revoked, so they are listed too and can be renewed.
+   */
+  async getExpiringRoles(within, role = null) {
+    await this.sync();
+
+    const now = this.getChainTime();
+    return this.db.prepare(`
+      SELECT * FROM roles
+      WHERE valid_until != 0 AND valid_until <= ? AND (? IS NULL OR role = ?)
+      ORDER BY valid_until, address, role
+    `).all(now + within, role, role).map((row) => ({ address: row.address, ...this.formatGrant(row, now) }));
+  }
+
+  /**
+   * List the addresses holding a role
+   * 
+   * @param {number|null} role - Role enum value, or null for every assigned role
+   * @returns {Promise<Array>} Holders as { address, role, validUntil, suspended, expired, active, grantedAt,
+   *   transactionHash }, ordered by role then address
+   * 
+   * An address holding several roles is listed once per role. Expired and suspended grants
+   * are listed with active false until they are revoked. grantedAt and transactionHash
+   * come from the latest RoleGranted event of that address and role.
+   */
+  async getRoleHolders(role = null) {
+    await this.sync();
+
+    const latestGrant = this.db.prepare(`
+      SELECT block_timestamp, transaction_hash FROM events
+      WHERE contract = 'SafeBiteAccessRoles' AND name = 'RoleGranted'
+        AND json_extract(args, '$.account') = ? AND json_extract(args, '$.role') = ?
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `);
+
+    const now = this.getChainTime();
+    return this.db.prepare(`
+      SELECT * FROM roles WHERE ? IS NULL OR role = ? ORDER BY role, address
+    `).all(role, role).map((row) => {
+      const grant = latestGrant.get(row.address, row.role);
+      return {
+        address: row.address,
+        ...this.formatGrant(row, now),
+        grantedAt: grant ? grant.block_timestamp : null,
+        transactionHash: grant ? grant.transaction_hash : null
+      };
+    });
+  }
+
+  /**
+   * Get the role changes of an address
+   * 
+   * @param {string} address - Account address
+   * @returns {Promise<Array>} Changes as { action, role, validUntil, blockNumber, timestamp, transactionHash },
+   *   oldest first, where action is 'granted', 'revoked', 'validity', 'suspended' or 'reinstated'.
+   *   validUntil is only set for 'validity' changes (0 when the expiry was cleared).
+   */
+  async getRoleHistory(address) {
+    await this.sync();
+
+    return this.db.prepare(`
+      SELECT * FROM events
+      WHERE contract = 'SafeBiteAccessRoles' AND name IN (${ROLE_EVENTS.map(() => '?').join(', ')})
+        AND json_extract(args, '$.account') = ?
+      ORDER BY block_number, log_index
+    `).all(...ROLE_EVENTS, normalizeAddress(address)).map((row) => {
+      const args = JSON.parse(row.args);
+      return {
+        action: ROLE_ACTIONS[row.name],
+        role: args.role,
+        validUntil: row.name === 'RoleValidityChanged' ? Number(args.validUntil) : null,
+        blockNumber: row.block_number,
+        timestamp: row.block_timestamp,
+        transactionHash: row.transaction_hash
+      };
+    });
+  }
+
+  /**
+   * Format a stored role request row
+   * 
+   * @param {Object} row - Row from the role_requests table
+   * @returns {Object} Request in the same shape as ContractService.getRoleRequest()
+   */
+  formatRoleRequest(row) {
+    return {
+      id: row.id,
+      applicant: row.applicant,
+      role: row.role,
+      organizationName: row.organization_name,
+      documentHashes: JSON.parse(row.document_hashes),
+      status: row.status,
+      reason: row.reason,
+      reviewer: row.reviewer,
+      createdAt: row.created_at,
+      decidedAt: row.decided_at
+    };
+  }
+
+  /**
+   * List role requests
+   * 
+   * @param {Object} filters - { status, applicant }, each optional
+   * @returns {Promise<Array>} Requests, newest first
+   */
+  async getRoleRequests({ status = null, applicant = null } = {}) {
+    await this.sync();
+
+    return this.db.prepare(`
+      SELECT * FROM role_requests
+      WHERE (? IS NULL OR status = ?) AND (? IS NULL OR applicant = ?)
+      ORDER BY id DESC
+    `).all(status, status, applicant && normalizeAddress(applicant), applicant && normalizeAddress(applicant))
+      .map((row) => this.formatRoleRequest(row));
+  }
+
+  /**
+   * Get a role request with its audit trail
+   * 
+   * @param {number} requestId - Request ID
+   * @returns {Promise<Object|null>} Request with history as { action, actor, reason, blockNumber,
+   *   timestamp, transactionHash }, oldest first, where action is 'requested', 'approved' or
+   *   'rejected'; null if the request does not exist
+   */
+  async getRoleRequest(requestId) {
+    await this.sync();
+
+    const row = this.db.prepare('SELECT * FROM role_requests WHERE id = ?').get(requestId);
+    if (!row) {
+      return null;
+    }
+
+    const history = this.db.prepare(`
+      SELECT * FROM events
+      WHERE contract = 'SafeBiteAccessRoles' AND name IN (${ROLE_REQUEST_EVENTS.map(() => '?').join(', ')})
+        AND json_extract(args, '$.requestId') = ?
+      ORDER BY block_number, log_index
+    `).all(...ROLE_REQUEST_EVENTS, requestId).map((event) => {
+      const args = JSON.parse(event.args);
+      return {
+        action: event.name === 'RoleRequested' ? 'requested' : event.name === 'RoleRequestApproved' ? 'approved' : 'rejected',
+        actor: args.applicant || args.reviewer,
+        reason: args.reason || null,
+        blockNumber: event.block_number,
+        timestamp: event.block_timestamp,
+        transactionHash: event.transaction_hash
+      };
+    });
+
+    return { ...this.formatRoleRequest(row), history };
+  }
+
+  /**
+   * Format a stored proposal row
+   * 
+   * @param {Object} row - Row from the proposals table
+   * @param {number} now - Current chain time in Unix seconds
+   * @returns {Object} Proposal in the same shape as ContractService.getProposal(), plus call
+   *   (the decoded call, see ContractService.decodeProposalCall()) and status: PENDING until the
+   *   threshold is reached, QUEUED during the timelock, then READY, EXECUTED or CANCELLED
+   */
+  formatProposal(row, now) {
+    const status = row.executed ? 'EXECUTED'
+      : row.cancelled ? 'CANCELLED'
+      : row.ready_at === 0 ? 'PENDING'
+      : now < row.ready_at ? 'QUEUED'
+      : 'READY';
+
+    return {
+      id: row.id,
+      proposer: row.proposer,
+      target: row.target,
+      data: row.data,
+      call: contractService.decodeProposalCall(row.target, row.data),
+      description: row.description,
+      approvers: JSON.parse(row.approvers),
+      createdAt: row.created_at,
+      readyAt: row.ready_at,
+      executed: row.executed === 1,
+      cancelled: row.cancelled === 1,
+      status
+    };
+  }
+
+  /**
+   * List governance proposals
+   * 
+   * @param {Object} filters - { status }, optional (PENDING, QUEUED, READY, EXECUTED or CANCELLED)
+   * @returns {Promise<Array>} Proposals, newest first
+   */
+  async getProposals({ status = null } = {}) {
+    await this.sync();
+    const now = this.getChainTime();
+
+    return this.db.prepare('SELECT * FROM proposals ORDER BY id DESC').all()
+      .map((row) => this.formatProposal(row, now))
+      .filter((proposal) => status === null || proposal.status === status);
+  }
+
+  /**
+   * Get a governance proposal with its history
+   * 
+   * @param {number} proposalId - Proposal ID
+   * @returns {Promise<Object|null>} Proposal with history as { action, actor, blockNumber, timestamp,
+   *   transactionHash }, oldest first, where action is 'proposed', 'approved', 'revoked', 'queued',
+   *   'executed' or 'cancelled'; null if the proposal does not exist
+   */
+  async getProposal(proposalId) {
+    await this.sync();
+
+    const row = this.db.prepare('SELECT * FROM proposals WHERE id = ?').get(proposalId);
+    if (!row) {
+      return null;
+    }
+
+    const names = Object.keys(PROPOSAL_ACTIONS);
+    const history = this.db.prepare(`
+      SELECT * FROM events
+      WHERE contract = 'SafeBiteGovernance' AND name IN (${names.map(() => '?').join(', ')})
+        AND json_extract(args, '$.proposalId') = ?
+      ORDER BY block_number, log_index
+    `).all(...names, proposalId).map((event) => {
+      const args = JSON.parse(event.args);
+      return {
+        action: PROPOSAL_ACTIONS[event.name],
+        actor: args.proposer || args.signer || args.executor || null,
+        blockNumber: event.block_number,
+        timestamp: event.block_timestamp,
+        transactionHash: event.transaction_hash
+      };
+    });
+
+    return { ...this.formatProposal(row, this.getChainTime()), history };
+  }
+
+  /**
+   * List organizations
+   * 
+   * @returns {Promise<Array>} Organizations as { id, name, createdAt, memberCount, admins }, ordered by ID,
+   *   where admins lists the addresses of the organization's admins
+   */
+  async getOrganizations() {
+    await this.sync();
+
+    const admins = this.db.prepare(`
+      SELECT address FROM organization_members WHERE organization_id = ? AND is_admin = 1 ORDER BY address
+    `);
+
+    return this.db.prepare(`
+      SELECT o.*, (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id) AS member_count
+      FROM organizations o ORDER BY o.id
+    `).all().map((row) => ({
+      id: row.id,
+      name: row.name,
+      createdAt: row.created_at,
+      memberCount: row.member_count,
+      admins: admins.all(row.id).map((admin) => admin.address)
+    }));
+  }
+
+  /**
+   * Get an organization with its members
+   * 
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Object|null>} { id, name, createdAt, members } where members are
+   *   { address, isAdmin, roles } ordered by address, or null if the organization does not exist
+   */
+  async getOrganization(organizationId) {
+    await this.sync();
+
+    const row = this.db.prepare('SELECT * FROM organizations WHERE id = ?').get(organizationId);
+    if (!row) {
+      return null;
+    }
+
+    const roles = this.db.prepare('SELECT role FROM roles WHERE address = ? ORDER BY role');
+    const members = this.db.prepare(`
+      SELECT * FROM organization_members WHERE organization_id = ? ORDER BY address
+    `).all(organizationId).map((member) => ({
+      address: member.address,
+      isAdmin: member.is_admin === 1,
+      roles: roles.all(member.address).map((entry) => entry.role)
+    }));
+
+    return { id: row.id, name: row.name, createdAt: row.created_at, members };
+  }
+
+  /**
+   * Get the organization an address belongs to
+   * 
+   * @param {string} address - Account address
+   * @returns {Promise<Object|null>} { organizationId, organizationName, isAdmin }, or null if the address has none
+   */
+  async getAccountOrganization(address) {
+    await this.sync();
+
+    const row = this.db.prepare(`
+      SELECT m.organization_id, m.is_admin, o.name FROM organization_members m
+      JOIN organizations o ON o.id = m.organization_id
+      WHERE m.address = ?
+    `).get(normalizeAddress(address));
+    return row ? { organizationId: row.organization_id, organizationName: row.name, isAdmin: row.is_admin === 1 } : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new IndexerService();
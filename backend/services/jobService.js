@@ -0,0 +1,203 @@
+/**
+ * Job Service
+ * Queues write transactions per signer and tracks them as jobs
+ * 
+ * Every write endpoint submits its contract call as a job. Jobs for the same signer run
+ * one at a time, so concurrent requests never race on the signer's nonce, while jobs for
+ * different signers run side by side. Each job records the transaction it sent, its
+ * receipt or decoded revert reason, and the result returned to the caller, so clients
+ * that do not want to hold a connection open can poll GET /api/jobs/:id instead.
+ * 
+ * Jobs are kept in memory; the most recent JOB_HISTORY_LIMIT finished jobs are retained.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseContractError, decodeContractError, isContractRevert, getRevertReason } = require('../utils/errors');
+
+// Job status values reported by GET /api/jobs/:id
+const JOB_STATUS = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  REVERTED: 'reverted',
+  FAILED: 'failed'
+};
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    // Tail of each signer's queue, keyed by lowercase address
+    this.queues = new Map();
+    // Job whose task is currently running, so the contract service can report its transactions
+    this.context = new AsyncLocalStorage();
+    this.historyLimit = parseInt(process.env.JOB_HISTORY_LIMIT || '1000');
+  }
+
+  /**
+   * Queue a task for a signer
+   * 
+   * @param {string} signerAddress - Account whose nonce the task uses
+   * @param {string} type - Job type, e.g. 'registerProduct'
+   * @param {Function} task - Async function sending the transaction(s) and returning the result
+   * @returns {Object} Job record; job.promise resolves with the task result or rejects with its error
+   * 
+   * The task starts once every earlier job for the same signer has finished.
+   */
+  submit(signerAddress, type, task) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      signerAddress,
+      status: JOB_STATUS.PENDING,
+      transactionHash: null,
+      attempts: 0,
+      blockNumber: null,
+      gasUsed: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const key = signerAddress.toLowerCase();
+    const previous = this.queues.get(key) || Promise.resolve();
+    job.promise = previous
+      .then(() => this.context.run(job, task))
+      .then(
+        (result) => {
+          this.complete(job, result);
+          return result;
+        },
+        (error) => {
+          this.fail(job, error);
+          throw error;
+        }
+      );
+
+    // Failures are recorded on the job; callers that wait for it still see the rejection
+    const tail = job.promise.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    });
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    return job;
+  }
+
+  /**
+   * Record a transaction sent by the running job
+   * Called by the contract service for every broadcast, including rebroadcasts
+   * 
+   * @param {string} transactionHash - Hash of the sent transaction
+   */
+  recordTransaction(transactionHash) {
+    const job = this.context.getStore();
+    if (!job) {
+      return;
+    }
+
+    job.transactionHash = transactionHash;
+    job.attempts += 1;
+    job.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark a job as mined
+   * 
+   * @param {Object} job - Job record
+   * @param {Object} result - Task result (transactionHash, blockNumber, gasUsed, ...)
+   */
+  complete(job, result) {
+    job.status = JOB_STATUS.MINED;
+    job.result = result || null;
+    if (result) {
+      job.transactionHash = result.transactionHash || job.transactionHash;
+      job.blockNumber = result.blockNumber ?? null;
+      job.gasUsed = result.gasUsed ?? null;
+    }
+    job.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark a job as reverted or failed
+   * 
+   * @param {Object} job - Job record
+   * @param {Error} error - Error thrown by the task
+   * 
+   * Contract reverts, whether at gas estimation or in a mined transaction, are reported as
+   * reverted with the revert reason, and custom errors with their code and parameters; anything
+   * else (network errors, dropped transactions, rejected signed requests) as failed.
+   */
+  fail(job, error) {
+    job.status = isContractRevert(error) ? JOB_STATUS.REVERTED : JOB_STATUS.FAILED;
+    const decoded = decodeContractError(error);
+    job.error = {
+      message: parseContractError(error),
+      reason: getRevertReason(error),
+      code: decoded ? decoded.code : error.code || null,
+      params: decoded ? decoded.params : null
+    };
+    job.updatedAt = Date.now();
+  }
+
+  /**
+   * Get a job
+   * 
+   * @param {string} id - Job ID
+   * @returns {Object|null} Formatted job, or null if unknown or pruned
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.formatJob(job) : null;
+  }
+
+  /**
+   * Format a job for API responses
+   * 
+   * @param {Object} job - Job record
+   * @returns {Object} Job without its internal promise, timestamps as ISO strings
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      signerAddress: job.signerAddress,
+      status: job.status,
+      transactionHash: job.transactionHash,
+      attempts: job.attempts,
+      blockNumber: job.blockNumber,
+      gasUsed: job.gasUsed,
+      result: job.result,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   * Pending jobs are always kept
+   */
+  prune() {
+    if (this.jobs.size <= this.historyLimit) {
+      return;
+    }
+
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.historyLimit) {
+        break;
+      }
+      if (job.status !== JOB_STATUS.PENDING) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobService();
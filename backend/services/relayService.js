@@ -0,0 +1,383 @@
+/**
+ * Relay Service
+ * Verifies EIP-712 signed requests and relays them through the SafeBiteForwarder contract
+ * 
+ * Stakeholders sign typed data in their wallet instead of sending transactions themselves.
+ * The backend checks each signature, then submits it from a single funded relayer wallet
+ * (RELAYER_PRIVATE_KEY), so it never needs unlocked accounts on the node. The forwarder
+ * checks the signature again on-chain and the supply chain contract attributes the action
+ * to the signer.
+ */
+
+const { ethers } = require('ethers');
+const contractService = require('./contractService');
+
+// EIP-712 domain name and version, matching SafeBiteForwarder
+const DOMAIN_NAME = 'SafeBite';
+const DOMAIN_VERSION = '1';
+
+// EIP-712 types for each relayable action; field order must match the forwarder's type strings
+const TYPES = {
+  RegisterProduct: [
+    { name: 'signer', type: 'address' },
+    { name: 'name', type: 'string' },
+    { name: 'batchId', type: 'string' },
+    { name: 'origin', type: 'string' },
+    { name: 'metadataHash', type: 'string' },
+    { name: 'productionDate', type: 'uint256' },
+    { name: 'bestBeforeDate', type: 'uint256' },
+    { name: 'useByDate', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TransferOwnership: [
+    { name: 'signer', type: 'address' },
+    { name: 'productId', type: 'uint256' },
+    { name: 'to', type: 'address' },
+    { name: 'shipmentDetails', type: 'string' },
+    { name: 'timeout', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  AcceptTransfer: [
+    { name: 'signer', type: 'address' },
+    { name: 'productId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RejectTransfer: [
+    { name: 'signer', type: 'address' },
+    { name: 'productId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  QualityCheck: [
+    { name: 'signer', type: 'address' },
+    { name: 'productId', type: 'uint256' },
+    { name: 'qualityScore', type: 'uint8' },
+    { name: 'notes', type: 'string' },
+    { name: 'certificateHash', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  ComplianceCheck: [
+    { name: 'signer', type: 'address' },
+    { name: 'productId', type: 'uint256' },
+    { name: 'compliant', type: 'bool' },
+    { name: 'notes', type: 'string' },
+    { name: 'certificateHash', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Forwarder function that relays each request type
+const FORWARDER_METHODS = {
+  RegisterProduct: 'registerProduct',
+  TransferOwnership: 'transferOwnership',
+  AcceptTransfer: 'acceptTransfer',
+  RejectTransfer: 'rejectTransfer',
+  QualityCheck: 'performQualityCheck',
+  ComplianceCheck: 'checkCompliance'
+};
+
+/**
+ * Create an error for a rejected signed request
+ * 
+ * @param {string} message - Error message
+ * @param {string} code - Error code (VALIDATION_ERROR, INVALID_SIGNATURE, REQUEST_EXPIRED, INVALID_NONCE, RELAY_UNAVAILABLE)
+ * @param {number} status - HTTP status controllers should respond with
+ * @returns {Error} Error with code and status set
+ */
+function relayError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+class RelayService {
+  constructor() {
+    this.relayer = null;
+    // Relayed transactions are sent one at a time so the relayer's nonces never collide
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get the relayer wallet, creating it on first use
+   * 
+   * @returns {ethers.Wallet} Wallet connected to the contract service provider
+   * @throws {Error} RELAY_UNAVAILABLE if RELAYER_PRIVATE_KEY is not set
+   */
+  getRelayer() {
+    if (!contractService.provider || !contractService.forwarderContract) {
+      throw new Error('Contract service not initialized');
+    }
+
+    if (!this.relayer) {
+      if (!process.env.RELAYER_PRIVATE_KEY) {
+        throw relayError('Relaying is not configured: set RELAYER_PRIVATE_KEY', 'RELAY_UNAVAILABLE', 503);
+      }
+      this.relayer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, contractService.provider);
+    }
+    return this.relayer;
+  }
+
+  /**
+   * Get the EIP-712 domain requests are signed under
+   * 
+   * @returns {Object} { name, version, chainId, verifyingContract }
+   */
+  getDomain() {
+    if (!contractService.contractAddresses) {
+      throw new Error('Contract service not initialized');
+    }
+
+    return {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: contractService.chainId,
+      verifyingContract: contractService.contractAddresses.forwarder
+    };
+  }
+
+  /**
+   * Get the nonce an address must sign its next request with
+   * 
+   * @param {string} address - Signer address
+   * @returns {Promise<number>} Current forwarder nonce
+   */
+  async getNonce(address) {
+    if (!contractService.forwarderContract) {
+      throw new Error('Contract service not initialized');
+    }
+
+    return Number(await contractService.forwarderContract.nonces(address));
+  }
+
+  /**
+   * Get everything a client needs to sign a request
+   * 
+   * @param {string} address - Signer address
+   * @returns {Promise<Object>} { relayer, domain, types, nonce }
+   */
+  async getRelayInfo(address) {
+    return {
+      relayer: this.getRelayer().address,
+      domain: this.getDomain(),
+      types: TYPES,
+      nonce: await this.getNonce(address)
+    };
+  }
+
+  /**
+   * Verify a signed request before relaying it
+   * 
+   * @param {string} type - Request type (RegisterProduct, TransferOwnership, AcceptTransfer, RejectTransfer,
+   *   QualityCheck, ComplianceCheck)
+   * @param {Object} request - Request fields, including signer, nonce and deadline
+   * @param {string} signature - EIP-712 signature from the signer
+   * @throws {Error} VALIDATION_ERROR (400) if nonce or deadline is malformed, REQUEST_EXPIRED (400)
+   *   if the deadline has passed, INVALID_SIGNATURE (401) if the signature does not recover to
+   *   the signer, INVALID_NONCE (400) if the nonce is not the signer's current nonce
+   */
+  async verifyRequest(type, request, signature) {
+    for (const field of ['nonce', 'deadline']) {
+      if (!Number.isInteger(request[field]) || request[field] < 0) {
+        throw relayError(`${field} must be a non-negative integer`, 'VALIDATION_ERROR', 400);
+      }
+    }
+    if (typeof signature !== 'string' || !ethers.isHexString(signature, 65)) {
+      throw relayError('Invalid request signature', 'INVALID_SIGNATURE', 401);
+    }
+    if (Number(request.deadline) < Math.floor(Date.now() / 1000)) {
+      throw relayError('Signed request has expired', 'REQUEST_EXPIRED', 400);
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(this.getDomain(), { [type]: TYPES[type] }, request, signature);
+    } catch (error) {
+      throw relayError('Invalid request signature', 'INVALID_SIGNATURE', 401);
+    }
+    if (recovered.toLowerCase() !== request.signer.toLowerCase()) {
+      throw relayError('Invalid request signature', 'INVALID_SIGNATURE', 401);
+    }
+
+    const nonce = await this.getNonce(request.signer);
+    if (Number(request.nonce) !== nonce) {
+      throw relayError(`Invalid nonce: expected ${nonce}`, 'INVALID_NONCE', 400);
+    }
+  }
+
+  /**
+   * Verify a signed request and submit it to the forwarder from the relayer wallet
+   * 
+   * @param {string} type - Request type
+   * @param {Object} request - Request fields
+   * @param {string} signature - EIP-712 signature from the signer
+   * @returns {Promise<Object>} Mined transaction receipt
+   */
+  async relay(type, request, signature) {
+    const relayer = this.getRelayer();
+    await this.verifyRequest(type, request, signature);
+
+    const forwarder = contractService.forwarderContract.connect(relayer);
+    const run = this.queue.then(async () => {
+      const tx = await forwarder[FORWARDER_METHODS[type]](request, signature);
+      return contractService.waitForReceipt(tx, relayer);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Relay a signed product registration
+   * 
+   * @param {Object} request - RegisterProduct fields
+   * @param {string} signature - EIP-712 signature from the producer
+   * @returns {Promise<Object>} { transactionHash, productId, blockNumber, gasUsed }
+   */
+  async registerProduct(request, signature) {
+    try {
+      const receipt = await this.relay('RegisterProduct', request, signature);
+
+      let productId = null;
+      for (const log of receipt.logs) {
+        try {
+          const parsedLog = contractService.supplyChainContract.interface.parseLog(log);
+          if (parsedLog && parsedLog.name === 'ProductRegistered') {
+            productId = Number(parsedLog.args.productId);
+            break;
+          }
+        } catch (e) {
+          // Not the event we're looking for, continue
+        }
+      }
+
+      return {
+        ...this.formatReceipt(receipt),
+        productId
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to register product');
+    }
+  }
+
+  /**
+   * Relay a signed transfer
+   * 
+   * @param {Object} request - TransferOwnership fields
+   * @param {string} signature - EIP-712 signature from the current owner
+   * @returns {Promise<Object>} { transactionHash, blockNumber, gasUsed }
+   */
+  async transferOwnership(request, signature) {
+    try {
+      return this.formatReceipt(await this.relay('TransferOwnership', request, signature));
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to transfer ownership');
+    }
+  }
+
+  /**
+   * Relay a signed transfer acceptance
+   * 
+   * @param {Object} request - AcceptTransfer fields
+   * @param {string} signature - EIP-712 signature from the recipient
+   * @returns {Promise<Object>} { transactionHash, blockNumber, gasUsed }
+   */
+  async acceptTransfer(request, signature) {
+    try {
+      return this.formatReceipt(await this.relay('AcceptTransfer', request, signature));
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to accept transfer');
+    }
+  }
+
+  /**
+   * Relay a signed transfer rejection
+   * 
+   * @param {Object} request - RejectTransfer fields
+   * @param {string} signature - EIP-712 signature from the recipient
+   * @returns {Promise<Object>} { transactionHash, blockNumber, gasUsed }
+   */
+  async rejectTransfer(request, signature) {
+    try {
+      return this.formatReceipt(await this.relay('RejectTransfer', request, signature));
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to reject transfer');
+    }
+  }
+
+  /**
+   * Relay a signed quality check
+   * 
+   * @param {Object} request - QualityCheck fields; certificateHash is the certificate hash to record
+   * @param {string} signature - EIP-712 signature from the retailer or regulator
+   * @returns {Promise<Object>} { transactionHash, blockNumber, gasUsed, isAuthentic }
+   */
+  async performQualityCheck(request, signature) {
+    try {
+      const receipt = await this.relay('QualityCheck', request, signature);
+
+      return {
+        ...this.formatReceipt(receipt),
+        isAuthentic: await contractService.isProductAuthentic(request.productId)
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to perform quality check');
+    }
+  }
+
+  /**
+   * Relay a signed compliance check
+   * 
+   * @param {Object} request - ComplianceCheck fields; certificateHash is the certificate hash to record
+   * @param {string} signature - EIP-712 signature from the regulator
+   * @returns {Promise<Object>} { transactionHash, blockNumber, gasUsed, isAuthentic }
+   */
+  async checkCompliance(request, signature) {
+    try {
+      const receipt = await this.relay('ComplianceCheck', request, signature);
+
+      return {
+        ...this.formatReceipt(receipt),
+        isAuthentic: await contractService.isProductAuthentic(request.productId)
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to check compliance');
+    }
+  }
+
+  /**
+   * Format a relayed transaction receipt
+   * 
+   * @param {Object} receipt - Mined transaction receipt
+   * @returns {Object} { transactionHash, blockNumber, gasUsed }
+   */
+  formatReceipt(receipt) {
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
+  /**
+   * Prefix a relay failure with the action, keeping the code and status of rejected requests
+   * and the original error as the cause, so contract reverts can still be decoded
+   * 
+   * @param {Error} error - Original error
+   * @param {string} action - Description of the failed action
+   * @returns {Error} Error to throw
+   */
+  wrapError(error, action) {
+    if (error.status) {
+      return error;
+    }
+    return new Error(`${action}: ${error.message}`, { cause: error });
+  }
+}
+
+// Export singleton instance
+module.exports = new RelayService();
@@ -0,0 +1,183 @@
+/**
+ * Temperature Log Service
+ * Parses cold-chain logger uploads and stores raw reading batches
+ * 
+ * Loggers upload readings as CSV or JSON. Single readings are recorded on-chain
+ * individually; larger uploads are anchored on-chain as a hashed batch summary
+ * while the raw readings are kept here so they can be charted and re-verified.
+ * On-chain temperatures are in tenths of a degree Celsius; API values are in °C.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { parseTimestamp } = require('../utils/helpers');
+
+// int16 bounds for on-chain temperatures in tenths of °C
+const MIN_TENTHS = -32768;
+const MAX_TENTHS = 32767;
+
+class TemperatureLogService {
+  constructor() {
+    this.dataDir = process.env.COLD_CHAIN_DATA_DIR || path.join(__dirname, '../data/coldchain');
+  }
+
+  /**
+   * Parse logger readings from a JSON array or CSV text
+   * 
+   * @param {Object} input - Upload payload
+   * @param {Array<Object>} input.readings - Readings as [{ timestamp, temperature }]
+   * @param {string} input.csv - CSV text with timestamp,temperature rows (header optional)
+   * @returns {Array<Object>} Readings as [{ timestamp, temperature }] sorted by timestamp,
+   *   with timestamp in Unix seconds and temperature in tenths of °C
+   * @throws {Error} If no readings are provided or a reading is invalid
+   * 
+   * Timestamps may be Unix seconds or ISO-8601 strings. Temperatures are °C.
+   */
+  parseReadings({ readings, csv }) {
+    let rows;
+    if (Array.isArray(readings)) {
+      rows = readings.map((reading) => [reading.timestamp, reading.temperature]);
+    } else if (typeof csv === 'string') {
+      rows = csv
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0)
+        .map((line) => line.split(',').map((cell) => cell.trim()));
+      // Skip header row
+      if (rows.length > 0 && isNaN(parseFloat(rows[0][1]))) {
+        rows.shift();
+      }
+    } else {
+      throw new Error('Provide readings as a JSON array or CSV text');
+    }
+
+    if (rows.length === 0) {
+      throw new Error('No readings provided');
+    }
+
+    const parsed = rows.map(([timestamp, temperature], index) => {
+      const seconds = parseTimestamp(timestamp);
+      const celsius = typeof temperature === 'number' ? temperature : parseFloat(temperature);
+      if (seconds === null) {
+        throw new Error(`Invalid timestamp in reading ${index + 1}`);
+      }
+      if (!Number.isFinite(celsius)) {
+        throw new Error(`Invalid temperature in reading ${index + 1}`);
+      }
+      const tenths = this.toTenths(celsius);
+      if (tenths < MIN_TENTHS || tenths > MAX_TENTHS) {
+        throw new Error(`Temperature out of range in reading ${index + 1}`);
+      }
+      return { timestamp: seconds, temperature: tenths };
+    });
+
+    return parsed.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Convert °C to tenths of °C as stored on-chain
+   * @param {number} celsius - Temperature in °C
+   * @returns {number} Temperature in tenths of °C
+   */
+  toTenths(celsius) {
+    return Math.round(celsius * 10);
+  }
+
+  /**
+   * Convert tenths of °C as stored on-chain to °C
+   * @param {number|bigint} tenths - Temperature in tenths of °C
+   * @returns {number} Temperature in °C
+   */
+  toCelsius(tenths) {
+    return Number(tenths) / 10;
+  }
+
+  /**
+   * Summarize a batch of readings against a product's cold-chain limits
+   * 
+   * @param {Array<Object>} readings - Parsed readings sorted by timestamp
+   * @param {Object} requirement - Limits with minTemperature and maxTemperature in tenths of °C
+   * @returns {Object} { readingCount, startTime, endTime, minTemperature, maxTemperature, excursionMinutes }
+   * 
+   * excursionMinutes is the longest run of consecutive out-of-range readings, measured from
+   * the first to the last reading of the run, matching how the contract times single readings.
+   */
+  summarize(readings, requirement) {
+    let minTemperature = readings[0].temperature;
+    let maxTemperature = readings[0].temperature;
+    let excursionStart = null;
+    let longestExcursion = 0;
+
+    for (const reading of readings) {
+      minTemperature = Math.min(minTemperature, reading.temperature);
+      maxTemperature = Math.max(maxTemperature, reading.temperature);
+
+      const inRange = reading.temperature >= requirement.minTemperature &&
+        reading.temperature <= requirement.maxTemperature;
+      if (inRange) {
+        excursionStart = null;
+        continue;
+      }
+      if (excursionStart === null) {
+        excursionStart = reading.timestamp;
+      }
+      longestExcursion = Math.max(longestExcursion, reading.timestamp - excursionStart);
+    }
+
+    return {
+      readingCount: readings.length,
+      startTime: readings[0].timestamp,
+      endTime: readings[readings.length - 1].timestamp,
+      minTemperature,
+      maxTemperature,
+      excursionMinutes: Math.floor(longestExcursion / 60)
+    };
+  }
+
+  /**
+   * Hash a batch of readings
+   * 
+   * @param {Array<Object>} readings - Parsed readings sorted by timestamp
+   * @returns {string} keccak256 hash (hex string with 0x prefix)
+   * 
+   * Hashes the canonical JSON form [[timestamp, temperature], ...] so anyone holding
+   * the raw readings can recompute the hash anchored on-chain.
+   */
+  hashReadings(readings) {
+    const canonical = JSON.stringify(readings.map((r) => [r.timestamp, r.temperature]));
+    return ethers.keccak256(ethers.toUtf8Bytes(canonical));
+  }
+
+  /**
+   * Store the raw readings of a batch
+   * 
+   * @param {number} productId - Product ID
+   * @param {string} dataHash - Hash anchored on-chain
+   * @param {Array<Object>} readings - Parsed readings sorted by timestamp
+   */
+  saveBatch(productId, dataHash, readings) {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const file = path.join(this.dataDir, `${dataHash}.json`);
+    fs.writeFileSync(file, JSON.stringify({ productId, dataHash, readings }));
+  }
+
+  /**
+   * Load the raw readings of a batch
+   * 
+   * @param {string} dataHash - Hash anchored on-chain
+   * @returns {Array<Object>|null} Readings if stored and matching the hash, otherwise null
+   */
+  loadBatch(dataHash) {
+    const file = path.join(this.dataDir, `${dataHash}.json`);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    const { readings } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return this.hashReadings(readings) === dataHash ? readings : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new TemperatureLogService();
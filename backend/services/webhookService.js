@@ -0,0 +1,576 @@
+/**
+ * Webhook Service
+ * Delivers supply-chain events to integrators' HTTP endpoints
+ * 
+ * Integrators register a URL, the event types they want and optional address, batch
+ * and producer filters. Every event the indexer commits is matched against the active
+ * webhooks and queued as a delivery in a local SQLite store, so pending deliveries
+ * survive restarts. Deliveries are POSTed as JSON signed with the webhook's secret
+ * (HMAC-SHA256) and retried with exponential backoff until they succeed or run out of
+ * attempts; every delivery and its last outcome is kept as the webhook's delivery log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const indexerService = require('./indexerService');
+const { isValidAddress } = require('../utils/helpers');
+
+// Events webhooks can subscribe to, by contract
+const WEBHOOK_EVENTS = {
+  SafeBiteSupplyChain: [
+    'ProductRegistered',
+    'TransferInitiated',
+    'TransferRejected',
+    'TransferCancelled',
+    'OwnershipTransferred',
+    'StatusUpdated',
+    'ProductVerified',
+    'ComplianceChecked'
+  ],
+  SafeBiteRecalls: ['ProductRecalled'],
+  SafeBiteColdChain: ['ColdChainBreach'],
+  SafeBiteCertificates: ['CertificateIssued', 'CertificateRevoked']
+};
+
+// Delivery status values
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    address TEXT,
+    batch_id TEXT,
+    producer TEXT,
+    description TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active INTEGER NOT NULL,
+    start_block INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhooks_owner ON webhooks (owner);
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL,
+    next_attempt_at INTEGER,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    UNIQUE (webhook_id, event_id)
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS deliveries_webhook ON deliveries (webhook_id, created_at);
+`;
+
+/**
+ * Sign a delivery body
+ * 
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent in X-SafeBite-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookService {
+  constructor() {
+    this.dbPath = process.env.WEBHOOK_DB_PATH || path.join(__dirname, '../data/webhooks.sqlite');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000');
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '1000');
+    this.db = null;
+    this.timer = null;
+    this.processing = null;
+    indexerService.on('events', (events) => {
+      try {
+        this.enqueue(events);
+      } catch (error) {
+        console.error('Webhook enqueue failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Get the names of the events webhooks can subscribe to
+   * 
+   * @returns {Array<string>} Event names
+   */
+  getEventNames() {
+    return Object.values(WEBHOOK_EVENTS).flat();
+  }
+
+  /**
+   * Start sending due deliveries every WEBHOOK_POLL_INTERVAL_MS
+   */
+  start() {
+    this.open();
+    this.timer = setInterval(() => {
+      this.processDueDeliveries().catch((error) => console.error('Webhook delivery failed:', error.message));
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sending deliveries and close the store
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Open the store, creating the schema on first use
+   */
+  open() {
+    if (this.db) {
+      return;
+    }
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    this.db = db;
+  }
+
+  /**
+   * Register a webhook
+   * 
+   * @param {string} owner - Signed-in address that owns the webhook
+   * @param {Object} data - { url, events, filters: { address, batchId, producer }, description }
+   * @returns {Promise<Object>} { webhook, secret }; the secret is only returned here and on rotation
+   * 
+   * Only events mined after registration are delivered.
+   */
+  async createWebhook(owner, { url, events, filters = {}, description = '' }) {
+    this.open();
+    const id = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const startBlock = await indexerService.sync();
+    const now = Date.now();
+
+    this.db.prepare(`
+      INSERT INTO webhooks (id, owner, url, events, address, batch_id, producer, description, secret, active, start_block, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+    `).run(
+      id,
+      owner.toLowerCase(),
+      url,
+      JSON.stringify(events),
+      filters.address ? filters.address.toLowerCase() : null,
+      filters.batchId || null,
+      filters.producer ? filters.producer.toLowerCase() : null,
+      description,
+      secret,
+      startBlock,
+      now,
+      now
+    );
+
+    return { webhook: this.getWebhook(owner, id), secret };
+  }
+
+  /**
+   * List an owner's webhooks
+   * 
+   * @param {string} owner - Owner address
+   * @returns {Array<Object>} Webhooks, oldest first
+   */
+  listWebhooks(owner) {
+    this.open();
+    return this.db.prepare('SELECT * FROM webhooks WHERE owner = ? ORDER BY created_at')
+      .all(owner.toLowerCase())
+      .map((row) => this.formatWebhook(row));
+  }
+
+  /**
+   * Get one of an owner's webhooks
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @returns {Object|null} Webhook, or null if it does not exist or belongs to someone else
+   */
+  getWebhook(owner, id) {
+    const row = this.getWebhookRow(owner, id);
+    return row ? this.formatWebhook(row) : null;
+  }
+
+  /**
+   * Update one of an owner's webhooks
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @param {Object} changes - Any of { url, events, filters, description, active }
+   * @returns {Object|null} Updated webhook, or null if not found
+   * 
+   * filters replaces all three filters at once.
+   */
+  updateWebhook(owner, id, changes) {
+    const row = this.getWebhookRow(owner, id);
+    if (!row) {
+      return null;
+    }
+
+    const filters = changes.filters !== undefined
+      ? changes.filters
+      : { address: row.address, batchId: row.batch_id, producer: row.producer };
+
+    this.db.prepare(`
+      UPDATE webhooks SET url = ?, events = ?, address = ?, batch_id = ?, producer = ?, description = ?, active = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      changes.url !== undefined ? changes.url : row.url,
+      changes.events !== undefined ? JSON.stringify(changes.events) : row.events,
+      filters.address ? filters.address.toLowerCase() : null,
+      filters.batchId || null,
+      filters.producer ? filters.producer.toLowerCase() : null,
+      changes.description !== undefined ? changes.description : row.description,
+      changes.active !== undefined ? (changes.active ? 1 : 0) : row.active,
+      Date.now(),
+      id
+    );
+
+    return this.getWebhook(owner, id);
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @returns {string|null} New secret, or null if not found
+   * 
+   * Pending retries are signed with the new secret.
+   */
+  rotateSecret(owner, id) {
+    if (!this.getWebhookRow(owner, id)) {
+      return null;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    this.db.prepare('UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?').run(secret, Date.now(), id);
+    return secret;
+  }
+
+  /**
+   * Delete one of an owner's webhooks and its delivery log
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @returns {boolean} True if the webhook was deleted
+   */
+  deleteWebhook(owner, id) {
+    if (!this.getWebhookRow(owner, id)) {
+      return false;
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM deliveries WHERE webhook_id = ?').run(id);
+      this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+    })();
+    return true;
+  }
+
+  /**
+   * Get a webhook's delivery log
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @param {number} limit - Maximum number of deliveries to return
+   * @returns {Array<Object>|null} Deliveries, newest first, or null if the webhook is not found
+   */
+  getDeliveries(owner, id, limit) {
+    if (!this.getWebhookRow(owner, id)) {
+      return null;
+    }
+
+    return this.db.prepare('SELECT * FROM deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+      .all(id, limit)
+      .map((row) => this.formatDelivery(row));
+  }
+
+  /**
+   * Queue deliveries for newly indexed events
+   * 
+   * @param {Array<Object>} events - Events emitted by the indexer
+   * 
+   * Events already queued for a webhook (e.g. re-emitted after a reindex) are skipped.
+   */
+  enqueue(events) {
+    this.open();
+    const webhooks = this.db.prepare('SELECT * FROM webhooks WHERE active = 1').all();
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO deliveries (id, webhook_id, event, event_id, payload, status, attempts, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+    `);
+    const now = Date.now();
+    let queued = 0;
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        if (!(WEBHOOK_EVENTS[event.contract] || []).includes(event.name)) {
+          continue;
+        }
+        const payload = this.buildPayload(event);
+        for (const webhook of webhooks) {
+          if (event.blockNumber > webhook.start_block && this.matches(webhook, payload)) {
+            queued += insert.run(
+              crypto.randomUUID(),
+              webhook.id,
+              event.name,
+              payload.id,
+              JSON.stringify(payload),
+              DELIVERY_STATUS.PENDING,
+              now,
+              now,
+              now
+            ).changes;
+          }
+        }
+      }
+    })();
+
+    if (queued > 0) {
+      this.processDueDeliveries().catch((error) => console.error('Webhook delivery failed:', error.message));
+    }
+  }
+
+  /**
+   * Build the JSON body delivered for an event
+   * 
+   * @param {Object} event - Indexed event
+   * @returns {Object} { id, event, productId, batchId, producer, blockNumber, transactionHash, timestamp, args }
+   * 
+   * batchId and producer come from the event itself or, for product events, from the indexed product.
+   */
+  buildPayload(event) {
+    const productId = event.productId ? Number(event.productId) : null;
+    const origin = productId ? indexerService.getStoredProductOrigin(productId) : null;
+    const eventProducer = event.args.producer && event.args.producer !== ethers.ZeroAddress
+      ? event.args.producer
+      : null;
+
+    return {
+      id: `${event.blockNumber}-${event.logIndex}`,
+      event: event.name,
+      productId,
+      batchId: event.args.batchId || (origin ? origin.batchId : null),
+      producer: eventProducer || (origin ? origin.producer : null),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: event.blockTimestamp,
+      args: event.args
+    };
+  }
+
+  /**
+   * Check whether a payload passes a webhook's event types and filters
+   * 
+   * @param {Object} webhook - Stored webhook row
+   * @param {Object} payload - Payload from buildPayload()
+   * @returns {boolean} True if the event type is subscribed and every set filter matches
+   */
+  matches(webhook, payload) {
+    if (!JSON.parse(webhook.events).includes(payload.event)) {
+      return false;
+    }
+    if (webhook.batch_id && payload.batchId !== webhook.batch_id) {
+      return false;
+    }
+    if (webhook.producer && (!payload.producer || payload.producer.toLowerCase() !== webhook.producer)) {
+      return false;
+    }
+    if (webhook.address) {
+      const addresses = Object.values(payload.args)
+        .filter((value) => typeof value === 'string' && isValidAddress(value))
+        .map((value) => value.toLowerCase());
+      if (!addresses.includes(webhook.address)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Send every delivery whose next attempt is due
+   * 
+   * @returns {Promise<void>} Resolves once the due deliveries have been attempted
+   * 
+   * Calls made while a run is in progress wait for it and then run once more,
+   * so deliveries queued in the meantime are picked up.
+   */
+  processDueDeliveries() {
+    const previous = this.processing || Promise.resolve();
+    const run = previous.then(() => this.sendDue());
+    const tail = run.catch(() => {}).then(() => {
+      if (this.processing === tail) {
+        this.processing = null;
+      }
+    });
+    this.processing = tail;
+    return run;
+  }
+
+  /**
+   * Attempt all due deliveries once
+   */
+  async sendDue() {
+    this.open();
+    const due = this.db.prepare(`
+      SELECT deliveries.*, webhooks.url, webhooks.secret FROM deliveries
+      JOIN webhooks ON webhooks.id = deliveries.webhook_id
+      WHERE deliveries.status = ? AND deliveries.next_attempt_at <= ?
+      ORDER BY deliveries.created_at, deliveries.rowid
+    `).all(DELIVERY_STATUS.PENDING, Date.now());
+
+    for (const delivery of due) {
+      await this.attempt(delivery);
+    }
+  }
+
+  /**
+   * POST a delivery and record the outcome
+   * 
+   * @param {Object} delivery - Delivery row joined with its webhook's url and secret
+   * 
+   * Any 2xx response counts as delivered. Otherwise the next attempt is scheduled after
+   * WEBHOOK_RETRY_BASE_MS, doubling each time, until WEBHOOK_MAX_ATTEMPTS is reached.
+   */
+  async attempt(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SafeBite-Webhooks/1.0',
+          'X-SafeBite-Event': delivery.event,
+          'X-SafeBite-Delivery': delivery.id,
+          'X-SafeBite-Timestamp': String(timestamp),
+          'X-SafeBite-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+    let status = DELIVERY_STATUS.SUCCEEDED;
+    let nextAttemptAt = null;
+    if (error) {
+      status = attempts >= this.maxAttempts ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING;
+      nextAttemptAt = status === DELIVERY_STATUS.PENDING
+        ? now + this.retryBaseDelay * 2 ** (attempts - 1)
+        : null;
+    }
+
+    this.db.prepare(`
+      UPDATE deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, delivered_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(status, attempts, nextAttemptAt, statusCode, error, error ? null : now, now, delivery.id);
+  }
+
+  /**
+   * Get a webhook row if it belongs to the owner
+   * 
+   * @param {string} owner - Owner address
+   * @param {string} id - Webhook ID
+   * @returns {Object|undefined} Stored row
+   */
+  getWebhookRow(owner, id) {
+    this.open();
+    return this.db.prepare('SELECT * FROM webhooks WHERE id = ? AND owner = ?').get(id, owner.toLowerCase());
+  }
+
+  /**
+   * Format a webhook for API responses
+   * 
+   * @param {Object} row - Stored row
+   * @returns {Object} Webhook without its secret
+   */
+  formatWebhook(row) {
+    return {
+      id: row.id,
+      owner: row.owner,
+      url: row.url,
+      events: JSON.parse(row.events),
+      filters: {
+        address: row.address,
+        batchId: row.batch_id,
+        producer: row.producer
+      },
+      description: row.description,
+      active: row.active === 1,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  /**
+   * Format a delivery for API responses
+   * 
+   * @param {Object} row - Stored row
+   * @returns {Object} Delivery with its payload and last outcome
+   */
+  formatDelivery(row) {
+    const toIso = (millis) => (millis ? new Date(millis).toISOString() : null);
+    return {
+      id: row.id,
+      event: row.event,
+      eventId: row.event_id,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      nextAttemptAt: toIso(row.next_attempt_at),
+      deliveredAt: toIso(row.delivered_at),
+      createdAt: toIso(row.created_at),
+      payload: JSON.parse(row.payload)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
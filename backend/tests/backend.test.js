@@ -3,11 +3,23 @@
  * Tests for SafeBite backend API endpoints and services
  */
 
+// Hardhat account #19 relays signed requests unless another relayer is configured
+process.env.RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY || '0xdf57089febbacf7ba0bc227dafbffa9fc08a93fdc68e1e42411a14efcf23656e';
+
 const request = require('supertest');
 const app = require('../server');
 const contractService = require('../services/contractService');
+const indexerService = require('../services/indexerService');
+const authService = require('../services/authService');
+const eventStreamService = require('../services/eventStreamService');
+const webhookService = require('../services/webhookService');
+const { createEchoReceiver, verifySignature } = require('./webhookEchoReceiver');
 const qrService = require('../services/qrService');
-const { isValidAddress, isValidProductId } = require('../utils/helpers');
+const { isValidAddress, isValidProductId, loadContractABI } = require('../utils/helpers');
+const { formatError, decodeContractError, getErrorStatus } = require('../utils/errors');
+const http = require('http');
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
 
 // Test configuration
 const TEST_PRODUCT_ID = 1;
@@ -15,6 +27,59 @@ const TEST_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
 const INVALID_ADDRESS = '0x123';
 const INVALID_PRODUCT_ID = -1;
 
+// Hardhat account #0, the address every write test signs as
+const TEST_WALLET = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+// Hardhat account #1, for requests from an account that owns nothing
+const OTHER_WALLET = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const SIWE_DOMAIN = 'localhost:5173';
+
+/**
+ * Build and sign a SIWE message for a wallet
+ * @param {ethers.Wallet} wallet - Signing wallet
+ * @param {string} nonce - Nonce issued by /api/auth/nonce
+ * @param {number} chainId - Chain the message is for (defaults to the local Hardhat chain)
+ * @returns {Promise<Object>} { message, signature }
+ */
+async function signSiweMessage(wallet, nonce, chainId = 1337) {
+  const message = new SiweMessage({
+    domain: SIWE_DOMAIN,
+    address: wallet.address,
+    statement: 'Sign in to SafeBite',
+    uri: `http://${SIWE_DOMAIN}`,
+    version: '1',
+    chainId,
+    nonce
+  }).prepareMessage();
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+/**
+ * Sign in with a wallet
+ * @param {ethers.Wallet} wallet - Signing wallet
+ * @returns {Promise<string>} Session token
+ */
+async function signIn(wallet) {
+  const nonceResponse = await request(app).get('/api/auth/nonce');
+  const response = await request(app)
+    .post('/api/auth/verify')
+    .send(await signSiweMessage(wallet, nonceResponse.body.nonce));
+  return response.body.token;
+}
+
+let authToken = null;
+
+/**
+ * Authorization header for write requests signed as TEST_ADDRESS
+ * @returns {Object} Header object for supertest's set()
+ */
+function authHeader() {
+  return { Authorization: `Bearer ${authToken}` };
+}
+
+beforeAll(async () => {
+  authToken = await signIn(TEST_WALLET);
+});
+
 describe('Backend API Tests', () => {
   
   describe('Health Check', () => {
@@ -29,6 +94,104 @@ describe('Backend API Tests', () => {
     });
   });
 
+  describe('Auth API', () => {
+    it('should sign in with a SIWE message and return the session', async () => {
+      const nonceResponse = await request(app)
+        .get('/api/auth/nonce')
+        .expect(200);
+      
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send(await signSiweMessage(TEST_WALLET, nonceResponse.body.nonce))
+        .expect(200);
+      
+      expect(response.body.address).toBe(TEST_ADDRESS);
+      expect(typeof response.body.token).toBe('string');
+      
+      const session = await request(app)
+        .get('/api/auth/session')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+      
+      expect(session.body.address).toBe(TEST_ADDRESS);
+    });
+
+    it('should reject a reused nonce', async () => {
+      const nonceResponse = await request(app).get('/api/auth/nonce');
+      const signed = await signSiweMessage(TEST_WALLET, nonceResponse.body.nonce);
+      
+      await request(app).post('/api/auth/verify').send(signed).expect(200);
+      const response = await request(app).post('/api/auth/verify').send(signed);
+      
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject a signature from another account', async () => {
+      const nonceResponse = await request(app).get('/api/auth/nonce');
+      const { message } = await signSiweMessage(TEST_WALLET, nonceResponse.body.nonce);
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+      
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send({ message, signature });
+      
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject a message for another chain', async () => {
+      const nonceResponse = await request(app).get('/api/auth/nonce');
+      
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send(await signSiweMessage(TEST_WALLET, nonceResponse.body.nonce, 1));
+      
+      expect(response.status).toBe(401);
+      expect(response.body.message).toMatch(/chain 1, expected chain 1337/);
+    });
+
+    it('should only evict the nonces of a client that keeps asking for more', async () => {
+      // Another client's nonce, issued before this one floods the endpoint
+      const otherNonce = authService.createNonce('203.0.113.7');
+      const firstResponse = await request(app).get('/api/auth/nonce').expect(200);
+      for (let i = 0; i < authService.maxNoncesPerClient; i++) {
+        await request(app).get('/api/auth/nonce').expect(200);
+      }
+
+      const evicted = await request(app)
+        .post('/api/auth/verify')
+        .send(await signSiweMessage(TEST_WALLET, firstResponse.body.nonce));
+      expect(evicted.status).toBe(401);
+      expect(evicted.body.message).toMatch(/Invalid or expired nonce/);
+
+      await request(app)
+        .post('/api/auth/verify')
+        .send(await signSiweMessage(OTHER_WALLET, otherNonce))
+        .expect(200);
+    });
+
+    it('should reject write requests without a session', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .send({ signerAddress: TEST_ADDRESS, name: 'Test Product', batchId: 'BATCH001', origin: 'Test Origin' });
+      
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject write requests signed for another account', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({
+          signerAddress: '0x70997970C51812dc3A010C7d01b50e0aa4dC79C8',
+          name: 'Test Product',
+          batchId: 'BATCH001',
+          origin: 'Test Origin'
+        });
+      
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('Product API', () => {
     it('should register a new product', async () => {
       const productData = {
@@ -41,6 +204,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/products/register')
+        .set(authHeader())
         .send(productData)
         .expect(200);
       
@@ -57,6 +221,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/products/register')
+        .set(authHeader())
         .send(productData);
       
       expect(response.status).toBeGreaterThanOrEqual(400);
@@ -105,6 +270,292 @@ describe('Backend API Tests', () => {
       expect(response.body).toHaveProperty('products');
       expect(Array.isArray(response.body.products)).toBe(true);
     });
+
+    it('should register a product with best-before and use-by dates', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({
+          signerAddress: TEST_ADDRESS,
+          name: 'Fresh Milk',
+          batchId: 'BATCH-DATED',
+          origin: 'Test Origin',
+          bestBeforeDate: now + 3 * 86400,
+          useByDate: new Date((now + 5 * 86400) * 1000).toISOString()
+        })
+        .expect(200);
+
+      const productResponse = await request(app)
+        .get(`/api/products/${response.body.productId}`)
+        .expect(200);
+
+      expect(productResponse.body.product.bestBeforeDate).toBe(now + 3 * 86400);
+      expect(productResponse.body.product.useByDate).toBe(now + 5 * 86400);
+      expect(productResponse.body.product.isExpired).toBe(false);
+
+      const expiringResponse = await request(app)
+        .get(`/api/products/expiring?owner=${TEST_ADDRESS}&days=30`)
+        .expect(200);
+
+      const ids = expiringResponse.body.products.map((product) => product.id);
+      expect(ids).toContain(response.body.productId);
+    });
+
+    it('should reject a best-before date after the use-by date', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({
+          signerAddress: TEST_ADDRESS,
+          name: 'Fresh Milk',
+          batchId: 'BATCH-DATED',
+          origin: 'Test Origin',
+          bestBeforeDate: now + 5 * 86400,
+          useByDate: now + 3 * 86400
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an expiring products query without a valid owner', async () => {
+      const response = await request(app)
+        .get(`/api/products/expiring?owner=${INVALID_ADDRESS}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should register a composite product and trace its ingredients', async () => {
+      const inputIds = [];
+      for (const name of ['Bread', 'Cheese']) {
+        const response = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name, batchId: 'BATCH-INPUT', origin: 'Test Origin' })
+          .expect(200);
+        inputIds.push(response.body.productId);
+      }
+
+      const compositeResponse = await request(app)
+        .post('/api/products/composite')
+        .set(authHeader())
+        .send({
+          signerAddress: TEST_ADDRESS,
+          name: 'Sandwich',
+          batchId: 'BATCH-COMPOSITE',
+          origin: 'Test Kitchen',
+          inputs: [
+            { productId: inputIds[0], portion: 10000 },
+            { productId: inputIds[1], portion: 2500 }
+          ]
+        })
+        .expect(200);
+      const sandwichId = compositeResponse.body.productId;
+
+      const provenanceResponse = await request(app)
+        .get(`/api/products/${sandwichId}/provenance`)
+        .expect(200);
+      const ingredients = provenanceResponse.body.provenance.ingredients;
+      expect(ingredients.map((ingredient) => ingredient.productId)).toEqual(inputIds);
+      expect(ingredients[1].portion).toBe(2500);
+
+      const derivedResponse = await request(app)
+        .get(`/api/products/${inputIds[1]}/derived`)
+        .expect(200);
+      expect(derivedResponse.body.affectedProducts.map((product) => product.productId)).toContain(sandwichId);
+
+      const inputResponse = await request(app)
+        .get(`/api/products/${inputIds[0]}`)
+        .expect(200);
+      expect(inputResponse.body.product.consumedPortion).toBe(10000);
+    });
+
+    it('should reject a composite product without inputs', async () => {
+      const response = await request(app)
+        .post('/api/products/composite')
+        .set(authHeader())
+        .send({
+          signerAddress: TEST_ADDRESS,
+          name: 'Sandwich',
+          batchId: 'BATCH-COMPOSITE',
+          origin: 'Test Kitchen',
+          inputs: []
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a composite product listing an input twice or itself', async () => {
+      const registered = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Flour', batchId: 'BATCH-INPUT', origin: 'Test Origin' })
+        .expect(200);
+      const flourId = registered.body.productId;
+      const composite = (inputs) => request(app)
+        .post('/api/products/composite')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Bread', batchId: 'BATCH-COMPOSITE', origin: 'Test Kitchen', inputs });
+
+      const twice = await composite([{ productId: flourId, portion: 2000 }, { productId: flourId, portion: 3000 }]);
+      expect(twice.status).toBe(422);
+      expect(twice.body.code).toBe('DUPLICATE_INPUT');
+
+      // The composite would get the next product ID
+      const nextId = Number(await contractService.supplyChainContract.getProductCount()) + 1;
+      const itself = await composite([{ productId: flourId, portion: 2000 }, { productId: nextId, portion: 5000 }]);
+      expect(itself.status).toBe(422);
+      expect(itself.body.code).toBe('DUPLICATE_INPUT');
+
+      const product = await request(app)
+        .get(`/api/products/${flourId}`)
+        .expect(200);
+      expect(product.body.product.consumedPortion).toBe(0);
+    });
+
+    describe('Status and metadata updates', () => {
+      let productId;
+
+      beforeAll(async () => {
+        const response = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name: 'Status Product', batchId: 'BATCH-STATUS', origin: 'Test Origin', metadataHash: 'QmInitial' })
+          .expect(200);
+        productId = response.body.productId;
+      });
+
+      it('should reject transitions the contract does not allow', async () => {
+        const response = await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 'STORED' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+        expect(response.body.currentStatus).toBe('CREATED');
+        expect(response.body.allowedStatuses).toEqual(['SHIPPED', 'EXPIRED']);
+      });
+
+      it('should reject unknown statuses', async () => {
+        const response = await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 'LOST' });
+
+        expect(response.status).toBe(400);
+      });
+
+      it('should walk the product through its statuses', async () => {
+        const shipped = await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 'SHIPPED' })
+          .expect(200);
+        expect(shipped.body.previousStatus).toBe('CREATED');
+        expect(shipped.body.status).toBe('SHIPPED');
+        expect(shipped.body.transactionHash).toBeDefined();
+
+        // Enum values are accepted too
+        await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 2 })
+          .expect(200);
+        await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 'STORED' })
+          .expect(200);
+
+        const productResponse = await request(app)
+          .get(`/api/products/${productId}`)
+          .expect(200);
+        expect(productResponse.body.product.status).toBe(3);
+      });
+
+      it('should only let the current owner update a product', async () => {
+        const otherToken = await signIn(OTHER_WALLET);
+        const statusResponse = await request(app)
+          .put(`/api/products/${productId}/status`)
+          .set({ Authorization: `Bearer ${otherToken}` })
+          .send({ status: 'DELIVERED' });
+        expect(statusResponse.status).toBe(403);
+
+        const metadataResponse = await request(app)
+          .put(`/api/products/${productId}/metadata`)
+          .set({ Authorization: `Bearer ${otherToken}` })
+          .send({ metadataHash: 'QmOther' });
+        expect(metadataResponse.status).toBe(403);
+      });
+
+      it('should return 404 for a missing product', async () => {
+        await request(app)
+          .put('/api/products/999999/status')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, status: 'SHIPPED' })
+          .expect(404);
+      });
+
+      it('should check ownership against the contract, not the indexer', async () => {
+        // An indexer that has not caught up still names the previous owner
+        const stale = jest.spyOn(indexerService, 'getProduct').mockResolvedValue({ id: productId, currentOwner: OTHER_WALLET.address, status: 0, metadataHash: '' });
+        try {
+          const ownerResponse = await request(app)
+            .put(`/api/products/${productId}/metadata`)
+            .set(authHeader())
+            .send({ signerAddress: TEST_ADDRESS, metadataHash: 'QmInitial' })
+            .expect(200);
+          expect(ownerResponse.body.metadataHash).toBe('QmInitial');
+
+          const otherResponse = await request(app)
+            .put(`/api/products/${productId}/metadata`)
+            .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+            .send({ metadataHash: 'QmOther' });
+          expect(otherResponse.status).toBe(403);
+        } finally {
+          stale.mockRestore();
+        }
+      });
+
+      it('should attach a certificate to existing metadata', async () => {
+        const response = await request(app)
+          .put(`/api/products/${productId}/metadata`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, certificateType: 'organic', certificateHash: '0xabc123' })
+          .expect(200);
+        expect(JSON.parse(response.body.metadataHash)).toEqual({ legacy: 'QmInitial', organic: '0xabc123' });
+
+        const productResponse = await request(app)
+          .get(`/api/products/${productId}`)
+          .expect(200);
+        expect(productResponse.body.product.metadataHash).toBe(response.body.metadataHash);
+      });
+
+      it('should replace metadata', async () => {
+        const response = await request(app)
+          .put(`/api/products/${productId}/metadata`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, metadataHash: 'QmReplaced' })
+          .expect(200);
+        expect(response.body.metadataHash).toBe('QmReplaced');
+      });
+
+      it('should reject empty or ambiguous metadata updates', async () => {
+        const empty = await request(app)
+          .put(`/api/products/${productId}/metadata`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, metadataHash: '  ' });
+        expect(empty.status).toBe(400);
+
+        const both = await request(app)
+          .put(`/api/products/${productId}/metadata`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, metadataHash: 'QmReplaced', certificateType: 'organic', certificateHash: '0xabc' });
+        expect(both.status).toBe(400);
+      });
+    });
   });
 
   describe('Transfer API', () => {
@@ -118,6 +569,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/transfers')
+        .set(authHeader())
         .send(transferData)
         .expect(200);
       
@@ -134,6 +586,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/transfers')
+        .set(authHeader())
         .send(transferData);
       
       expect(response.status).toBeGreaterThanOrEqual(400);
@@ -149,21 +602,186 @@ describe('Backend API Tests', () => {
       expect(Array.isArray(response.body.transfers)).toBe(true);
     });
 
+    it('should reject transfer with invalid timeout', async () => {
+      const transferData = {
+        signerAddress: TEST_ADDRESS,
+        productId: TEST_PRODUCT_ID,
+        toAddress: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        timeout: -1
+      };
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .send(transferData)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should get pending transfer for a product', async () => {
+      const response = await request(app)
+        .get(`/api/transfers/pending/${TEST_PRODUCT_ID}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success');
+      expect(response.body).toHaveProperty('pendingTransfer');
+    });
+
+    it('should get incoming transfers for an address', async () => {
+      const response = await request(app)
+        .get('/api/transfers/incoming/0x70997970C51812dc3A010C7d01b50e0d17dc79C8')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success');
+      expect(Array.isArray(response.body.transfers)).toBe(true);
+    });
+
+    it('should reject accepting a transfer with invalid signer', async () => {
+      const response = await request(app)
+        .post(`/api/transfers/${TEST_PRODUCT_ID}/accept`)
+        .set(authHeader())
+        .send({ signerAddress: INVALID_ADDRESS });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should transfer to a recipient holding several roles', async () => {
+      // Hardhat account #10, a producer that also runs shops
+      const recipientWallet = new ethers.Wallet('0xf214f2b2cd398c806f84e317254e0f0b801d0643303237d97a22a48e01628897');
+      for (const role of [0, 2]) {
+        await request(app)
+          .post('/api/roles/grant')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, accountAddress: recipientWallet.address, role })
+          .expect(200);
+      }
+      const registered = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Multi-role Product', batchId: 'BATCH-MULTIROLE', origin: 'Test Origin' })
+        .expect(200);
+      const productId = registered.body.productId;
+      
+      await request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, toAddress: recipientWallet.address, shipmentDetails: 'To the shop' })
+        .expect(200);
+      const accepted = await request(app)
+        .post(`/api/transfers/${productId}/accept`)
+        .set({ Authorization: `Bearer ${await signIn(recipientWallet)}` })
+        .send({ signerAddress: recipientWallet.address })
+        .expect(200);
+      
+      // Received as a retailer, since the recipient is not a distributor
+      const product = await request(app)
+        .get(`/api/products/${productId}`)
+        .expect(200);
+      expect(product.body.product.currentOwner).toBe(recipientWallet.address);
+      expect(product.body.product.status).toBe(2);
+
+      // The handoff is stored on-chain, stamped with the acceptance block
+      const receipt = await contractService.provider.getTransactionReceipt(accepted.body.transactionHash);
+      const { timestamp } = await contractService.provider.getBlock(receipt.blockNumber);
+      const record = { from: TEST_ADDRESS, to: recipientWallet.address, timestamp, shipmentDetails: 'To the shop' };
+      expect(await contractService.getTransferHistory(productId)).toEqual([record]);
+      const provenance = JSON.parse(await contractService.supplyChainContract.getCompleteProvenance(productId));
+      expect(provenance.transfers).toEqual([{ ...record, from: TEST_ADDRESS.toLowerCase(), to: recipientWallet.address.toLowerCase() }]);
+    });
+
+    it('should keep products marked expired out of circulation', async () => {
+      const register = async (name) => {
+        const registered = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name, batchId: 'BATCH-SPOILED', origin: 'Test Origin' })
+          .expect(200);
+        return registered.body.productId;
+      };
+      const markExpired = (productId) => request(app)
+        .put(`/api/products/${productId}/status`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, status: 'EXPIRED' })
+        .expect(200);
+      const transfer = (productId) => request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, toAddress: OTHER_WALLET.address, shipmentDetails: 'Spoiled shipment' });
+
+      // Expired before the transfer is initiated
+      const expiredFirst = await register('Spoiled Product');
+      await markExpired(expiredFirst);
+      const initiated = await transfer(expiredFirst).expect(409);
+      expect(initiated.body.code).toBe('PRODUCT_EXPIRED');
+
+      // Expired while the transfer is pending
+      const expiredInTransit = await register('Spoiled In Transit Product');
+      await transfer(expiredInTransit).expect(200);
+      await markExpired(expiredInTransit);
+      const accepted = await request(app)
+        .post(`/api/transfers/${expiredInTransit}/accept`)
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ signerAddress: OTHER_WALLET.address })
+        .expect(409);
+      expect(accepted.body.code).toBe('PRODUCT_EXPIRED');
+
+      const product = await request(app)
+        .get(`/api/products/${expiredInTransit}`)
+        .expect(200);
+      expect(product.body.product.currentOwner).toBe(TEST_ADDRESS);
+      expect(product.body.product.status).toBe(5);
+    });
+
     it('should batch transfer products', async () => {
+      // Dedicated products, so transfers left pending by earlier tests do not get in the way
+      const productIds = [];
+      for (const name of ['Batch Product A', 'Batch Product B', 'Batch Product C']) {
+        const registered = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name, batchId: 'BATCH-TRANSFER', origin: 'Test Origin' })
+          .expect(200);
+        productIds.push(registered.body.productId);
+      }
       const batchData = {
         signerAddress: TEST_ADDRESS,
-        productIds: [1, 2, 3],
+        productIds,
         toAddress: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
         shipmentDetails: 'Batch shipment'
       };
 
       const response = await request(app)
         .post('/api/transfers/batch')
+        .set(authHeader())
         .send(batchData)
         .expect(200);
       
       expect(response.body).toHaveProperty('success');
     });
+
+    it('should reject a batch transfer addressed to the sender', async () => {
+      const registered = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Batch Self Product', batchId: 'BATCH-SELF', origin: 'Test Origin' })
+        .expect(200);
+
+      // As a retailer too, the sender would otherwise pass as a valid recipient
+      await contractService.grantRole(TEST_ADDRESS, TEST_ADDRESS, 2); // RETAILER = 2
+      try {
+        const response = await request(app)
+          .post('/api/transfers/batch')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, productIds: [registered.body.productId], toAddress: TEST_ADDRESS, shipmentDetails: 'Back to me' })
+          .expect(422);
+        expect(response.body.code).toBe('TRANSFER_TO_SELF');
+      } finally {
+        await contractService.revokeRole(TEST_ADDRESS, TEST_ADDRESS, 2);
+      }
+
+      expect(await contractService.getPendingTransfer(registered.body.productId)).toBeNull();
+    });
   });
 
   describe('Verification API', () => {
@@ -176,6 +794,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/verification/authenticity')
+        .set(authHeader())
         .send(verifyData)
         .expect(200);
       
@@ -184,6 +803,16 @@ describe('Backend API Tests', () => {
       expect(typeof response.body.isValid).toBe('boolean');
     });
 
+    it('should reject verification notes over the length limit', async () => {
+      const response = await request(app)
+        .post('/api/verification/authenticity')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId: TEST_PRODUCT_ID, notes: 'x'.repeat(257) })
+        .expect(422);
+
+      expect(response.body.code).toBe('NOTES_TOO_LONG');
+    });
+
     it('should perform quality check', async () => {
       const qualityData = {
         signerAddress: TEST_ADDRESS,
@@ -194,6 +823,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/verification/quality')
+        .set(authHeader())
         .send(qualityData)
         .expect(200);
       
@@ -210,6 +840,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/verification/quality')
+        .set(authHeader())
         .send(qualityData);
       
       expect(response.status).toBeGreaterThanOrEqual(400);
@@ -225,6 +856,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/verification/compliance')
+        .set(authHeader())
         .send(complianceData)
         .expect(200);
       
@@ -240,6 +872,22 @@ describe('Backend API Tests', () => {
       expect(response.body).toHaveProperty('verifications');
       expect(Array.isArray(response.body.verifications)).toBe(true);
     });
+
+    it('should return the latest verification records from the contract', async () => {
+      const { productId } = await contractService.registerProduct(TEST_ADDRESS, 'Often Checked Product', 'BATCH-CHECKED', 'Test Origin', '', {});
+      for (let i = 0; i < 21; i++) {
+        await contractService.verifyAuthenticity(TEST_ADDRESS, productId, `Check ${i}`);
+      }
+
+      // Bounded to the 20 records the provenance embeds, oldest first
+      const latest = await contractService.supplyChainContract.getVerificationHistory(productId);
+      expect(latest).toHaveLength(20);
+      expect(latest[0].notes).toBe('Check 1');
+      expect(latest[19].notes).toBe('Check 20');
+
+      const all = await contractService.getVerificationHistory(productId);
+      expect(all).toHaveLength(21);
+    });
   });
 
   describe('Role API', () => {
@@ -269,6 +917,17 @@ describe('Backend API Tests', () => {
       expect(response.status).toBeGreaterThanOrEqual(400);
     });
 
+    it('should not expose the development grant endpoints outside development', async () => {
+      await request(app)
+        .post('/api/roles/grant-dev')
+        .send({ accountAddress: OTHER_WALLET.address, role: 3 })
+        .expect(404);
+      await request(app)
+        .post('/api/roles/batch-grant-dev')
+        .send({ assignments: [{ accountAddress: OTHER_WALLET.address, role: 3 }] })
+        .expect(404);
+    });
+
     it('should grant role to address', async () => {
       const grantData = {
         signerAddress: TEST_ADDRESS,
@@ -278,6 +937,7 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/roles/grant')
+        .set(authHeader())
         .send(grantData)
         .expect(200);
       
@@ -294,62 +954,2001 @@ describe('Backend API Tests', () => {
 
       const response = await request(app)
         .post('/api/roles/grant')
+        .set(authHeader())
         .send(grantData);
       
       expect(response.status).toBeGreaterThanOrEqual(400);
     });
-  });
 
-  describe('QR Code API', () => {
-    it('should generate QR code image', async () => {
-      const response = await request(app)
-        .get(`/api/qr/${TEST_PRODUCT_ID}`)
+    it('should list holders, revoke a role and record its history', async () => {
+      // Hardhat account #6
+      const accountAddress = '0x976EA74026E726554dB657fA54763abd0C3a0aa9';
+      await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 1 })
         .expect(200);
       
-      expect(response.headers['content-type']).toContain('image/png');
+      const holders = await request(app)
+        .get('/api/roles/holders?role=DISTRIBUTOR')
+        .expect(200);
+      const holder = holders.body.holders.find((entry) => entry.address === accountAddress);
+      expect(holder.roleName).toBe('DISTRIBUTOR');
+      expect(holder.grantedAt).toBeGreaterThan(0);
+      expect(holder.transactionHash).toBeDefined();
+      expect(holders.body.holders.every((entry) => entry.role === 1)).toBe(true);
+      
+      const wrongRole = await request(app)
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 'REGULATOR' });
+      expect(wrongRole.status).toBe(400);
+      
+      const revoked = await request(app)
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress })
+        .expect(200);
+      expect(revoked.body.roleName).toBe('DISTRIBUTOR');
+      
+      const afterRevoke = await request(app)
+        .get('/api/roles/holders?role=1')
+        .expect(200);
+      expect(afterRevoke.body.holders.map((entry) => entry.address)).not.toContain(accountAddress);
+      
+      const history = await request(app)
+        .get(`/api/roles/history/${accountAddress}`)
+        .expect(200);
+      expect(history.body.roleName).toBe('CONSUMER');
+      const changes = history.body.history.slice(-2);
+      expect(changes.map((change) => change.action)).toEqual(['granted', 'revoked']);
+      expect(changes.every((change) => change.roleName === 'DISTRIBUTOR')).toBe(true);
+      expect(changes[1].transactionHash).toBe(revoked.body.transactionHash);
     });
 
-    it('should get QR code data', async () => {
+    it('should reject revoking from an address without a role', async () => {
       const response = await request(app)
-        .get(`/api/qr/${TEST_PRODUCT_ID}/data`)
-        .expect(200);
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: '0x14dC79964da2C08b23698B3D3cc7Ca32193d9955' });
       
-      expect(response.body).toHaveProperty('success');
-      expect(response.body).toHaveProperty('data');
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Account has no role to revoke');
     });
 
-    it('should reject invalid product ID for QR', async () => {
+    it('should only let the access control owner revoke roles', async () => {
       const response = await request(app)
-        .get('/api/qr/invalid-id');
+        .post('/api/roles/revoke')
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ accountAddress: TEST_ADDRESS });
       
-      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Only the access control owner can manage roles');
+      expect(response.body.code).toBe('NOT_OWNER');
+      expect(response.body.params).toEqual({ caller: OTHER_WALLET.address });
     });
-  });
-});
 
-describe('Service Layer Tests', () => {
-  
-  describe('Contract Service', () => {
-    it('should initialize contract service', async () => {
-      await contractService.initialize();
-      expect(contractService.provider).not.toBeNull();
+    it('should let an address hold several roles', async () => {
+      // Hardhat account #9
+      const accountAddress = '0xa0Ee7A142d267C1f36714E4a8F75612F20a79720';
+      for (const role of [1, 0]) {
+        await request(app)
+          .post('/api/roles/grant')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, accountAddress, role })
+          .expect(200);
+      }
+      
+      const check = await request(app)
+        .get(`/api/roles/check/${accountAddress}`)
+        .expect(200);
+      expect(check.body.roles).toEqual([0, 1]);
+      expect(check.body.roleNames).toEqual(['PRODUCER', 'DISTRIBUTOR']);
+      expect(check.body.role).toBe(0);
+      
+      for (const role of ['PRODUCER', 'DISTRIBUTOR']) {
+        const holders = await request(app)
+          .get(`/api/roles/holders?role=${role}`)
+          .expect(200);
+        expect(holders.body.holders.map((entry) => entry.address)).toContain(accountAddress);
+      }
+      
+      const ambiguous = await request(app)
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress });
+      expect(ambiguous.status).toBe(400);
+      expect(ambiguous.body.message).toBe('Account holds PRODUCER, DISTRIBUTOR; specify the role to revoke');
+      
+      await request(app)
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 'PRODUCER' })
+        .expect(200);
+      
+      const myRole = await request(app)
+        .get(`/api/roles/my-role?address=${accountAddress}`)
+        .expect(200);
+      expect(myRole.body.roles).toEqual([1]);
+      expect(myRole.body.roleName).toBe('DISTRIBUTOR');
     });
 
-    it('should get user role', async () => {
+    it('should grant time-limited roles, list them as expiring and stop honoring them once expired', async () => {
+      // Hardhat account #15
+      const accountAddress = '0xcd3B766CCDd6AE721141F452C550Ca635964ce71';
       await contractService.initialize();
-      const role = await contractService.getUserRole(TEST_ADDRESS);
-      expect(typeof role).toBe('number');
-      expect(role).toBeGreaterThanOrEqual(0);
-      expect(role).toBeLessThanOrEqual(4);
+      const provider = contractService.provider;
+      const { timestamp } = await provider.getBlock('latest');
+      
+      const past = await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 1, validUntil: timestamp - 60 });
+      expect(past.status).toBe(422);
+      expect(past.body.message).toBe('Role expiry must be in the future');
+      
+      const validUntil = timestamp + 30;
+      await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 1, validUntil })
+        .expect(200);
+      
+      const check = await request(app)
+        .get(`/api/roles/check/${accountAddress}`)
+        .expect(200);
+      expect(check.body.roles).toEqual([1]);
+      expect(check.body.grants).toEqual([
+        { role: 1, roleName: 'DISTRIBUTOR', validUntil, suspended: false, expired: false, active: true }
+      ]);
+      
+      const expiring = await request(app)
+        .get('/api/roles/expiring?within=3600&role=DISTRIBUTOR')
+        .expect(200);
+      expect(expiring.body.grants.map((grant) => grant.address)).toContain(accountAddress);
+      const later = await request(app)
+        .get('/api/roles/expiring?within=0')
+        .expect(200);
+      expect(later.body.grants.map((grant) => grant.address)).not.toContain(accountAddress);
+      
+      // Move the chain past the expiry, then back so later tests keep the real clock
+      const snapshot = await provider.send('evm_snapshot', []);
+      await provider.send('evm_increaseTime', [60]);
+      await provider.send('evm_mine', []);
+      expect(await contractService.hasRole(accountAddress, 1)).toBe(false);
+      
+      const expired = await request(app)
+        .get(`/api/roles/check/${accountAddress}`)
+        .expect(200);
+      expect(expired.body.roles).toEqual([]);
+      expect(expired.body.grants[0].expired).toBe(true);
+      await provider.send('evm_revert', [snapshot]);
+      
+      // Renewing is granting again with a new expiry
+      await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 1 })
+        .expect(200);
+      expect(await contractService.hasRole(accountAddress, 1)).toBe(true);
+      
+      const history = await request(app)
+        .get(`/api/roles/history/${accountAddress}`)
+        .expect(200);
+      expect(history.body.roles).toEqual([1]);
+      expect(history.body.history.map((change) => change.action)).toEqual(['granted', 'validity', 'validity']);
+      expect(history.body.history[2].validUntil).toBe(0);
     });
 
-    it('should check if user has role', async () => {
-      await contractService.initialize();
+    it('should suspend and reinstate roles', async () => {
+      // Hardhat account #16
+      const accountAddress = '0x2546BcD3c84621e976D8185a91A922aE77ECEc30';
+      await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 2 })
+        .expect(200);
+      
+      await request(app)
+        .post('/api/roles/suspend')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 'RETAILER' })
+        .expect(200);
+      expect(await contractService.hasRole(accountAddress, 2)).toBe(false);
+      
+      const suspended = await request(app)
+        .get(`/api/roles/check/${accountAddress}`)
+        .expect(200);
+      expect(suspended.body.roles).toEqual([]);
+      expect(suspended.body.grants[0].suspended).toBe(true);
+      
+      const holders = await request(app)
+        .get('/api/roles/holders?role=RETAILER')
+        .expect(200);
+      expect(holders.body.holders.find((entry) => entry.address === accountAddress).active).toBe(false);
+      
+      const again = await request(app)
+        .post('/api/roles/suspend')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 2 });
+      expect(again.status).toBe(400);
+      
+      await request(app)
+        .post('/api/roles/reinstate')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 2 })
+        .expect(200);
+      expect(await contractService.hasRole(accountAddress, 2)).toBe(true);
+      
+      const history = await request(app)
+        .get(`/api/roles/history/${accountAddress}`)
+        .expect(200);
+      expect(history.body.roles).toEqual([2]);
+      expect(history.body.history.map((change) => change.action)).toEqual(['granted', 'suspended', 'reinstated']);
+    });
+
+    it('should reject the public CONSUMER role in holder queries', async () => {
+      const response = await request(app).get('/api/roles/holders?role=CONSUMER');
+      
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Organization API', () => {
+    // Hardhat account #5 runs the organization; accounts #11 and #12 are staff
+    const ADMIN_WALLET = new ethers.Wallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+    const MEMBER_WALLET = new ethers.Wallet('0x701b615bbdfb9de65240bc28bd21bbc0d996645a3dd57e7b12bc2bdf6f192c82');
+    const MEMBER_ADDRESS = MEMBER_WALLET.address;
+    const OUTSIDER_ADDRESS = '0xFABB0ac9d68B0B445fB7357272Ff202C5651694a';
+    let organizationId;
+    let adminHeader;
+    let memberHeader;
+
+    beforeAll(async () => {
+      adminHeader = { Authorization: `Bearer ${await signIn(ADMIN_WALLET)}` };
+      memberHeader = { Authorization: `Bearer ${await signIn(MEMBER_WALLET)}` };
+    });
+
+    it('should register an organization with its first admin', async () => {
+      const response = await request(app)
+        .post('/api/organizations')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Acme Foods', adminAddress: ADMIN_WALLET.address })
+        .expect(200);
+      expect(response.body.organizationId).toBeGreaterThan(0);
+      organizationId = response.body.organizationId;
+
+      const account = await request(app)
+        .get(`/api/organizations/account/${ADMIN_WALLET.address}`)
+        .expect(200);
+      expect(account.body.organization).toEqual({ organizationId, organizationName: 'Acme Foods', isAdmin: true });
+
+      const list = await request(app)
+        .get('/api/organizations')
+        .expect(200);
+      const organization = list.body.organizations.find((entry) => entry.id === organizationId);
+      expect(organization.admins).toEqual([ADMIN_WALLET.address]);
+    });
+
+    it('should only let the access control owner register organizations', async () => {
+      const response = await request(app)
+        .post('/api/organizations')
+        .set(adminHeader)
+        .send({ name: 'Rogue Foods' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Only the access control owner can manage roles');
+    });
+
+    it('should let an organization admin onboard staff and manage their operational roles', async () => {
+      const invited = await request(app)
+        .post(`/api/organizations/${organizationId}/members`)
+        .set(adminHeader)
+        .send({ accountAddress: MEMBER_ADDRESS })
+        .expect(200);
+      expect(invited.body.invited).toBe(true);
+
+      const pending = await request(app)
+        .get(`/api/organizations/account/${MEMBER_ADDRESS}`)
+        .expect(200);
+      expect(pending.body.organization).toBeNull();
+      expect(pending.body.invitation).toEqual({ organizationId, organizationName: 'Acme Foods' });
+
+      await request(app)
+        .post(`/api/organizations/${organizationId}/accept`)
+        .set(memberHeader)
+        .send({})
+        .expect(200);
+
+      const granted = await request(app)
+        .post('/api/roles/grant')
+        .set(adminHeader)
+        .send({ accountAddress: MEMBER_ADDRESS, role: 1 })
+        .expect(200);
+      expect(granted.body.transactionHash).toBeDefined();
+
+      const organization = await request(app)
+        .get(`/api/organizations/${organizationId}`)
+        .expect(200);
+      const member = organization.body.organization.members.find((entry) => entry.address === MEMBER_ADDRESS);
+      expect(member.roleNames).toEqual(['DISTRIBUTOR']);
+      expect(member.isAdmin).toBe(false);
+
+      // Members keep their roles until revoked, so they cannot be removed yet
+      const removeEarly = await request(app)
+        .delete(`/api/organizations/${organizationId}/members/${MEMBER_ADDRESS}`)
+        .set(adminHeader);
+      expect(removeEarly.status).toBe(409);
+      expect(removeEarly.body.code).toBe('MEMBER_HOLDS_ROLES');
+
+      await request(app)
+        .post('/api/roles/revoke')
+        .set(adminHeader)
+        .send({ accountAddress: MEMBER_ADDRESS, role: 'DISTRIBUTOR' })
+        .expect(200);
+      await request(app)
+        .delete(`/api/organizations/${organizationId}/members/${MEMBER_ADDRESS}`)
+        .set(adminHeader)
+        .expect(200);
+
+      const account = await request(app)
+        .get(`/api/organizations/account/${MEMBER_ADDRESS}`)
+        .expect(200);
+      expect(account.body.organization).toBeNull();
+    });
+
+    it('should keep organization admins to operational roles of their own members', async () => {
+      const outsider = await request(app)
+        .post('/api/roles/grant')
+        .set(adminHeader)
+        .send({ accountAddress: OUTSIDER_ADDRESS, role: 0 });
+      expect(outsider.status).toBe(403);
+      expect(outsider.body.message).toBe("Organization admins can only manage roles of their organization's members");
+
+      const regulator = await request(app)
+        .post('/api/roles/grant')
+        .set(adminHeader)
+        .send({ accountAddress: ADMIN_WALLET.address, role: 3 });
+      expect(regulator.status).toBe(403);
+      expect(regulator.body.message).toBe('Only the access control owner can manage the REGULATOR role');
+    });
+
+    it('should not let an organization admin enrol an outside account and manage its roles', async () => {
+      await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: OUTSIDER_ADDRESS, role: 2 })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/organizations/${organizationId}/members`)
+        .set(adminHeader)
+        .send({ accountAddress: OUTSIDER_ADDRESS })
+        .expect(200);
+
+      // The outsider has not accepted, so it is not a member and its role stays out of reach
+      const revoked = await request(app)
+        .post('/api/roles/revoke')
+        .set(adminHeader)
+        .send({ accountAddress: OUTSIDER_ADDRESS, role: 2 });
+      expect(revoked.status).toBe(403);
+      expect(revoked.body.code).toBe('OUTSIDE_ORGANIZATION');
+
+      const suspended = await request(app)
+        .post('/api/roles/suspend')
+        .set(adminHeader)
+        .send({ accountAddress: OUTSIDER_ADDRESS, role: 2 });
+      expect(suspended.status).toBe(403);
+
+      const wrongOrganization = await request(app)
+        .post(`/api/organizations/${organizationId + 1}/accept`)
+        .set(memberHeader)
+        .send({});
+      expect(wrongOrganization.status).toBe(404);
+      expect(wrongOrganization.body.code).toBe('NO_ORGANIZATION_INVITATION');
+
+      await request(app)
+        .post('/api/roles/revoke')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: OUTSIDER_ADDRESS, role: 2 })
+        .expect(200);
+    });
+
+    it('should let the owner appoint and remove organization admins', async () => {
+      await request(app)
+        .post(`/api/organizations/${organizationId}/members`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: OUTSIDER_ADDRESS })
+        .expect(200);
+      await request(app)
+        .post(`/api/organizations/${organizationId}/admins`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: OUTSIDER_ADDRESS })
+        .expect(200);
+      await request(app)
+        .delete(`/api/organizations/${organizationId}/admins/${OUTSIDER_ADDRESS}`)
+        .set(authHeader())
+        .expect(200);
+
+      const account = await request(app)
+        .get(`/api/organizations/account/${OUTSIDER_ADDRESS}`)
+        .expect(200);
+      expect(account.body.organization.isAdmin).toBe(false);
+    });
+
+    it('should reject unknown organizations and non-members', async () => {
+      await request(app).get('/api/organizations/9999').expect(404);
+
+      const response = await request(app)
+        .post(`/api/organizations/${organizationId}/admins`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress: MEMBER_ADDRESS });
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Role Request API', () => {
+    // Hardhat account #13 applies for roles
+    const APPLICANT_WALLET = new ethers.Wallet('0x47c99abed3324a2707c28affff1267e45918ec8c3f20b8aa892e8b065d2942dd');
+    let applicantHeader;
+
+    beforeAll(async () => {
+      applicantHeader = { Authorization: `Bearer ${await signIn(APPLICANT_WALLET)}` };
+    });
+
+    it('should submit a request and grant the role when approved', async () => {
+      const submitted = await request(app)
+        .post('/api/role-requests')
+        .set(applicantHeader)
+        .send({ role: 'DISTRIBUTOR', organizationName: 'Fresh Logistics', documentHashes: ['QmLicense', 'QmRegistration'] })
+        .expect(200);
+      const { requestId } = submitted.body;
+      expect(requestId).toBeGreaterThan(0);
+
+      const duplicate = await request(app)
+        .post('/api/role-requests')
+        .set(applicantHeader)
+        .send({ role: 1, organizationName: 'Fresh Logistics' });
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.message).toBe('You already have a pending request for this role');
+      expect(duplicate.body.code).toBe('ROLE_REQUEST_ALREADY_PENDING');
+      expect(duplicate.body.params).toMatchObject({ role: 1, requestId });
+
+      const pending = await request(app)
+        .get(`/api/role-requests?status=PENDING&applicant=${APPLICANT_WALLET.address}`)
+        .expect(200);
+      expect(pending.body.requests.map((entry) => entry.id)).toContain(requestId);
+
+      const forbidden = await request(app)
+        .post(`/api/role-requests/${requestId}/approve`)
+        .set(applicantHeader)
+        .send({});
+      expect(forbidden.status).toBe(403);
+      expect(forbidden.body.message).toBe('Only the access control owner can manage roles');
+
+      const approved = await request(app)
+        .post(`/api/role-requests/${requestId}/approve`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+      expect(approved.body.roleName).toBe('DISTRIBUTOR');
+
+      const roles = await request(app)
+        .get(`/api/roles/check/${APPLICANT_WALLET.address}`)
+        .expect(200);
+      expect(roles.body.roles).toContain(1);
+
+      const record = await request(app)
+        .get(`/api/role-requests/${requestId}`)
+        .expect(200);
+      expect(record.body.request).toMatchObject({
+        applicant: APPLICANT_WALLET.address,
+        roleName: 'DISTRIBUTOR',
+        organizationName: 'Fresh Logistics',
+        documentHashes: ['QmLicense', 'QmRegistration'],
+        statusName: 'APPROVED',
+        reviewer: TEST_ADDRESS
+      });
+      expect(record.body.request.history.map((entry) => entry.action)).toEqual(['requested', 'approved']);
+      expect(record.body.request.history[1].transactionHash).toBe(approved.body.transactionHash);
+
+      const again = await request(app)
+        .post(`/api/role-requests/${requestId}/reject`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Too late' });
+      expect(again.status).toBe(400);
+    });
+
+    it('should record rejections with their reason', async () => {
+      const submitted = await request(app)
+        .post('/api/role-requests')
+        .set(applicantHeader)
+        .send({ role: 'REGULATOR', organizationName: 'Fresh Logistics' })
+        .expect(200);
+      const { requestId } = submitted.body;
+
+      const missingReason = await request(app)
+        .post(`/api/role-requests/${requestId}/reject`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS });
+      expect(missingReason.status).toBe(400);
+
+      await request(app)
+        .post(`/api/role-requests/${requestId}/reject`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Not an accredited inspection body' })
+        .expect(200);
+
+      const record = await request(app)
+        .get(`/api/role-requests/${requestId}`)
+        .expect(200);
+      expect(record.body.request.statusName).toBe('REJECTED');
+      expect(record.body.request.reason).toBe('Not an accredited inspection body');
+      expect(record.body.request.history[1]).toMatchObject({ action: 'rejected', actor: TEST_ADDRESS, reason: 'Not an accredited inspection body' });
+
+      const roles = await request(app)
+        .get(`/api/roles/check/${APPLICANT_WALLET.address}`)
+        .expect(200);
+      expect(roles.body.roles).not.toContain(3);
+    });
+
+    it('should validate requests', async () => {
+      const consumer = await request(app)
+        .post('/api/role-requests')
+        .set(applicantHeader)
+        .send({ role: 'CONSUMER', organizationName: 'Fresh Logistics' });
+      expect(consumer.status).toBe(400);
+
+      const noOrganization = await request(app)
+        .post('/api/role-requests')
+        .set(applicantHeader)
+        .send({ role: 0, organizationName: '  ' });
+      expect(noOrganization.status).toBe(400);
+
+      await request(app).get('/api/role-requests/9999').expect(404);
+      await request(app).get('/api/role-requests?status=UNKNOWN').expect(400);
+    });
+  });
+
+  describe('Governance API', () => {
+    // Hardhat account #1 is the second of the three local governance signers
+    let signerHeader;
+
+    beforeAll(async () => {
+      signerHeader = { Authorization: `Bearer ${await signIn(OTHER_WALLET)}` };
+    });
+
+    /**
+     * Move the chain past the governance timelock
+     */
+    async function passTimelock() {
+      const setup = await request(app).get('/api/governance').expect(200);
+      await contractService.provider.send('evm_increaseTime', [setup.body.governance.delay]);
+      await contractService.provider.send('evm_mine', []);
+    }
+
+    it('should hand the access control contract to the multisig and back', async () => {
+      // Hardhat account #14 receives a role through a proposal
+      const accountAddress = '0xdF3e18d64BC6A983f673Ab319CCaE4f1a57C7097';
+
+      const setup = await request(app).get('/api/governance').expect(200);
+      const governanceAddress = setup.body.governance.address;
+      expect(setup.body.governance.signers).toEqual(expect.arrayContaining([TEST_ADDRESS, OTHER_WALLET.address]));
+      expect(setup.body.governance.threshold).toBe(2);
+      expect(setup.body.accessControl).toMatchObject({ owner: TEST_ADDRESS, pendingOwner: null, governedByMultisig: false });
+
+      // Ownership only moves once the new owner accepts
+      await request(app)
+        .post('/api/governance/ownership/transfer')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, newOwner: governanceAddress })
+        .expect(200);
+      const offered = await request(app).get('/api/governance').expect(200);
+      expect(offered.body.accessControl).toMatchObject({ owner: TEST_ADDRESS, pendingOwner: governanceAddress });
+
+      // The multisig accepts through a proposal, which needs two approvals and the timelock
+      const accept = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'acceptOwnership' })
+        .expect(200);
+      const acceptId = accept.body.proposalId;
+
+      const unapproved = await request(app)
+        .post(`/api/governance/proposals/${acceptId}/execute`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS });
+      expect(unapproved.status).toBe(400);
+      expect(unapproved.body.message).toBe('Proposal has not reached the approval threshold');
+
+      await request(app)
+        .post(`/api/governance/proposals/${acceptId}/approve`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address })
+        .expect(200);
+      const locked = await request(app)
+        .post(`/api/governance/proposals/${acceptId}/execute`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS });
+      expect(locked.status).toBe(400);
+      expect(locked.body.message).toMatch(/^Proposal timelock ends at/);
+
+      await passTimelock();
+      await request(app)
+        .post(`/api/governance/proposals/${acceptId}/execute`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+      const governed = await request(app).get('/api/governance').expect(200);
+      expect(governed.body.accessControl).toMatchObject({ owner: governanceAddress, pendingOwner: null, governedByMultisig: true });
+
+      // The former owner can no longer grant roles on its own
+      const direct = await request(app)
+        .post('/api/roles/grant')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, accountAddress, role: 2 });
+      expect(direct.status).toBe(403);
+
+      // Role grants and the way back both go through proposals
+      const grant = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'grantRole', params: { account: accountAddress, role: 'RETAILER' } })
+        .expect(200);
+      expect(grant.body.summary).toBe(`Grant RETAILER to ${accountAddress}`);
+      const handBack = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'transferOwnership', params: { newOwner: TEST_ADDRESS }, description: 'Return to the deployer' })
+        .expect(200);
+      for (const id of [grant.body.proposalId, handBack.body.proposalId]) {
+        await request(app)
+          .post(`/api/governance/proposals/${id}/approve`)
+          .set(signerHeader)
+          .send({ signerAddress: OTHER_WALLET.address })
+          .expect(200);
+      }
+
+      const queued = await request(app)
+        .get('/api/governance/proposals?status=QUEUED')
+        .expect(200);
+      expect(queued.body.proposals.map((proposal) => proposal.id)).toEqual([handBack.body.proposalId, grant.body.proposalId]);
+      expect(queued.body.proposals[0]).toMatchObject({ description: 'Return to the deployer', approvals: 2 });
+
+      await passTimelock();
+      for (const id of [grant.body.proposalId, handBack.body.proposalId]) {
+        await request(app)
+          .post(`/api/governance/proposals/${id}/execute`)
+          .set(signerHeader)
+          .send({ signerAddress: OTHER_WALLET.address })
+          .expect(200);
+      }
+      expect(await contractService.hasRole(accountAddress, 2)).toBe(true);
+
+      await request(app)
+        .post('/api/governance/ownership/accept')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+      const restored = await request(app).get('/api/governance').expect(200);
+      expect(restored.body.accessControl).toMatchObject({ owner: TEST_ADDRESS, pendingOwner: null, governedByMultisig: false });
+
+      const record = await request(app)
+        .get(`/api/governance/proposals/${grant.body.proposalId}`)
+        .expect(200);
+      expect(record.body.proposal.status).toBe('EXECUTED');
+      expect(record.body.proposal.call).toMatchObject({ contract: 'accessControl', functionName: 'grantRole' });
+      expect(record.body.proposal.history.map((entry) => entry.action)).toEqual(['proposed', 'approved', 'approved', 'queued', 'executed']);
+    });
+
+    it('should validate and cancel proposals', async () => {
+      const unknown = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'selfDestruct' });
+      expect(unknown.status).toBe(400);
+
+      const consumer = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'grantRole', params: { account: TEST_ADDRESS, role: 'CONSUMER' } });
+      expect(consumer.status).toBe(400);
+
+      const proposed = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'changeThreshold', params: { threshold: 3 } })
+        .expect(200);
+      const { proposalId } = proposed.body;
+
+      const twice = await request(app)
+        .post(`/api/governance/proposals/${proposalId}/approve`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS });
+      expect(twice.status).toBe(409);
+      expect(twice.body.message).toBe('You already approved this proposal');
+
+      // Only the proposer can cancel
+      const notProposer = await request(app)
+        .post(`/api/governance/proposals/${proposalId}/cancel`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address });
+      expect(notProposer.status).toBe(403);
+      expect(notProposer.body.code).toBe('NOT_PROPOSER');
+      await request(app)
+        .post(`/api/governance/proposals/${proposalId}/cancel`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+      const cancelled = await request(app)
+        .post(`/api/governance/proposals/${proposalId}/approve`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address });
+      expect(cancelled.status).toBe(400);
+
+      const setup = await request(app).get('/api/governance').expect(200);
+      expect(setup.body.governance.threshold).toBe(2);
+
+      await request(app).get('/api/governance/proposals/9999').expect(404);
+      await request(app).get('/api/governance/proposals?status=UNKNOWN').expect(400);
+    });
+
+    it('should not count approvals a signer gave before it was removed and added again', async () => {
+      // Hardhat account #2 is the third local governance signer
+      const thirdHeader = { Authorization: `Bearer ${await signIn(new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'))}` };
+      const thirdAddress = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+      /**
+       * Propose a signer change, approve it with a second signer and execute it
+       * @param {string} action - addSigner or removeSigner
+       * @param {Object} approverHeader - Auth header of the approving signer
+       * @param {string} approverAddress - Address of the approving signer
+       */
+      async function changeSigners(action, approverHeader, approverAddress) {
+        const proposed = await request(app)
+          .post('/api/governance/proposals')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, action, params: { account: OTHER_WALLET.address } })
+          .expect(200);
+        await request(app)
+          .post(`/api/governance/proposals/${proposed.body.proposalId}/approve`)
+          .set(approverHeader)
+          .send({ signerAddress: approverAddress })
+          .expect(200);
+        await passTimelock();
+        await request(app)
+          .post(`/api/governance/proposals/${proposed.body.proposalId}/execute`)
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS })
+          .expect(200);
+      }
+
+      const pending = await request(app)
+        .post('/api/governance/proposals')
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address, action: 'changeDelay', params: { delay: 20 } })
+        .expect(200);
+      const { proposalId } = pending.body;
+
+      await changeSigners('removeSigner', signerHeader, OTHER_WALLET.address);
+      await changeSigners('addSigner', thirdHeader, thirdAddress);
+
+      const readded = await request(app).get(`/api/governance/proposals/${proposalId}`).expect(200);
+      expect(readded.body.proposal.approvals).toBe(0);
+
+      // The returning signer can approve again, which counts once
+      await request(app)
+        .post(`/api/governance/proposals/${proposalId}/approve`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address })
+        .expect(200);
+      const approved = await request(app).get(`/api/governance/proposals/${proposalId}`).expect(200);
+      expect(approved.body.proposal.approvals).toBe(1);
+
+      await request(app)
+        .post(`/api/governance/proposals/${proposalId}/cancel`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address })
+        .expect(200);
+    });
+
+    it('should not let a signer cancel a proposal to remove them', async () => {
+      const proposed = await request(app)
+        .post('/api/governance/proposals')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, action: 'removeSigner', params: { account: OTHER_WALLET.address } })
+        .expect(200);
+      const byTarget = await request(app)
+        .post(`/api/governance/proposals/${proposed.body.proposalId}/cancel`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address });
+      expect(byTarget.status).toBe(403);
+      expect(byTarget.body.code).toBe('NOT_PROPOSER');
+
+      // Not even when the signer proposed it
+      const ownProposal = await request(app)
+        .post('/api/governance/proposals')
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address, action: 'removeSigner', params: { account: OTHER_WALLET.address } })
+        .expect(200);
+      const own = await request(app)
+        .post(`/api/governance/proposals/${ownProposal.body.proposalId}/cancel`)
+        .set(signerHeader)
+        .send({ signerAddress: OTHER_WALLET.address });
+      expect(own.status).toBe(403);
+      expect(own.body.code).toBe('OWN_REMOVAL_NOT_CANCELLABLE');
+
+      await request(app)
+        .post(`/api/governance/proposals/${proposed.body.proposalId}/cancel`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+    });
+  });
+
+  describe('Emergency Stop API', () => {
+    // The deployer is the local guardian
+    afterAll(async () => {
+      const state = await contractService.getPauseState();
+      if (state.paused) {
+        await contractService.unpauseSupplyChain(TEST_ADDRESS);
+      }
+    });
+
+    it('should report the guardian and that the supply chain runs', async () => {
+      const response = await request(app).get('/api/emergency').expect(200);
+
+      expect(response.body).toMatchObject({ paused: false, reason: null, guardian: TEST_ADDRESS });
+    });
+
+    it('should reject writes with 503 while paused and keep reads working', async () => {
+      const noReason = await request(app)
+        .post('/api/emergency/pause')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: '  ' });
+      expect(noReason.status).toBe(400);
+
+      const notGuardian = await request(app)
+        .post('/api/emergency/pause')
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ signerAddress: OTHER_WALLET.address, reason: 'Not allowed' });
+      expect(notGuardian.status).toBe(403);
+      expect(notGuardian.body.message).toBe('Only the guardian can pause or unpause the supply chain');
+
+      await request(app)
+        .post('/api/emergency/pause')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Producer key compromised' })
+        .expect(200);
+      const paused = await request(app).get('/api/emergency').expect(200);
+      expect(paused.body).toMatchObject({ paused: true, reason: 'Producer key compromised' });
+
+      const register = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Paused Product', batchId: 'BATCH-PAUSED', origin: 'Test Origin' });
+      expect(register.status).toBe(503);
+      expect(register.body.code).toBe('SUPPLY_CHAIN_PAUSED');
+      expect(register.body.reason).toBe('Producer key compromised');
+
+      // The contract enforces the pause for callers that skip the API
+      const reverted = await contractService.registerProduct(TEST_ADDRESS, 'Paused Product', 'BATCH-PAUSED', 'Test Origin', '')
+        .catch((error) => error);
+      expect(decodeContractError(reverted)).toMatchObject({ code: 'SUPPLY_CHAIN_PAUSED', status: 503 });
+
+      await request(app).get('/api/products').expect(200);
+
+      const again = await request(app)
+        .post('/api/emergency/pause')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Twice' });
+      expect(again.status).toBe(400);
+
+      await request(app)
+        .post('/api/emergency/unpause')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS })
+        .expect(200);
+      await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Resumed Product', batchId: 'BATCH-RESUMED', origin: 'Test Origin' })
+        .expect(200);
+    });
+  });
+
+  describe('Recall API', () => {
+    it('should list recalls', async () => {
+      const response = await request(app)
+        .get('/api/recalls')
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('success');
+      expect(response.body).toHaveProperty('recalls');
+      expect(Array.isArray(response.body.recalls)).toBe(true);
+    });
+
+    it('should reject recall with invalid scope', async () => {
+      const recallData = {
+        signerAddress: TEST_ADDRESS,
+        scope: 'warehouse',
+        reason: 'Contamination',
+        severity: 0
+      };
+
+      const response = await request(app)
+        .post('/api/recalls')
+        .set(authHeader())
+        .send(recallData);
+      
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject recall with invalid severity', async () => {
+      const recallData = {
+        signerAddress: TEST_ADDRESS,
+        scope: 'product',
+        productId: TEST_PRODUCT_ID,
+        reason: 'Contamination',
+        severity: 5
+      };
+
+      const response = await request(app)
+        .post('/api/recalls')
+        .set(authHeader())
+        .send(recallData);
+      
+      expect(response.status).toBe(400);
+    });
+
+    it('should get recall status of a product', async () => {
+      const response = await request(app)
+        .get(`/api/recalls/product/${TEST_PRODUCT_ID}`)
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('success');
+      expect(typeof response.body.recalled).toBe('boolean');
+    });
+
+    describe('Batch recalls', () => {
+      // Issuing recalls takes a regulator
+      beforeAll(async () => {
+        await contractService.initialize();
+        await contractService.grantRole(TEST_ADDRESS, TEST_ADDRESS, 3); // REGULATOR = 3
+      });
+
+      afterAll(async () => {
+        await contractService.revokeRole(TEST_ADDRESS, TEST_ADDRESS, 3);
+      });
+
+      it('should recall a batch of one producer and keep reporting the first recall', async () => {
+        const registered = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name: 'Shared Batch ID Product', batchId: 'BATCH-SHARED-ID', origin: 'Test Origin' })
+          .expect(200);
+        const productId = registered.body.productId;
+        const recallBatch = (producer, reason) => request(app)
+          .post('/api/recalls')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, scope: 'batch', batchId: 'BATCH-SHARED-ID', producer, reason, severity: 1 })
+          .expect(200);
+
+        // The same batch ID from another producer is a different batch
+        await recallBatch(OTHER_WALLET.address, 'Undeclared allergen');
+        let status = await request(app).get(`/api/recalls/product/${productId}`).expect(200);
+        expect(status.body.recalled).toBe(false);
+
+        const first = await recallBatch(TEST_ADDRESS, 'Listeria found');
+        await recallBatch(TEST_ADDRESS, 'Follow-up recall');
+        status = await request(app).get(`/api/recalls/product/${productId}`).expect(200);
+        expect(status.body.recalled).toBe(true);
+        expect(status.body.recall).toMatchObject({ id: first.body.recallId, producer: TEST_ADDRESS, reason: 'Listeria found' });
+      });
+
+      it('should require the producer of a recalled batch', async () => {
+        const response = await request(app)
+          .post('/api/recalls')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, scope: 'batch', batchId: 'BATCH001', reason: 'Contamination', severity: 0 });
+
+        expect(response.status).toBe(400);
+      });
+    });
+
+    it('should get holders of recalled products', async () => {
+      const response = await request(app)
+        .get('/api/recalls/holders')
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('success');
+      expect(Array.isArray(response.body.holders)).toBe(true);
+    });
+  });
+
+  describe('Certificate API', () => {
+    let productId;
+
+    // Issuing every certificate type and passing compliance checks takes a regulator
+    beforeAll(async () => {
+      await contractService.initialize();
+      await contractService.grantRole(TEST_ADDRESS, TEST_ADDRESS, 3); // REGULATOR = 3
+      const result = await contractService.registerProduct(TEST_ADDRESS, 'Certified Product', 'CERT001', 'Test Origin', '', {});
+      productId = result.productId;
+    });
+
+    afterAll(async () => {
+      await contractService.revokeRole(TEST_ADDRESS, TEST_ADDRESS, 3);
+    });
+
+    it('should reject certificates with an unknown type or a past expiry', async () => {
+      const unknownType = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, certificateType: 'GLUTEN_FREE', documentHash: '0xabc' });
+      expect(unknownType.status).toBe(400);
+
+      const pastExpiry = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, certificateType: 'ORGANIC', documentHash: '0xabc', expiresAt: '2020-01-01' });
+      expect(pastExpiry.status).toBe(400);
+    });
+
+    it('should only let regulators issue certificates other than QUALITY', async () => {
+      const response = await request(app)
+        .post('/api/certificates')
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ signerAddress: OTHER_WALLET.address, productId, certificateType: 'HALAL', documentHash: '0xabc' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should only let retailers certify the quality of products they own', async () => {
+      // Hardhat account #11, a retailer
+      const retailerWallet = new ethers.Wallet('0x701b615bbdfb9de65240bc28bd21bbc0d996645a3dd57e7b12bc2bdf6f192c82');
+      const retailerHeader = { Authorization: `Bearer ${await signIn(retailerWallet)}` };
+      await contractService.grantRole(TEST_ADDRESS, retailerWallet.address, 2); // RETAILER = 2
+      const quality = { signerAddress: retailerWallet.address, certificateType: 'QUALITY', documentHash: '0xquality' };
+
+      const notOwned = await request(app)
+        .post('/api/certificates')
+        .set(retailerHeader)
+        .send({ ...quality, productId });
+      expect(notOwned.status).toBe(403);
+      expect(notOwned.body.code).toBe('NOT_PRODUCT_OWNER');
+
+      const batch = await request(app)
+        .post('/api/certificates')
+        .set(retailerHeader)
+        .send({ ...quality, scope: 'batch', batchId: 'CERT001', producer: TEST_ADDRESS });
+      expect(batch.status).toBe(403);
+
+      const { productId: ownedId } = await contractService.registerProduct(TEST_ADDRESS, 'Shelf Product', 'CERT002', 'Test Origin', '', {});
+      await contractService.transferOwnership(TEST_ADDRESS, ownedId, retailerWallet.address, 'To the shop', 0);
+      await contractService.acceptTransfer(retailerWallet.address, ownedId);
+      await request(app)
+        .post('/api/certificates')
+        .set(retailerHeader)
+        .send({ ...quality, productId: ownedId })
+        .expect(200);
+
+      // A passing quality check only certifies the product when the retailer could have issued the certificate
+      await contractService.performQualityCheck(retailerWallet.address, productId, 90, '0xforeigncheck', '');
+      await contractService.performQualityCheck(retailerWallet.address, ownedId, 90, '0xshelfcheck', '');
+      const foreign = await contractService.getProductCertificates(productId);
+      expect(foreign.map((certificate) => certificate.documentHash)).not.toContain('0xforeigncheck');
+      const shelf = await contractService.getProductCertificates(ownedId);
+      expect(shelf.map((certificate) => certificate.documentHash)).toContain('0xshelfcheck');
+
+      await contractService.revokeRole(TEST_ADDRESS, retailerWallet.address, 2);
+    });
+
+    it('should keep recording checks once a product holds the most certificates', async () => {
+      const { productId: fullId } = await contractService.registerProduct(TEST_ADDRESS, 'Busy Product', 'CERT003', 'Test Origin', '', {});
+      const issued = [];
+      for (let i = 0; i < 50; i++) {
+        const result = await contractService.issueCertificate(TEST_ADDRESS, 'product', fullId, 2, `0xorganic${i}`, 0);
+        issued.push(result.certificateId);
+      }
+      await contractService.revokeCertificate(TEST_ADDRESS, issued[10], 'Superseded');
+
+      // The revoked certificate makes room first, then the oldest valid one
+      await contractService.checkCompliance(TEST_ADDRESS, fullId, true, '0xfullcompliance', '');
+      let ids = (await contractService.getProductCertificates(fullId)).map((certificate) => certificate.id);
+      expect(ids).toHaveLength(50);
+      expect(ids).not.toContain(issued[10]);
+      expect(ids).toContain(issued[0]);
+
+      await contractService.checkCompliance(TEST_ADDRESS, fullId, true, '0xfullcompliance2', '');
+      const certificates = await contractService.getProductCertificates(fullId);
+      ids = certificates.map((certificate) => certificate.id);
+      expect(ids).toHaveLength(50);
+      expect(ids).not.toContain(issued[0]);
+      expect(certificates.map((certificate) => certificate.documentHash)).toEqual(expect.arrayContaining(['0xfullcompliance', '0xfullcompliance2']));
+    });
+
+    it('should issue, list and revoke product and batch certificates', async () => {
+      const expiresAt = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+      const issued = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, certificateType: 'ORGANIC', documentHash: '0xorganic', expiresAt })
+        .expect(200);
+      const batch = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, scope: 'batch', batchId: 'CERT001', producer: TEST_ADDRESS, certificateType: 'HALAL', documentHash: '0xhalal' })
+        .expect(200);
+      // The same batch ID from another producer is a different batch
+      await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, scope: 'batch', batchId: 'CERT001', producer: OTHER_WALLET.address, certificateType: 'KOSHER', documentHash: '0xkosher' })
+        .expect(200);
+      const missingProducer = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, scope: 'batch', batchId: 'CERT001', certificateType: 'HALAL', documentHash: '0xhalal' });
+      expect(missingProducer.status).toBe(400);
+
+      const certificate = await request(app).get(`/api/certificates/${issued.body.certificateId}`).expect(200);
+      expect(certificate.body.certificate).toMatchObject({
+        certificateTypeName: 'ORGANIC',
+        scopeName: 'PRODUCT',
+        productId,
+        documentHash: '0xorganic',
+        issuer: TEST_ADDRESS,
+        expiresAt,
+        isValid: true
+      });
+      const batchCertificate = await request(app).get(`/api/certificates/${batch.body.certificateId}`).expect(200);
+      expect(batchCertificate.body.certificate).toMatchObject({ scopeName: 'BATCH', batchId: 'CERT001', producer: TEST_ADDRESS });
+
+      const listed = await request(app).get(`/api/certificates/product/${productId}`).expect(200);
+      expect(listed.body.certificates.map((entry) => entry.id)).toEqual([issued.body.certificateId, batch.body.certificateId]);
+
+      await request(app)
+        .post(`/api/certificates/${batch.body.certificateId}/revoke`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Supplier audit failed' })
+        .expect(200);
+
+      const product = await request(app).get(`/api/products/${productId}`).expect(200);
+      expect(product.body.product.certificateIds).toEqual([issued.body.certificateId, batch.body.certificateId]);
+      expect(product.body.product.certificates.map((entry) => entry.id)).toEqual([issued.body.certificateId]);
+      const provenance = await request(app).get(`/api/products/${productId}/provenance`).expect(200);
+      expect(provenance.body.provenance.certificateIds).toEqual([issued.body.certificateId, batch.body.certificateId]);
+
+      const valid = await request(app).get(`/api/certificates/product/${productId}?validOnly=true`).expect(200);
+      expect(valid.body.count).toBe(1);
+    });
+
+    it('should answer revocation errors with their contract error codes', async () => {
+      const issued = await request(app)
+        .post('/api/certificates')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, certificateType: 'LAB_REPORT', documentHash: '0xlab' })
+        .expect(200);
+
+      const notIssuer = await request(app)
+        .post(`/api/certificates/${issued.body.certificateId}/revoke`)
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ signerAddress: OTHER_WALLET.address, reason: 'Not mine' });
+      expect(notIssuer.status).toBe(403);
+      expect(notIssuer.body.code).toBe('NOT_ISSUER_OR_REGULATOR');
+
+      await request(app)
+        .post(`/api/certificates/${issued.body.certificateId}/revoke`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Sample mislabelled' })
+        .expect(200);
+      const again = await request(app)
+        .post(`/api/certificates/${issued.body.certificateId}/revoke`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Twice' });
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('CERTIFICATE_ALREADY_REVOKED');
+
+      const missing = await request(app).get('/api/certificates/9999');
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('CERTIFICATE_NOT_FOUND');
+    });
+
+    it('should stop treating a product as authentic once a check certificate is revoked', async () => {
+      await contractService.performQualityCheck(TEST_ADDRESS, productId, 80, '', 'Fresh');
+      await contractService.checkCompliance(TEST_ADDRESS, productId, true, '', 'Labelling compliant');
+
+      const certified = await request(app).get(`/api/products/${productId}`).expect(200);
+      expect(certified.body.product.isAuthentic).toBe(true);
+      const compliance = certified.body.product.certificates.find((entry) => entry.certificateTypeName === 'COMPLIANCE');
+      expect(compliance.issuer).toBe(TEST_ADDRESS);
+
+      await request(app)
+        .post(`/api/certificates/${compliance.id}/revoke`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, reason: 'Labelling claims withdrawn' })
+        .expect(200);
+
+      const revoked = await request(app).get(`/api/products/${productId}`).expect(200);
+      expect(revoked.body.product.isAuthentic).toBe(false);
+      expect(await contractService.isProductAuthentic(productId)).toBe(false);
+
+      const provenance = await request(app).get(`/api/products/${productId}/provenance`).expect(200);
+      expect(provenance.body.provenance.authentic).toBe(false);
+      expect(provenance.body.provenance.certificates.map((entry) => entry.certificateTypeName)).not.toContain('COMPLIANCE');
+    });
+
+    it('should store check certificates by hash and verify them against the chain', async () => {
+      const { qualityCertificateHash } = await contractService.performQualityCheck(TEST_ADDRESS, productId, 90, '', 'Re-inspected');
+
+      const stored = await request(app).get(`/api/certificates/${qualityCertificateHash}`).expect(200);
+      expect(stored.body.certificate).toMatchObject({
+        productId,
+        type: 'QUALITY_CHECK',
+        verifier: TEST_ADDRESS.toLowerCase(),
+        result: 90,
+        notes: 'Re-inspected'
+      });
+
+      const verified = await request(app)
+        .post('/api/certificates/verify')
+        .send({ certificate: stored.body.certificate })
+        .expect(200);
+      expect(verified.body.hash).toBe(qualityCertificateHash);
+      expect(verified.body.verified).toBe(true);
+      expect(verified.body.valid).toBe(true);
+      expect(verified.body.matches.map((match) => match.source)).toEqual(expect.arrayContaining(['certificate', 'verification']));
+
+      const tampered = await request(app)
+        .post('/api/certificates/verify')
+        .send({ certificate: { ...stored.body.certificate, result: 100 } })
+        .expect(200);
+      expect(tampered.body.verified).toBe(false);
+      expect(tampered.body.matches).toEqual([]);
+    });
+
+    it('should reject malformed certificates and unknown certificate hashes', async () => {
+      const malformed = await request(app)
+        .post('/api/certificates/verify')
+        .send({ certificate: { productId, type: 'QUALITY_CHECK', verifier: INVALID_ADDRESS, result: 80, timestamp: 1 } });
+      expect(malformed.status).toBe(400);
+
+      const unknown = await request(app).get(`/api/certificates/0x${'0'.repeat(64)}`);
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should reject relayed checks whose certificate does not match the signed hash', async () => {
+      const certificate = { productId, type: 'QUALITY_CHECK', verifier: TEST_ADDRESS, result: 80, notes: '', timestamp: 1700000000 };
+      const response = await request(app)
+        .post('/api/verification/quality')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, qualityScore: 80, certificateHash: `0x${'1'.repeat(64)}`, certificate, signature: '0x' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('does not match certificateHash');
+    });
+
+    it('should store each verification record with its verifier, score, notes and hash', async () => {
+      const { productId: checkedId } = await contractService.registerProduct(TEST_ADDRESS, 'Recorded Product', 'REC001', 'Test Origin', '', {});
+      const quality = await contractService.performQualityCheck(TEST_ADDRESS, checkedId, 72, '0xqualityrecord', 'Crisp and fresh');
+      const compliance = await contractService.checkCompliance(TEST_ADDRESS, checkedId, false, '0xcompliancerecord', 'Label missing');
+      const qualityBlock = await contractService.provider.getBlock(quality.blockNumber);
+      const complianceBlock = await contractService.provider.getBlock(compliance.blockNumber);
+
+      // A failed compliance check keeps no hash and triggers no authenticity record
+      const history = await contractService.getVerificationHistory(checkedId);
+      expect(history).toEqual([
+        { verifier: TEST_ADDRESS, timestamp: qualityBlock.timestamp, vType: 0, type: 0, result: true, score: 72, notes: 'Crisp and fresh', certificateHash: '0xqualityrecord' },
+        { verifier: TEST_ADDRESS, timestamp: complianceBlock.timestamp, vType: 1, type: 1, result: false, score: 0, notes: 'Label missing', certificateHash: '' }
+      ]);
+
+      const provenance = JSON.parse(await contractService.supplyChainContract.getCompleteProvenance(checkedId));
+      expect(provenance.verifications).toEqual(history.map(({ vType, ...record }) => ({ ...record, verifier: TEST_ADDRESS.toLowerCase() })));
+    });
+  });
+
+  describe('Cold Chain API', () => {
+    it('should get cold-chain log for a product', async () => {
+      const response = await request(app)
+        .get(`/api/coldchain/${TEST_PRODUCT_ID}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success');
+      expect(response.body).toHaveProperty('requirement');
+      expect(Array.isArray(response.body.readings)).toBe(true);
+      expect(Array.isArray(response.body.batches)).toBe(true);
+      expect(typeof response.body.isCompromised).toBe('boolean');
+    });
+
+    it('should reject requirement with minimum above maximum', async () => {
+      const response = await request(app)
+        .post(`/api/coldchain/${TEST_PRODUCT_ID}/requirement`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, minTemperature: 8, maxTemperature: 2 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should reject readings with invalid temperature', async () => {
+      const response = await request(app)
+        .post(`/api/coldchain/${TEST_PRODUCT_ID}/readings?signerAddress=${TEST_ADDRESS}`)
+        .set(authHeader())
+        .set('Content-Type', 'text/csv')
+        .send('timestamp,temperature\n1700000000,warm')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should block transfers of products whose cold chain was breached', async () => {
+      const registered = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Chilled Product', batchId: 'BATCH-CHILLED', origin: 'Test Origin' })
+        .expect(200);
+      const productId = registered.body.productId;
+      await request(app)
+        .post(`/api/coldchain/${productId}/requirement`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, minTemperature: 2, maxTemperature: 8, maxExcursionMinutes: 0 })
+        .expect(200);
+      const upload = await request(app)
+        .post(`/api/coldchain/${productId}/readings`)
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, readings: [{ timestamp: Math.floor(Date.now() / 1000) - 120, temperature: 12 }] })
+        .expect(200);
+      expect(upload.body.breach).toBe(true);
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, toAddress: OTHER_WALLET.address, shipmentDetails: 'Warm truck' })
+        .expect(409);
+      expect(response.body.code).toBe('COLD_CHAIN_COMPROMISED');
+    });
+  });
+
+  describe('Contracts API', () => {
+    it('should return contract addresses and ABIs', async () => {
+      const response = await request(app)
+        .get('/api/contracts')
+        .expect(200);
+      
+      expect(response.body.chainId).toBe(1337);
+      expect(response.body.contracts.supplyChain.address).toBe(contractService.contractAddresses.supplyChain);
+      expect(response.body.contracts.accessControl.address).toBe(contractService.contractAddresses.accessControl);
+      
+      const abi = response.body.contracts.supplyChain.abi;
+      expect(abi.some((fragment) => fragment.name === 'registerProduct')).toBe(true);
+    });
+  });
+
+  describe('Relay API', () => {
+    /**
+     * Get a request deadline 10 minutes past the latest block
+     * Blocks mined in quick succession run the chain clock ahead of the wall clock
+     * @returns {Promise<number>} Unix timestamp
+     */
+    async function relayDeadline() {
+      const block = await contractService.provider.getBlock('latest');
+      return block.timestamp + 600;
+    }
+
+    /**
+     * Sign a RegisterProduct request for TEST_ADDRESS with the relay's domain and types
+     * @param {Object} overrides - Request fields to override
+     * @param {ethers.Wallet} wallet - Signing wallet
+     * @returns {Promise<Object>} Request body for POST /api/products/register
+     */
+    async function signRegistration(overrides = {}, wallet = TEST_WALLET) {
+      const info = await request(app).get(`/api/relay/${TEST_ADDRESS}`);
+      const fields = {
+        signer: TEST_ADDRESS,
+        name: 'Relayed Product',
+        batchId: 'RELAY001',
+        origin: 'Test Origin',
+        metadataHash: '',
+        productionDate: 0,
+        bestBeforeDate: 0,
+        useByDate: 0,
+        nonce: info.body.nonce,
+        deadline: await relayDeadline(),
+        ...overrides
+      };
+      const signature = await wallet.signTypedData(
+        info.body.domain,
+        { RegisterProduct: info.body.types.RegisterProduct },
+        fields
+      );
+      // Dates signed as 0 are omitted from the body
+      const { signer, ...body } = fields;
+      for (const field of ['productionDate', 'bestBeforeDate', 'useByDate']) {
+        if (!body[field]) {
+          delete body[field];
+        }
+      }
+      return { ...body, signature };
+    }
+
+    it('should return the signing details for an address', async () => {
+      const response = await request(app)
+        .get(`/api/relay/${TEST_ADDRESS}`)
+        .expect(200);
+      
+      expect(isValidAddress(response.body.relayer)).toBe(true);
+      expect(response.body.domain.verifyingContract).toBe(contractService.contractAddresses.forwarder);
+      expect(response.body.domain.chainId).toBe(1337);
+      expect(response.body.types).toHaveProperty('TransferOwnership');
+      expect(Number.isInteger(response.body.nonce)).toBe(true);
+    });
+
+    it('should relay a signed registration on behalf of the signer', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send(await signRegistration())
+        .expect(200);
+      
+      const product = await contractService.getProduct(response.body.productId);
+      expect(product.producer).toBe(TEST_ADDRESS);
+      
+      const tx = await contractService.provider.getTransaction(response.body.transactionHash);
+      expect(tx.from).not.toBe(TEST_ADDRESS);
+    });
+
+    it('should only relay signed writes when node signing is disabled', async () => {
+      process.env.ALLOW_NODE_SIGNERS = 'false';
+      try {
+        const unsigned = await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send({ signerAddress: TEST_ADDRESS, name: 'Unsigned Product', batchId: 'RELAY002', origin: 'Test Origin' });
+        expect(unsigned.status).toBe(503);
+        expect(unsigned.body.code).toBe('NODE_SIGNER_DISABLED');
+
+        await request(app)
+          .post('/api/products/register')
+          .set(authHeader())
+          .send(await signRegistration({ batchId: 'RELAY002' }))
+          .expect(200);
+      } finally {
+        delete process.env.ALLOW_NODE_SIGNERS;
+      }
+    });
+
+    it('should reject a signature from another account', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send(await signRegistration({}, ethers.Wallet.createRandom()));
+      
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should reject an expired request', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send(await signRegistration({ deadline: Math.floor(Date.now() / 1000) - 60 }));
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('REQUEST_EXPIRED');
+    });
+
+    it('should relay a signed transfer acceptance on behalf of the recipient', async () => {
+      const registered = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Relayed Shipment', batchId: 'RELAY002', origin: 'Test Origin' })
+        .expect(200);
+      const productId = registered.body.productId;
+      await request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, productId, toAddress: OTHER_WALLET.address })
+        .expect(200);
+      
+      const info = await request(app).get(`/api/relay/${OTHER_WALLET.address}`);
+      const fields = {
+        signer: OTHER_WALLET.address,
+        productId,
+        nonce: info.body.nonce,
+        deadline: await relayDeadline()
+      };
+      const signature = await OTHER_WALLET.signTypedData(
+        info.body.domain,
+        { AcceptTransfer: info.body.types.AcceptTransfer },
+        fields
+      );
+      const response = await request(app)
+        .post(`/api/transfers/${productId}/accept`)
+        .set({ Authorization: `Bearer ${await signIn(OTHER_WALLET)}` })
+        .send({ signerAddress: OTHER_WALLET.address, nonce: fields.nonce, deadline: fields.deadline, signature })
+        .expect(200);
+      
+      const product = await contractService.getProduct(productId);
+      expect(product.currentOwner).toBe(OTHER_WALLET.address);
+      const tx = await contractService.provider.getTransaction(response.body.transactionHash);
+      expect(tx.from).not.toBe(OTHER_WALLET.address);
+    });
+
+    it('should reject a reused nonce', async () => {
+      const body = await signRegistration();
+      await request(app).post('/api/products/register').set(authHeader()).send(body).expect(200);
+      
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send(body);
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_NONCE');
+    });
+  });
+
+  describe('Jobs API', () => {
+    /**
+     * Poll a job until it leaves the pending state
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} Finished job
+     */
+    async function waitForJob(id) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await request(app).get(`/api/jobs/${id}`).expect(200);
+        if (response.body.job.status !== 'pending') {
+          return response.body.job;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      }
+      throw new Error(`Job ${id} still pending`);
+    }
+
+    it('should queue a write and report it once mined', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .set('Prefer', 'respond-async')
+        .send({ signerAddress: TEST_ADDRESS, name: 'Queued Product', batchId: 'JOB001', origin: 'Test Origin' })
+        .expect(202);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.jobId}`);
+      
+      const job = await waitForJob(response.body.jobId);
+      expect(job.status).toBe('mined');
+      expect(job.type).toBe('registerProduct');
+      expect(job.transactionHash).toMatch(/^0x[a-fA-F0-9]{64}$/);
+      expect(job.attempts).toBe(1);
+      expect(job.result.productId).toBeGreaterThan(0);
+    });
+
+    it('should include the job ID in synchronous responses', async () => {
+      const response = await request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .send({ signerAddress: TEST_ADDRESS, name: 'Sync Product', batchId: 'JOB002', origin: 'Test Origin' })
+        .expect(200);
+      
+      const job = await request(app).get(`/api/jobs/${response.body.jobId}`).expect(200);
+      expect(job.body.job.status).toBe('mined');
+      expect(job.body.job.result.productId).toBe(response.body.productId);
+    });
+
+    it('should give concurrent writes from one signer distinct nonces', async () => {
+      const responses = await Promise.all([1, 2, 3].map((n) => request(app)
+        .post('/api/products/register')
+        .set(authHeader())
+        .set('Prefer', 'respond-async')
+        .send({ signerAddress: TEST_ADDRESS, name: `Concurrent Product ${n}`, batchId: `JOB10${n}`, origin: 'Test Origin' })
+        .expect(202)));
+      
+      const jobs = await Promise.all(responses.map((response) => waitForJob(response.body.jobId)));
+      expect(jobs.every((job) => job.status === 'mined')).toBe(true);
+      expect(new Set(jobs.map((job) => job.result.productId)).size).toBe(3);
+    });
+
+    it('should report a reverted transaction with its decoded error', async () => {
+      const response = await request(app)
+        .post('/api/transfers')
+        .set(authHeader())
+        .set('Prefer', 'respond-async')
+        .send({ signerAddress: TEST_ADDRESS, productId: TEST_PRODUCT_ID, toAddress: TEST_ADDRESS })
+        .expect(202);
+      
+      const job = await waitForJob(response.body.jobId);
+      expect(job.status).toBe('reverted');
+      expect(job.error.code).toBe('TRANSFER_TO_SELF');
+      expect(job.error.params).toEqual({ account: TEST_ADDRESS });
+      expect(job.error.reason).toBe(`TransferToSelf(${TEST_ADDRESS})`);
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      const response = await request(app)
+        .get('/api/jobs/00000000-0000-0000-0000-000000000000')
+        .expect(404);
+      
+      expect(response.body.message).toBe('Job not found');
+    });
+  });
+
+  describe('Event Stream API', () => {
+    /**
+     * Open an event stream on a temporary server
+     * @param {string} query - Query string, without the leading '?'
+     * @param {Object} headers - Extra request headers
+     * @returns {Promise<Object>} { messages, waitFor(predicate), close() }
+     */
+    async function openStream(query, headers = {}) {
+      const server = app.listen(0);
+      await new Promise((resolve) => server.once('listening', resolve));
+      const messages = [];
+      let buffer = '';
+      
+      const response = await new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path: `/api/events/stream?${query}`, headers }, resolve).on('error', reject);
+      });
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const data = block.split('\n').find((line) => line.startsWith('data: '));
+          if (data) {
+            messages.push(JSON.parse(data.slice(6)));
+          }
+        }
+      });
+      
+      return {
+        messages,
+        async waitFor(predicate) {
+          for (let attempt = 0; attempt < 50; attempt++) {
+            const message = messages.find(predicate);
+            if (message) {
+              return message;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+          }
+          throw new Error('Event not received');
+        },
+        close() {
+          response.destroy();
+          server.close();
+        }
+      };
+    }
+
+    let streamedEvent = null;
+
+    it('should stream newly indexed events matching the filters', async () => {
+      await indexerService.sync();
+      const stream = await openStream(`address=${TEST_ADDRESS}&events=ProductRegistered`);
+      try {
+        const result = await contractService.registerProduct(TEST_ADDRESS, 'Streamed Product', 'STREAM001', 'Test Origin', '', {});
+        await indexerService.sync();
+        
+        streamedEvent = await stream.waitFor((message) => message.productId === result.productId);
+        expect(streamedEvent.event).toBe('ProductRegistered');
+        expect(streamedEvent.args.producer).toBe(TEST_ADDRESS);
+        expect(streamedEvent.transactionHash).toBe(result.transactionHash);
+        expect(stream.messages.every((message) => message.event === 'ProductRegistered')).toBe(true);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('should replay events missed since Last-Event-ID', async () => {
+      const result = await contractService.registerProduct(TEST_ADDRESS, 'Missed Product', 'STREAM002', 'Test Origin', '', {});
+      
+      const stream = await openStream(`productId=${result.productId}`, { 'Last-Event-ID': streamedEvent.id });
+      try {
+        const replayed = await stream.waitFor((message) => message.event === 'ProductRegistered');
+        expect(replayed.productId).toBe(result.productId);
+        expect(stream.messages.every((message) => message.productId === result.productId)).toBe(true);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('should reject unknown event names', async () => {
+      const response = await request(app)
+        .get('/api/events/stream?events=NotAnEvent')
+        .expect(400);
+      
+      expect(response.body.message).toContain('Unknown events: NotAnEvent');
+    });
+
+    it('should reject an invalid address filter', async () => {
+      await request(app)
+        .get(`/api/events/stream?address=${INVALID_ADDRESS}`)
+        .expect(400);
+    });
+  });
+
+  describe('Webhooks API', () => {
+    let receiver;
+
+    beforeEach(async () => {
+      receiver = createEchoReceiver();
+      await receiver.listen();
+    });
+
+    afterEach(async () => {
+      await receiver.close();
+    });
+
+    /**
+     * Register a webhook pointing at the echo receiver and hand its secret to the receiver
+     * @param {Object} body - Webhook fields besides url
+     * @returns {Promise<Object>} Created webhook
+     */
+    async function registerWebhook(body) {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set(authHeader())
+        .send({ url: receiver.url, ...body })
+        .expect(200);
+      receiver.secret = response.body.secret;
+      return response.body.webhook;
+    }
+
+    /**
+     * Index new blocks and send every due delivery
+     */
+    async function deliver() {
+      await indexerService.sync();
+      await webhookService.processDueDeliveries();
+    }
+
+    it('should require a session', async () => {
+      await request(app)
+        .post('/api/webhooks')
+        .send({ url: 'http://127.0.0.1:4000/', events: ['ProductRegistered'] })
+        .expect(401);
+    });
+
+    it('should reject invalid webhooks', async () => {
+      const badUrl = await request(app)
+        .post('/api/webhooks')
+        .set(authHeader())
+        .send({ url: 'ftp://example.com', events: ['ProductRegistered'] });
+      expect(badUrl.status).toBe(400);
+      
+      const badEvent = await request(app)
+        .post('/api/webhooks')
+        .set(authHeader())
+        .send({ url: 'http://127.0.0.1:4000/', events: ['NotAnEvent'] });
+      expect(badEvent.status).toBe(400);
+      expect(badEvent.body.message).toContain('Unknown events: NotAnEvent');
+    });
+
+    it('should create, list, update and delete a webhook', async () => {
+      const created = await request(app)
+        .post('/api/webhooks')
+        .set(authHeader())
+        .send({ url: 'http://127.0.0.1:4000/', events: ['ProductRecalled'], filters: { batchId: 'BATCH001' } })
+        .expect(200);
+      const id = created.body.webhook.id;
+      expect(created.body.secret).toMatch(/^[a-f0-9]{64}$/);
+      expect(created.body.webhook).not.toHaveProperty('secret');
+      expect(created.body.webhook.filters.batchId).toBe('BATCH001');
+      
+      const list = await request(app).get('/api/webhooks').set(authHeader()).expect(200);
+      expect(list.body.webhooks.map((webhook) => webhook.id)).toContain(id);
+      
+      const updated = await request(app)
+        .put(`/api/webhooks/${id}`)
+        .set(authHeader())
+        .send({ events: ['ProductRecalled', 'ProductVerified'], active: false })
+        .expect(200);
+      expect(updated.body.webhook.events).toEqual(['ProductRecalled', 'ProductVerified']);
+      expect(updated.body.webhook.active).toBe(false);
+      expect(updated.body.webhook.filters.batchId).toBe('BATCH001');
+      
+      await request(app).delete(`/api/webhooks/${id}`).set(authHeader()).expect(200);
+      await request(app).get(`/api/webhooks/${id}`).set(authHeader()).expect(404);
+    });
+
+    it("should hide webhooks from other accounts", async () => {
+      const webhook = await registerWebhook({ events: ['ProductRegistered'] });
+      
+      const otherToken = await signIn(OTHER_WALLET);
+      
+      await request(app)
+        .get(`/api/webhooks/${webhook.id}`)
+        .set({ Authorization: `Bearer ${otherToken}` })
+        .expect(404);
+      await request(app).delete(`/api/webhooks/${webhook.id}`).set(authHeader()).expect(200);
+    });
+
+    it('should deliver matching events signed with the webhook secret', async () => {
+      const webhook = await registerWebhook({ events: ['ProductRegistered'], filters: { producer: TEST_ADDRESS, batchId: 'HOOK001' } });
+      
+      const result = await contractService.registerProduct(TEST_ADDRESS, 'Hooked Product', 'HOOK001', 'Test Origin', '', {});
+      await contractService.registerProduct(TEST_ADDRESS, 'Other Batch', 'HOOK002', 'Test Origin', '', {});
+      await deliver();
+      
+      expect(receiver.deliveries.length).toBe(1);
+      const delivery = receiver.deliveries[0];
+      expect(delivery.event).toBe('ProductRegistered');
+      expect(delivery.payload.productId).toBe(result.productId);
+      expect(delivery.payload.batchId).toBe('HOOK001');
+      expect(delivery.payload.transactionHash).toBe(result.transactionHash);
+      expect(verifySignature(receiver.secret, delivery.headers, JSON.stringify(delivery.payload))).toBe(true);
+      
+      const log = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(authHeader()).expect(200);
+      expect(log.body.deliveries.length).toBe(1);
+      expect(log.body.deliveries[0].status).toBe('succeeded');
+      expect(log.body.deliveries[0].lastStatusCode).toBe(200);
+      
+      await request(app).delete(`/api/webhooks/${webhook.id}`).set(authHeader()).expect(200);
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      await receiver.close();
+      receiver = createEchoReceiver({ failFirst: 1 });
+      await receiver.listen();
+      const retryBaseDelay = webhookService.retryBaseDelay;
+      webhookService.retryBaseDelay = 200;
+      
+      try {
+        const webhook = await registerWebhook({ events: ['ProductRegistered'], filters: { batchId: 'HOOK003' } });
+        await contractService.registerProduct(TEST_ADDRESS, 'Retried Product', 'HOOK003', 'Test Origin', '', {});
+        await deliver();
+        
+        const failed = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(authHeader()).expect(200);
+        expect(failed.body.deliveries[0].status).toBe('pending');
+        expect(failed.body.deliveries[0].attempts).toBe(1);
+        expect(failed.body.deliveries[0].lastStatusCode).toBe(500);
+        expect(receiver.deliveries.length).toBe(0);
+        
+        await new Promise((resolve) => setTimeout(resolve, 250));
+        await webhookService.processDueDeliveries();
+        
+        const delivered = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(authHeader()).expect(200);
+        expect(delivered.body.deliveries[0].status).toBe('succeeded');
+        expect(delivered.body.deliveries[0].attempts).toBe(2);
+        expect(receiver.deliveries.length).toBe(1);
+        
+        await request(app).delete(`/api/webhooks/${webhook.id}`).set(authHeader()).expect(200);
+      } finally {
+        webhookService.retryBaseDelay = retryBaseDelay;
+      }
+    });
+  });
+
+  describe('QR Code API', () => {
+    it('should generate QR code image', async () => {
+      const response = await request(app)
+        .get(`/api/qr/${TEST_PRODUCT_ID}`)
+        .expect(200);
+      
+      expect(response.headers['content-type']).toContain('image/png');
+    });
+
+    it('should get QR code data', async () => {
+      const response = await request(app)
+        .get(`/api/qr/${TEST_PRODUCT_ID}/data`)
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('success');
+      expect(response.body).toHaveProperty('data');
+    });
+
+    it('should reject invalid product ID for QR', async () => {
+      const response = await request(app)
+        .get('/api/qr/invalid-id');
+      
+      expect(response.status).toBeGreaterThanOrEqual(400);
+    });
+  });
+});
+
+describe('Service Layer Tests', () => {
+  
+  describe('Auth Service', () => {
+    it('should only drop the oldest unused nonces of the client asking for more', () => {
+      const maxNoncesPerClient = authService.maxNoncesPerClient;
+      authService.maxNoncesPerClient = 3;
+      
+      try {
+        const other = authService.createNonce('198.51.100.1');
+        const nonces = [1, 2, 3, 4, 5].map(() => authService.createNonce('198.51.100.2'));
+        expect([...authService.clientNonces.get('198.51.100.2')]).toEqual(nonces.slice(2));
+        expect(authService.nonces.has(other)).toBe(true);
+      } finally {
+        authService.maxNoncesPerClient = maxNoncesPerClient;
+      }
+    });
+
+    it('should refuse new nonces once the store is full', () => {
+      const maxNonces = authService.maxNonces;
+      authService.maxNonces = authService.nonces.size;
+      
+      try {
+        expect(() => authService.createNonce('198.51.100.3')).toThrow('Too many sign-ins in progress');
+      } finally {
+        authService.maxNonces = maxNonces;
+      }
+    });
+  });
+
+  describe('Contract Service', () => {
+    it('should initialize contract service', async () => {
+      await contractService.initialize();
+      expect(contractService.provider).not.toBeNull();
+    });
+
+    it('should get user role', async () => {
+      await contractService.initialize();
+      const role = await contractService.getUserRole(TEST_ADDRESS);
+      expect(typeof role).toBe('number');
+      expect(role).toBeGreaterThanOrEqual(0);
+      expect(role).toBeLessThanOrEqual(4);
+    });
+
+    it('should check if user has role', async () => {
+      await contractService.initialize();
       const hasRole = await contractService.hasRole(TEST_ADDRESS, 0);
       expect(typeof hasRole).toBe('boolean');
     });
   });
 
+  describe('Indexer Service', () => {
+    it('should serve the same product data as the chain', async () => {
+      await contractService.initialize();
+      const products = await indexerService.listProducts();
+      expect(products.length).toBe(await contractService.getProductCount());
+      
+      const onChain = await contractService.getProduct(TEST_PRODUCT_ID);
+      const indexed = await indexerService.getProduct(TEST_PRODUCT_ID);
+      expect(indexed).toEqual({ ...onChain, id: TEST_PRODUCT_ID });
+    });
+
+    it('should roll back products registered in orphaned blocks', async () => {
+      await contractService.initialize();
+      const provider = contractService.provider;
+      const snapshot = await provider.send('evm_snapshot', []);
+      
+      const result = await contractService.registerProduct(TEST_ADDRESS, 'Orphaned Product', 'BATCH-ORPHAN', 'Test Origin', '', {});
+      const indexed = await indexerService.getProduct(result.productId);
+      expect(indexed.name).toBe('Orphaned Product');
+      
+      // Replace the block holding the registration with empty blocks
+      await provider.send('evm_revert', [snapshot]);
+      await provider.send('evm_mine', []);
+      await provider.send('evm_mine', []);
+      
+      await expect(indexerService.getProduct(result.productId)).rejects.toThrow('product does not exist');
+    });
+  });
+
+  describe('Event Stream Service', () => {
+    const event = {
+      contract: 'SafeBiteSupplyChain',
+      name: 'OwnershipTransferred',
+      args: { productId: 7, from: TEST_ADDRESS, to: '0x70997970C51812dc3A010C7d01b50e0aa4dC79C8', shipmentDetails: '' }
+    };
+    const noFilter = { addresses: [], productIds: [], events: [] };
+
+    it('should match events by address, product and name', () => {
+      expect(eventStreamService.matches(event, noFilter)).toBe(true);
+      expect(eventStreamService.matches(event, { ...noFilter, addresses: ['0x70997970c51812dc3a010c7d01b50e0aa4dc79c8'] })).toBe(true);
+      expect(eventStreamService.matches(event, { ...noFilter, addresses: ['0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc'] })).toBe(false);
+      expect(eventStreamService.matches(event, { ...noFilter, productIds: [7] })).toBe(true);
+      expect(eventStreamService.matches(event, { ...noFilter, productIds: [8] })).toBe(false);
+      expect(eventStreamService.matches(event, { ...noFilter, events: ['ProductVerified'] })).toBe(false);
+    });
+
+    it('should not stream events outside the streamed set', () => {
+      expect(eventStreamService.matches({ ...event, contract: 'SafeBiteAccessRoles' }, noFilter)).toBe(false);
+    });
+  });
+
   describe('QR Service', () => {
     it('should generate QR code data', () => {
       const qrData = qrService.getQRCodeData(TEST_PRODUCT_ID);
@@ -393,6 +2992,7 @@ describe('Error Handling', () => {
   it('should handle missing required fields', async () => {
     const response = await request(app)
       .post('/api/products/register')
+      .set(authHeader())
       .send({});
     
     expect(response.status).toBeGreaterThanOrEqual(400);
@@ -401,6 +3001,7 @@ describe('Error Handling', () => {
   it('should handle invalid data types', async () => {
     const response = await request(app)
       .post('/api/products/register')
+      .set(authHeader())
       .send({
         signerAddress: TEST_ADDRESS,
         name: 123, // Invalid: should be string
@@ -410,5 +3011,56 @@ describe('Error Handling', () => {
     
     expect(response.status).toBeGreaterThanOrEqual(400);
   });
+
+  describe('Contract Errors', () => {
+    const supplyChainInterface = new ethers.Interface(loadContractABI('SafeBiteSupplyChain'));
+    const governanceInterface = new ethers.Interface(loadContractABI('SafeBiteGovernance'));
+
+    it('should decode a custom error from the revert data in a wrapped message', () => {
+      const data = supplyChainInterface.encodeErrorResult('InvalidTransition', [0, 3]);
+      const error = new Error(`Failed to update status: execution reverted (unknown custom error) (action="estimateGas", data="${data}", reason=null)`);
+
+      expect(getErrorStatus(error)).toBe(409);
+      expect(formatError(error, 'updateStatus')).toEqual({
+        error: true,
+        message: 'Product status cannot move from CREATED to STORED',
+        context: 'updateStatus',
+        code: 'INVALID_TRANSITION',
+        params: { from: 0, to: 3 }
+      });
+    });
+
+    it('should decode a custom error kept as the cause of a rethrown error', () => {
+      const cause = new Error('execution reverted: NotProductOwner(uint256,address,address)');
+      cause.data = supplyChainInterface.encodeErrorResult('NotProductOwner', [7, OTHER_WALLET.address, TEST_ADDRESS]);
+      const error = new Error(`Failed to transfer ownership: ${cause.message}`, { cause });
+
+      expect(decodeContractError(error)).toMatchObject({
+        name: 'NotProductOwner',
+        code: 'NOT_PRODUCT_OWNER',
+        status: 403,
+        params: { productId: 7, caller: OTHER_WALLET.address, owner: TEST_ADDRESS }
+      });
+    });
+
+    it('should map lookup and input errors to 404 and 422', () => {
+      const notFound = new Error('reverted');
+      notFound.data = governanceInterface.encodeErrorResult('ProposalNotFound', [42]);
+      const emptyField = new Error('reverted');
+      emptyField.data = supplyChainInterface.encodeErrorResult('EmptyField', ['name']);
+
+      expect(getErrorStatus(notFound)).toBe(404);
+      expect(getErrorStatus(emptyField)).toBe(422);
+      expect(formatError(emptyField).message).toBe('name cannot be empty');
+    });
+
+    it('should leave other errors undecoded', () => {
+      const error = new Error('connection refused');
+
+      expect(decodeContractError(error)).toBeNull();
+      expect(getErrorStatus(error)).toBe(500);
+      expect(formatError(error).params).toBeUndefined();
+    });
+  });
 });
 
@@ -0,0 +1,149 @@
+/**
+ * Webhook Echo Receiver
+ * Local HTTP endpoint for exercising webhook deliveries offline
+ * 
+ * Checks each delivery's HMAC signature and timestamp the way an integrator should,
+ * records it and prints it. It can fail the first few deliveries to exercise retries.
+ * 
+ * Used by the backend tests, or run on its own:
+ * 
+ *   npm run webhook:echo -- --port 4000 --secret <secret> --fail-first 2
+ * 
+ * then register http://localhost:4000/ as a webhook URL.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Deliveries signed more than this long ago are rejected, to stop replays
+const MAX_SIGNATURE_AGE_SECONDS = 300;
+
+/**
+ * Check a delivery's signature
+ * 
+ * @param {string} secret - Webhook secret
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {string} body - Raw request body
+ * @returns {boolean} True if X-SafeBite-Signature is the HMAC-SHA256 of "<timestamp>.<body>"
+ *   and X-SafeBite-Timestamp is recent
+ */
+function verifySignature(secret, headers, body) {
+  const timestamp = Number(headers['x-safebite-timestamp']);
+  const signature = headers['x-safebite-signature'] || '';
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_SIGNATURE_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Create an echo receiver
+ * 
+ * @param {Object} options - Receiver options
+ * @param {string} options.secret - Webhook secret to check signatures with (unchecked if omitted)
+ * @param {number} options.failFirst - Answer this many deliveries with 500 before accepting any
+ * @param {boolean} options.log - Print each delivery (default false)
+ * @returns {Object} { deliveries, secret, listen(port), close(), url }
+ * 
+ * deliveries holds every accepted delivery as { id, event, headers, payload }.
+ * The secret can be set after creation, once the webhook has been registered.
+ */
+function createEchoReceiver({ secret = null, failFirst = 0, log = false } = {}) {
+  const receiver = {
+    deliveries: [],
+    secret,
+    url: null
+  };
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (receiver.secret && !verifySignature(receiver.secret, req.headers, body)) {
+        if (log) {
+          console.log(`Rejected delivery ${req.headers['x-safebite-delivery']}: bad signature`);
+        }
+        res.writeHead(401).end();
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        if (log) {
+          console.log(`Failing delivery ${req.headers['x-safebite-delivery']} on purpose`);
+        }
+        res.writeHead(500).end();
+        return;
+      }
+
+      const delivery = {
+        id: req.headers['x-safebite-delivery'],
+        event: req.headers['x-safebite-event'],
+        headers: req.headers,
+        payload: JSON.parse(body)
+      };
+      receiver.deliveries.push(delivery);
+      if (log) {
+        console.log(`${delivery.event} (${delivery.id})`);
+        console.log(JSON.stringify(delivery.payload, null, 2));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ received: true }));
+    });
+  });
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 for any free port)
+   * @returns {Promise<string>} URL to register as the webhook URL
+   */
+  receiver.listen = (port = 0) => new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${server.address().port}/`;
+      resolve(receiver.url);
+    });
+  });
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  receiver.close = () => new Promise((resolve) => server.close(() => resolve()));
+
+  return receiver;
+}
+
+/**
+ * Read a --name value command-line option
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value when the option is missing
+ * @returns {string} Option value
+ */
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const receiver = createEchoReceiver({
+    secret: readOption('secret', process.env.WEBHOOK_SECRET || null),
+    failFirst: parseInt(readOption('fail-first', '0')),
+    log: true
+  });
+  receiver.listen(parseInt(readOption('port', '4000'))).then((url) => {
+    console.log(`Webhook echo receiver listening on ${url}`);
+    if (!receiver.secret) {
+      console.log('No --secret given: signatures are not checked');
+    }
+  });
+}
+
+module.exports = {
+  createEchoReceiver,
+  verifySignature
+};
@@ -3,6 +3,136 @@
  * Standardized error responses for API
  */
 
+const { ethers } = require('ethers');
+const { loadContractABI } = require('./helpers');
+
+// Contracts whose custom errors can be decoded
+const CONTRACT_NAMES = [
+  'SafeBiteSupplyChain',
+  'SafeBiteAccessRoles',
+  'SafeBiteRecalls',
+  'SafeBiteColdChain',
+  'SafeBiteForwarder',
+  'SafeBiteGovernance',
+  'SafeBiteCertificates'
+];
+
+// Role names by their value in SafeBiteAccessRoles.Role
+const ROLE_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
+
+// Product status names by their value in ProductStatus
+const STATUS_NAMES = ['CREATED', 'SHIPPED', 'RECEIVED', 'STORED', 'DELIVERED', 'EXPIRED'];
+
+// HTTP status and message of each custom error the contracts revert with, by error name
+// Missing permissions are 403, unknown records 404, calls the current state does not allow 409
+// and invalid arguments 422. Messages are strings or functions of the decoded parameters.
+const CONTRACT_ERRORS = {
+  // Access errors
+  MissingRole: { status: 403, message: ({ role }) => `You must be a ${ROLE_NAMES[role]} to perform this action` },
+  NotRetailerOrRegulator: { status: 403, message: 'You must be a RETAILER or REGULATOR to perform this action' },
+  NotAccessControlOwner: { status: 403, message: 'Only the access control owner can perform this action' },
+  NotProductOwner: { status: 403, message: 'You are not the owner of this product' },
+  NotTransferRecipient: { status: 403, message: 'Only the recipient of the pending transfer can accept or reject it' },
+  NotCustodian: { status: 403, message: 'Only the current owner of the product can record its temperatures' },
+  NotProducer: { status: 403, message: 'Only the producer of the product can set its cold-chain requirement' },
+  NotOwner: { status: 403, message: 'Only the access control owner can manage roles' },
+  NotPendingOwner: { status: 403, message: 'Only the pending owner can accept ownership' },
+  NotGuardian: { status: 403, message: 'Only the guardian can pause or unpause the supply chain' },
+  NotOrganizationAdmin: { status: 403, message: 'Only the access control owner or an admin of this organization can manage its members' },
+  RegulatorRoleOwnerOnly: { status: 403, message: 'Only the access control owner can manage the REGULATOR role' },
+  OutsideOrganization: { status: 403, message: "Organization admins can only manage roles of their organization's members" },
+  NotSigner: { status: 403, message: 'Only governance signers can manage proposals' },
+  NotGovernance: { status: 403, message: 'Only an executed governance proposal can make this change' },
+  NotProposer: { status: 403, message: 'Only the signer who made the proposal can cancel it' },
+  OwnRemovalNotCancellable: { status: 403, message: 'A signer cannot cancel a proposal to remove them' },
+  NotSupplyChain: { status: 403, message: 'Only the supply chain contract can record check certificates' },
+  NotIssuerOrRegulator: { status: 403, message: 'Only the issuer of the certificate or a REGULATOR can revoke it' },
+  InvalidSignature: { status: 401, message: 'Invalid request signature' },
+  // Lookup errors
+  ProductNotFound: { status: 404, message: 'Product not found' },
+  NoPendingTransfer: { status: 404, message: 'No transfer is pending for this product' },
+  OrganizationNotFound: { status: 404, message: 'Organization not found' },
+  NoOrganizationInvitation: { status: 404, message: 'No invitation from this organization for the account' },
+  RoleRequestNotFound: { status: 404, message: 'Role request not found' },
+  ProposalNotFound: { status: 404, message: 'Proposal not found' },
+  RecallNotFound: { status: 404, message: 'Recall not found' },
+  CertificateNotFound: { status: 404, message: 'Certificate not found' },
+  // State errors
+  SupplyChainPaused: { status: 503, message: 'The supply chain is paused; try again once the guardian resumes it' },
+  ProductRecalled: { status: 409, message: 'Product has been recalled' },
+  ColdChainCompromised: { status: 409, message: "Product's cold chain has been breached" },
+  ProductPastUseBy: { status: 409, message: 'Product is past its use-by date and cannot change hands' },
+  ProductExpired: { status: 409, message: 'Product has been marked expired and cannot change hands' },
+  ProductFullyConsumed: { status: 409, message: 'Product has been fully used as an ingredient' },
+  InputUnavailable: { status: 409, message: ({ productId }) => `Ingredient ${productId} is recalled, expired, cold-chain compromised or awaiting a transfer` },
+  TransferAlreadyPending: { status: 409, message: 'A transfer is already pending for this product' },
+  TransferExpired: { status: 409, message: 'Transfer offer has expired' },
+  StatusUnchanged: { status: 409, message: 'Product status is already set to this value' },
+  InvalidTransition: {
+    status: 409,
+    message: ({ from, to }) => `Product status cannot move from ${STATUS_NAMES[from]} to ${STATUS_NAMES[to]}`
+  },
+  RequirementNotSet: { status: 409, message: 'No cold-chain requirement set for this product' },
+  ReadingsAlreadyRecorded: { status: 409, message: 'Cold-chain requirement cannot change once readings are recorded' },
+  ReadingOutOfOrder: { status: 409, message: 'Readings must be recorded in chronological order' },
+  RoleNotHeld: { status: 409, message: 'Account does not have the specified role' },
+  RoleAlreadyHeld: { status: 409, message: 'You already hold this role' },
+  RoleAlreadySuspended: { status: 409, message: 'Role is already suspended' },
+  RoleNotSuspended: { status: 409, message: 'Role is not suspended' },
+  RoleRequestAlreadyPending: { status: 409, message: 'You already have a pending request for this role' },
+  RoleRequestAlreadyDecided: { status: 409, message: 'Role request has already been decided' },
+  NotOrganizationMember: { status: 409, message: 'Account is not an organization member' },
+  AlreadyInOrganization: { status: 409, message: 'Account already belongs to an organization' },
+  AdminRightsHeld: { status: 409, message: "Account is an organization admin; remove the member's admin rights first" },
+  AdminRightsNotHeld: { status: 409, message: 'Account is not an organization admin' },
+  MemberHoldsRoles: { status: 409, message: "Revoke the member's roles before removing them from the organization" },
+  AlreadyOwner: { status: 409, message: 'Address already owns the access control contract' },
+  NoOwnershipTransferPending: { status: 409, message: 'No ownership transfer is pending' },
+  AlreadyPaused: { status: 409, message: 'Supply chain is already paused' },
+  NotPaused: { status: 409, message: 'Supply chain is not paused' },
+  ProposalAlreadyApproved: { status: 409, message: 'You already approved this proposal' },
+  ProposalNotApproved: { status: 409, message: 'You have not approved this proposal' },
+  ProposalAlreadyExecuted: { status: 409, message: 'Proposal has already been executed' },
+  ProposalWasCancelled: { status: 409, message: 'Proposal was cancelled' },
+  NotEnoughApprovals: { status: 409, message: 'Proposal has not reached the approval threshold' },
+  ProposalNotQueued: { status: 409, message: 'Proposal has not been queued; approve it again to start the timelock' },
+  TimelockNotExpired: { status: 409, message: 'Proposal timelock has not expired' },
+  AlreadySigner: { status: 409, message: 'Account is already a governance signer' },
+  SignerNotFound: { status: 409, message: 'Account is not a governance signer' },
+  CertificateAlreadyRevoked: { status: 409, message: 'Certificate has already been revoked' },
+  ThresholdUnreachable: { status: 409, message: 'Removing the signer would leave fewer signers than the threshold' },
+  InvalidNonce: { status: 400, message: ({ expected }) => `Invalid nonce: expected ${expected}` },
+  RequestExpired: { status: 400, message: 'Signed request has expired' },
+  // Input errors
+  ZeroAddress: { status: 422, message: 'Address cannot be the zero address' },
+  EmptyField: { status: 422, message: ({ field }) => `${field} cannot be empty` },
+  InvalidDates: { status: 422, message: 'Dates must satisfy production date <= best before date <= use-by date' },
+  NoInputs: { status: 422, message: 'A composite product needs at least one ingredient' },
+  DuplicateInput: { status: 422, message: ({ productId }) => `Ingredient ${productId} is listed twice or is the composite product itself` },
+  InvalidPortion: { status: 422, message: 'Input portion exceeds the share of the product still available' },
+  TransferToSelf: { status: 422, message: 'Cannot transfer product to yourself' },
+  InvalidRecipient: { status: 422, message: 'Recipient must be a DISTRIBUTOR, RETAILER or CONSUMER' },
+  InvalidQualityScore: { status: 422, message: 'Quality score must be between 0 and 100' },
+  NotesTooLong: { status: 422, message: ({ max }) => `Notes are too long (at most ${max} bytes)` },
+  ConsumerRoleIsPublic: { status: 422, message: 'CONSUMER role does not need to be granted' },
+  ExpiryNotInFuture: { status: 422, message: 'Role expiry must be in the future' },
+  CertificateExpiryNotInFuture: { status: 422, message: 'Certificate expiry must be in the future' },
+  TooManyDocuments: { status: 422, message: ({ max }) => `Too many supporting documents (at most ${max})` },
+  TargetNotGoverned: { status: 422, message: 'Proposals can only call the access control or governance contract' },
+  EmptyCallData: { status: 422, message: 'Proposal call data is empty' },
+  InvalidSignerCount: { status: 422, message: ({ max }) => `Governance needs between 1 and ${max} signers` },
+  InvalidThreshold: { status: 422, message: 'Threshold must be between 1 and the number of signers' },
+  DelayTooLong: { status: 422, message: 'Timelock is too long' },
+  InvalidTemperatureRange: { status: 422, message: 'Minimum temperature must be below maximum temperature' },
+  InvalidTimeRange: { status: 422, message: 'Batch time range is invalid or ends in the future' },
+  ExcursionTooLong: { status: 422, message: ({ maxMinutes }) => `Excursion cannot be longer than the batch (${maxMinutes} minutes)` },
+  ReadingInFuture: { status: 422, message: 'Reading is in the future' },
+  EmptyBatch: { status: 422, message: 'Reading batch needs a data hash and at least one reading' }
+};
+
+// Interfaces used to decode revert data, loaded from the artifacts on first use
+let errorInterfaces = null;
+
 /**
  * Create standardized error response
  * 
@@ -13,6 +143,9 @@
  * This function formats errors from blockchain transactions and other sources
  * into a consistent API response format. It extracts user-friendly messages
  * from contract revert errors and other error types.
+ * 
+ * Custom errors a contract reverted with are reported with a code derived from the
+ * error name (NotProductOwner -> NOT_PRODUCT_OWNER) and their decoded parameters.
  */
 function formatError(error, context = 'Unknown') {
   // Parse different error types
@@ -21,6 +154,17 @@ function formatError(error, context = 'Unknown') {
   // - Validation errors
   // - Return { message, code, context }
   
+  const decoded = decodeContractError(error);
+  if (decoded) {
+    return {
+      error: true,
+      message: decoded.message,
+      context: context,
+      code: decoded.code,
+      params: decoded.params
+    };
+  }
+  
   const friendlyMessage = parseContractError(error);
   
   // Determine error code based on error type
@@ -53,28 +197,17 @@ function formatError(error, context = 'Unknown') {
  * Handles contract revert errors, network errors, and validation errors.
  */
 function parseContractError(error) {
+  const decoded = decodeContractError(error);
+  if (decoded) {
+    return decoded.message;
+  }
+  
   const errorMessage = error.message || error.toString();
   
-  // Common contract error patterns
+  // Errors raised off-chain that are worth rewording; contract reverts are decoded instead
   const errorMappings = {
-    'caller is not a producer': 'You must be a PRODUCER to perform this action',
-    'caller is not a regulator': 'You must be a REGULATOR to perform this action',
-    'caller is not the product owner': 'You are not the owner of this product',
     'product does not exist': 'Product not found',
-    'insufficient funds': 'Insufficient balance for transaction',
-    'cannot transfer to zero address': 'Invalid recipient address',
-    'cannot transfer to yourself': 'Cannot transfer product to yourself',
-    'recipient must be': 'Invalid recipient role',
-    'status is already set': 'Product status is already set to this value',
-    'cannot change status after DELIVERED': 'Cannot modify product after it has been delivered',
-    'quality score must be 0-100': 'Quality score must be between 0 and 100',
-    'metadata hash cannot be empty': 'Metadata hash is required',
-    'product name cannot be empty': 'Product name is required',
-    'batch ID cannot be empty': 'Batch ID is required',
-    'origin cannot be empty': 'Origin is required',
-    'account does not have this role': 'Account does not have the specified role',
-    'cannot grant role to zero address': 'Invalid address for role assignment',
-    'CONSUMER role is public': 'CONSUMER role does not need to be granted'
+    'insufficient funds': 'Insufficient balance for transaction'
   };
   
   // Check for known error patterns
@@ -102,8 +235,178 @@ function parseContractError(error) {
   return errorMessage;
 }
 
+/**
+ * Decode the custom error a contract call reverted with
+ * 
+ * @param {Error} error - Error from a contract call or transaction, possibly wrapped by a service
+ * @returns {Object|null} { name, code, params, status, message }, or null if the error is not a
+ *   custom error of the SafeBite contracts
+ * 
+ * The revert data is read from the Ethers.js error, found through the cause of errors
+ * services rethrow, or from the data="0x..." field kept in their message. It is decoded
+ * with the ABIs of every contract, so errors bubbled up through the forwarder or a
+ * governance proposal decode as well. params maps the error's parameter names to their
+ * values; integers are numbers, or decimal strings beyond Number.MAX_SAFE_INTEGER.
+ */
+function decodeContractError(error) {
+  const data = getRevertData(error);
+  if (!data) {
+    return null;
+  }
+  
+  for (const contractInterface of getErrorInterfaces()) {
+    let description;
+    try {
+      description = contractInterface.parseError(data);
+    } catch (parseError) {
+      continue;
+    }
+    if (!description) {
+      continue;
+    }
+  
+    const params = {};
+    description.fragment.inputs.forEach((input, index) => {
+      params[input.name] = toJsonValue(description.args[index]);
+    });
+  
+    const known = CONTRACT_ERRORS[description.name];
+    const message = known ? known.message : description.name;
+    return {
+      name: description.name,
+      code: description.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase(),
+      params,
+      status: known ? known.status : 500,
+      message: typeof message === 'function' ? message(params) : message
+    };
+  }
+  return null;
+}
+
+/**
+ * Check whether a contract call reverted with a given custom error
+ * 
+ * @param {Error} error - Error from a contract call or transaction, possibly wrapped by a service
+ * @param {string} name - Custom error name (e.g. "ProductNotFound")
+ * @returns {boolean} True if the call reverted with that error
+ */
+function isContractError(error, name) {
+  const decoded = decodeContractError(error);
+  return decoded !== null && decoded.name === name;
+}
+
+/**
+ * Get the HTTP status to answer an error with
+ * 
+ * @param {Error} error - Error caught by a controller
+ * @returns {number} The status set on the error, that of the custom error a contract reverted
+ *   with, or 500
+ */
+function getErrorStatus(error) {
+  if (error.status) {
+    return error.status;
+  }
+  const decoded = decodeContractError(error);
+  return decoded ? decoded.status : 500;
+}
+
+/**
+ * Check whether an error is a contract revert
+ * 
+ * @param {Error} error - Error from a contract call or transaction, possibly wrapped by a service
+ * @returns {boolean} True if the call reverted, at gas estimation or once mined
+ */
+function isContractRevert(error) {
+  const errorMessage = error.message || error.toString();
+  return error.code === 'CALL_EXCEPTION' || /execution reverted|code=CALL_EXCEPTION/.test(errorMessage);
+}
+
+/**
+ * Get the raw revert reason of a failed contract call
+ * 
+ * @param {Error} error - Error from a contract call or transaction, possibly wrapped by a service
+ * @returns {string|null} Revert reason string, or the decoded custom error with its arguments
+ *   (e.g. "TransferToSelf(0xf39F...)"), or null if the error carries none
+ * 
+ * Reads the reason Ethers.js decoded, either from the error itself or from the
+ * reason="..." field kept in the message when a service rethrows it.
+ */
+function getRevertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  
+  const decoded = decodeContractError(error);
+  if (decoded) {
+    return `${decoded.name}(${Object.values(decoded.params).join(', ')})`;
+  }
+  
+  const errorMessage = error.message || error.toString();
+  const reasonMatch = errorMessage.match(/reason="((?:[^"\\]|\\.)*)"/) ||
+                      errorMessage.match(/execution reverted: "((?:[^"\\]|\\.)*)"/);
+  
+  return reasonMatch ? reasonMatch[1] : null;
+}
+
+/**
+ * Find the revert data of a failed contract call
+ * 
+ * @param {Error} error - Error, possibly wrapping the Ethers.js error as its cause
+ * @returns {string|null} Hex revert data, or null if there is none
+ */
+function getRevertData(error) {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(current.data)) {
+      return current.data;
+    }
+    const dataMatch = String(current.message || '').match(/data="(0x[0-9a-fA-F]{8,})"/);
+    if (dataMatch) {
+      return dataMatch[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the interfaces of the contracts, skipping any whose artifact is missing
+ * 
+ * @returns {ethers.Interface[]} Contract interfaces
+ */
+function getErrorInterfaces() {
+  if (!errorInterfaces) {
+    errorInterfaces = [];
+    for (const contractName of CONTRACT_NAMES) {
+      try {
+        errorInterfaces.push(new ethers.Interface(loadContractABI(contractName)));
+      } catch (loadError) {
+        // Not compiled yet; its errors are reported undecoded
+      }
+    }
+  }
+  return errorInterfaces;
+}
+
+/**
+ * Convert a decoded ABI value to one that serializes to JSON
+ * 
+ * @param {*} value - Decoded value
+ * @returns {*} Numbers for integers that fit, decimal strings otherwise
+ */
+function toJsonValue(value) {
+  if (typeof value === 'bigint') {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+  return value;
+}
+
 module.exports = {
   formatError,
-  parseContractError
+  parseContractError,
+  decodeContractError,
+  isContractError,
+  getErrorStatus,
+  isContractRevert,
+  getRevertReason
 };
-
@@ -10,11 +10,14 @@ const crypto = require('crypto');
 /**
  * Load contract addresses from deployment file
  * 
- * @returns {Object} Contract addresses with accessControl and supplyChain properties
+ * @returns {Object} Contract addresses with accessControl, supplyChain, recalls, coldChain and forwarder properties
  * @throws {Error} If deployment file doesn't exist or is invalid
  * 
  * Reads from deployments/local.json and extracts contract addresses.
- * Returns object with accessControl (SafeBiteAccessRoles) and supplyChain (SafeBiteSupplyChain) addresses.
+ * Returns object with accessControl (SafeBiteAccessRoles), supplyChain (SafeBiteSupplyChain),
+ * recalls (SafeBiteRecalls), coldChain (SafeBiteColdChain), forwarder (SafeBiteForwarder), governance (SafeBiteGovernance)
+ * and certificates (SafeBiteCertificates) addresses, plus startBlock,
+ * the block the contracts were deployed in (0 for older deployment files).
  */
 function loadContractAddresses() {
   const deploymentPath = path.join(__dirname, '../../deployments/local.json');
@@ -26,13 +29,19 @@ function loadContractAddresses() {
   const deploymentData = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
   const contracts = deploymentData.contracts;
   
-  if (!contracts || !contracts.SafeBiteAccessRoles || !contracts.SafeBiteSupplyChain) {
+  if (!contracts || !contracts.SafeBiteAccessRoles || !contracts.SafeBiteSupplyChain || !contracts.SafeBiteRecalls || !contracts.SafeBiteColdChain || !contracts.SafeBiteForwarder || !contracts.SafeBiteGovernance || !contracts.SafeBiteCertificates) {
     throw new Error('Invalid deployment file: missing contract addresses');
   }
   
   return {
     accessControl: contracts.SafeBiteAccessRoles,
-    supplyChain: contracts.SafeBiteSupplyChain
+    supplyChain: contracts.SafeBiteSupplyChain,
+    recalls: contracts.SafeBiteRecalls,
+    coldChain: contracts.SafeBiteColdChain,
+    forwarder: contracts.SafeBiteForwarder,
+    governance: contracts.SafeBiteGovernance,
+    certificates: contracts.SafeBiteCertificates,
+    startBlock: deploymentData.startBlock || 0
   };
 }
 
@@ -82,6 +91,21 @@ function isValidProductId(productId) {
   return Number.isInteger(productId) && productId > 0;
 }
 
+/**
+ * Parse a timestamp or date
+ * 
+ * @param {number|string} value - Unix seconds or ISO-8601 string (e.g. "2024-06-30")
+ * @returns {number|null} Unix seconds, or null if invalid
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds > 0 ? seconds : null;
+  }
+  const millis = Date.parse(value);
+  return isNaN(millis) ? null : Math.floor(millis / 1000);
+}
+
 /**
  * Get deployer address from deployment file
  * 
@@ -108,7 +132,7 @@ function getDeployerAddress() {
 }
 
 /**
- * Generate a certificate hash for quality or compliance checks
+ * Build the certificate document for a quality or compliance check
  * 
  * @param {Object} data - Certificate data object
  * @param {number} data.productId - Product ID
@@ -117,16 +141,15 @@ function getDeployerAddress() {
  * @param {number|boolean} data.result - Quality score (0-100) or compliance status (true/false)
  * @param {string} data.notes - Additional notes
  * @param {number} data.timestamp - Timestamp of verification
- * @returns {string} SHA256 hash of the certificate data (hex string with 0x prefix)
+ * @returns {Object} Certificate with its fields in canonical order and the verifier lowercased
  * 
- * Generates a deterministic hash from certificate data to serve as a unique certificate identifier.
- * The hash is computed from a JSON string of the data, ensuring consistency and verifiability.
+ * This is the exact object generateCertificateHash hashes, so storing it lets anyone
+ * recompute the hash recorded on-chain.
  */
-function generateCertificateHash(data) {
+function buildCertificateDocument(data) {
   const { productId, type, verifier, result, notes = '', timestamp } = data;
   
-  // Create a structured certificate object
-  const certificate = {
+  return {
     productId,
     type,
     verifier: verifier.toLowerCase(), // Normalize address
@@ -134,9 +157,20 @@ function generateCertificateHash(data) {
     notes,
     timestamp
   };
-  
-  // Convert to JSON string and hash it
-  const certificateString = JSON.stringify(certificate);
+}
+
+/**
+ * Generate a certificate hash for quality or compliance checks
+ * 
+ * @param {Object} data - Certificate data object (see buildCertificateDocument)
+ * @returns {string} SHA256 hash of the certificate data (hex string with 0x prefix)
+ * 
+ * Generates a deterministic hash from certificate data to serve as a unique certificate identifier.
+ * The hash is computed from a JSON string of the data, ensuring consistency and verifiability.
+ */
+function generateCertificateHash(data) {
+  // Convert the structured certificate object to a JSON string and hash it
+  const certificateString = JSON.stringify(buildCertificateDocument(data));
   const hash = crypto.createHash('sha256').update(certificateString).digest('hex');
   
   return `0x${hash}`;
@@ -222,14 +256,44 @@ function formatDate(timestamp) {
   });
 }
 
+/**
+ * Check whether a write request asked to be answered before its transaction is mined
+ * 
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the Prefer header includes respond-async (RFC 7240)
+ */
+function prefersAsync(req) {
+  const prefer = req.get('Prefer') || '';
+  return prefer.split(',').some((preference) => preference.trim().toLowerCase() === 'respond-async');
+}
+
+/**
+ * Build the 202 response body for a queued write
+ * 
+ * @param {Object} job - Job returned by jobService.submit()
+ * @returns {Object} { success, jobId, status, statusUrl }
+ */
+function queuedJobResponse(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+}
+
 module.exports = {
   loadContractAddresses,
   loadContractABI,
   isValidAddress,
   isValidProductId,
+  parseTimestamp,
   getDeployerAddress,
+  buildCertificateDocument,
   generateCertificateHash,
   mergeCertificateMetadata,
-  formatDate
+  formatDate,
+  prefersAsync,
+  queuedJobResponse
 };
 
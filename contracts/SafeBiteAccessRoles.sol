@@ -3,6 +3,11 @@ pragma solidity ^0.8.19;
 
 // Access control contract for managing roles
 // This contract handles role-based access control for all stakeholders in the supply chain
+// The owner manages every role; organization admins manage the operational roles of their organization's members
+// Roles can be granted until an expiry and suspended; expired and suspended roles do not count
+// Addresses can apply for a role; admins approve or reject the requests, which stay on record
+// Ownership moves in two steps (offer, then accept), so it can be handed to a SafeBiteGovernance multisig
+// A guardian appointed by the owner can pause SafeBiteSupplyChain in an emergency
 contract SafeBiteAccessRoles {
     
     // Enum defining all possible roles in the supply chain
@@ -15,24 +20,172 @@ contract SafeBiteAccessRoles {
         CONSUMER       // End users who can verify products (public access)
     }
     
-    // Maps each address to its assigned role
-    mapping(address => Role) private _roles;
+    // Maps each address to the set of roles it holds
+    // An address can hold several roles, e.g. a company that both produces and distributes
+    // Addresses without any role are consumers
+    mapping(address => mapping(Role => bool)) private _roles;
     
-    // Tracks if an address has been assigned any role
-    // Used to distinguish between unregistered addresses and those with CONSUMER role
-    mapping(address => bool) private _hasRole;
+    // Time after which a granted role stops counting (0 = never expires)
+    // Inspection licenses and similar grants lapse on their own unless renewed
+    mapping(address => mapping(Role => uint256)) private _roleValidUntil;
+    
+    // Granted roles put on hold, e.g. during an investigation; reinstating restores them
+    mapping(address => mapping(Role => bool)) private _roleSuspended;
+    
+    // A role granted to an address, with its expiry and suspension state
+    struct RoleGrant {
+        Role role;            // Granted role
+        uint256 validUntil;   // Expiry timestamp (0 = never expires)
+        bool suspended;       // Whether the role is suspended
+    }
+    
+    // A company or body whose admins onboard their own staff
+    struct Organization {
+        uint256 id;          // Organization ID (starts at 1)
+        string name;         // Display name
+        uint256 createdAt;   // Registration timestamp
+    }
+    
+    // Registered organizations by ID, and how many there are
+    mapping(uint256 => Organization) private _organizations;
+    uint256 private _organizationCount;
+    
+    // Organization each address is registered under (0 if none)
+    // An address belongs to at most one organization
+    mapping(address => uint256) private _organizationOf;
+    
+    // Organization each address has been invited to by one of its admins (0 if none)
+    // The address joins only once it accepts, so admins cannot enrol accounts they do not control
+    mapping(address => uint256) private _invitationOf;
+    
+    // Members that can grant and revoke operational roles within their organization
+    mapping(address => bool) private _isOrganizationAdmin;
+    
+    // Review state of a role request
+    enum RequestStatus {
+        PENDING,    // Awaiting review
+        APPROVED,   // Role granted
+        REJECTED    // Turned down, with a reason
+    }
+    
+    // An address asking to be granted a role, and the decision on it
+    // Requests are never deleted, so they stay on record for audits
+    struct RoleRequest {
+        uint256 id;                // Request ID (starts at 1)
+        address applicant;         // Address asking for the role
+        Role role;                 // Requested role
+        string organizationName;   // Company or body the applicant represents
+        string[] documentHashes;   // Supporting documents (licenses, registrations)
+        RequestStatus status;      // Review state
+        string reason;             // Rejection reason (empty otherwise)
+        address reviewer;          // Admin who decided (zero while pending)
+        uint256 createdAt;         // Submission timestamp
+        uint256 decidedAt;         // Decision timestamp (0 while pending)
+    }
+    
+    // Most supporting documents a request can carry
+    uint256 public constant MAX_REQUEST_DOCUMENTS = 10;
+    
+    // Role requests by ID, and how many there are
+    mapping(uint256 => RoleRequest) private _roleRequests;
+    uint256 private _roleRequestCount;
+    
+    // Pending request of each address for each role (0 if none)
+    mapping(address => mapping(Role => uint256)) private _pendingRequest;
     
     // Contract owner who can grant and revoke roles
     address public owner;
     
+    // Address the owner has offered ownership to; it becomes owner once it accepts
+    address public pendingOwner;
+    
+    // Emergency stop for SafeBiteSupplyChain, which rejects every state-changing call while it is set
+    // Role management stays available, so a compromised key can be revoked while paused
+    address public guardian;
+    bool public paused;
+    string public pauseReason;
+    
     // Events for tracking role changes
     event RoleGranted(address indexed account, Role role);
     event RoleRevoked(address indexed account, Role role);
+    event RoleValidityChanged(address indexed account, Role role, uint256 validUntil);
+    event RoleSuspended(address indexed account, Role role);
+    event RoleReinstated(address indexed account, Role role);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event GuardianUpdated(address indexed guardian);
+    event Paused(address indexed guardian, string reason);
+    event Unpaused(address indexed guardian);
+    event RoleRequested(uint256 indexed requestId, address indexed applicant, Role role);
+    event RoleRequestApproved(uint256 indexed requestId, address indexed reviewer);
+    event RoleRequestRejected(uint256 indexed requestId, address indexed reviewer, string reason);
+    event OrganizationRegistered(uint256 indexed organizationId, string name);
+    event OrganizationMemberInvited(uint256 indexed organizationId, address indexed account);
+    event OrganizationMemberAdded(uint256 indexed organizationId, address indexed account);
+    event OrganizationMemberRemoved(uint256 indexed organizationId, address indexed account);
+    event OrganizationAdminGranted(uint256 indexed organizationId, address indexed account);
+    event OrganizationAdminRevoked(uint256 indexed organizationId, address indexed account);
+    
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    // Access errors
+    error NotOwner(address caller);
+    error NotPendingOwner(address caller);
+    error NotGuardian(address caller);
+    error NotOrganizationAdmin(uint256 organizationId, address caller);
+    error RegulatorRoleOwnerOnly(address caller);
+    error OutsideOrganization(uint256 organizationId, address account);
+    // Lookup errors
+    error OrganizationNotFound(uint256 organizationId);
+    error RoleRequestNotFound(uint256 requestId);
+    // State errors
+    error RoleNotHeld(address account, Role role);
+    error RoleAlreadyHeld(address account, Role role);
+    error RoleAlreadySuspended(address account, Role role);
+    error RoleNotSuspended(address account, Role role);
+    error RoleRequestAlreadyPending(address applicant, Role role, uint256 requestId);
+    error RoleRequestAlreadyDecided(uint256 requestId, RequestStatus status);
+    error NotOrganizationMember(address account);
+    error NoOrganizationInvitation(address account, uint256 organizationId);
+    error AlreadyInOrganization(address account, uint256 organizationId);
+    error AdminRightsHeld(address account);
+    error AdminRightsNotHeld(address account);
+    error MemberHoldsRoles(address account);
+    error AlreadyOwner(address account);
+    error NoOwnershipTransferPending();
+    error AlreadyPaused();
+    error NotPaused();
+    // Input errors
+    error ZeroAddress();
+    error ConsumerRoleIsPublic();
+    error ExpiryNotInFuture(uint256 validUntil);
+    error EmptyField(string field);
+    error TooManyDocuments(uint256 count, uint256 max);
     
     // Modifier to restrict functions to contract owner only
     modifier onlyOwner() {
-        require(msg.sender == owner, "SafeBiteAccessRoles: caller is not the owner");
+        if (msg.sender != owner) revert NotOwner(msg.sender);
+        _;
+    }
+    
+    // Modifier to restrict role changes to the role's admins
+    // The owner can manage every role. Organization admins can manage the operational roles
+    // (PRODUCER, DISTRIBUTOR, RETAILER) of members of their own organization; REGULATOR stays with the owner
+    modifier onlyRoleAdmin(address account, Role role) {
+        if (msg.sender != owner) {
+            if (!_isOrganizationAdmin[msg.sender]) revert NotOwner(msg.sender);
+            if (role == Role.REGULATOR) revert RegulatorRoleOwnerOnly(msg.sender);
+            if (_organizationOf[account] != _organizationOf[msg.sender]) {
+                revert OutsideOrganization(_organizationOf[msg.sender], account);
+            }
+        }
+        _;
+    }
+    
+    // Modifier to restrict functions to the owner and the admins of an organization
+    modifier onlyOrganizationAdmin(uint256 organizationId) {
+        if (msg.sender != owner && !(_isOrganizationAdmin[msg.sender] && _organizationOf[msg.sender] == organizationId)) {
+            revert NotOrganizationAdmin(organizationId, msg.sender);
+        }
         _;
     }
     
@@ -42,69 +195,435 @@ contract SafeBiteAccessRoles {
         emit OwnershipTransferred(address(0), msg.sender);
     }
     
-    // Grant a role to an address
-    // Only owner can grant roles, and CONSUMER role is public so it doesn't need to be granted
-    function grantRole(address account, Role role) external onlyOwner {
-        require(account != address(0), "SafeBiteAccessRoles: cannot grant role to zero address");
-        require(role != Role.CONSUMER, "SafeBiteAccessRoles: CONSUMER role is public");
-        
-        // Store the role and mark address as having a role
-        _roles[account] = role;
-        _hasRole[account] = true;
-        
-        emit RoleGranted(account, role);
+    // Grant a role to an address without an expiry
+    // Only role admins can grant roles, and CONSUMER role is public so it doesn't need to be granted
+    // Roles the account already holds are kept; granting a held role again only clears its expiry
+    function grantRole(address account, Role role) external onlyRoleAdmin(account, role) {
+        if (account == address(0)) revert ZeroAddress();
+        if (role == Role.CONSUMER) revert ConsumerRoleIsPublic();
+        _grantRole(account, role, 0);
+    }
+    
+    // Grant a role that expires at validUntil (0 = never expires)
+    // Granting a held role again sets its new expiry, which is how time-limited roles are renewed
+    function grantRoleUntil(address account, Role role, uint256 validUntil) external onlyRoleAdmin(account, role) {
+        if (account == address(0)) revert ZeroAddress();
+        if (role == Role.CONSUMER) revert ConsumerRoleIsPublic();
+        if (validUntil != 0 && validUntil <= block.timestamp) revert ExpiryNotInFuture(validUntil);
+        _grantRole(account, role, validUntil);
     }
     
     // Revoke a role from an address
-    // Only owner can revoke, and we verify the account actually has that role before revoking
-    function revokeRole(address account, Role role) external onlyOwner {
-        require(_roles[account] == role, "SafeBiteAccessRoles: account does not have this role");
+    // Only role admins can revoke, and we verify the account actually has that role before revoking
+    // The account's other roles are kept
+    function revokeRole(address account, Role role) external onlyRoleAdmin(account, role) {
+        if (role == Role.CONSUMER || !_roles[account][role]) revert RoleNotHeld(account, role);
         
-        // Delete the role and mark address as not having a role
-        delete _roles[account];
-        _hasRole[account] = false;
+        _roles[account][role] = false;
+        delete _roleValidUntil[account][role];
+        delete _roleSuspended[account][role];
         
         emit RoleRevoked(account, role);
     }
     
+    // Put a granted role on hold; the account keeps the grant but hasRole reports false
+    // Only role admins can suspend, and suspending does not stop the role from expiring
+    function suspendRole(address account, Role role) external onlyRoleAdmin(account, role) {
+        if (role == Role.CONSUMER || !_roles[account][role]) revert RoleNotHeld(account, role);
+        if (_roleSuspended[account][role]) revert RoleAlreadySuspended(account, role);
+        
+        _roleSuspended[account][role] = true;
+        
+        emit RoleSuspended(account, role);
+    }
+    
+    // Lift the suspension of a role
+    // Only role admins can reinstate
+    function reinstateRole(address account, Role role) external onlyRoleAdmin(account, role) {
+        if (!_roleSuspended[account][role]) revert RoleNotSuspended(account, role);
+        
+        _roleSuspended[account][role] = false;
+        
+        emit RoleReinstated(account, role);
+    }
+    
     // Check if an address has a specific role
     // CONSUMER role returns true for everyone since it's public access
+    // Expired and suspended roles do not count
     function hasRole(address account, Role role) external view returns (bool) {
         if (role == Role.CONSUMER) {
             return true; // Consumer role is public - everyone has it
         }
-        return _roles[account] == role;
+        return _isActive(account, role);
+    }
+    
+    // Get all roles an address currently holds, in enum order
+    // Expired and suspended roles are left out; returns an empty array if the address
+    // has no active role (it is a consumer)
+    function getRoles(address account) external view returns (Role[] memory) {
+        // Count the roles first so the array can be sized exactly
+        uint256 count = 0;
+        for (uint256 i = 0; i < uint256(Role.CONSUMER); i++) {
+            if (_isActive(account, Role(i))) {
+                count++;
+            }
+        }
+        
+        Role[] memory held = new Role[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < uint256(Role.CONSUMER); i++) {
+            if (_isActive(account, Role(i))) {
+                held[index++] = Role(i);
+            }
+        }
+        return held;
+    }
+    
+    // Ask to be granted a role
+    // Anyone can apply; an address can have one pending request per role, and cannot ask
+    // for a role it currently holds (expired and suspended roles can be requested again)
+    function requestRole(Role role, string memory organizationName, string[] memory documentHashes)
+        external
+        returns (uint256)
+    {
+        if (role == Role.CONSUMER) revert ConsumerRoleIsPublic();
+        if (bytes(organizationName).length == 0) revert EmptyField("organizationName");
+        if (documentHashes.length > MAX_REQUEST_DOCUMENTS) {
+            revert TooManyDocuments(documentHashes.length, MAX_REQUEST_DOCUMENTS);
+        }
+        if (_isActive(msg.sender, role)) revert RoleAlreadyHeld(msg.sender, role);
+        if (_pendingRequest[msg.sender][role] != 0) {
+            revert RoleRequestAlreadyPending(msg.sender, role, _pendingRequest[msg.sender][role]);
+        }
+        
+        _roleRequestCount++;
+        uint256 requestId = _roleRequestCount;
+        RoleRequest storage request = _roleRequests[requestId];
+        request.id = requestId;
+        request.applicant = msg.sender;
+        request.role = role;
+        request.organizationName = organizationName;
+        request.documentHashes = documentHashes;
+        request.status = RequestStatus.PENDING;
+        request.createdAt = block.timestamp;
+        _pendingRequest[msg.sender][role] = requestId;
+        
+        emit RoleRequested(requestId, msg.sender, role);
+        return requestId;
+    }
+    
+    // Approve a pending request, granting the role until validUntil (0 = never expires)
+    // Only admins of the requested role for the applicant can approve, as for grantRole
+    function approveRoleRequest(uint256 requestId, uint256 validUntil)
+        external
+        onlyRoleAdmin(_roleRequests[requestId].applicant, _roleRequests[requestId].role)
+    {
+        RoleRequest storage request = _pendingRoleRequest(requestId);
+        if (validUntil != 0 && validUntil <= block.timestamp) revert ExpiryNotInFuture(validUntil);
+        
+        _decide(request, RequestStatus.APPROVED, "");
+        _grantRole(request.applicant, request.role, validUntil);
+        
+        emit RoleRequestApproved(requestId, msg.sender);
+    }
+    
+    // Reject a pending request with a reason the applicant can read
+    // Only admins of the requested role for the applicant can reject
+    function rejectRoleRequest(uint256 requestId, string memory reason)
+        external
+        onlyRoleAdmin(_roleRequests[requestId].applicant, _roleRequests[requestId].role)
+    {
+        RoleRequest storage request = _pendingRoleRequest(requestId);
+        if (bytes(reason).length == 0) revert EmptyField("reason");
+        
+        _decide(request, RequestStatus.REJECTED, reason);
+        
+        emit RoleRequestRejected(requestId, msg.sender, reason);
+    }
+    
+    // Get a role request by ID
+    function getRoleRequest(uint256 requestId) external view returns (RoleRequest memory) {
+        if (requestId == 0 || requestId > _roleRequestCount) revert RoleRequestNotFound(requestId);
+        return _roleRequests[requestId];
+    }
+    
+    // Get the number of role requests ever submitted
+    function getRoleRequestCount() external view returns (uint256) {
+        return _roleRequestCount;
     }
     
-    // Get the role of an address
-    // Returns CONSUMER as default if address hasn't been assigned a specific role
+    // Get every role granted to an address, in enum order, including expired and suspended ones
+    // Lets admins see which grants need renewing or reinstating
+    function getRoleGrants(address account) external view returns (RoleGrant[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < uint256(Role.CONSUMER); i++) {
+            if (_roles[account][Role(i)]) {
+                count++;
+            }
+        }
+        
+        RoleGrant[] memory grants = new RoleGrant[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < uint256(Role.CONSUMER); i++) {
+            Role role = Role(i);
+            if (_roles[account][role]) {
+                grants[index++] = RoleGrant({
+                    role: role,
+                    validUntil: _roleValidUntil[account][role],
+                    suspended: _roleSuspended[account][role]
+                });
+            }
+        }
+        return grants;
+    }
+    
+    // Get the primary role of an address: the first active role it holds in enum order
+    // Returns CONSUMER as default if address has no active role
+    // Use getRoles or hasRole for addresses that may hold several roles
     function getRole(address account) external view returns (Role) {
-        if (!_hasRole[account]) {
-            return Role.CONSUMER; // Default to consumer for unregistered addresses
+        for (uint256 i = 0; i < uint256(Role.CONSUMER); i++) {
+            if (_isActive(account, Role(i))) {
+                return Role(i);
+            }
         }
-        return _roles[account];
+        return Role.CONSUMER; // Default to consumer for unregistered addresses
     }
     
     // Batch grant the same role to multiple addresses at once
     // Useful for initial setup when assigning roles to multiple stakeholders
+    // Kept to the owner: organization admins grant roles one member at a time
     function batchGrantRole(address[] memory accounts, Role role) external onlyOwner {
-        require(role != Role.CONSUMER, "SafeBiteAccessRoles: CONSUMER role is public");
+        if (role == Role.CONSUMER) revert ConsumerRoleIsPublic();
         
         // Loop through all addresses and grant the role to each
         for (uint256 i = 0; i < accounts.length; i++) {
-            require(accounts[i] != address(0), "SafeBiteAccessRoles: cannot grant role to zero address");
-            _roles[accounts[i]] = role;
-            _hasRole[accounts[i]] = true;
-            emit RoleGranted(accounts[i], role);
+            if (accounts[i] == address(0)) revert ZeroAddress();
+            _grantRole(accounts[i], role, 0);
+        }
+    }
+    
+    // Register an organization, optionally with its first admin
+    // Only owner can register organizations; the admin is added as a member
+    function registerOrganization(string memory name, address admin) external onlyOwner returns (uint256) {
+        if (bytes(name).length == 0) revert EmptyField("name");
+        
+        _organizationCount++;
+        uint256 organizationId = _organizationCount;
+        _organizations[organizationId] = Organization({
+            id: organizationId,
+            name: name,
+            createdAt: block.timestamp
+        });
+        emit OrganizationRegistered(organizationId, name);
+        
+        if (admin != address(0)) {
+            _addMember(organizationId, admin);
+            _isOrganizationAdmin[admin] = true;
+            emit OrganizationAdminGranted(organizationId, admin);
+        }
+        return organizationId;
+    }
+    
+    // Register an address under an organization
+    // The owner adds the address directly; an organization admin only invites it, and it joins
+    // once it accepts. An address joins at most one organization
+    function addOrganizationMember(uint256 organizationId, address account)
+        external
+        onlyOrganizationAdmin(organizationId)
+    {
+        if (organizationId == 0 || organizationId > _organizationCount) revert OrganizationNotFound(organizationId);
+        if (msg.sender == owner) {
+            _addMember(organizationId, account);
+            return;
+        }
+        if (account == address(0)) revert ZeroAddress();
+        if (_organizationOf[account] != 0) revert AlreadyInOrganization(account, _organizationOf[account]);
+        
+        _invitationOf[account] = organizationId;
+        emit OrganizationMemberInvited(organizationId, account);
+    }
+    
+    // Join the organization the caller was invited to
+    // A newer invitation replaces an older one, so the caller names the organization it expects
+    function acceptOrganizationInvitation(uint256 organizationId) external {
+        if (organizationId == 0 || _invitationOf[msg.sender] != organizationId) {
+            revert NoOrganizationInvitation(msg.sender, organizationId);
+        }
+        _addMember(organizationId, msg.sender);
+    }
+    
+    // Remove an address from its organization
+    // Admins must be demoted first, and members must have their operational roles revoked first
+    // so no role is left without an organization admin to manage it
+    function removeOrganizationMember(address account) external onlyOrganizationAdmin(_organizationOf[account]) {
+        uint256 organizationId = _organizationOf[account];
+        if (organizationId == 0) revert NotOrganizationMember(account);
+        if (_isOrganizationAdmin[account]) revert AdminRightsHeld(account);
+        if (_roles[account][Role.PRODUCER] || _roles[account][Role.DISTRIBUTOR] || _roles[account][Role.RETAILER]) {
+            revert MemberHoldsRoles(account);
+        }
+        
+        delete _organizationOf[account];
+        emit OrganizationMemberRemoved(organizationId, account);
+    }
+    
+    // Make a member an admin of their organization
+    // Only owner can appoint organization admins
+    function grantOrganizationAdmin(address account) external onlyOwner {
+        if (_organizationOf[account] == 0) revert NotOrganizationMember(account);
+        if (_isOrganizationAdmin[account]) revert AdminRightsHeld(account);
+        
+        _isOrganizationAdmin[account] = true;
+        emit OrganizationAdminGranted(_organizationOf[account], account);
+    }
+    
+    // Take admin rights from an organization admin; they stay a member
+    // Only owner can remove organization admins
+    function revokeOrganizationAdmin(address account) external onlyOwner {
+        if (!_isOrganizationAdmin[account]) revert AdminRightsNotHeld(account);
+        
+        _isOrganizationAdmin[account] = false;
+        emit OrganizationAdminRevoked(_organizationOf[account], account);
+    }
+    
+    // Get an organization by ID
+    function getOrganization(uint256 organizationId) external view returns (Organization memory) {
+        if (organizationId == 0 || organizationId > _organizationCount) revert OrganizationNotFound(organizationId);
+        return _organizations[organizationId];
+    }
+    
+    // Get the number of registered organizations
+    function getOrganizationCount() external view returns (uint256) {
+        return _organizationCount;
+    }
+    
+    // Get the organization an address is registered under (0 if none)
+    function getOrganizationOf(address account) external view returns (uint256) {
+        return _organizationOf[account];
+    }
+    
+    // Get the organization an address has been invited to (0 if none)
+    function getOrganizationInvitation(address account) external view returns (uint256) {
+        return _invitationOf[account];
+    }
+    
+    // Check if an address is an organization admin
+    function isOrganizationAdmin(address account) external view returns (bool) {
+        return _isOrganizationAdmin[account];
+    }
+    
+    // Check if an address may grant or revoke a role for an account (the rule enforced by onlyRoleAdmin)
+    function canManageRole(address admin, address account, Role role) external view returns (bool) {
+        if (role == Role.CONSUMER) {
+            return false; // Consumer role is public and cannot be granted or revoked
         }
+        if (admin == owner) {
+            return true;
+        }
+        return _isOrganizationAdmin[admin] &&
+            role != Role.REGULATOR &&
+            _organizationOf[account] == _organizationOf[admin];
     }
     
-    // Transfer ownership of the contract to a new address
-    // Only current owner can transfer ownership
+    // Offer ownership of the contract to a new address, which must accept it
+    // Only current owner can transfer ownership; offering it again replaces the pending owner
     function transferOwnership(address newOwner) external onlyOwner {
-        require(newOwner != address(0), "SafeBiteAccessRoles: new owner is zero address");
+        if (newOwner == address(0)) revert ZeroAddress();
+        if (newOwner == owner) revert AlreadyOwner(newOwner);
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+    
+    // Take over ownership offered by the owner
+    // Two steps keep ownership from going to an address that cannot use it
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner(msg.sender);
         address oldOwner = owner;
-        owner = newOwner;
-        emit OwnershipTransferred(oldOwner, newOwner);
+        owner = msg.sender;
+        delete pendingOwner;
+        emit OwnershipTransferred(oldOwner, msg.sender);
+    }
+    
+    // Withdraw a pending ownership offer
+    function cancelOwnershipTransfer() external onlyOwner {
+        if (pendingOwner == address(0)) revert NoOwnershipTransferPending();
+        delete pendingOwner;
+        emit OwnershipTransferStarted(owner, address(0));
+    }
+    
+    // Appoint the guardian allowed to pause the supply chain (zero to leave nobody able to)
+    function setGuardian(address newGuardian) external onlyOwner {
+        guardian = newGuardian;
+        emit GuardianUpdated(newGuardian);
+    }
+    
+    // Halt the supply chain, for example after a bug or a compromised producer key is found
+    // Only the guardian can pause, and must give a reason
+    function pause(string memory reason) external {
+        if (msg.sender != guardian) revert NotGuardian(msg.sender);
+        if (paused) revert AlreadyPaused();
+        if (bytes(reason).length == 0) revert EmptyField("reason");
+        paused = true;
+        pauseReason = reason;
+        emit Paused(msg.sender, reason);
+    }
+    
+    // Resume normal operation
+    // Only the guardian can unpause
+    function unpause() external {
+        if (msg.sender != guardian) revert NotGuardian(msg.sender);
+        if (!paused) revert NotPaused();
+        paused = false;
+        delete pauseReason;
+        emit Unpaused(msg.sender);
+    }
+    
+    // Load a role request that is still awaiting review
+    function _pendingRoleRequest(uint256 requestId) internal view returns (RoleRequest storage) {
+        if (requestId == 0 || requestId > _roleRequestCount) revert RoleRequestNotFound(requestId);
+        RoleRequest storage request = _roleRequests[requestId];
+        if (request.status != RequestStatus.PENDING) revert RoleRequestAlreadyDecided(requestId, request.status);
+        return request;
+    }
+    
+    // Record the decision on a role request
+    function _decide(RoleRequest storage request, RequestStatus status, string memory reason) internal {
+        request.status = status;
+        request.reason = reason;
+        request.reviewer = msg.sender;
+        request.decidedAt = block.timestamp;
+        delete _pendingRequest[request.applicant][request.role];
+    }
+    
+    // Register an address under an organization, dropping any invitation it had
+    function _addMember(uint256 organizationId, address account) internal {
+        if (account == address(0)) revert ZeroAddress();
+        if (_organizationOf[account] != 0) revert AlreadyInOrganization(account, _organizationOf[account]);
+        
+        _organizationOf[account] = organizationId;
+        delete _invitationOf[account];
+        emit OrganizationMemberAdded(organizationId, account);
+    }
+    
+    // Add a role to an address's set of roles, emitting RoleGranted only if it is new
+    // and RoleValidityChanged whenever the role's expiry changes
+    function _grantRole(address account, Role role, uint256 validUntil) internal {
+        if (!_roles[account][role]) {
+            _roles[account][role] = true;
+            emit RoleGranted(account, role);
+        }
+        if (_roleValidUntil[account][role] != validUntil) {
+            _roleValidUntil[account][role] = validUntil;
+            emit RoleValidityChanged(account, role, validUntil);
+        }
+    }
+    
+    // Whether a granted role currently counts: not suspended and not past its expiry
+    function _isActive(address account, Role role) internal view returns (bool) {
+        if (!_roles[account][role] || _roleSuspended[account][role]) {
+            return false;
+        }
+        uint256 validUntil = _roleValidUntil[account][role];
+        return validUntil == 0 || block.timestamp <= validUntil;
     }
 }
@@ -0,0 +1,306 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./SafeBiteAccessRoles.sol";
+import "./SafeBiteSupplyChain.sol";
+
+// Certificate registry for products tracked by the supply chain contract
+// Issuers certify a single product or a producer's whole batch; certificates can expire and be revoked
+// The supply chain contract records passing quality and compliance checks here and only
+// treats a product as authentic while it holds valid certificates of both kinds
+contract SafeBiteCertificates {
+
+    // What a certificate attests
+    enum CertificateType {
+        QUALITY,      // Passing quality check
+        COMPLIANCE,   // Regulatory compliance
+        ORGANIC,      // Organic production
+        HALAL,        // Halal certification
+        KOSHER,       // Kosher certification
+        FAIR_TRADE,   // Fair trade certification
+        LAB_REPORT,   // Laboratory analysis
+        OTHER         // Any other certificate, described by its document
+    }
+
+    // What a certificate covers
+    enum CertificateScope {
+        PRODUCT,    // A single product ID
+        BATCH       // Every product the given producer registered with the batch ID
+    }
+
+    // Certificate struct stores an issued certificate and its revocation
+    struct Certificate {
+        uint256 id;                   // Unique certificate identifier
+        CertificateType certificateType;
+        CertificateScope scope;       // What the certificate covers
+        uint256 productId;            // Subject product (PRODUCT scope only)
+        string batchId;               // Subject batch (BATCH scope only)
+        address producer;             // Producer of the subject batch (BATCH scope only)
+        string documentHash;          // Hash or reference of the certificate document
+        address issuer;               // Account that issued the certificate
+        uint256 issuedAt;             // When the certificate was issued
+        uint256 expiresAt;            // When the certificate stops being valid (0 = never expires)
+        bool revoked;                 // Whether the certificate was withdrawn
+        address revokedBy;            // Account that revoked it
+        uint256 revokedAt;            // When it was revoked
+        string revocationReason;      // Why it was revoked
+    }
+
+    // Most certificates a product or a batch keeps, which bounds the work of checking validity
+    uint256 public constant MAX_CERTIFICATES_PER_SUBJECT = 50;
+
+    // References to the access control and supply chain contracts
+    SafeBiteAccessRoles public accessControl;
+    SafeBiteSupplyChain public supplyChain;
+
+    // All certificates, indexed by certificate ID - 1
+    Certificate[] private _certificates;
+
+    // Certificate IDs issued for each product and each batch (keyed by producer and batch ID), in issue order
+    // Batch certificates cover products registered up to the issue timestamp
+    mapping(uint256 => uint256[]) private _productCertificates;
+    mapping(bytes32 => uint256[]) private _batchCertificates;
+
+    // Emitted once per certificate; productId, or batchId and producer, are set depending on scope
+    event CertificateIssued(
+        uint256 indexed certificateId,
+        uint256 indexed productId,
+        address indexed issuer,
+        string batchId,
+        address producer,
+        CertificateType certificateType,
+        CertificateScope scope,
+        string documentHash,
+        uint256 expiresAt
+    );
+
+    // Emitted when a certificate is withdrawn; carries its subject so indexers can refresh it
+    event CertificateRevoked(
+        uint256 indexed certificateId,
+        uint256 indexed productId,
+        address indexed revokedBy,
+        string batchId,
+        address producer,
+        string reason
+    );
+
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    error MissingRole(address account, SafeBiteAccessRoles.Role role);
+    error NotSupplyChain(address caller);
+    error NotIssuerOrRegulator(uint256 certificateId, address caller, address issuer);
+    error NotProductOwner(uint256 productId, address caller, address owner);
+    error ProductNotFound(uint256 productId);
+    error CertificateNotFound(uint256 certificateId);
+    error CertificateAlreadyRevoked(uint256 certificateId);
+    error CertificateExpiryNotInFuture(uint256 expiresAt);
+    error ZeroAddress();
+    error EmptyField(string field);
+
+    // Modifier: Only accounts allowed to issue the given type for the product (0 = a batch) can call
+    // Regulators issue every type; retailers also issue quality certificates, as they perform quality
+    // checks, but only for single products they currently own
+    modifier onlyIssuer(CertificateType certificateType, uint256 productId) {
+        if (!accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR)) {
+            if (certificateType != CertificateType.QUALITY || productId == 0) {
+                revert MissingRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR);
+            }
+            if (!accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.RETAILER)) {
+                revert MissingRole(msg.sender, SafeBiteAccessRoles.Role.RETAILER);
+            }
+            address owner = supplyChain.getCurrentOwner(productId);
+            if (owner != msg.sender) revert NotProductOwner(productId, msg.sender, owner);
+        }
+        _;
+    }
+
+    // Constructor: Initialize with the access control and supply chain contract addresses
+    constructor(address _accessControl, address _supplyChain) {
+        if (_accessControl == address(0) || _supplyChain == address(0)) revert ZeroAddress();
+        accessControl = SafeBiteAccessRoles(_accessControl);
+        supplyChain = SafeBiteSupplyChain(_supplyChain);
+    }
+
+    // Certify a single product until expiresAt (0 = never expires)
+    function issueCertificate(
+        uint256 productId,
+        CertificateType certificateType,
+        string memory documentHash,
+        uint256 expiresAt
+    ) external onlyIssuer(certificateType, productId) returns (uint256 certificateId) {
+        if (!supplyChain.isProductExists(productId)) revert ProductNotFound(productId);
+        certificateId = _issue(certificateType, CertificateScope.PRODUCT, productId, "", address(0), documentHash, msg.sender, expiresAt);
+        _addToSubject(_productCertificates[productId], certificateId);
+    }
+
+    // Certify every product the given producer registered with the batch ID until expiresAt (0 = never expires)
+    // Batch IDs are chosen by producers, so the same ID from another producer is a different batch
+    function issueBatchCertificate(
+        address producer,
+        string memory batchId,
+        CertificateType certificateType,
+        string memory documentHash,
+        uint256 expiresAt
+    ) external onlyIssuer(certificateType, 0) returns (uint256 certificateId) {
+        if (producer == address(0)) revert ZeroAddress();
+        if (bytes(batchId).length == 0) revert EmptyField("batchId");
+        certificateId = _issue(certificateType, CertificateScope.BATCH, 0, batchId, producer, documentHash, msg.sender, expiresAt);
+        _addToSubject(_batchCertificates[_batchKey(producer, batchId)], certificateId);
+    }
+
+    // Record the certificate of a passing quality or compliance check
+    // Only the supply chain contract can call, on behalf of the account that performed the check
+    // Checks by a retailer that does not own the product are not recorded (returns 0), as the
+    // retailer could not issue the certificate directly either
+    function recordCheckCertificate(
+        uint256 productId,
+        CertificateType certificateType,
+        address issuer,
+        string memory documentHash
+    ) external returns (uint256 certificateId) {
+        if (msg.sender != address(supplyChain)) revert NotSupplyChain(msg.sender);
+        if (!accessControl.hasRole(issuer, SafeBiteAccessRoles.Role.REGULATOR) && supplyChain.getCurrentOwner(productId) != issuer) {
+            return 0;
+        }
+        certificateId = _issue(certificateType, CertificateScope.PRODUCT, productId, "", address(0), documentHash, issuer, 0);
+        _addToSubject(_productCertificates[productId], certificateId);
+    }
+
+    // Withdraw a certificate with a reason
+    // The issuer or any regulator can revoke, for example when the certified facts turn out to be false
+    function revokeCertificate(uint256 certificateId, string memory reason) external {
+        Certificate storage certificate = _certificate(certificateId);
+        if (msg.sender != certificate.issuer && !accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR)) {
+            revert NotIssuerOrRegulator(certificateId, msg.sender, certificate.issuer);
+        }
+        if (certificate.revoked) revert CertificateAlreadyRevoked(certificateId);
+        if (bytes(reason).length == 0) revert EmptyField("reason");
+
+        certificate.revoked = true;
+        certificate.revokedBy = msg.sender;
+        certificate.revokedAt = block.timestamp;
+        certificate.revocationReason = reason;
+        emit CertificateRevoked(certificateId, certificate.productId, msg.sender, certificate.batchId, certificate.producer, reason);
+    }
+
+    // Get a certificate by its ID
+    function getCertificate(uint256 certificateId) external view returns (Certificate memory certificate) {
+        return _certificate(certificateId);
+    }
+
+    // Get total number of certificates issued
+    function getCertificateCount() external view returns (uint256 count) {
+        return _certificates.length;
+    }
+
+    // Check if a certificate is neither revoked nor expired
+    function isCertificateValid(uint256 certificateId) public view returns (bool valid) {
+        Certificate storage certificate = _certificate(certificateId);
+        return !certificate.revoked && (certificate.expiresAt == 0 || block.timestamp <= certificate.expiresAt);
+    }
+
+    // Get the IDs of every certificate covering a product, valid or not
+    // The product's own certificates come first, then those of its batch
+    function getProductCertificateIds(uint256 productId) public view returns (uint256[] memory certificateIds) {
+        if (!supplyChain.isProductExists(productId)) revert ProductNotFound(productId);
+        uint256[] storage own = _productCertificates[productId];
+        uint256[] memory batch = _coveringBatchCertificates(productId);
+
+        certificateIds = new uint256[](own.length + batch.length);
+        for (uint256 i = 0; i < own.length; i++) {
+            certificateIds[i] = own[i];
+        }
+        for (uint256 i = 0; i < batch.length; i++) {
+            certificateIds[own.length + i] = batch[i];
+        }
+    }
+
+    // Check if a product is covered by a valid certificate of the given type
+    function hasValidCertificate(uint256 productId, CertificateType certificateType) external view returns (bool valid) {
+        uint256[] memory certificateIds = getProductCertificateIds(productId);
+        for (uint256 i = 0; i < certificateIds.length; i++) {
+            if (_certificates[certificateIds[i] - 1].certificateType == certificateType && isCertificateValid(certificateIds[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Get the batch certificates issued after a product was registered
+    function _coveringBatchCertificates(uint256 productId) private view returns (uint256[] memory certificateIds) {
+        (, string memory batchId, address producer, uint256 createdAt, , ) = supplyChain.getProduct(productId);
+        uint256[] storage batch = _batchCertificates[_batchKey(producer, batchId)];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < batch.length; i++) {
+            if (createdAt <= _certificates[batch[i] - 1].issuedAt) {
+                count++;
+            }
+        }
+        certificateIds = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < batch.length; i++) {
+            if (createdAt <= _certificates[batch[i] - 1].issuedAt) {
+                certificateIds[count++] = batch[i];
+            }
+        }
+    }
+
+    // Key of a producer's batch in _batchCertificates
+    function _batchKey(address producer, string memory batchId) private pure returns (bytes32) {
+        return keccak256(abi.encode(producer, batchId));
+    }
+
+    // Add a certificate to a product's or batch's list, keeping at most MAX_CERTIFICATES_PER_SUBJECT
+    // A full list drops its oldest revoked or expired certificate, or its oldest one when all are valid,
+    // so a full list never blocks a new check; dropped certificates stay readable but no longer cover the subject
+    function _addToSubject(uint256[] storage certificateIds, uint256 certificateId) private {
+        if (certificateIds.length >= MAX_CERTIFICATES_PER_SUBJECT) {
+            uint256 dropped = 0;
+            for (uint256 i = 0; i < certificateIds.length; i++) {
+                if (!isCertificateValid(certificateIds[i])) {
+                    dropped = i;
+                    break;
+                }
+            }
+            for (uint256 i = dropped; i + 1 < certificateIds.length; i++) {
+                certificateIds[i] = certificateIds[i + 1];
+            }
+            certificateIds.pop();
+        }
+        certificateIds.push(certificateId);
+    }
+
+    // Load a certificate by its ID
+    function _certificate(uint256 certificateId) private view returns (Certificate storage) {
+        if (certificateId == 0 || certificateId > _certificates.length) revert CertificateNotFound(certificateId);
+        return _certificates[certificateId - 1];
+    }
+
+    // Store a new certificate and emit CertificateIssued
+    function _issue(
+        CertificateType certificateType,
+        CertificateScope scope,
+        uint256 productId,
+        string memory batchId,
+        address producer,
+        string memory documentHash,
+        address issuer,
+        uint256 expiresAt
+    ) private returns (uint256 certificateId) {
+        if (bytes(documentHash).length == 0) revert EmptyField("documentHash");
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert CertificateExpiryNotInFuture(expiresAt);
+        certificateId = _certificates.length + 1;
+        Certificate storage certificate = _certificates.push();
+        certificate.id = certificateId;
+        certificate.certificateType = certificateType;
+        certificate.scope = scope;
+        certificate.productId = productId;
+        certificate.batchId = batchId;
+        certificate.producer = producer;
+        certificate.documentHash = documentHash;
+        certificate.issuer = issuer;
+        certificate.issuedAt = block.timestamp;
+        certificate.expiresAt = expiresAt;
+        emit CertificateIssued(certificateId, productId, issuer, batchId, producer, certificateType, scope, documentHash, expiresAt);
+    }
+}
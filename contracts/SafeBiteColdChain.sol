@@ -0,0 +1,242 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./SafeBiteSupplyChain.sol";
+
+// Cold-chain temperature log for products tracked by the supply chain contract
+// Producers set per-product temperature limits, custodians append sensor readings
+// Temperatures are stored in tenths of a degree Celsius (e.g. 45 = 4.5 °C)
+contract SafeBiteColdChain {
+
+    // Cold-chain limits for a product
+    // A reading outside [minTemperature, maxTemperature] starts an excursion; the excursion
+    // becomes a breach once it has lasted maxExcursionMinutes (0 = any out-of-range reading is a breach)
+    struct ColdChainRequirement {
+        int16 minTemperature;         // Lowest allowed temperature (tenths of °C)
+        int16 maxTemperature;         // Highest allowed temperature (tenths of °C)
+        uint32 maxExcursionMinutes;   // Tolerated time outside the range
+        bool isSet;                   // Whether requirements have been set
+    }
+
+    // A single sensor reading recorded on-chain
+    struct TemperatureReading {
+        int16 temperature;            // Reading (tenths of °C)
+        uint64 recordedAt;            // Sensor timestamp
+        address recordedBy;           // Custodian who submitted the reading
+    }
+
+    // A batch of readings anchored on-chain by hash; the raw readings are kept off-chain
+    struct ReadingBatch {
+        bytes32 dataHash;             // keccak256 of the raw readings
+        uint32 readingCount;          // Number of readings in the batch
+        uint64 startTime;             // Timestamp of the first reading
+        uint64 endTime;               // Timestamp of the last reading
+        int16 minTemperature;         // Lowest reading in the batch (tenths of °C)
+        int16 maxTemperature;         // Highest reading in the batch (tenths of °C)
+        uint32 excursionMinutes;      // Longest continuous time outside the range
+        address recordedBy;           // Custodian who submitted the batch
+    }
+
+    // Reference to the supply chain contract for product ownership and producer lookups
+    SafeBiteSupplyChain public supplyChain;
+
+    // Storage mappings
+    mapping(uint256 => ColdChainRequirement) private _requirements;  // Product ID -> Limits
+    mapping(uint256 => TemperatureReading[]) private _readings;      // Product ID -> Individual readings, oldest first
+    mapping(uint256 => ReadingBatch[]) private _batches;             // Product ID -> Hashed batches, oldest first
+    mapping(uint256 => uint64) private _excursionStarts;             // Product ID -> Start of current excursion (0 = in range)
+    mapping(uint256 => bool) private _compromised;                   // Product ID -> Cold chain breached
+
+    event ColdChainRequirementSet(
+        uint256 indexed productId,
+        int16 minTemperature,
+        int16 maxTemperature,
+        uint32 maxExcursionMinutes
+    );
+
+    event TemperatureRecorded(
+        uint256 indexed productId,
+        address indexed recordedBy,
+        int16 temperature,
+        uint64 recordedAt
+    );
+
+    event ReadingBatchRecorded(
+        uint256 indexed productId,
+        address indexed recordedBy,
+        bytes32 dataHash,
+        uint32 readingCount,
+        int16 minTemperature,
+        int16 maxTemperature
+    );
+
+    // Emitted for every reading or batch that violates the product's limits
+    event ColdChainBreach(
+        uint256 indexed productId,
+        address indexed recordedBy,
+        int16 temperature,
+        uint64 recordedAt,
+        uint32 excursionMinutes
+    );
+
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    error NotCustodian(uint256 productId, address caller, address custodian);
+    error NotProducer(uint256 productId, address caller, address producer);
+    error RequirementNotSet(uint256 productId);
+    error ReadingsAlreadyRecorded(uint256 productId);
+    error ReadingOutOfOrder(uint256 productId, uint64 recordedAt, uint64 lastRecordedAt);
+    error ZeroAddress();
+    error InvalidTemperatureRange(int16 minTemperature, int16 maxTemperature);
+    error InvalidTimeRange(uint64 startTime, uint64 endTime);
+    error ReadingInFuture(uint64 recordedAt);
+    error EmptyBatch();
+    error ExcursionTooLong(uint32 excursionMinutes, uint64 maxMinutes);
+    error SupplyChainPaused();
+
+    // Modifier: Only the current owner of the product can call
+    modifier onlyCustodian(uint256 productId) {
+        address custodian = supplyChain.getCurrentOwner(productId);
+        if (custodian != msg.sender) revert NotCustodian(productId, msg.sender, custodian);
+        _;
+    }
+
+    // Modifier: Only callable while the guardian has not paused the supply chain
+    // Uses the same pause switch as the supply chain contract
+    modifier whenNotPaused() {
+        if (supplyChain.accessControl().paused()) revert SupplyChainPaused();
+        _;
+    }
+
+    // Constructor: Initialize with the supply chain contract address
+    constructor(address _supplyChain) {
+        if (_supplyChain == address(0)) revert ZeroAddress();
+        supplyChain = SafeBiteSupplyChain(_supplyChain);
+    }
+
+    // Set cold-chain limits for a product
+    // Only the producer that registered the product can set them, and only before any
+    // readings are recorded so limits cannot be relaxed after the fact
+    function setRequirement(
+        uint256 productId,
+        int16 minTemperature,
+        int16 maxTemperature,
+        uint32 maxExcursionMinutes
+    ) external whenNotPaused {
+        (, , address producer, , , ) = supplyChain.getProduct(productId);
+        if (producer != msg.sender) revert NotProducer(productId, msg.sender, producer);
+        if (minTemperature >= maxTemperature) revert InvalidTemperatureRange(minTemperature, maxTemperature);
+        if (_readings[productId].length != 0 || _batches[productId].length != 0) {
+            revert ReadingsAlreadyRecorded(productId);
+        }
+        _requirements[productId] = ColdChainRequirement({
+            minTemperature: minTemperature,
+            maxTemperature: maxTemperature,
+            maxExcursionMinutes: maxExcursionMinutes,
+            isSet: true
+        });
+        emit ColdChainRequirementSet(productId, minTemperature, maxTemperature, maxExcursionMinutes);
+    }
+
+    // Record a single sensor reading
+    // Readings must be submitted in chronological order
+    function recordReading(
+        uint256 productId,
+        int16 temperature,
+        uint64 recordedAt
+    ) external whenNotPaused onlyCustodian(productId) {
+        ColdChainRequirement memory req = _requireMonitored(productId);
+        TemperatureReading[] storage readings = _readings[productId];
+        if (recordedAt > block.timestamp) revert ReadingInFuture(recordedAt);
+        if (readings.length != 0 && recordedAt < readings[readings.length - 1].recordedAt) {
+            revert ReadingOutOfOrder(productId, recordedAt, readings[readings.length - 1].recordedAt);
+        }
+        readings.push(TemperatureReading({
+            temperature: temperature,
+            recordedAt: recordedAt,
+            recordedBy: msg.sender
+        }));
+        emit TemperatureRecorded(productId, msg.sender, temperature, recordedAt);
+
+        if (temperature >= req.minTemperature && temperature <= req.maxTemperature) {
+            _excursionStarts[productId] = 0;
+            return;
+        }
+        if (_excursionStarts[productId] == 0) {
+            _excursionStarts[productId] = recordedAt;
+        }
+        uint32 excursionMinutes = uint32((recordedAt - _excursionStarts[productId]) / 60);
+        if (excursionMinutes >= req.maxExcursionMinutes) {
+            _breach(productId, temperature, recordedAt, excursionMinutes);
+        }
+    }
+
+    // Record a batch of readings by hash
+    // The custodian submits a summary of the raw readings; a batch with readings outside
+    // the range for at least maxExcursionMinutes is a breach
+    // The reported excursion cannot be longer than the time the batch spans
+    function recordReadingBatch(
+        uint256 productId,
+        bytes32 dataHash,
+        uint32 readingCount,
+        uint64 startTime,
+        uint64 endTime,
+        int16 minTemperature,
+        int16 maxTemperature,
+        uint32 excursionMinutes
+    ) external whenNotPaused onlyCustodian(productId) {
+        ColdChainRequirement memory req = _requireMonitored(productId);
+        if (dataHash == bytes32(0) || readingCount == 0) revert EmptyBatch();
+        if (startTime > endTime || endTime > block.timestamp) revert InvalidTimeRange(startTime, endTime);
+        if (minTemperature > maxTemperature) revert InvalidTemperatureRange(minTemperature, maxTemperature);
+        if (excursionMinutes > (endTime - startTime) / 60) revert ExcursionTooLong(excursionMinutes, (endTime - startTime) / 60);
+        _batches[productId].push(ReadingBatch({
+            dataHash: dataHash,
+            readingCount: readingCount,
+            startTime: startTime,
+            endTime: endTime,
+            minTemperature: minTemperature,
+            maxTemperature: maxTemperature,
+            excursionMinutes: excursionMinutes,
+            recordedBy: msg.sender
+        }));
+        emit ReadingBatchRecorded(productId, msg.sender, dataHash, readingCount, minTemperature, maxTemperature);
+
+        bool tooCold = minTemperature < req.minTemperature;
+        bool tooWarm = maxTemperature > req.maxTemperature;
+        if ((tooCold || tooWarm) && excursionMinutes >= req.maxExcursionMinutes) {
+            _breach(productId, tooWarm ? maxTemperature : minTemperature, endTime, excursionMinutes);
+        }
+    }
+
+    // Get cold-chain limits for a product
+    function getRequirement(uint256 productId) external view returns (ColdChainRequirement memory requirement) {
+        return _requirements[productId];
+    }
+
+    // Get all individual readings for a product in chronological order
+    function getReadings(uint256 productId) external view returns (TemperatureReading[] memory readings) {
+        return _readings[productId];
+    }
+
+    // Get all hashed reading batches for a product in submission order
+    function getReadingBatches(uint256 productId) external view returns (ReadingBatch[] memory batches) {
+        return _batches[productId];
+    }
+
+    // Check if a product's cold chain has been breached
+    function isCompromised(uint256 productId) external view returns (bool compromised) {
+        return _compromised[productId];
+    }
+
+    // Require cold-chain limits to be set for a product and return them
+    function _requireMonitored(uint256 productId) private view returns (ColdChainRequirement memory req) {
+        req = _requirements[productId];
+        if (!req.isSet) revert RequirementNotSet(productId);
+    }
+
+    // Mark a product as compromised and emit ColdChainBreach
+    function _breach(uint256 productId, int16 temperature, uint64 recordedAt, uint32 excursionMinutes) private {
+        _compromised[productId] = true;
+        emit ColdChainBreach(productId, msg.sender, temperature, recordedAt, excursionMinutes);
+    }
+}
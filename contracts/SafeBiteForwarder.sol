@@ -0,0 +1,352 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./SafeBiteSupplyChain.sol";
+
+// Meta-transaction forwarder for the supply chain contract
+// Stakeholders sign EIP-712 typed data for register, transfer, transfer acceptance and rejection,
+// quality check and compliance actions, and any relayer can submit the signed request and pay the gas
+// The request is forwarded with the signer appended to the calldata (ERC-2771), and the supply chain
+// contract, which trusts this forwarder, attributes the action to the signer
+contract SafeBiteForwarder {
+
+    // Register a product on behalf of a producer
+    struct RegisterProduct {
+        address signer;          // Producer the product is registered for
+        string name;
+        string batchId;
+        string origin;
+        string metadataHash;
+        uint256 productionDate;  // Unix seconds (0 = now)
+        uint256 bestBeforeDate;  // Unix seconds (0 = not set)
+        uint256 useByDate;       // Unix seconds (0 = not set)
+        uint256 nonce;           // Must equal nonces[signer]
+        uint256 deadline;        // Last Unix second the request can be relayed
+    }
+
+    // Start a transfer on behalf of the current owner
+    struct TransferOwnership {
+        address signer;          // Current owner of the product
+        uint256 productId;
+        address to;
+        string shipmentDetails;
+        uint256 timeout;         // Seconds the recipient has to accept (0 = no deadline)
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Accept a pending transfer on behalf of its recipient
+    struct AcceptTransfer {
+        address signer;          // Recipient of the pending transfer
+        uint256 productId;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Reject a pending transfer on behalf of its recipient
+    struct RejectTransfer {
+        address signer;          // Recipient of the pending transfer
+        uint256 productId;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Record a quality check on behalf of a retailer or regulator
+    struct QualityCheck {
+        address signer;
+        uint256 productId;
+        uint8 qualityScore;      // 0-100, 50 or more passes
+        string notes;
+        string certificateHash;  // Metadata to store if the check passes
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Record a compliance check on behalf of a regulator
+    struct ComplianceCheck {
+        address signer;
+        uint256 productId;
+        bool compliant;
+        string notes;
+        string certificateHash;  // Metadata to store if the product is compliant
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 private constant REGISTER_PRODUCT_TYPEHASH = keccak256(
+        "RegisterProduct(address signer,string name,string batchId,string origin,string metadataHash,uint256 productionDate,uint256 bestBeforeDate,uint256 useByDate,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant TRANSFER_OWNERSHIP_TYPEHASH = keccak256(
+        "TransferOwnership(address signer,uint256 productId,address to,string shipmentDetails,uint256 timeout,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant ACCEPT_TRANSFER_TYPEHASH = keccak256(
+        "AcceptTransfer(address signer,uint256 productId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant REJECT_TRANSFER_TYPEHASH = keccak256(
+        "RejectTransfer(address signer,uint256 productId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant QUALITY_CHECK_TYPEHASH = keccak256(
+        "QualityCheck(address signer,uint256 productId,uint8 qualityScore,string notes,string certificateHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant COMPLIANCE_CHECK_TYPEHASH = keccak256(
+        "ComplianceCheck(address signer,uint256 productId,bool compliant,string notes,string certificateHash,uint256 nonce,uint256 deadline)"
+    );
+
+    // Upper bound for the s value of a signature (secp256k1n / 2), rejecting malleable signatures
+    uint256 private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // Supply chain contract requests are forwarded to
+    SafeBiteSupplyChain public supplyChain;
+
+    // Next nonce each signer must use; incremented by every relayed request
+    mapping(address => uint256) public nonces;
+
+    // Domain separator for the chain the forwarder was deployed on
+    bytes32 private immutable _cachedDomainSeparator;
+    uint256 private immutable _cachedChainId;
+
+    // Emitted for every relayed request
+    event RequestRelayed(
+        address indexed signer,
+        uint256 nonce,
+        address indexed relayer
+    );
+
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    error ZeroAddress();
+    error RequestExpired(uint256 deadline);
+    error InvalidNonce(address signer, uint256 nonce, uint256 expected);
+    error InvalidSignature(address signer);
+
+    // Constructor: Initialize with the supply chain contract address
+    constructor(address _supplyChain) {
+        if (_supplyChain == address(0)) revert ZeroAddress();
+        supplyChain = SafeBiteSupplyChain(_supplyChain);
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = buildDomainSeparator();
+    }
+
+    // EIP-712 domain separator; rebuilt if the chain has forked since deployment
+    function domainSeparator() public view returns (bytes32) {
+        return block.chainid == _cachedChainId ? _cachedDomainSeparator : buildDomainSeparator();
+    }
+
+    // Relay a signed product registration
+    function registerProduct(
+        RegisterProduct calldata request,
+        bytes calldata signature
+    ) external returns (uint256 productId) {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                REGISTER_PRODUCT_TYPEHASH,
+                request.signer,
+                keccak256(bytes(request.name)),
+                keccak256(bytes(request.batchId)),
+                keccak256(bytes(request.origin)),
+                keccak256(bytes(request.metadataHash)),
+                request.productionDate,
+                request.bestBeforeDate,
+                request.useByDate,
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        bytes memory result = forward(request.signer, abi.encodeCall(
+            SafeBiteSupplyChain.registerProduct,
+            (
+                request.name,
+                request.batchId,
+                request.origin,
+                request.metadataHash,
+                request.productionDate,
+                request.bestBeforeDate,
+                request.useByDate
+            )
+        ));
+        productId = abi.decode(result, (uint256));
+    }
+
+    // Relay a signed transfer
+    function transferOwnership(
+        TransferOwnership calldata request,
+        bytes calldata signature
+    ) external {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                TRANSFER_OWNERSHIP_TYPEHASH,
+                request.signer,
+                request.productId,
+                request.to,
+                keccak256(bytes(request.shipmentDetails)),
+                request.timeout,
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        forward(request.signer, abi.encodeCall(
+            SafeBiteSupplyChain.transferOwnership,
+            (request.productId, request.to, request.shipmentDetails, request.timeout)
+        ));
+    }
+
+    // Relay a signed transfer acceptance
+    function acceptTransfer(
+        AcceptTransfer calldata request,
+        bytes calldata signature
+    ) external {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                ACCEPT_TRANSFER_TYPEHASH,
+                request.signer,
+                request.productId,
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        forward(request.signer, abi.encodeCall(SafeBiteSupplyChain.acceptTransfer, (request.productId)));
+    }
+
+    // Relay a signed transfer rejection
+    function rejectTransfer(
+        RejectTransfer calldata request,
+        bytes calldata signature
+    ) external {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                REJECT_TRANSFER_TYPEHASH,
+                request.signer,
+                request.productId,
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        forward(request.signer, abi.encodeCall(SafeBiteSupplyChain.rejectTransfer, (request.productId)));
+    }
+
+    // Relay a signed quality check
+    function performQualityCheck(
+        QualityCheck calldata request,
+        bytes calldata signature
+    ) external {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                QUALITY_CHECK_TYPEHASH,
+                request.signer,
+                request.productId,
+                request.qualityScore,
+                keccak256(bytes(request.notes)),
+                keccak256(bytes(request.certificateHash)),
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        forward(request.signer, abi.encodeCall(
+            SafeBiteSupplyChain.performQualityCheck,
+            (request.productId, request.qualityScore, request.notes, request.certificateHash)
+        ));
+    }
+
+    // Relay a signed compliance check
+    function checkCompliance(
+        ComplianceCheck calldata request,
+        bytes calldata signature
+    ) external {
+        useRequest(
+            request.signer,
+            request.nonce,
+            request.deadline,
+            keccak256(abi.encode(
+                COMPLIANCE_CHECK_TYPEHASH,
+                request.signer,
+                request.productId,
+                request.compliant,
+                keccak256(bytes(request.notes)),
+                keccak256(bytes(request.certificateHash)),
+                request.nonce,
+                request.deadline
+            )),
+            signature
+        );
+        forward(request.signer, abi.encodeCall(
+            SafeBiteSupplyChain.checkCompliance,
+            (request.productId, request.compliant, request.notes, request.certificateHash)
+        ));
+    }
+
+    // Check the deadline, nonce and signature of a request, then consume the nonce
+    // A reverted forward call reverts the whole transaction, so the nonce is only used on success
+    function useRequest(
+        address signer,
+        uint256 nonce,
+        uint256 deadline,
+        bytes32 structHash,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > deadline) revert RequestExpired(deadline);
+        if (nonce != nonces[signer]) revert InvalidNonce(signer, nonce, nonces[signer]);
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        if (signer == address(0) || recoverSigner(digest, signature) != signer) revert InvalidSignature(signer);
+        nonces[signer] = nonce + 1;
+        emit RequestRelayed(signer, nonce, msg.sender);
+    }
+
+    // Call the supply chain contract with the signer appended, bubbling up its revert reason
+    function forward(address signer, bytes memory data) internal returns (bytes memory result) {
+        bool success;
+        (success, result) = address(supplyChain).call(abi.encodePacked(data, signer));
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    // Recover the address that produced a 65-byte signature (r, s, v) of a digest
+    // Returns the zero address for malformed or malleable signatures
+    function recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > MAX_SIGNATURE_S || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+
+    // Build the EIP-712 domain separator for the current chain
+    function buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("SafeBite")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+}
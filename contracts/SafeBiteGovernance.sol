@@ -0,0 +1,324 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./SafeBiteAccessRoles.sol";
+
+// M-of-N multi-signature governance for the access control contract
+// Once it owns SafeBiteAccessRoles, role grants, revocations and ownership changes are
+// proposals: a signer proposes a call, `threshold` signers approve it, and it can be
+// executed once a timelock has passed, leaving the consortium time to react to a bad proposal
+// The signer set, threshold and delay themselves only change through proposals to this contract
+contract SafeBiteGovernance {
+
+    // Proposal struct stores a call awaiting approval and execution
+    struct Proposal {
+        uint256 id;               // Unique proposal identifier
+        address proposer;         // Signer who made the proposal
+        address target;           // Access control contract or this contract
+        bytes data;               // Encoded function call
+        string description;       // Why the change is proposed
+        uint256 createdAt;        // When the proposal was made
+        uint256 readyAt;          // When the timelock ends (0 until the threshold is reached)
+        bool executed;            // Whether the call was made
+        bool cancelled;           // Whether the proposer cancelled the proposal
+    }
+
+    // Most signers the governance can have
+    uint256 public constant MAX_SIGNERS = 20;
+
+    // Longest timelock that can be set
+    uint256 public constant MAX_DELAY = 30 days;
+
+    // Contract governed by the signers
+    SafeBiteAccessRoles public accessControl;
+
+    // Current signers, and a lookup of who is one
+    address[] private _signers;
+    mapping(address => bool) public isSigner;
+
+    // Membership term of each signer, renewed every time it is added, and the last term handed out
+    // Approvals are stored with the approver's term, so a removed signer that is added again
+    // starts without its old approvals
+    mapping(address => uint256) private _signerTerm;
+    uint256 private _termCount;
+
+    // Approvals needed to queue a proposal
+    uint256 public threshold;
+
+    // Seconds between reaching the threshold and execution
+    uint256 public delay;
+
+    // Proposals by ID, and how many there are
+    mapping(uint256 => Proposal) private _proposals;
+    uint256 private _proposalCount;
+
+    // Term in which each signer approved each proposal (0 = not approved)
+    mapping(uint256 => mapping(address => uint256)) private _approved;
+
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address target, string description);
+    event ProposalApproved(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+    event ApprovalRevoked(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+    event ProposalQueued(uint256 indexed proposalId, uint256 readyAt);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed signer);
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event ThresholdChanged(uint256 threshold);
+    event DelayChanged(uint256 delay);
+
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    // Access errors
+    error NotSigner(address caller);
+    error NotGovernance(address caller);
+    error NotProposer(uint256 proposalId, address caller, address proposer);
+    error OwnRemovalNotCancellable(uint256 proposalId, address signer);
+    // Lookup errors
+    error ProposalNotFound(uint256 proposalId);
+    // State errors
+    error ProposalAlreadyApproved(uint256 proposalId, address signer);
+    error ProposalNotApproved(uint256 proposalId, address signer);
+    error ProposalAlreadyExecuted(uint256 proposalId);
+    error ProposalWasCancelled(uint256 proposalId);
+    error NotEnoughApprovals(uint256 proposalId, uint256 approvals, uint256 threshold);
+    error ProposalNotQueued(uint256 proposalId);
+    error TimelockNotExpired(uint256 proposalId, uint256 readyAt);
+    error AlreadySigner(address account);
+    error SignerNotFound(address account);
+    error ThresholdUnreachable(uint256 signers, uint256 threshold);
+    // Input errors
+    error ZeroAddress();
+    error TargetNotGoverned(address target);
+    error EmptyCallData();
+    error InvalidSignerCount(uint256 count, uint256 max);
+    error InvalidThreshold(uint256 threshold, uint256 signers);
+    error DelayTooLong(uint256 delay, uint256 max);
+
+    // Modifier: Only current signers can call
+    modifier onlySigner() {
+        if (!isSigner[msg.sender]) revert NotSigner(msg.sender);
+        _;
+    }
+
+    // Modifier: Only executed proposals targeting this contract can call
+    modifier onlyGovernance() {
+        if (msg.sender != address(this)) revert NotGovernance(msg.sender);
+        _;
+    }
+
+    // Constructor: Initialize with the governed contract, the signers, the threshold and the timelock
+    constructor(address _accessControl, address[] memory signers, uint256 _threshold, uint256 _delay) {
+        if (_accessControl == address(0)) revert ZeroAddress();
+        if (signers.length == 0 || signers.length > MAX_SIGNERS) revert InvalidSignerCount(signers.length, MAX_SIGNERS);
+        accessControl = SafeBiteAccessRoles(_accessControl);
+
+        for (uint256 i = 0; i < signers.length; i++) {
+            _addSigner(signers[i]);
+        }
+        _setThreshold(_threshold);
+        _setDelay(_delay);
+    }
+
+    // Propose a call to the access control contract or to this contract
+    // The proposer's approval is recorded with the proposal
+    function propose(address target, bytes calldata data, string calldata description)
+        external
+        onlySigner
+        returns (uint256)
+    {
+        if (target != address(accessControl) && target != address(this)) revert TargetNotGoverned(target);
+        if (data.length < 4) revert EmptyCallData();
+
+        _proposalCount++;
+        uint256 proposalId = _proposalCount;
+
+        Proposal storage proposal = _proposals[proposalId];
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.target = target;
+        proposal.data = data;
+        proposal.description = description;
+        proposal.createdAt = block.timestamp;
+
+        emit ProposalCreated(proposalId, msg.sender, target, description);
+        _approve(proposal);
+
+        return proposalId;
+    }
+
+    // Approve a proposal; reaching the threshold starts its timelock
+    function approve(uint256 proposalId) external onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        if (_hasApproved(proposalId, msg.sender)) revert ProposalAlreadyApproved(proposalId, msg.sender);
+        _approve(proposal);
+    }
+
+    // Withdraw an approval; dropping below the threshold stops the timelock
+    function revokeApproval(uint256 proposalId) external onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        if (!_hasApproved(proposalId, msg.sender)) revert ProposalNotApproved(proposalId, msg.sender);
+
+        _approved[proposalId][msg.sender] = 0;
+        uint256 approvals = getApprovalCount(proposalId);
+        if (approvals < threshold) {
+            proposal.readyAt = 0;
+        }
+        emit ApprovalRevoked(proposalId, msg.sender, approvals);
+    }
+
+    // Make the proposed call once the threshold is met and the timelock has passed
+    // A revert of the call is passed on, and the proposal stays open
+    function execute(uint256 proposalId) external onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        uint256 approvals = getApprovalCount(proposalId);
+        if (approvals < threshold) revert NotEnoughApprovals(proposalId, approvals, threshold);
+        if (proposal.readyAt == 0) revert ProposalNotQueued(proposalId);
+        if (block.timestamp < proposal.readyAt) revert TimelockNotExpired(proposalId, proposal.readyAt);
+
+        proposal.executed = true;
+        (bool success, bytes memory result) = proposal.target.call(proposal.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit ProposalExecuted(proposalId, msg.sender);
+    }
+
+    // Cancel an open proposal
+    // Only its proposer can, and not a proposal to remove the proposer, so no single signer can stop
+    // the others' proposals; approvers stop a queued proposal they no longer back with revokeApproval
+    function cancel(uint256 proposalId) external onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        if (msg.sender != proposal.proposer) revert NotProposer(proposalId, msg.sender, proposal.proposer);
+        if (proposal.target == address(this) && keccak256(proposal.data) == keccak256(abi.encodeCall(this.removeSigner, (msg.sender)))) {
+            revert OwnRemovalNotCancellable(proposalId, msg.sender);
+        }
+        proposal.cancelled = true;
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    // Add a signer (through a proposal only)
+    function addSigner(address signer) external onlyGovernance {
+        if (_signers.length >= MAX_SIGNERS) revert InvalidSignerCount(_signers.length + 1, MAX_SIGNERS);
+        _addSigner(signer);
+    }
+
+    // Remove a signer (through a proposal only); the threshold must stay reachable
+    function removeSigner(address signer) external onlyGovernance {
+        if (!isSigner[signer]) revert SignerNotFound(signer);
+        if (_signers.length - 1 < threshold) revert ThresholdUnreachable(_signers.length - 1, threshold);
+
+        isSigner[signer] = false;
+        for (uint256 i = 0; i < _signers.length; i++) {
+            if (_signers[i] == signer) {
+                _signers[i] = _signers[_signers.length - 1];
+                _signers.pop();
+                break;
+            }
+        }
+        emit SignerRemoved(signer);
+    }
+
+    // Change the number of approvals needed (through a proposal only)
+    function changeThreshold(uint256 newThreshold) external onlyGovernance {
+        _setThreshold(newThreshold);
+    }
+
+    // Change the timelock (through a proposal only)
+    function changeDelay(uint256 newDelay) external onlyGovernance {
+        _setDelay(newDelay);
+    }
+
+    // Get all current signers
+    function getSigners() external view returns (address[] memory) {
+        return _signers;
+    }
+
+    // Get a proposal by ID
+    function getProposal(uint256 proposalId) external view returns (Proposal memory) {
+        if (proposalId == 0 || proposalId > _proposalCount) revert ProposalNotFound(proposalId);
+        return _proposals[proposalId];
+    }
+
+    // Get the number of proposals made
+    function getProposalCount() external view returns (uint256) {
+        return _proposalCount;
+    }
+
+    // Get the current signers who approved a proposal
+    function getApprovers(uint256 proposalId) external view returns (address[] memory) {
+        address[] memory approvers = new address[](getApprovalCount(proposalId));
+        uint256 count = 0;
+        for (uint256 i = 0; i < _signers.length; i++) {
+            if (_hasApproved(proposalId, _signers[i])) {
+                approvers[count] = _signers[i];
+                count++;
+            }
+        }
+        return approvers;
+    }
+
+    // Count the approvals of current signers; approvals of removed signers no longer count,
+    // even if they are added again
+    function getApprovalCount(uint256 proposalId) public view returns (uint256) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < _signers.length; i++) {
+            if (_hasApproved(proposalId, _signers[i])) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Load a proposal that can still be approved, executed or cancelled
+    function _openProposal(uint256 proposalId) internal view returns (Proposal storage) {
+        if (proposalId == 0 || proposalId > _proposalCount) revert ProposalNotFound(proposalId);
+        Proposal storage proposal = _proposals[proposalId];
+        if (proposal.executed) revert ProposalAlreadyExecuted(proposalId);
+        if (proposal.cancelled) revert ProposalWasCancelled(proposalId);
+        return proposal;
+    }
+
+    // Whether a signer approved a proposal during its current term
+    function _hasApproved(uint256 proposalId, address signer) internal view returns (bool) {
+        return _approved[proposalId][signer] == _signerTerm[signer];
+    }
+
+    // Record the caller's approval, queueing the proposal when it reaches the threshold
+    function _approve(Proposal storage proposal) internal {
+        _approved[proposal.id][msg.sender] = _signerTerm[msg.sender];
+        uint256 approvals = getApprovalCount(proposal.id);
+        emit ProposalApproved(proposal.id, msg.sender, approvals);
+
+        if (approvals >= threshold && proposal.readyAt == 0) {
+            proposal.readyAt = block.timestamp + delay;
+            emit ProposalQueued(proposal.id, proposal.readyAt);
+        }
+    }
+
+    // Add an address to the signer set
+    function _addSigner(address signer) internal {
+        if (signer == address(0)) revert ZeroAddress();
+        if (isSigner[signer]) revert AlreadySigner(signer);
+        isSigner[signer] = true;
+        _termCount++;
+        _signerTerm[signer] = _termCount;
+        _signers.push(signer);
+        emit SignerAdded(signer);
+    }
+
+    // Set the number of approvals needed, between 1 and the number of signers
+    function _setThreshold(uint256 newThreshold) internal {
+        if (newThreshold == 0 || newThreshold > _signers.length) revert InvalidThreshold(newThreshold, _signers.length);
+        threshold = newThreshold;
+        emit ThresholdChanged(newThreshold);
+    }
+
+    // Set the timelock, at most MAX_DELAY
+    function _setDelay(uint256 newDelay) internal {
+        if (newDelay > MAX_DELAY) revert DelayTooLong(newDelay, MAX_DELAY);
+        delay = newDelay;
+        emit DelayChanged(newDelay);
+    }
+}
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./SafeBiteAccessRoles.sol";
+import "./SafeBiteSupplyChain.sol";
+
+// Recall registry for products tracked by the supply chain contract
+// Regulators can recall a single product, a whole batch, or every product from one producer
+// The supply chain contract consults this registry to block transfers of recalled products
+contract SafeBiteRecalls {
+
+    // What a recall targets
+    enum RecallScope {
+        PRODUCT,    // A single product ID
+        BATCH,      // Every product the given producer registered with the batch ID
+        PRODUCER    // Every product registered by the given producer
+    }
+
+    // Recall severity, following the FDA recall classification
+    enum RecallSeverity {
+        CLASS_I,    // Reasonable probability of serious adverse health consequences or death
+        CLASS_II,   // May cause temporary or medically reversible adverse health consequences
+        CLASS_III   // Not likely to cause adverse health consequences
+    }
+
+    // Recall struct stores everything about an issued recall
+    struct Recall {
+        uint256 id;               // Unique recall identifier
+        RecallScope scope;        // What the recall targets
+        uint256 productId;        // Target product (PRODUCT scope only)
+        string batchId;           // Target batch (BATCH scope only)
+        address producer;         // Target producer (BATCH and PRODUCER scopes)
+        RecallSeverity severity;  // Recall classification
+        string reason;            // Why the recall was issued
+        address issuedBy;         // Regulator who issued the recall
+        uint256 timestamp;        // When the recall was issued
+    }
+
+    // References to the access control and supply chain contracts
+    SafeBiteAccessRoles public accessControl;
+    SafeBiteSupplyChain public supplyChain;
+
+    // All recalls, indexed by recall ID - 1
+    Recall[] private _recalls;
+
+    // First recall of each product (0 = not recalled)
+    mapping(uint256 => uint256) private _productRecalls;
+
+    // Recall IDs issued for each batch (keyed by producer and batch ID) and producer, oldest first
+    // Batch and producer recalls cover products registered up to the recall timestamp, so a later
+    // recall only adds coverage for products registered since the earlier one
+    mapping(bytes32 => uint256[]) private _batchRecalls;
+    mapping(address => uint256[]) private _producerRecalls;
+
+    // Emitted once per recall; productId, batchId and producer are set depending on scope
+    event ProductRecalled(
+        uint256 indexed recallId,
+        uint256 indexed productId,
+        address indexed producer,
+        string batchId,
+        RecallScope scope,
+        RecallSeverity severity,
+        string reason
+    );
+
+    // Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+    error MissingRole(address account, SafeBiteAccessRoles.Role role);
+    error ProductNotFound(uint256 productId);
+    error RecallNotFound(uint256 recallId);
+    error ZeroAddress();
+    error EmptyField(string field);
+
+    // Modifier: Only addresses with REGULATOR role can call
+    modifier onlyRegulator() {
+        if (!accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR)) {
+            revert MissingRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR);
+        }
+        _;
+    }
+
+    // Constructor: Initialize with access control and supply chain contract addresses
+    constructor(address _accessControl, address _supplyChain) {
+        if (_accessControl == address(0) || _supplyChain == address(0)) revert ZeroAddress();
+        accessControl = SafeBiteAccessRoles(_accessControl);
+        supplyChain = SafeBiteSupplyChain(_supplyChain);
+    }
+
+    // Recall a single product
+    function recallProduct(
+        uint256 productId,
+        string memory reason,
+        RecallSeverity severity
+    ) external onlyRegulator returns (uint256 recallId) {
+        if (!supplyChain.isProductExists(productId)) revert ProductNotFound(productId);
+        recallId = _createRecall(RecallScope.PRODUCT, productId, "", address(0), severity, reason);
+        if (_productRecalls[productId] == 0) {
+            _productRecalls[productId] = recallId;
+        }
+    }
+
+    // Recall every product the given producer registered with the batch ID
+    // Batch IDs are chosen by producers, so the same ID from another producer is a different batch
+    function recallBatch(
+        address producer,
+        string memory batchId,
+        string memory reason,
+        RecallSeverity severity
+    ) external onlyRegulator returns (uint256 recallId) {
+        if (producer == address(0)) revert ZeroAddress();
+        if (bytes(batchId).length == 0) revert EmptyField("batchId");
+        recallId = _createRecall(RecallScope.BATCH, 0, batchId, producer, severity, reason);
+        _batchRecalls[_batchKey(producer, batchId)].push(recallId);
+    }
+
+    // Recall every product registered by the given producer
+    function recallProducer(
+        address producer,
+        string memory reason,
+        RecallSeverity severity
+    ) external onlyRegulator returns (uint256 recallId) {
+        if (producer == address(0)) revert ZeroAddress();
+        recallId = _createRecall(RecallScope.PRODUCER, 0, "", producer, severity, reason);
+        _producerRecalls[producer].push(recallId);
+    }
+
+    // Check if a product is covered by any recall
+    function isProductRecalled(uint256 productId) external view returns (bool recalled) {
+        return getProductRecallId(productId) != 0;
+    }
+
+    // Get the ID of the recall covering a product (0 if not recalled)
+    // A direct product recall takes precedence over batch and producer recalls, and the earliest
+    // covering recall is reported so later recalls do not change the answer for covered products
+    function getProductRecallId(uint256 productId) public view returns (uint256 recallId) {
+        if (_productRecalls[productId] != 0) {
+            return _productRecalls[productId];
+        }
+        if (!supplyChain.isProductExists(productId)) {
+            return 0;
+        }
+        (, string memory batchId, address producer, uint256 createdAt, , ) = supplyChain.getProduct(productId);
+
+        // Batch and producer recalls only cover products that existed when the recall was issued
+        uint256 batchRecall = _firstCovering(_batchRecalls[_batchKey(producer, batchId)], createdAt);
+        uint256 producerRecall = _firstCovering(_producerRecalls[producer], createdAt);
+        if (batchRecall == 0 || (producerRecall != 0 && producerRecall < batchRecall)) {
+            return producerRecall;
+        }
+        return batchRecall;
+    }
+
+    // Get a recall by its ID
+    function getRecall(uint256 recallId) external view returns (Recall memory recall) {
+        if (recallId == 0 || recallId > _recalls.length) revert RecallNotFound(recallId);
+        return _recalls[recallId - 1];
+    }
+
+    // Get total number of recalls issued
+    function getRecallCount() external view returns (uint256 count) {
+        return _recalls.length;
+    }
+
+    // Key of a producer's batch in _batchRecalls
+    function _batchKey(address producer, string memory batchId) private pure returns (bytes32) {
+        return keccak256(abi.encode(producer, batchId));
+    }
+
+    // Get the first recall in recallIds issued at or after createdAt (0 if none)
+    // Recall IDs are issued in timestamp order, so the list can be binary searched
+    function _firstCovering(uint256[] storage recallIds, uint256 createdAt) private view returns (uint256 recallId) {
+        uint256 low = 0;
+        uint256 high = recallIds.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_recalls[recallIds[mid] - 1].timestamp < createdAt) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low < recallIds.length ? recallIds[low] : 0;
+    }
+
+    // Store a new recall and emit ProductRecalled
+    function _createRecall(
+        RecallScope scope,
+        uint256 productId,
+        string memory batchId,
+        address producer,
+        RecallSeverity severity,
+        string memory reason
+    ) private returns (uint256 recallId) {
+        if (bytes(reason).length == 0) revert EmptyField("reason");
+        recallId = _recalls.length + 1;
+        _recalls.push(Recall({
+            id: recallId,
+            scope: scope,
+            productId: productId,
+            batchId: batchId,
+            producer: producer,
+            severity: severity,
+            reason: reason,
+            issuedBy: msg.sender,
+            timestamp: block.timestamp
+        }));
+        emit ProductRecalled(recallId, productId, producer, batchId, scope, severity, reason);
+    }
+}
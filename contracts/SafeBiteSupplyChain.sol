@@ -2,6 +2,9 @@
 pragma solidity ^0.8.19                ;
 
 import "./SafeBiteAccessRoles.sol";
+import "./SafeBiteRecalls.sol";
+import "./SafeBiteCertificates.sol";
+import "./SafeBiteColdChain.sol";
 
 // Main supply chain contract for tracking products through the food supply chain
 // Handles product registration, ownership transfers, status updates, and verification
@@ -9,12 +12,14 @@ contract SafeBiteSupplyChain {
 
 // Product status enum tracks where the product is in the supply chain
 // Status flows: CREATED -> SHIPPED -> RECEIVED -> STORED -> DELIVERED
+// EXPIRED is terminal: reported once the use-by date passes, or set by the owner for spoiled goods
 enum ProductStatus {
 CREATED, // Product just registered by producer
 SHIPPED, // Product in transit to distributor/retailer
 RECEIVED, // Product received by distributor/retailer
 STORED, // Product in storage
-DELIVERED // Product delivered to consumer
+DELIVERED, // Product delivered to consumer
+EXPIRED // Product past use-by or spoiled
 }
 
 // Types of verification that can be performed on products
@@ -34,6 +39,9 @@ address producer                                                    ;        //
 uint256 createdAt                                                   ;       // Timestamp when product was registered
 string origin                                                       ;           // Origin location/country
 string metadataHash                                                 ;     // IPFS hash or off-chain storage reference for certificates
+uint256 productionDate                                              ;   // When the product was produced
+uint256 bestBeforeDate                                              ;   // Quality date (0 = none)
+uint256 useByDate                                                   ;        // Safety date, expired after this (0 = none)
 }
 
 // Transfer struct records each ownership transfer
@@ -44,19 +52,49 @@ uint256 timestamp                                  ;       // When the transfer
 string shipmentDetails                             ;  // Shipping info like tracking number, carrier
 }
 
-// Verification struct - kept for backward compatibility with view functions
-// Note: Verification history is now retrieved from events, not stored in arrays
+// Verification struct records each authenticity, quality or compliance check
 struct Verification {
 address verifier                                  ;        // Who performed the verification
 uint256 timestamp                                 ;       // When verification happened
 VerificationType vType                            ;  // Type of verification
 bool result                                       ;             // Pass or fail
+uint8 score                                       ;             // Quality score (0-100), 0 for unscored checks
 string notes                                      ;            // Additional notes about verification
+string certificateHash                            ;  // Certificate reference stored with a passing check
+}
+
+// PendingTransfer struct records a custody handoff awaiting the recipient's acceptance
+struct PendingTransfer {
+address from                                       ;            // Current owner who initiated the handoff
+address to                                         ;              // Recipient who must accept or reject
+uint256 initiatedAt                                ;     // When the handoff was initiated
+uint256 expiresAt                                  ;       // Acceptance deadline (0 = no deadline)
+string shipmentDetails                             ;  // Shipping info like tracking number, carrier
+}
+
+// Ingredient struct links a composite product to an input product it was made from
+struct Ingredient {
+uint256 productId                                  ;       // Input product consumed
+uint16 portion                                     ;          // Share of the input used, in basis points (10000 = all of it)
 }
 
 // Reference to access control contract to check roles
 SafeBiteAccessRoles public accessControl               ;
 
+// Reference to recall registry consulted before transfers (zero until wired up after deployment)
+SafeBiteRecalls public recallRegistry                  ;
+
+// Reference to certificate registry holding check certificates (zero until wired up after deployment)
+// Without it, check certificates are stored in metadataHash as before
+SafeBiteCertificates public certificateRegistry        ;
+
+// Reference to cold-chain log consulted before transfers (zero until wired up after deployment)
+SafeBiteColdChain public coldChainRegistry             ;
+
+// Forwarder that relays EIP-712 signed requests (zero until wired up after deployment)
+// Calls from it carry the original signer in the last 20 bytes of calldata (ERC-2771)
+address public trustedForwarder                        ;
+
 // Storage mappings
 mapping(uint256 => Product) private _products                   ;                    // Product ID -> Product info
 mapping(uint256 => address) private _currentOwners              ;               // Product ID -> Current owner
@@ -64,10 +102,21 @@ mapping(uint256 => ProductStatus) private _productStatuses      ;       // Produ
 mapping(uint256 => bool) private _authenticityFlags             ;              // Product ID -> Is authentic flag
 mapping(uint256 => bool) private _hasQualityCheckPassed         ;  // Product ID -> Quality check passed flag
 mapping(uint256 => bool) private _hasComplianceCheckPassed     ;  // Product ID -> Compliance check passed flag
+mapping(uint256 => Transfer[]) private _transferHistory         ;  // Product ID -> Custody chain, oldest first
+mapping(uint256 => Verification[]) private _verificationHistory ;  // Product ID -> Verification records, oldest first
+mapping(uint256 => PendingTransfer) private _pendingTransfers  ;  // Product ID -> Handoff awaiting acceptance
+mapping(uint256 => Ingredient[]) private _ingredients          ;  // Product ID -> Input products it was made from
+mapping(uint256 => uint16) private _consumedPortions           ;  // Product ID -> Share used as an ingredient (basis points)
 
 // Counter for generating unique product IDs
 uint256 private _productCounter              ;
 
+// Longest notes a verification record can carry, in bytes
+uint256 public constant MAX_NOTES_LENGTH = 256 ;
+
+// Most recent verification records embedded in getCompleteProvenance and returned by getVerificationHistory; older ones are read with getVerificationHistoryPage
+uint256 public constant PROVENANCE_VERIFICATIONS = 20 ;
+
 // Events track all state changes - backend queries these events to retrieve history
 event ProductRegistered(
 uint256 indexed productId,
@@ -83,6 +132,26 @@ address indexed to,
 string shipmentDetails
 )                           ;
 
+event TransferInitiated(
+uint256 indexed productId,
+address indexed from,
+address indexed to,
+uint256 expiresAt,
+string shipmentDetails
+)                           ;
+
+event TransferRejected(
+uint256 indexed productId,
+address indexed from,
+address indexed to
+)                           ;
+
+event TransferCancelled(
+uint256 indexed productId,
+address indexed from,
+address indexed to
+)                           ;
+
 event StatusUpdated(
 uint256 indexed productId,
 ProductStatus oldStatus,
@@ -113,60 +182,220 @@ address indexed regulator,
 bool compliant
 )                          ;
 
+// Emitted once per input of a composite product; query by inputId to find everything made from it
+event IngredientConsumed(
+uint256 indexed inputId,
+uint256 indexed outputId,
+uint16 portion,
+uint16 totalConsumed
+)                          ;
+
+event RecallRegistryUpdated(
+address indexed recallRegistry
+)                          ;
+
+event CertificateRegistryUpdated(
+address indexed certificateRegistry
+)                          ;
+
+event ColdChainRegistryUpdated(
+address indexed coldChainRegistry
+)                          ;
+
+event TrustedForwarderUpdated(
+address indexed trustedForwarder
+)                          ;
+
+// Custom errors carry the values that made a call fail; the backend decodes them from the ABI
+// Access errors
+error MissingRole(address account, SafeBiteAccessRoles.Role role);
+error NotRetailerOrRegulator(address account);
+error NotAccessControlOwner(address account);
+error NotProductOwner(uint256 productId, address caller, address owner);
+error NotTransferRecipient(uint256 productId, address caller, address recipient);
+// Lookup errors
+error ProductNotFound(uint256 productId);
+error NoPendingTransfer(uint256 productId);
+// State errors
+error SupplyChainPaused();
+error ProductRecalled(uint256 productId);
+error ColdChainCompromised(uint256 productId);
+error ProductPastUseBy(uint256 productId, uint256 useByDate);
+error ProductExpired(uint256 productId);
+error ProductFullyConsumed(uint256 productId);
+error InputUnavailable(uint256 productId);
+error TransferAlreadyPending(uint256 productId, address recipient);
+error TransferExpired(uint256 productId, uint256 expiresAt);
+error StatusUnchanged(ProductStatus status);
+error InvalidTransition(ProductStatus from, ProductStatus to);
+// Input errors
+error ZeroAddress();
+error EmptyField(string field);
+error InvalidDates(uint256 productionDate, uint256 bestBeforeDate, uint256 useByDate);
+error NoInputs();
+error DuplicateInput(uint256 productId);
+error InvalidPortion(uint256 productId, uint16 portion, uint256 consumed);
+error TransferToSelf(address account);
+error InvalidRecipient(address recipient);
+error InvalidQualityScore(uint8 score);
+error NotesTooLong(uint256 length, uint256 max);
+
 // Modifier: Only addresses with PRODUCER role can call
 modifier onlyProducer() {
-require(
-accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.PRODUCER),
-"SafeBiteSupplyChain: caller is not a producer"
-)                                                                     ;
+if (!accessControl.hasRole(_msgSender(), SafeBiteAccessRoles.Role.PRODUCER)) {
+revert MissingRole(_msgSender(), SafeBiteAccessRoles.Role.PRODUCER);
+}
 _                                                                     ;
 }
 
 // Modifier: Only addresses with REGULATOR role can call
 modifier onlyRegulator() {
-require(
-accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR),
-"SafeBiteSupplyChain: caller is not a regulator"
-)                                                                      ;
+if (!accessControl.hasRole(_msgSender(), SafeBiteAccessRoles.Role.REGULATOR)) {
+revert MissingRole(_msgSender(), SafeBiteAccessRoles.Role.REGULATOR);
+}
+_                                                                      ;
+}
+
+// Modifier: Only callable while the guardian has not paused the supply chain
+// The pause switch lives in the access control contract, next to the roles it protects
+modifier whenNotPaused() {
+requireNotPaused();
 _                                                                      ;
 }
 
 // Modifier: Check if product exists (product ID is not zero)
+// The check lives in a function so the revert is not copied into every function using it
 modifier productExists(uint256 productId) {
-require(_products[productId].id != 0, "SafeBiteSupplyChain: product does not exist");
+requireProductExists(productId);
 _                                                                                     ;
 }
 
 // Modifier: Only current owner of the product can call
 modifier onlyOwner(uint256 productId) {
-require(
-_currentOwners[productId] == msg.sender,
-"SafeBiteSupplyChain: caller is not the product owner"
-)                                                       ;
+requireProductOwner(productId);
 _                                                       ;
 }
 
 // Constructor: Initialize with access control contract address
 // Sets up the connection to role management contract
 constructor(address _accessControl) {
-require(_accessControl != address(0), "SafeBiteSupplyChain: invalid access control address");
+if (_accessControl == address(0)) revert ZeroAddress();
 accessControl = SafeBiteAccessRoles(_accessControl)                                           ;
 _productCounter = 0                                                                           ;
 }
 
+// Connect the recall registry
+// Only the access control owner can change it
+function setRecallRegistry(address _recallRegistry) external {
+if (msg.sender != accessControl.owner()) revert NotAccessControlOwner(msg.sender);
+recallRegistry = SafeBiteRecalls(_recallRegistry);
+emit RecallRegistryUpdated(_recallRegistry);
+}
+
+// Connect the certificate registry
+// Only the access control owner can change it
+function setCertificateRegistry(address _certificateRegistry) external {
+if (msg.sender != accessControl.owner()) revert NotAccessControlOwner(msg.sender);
+certificateRegistry = SafeBiteCertificates(_certificateRegistry);
+emit CertificateRegistryUpdated(_certificateRegistry);
+}
+
+// Connect the cold-chain log
+// Only the access control owner can change it
+function setColdChainRegistry(address _coldChainRegistry) external {
+if (msg.sender != accessControl.owner()) revert NotAccessControlOwner(msg.sender);
+coldChainRegistry = SafeBiteColdChain(_coldChainRegistry);
+emit ColdChainRegistryUpdated(_coldChainRegistry);
+}
+
+// Connect the meta-transaction forwarder
+// Only the access control owner can change it
+function setTrustedForwarder(address _trustedForwarder) external {
+if (msg.sender != accessControl.owner()) revert NotAccessControlOwner(msg.sender);
+trustedForwarder = _trustedForwarder;
+emit TrustedForwarderUpdated(_trustedForwarder);
+}
+
 // Register a new product on the blockchain
 // Only PRODUCER role can register products
+// productionDate of 0 means now; bestBeforeDate and useByDate of 0 mean the product does not carry that date
 // Returns the unique product ID assigned to the product
 function registerProduct(
 string memory name,
 string memory batchId,
 string memory origin,
-string memory metadataHash
-) external onlyProducer returns (uint256 productId) {
-require(bytes(name).length > 0, "SafeBiteSupplyChain: product name cannot be empty");
-require(bytes(batchId).length > 0, "SafeBiteSupplyChain: batch ID cannot be empty");
-require(bytes(origin).length > 0, "SafeBiteSupplyChain: origin cannot be empty");
+string memory metadataHash,
+uint256 productionDate,
+uint256 bestBeforeDate,
+uint256 useByDate
+) external whenNotPaused onlyProducer returns (uint256 productId) {
+return createProduct(name, batchId, origin, metadataHash, productionDate, bestBeforeDate, useByDate);
+}
+
+// Register a composite product made from input products the caller owns
+// Each input's portion is the share used, in basis points (10000 = the whole input)
+// Fully consumed inputs can no longer be transferred or used again; each input is listed once
+function registerCompositeProduct(
+string memory name,
+string memory batchId,
+string memory origin,
+string memory metadataHash,
+uint256 productionDate,
+uint256 bestBeforeDate,
+uint256 useByDate,
+Ingredient[] memory inputs
+) external whenNotPaused onlyProducer returns (uint256 productId) {
+if (inputs.length == 0) revert NoInputs();
+productId = createProduct(name, batchId, origin, metadataHash, productionDate, bestBeforeDate, useByDate);
+for (uint256 i = 0; i < inputs.length; i++) {
+uint256 inputId = inputs[i].productId;
+// The composite is owned by the caller too, so it has to be ruled out as its own input
+if (inputId == productId) revert DuplicateInput(inputId);
+for (uint256 j = 0; j < i; j++) {
+if (inputs[j].productId == inputId) revert DuplicateInput(inputId);
+}
+// Owner check also rules out unregistered inputs, which have no owner
+requireProductOwner(inputId);
+if (
+_pendingTransfers[inputId].to != address(0) || isRecalled(inputId) || isColdChainCompromised(inputId) ||
+effectiveStatus(inputId) == ProductStatus.EXPIRED
+) {
+revert InputUnavailable(inputId);
+}
+uint256 consumed = uint256(_consumedPortions[inputId]) + inputs[i].portion;
+if (inputs[i].portion == 0 || consumed > 10000) revert InvalidPortion(inputId, inputs[i].portion, consumed);
+_consumedPortions[inputId] = uint16(consumed);
+_ingredients[productId].push(inputs[i]);
+emit IngredientConsumed(inputId, productId, inputs[i].portion, uint16(consumed));
+}
+}
+
+// Helper function to validate and store a new product owned by the caller
+function createProduct(
+string memory name,
+string memory batchId,
+string memory origin,
+string memory metadataHash,
+uint256 productionDate,
+uint256 bestBeforeDate,
+uint256 useByDate
+) internal returns (uint256 productId) {
+if (bytes(name).length == 0) revert EmptyField("name");
+if (bytes(batchId).length == 0) revert EmptyField("batchId");
+if (bytes(origin).length == 0) revert EmptyField("origin");
 // metadataHash can be empty initially and added later when certificates are generated
+if (productionDate == 0) {
+productionDate = block.timestamp;
+}
+// Production cannot be in the future, dates that are set must follow it, and best-before cannot be after use-by
+if (
+productionDate > block.timestamp ||
+(bestBeforeDate != 0 && bestBeforeDate <= productionDate) ||
+(useByDate != 0 && useByDate <= productionDate) ||
+(bestBeforeDate != 0 && useByDate != 0 && bestBeforeDate > useByDate)
+) {
+revert InvalidDates(productionDate, bestBeforeDate, useByDate);
+}
 
 // Increment product counter
 _productCounter++            ;
@@ -177,23 +406,26 @@ _products[productId] = Product({
 id: productId,
 name: name,
 batchId: batchId,
-producer: msg.sender,
+producer: _msgSender(),
 createdAt: block.timestamp,
 origin: origin,
-metadataHash: metadataHash
+metadataHash: metadataHash,
+productionDate: productionDate,
+bestBeforeDate: bestBeforeDate,
+useByDate: useByDate
 })                               ;
 
 // Set status to CREATED
 _productStatuses[productId] = ProductStatus.CREATED ;
 
 // Set current owner to producer
-_currentOwners[productId] = msg.sender ;
+_currentOwners[productId] = _msgSender() ;
 
 // Set authenticity flag to false initially (needs verification)
 _authenticityFlags[productId] = false                            ;
 
 // Emit ProductRegistered event
-emit ProductRegistered(productId, msg.sender, name, batchId) ;
+emit ProductRegistered(productId, _msgSender(), name, batchId) ;
 
 return productId ;
 }
@@ -203,8 +435,8 @@ return productId ;
 function updateProductMetadata(
 uint256 productId,
 string memory newMetadataHash
-) external productExists(productId) onlyOwner(productId) {
-require(bytes(newMetadataHash).length > 0, "SafeBiteSupplyChain: metadata hash cannot be empty");
+) external whenNotPaused productExists(productId) onlyOwner(productId) {
+if (bytes(newMetadataHash).length == 0) revert EmptyField("metadataHash");
 _products[productId].metadataHash = newMetadataHash;
 emit ProductMetadataUpdated(productId, newMetadataHash);
 }
@@ -221,7 +453,7 @@ string memory metadataHash
 ) {
 
 // - Return all fields from Product struct
-Product memory product = _products[productId] ;
+Product storage product = _products[productId] ;
 return (
 product.name,
 product.batchId,
@@ -232,6 +464,35 @@ product.metadataHash
 )                                             ;
 }
 
+// Get production, best-before and use-by dates of a product (0 = date not set)
+function getProductDates(uint256 productId) external view productExists(productId) returns (
+uint256 productionDate,
+uint256 bestBeforeDate,
+uint256 useByDate
+) {
+Product storage product = _products[productId];
+return (product.productionDate, product.bestBeforeDate, product.useByDate);
+}
+
+// Get the IDs of every certificate covering a product, valid or not (empty without a certificate registry)
+// The product's own certificates come first, then those of its batch
+function getProductCertificateIds(uint256 productId) public view productExists(productId) returns (uint256[] memory certificateIds) {
+if (address(certificateRegistry) == address(0)) {
+return new uint256[](0);
+}
+return certificateRegistry.getProductCertificateIds(productId);
+}
+
+// Get the input products a composite product was made from (empty for raw products)
+function getIngredients(uint256 productId) external view productExists(productId) returns (Ingredient[] memory ingredients) {
+return _ingredients[productId];
+}
+
+// Get the share of a product used as an ingredient so far, in basis points
+function getConsumedPortion(uint256 productId) external view productExists(productId) returns (uint16 portion) {
+return _consumedPortions[productId];
+}
+
 // Get total number of products registered in the system
 function getProductCount() external view returns (uint256 count) {
 
@@ -243,103 +504,109 @@ function isProductExists(uint256 productId) external view returns (bool exists)
 return _products[productId].id != 0                                               ;
 }
 
-// Transfer product ownership to another stakeholder
-// Only current owner can transfer
-// Updates product status based on recipient role (DISTRIBUTOR->SHIPPED, RETAILER->RECEIVED, CONSUMER->DELIVERED)
+// Initiate a product ownership transfer to another stakeholder
+// Only current owner can transfer; custody only moves once the recipient calls acceptTransfer
+// timeout is the number of seconds the recipient has to accept (0 = no deadline)
 function transferOwnership(
 uint256 productId,
 address to,
-string memory shipmentDetails
-) external productExists(productId) onlyOwner(productId) {
-require(to != address(0), "SafeBiteSupplyChain: cannot transfer to zero address");
-require(to != msg.sender, "SafeBiteSupplyChain: cannot transfer to yourself");
-address from = _currentOwners[productId];
-SafeBiteAccessRoles.Role recipientRole = accessControl.getRole(to);
-require(
-recipientRole == SafeBiteAccessRoles.Role.DISTRIBUTOR ||
-recipientRole == SafeBiteAccessRoles.Role.RETAILER ||
-recipientRole == SafeBiteAccessRoles.Role.CONSUMER,
-"SafeBiteSupplyChain: recipient must be DISTRIBUTOR, RETAILER, or CONSUMER"
-);
-ProductStatus oldStatus = _productStatuses[productId];
-ProductStatus newStatus;
-if (recipientRole == SafeBiteAccessRoles.Role.DISTRIBUTOR) {
-newStatus = ProductStatus.SHIPPED;
-} else if (recipientRole == SafeBiteAccessRoles.Role.RETAILER) {
-newStatus = ProductStatus.RECEIVED;
-} else {
-newStatus = ProductStatus.DELIVERED;
-}
-// Update ownership and status - history recorded via events
-_currentOwners[productId] = to;
-_productStatuses[productId] = newStatus;
-emit OwnershipTransferred(productId, from, to, shipmentDetails);
-emit StatusUpdated(productId, oldStatus, newStatus, msg.sender);
+string memory shipmentDetails,
+uint256 timeout
+) external whenNotPaused productExists(productId) onlyOwner(productId) {
+requireNotSender(to);
+requireValidRecipient(to);
+initiateTransfer(productId, to, shipmentDetails, timeout);
 }
 
-// Transfer multiple products to the same recipient in one transaction
-// Useful for batch operations
+// Initiate transfers of multiple products to the same recipient in one transaction
+// Useful for batch operations; the recipient accepts each product individually
+// Like single transfers, none of the products may be addressed back to the sender
 function batchTransferOwnership(
 uint256[] memory productIds,
 address to,
-string memory shipmentDetails
-) external {
-require(to != address(0), "SafeBiteSupplyChain: cannot transfer to zero address");
-SafeBiteAccessRoles.Role recipientRole = accessControl.getRole(to);
-require(
-recipientRole == SafeBiteAccessRoles.Role.DISTRIBUTOR ||
-recipientRole == SafeBiteAccessRoles.Role.RETAILER ||
-recipientRole == SafeBiteAccessRoles.Role.CONSUMER,
-"SafeBiteSupplyChain: recipient must be DISTRIBUTOR, RETAILER, or CONSUMER"
-);
+string memory shipmentDetails,
+uint256 timeout
+) external whenNotPaused {
+requireValidRecipient(to);
 for (uint256 i = 0; i < productIds.length; i++) {
 uint256 productId = productIds[i];
-require(_products[productId].id != 0, "SafeBiteSupplyChain: product does not exist");
-require(_currentOwners[productId] == msg.sender, "SafeBiteSupplyChain: caller is not the product owner");
-address from = _currentOwners[productId];
+requireProductExists(productId);
+requireProductOwner(productId);
+requireNotSender(to);
+initiateTransfer(productId, to, shipmentDetails, timeout);
+}
+}
+
+// Accept a pending transfer addressed to the caller
+// Moves custody, updates status based on recipient role (DISTRIBUTOR->SHIPPED, RETAILER->RECEIVED, CONSUMER->DELIVERED)
+// A recipient holding both DISTRIBUTOR and RETAILER receives as a distributor until the product is past SHIPPED
+function acceptTransfer(uint256 productId) external whenNotPaused productExists(productId) {
+PendingTransfer memory pending = requirePendingTransferTo(productId);
+if (pending.expiresAt != 0 && block.timestamp > pending.expiresAt) revert TransferExpired(productId, pending.expiresAt);
+requireTransferable(productId);
+delete _pendingTransfers[productId];
+(bool isDistributor, bool isRetailer) = recipientRoles(_msgSender());
 ProductStatus oldStatus = _productStatuses[productId];
 ProductStatus newStatus;
-if (recipientRole == SafeBiteAccessRoles.Role.DISTRIBUTOR) {
+if (isDistributor && !(isRetailer && oldStatus > ProductStatus.SHIPPED)) {
 newStatus = ProductStatus.SHIPPED;
-} else if (recipientRole == SafeBiteAccessRoles.Role.RETAILER) {
+} else if (isRetailer) {
 newStatus = ProductStatus.RECEIVED;
 } else {
 newStatus = ProductStatus.DELIVERED;
 }
-// Update ownership and status - history recorded via events
-_currentOwners[productId] = to;
+// Update ownership and status, and append the handoff to the on-chain custody chain
+_currentOwners[productId] = _msgSender();
 _productStatuses[productId] = newStatus;
-emit OwnershipTransferred(productId, from, to, shipmentDetails);
-emit StatusUpdated(productId, oldStatus, newStatus, msg.sender);
+_transferHistory[productId].push(Transfer({
+from: pending.from,
+to: _msgSender(),
+timestamp: block.timestamp,
+shipmentDetails: pending.shipmentDetails
+}));
+emit OwnershipTransferred(productId, pending.from, _msgSender(), pending.shipmentDetails);
+emit StatusUpdated(productId, oldStatus, newStatus, _msgSender());
+}
+
+// Reject a pending transfer addressed to the caller
+// Custody stays with the sender
+function rejectTransfer(uint256 productId) external whenNotPaused productExists(productId) {
+address from = requirePendingTransferTo(productId).from;
+delete _pendingTransfers[productId];
+emit TransferRejected(productId, from, _msgSender());
 }
+
+// Cancel a pending transfer before the recipient accepts it
+// Only current owner can cancel; also clears expired transfers
+function cancelTransfer(uint256 productId) external whenNotPaused productExists(productId) onlyOwner(productId) {
+address to = _pendingTransfers[productId].to;
+if (to == address(0)) revert NoPendingTransfer(productId);
+delete _pendingTransfers[productId];
+emit TransferCancelled(productId, _msgSender(), to);
 }
 
 // Update product status (e.g., from RECEIVED to STORED)
 // Only current owner can update status
 // Should validate that status transition is valid (can't go backwards)
+// Any status before DELIVERED can move to EXPIRED to pull spoiled goods early
 function updateStatus(
 uint256 productId,
 ProductStatus newStatus
-) external productExists(productId) onlyOwner(productId) {
-ProductStatus oldStatus = _productStatuses[productId];
-require(newStatus != oldStatus, "SafeBiteSupplyChain: status is already set to this value");
-if (oldStatus == ProductStatus.DELIVERED) {
-require(false, "SafeBiteSupplyChain: cannot change status after DELIVERED");
-}
-if (oldStatus == ProductStatus.CREATED && newStatus != ProductStatus.SHIPPED) {
-require(false, "SafeBiteSupplyChain: CREATED can only transition to SHIPPED");
-}
-if (oldStatus == ProductStatus.SHIPPED && newStatus != ProductStatus.RECEIVED) {
-require(false, "SafeBiteSupplyChain: SHIPPED can only transition to RECEIVED");
-}
-if (oldStatus == ProductStatus.RECEIVED && newStatus != ProductStatus.STORED && newStatus != ProductStatus.DELIVERED) {
-require(false, "SafeBiteSupplyChain: RECEIVED can only transition to STORED or DELIVERED");
-}
-if (oldStatus == ProductStatus.STORED && newStatus != ProductStatus.DELIVERED) {
-require(false, "SafeBiteSupplyChain: STORED can only transition to DELIVERED");
-}
+) external whenNotPaused productExists(productId) onlyOwner(productId) {
+ProductStatus oldStatus = effectiveStatus(productId);
+if (newStatus == oldStatus) revert StatusUnchanged(oldStatus);
+// DELIVERED and EXPIRED are final; otherwise statuses only move forward:
+// CREATED -> SHIPPED -> RECEIVED -> STORED -> DELIVERED, where STORED can be skipped
+bool allowed = oldStatus < ProductStatus.DELIVERED && (
+newStatus == ProductStatus.EXPIRED ||
+(oldStatus == ProductStatus.CREATED && newStatus == ProductStatus.SHIPPED) ||
+(oldStatus == ProductStatus.SHIPPED && newStatus == ProductStatus.RECEIVED) ||
+(oldStatus == ProductStatus.RECEIVED && newStatus == ProductStatus.STORED) ||
+(oldStatus >= ProductStatus.RECEIVED && newStatus == ProductStatus.DELIVERED)
+);
+if (!allowed) revert InvalidTransition(oldStatus, newStatus);
 _productStatuses[productId] = newStatus;
-emit StatusUpdated(productId, oldStatus, newStatus, msg.sender);
+emit StatusUpdated(productId, oldStatus, newStatus, _msgSender());
 }
 
 // Verify product authenticity (anyone can verify)
@@ -348,121 +615,87 @@ emit StatusUpdated(productId, oldStatus, newStatus, msg.sender);
 // Returns true if product is authentic
 function verifyAuthenticity(
 uint256 productId,
-string memory /* notes */
-) external productExists(productId) returns (bool isValid) {
-Product memory product = _products[productId];
+string memory notes
+) external whenNotPaused productExists(productId) returns (bool isValid) {
+Product storage product = _products[productId];
 // Check if quality and compliance checks have passed
 bool hasQualityCheck = _hasQualityCheckPassed[productId];
 bool hasComplianceCheck = _hasComplianceCheckPassed[productId];
 // Product is authentic only if:
 // 1. Both quality check and compliance check have been performed and passed
-// 2. Metadata hash exists (contains certificate information)
+// 2. It holds valid certificates (see hasValidCertificates)
 // 3. Producer address is valid
 bool isAuthentic = hasQualityCheck && hasComplianceCheck &&
-bytes(product.metadataHash).length > 0 &&
+hasValidCertificates(productId) &&
 product.producer != address(0);
 // Set authenticity flag and emit event
 if (isAuthentic) {
 _authenticityFlags[productId] = true;
-emit AuthenticityConfirmed(productId, msg.sender);
+emit AuthenticityConfirmed(productId, _msgSender());
 }
-emit ProductVerified(productId, msg.sender, VerificationType.AUTHENTICITY, isAuthentic);
+recordVerification(productId, VerificationType.AUTHENTICITY, isAuthentic, 0, notes, "");
 return isAuthentic;
 }
 
 // Perform quality check on product
 // Only RETAILER or REGULATOR can perform quality checks
 // Quality score should be 0-100
-// If certificateHash is provided and quality check passes, stores it in metadataHash
-// Backend should merge with existing metadataHash before calling
+// If certificateHash is provided and quality check passes, records it as a QUALITY certificate
 function performQualityCheck(
 uint256 productId,
 uint8 qualityScore,
-string memory /* notes */,
+string memory notes,
 string memory certificateHash
-) external productExists(productId) {
-require(
-accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.RETAILER) ||
-accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR),
-"SafeBiteSupplyChain: caller must be RETAILER or REGULATOR"
-);
-require(qualityScore <= 100, "SafeBiteSupplyChain: quality score must be 0-100");
+) external whenNotPaused productExists(productId) {
+if (
+!accessControl.hasRole(_msgSender(), SafeBiteAccessRoles.Role.RETAILER) &&
+!accessControl.hasRole(_msgSender(), SafeBiteAccessRoles.Role.REGULATOR)
+) {
+revert NotRetailerOrRegulator(_msgSender());
+}
+if (qualityScore > 100) revert InvalidQualityScore(qualityScore);
 bool passed = qualityScore >= 50;
-Product memory product = _products[productId];
 // Set flag to indicate quality check passed
 if (passed) {
 _hasQualityCheckPassed[productId] = true;
 }
-// Store certificate hash in metadataHash if quality check passes and hash is provided
-// Backend should merge with existing metadataHash (e.g., from compliance) before calling
-if (passed && bytes(certificateHash).length > 0) {
-_products[productId].metadataHash = certificateHash;
-emit ProductMetadataUpdated(productId, certificateHash);
+// Store certificate hash if quality check passes and hash is provided
+if (passed) {
+storeCertificate(productId, SafeBiteCertificates.CertificateType.QUALITY, certificateHash);
 }
-// Emit event to record this quality check - events are stored in logs, not expensive contract storage
-emit ProductVerified(productId, msg.sender, VerificationType.QUALITY_CHECK, passed);
+// Record this quality check with its score and notes
+recordVerification(productId, VerificationType.QUALITY_CHECK, passed, qualityScore, notes, passed ? certificateHash : "");
 // Auto-verify authenticity if regulator has completed both quality and compliance checks
 // This works regardless of which check is done first
-if (passed && accessControl.hasRole(msg.sender, SafeBiteAccessRoles.Role.REGULATOR)) {
-// Check if both verification checks have passed
-bool hasQualityCheck = _hasQualityCheckPassed[productId];
-bool hasComplianceCheck = _hasComplianceCheckPassed[productId];
-// Get current metadataHash (may have been updated above)
-string memory currentMetadataHash = _products[productId].metadataHash;
-// Auto-verify if all conditions are met
-bool isAuthentic = hasQualityCheck && hasComplianceCheck &&
-bytes(currentMetadataHash).length > 0 &&
-product.producer != address(0);
-if (isAuthentic && !_authenticityFlags[productId]) {
-_authenticityFlags[productId] = true;
-emit AuthenticityConfirmed(productId, msg.sender);
-// Record verification in event logs
-emit ProductVerified(productId, msg.sender, VerificationType.AUTHENTICITY, true);
-}
+if (passed && accessControl.hasRole(_msgSender(), SafeBiteAccessRoles.Role.REGULATOR)) {
+autoVerifyAuthenticity(productId);
 }
 }
 
 // Check regulatory compliance
 // Only REGULATOR role can perform compliance checks
-// Stores certificate hash if product is compliant
-// If metadataHash already exists, it should contain merged certificate data (handled by backend)
+// Records certificate hash as a COMPLIANCE certificate if product is compliant and records the check with its notes
 // Automatically verifies authenticity if both quality and compliance checks have passed
 function checkCompliance(
 uint256 productId,
 bool compliant,
+string memory notes,
 string memory certificateHash
-) external productExists(productId) onlyRegulator {
-Product memory product = _products[productId];
+) external whenNotPaused productExists(productId) onlyRegulator {
 // Set flag to indicate compliance check passed
 if (compliant) {
 _hasComplianceCheckPassed[productId] = true;
 }
-// Store certificate hash in metadataHash if compliant
-// Backend should merge with existing metadataHash (e.g., quality certificate) before calling
-if (compliant && bytes(certificateHash).length > 0) {
-_products[productId].metadataHash = certificateHash;
-emit ProductMetadataUpdated(productId, certificateHash);
+// Store certificate hash if compliant
+if (compliant) {
+storeCertificate(productId, SafeBiteCertificates.CertificateType.COMPLIANCE, certificateHash);
 }
-emit ComplianceChecked(productId, msg.sender, compliant);
-emit ProductVerified(productId, msg.sender, VerificationType.REGULATORY_APPROVAL, compliant);
+emit ComplianceChecked(productId, _msgSender(), compliant);
+recordVerification(productId, VerificationType.REGULATORY_APPROVAL, compliant, 0, notes, compliant ? certificateHash : "");
 // Auto-verify authenticity if both quality and compliance checks have passed
 // This happens automatically when compliance check completes successfully
 if (compliant) {
-// Check verification status using boolean flags
-bool hasQualityCheck = _hasQualityCheckPassed[productId];
-bool hasComplianceCheck = _hasComplianceCheckPassed[productId];
-// Get current metadataHash (may have been updated above)
-string memory currentMetadataHash = _products[productId].metadataHash;
-// Auto-verify if all conditions are met
-bool isAuthentic = hasQualityCheck && hasComplianceCheck &&
-bytes(currentMetadataHash).length > 0 &&
-product.producer != address(0);
-if (isAuthentic && !_authenticityFlags[productId]) {
-_authenticityFlags[productId] = true;
-emit AuthenticityConfirmed(productId, msg.sender);
-// Record verification in event logs
-emit ProductVerified(productId, msg.sender, VerificationType.AUTHENTICITY, true);
-}
+autoVerifyAuthenticity(productId);
 }
 }
 
@@ -472,35 +705,62 @@ return _currentOwners[productId]
 }
 
 // Get complete transfer history for a product
-// Returns empty array - backend queries OwnershipTransferred events for transfer history
+// Returns every recorded handoff in chronological order
 function getTransferHistory(uint256 productId) external view productExists(productId) returns (Transfer[] memory transfers) {
-Transfer[] memory emptyTransfers = new Transfer[](0);
-return emptyTransfers;
+return _transferHistory[productId];
 }
 
 // Get current status of a product
+// Reports EXPIRED once the use-by date has passed, unless the product was already delivered
 function getProductStatus(uint256 productId) external view productExists(productId) returns (ProductStatus status) {
-return _productStatuses[productId]                                                                                   ;
+return effectiveStatus(productId);
+}
+
+// Get the pending transfer for a product (to is zero if none is pending)
+function getPendingTransfer(uint256 productId) external view productExists(productId) returns (PendingTransfer memory pending) {
+return _pendingTransfers[productId];
+}
+
+// Get the latest PROVENANCE_VERIFICATIONS verification records for a product in chronological order
+// Older records are read with getVerificationHistoryPage
+function getVerificationHistory(uint256 productId) public view returns (Verification[] memory verifications) {
+uint256 total = _verificationHistory[productId].length;
+(verifications, ) = getVerificationHistoryPage(productId, total > PROVENANCE_VERIFICATIONS ? total - PROVENANCE_VERIFICATIONS : 0, PROVENANCE_VERIFICATIONS);
 }
 
-// Get all verification records for a product
-// Returns empty array - backend queries ProductVerified, AuthenticityConfirmed, and ComplianceChecked events for verification history
-function getVerificationHistory(uint256 productId) external view productExists(productId) returns (Verification[] memory verifications) {
-Verification[] memory emptyVerifications = new Verification[](0);
-return emptyVerifications;
+// Get a page of verification records starting at offset
+// Returns at most limit records plus the total so callers can keep paging
+function getVerificationHistoryPage(
+uint256 productId,
+uint256 offset,
+uint256 limit
+) public view productExists(productId) returns (Verification[] memory verifications, uint256 total) {
+Verification[] storage records = _verificationHistory[productId];
+total = records.length;
+if (offset >= total) {
+return (new Verification[](0), total);
+}
+uint256 end = limit > total - offset ? total : offset + limit;
+verifications = new Verification[](end - offset);
+for (uint256 i = offset; i < end; i++) {
+verifications[i - offset] = records[i];
+}
+return (verifications, total);
 }
 
-// Check if product has been verified as authentic
+// Check if product has been verified as authentic and is safe to sell
+// Recalled, expired and cold-chain compromised products, and products whose certificates were revoked or expired, are never reported as authentic
 function isProductAuthentic(uint256 productId) external view productExists(productId) returns (bool isAuthentic) {
-return _authenticityFlags[productId];
+return isCurrentlyAuthentic(productId);
 }
 
 // Get product journey as readable strings
-// Returns only registration event - backend queries ProductRegistered, OwnershipTransferred, and StatusUpdated events for full journey
+// Returns the registration followed by one entry per recorded transfer
+// Status-only updates are still read from StatusUpdated events by the backend
 function getProductJourney(uint256 productId) external view productExists(productId) returns (string[] memory journey) {
-Product memory product = _products[productId];
-// Return only the initial registration - backend will query events for full history
-string[] memory events = new string[](1);
+Product storage product = _products[productId];
+Transfer[] storage transfers = _transferHistory[productId];
+string[] memory events = new string[](transfers.length + 1);
 events[0] = string(abi.encodePacked(
 "Product registered: ",
 product.name,
@@ -509,39 +769,318 @@ product.batchId,
 ") by producer at ",
 uint2str(product.createdAt)
 ));
+for (uint256 i = 0; i < transfers.length; i++) {
+events[i + 1] = string(abi.encodePacked(
+"Transferred from ",
+addressToString(transfers[i].from),
+" to ",
+addressToString(transfers[i].to),
+" at ",
+uint2str(transfers[i].timestamp)
+));
+}
 return events;
 }
 
 // Get complete provenance record
-// Returns current product state only - backend queries events for complete provenance
+// Returns current product state plus the on-chain custody chain
+// Only the latest PROVENANCE_VERIFICATIONS checks are embedded; verificationCount tells callers whether to page for more
 function getCompleteProvenance(uint256 productId) external view productExists(productId) returns (string memory provenance) {
-Product memory product = _products[productId];
-// Return current state only - backend queries events for complete history
+Product storage product = _products[productId];
+bool recalled = isRecalled(productId);
+ProductStatus status = effectiveStatus(productId);
 string memory result = string(abi.encodePacked(
 '{"productId":',
 uint2str(productId),
 ',"name":"',
-product.name,
+escapeJson(product.name),
 '","batchId":"',
-product.batchId,
+escapeJson(product.batchId),
 '","producer":"',
 addressToString(product.producer),
 '","createdAt":',
 uint2str(product.createdAt),
 ',"origin":"',
-product.origin,
+escapeJson(product.origin),
 '","metadataHash":"',
-product.metadataHash,
+escapeJson(product.metadataHash),
 '","currentOwner":"',
 addressToString(_currentOwners[productId]),
 '","status":',
-uint2str(uint256(_productStatuses[productId])),
+uint2str(uint256(status)),
 ',"authentic":',
-_authenticityFlags[productId] ? 'true' : 'false',
-',"transfers":[],"verifications":[]}'
+isCurrentlyAuthentic(productId) ? 'true' : 'false',
+',"recalled":',
+recalled ? 'true' : 'false',
+',"transfers":',
+transfersToJson(productId),
+',"verificationCount":',
+uint2str(_verificationHistory[productId].length),
+',"verifications":',
+verificationsToJson(productId),
+',"certificateIds":',
+idsToJson(getProductCertificateIds(productId)),
+'}'
 ));
 return result;
 }
+// Helper function to serialize the transfer history of a product as a JSON array
+function transfersToJson(uint256 productId) internal view returns (string memory) {
+Transfer[] storage transfers = _transferHistory[productId];
+bytes memory json = "[";
+for (uint256 i = 0; i < transfers.length; i++) {
+json = abi.encodePacked(
+json,
+i == 0 ? '' : ',',
+'{"from":"',
+addressToString(transfers[i].from),
+'","to":"',
+addressToString(transfers[i].to),
+'","timestamp":',
+uint2str(transfers[i].timestamp),
+',"shipmentDetails":"',
+escapeJson(transfers[i].shipmentDetails),
+'"}'
+);
+}
+return string(abi.encodePacked(json, "]"));
+}
+// Helper function to serialize a list of IDs as a JSON array
+function idsToJson(uint256[] memory ids) internal pure returns (string memory) {
+bytes memory json = "[";
+for (uint256 i = 0; i < ids.length; i++) {
+json = abi.encodePacked(json, i == 0 ? '' : ',', uint2str(ids[i]));
+}
+return string(abi.encodePacked(json, "]"));
+}
+// Helper function to serialize the latest PROVENANCE_VERIFICATIONS verification records of a product as a JSON array
+function verificationsToJson(uint256 productId) internal view returns (string memory) {
+Verification[] memory records = getVerificationHistory(productId);
+bytes memory json = "[";
+for (uint256 i = 0; i < records.length; i++) {
+json = abi.encodePacked(
+json,
+i == 0 ? '' : ',',
+'{"verifier":"',
+addressToString(records[i].verifier),
+'","timestamp":',
+uint2str(records[i].timestamp),
+',"type":',
+uint2str(uint256(records[i].vType)),
+',"result":',
+records[i].result ? 'true' : 'false',
+',"score":',
+uint2str(records[i].score),
+',"notes":"',
+escapeJson(records[i].notes),
+'","certificateHash":"',
+escapeJson(records[i].certificateHash),
+'"}'
+);
+}
+return string(abi.encodePacked(json, "]"));
+}
+// Helper function to mark a product authentic once quality and compliance checks have both passed
+// Shared by performQualityCheck and checkCompliance so the order of the checks does not matter
+function autoVerifyAuthenticity(uint256 productId) internal {
+Product storage product = _products[productId];
+bool isAuthentic = _hasQualityCheckPassed[productId] && _hasComplianceCheckPassed[productId] &&
+hasValidCertificates(productId) &&
+product.producer != address(0);
+if (isAuthentic && !_authenticityFlags[productId]) {
+_authenticityFlags[productId] = true;
+emit AuthenticityConfirmed(productId, _msgSender());
+recordVerification(productId, VerificationType.AUTHENTICITY, true, 0, "Automatically verified after quality and compliance checks", "");
+}
+}
+// Append a verification record and emit the matching ProductVerified event
+// Notes are capped so records stay cheap to read back
+function recordVerification(
+uint256 productId,
+VerificationType vType,
+bool result,
+uint8 score,
+string memory notes,
+string memory certificateHash
+) internal {
+if (bytes(notes).length > MAX_NOTES_LENGTH) revert NotesTooLong(bytes(notes).length, MAX_NOTES_LENGTH);
+_verificationHistory[productId].push(Verification({
+verifier: _msgSender(),
+timestamp: block.timestamp,
+vType: vType,
+result: result,
+score: score,
+notes: notes,
+certificateHash: certificateHash
+}));
+emit ProductVerified(productId, _msgSender(), vType, result);
+}
+// Helper function to escape a string for embedding in JSON output
+// Quotes and backslashes are escaped, control characters are replaced with spaces
+function escapeJson(string memory value) internal pure returns (string memory) {
+bytes memory input = bytes(value);
+uint256 extra;
+for (uint256 i = 0; i < input.length; i++) {
+if (input[i] == '"' || input[i] == '\\') {
+extra++;
+}
+}
+bytes memory output = new bytes(input.length + extra);
+uint256 j;
+for (uint256 i = 0; i < input.length; i++) {
+bytes1 c = input[i];
+if (c == '"' || c == '\\') {
+output[j++] = '\\';
+output[j++] = c;
+} else if (uint8(c) < 0x20) {
+output[j++] = ' ';
+} else {
+output[j++] = c;
+}
+}
+return string(output);
+}
+// Helper function to record a pending transfer and emit TransferInitiated
+// A new transfer can only replace an expired one; the sender must cancel a live one first
+function initiateTransfer(
+uint256 productId,
+address to,
+string memory shipmentDetails,
+uint256 timeout
+) internal {
+requireTransferable(productId);
+if (_consumedPortions[productId] >= 10000) revert ProductFullyConsumed(productId);
+PendingTransfer storage existing = _pendingTransfers[productId];
+if (existing.to != address(0) && (existing.expiresAt == 0 || block.timestamp <= existing.expiresAt)) {
+revert TransferAlreadyPending(productId, existing.to);
+}
+uint256 expiresAt = timeout == 0 ? 0 : block.timestamp + timeout;
+_pendingTransfers[productId] = PendingTransfer({
+from: _msgSender(),
+to: to,
+initiatedAt: block.timestamp,
+expiresAt: expiresAt,
+shipmentDetails: shipmentDetails
+});
+emit TransferInitiated(productId, _msgSender(), to, expiresAt, shipmentDetails);
+}
+
+// Helper function to reject transfers addressed back to the caller
+function requireNotSender(address to) internal view {
+if (to == _msgSender()) revert TransferToSelf(to);
+}
+
+// Helper function to require a transfer recipient to be a DISTRIBUTOR, RETAILER, or CONSUMER
+// Recipients holding other roles too are accepted as long as one of them is DISTRIBUTOR or RETAILER
+// Consumers are recipients holding no assigned role
+function requireValidRecipient(address to) internal view {
+if (to == address(0)) revert ZeroAddress();
+(bool isDistributor, bool isRetailer) = recipientRoles(to);
+bool isConsumer = accessControl.getRole(to) == SafeBiteAccessRoles.Role.CONSUMER;
+if (!isDistributor && !isRetailer && !isConsumer) revert InvalidRecipient(to);
+}
+
+// Helper function to check whether an address holds the DISTRIBUTOR and RETAILER roles
+function recipientRoles(address account) internal view returns (bool isDistributor, bool isRetailer) {
+isDistributor = accessControl.hasRole(account, SafeBiteAccessRoles.Role.DISTRIBUTOR);
+isRetailer = accessControl.hasRole(account, SafeBiteAccessRoles.Role.RETAILER);
+}
+
+// Helper function to check whether a product's use-by date has passed
+function isPastUseBy(uint256 productId) internal view returns (bool) {
+uint256 useByDate = _products[productId].useByDate;
+return useByDate != 0 && block.timestamp > useByDate;
+}
+
+// Helper function to get the stored status, or EXPIRED if the product is past use-by and not yet delivered
+function effectiveStatus(uint256 productId) internal view returns (ProductStatus) {
+ProductStatus status = _productStatuses[productId];
+if (status != ProductStatus.DELIVERED && isPastUseBy(productId)) {
+return ProductStatus.EXPIRED;
+}
+return status;
+}
+
+// Helper function behind the whenNotPaused modifier
+function requireNotPaused() internal view {
+if (accessControl.paused()) revert SupplyChainPaused();
+}
+
+// Helper function behind the productExists modifier
+function requireProductExists(uint256 productId) internal view {
+if (_products[productId].id == 0) revert ProductNotFound(productId);
+}
+
+// Helper function behind the onlyOwner modifier
+function requireProductOwner(uint256 productId) internal view {
+address owner = _currentOwners[productId];
+if (owner != _msgSender()) revert NotProductOwner(productId, _msgSender(), owner);
+}
+
+// Helper function to load the pending transfer of a product, which must be addressed to the caller
+function requirePendingTransferTo(uint256 productId) internal view returns (PendingTransfer storage pending) {
+pending = _pendingTransfers[productId];
+if (pending.to == address(0)) revert NoPendingTransfer(productId);
+if (pending.to != _msgSender()) revert NotTransferRecipient(productId, _msgSender(), pending.to);
+}
+
+// Helper function to get the account an action is attributed to
+// For calls relayed by the trusted forwarder this is the signer appended to the calldata
+function _msgSender() internal view returns (address sender) {
+if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+return address(bytes20(msg.data[msg.data.length - 20:]));
+}
+return msg.sender;
+}
+
+// Helper function to check the recall registry for a product
+function isRecalled(uint256 productId) internal view returns (bool) {
+return address(recallRegistry) != address(0) && recallRegistry.isProductRecalled(productId);
+}
+
+// Helper function to check the cold-chain log for a breach of a product's temperature limits
+function isColdChainCompromised(uint256 productId) internal view returns (bool) {
+return address(coldChainRegistry) != address(0) && coldChainRegistry.isCompromised(productId);
+}
+
+// Helper function to require that a product can change hands: not recalled, expired or cold-chain compromised
+// Checked both when a transfer is initiated and when it is accepted, since any of these can change in between
+// EXPIRED is terminal, whether it was reached through the use-by date or set by the owner
+function requireTransferable(uint256 productId) internal view {
+if (isRecalled(productId)) revert ProductRecalled(productId);
+if (isPastUseBy(productId)) revert ProductPastUseBy(productId, _products[productId].useByDate);
+if (_productStatuses[productId] == ProductStatus.EXPIRED) revert ProductExpired(productId);
+if (isColdChainCompromised(productId)) revert ColdChainCompromised(productId);
+}
+
+// Helper function to store the certificate of a passing check
+// With a certificate registry it becomes a certificate issued by the checker, otherwise it replaces metadataHash
+function storeCertificate(uint256 productId, SafeBiteCertificates.CertificateType certificateType, string memory certificateHash) internal {
+if (bytes(certificateHash).length == 0) return;
+if (address(certificateRegistry) != address(0)) {
+certificateRegistry.recordCheckCertificate(productId, certificateType, _msgSender(), certificateHash);
+} else {
+_products[productId].metadataHash = certificateHash;
+emit ProductMetadataUpdated(productId, certificateHash);
+}
+}
+
+// Helper function to check that a product holds valid certificates
+// With a certificate registry it needs unrevoked, unexpired QUALITY and COMPLIANCE certificates, otherwise a metadataHash
+function hasValidCertificates(uint256 productId) internal view returns (bool) {
+if (address(certificateRegistry) == address(0)) {
+return bytes(_products[productId].metadataHash).length > 0;
+}
+return certificateRegistry.hasValidCertificate(productId, SafeBiteCertificates.CertificateType.QUALITY) &&
+certificateRegistry.hasValidCertificate(productId, SafeBiteCertificates.CertificateType.COMPLIANCE);
+}
+
+// Helper function to check that a product is authentic right now
+// The stored flag is re-checked against recalls, cold-chain breaches, expiry and certificate validity
+function isCurrentlyAuthentic(uint256 productId) internal view returns (bool) {
+return _authenticityFlags[productId] && hasValidCertificates(productId) &&
+!isRecalled(productId) && !isColdChainCompromised(productId) && effectiveStatus(productId) != ProductStatus.EXPIRED;
+}
 // Helper function to convert uint256 to string
 function uint2str(uint256 _i) internal pure returns (string memory) {
 if (_i == 0) {
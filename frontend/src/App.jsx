@@ -11,6 +11,7 @@
 
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Navigation from './components/Common/Navigation';
+import PauseBanner from './components/Common/PauseBanner';
 import Home from './pages/Home';
 import ProducerDashboard from './pages/ProducerDashboard';
 import DistributorDashboard from './pages/DistributorDashboard';
@@ -32,6 +33,7 @@ function App() {
     <BrowserRouter>
       <div className="App">
         <Navigation />
+        <PauseBanner />
         
         <Routes>
           <Route path="/" element={<Home />} />
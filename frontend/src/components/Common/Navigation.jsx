@@ -14,12 +14,13 @@ import './Navigation.css';
 /**
  * Navigation Component
  * 
- * Displays navigation links based on user's role and connection status.
+ * Displays navigation links based on user's roles and connection status.
+ * Every dashboard for a role the user holds is highlighted.
  * Includes wallet connection UI integrated into the navigation bar.
  */
 export default function Navigation() {
   const { account, isConnected, isLoading, connect, disconnect } = useWeb3();
-  const { role, roleName } = useRole();
+  const { role, roleName, roleNames, hasRole } = useRole();
   const location = useLocation();
   const [error, setError] = useState(null);
 
@@ -63,34 +64,34 @@ export default function Navigation() {
               {/* Show all dashboards, highlight current role */}
               <Link
                 to="/producer"
-                className={`nav-link ${isActive('/producer') ? 'active' : ''} ${role === ROLES.PRODUCER ? 'current-role' : ''}`}
+                className={`nav-link ${isActive('/producer') ? 'active' : ''} ${hasRole(ROLES.PRODUCER) ? 'current-role' : ''}`}
               >
                 Producer
-                {role === ROLES.PRODUCER && <span className="role-indicator">You</span>}
+                {hasRole(ROLES.PRODUCER) && <span className="role-indicator">You</span>}
               </Link>
 
               <Link
                 to="/distributor"
-                className={`nav-link ${isActive('/distributor') ? 'active' : ''} ${role === ROLES.DISTRIBUTOR ? 'current-role' : ''}`}
+                className={`nav-link ${isActive('/distributor') ? 'active' : ''} ${hasRole(ROLES.DISTRIBUTOR) ? 'current-role' : ''}`}
               >
                 Distributor
-                {role === ROLES.DISTRIBUTOR && <span className="role-indicator">You</span>}
+                {hasRole(ROLES.DISTRIBUTOR) && <span className="role-indicator">You</span>}
               </Link>
 
               <Link
                 to="/retailer"
-                className={`nav-link ${isActive('/retailer') ? 'active' : ''} ${role === ROLES.RETAILER ? 'current-role' : ''}`}
+                className={`nav-link ${isActive('/retailer') ? 'active' : ''} ${hasRole(ROLES.RETAILER) ? 'current-role' : ''}`}
               >
                 Retailer
-                {role === ROLES.RETAILER && <span className="role-indicator">You</span>}
+                {hasRole(ROLES.RETAILER) && <span className="role-indicator">You</span>}
               </Link>
 
               <Link
                 to="/regulator"
-                className={`nav-link ${isActive('/regulator') ? 'active' : ''} ${role === ROLES.REGULATOR ? 'current-role' : ''}`}
+                className={`nav-link ${isActive('/regulator') ? 'active' : ''} ${hasRole(ROLES.REGULATOR) ? 'current-role' : ''}`}
               >
                 Regulator
-                {role === ROLES.REGULATOR && <span className="role-indicator">You</span>}
+                {hasRole(ROLES.REGULATOR) && <span className="role-indicator">You</span>}
               </Link>
 
               <Link
@@ -113,7 +114,7 @@ export default function Navigation() {
             <div className="nav-wallet">
               <div className="wallet-info-compact">
                 {roleName && (
-                  <span className="wallet-role-badge">{roleName}</span>
+                  <span className="wallet-role-badge">{roleNames.length > 1 ? roleNames.join(' · ') : roleName}</span>
                 )}
                 <span className="wallet-address">{formatAddress(account)}</span>
                 <button
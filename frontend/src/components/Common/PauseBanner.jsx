@@ -0,0 +1,53 @@
+/**
+ * PauseBanner Component
+ * Site-wide notice while the supply chain is paused
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { emergencyAPI } from '../../services/api';
+import { STREAM_EVENTS } from '../../utils/constants';
+import './PauseBanner.css';
+
+/**
+ * PauseBanner Component
+ * 
+ * Shows the guardian's reason while the supply chain contract is paused and hides itself
+ * when it resumes. Reads keep working during a pause; registrations, transfers and
+ * checks are rejected until then.
+ */
+export default function PauseBanner() {
+  const [state, setState] = useState(null);
+
+  const fetchState = async () => {
+    try {
+      const response = await emergencyAPI.getState();
+      setState(response.data);
+    } catch (err) {
+      // Keep the last known state; the banner is informational
+    }
+  };
+
+  useEffect(() => {
+    fetchState();
+  }, []);
+
+  useEventStream(
+    { events: [STREAM_EVENTS.PAUSED, STREAM_EVENTS.UNPAUSED] },
+    () => fetchState()
+  );
+
+  if (!state || !state.paused) {
+    return null;
+  }
+
+  return (
+    <div className="pause-banner" role="alert">
+      <strong>Supply chain paused</strong>
+      <span>{state.reason}</span>
+      <span className="pause-banner-note">
+        Products and their history can still be viewed. Registrations, transfers and checks are on hold until the guardian resumes operation.
+      </span>
+    </div>
+  );
+}
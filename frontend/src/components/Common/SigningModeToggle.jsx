@@ -0,0 +1,37 @@
+/**
+ * SigningModeToggle Component
+ * Switch between wallet-signed and backend-relayed transactions
+ */
+
+import { useSigningMode } from '../../hooks/useSigningMode';
+import { SIGNING_MODES, SIGNING_MODE_NAMES } from '../../utils/constants';
+import './SigningModeToggle.css';
+
+/**
+ * SigningModeToggle Component
+ * 
+ * Shows the current signing mode as a two-option switch. Wallet-signed transactions are
+ * confirmed in MetaMask and paid for by the connected account; backend-relayed ones are
+ * sent by the API. The choice applies to every form in the app.
+ */
+export default function SigningModeToggle() {
+  const { mode, setMode } = useSigningMode();
+
+  return (
+    <div className="signing-mode-toggle" role="radiogroup" aria-label="Transaction signing mode">
+      <span className="signing-mode-label">Transactions:</span>
+      {Object.values(SIGNING_MODES).map((value) => (
+        <button
+          key={value}
+          type="button"
+          role="radio"
+          aria-checked={mode === value}
+          className={`signing-mode-option ${mode === value ? 'active' : ''}`}
+          onClick={() => setMode(value)}
+        >
+          {SIGNING_MODE_NAMES[value]}
+        </button>
+      ))}
+    </div>
+  );
+}
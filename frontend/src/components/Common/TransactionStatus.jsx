@@ -0,0 +1,89 @@
+/**
+ * TransactionStatus Component
+ * Shows a transaction hash and how many confirmations it has
+ */
+
+import { useState, useEffect } from 'react';
+import web3Service from '../../services/web3';
+import './TransactionStatus.css';
+
+// Stop polling once a transaction has this many confirmations
+const TARGET_CONFIRMATIONS = 12;
+
+const POLL_INTERVAL_MS = 4000;
+
+/**
+ * TransactionStatus Component
+ * 
+ * @param {string} hash - Transaction hash
+ * 
+ * Polls the wallet's provider for the receipt until the transaction is mined, then keeps
+ * counting confirmations up to TARGET_CONFIRMATIONS. Without a connected wallet only
+ * the hash is shown.
+ */
+export default function TransactionStatus({ hash }) {
+  const [receipt, setReceipt] = useState(null);
+  const [confirmations, setConfirmations] = useState(0);
+
+  useEffect(() => {
+    setReceipt(null);
+    setConfirmations(0);
+
+    const provider = web3Service.getProvider();
+    if (!hash || !provider) {
+      return;
+    }
+
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const minedReceipt = await provider.getTransactionReceipt(hash);
+        if (cancelled) {
+          return;
+        }
+        if (minedReceipt) {
+          const count = await minedReceipt.confirmations();
+          if (cancelled) {
+            return;
+          }
+          setReceipt(minedReceipt);
+          setConfirmations(count);
+          if (count >= TARGET_CONFIRMATIONS) {
+            return;
+          }
+        }
+      } catch (err) {
+        console.error('Failed to get transaction receipt:', err);
+      }
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hash]);
+
+  if (!hash) {
+    return null;
+  }
+
+  let status = 'Pending...';
+  if (receipt) {
+    status = receipt.status === 0
+      ? `Failed in block ${receipt.blockNumber}`
+      : `Confirmed in block ${receipt.blockNumber} · ${confirmations >= TARGET_CONFIRMATIONS ? `${TARGET_CONFIRMATIONS}+` : confirmations} confirmation${confirmations === 1 ? '' : 's'}`;
+  }
+
+  return (
+    <div className={`transaction-status ${receipt ? (receipt.status === 0 ? 'failed' : 'confirmed') : 'pending'}`}>
+      <span className="transaction-status-label">Transaction</span>
+      <code className="transaction-status-hash" title={hash}>{hash}</code>
+      <span className="transaction-status-state">{status}</span>
+    </div>
+  );
+}
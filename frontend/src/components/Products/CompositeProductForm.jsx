@@ -0,0 +1,219 @@
+/**
+ * CompositeProductForm Component
+ * Form to register a composite product made from input products (Producer only)
+ */
+
+import { useState, useEffect } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
+import { productAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import TransactionStatus from '../Common/TransactionStatus';
+import './CompositeProductForm.css';
+
+/**
+ * CompositeProductForm Component
+ *
+ * @param {string} account - Producer wallet address
+ * @param {number} refreshKey - Changes to reload the available inputs (optional)
+ * @param {Function} onProductRegistered - Callback after the composite product is registered (optional)
+ *
+ * Lists the producer's products that still have a share left to use, lets the producer
+ * pick inputs and the percentage of each one used, and registers the output product.
+ * Inputs used at 100% are fully consumed and can no longer be transferred.
+ */
+export default function CompositeProductForm({ account, refreshKey, onProductRegistered }) {
+  const [availableInputs, setAvailableInputs] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [formData, setFormData] = useState({ name: '', batchId: '', origin: '' });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const { isWalletSigned } = useSigningMode();
+
+  useEffect(() => {
+    if (!account) {
+      return;
+    }
+
+    const fetchInputs = async () => {
+      try {
+        const response = await productAPI.list({ owner: account });
+        if (response.data.success) {
+          setAvailableInputs(
+            (response.data.products || []).filter(
+              (product) => product.consumedPortion < 10000 && !product.isExpired && !product.isRecalled
+            )
+          );
+        }
+      } catch (err) {
+        console.error('Failed to fetch input products:', err);
+      }
+    };
+
+    fetchInputs();
+  }, [account, refreshKey]);
+
+  /**
+   * Handle text field changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError(null);
+    setSuccess(null);
+  };
+
+  /**
+   * Toggle an input product, defaulting to the share still available
+   * @param {Object} product - Input product
+   */
+  const handleToggle = (product) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[product.id] !== undefined) {
+        delete next[product.id];
+      } else {
+        next[product.id] = String((10000 - product.consumedPortion) / 100);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Handle form submission
+   * Converts percentages to basis points and registers the composite product
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    if (!formData.name.trim() || !formData.batchId.trim() || !formData.origin.trim()) {
+      setError('Product name, batch ID and origin are required');
+      return;
+    }
+
+    const inputs = Object.entries(selected).map(([productId, percentage]) => ({
+      productId: Number(productId),
+      portion: Math.round(parseFloat(percentage) * 100)
+    }));
+    if (inputs.length === 0) {
+      setError('Select at least one input product');
+      return;
+    }
+    if (inputs.some((input) => !(input.portion >= 1 && input.portion <= 10000))) {
+      setError('Each input percentage must be between 0.01 and 100');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const name = formData.name.trim();
+      const batchId = formData.batchId.trim();
+      const origin = formData.origin.trim();
+      const result = isWalletSigned
+        ? await contractService.registerCompositeProduct(name, batchId, origin, '', {}, inputs, { onSubmitted: setTxHash })
+        : (await productAPI.registerComposite({ signerAddress: account, name, batchId, origin, inputs })).data;
+
+      if (result.productId) {
+        setSuccess(`Composite product registered! Product ID: ${result.productId}`);
+        setTxHash(result.transactionHash);
+        setFormData({ name: '', batchId: '', origin: '' });
+        setSelected({});
+        if (onProductRegistered) {
+          onProductRegistered(result.productId);
+        }
+      } else {
+        setError('Failed to register composite product');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to register composite product');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="composite-product-form">
+      <h2>Create Composite Product</h2>
+      <p className="composite-product-description">
+        Combine products you own into a new product, such as bread, cheese and ham into a sandwich.
+        The new product keeps a link to every input so contamination can be traced.
+      </p>
+
+      <form onSubmit={handleSubmit}>
+        <div className="composite-product-fields">
+          <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="Product name" disabled={isLoading} />
+          <input type="text" name="batchId" value={formData.batchId} onChange={handleChange} placeholder="Batch ID" disabled={isLoading} />
+          <input type="text" name="origin" value={formData.origin} onChange={handleChange} placeholder="Origin" disabled={isLoading} />
+        </div>
+
+        {availableInputs.length === 0 ? (
+          <p className="composite-product-empty">You have no products available to use as inputs.</p>
+        ) : (
+          <table className="composite-product-inputs">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Input Product</th>
+                <th>Available</th>
+                <th>Use (%)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {availableInputs.map((product) => (
+                <tr key={product.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected[product.id] !== undefined}
+                      onChange={() => handleToggle(product)}
+                      disabled={isLoading}
+                    />
+                  </td>
+                  <td>
+                    <strong>#{product.id}</strong> {product.name}
+                    <div className="composite-product-batch">Batch: {product.batchId}</div>
+                  </td>
+                  <td>{(10000 - product.consumedPortion) / 100}%</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0.01"
+                      max={(10000 - product.consumedPortion) / 100}
+                      step="0.01"
+                      value={selected[product.id] ?? ''}
+                      onChange={(e) => setSelected(prev => ({ ...prev, [product.id]: e.target.value }))}
+                      disabled={isLoading || selected[product.id] === undefined}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {error && (
+          <div className="alert alert-error">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        {success && (
+          <div className="alert alert-success">
+            <strong>Success:</strong> {success}
+          </div>
+        )}
+
+        <TransactionStatus hash={txHash} />
+
+        <button type="submit" className="btn btn-primary" disabled={isLoading}>
+          {isLoading ? 'Registering...' : 'Register Composite Product'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * ExpiringStock Component
+ * Lists the current account's products that are near or past their best-before or use-by date
+ */
+
+import { useState, useEffect } from 'react';
+import { productAPI } from '../../services/api';
+import { formatDate } from '../../utils/helpers';
+import './ExpiringStock.css';
+
+const WINDOW_OPTIONS = [3, 7, 14, 30];
+
+/**
+ * Describe how many days remain until a date
+ * @param {number|null} days - Days until the date (negative once passed, null if not set)
+ * @returns {string} Human-readable countdown
+ */
+function describeDays(days) {
+  if (days === null) {
+    return '';
+  }
+  if (days < 0) {
+    return 'passed';
+  }
+  if (days === 0) {
+    return 'today';
+  }
+  return days === 1 ? 'in 1 day' : `in ${days} days`;
+}
+
+/**
+ * ExpiringStock Component
+ *
+ * @param {string} account - Owner wallet address
+ * @param {number} refreshKey - Changes to trigger a reload (optional)
+ *
+ * Fetches the owner's undelivered products whose best-before or use-by date falls
+ * within the selected window so stock can be marked down or pulled from shelves.
+ * Products past their use-by date are expired and cannot be sold to consumers.
+ */
+export default function ExpiringStock({ account, refreshKey }) {
+  const [products, setProducts] = useState([]);
+  const [days, setDays] = useState(7);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the owner's expiring products for the selected window
+   */
+  const fetchExpiring = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await productAPI.getExpiring(account, days);
+      if (response.data.success) {
+        setProducts(response.data.products || []);
+      } else {
+        setError('Failed to load expiring products');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load expiring products');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (account) {
+      fetchExpiring();
+    }
+  }, [account, days, refreshKey]);
+
+  return (
+    <div className="expiring-stock">
+      <div className="expiring-stock-header">
+        <label>
+          Show products expiring within{' '}
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {WINDOW_OPTIONS.map((option) => (
+              <option key={option} value={option}>{option} days</option>
+            ))}
+          </select>
+        </label>
+        <button className="btn btn-outline" onClick={fetchExpiring}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="expiring-stock-error">{error}</p>}
+
+      {isLoading ? (
+        <div className="expiring-stock-empty">
+          <p>Loading expiring products...</p>
+        </div>
+      ) : products.length === 0 ? (
+        <div className="expiring-stock-empty">
+          <p>No products expiring within {days} days.</p>
+        </div>
+      ) : (
+        <table className="expiring-stock-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Best Before</th>
+              <th>Use By</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((product) => (
+              <tr key={product.id} className={product.isExpired ? 'expired' : ''}>
+                <td>
+                  <strong>#{product.id}</strong> {product.name}
+                  <div className="expiring-stock-batch">Batch: {product.batchId}</div>
+                </td>
+                <td>
+                  {product.bestBeforeDate > 0 ? formatDate(product.bestBeforeDate) : '-'}
+                  <div className="expiring-stock-countdown">{describeDays(product.daysUntilBestBefore)}</div>
+                </td>
+                <td>
+                  {product.useByDate > 0 ? formatDate(product.useByDate) : '-'}
+                  <div className="expiring-stock-countdown">{describeDays(product.daysUntilUseBy)}</div>
+                </td>
+                <td>
+                  {product.isExpired ? (
+                    <span className="expiring-stock-tag pull">Pull from sale</span>
+                  ) : (
+                    <span className="expiring-stock-tag markdown">Mark down</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * IncomingShipments Component
+ * Lists pending transfers awaiting the current account's acceptance
+ */
+
+import { useState, useEffect } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
+import { useEventStream } from '../../hooks/useEventStream';
+import { transferAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import relayService from '../../services/relay';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate } from '../../utils/helpers';
+import { STREAM_EVENTS } from '../../utils/constants';
+import './IncomingShipments.css';
+
+/**
+ * IncomingShipments Component
+ *
+ * @param {string} account - Recipient wallet address
+ * @param {Function} onShipmentAccepted - Callback after a shipment is accepted (optional)
+ *
+ * Fetches pending transfers addressed to the account and lets the recipient
+ * accept or reject each one. Custody only moves on acceptance. New and cancelled
+ * shipments appear as they happen through the live event stream.
+ */
+export default function IncomingShipments({ account, onShipmentAccepted }) {
+  const [shipments, setShipments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const { isWalletSigned } = useSigningMode();
+
+  /**
+   * Fetch pending transfers addressed to the account
+   * @param {boolean} background - Keep the current list on screen while fetching
+   */
+  const fetchShipments = async (background = false) => {
+    if (!background) {
+      setIsLoading(true);
+    }
+    setError(null);
+
+    try {
+      const response = await transferAPI.getIncoming(account);
+      if (response.data.success) {
+        setShipments(response.data.transfers || []);
+      } else {
+        setError('Failed to load incoming shipments');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load incoming shipments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (account) {
+      fetchShipments();
+    }
+  }, [account]);
+
+  // Refresh when a shipment to the account is sent or cancelled
+  const { isLive } = useEventStream(
+    { address: account, events: [STREAM_EVENTS.TRANSFER_INITIATED, STREAM_EVENTS.TRANSFER_CANCELLED] },
+    (event) => {
+      if (event.args.to.toLowerCase() !== account.toLowerCase()) {
+        return;
+      }
+      setNotice(event.event === STREAM_EVENTS.TRANSFER_INITIATED
+        ? `New shipment: product #${event.productId} from ${formatAddress(event.args.from)}`
+        : `Shipment of product #${event.productId} was cancelled by the sender`);
+      fetchShipments(true);
+    },
+    Boolean(account)
+  );
+
+  /**
+   * Accept or reject a shipment
+   * @param {number} productId - Product ID of the pending transfer
+   * @param {boolean} accept - True to accept, false to reject
+   */
+  const handleRespond = async (productId, accept) => {
+    setProcessingId(productId);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      let result;
+      if (isWalletSigned) {
+        const options = { onSubmitted: setTxHash };
+        result = accept
+          ? await contractService.acceptTransfer(productId, options)
+          : await contractService.rejectTransfer(productId, options);
+      } else {
+        const response = accept
+          ? await transferAPI.accept(productId, account, await relayService.signRequest('AcceptTransfer', { productId }))
+          : await transferAPI.reject(productId, account, await relayService.signRequest('RejectTransfer', { productId }));
+        result = response.data;
+      }
+
+      if (result && result.transactionHash) {
+        setSuccess(`Product #${productId} ${accept ? 'accepted' : 'rejected'}`);
+        setTxHash(result.transactionHash);
+        setShipments(prev => prev.filter(s => s.productId !== productId));
+        if (accept && onShipmentAccepted) {
+          onShipmentAccepted(productId);
+        }
+      } else {
+        setError(result?.message || 'Failed to respond to shipment');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to respond to shipment');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="incoming-shipments-loading">
+        <p>Loading incoming shipments...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="incoming-shipments">
+      <div className="incoming-shipments-header">
+        <span className="shipment-count">
+          {shipments.length} {shipments.length === 1 ? 'shipment' : 'shipments'} awaiting acceptance
+        </span>
+        <div className="incoming-shipments-actions">
+          <span className={`badge ${isLive ? 'badge-success' : 'badge-warning'}`}>
+            {isLive ? 'Live' : 'Offline'}
+          </span>
+          <button className="btn btn-outline" onClick={() => fetchShipments()}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {notice && <p className="incoming-shipments-notice">{notice}</p>}
+      {error && <p className="incoming-shipments-error">{error}</p>}
+      {success && <p className="incoming-shipments-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {shipments.length === 0 ? (
+        <div className="incoming-shipments-empty">
+          <p>No shipments awaiting your acceptance.</p>
+        </div>
+      ) : (
+        <table className="incoming-shipments-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>From</th>
+              <th>Sent</th>
+              <th>Accept By</th>
+              <th>Shipment Details</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shipments.map((shipment) => (
+              <tr key={shipment.productId} className={shipment.isExpired ? 'expired' : ''}>
+                <td>
+                  <strong>#{shipment.productId}</strong> {shipment.productName}
+                  <div className="shipment-batch">Batch: {shipment.batchId}</div>
+                </td>
+                <td className="shipment-address">{formatAddress(shipment.from)}</td>
+                <td>{formatDate(shipment.initiatedAt)}</td>
+                <td>
+                  {shipment.expiresAt === 0
+                    ? 'No deadline'
+                    : shipment.isExpired
+                      ? 'Expired'
+                      : formatDate(shipment.expiresAt)}
+                </td>
+                <td>{shipment.shipmentDetails || '-'}</td>
+                <td className="shipment-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => handleRespond(shipment.productId, true)}
+                    disabled={processingId !== null || shipment.isExpired}
+                  >
+                    {processingId === shipment.productId ? 'Processing...' : 'Accept'}
+                  </button>
+                  <button
+                    className="btn btn-outline"
+                    onClick={() => handleRespond(shipment.productId, false)}
+                    disabled={processingId !== null}
+                  >
+                    Reject
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -4,7 +4,7 @@
  */
 
 import { useState } from 'react';
-import { STATUS_NAMES, PRODUCT_STATUS } from '../../utils/constants';
+import { STATUS_NAMES, STATUS_TRANSITIONS, PRODUCT_STATUS } from '../../utils/constants';
 import { formatDate } from '../../utils/helpers';
 import QRCodeDisplay from '../Common/QRCodeDisplay';
 import './ProductCard.css';
@@ -16,17 +16,22 @@ import './ProductCard.css';
  * @param {Function} onViewDetails - Callback when view details is clicked
  * @param {Function} onTransfer - Callback when transfer is clicked
  * @param {Function} onQualityCheck - Callback when quality check is clicked (optional)
+ * @param {Function} onUpdateStatus - Callback when update status is clicked (optional, owner only)
+ * @param {Function} onManageCertificates - Callback when certificates is clicked (optional, owner only)
  * @param {string} currentAccount - Current user's wallet address (optional)
+ * @param {Array<number>} userRoles - Current user's roles, for regulator actions (optional)
  * 
  * Displays product information in a card format with:
  * - Product name and ID
  * - Batch ID and origin
  * - Current status
  * - Ownership indicator
- * - Quick actions (view details, QR code, transfer, quality check)
+ * - Quick actions (view details, QR code, transfer, quality check, status and certificate updates)
  */
-export default function ProductCard({ product, onViewDetails, onTransfer, onQualityCheck, onComplianceCheck, currentAccount, userRole }) {
+export default function ProductCard({ product, onViewDetails, onTransfer, onQualityCheck, onComplianceCheck, onUpdateStatus, onManageCertificates, currentAccount, userRoles = [] }) {
   const [showQR, setShowQR] = useState(false);
+  const isOwner = Boolean(currentAccount && product.currentOwner &&
+    product.currentOwner.toLowerCase() === currentAccount.toLowerCase());
 
   const getStatusBadgeClass = (status) => {
     const statusClasses = {
@@ -34,7 +39,8 @@ export default function ProductCard({ product, onViewDetails, onTransfer, onQual
       [PRODUCT_STATUS.SHIPPED]: 'status-shipped',
       [PRODUCT_STATUS.RECEIVED]: 'status-received',
       [PRODUCT_STATUS.STORED]: 'status-stored',
-      [PRODUCT_STATUS.DELIVERED]: 'status-delivered'
+      [PRODUCT_STATUS.DELIVERED]: 'status-delivered',
+      [PRODUCT_STATUS.EXPIRED]: 'status-expired'
     };
     return statusClasses[status] || 'status-unknown';
   };
@@ -65,6 +71,18 @@ export default function ProductCard({ product, onViewDetails, onTransfer, onQual
           <span className="info-label">Created:</span>
           <span className="info-value">{formatDate(product.createdAt)}</span>
         </div>
+        {product.bestBeforeDate > 0 && (
+          <div className="product-info-row">
+            <span className="info-label">Best Before:</span>
+            <span className="info-value">{formatDate(product.bestBeforeDate)}</span>
+          </div>
+        )}
+        {product.useByDate > 0 && (
+          <div className="product-info-row">
+            <span className="info-label">Use By:</span>
+            <span className={`info-value ${product.isExpired ? 'date-expired' : ''}`}>{formatDate(product.useByDate)}</span>
+          </div>
+        )}
         {currentAccount && product.currentOwner && (
           <div className="product-info-row">
             <span className="info-label">Ownership:</span>
@@ -104,7 +122,7 @@ export default function ProductCard({ product, onViewDetails, onTransfer, onQual
         {onQualityCheck && (
           // Regulators can perform quality checks on any product
           // Retailers can only check products they own
-          (userRole === 3 || (currentAccount && product.currentOwner && 
+          (userRoles.includes(3) || (currentAccount && product.currentOwner && 
            product.currentOwner.toLowerCase() === currentAccount.toLowerCase())) && (
             <button
               className="btn btn-quality"
@@ -114,7 +132,23 @@ export default function ProductCard({ product, onViewDetails, onTransfer, onQual
             </button>
           )
         )}
-        {onComplianceCheck && userRole === 3 && (
+        {onUpdateStatus && isOwner && (STATUS_TRANSITIONS[product.status] || []).length > 0 && (
+          <button
+            className="btn btn-outline"
+            onClick={() => onUpdateStatus(product.id)}
+          >
+            Update Status
+          </button>
+        )}
+        {onManageCertificates && isOwner && (
+          <button
+            className="btn btn-outline"
+            onClick={() => onManageCertificates(product.id)}
+          >
+            Certificates
+          </button>
+        )}
+        {onComplianceCheck && userRoles.includes(3) && (
           <button
             className="btn btn-compliance"
             onClick={() => onComplianceCheck(product.id)}
@@ -0,0 +1,183 @@
+/**
+ * ProductCertificates Component
+ * Lists a product's certificates and lets its owner attach new ones
+ */
+
+import { useState, useEffect } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
+import { productAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import TransactionStatus from '../Common/TransactionStatus';
+import './ProductCertificates.css';
+
+// Certificate types offered in the form; any other name can be typed in
+const SUGGESTED_TYPES = ['organic', 'halal', 'kosher', 'fairtrade', 'lab-report'];
+
+/**
+ * Read the certificates stored in a product's metadata
+ * @param {string} metadataHash - Product metadata (JSON of type -> hash, or a plain hash)
+ * @returns {Array<Object>} [{ type, hash }]
+ */
+function parseCertificates(metadataHash) {
+  if (!metadataHash) {
+    return [];
+  }
+  try {
+    const metadata = JSON.parse(metadataHash);
+    if (metadata && typeof metadata === 'object') {
+      return Object.entries(metadata).map(([type, hash]) => ({ type, hash: String(hash) }));
+    }
+  } catch (err) {
+    // Plain hash from registration
+  }
+  return [{ type: 'initial', hash: metadataHash }];
+}
+
+/**
+ * ProductCertificates Component
+ *
+ * @param {number} productId - Product ID
+ * @param {string} signerAddress - Address of the product's current owner
+ * @param {Function} onCertificateAttached - Callback with (productId, type) after the update is mined
+ *
+ * Certificates are merged into the product's metadata under their type, next to the
+ * quality and compliance certificates verifiers add. Attaching a certificate of an
+ * existing type replaces it.
+ */
+export default function ProductCertificates({ productId, signerAddress, onCertificateAttached }) {
+  const [certificates, setCertificates] = useState([]);
+  const [certificateType, setCertificateType] = useState(SUGGESTED_TYPES[0]);
+  const [certificateHash, setCertificateHash] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const { isWalletSigned } = useSigningMode();
+
+  /**
+   * Load the product's current metadata
+   */
+  const fetchCertificates = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await productAPI.getById(productId);
+      setCertificates(parseCertificates(response.data.product.metadataHash));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load product metadata');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSuccess(null);
+    setTxHash(null);
+    fetchCertificates();
+  }, [productId]);
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    const type = certificateType.trim();
+    const hash = certificateHash.trim();
+    if (!/^[A-Za-z][A-Za-z0-9_-]{0,31}$/.test(type)) {
+      setError('Certificate type must be 1-32 letters, digits, dashes or underscores, starting with a letter');
+      return;
+    }
+    if (!hash) {
+      setError('Certificate hash is required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      let result;
+      if (isWalletSigned) {
+        result = await contractService.attachCertificate(productId, type, hash, { onSubmitted: setTxHash });
+      } else {
+        result = (await productAPI.updateMetadata(productId, { signerAddress, certificateType: type, certificateHash: hash })).data;
+      }
+
+      if (result && result.transactionHash) {
+        setSuccess(`${type} certificate attached to product #${productId}`);
+        setTxHash(result.transactionHash);
+        setCertificates(parseCertificates(result.metadataHash));
+        setCertificateHash('');
+        if (onCertificateAttached) {
+          onCertificateAttached(productId, type);
+        }
+      } else {
+        setError(result?.message || 'Failed to attach certificate');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to attach certificate');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="product-certificates">
+      <h3>Certificates of Product #{productId}</h3>
+
+      {isLoading ? (
+        <p>Loading certificates...</p>
+      ) : certificates.length === 0 ? (
+        <p className="product-certificates-empty">No certificates attached yet.</p>
+      ) : (
+        <ul className="product-certificates-list">
+          {certificates.map(({ type, hash }) => (
+            <li key={type}>
+              <span className="badge badge-info">{type}</span>
+              <span className="product-certificates-hash">{hash}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="product-certificates-form">
+        <div className="product-certificates-fields">
+          <label>
+            Type
+            <input
+              type="text"
+              list="certificate-types"
+              value={certificateType}
+              onChange={(e) => setCertificateType(e.target.value)}
+              placeholder="e.g. organic"
+            />
+            <datalist id="certificate-types">
+              {SUGGESTED_TYPES.map((type) => <option key={type} value={type} />)}
+            </datalist>
+          </label>
+          <label>
+            Certificate hash or reference
+            <input
+              type="text"
+              value={certificateHash}
+              onChange={(e) => setCertificateHash(e.target.value)}
+              placeholder="e.g. 0x... or an IPFS CID"
+            />
+          </label>
+        </div>
+
+        <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+          {isSubmitting ? 'Attaching...' : 'Attach Certificate'}
+        </button>
+      </form>
+
+      {error && <p className="product-certificates-error">{error}</p>}
+      {success && <p className="product-certificates-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+    </div>
+  );
+}
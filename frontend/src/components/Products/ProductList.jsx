@@ -18,7 +18,9 @@ import './ProductList.css';
  * @param {Function} onProductTransfer - Callback when transfer is clicked
  * @param {Function} onQualityCheck - Callback when quality check is clicked (optional)
  * @param {Function} onComplianceCheck - Callback when compliance check is clicked (optional)
- * @param {number} userRole - Current user's role (for showing appropriate buttons)
+ * @param {Function} onUpdateStatus - Callback when update status is clicked (optional)
+ * @param {Function} onManageCertificates - Callback when certificates is clicked (optional)
+ * @param {Array<number>} userRoles - Current user's roles (for showing appropriate buttons)
  * 
  * Fetches and displays a list of products, optionally filtered by owner or producer.
  * Supports search and displays loading/error states.
@@ -27,7 +29,7 @@ import './ProductList.css';
  * regardless of current ownership. If ownerAddress is provided, shows products
  * currently owned by that address. If neither is provided, shows all products.
  */
-export default function ProductList({ ownerAddress, producerAddress, currentAccount, onProductClick, onProductTransfer, onQualityCheck, onComplianceCheck, userRole }) {
+export default function ProductList({ ownerAddress, producerAddress, currentAccount, onProductClick, onProductTransfer, onQualityCheck, onComplianceCheck, onUpdateStatus, onManageCertificates, userRoles = [] }) {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -183,11 +185,13 @@ export default function ProductList({ ownerAddress, producerAddress, currentAcco
               key={product.id}
               product={product}
               currentAccount={currentAccount}
-              userRole={userRole}
+              userRoles={userRoles}
               onViewDetails={onProductClick}
               onTransfer={onProductTransfer}
               onQualityCheck={onQualityCheck}
               onComplianceCheck={onComplianceCheck}
+              onUpdateStatus={onUpdateStatus}
+              onManageCertificates={onManageCertificates}
             />
           ))}
         </div>
@@ -2,13 +2,19 @@
  * ProductRegistration Component
  * Form to register a new product (Producer only)
  * 
- * Handles product registration with validation, API calls, and QR code generation.
+ * Handles product registration with validation, API calls or wallet-signed
+ * transactions, and QR code generation.
  */
 
 import { useState } from 'react';
 import { useWeb3 } from '../../hooks/useWeb3';
 import { useRole } from '../../hooks/useRole';
+import { useSigningMode } from '../../hooks/useSigningMode';
 import { productAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import relayService from '../../services/relay';
+import TransactionStatus from '../Common/TransactionStatus';
+import QRCodeDisplay from '../Common/QRCodeDisplay';
 import { STATUS_NAMES, PRODUCT_STATUS } from '../../utils/constants';
 import './ProductRegistration.css';
 
@@ -17,23 +23,29 @@ import './ProductRegistration.css';
  * 
  * Provides a form for producers to register new products with:
  * - Product name, batch ID, origin, and optional metadata hash
+ * - Optional production, best-before and use-by dates
  * - Form validation
- * - Transaction status feedback
+ * - Transaction hash and confirmations, signed in the wallet or relayed by the backend
  * - QR code generation after successful registration
  */
 export default function ProductRegistration({ onProductRegistered }) {
   const { account, isConnected } = useWeb3();
-  const { role } = useRole();
+  const { hasRole } = useRole();
+  const { isWalletSigned } = useSigningMode();
   const [formData, setFormData] = useState({
     name: '',
     batchId: '',
     origin: '',
-    metadataHash: ''
+    metadataHash: '',
+    productionDate: '',
+    bestBeforeDate: '',
+    useByDate: ''
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [registeredProduct, setRegisteredProduct] = useState(null);
+  const [txHash, setTxHash] = useState(null);
 
   /**
    * Handle form input changes
@@ -49,6 +61,22 @@ export default function ProductRegistration({ onProductRegistered }) {
     setSuccess(null);
   };
 
+  /**
+   * Convert a date input value to Unix seconds
+   * @param {string} value - Date input value (YYYY-MM-DD)
+   * @param {boolean} endOfDay - Use the last second of the day instead of the first
+   * @returns {number|undefined} Unix seconds, or undefined if the field is empty
+   *
+   * Best-before and use-by dates last until the end of the day in local time.
+   */
+  const toTimestamp = (value, endOfDay) => {
+    if (!value) {
+      return undefined;
+    }
+    const time = endOfDay ? 'T23:59:59' : 'T00:00:00';
+    return Math.floor(new Date(`${value}${time}`).getTime() / 1000);
+  };
+
   /**
    * Validate form data before submission
    * @returns {boolean} True if form is valid
@@ -66,18 +94,28 @@ export default function ProductRegistration({ onProductRegistered }) {
       setError('Origin is required');
       return false;
     }
+    if (formData.bestBeforeDate && formData.useByDate && formData.bestBeforeDate > formData.useByDate) {
+      setError('Best-before date cannot be after the use-by date');
+      return false;
+    }
+    if (formData.useByDate && formData.productionDate && formData.useByDate <= formData.productionDate) {
+      setError('Use-by date must be after the production date');
+      return false;
+    }
     return true;
   };
 
   /**
    * Handle form submission
-   * Validates form, calls API to register product, handles response
+   * Validates form, registers the product through the wallet or a signed request relayed
+   * by the API, handles response
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
     setSuccess(null);
     setRegisteredProduct(null);
+    setTxHash(null);
 
     if (!validateForm()) {
       return;
@@ -86,20 +124,37 @@ export default function ProductRegistration({ onProductRegistered }) {
     setIsLoading(true);
 
     try {
-      const response = await productAPI.register({
-        signerAddress: account,
+      const product = {
         name: formData.name.trim(),
         batchId: formData.batchId.trim(),
         origin: formData.origin.trim(),
-        metadataHash: formData.metadataHash.trim() || ''
-      });
+        metadataHash: formData.metadataHash.trim() || '',
+        productionDate: toTimestamp(formData.productionDate, false),
+        bestBeforeDate: toTimestamp(formData.bestBeforeDate, true),
+        useByDate: toTimestamp(formData.useByDate, true)
+      };
 
-      if (response.data.success) {
-        setSuccess(`Product registered successfully! Product ID: ${response.data.productId}`);
+      const result = isWalletSigned
+        ? await contractService.registerProduct(
+          product.name,
+          product.batchId,
+          product.origin,
+          product.metadataHash,
+          product,
+          { onSubmitted: setTxHash }
+        )
+        : (await productAPI.register({
+          signerAddress: account,
+          ...product,
+          ...(await relayService.signRequest('RegisterProduct', product))
+        })).data;
+
+      if (result.productId) {
+        setSuccess(`Product registered successfully! Product ID: ${result.productId}`);
+        setTxHash(result.transactionHash);
         setRegisteredProduct({
-          productId: response.data.productId,
-          transactionHash: response.data.transactionHash,
-          qrCode: response.data.qrCode
+          productId: result.productId,
+          qrCode: result.qrCode
         });
         
         // Reset form
@@ -107,12 +162,15 @@ export default function ProductRegistration({ onProductRegistered }) {
           name: '',
           batchId: '',
           origin: '',
-          metadataHash: ''
+          metadataHash: '',
+          productionDate: '',
+          bestBeforeDate: '',
+          useByDate: ''
         });
 
         // Notify parent component
         if (onProductRegistered) {
-          onProductRegistered(response.data.productId);
+          onProductRegistered(result.productId);
         }
       } else {
         setError('Failed to register product');
@@ -126,7 +184,7 @@ export default function ProductRegistration({ onProductRegistered }) {
   };
 
   // Check if user is producer
-  if (!isConnected || role !== 0) {
+  if (!isConnected || !hasRole(0)) {
     return (
       <div className="product-registration-error">
         <p>You must be a Producer to register products</p>
@@ -206,6 +264,47 @@ export default function ProductRegistration({ onProductRegistered }) {
           <small>Optional: IPFS hash or reference to certificates, quality reports, etc.</small>
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="productionDate">Production Date</label>
+            <input
+              type="date"
+              id="productionDate"
+              name="productionDate"
+              value={formData.productionDate}
+              onChange={handleChange}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bestBeforeDate">Best Before</label>
+            <input
+              type="date"
+              id="bestBeforeDate"
+              name="bestBeforeDate"
+              value={formData.bestBeforeDate}
+              onChange={handleChange}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="useByDate">Use By</label>
+            <input
+              type="date"
+              id="useByDate"
+              name="useByDate"
+              value={formData.useByDate}
+              onChange={handleChange}
+              disabled={isLoading}
+            />
+          </div>
+        </div>
+        <small className="form-hint">
+          Optional: production date defaults to today. Products past their use-by date are marked expired and can no longer be transferred.
+        </small>
+
         {error && (
           <div className="alert alert-error">
             <strong>Error:</strong> {error}
@@ -218,6 +317,8 @@ export default function ProductRegistration({ onProductRegistered }) {
           </div>
         )}
 
+        {!registeredProduct && <TransactionStatus hash={txHash} />}
+
         <button
           type="submit"
           className="btn btn-primary"
@@ -233,10 +334,9 @@ export default function ProductRegistration({ onProductRegistered }) {
             <h3>Product Registered Successfully!</h3>
             <div className="product-info">
               <p><strong>Product ID:</strong> {registeredProduct.productId}</p>
-              <p><strong>Transaction Hash:</strong></p>
-              <code className="transaction-hash">{registeredProduct.transactionHash}</code>
+              <TransactionStatus hash={txHash} />
             </div>
-            {registeredProduct.qrCode && (
+            {registeredProduct.qrCode ? (
               <div className="qr-code-preview">
                 <h4>QR Code</h4>
                 <img 
@@ -246,6 +346,8 @@ export default function ProductRegistration({ onProductRegistered }) {
                 />
                 <p className="qr-code-note">Scan this QR code to verify the product</p>
               </div>
+            ) : (
+              <QRCodeDisplay productId={registeredProduct.productId} />
             )}
           </div>
         </div>
@@ -0,0 +1,161 @@
+/**
+ * StatusUpdate Component
+ * Form for a product's owner to move it to its next status
+ */
+
+import { useState, useEffect } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
+import { productAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import TransactionStatus from '../Common/TransactionStatus';
+import { STATUS_NAMES, STATUS_TRANSITIONS, PRODUCT_STATUS } from '../../utils/constants';
+import './StatusUpdate.css';
+
+// What each status means for the owner choosing it
+const STATUS_DESCRIPTIONS = {
+  [PRODUCT_STATUS.SHIPPED]: 'The product has left your premises',
+  [PRODUCT_STATUS.RECEIVED]: 'The product has arrived',
+  [PRODUCT_STATUS.STORED]: 'The product is in storage or on the shelf',
+  [PRODUCT_STATUS.DELIVERED]: 'The product has reached the end customer; no further changes are possible',
+  [PRODUCT_STATUS.EXPIRED]: 'Pull the product from the supply chain as spoiled; no further changes are possible'
+};
+
+/**
+ * StatusUpdate Component
+ *
+ * @param {number} productId - Product ID to update
+ * @param {string} signerAddress - Address of the product's current owner
+ * @param {Function} onStatusUpdated - Callback with (productId, newStatus) after the update is mined
+ *
+ * Loads the product's current status and offers only the statuses the contract
+ * allows from it, so invalid transitions cannot be submitted.
+ */
+export default function StatusUpdate({ productId, signerAddress, onStatusUpdated }) {
+  const [currentStatus, setCurrentStatus] = useState(null);
+  const [newStatus, setNewStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const { isWalletSigned } = useSigningMode();
+
+  /**
+   * Load the product's current status
+   */
+  const fetchStatus = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await productAPI.getById(productId);
+      const status = response.data.product.status;
+      setCurrentStatus(status);
+      setNewStatus(STATUS_TRANSITIONS[status]?.[0] ?? null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load product status');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSuccess(null);
+    setTxHash(null);
+    fetchStatus();
+  }, [productId]);
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+    setIsSubmitting(true);
+
+    try {
+      let result;
+      if (isWalletSigned) {
+        result = await contractService.updateStatus(productId, newStatus, { onSubmitted: setTxHash });
+      } else {
+        result = (await productAPI.updateStatus(productId, { signerAddress, status: newStatus })).data;
+      }
+
+      if (result && result.transactionHash) {
+        setSuccess(`Product #${productId} marked as ${STATUS_NAMES[newStatus]}`);
+        setTxHash(result.transactionHash);
+        setCurrentStatus(newStatus);
+        setNewStatus(STATUS_TRANSITIONS[newStatus]?.[0] ?? null);
+        if (onStatusUpdated) {
+          onStatusUpdated(productId, newStatus);
+        }
+      } else {
+        setError(result?.message || 'Failed to update status');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to update status');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="status-update">
+        <p>Loading product status...</p>
+      </div>
+    );
+  }
+
+  const allowed = STATUS_TRANSITIONS[currentStatus] || [];
+
+  return (
+    <div className="status-update">
+      <h3>Update Status of Product #{productId}</h3>
+      <p className="status-update-current">
+        Current status: <span className="badge badge-info">{STATUS_NAMES[currentStatus] || 'Unknown'}</span>
+      </p>
+
+      {allowed.length === 0 ? (
+        <p className="status-update-final">
+          {currentStatus === null ? 'Status unavailable.' : `${STATUS_NAMES[currentStatus]} is a final status and cannot be changed.`}
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="status-update-form">
+          <div className="status-update-options">
+            {allowed.map((status) => (
+              <label
+                key={status}
+                className={`status-update-option ${newStatus === status ? 'selected' : ''} ${status === PRODUCT_STATUS.EXPIRED ? 'status-update-option-expired' : ''}`}
+              >
+                <input
+                  type="radio"
+                  name="newStatus"
+                  value={status}
+                  checked={newStatus === status}
+                  onChange={() => setNewStatus(status)}
+                />
+                <span className="status-update-option-name">{STATUS_NAMES[status]}</span>
+                <span className="status-update-option-description">{STATUS_DESCRIPTIONS[status]}</span>
+              </label>
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting || newStatus === null}
+            className="btn btn-primary"
+          >
+            {isSubmitting ? 'Updating...' : `Mark as ${STATUS_NAMES[newStatus]}`}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="status-update-error">{error}</p>}
+      {success && <p className="status-update-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+/**
+ * EmergencyStop Component
+ * Guardian controls to pause and resume the supply chain
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { emergencyAPI, governanceAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, isValidAddress } from '../../utils/helpers';
+import { STREAM_EVENTS } from '../../utils/constants';
+import './EmergencyStop.css';
+
+// Events after which the panel reloads
+const EMERGENCY_EVENTS = [
+  STREAM_EVENTS.GUARDIAN_UPDATED,
+  STREAM_EVENTS.PAUSED,
+  STREAM_EVENTS.UNPAUSED
+];
+
+/**
+ * Compare two addresses regardless of checksum case
+ * @param {string} a - Address or null
+ * @param {string} b - Address or null
+ * @returns {boolean} True if both are set and equal
+ */
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * EmergencyStop Component
+ *
+ * @param {string} account - Connected wallet address
+ *
+ * Shows whether the supply chain is paused and who the guardian is. The guardian pauses
+ * with a reason, shown to everyone in the site-wide banner, and resumes operation; role
+ * management keeps working meanwhile so a compromised key can be revoked first. The
+ * access control owner appoints the guardian (through a proposal once the multisig owns it).
+ */
+export default function EmergencyStop({ account }) {
+  const [state, setState] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [reason, setReason] = useState('');
+  const [guardian, setGuardian] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the pause state and the access control owner
+   */
+  const fetchState = async () => {
+    try {
+      const [stateResponse, governanceResponse] = await Promise.all([
+        emergencyAPI.getState(),
+        governanceAPI.get()
+      ]);
+      setState(stateResponse.data);
+      setOwner(governanceResponse.data.accessControl.owner);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load pause state');
+    }
+  };
+
+  useEffect(() => {
+    fetchState();
+  }, []);
+
+  useEventStream({ events: EMERGENCY_EVENTS }, () => fetchState());
+
+  /**
+   * Run a write and refresh the panel afterwards
+   * @param {string} key - Identifies the pending action, to disable its button
+   * @param {Function} request - Sends the API request
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  const runAction = async (key, request) => {
+    setPendingAction(key);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      await fetchState();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handlePause = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      setError('A reason is required to pause the supply chain');
+      return;
+    }
+
+    if (await runAction('pause', () => emergencyAPI.pause(account, reason.trim()))) {
+      setReason('');
+    }
+  };
+
+  const handleSetGuardian = async (e) => {
+    e.preventDefault();
+    if (!isValidAddress(guardian.trim())) {
+      setError('Invalid guardian address');
+      return;
+    }
+
+    if (await runAction('guardian', () => emergencyAPI.setGuardian(account, guardian.trim()))) {
+      setGuardian('');
+    }
+  };
+
+  if (!state) {
+    return <p className="emergency-stop-empty">{error || 'Loading pause state...'}</p>;
+  }
+
+  const isGuardian = sameAddress(account, state.guardian);
+  const isOwner = sameAddress(account, owner);
+  const isBusy = pendingAction !== null || !account;
+
+  return (
+    <div className="emergency-stop">
+      <p className="emergency-stop-summary">
+        <span className={`badge ${state.paused ? 'badge-error' : 'badge-success'}`}>
+          {state.paused ? 'PAUSED' : 'RUNNING'}
+        </span>
+        {' '}Guardian:{' '}
+        {state.guardian ? (
+          <span className="emergency-stop-address" title={state.guardian}>{formatAddress(state.guardian)}</span>
+        ) : 'none appointed'}
+      </p>
+      {state.paused && <p className="emergency-stop-reason">Reason: {state.reason}</p>}
+
+      {isGuardian && !state.paused && (
+        <form onSubmit={handlePause} className="emergency-stop-form">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason, e.g. producer key compromised"
+          />
+          <button type="submit" disabled={isBusy || !reason.trim()} className="btn btn-revoke">
+            {pendingAction === 'pause' ? 'Pausing...' : 'Pause Supply Chain'}
+          </button>
+        </form>
+      )}
+
+      {isGuardian && state.paused && (
+        <button
+          className="btn btn-primary"
+          onClick={() => runAction('unpause', () => emergencyAPI.unpause(account))}
+          disabled={isBusy}
+        >
+          {pendingAction === 'unpause' ? 'Resuming...' : 'Resume Supply Chain'}
+        </button>
+      )}
+
+      {isOwner && (
+        <form onSubmit={handleSetGuardian} className="emergency-stop-form">
+          <input
+            type="text"
+            value={guardian}
+            onChange={(e) => setGuardian(e.target.value)}
+            placeholder="Guardian address 0x..."
+            className="emergency-stop-address"
+          />
+          <button type="submit" disabled={isBusy || !guardian.trim()} className="btn btn-outline">
+            {pendingAction === 'guardian' ? 'Appointing...' : 'Appoint Guardian'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="emergency-stop-error">{error}</p>}
+      {success && <p className="emergency-stop-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * ExpiringRoles Component
+ * Time-limited roles that expire soon, with renewal
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { roleAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate } from '../../utils/helpers';
+import { STREAM_EVENTS } from '../../utils/constants';
+import './ExpiringRoles.css';
+
+// Look-ahead windows offered, in days
+const WINDOWS = [7, 30, 90];
+
+// Seconds in a day
+const DAY = 24 * 60 * 60;
+
+/**
+ * Key of a grant row
+ * @param {Object} grant - Grant from the API
+ * @returns {string} Row key
+ */
+const grantKey = (grant) => `${grant.address}-${grant.role}`;
+
+/**
+ * ExpiringRoles Component
+ *
+ * @param {string} account - Connected wallet address, used as the signer for renewals
+ * @param {number} refreshKey - Changing this reloads the list (e.g. after a role is granted)
+ *
+ * Lists roles whose expiry falls within the chosen window, soonest first, including
+ * roles that have already expired and stopped counting. Renewing grants the role again
+ * with an expiry the chosen number of days from now, which needs the connected account
+ * to be the access control owner or an admin of the holder's organization.
+ */
+export default function ExpiringRoles({ account, refreshKey }) {
+  const [windowDays, setWindowDays] = useState(WINDOWS[0]);
+  const [renewDays, setRenewDays] = useState(365);
+  const [grants, setGrants] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [renewingKey, setRenewingKey] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the grants expiring within the selected window
+   * @param {boolean} background - Keep the current list on screen while fetching
+   */
+  const fetchGrants = async (background = false) => {
+    if (!background) {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await roleAPI.getExpiring(windowDays * DAY);
+      setGrants(response.data.grants || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load expiring roles');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchGrants();
+  }, [windowDays, refreshKey]);
+
+  // Refresh when roles are granted, renewed or revoked
+  useEventStream(
+    { events: [STREAM_EVENTS.ROLE_VALIDITY_CHANGED, STREAM_EVENTS.ROLE_REVOKED] },
+    () => fetchGrants(true)
+  );
+
+  /**
+   * Grant a role again with a later expiry
+   * @param {Object} grant - Grant from the list
+   */
+  const handleRenew = async (grant) => {
+    const days = Number(renewDays);
+    if (!Number.isInteger(days) || days <= 0) {
+      setError('Renewal period must be a whole number of days');
+      return;
+    }
+
+    setRenewingKey(grantKey(grant));
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const validUntil = Math.floor(Date.now() / 1000) + days * DAY;
+      const response = await roleAPI.grant(account, grant.address, grant.role, validUntil);
+      setSuccess(`${grant.roleName} of ${formatAddress(grant.address)} renewed until ${formatDate(validUntil)}`);
+      setTxHash(response.data.transactionHash);
+      fetchGrants(true);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to renew role');
+    } finally {
+      setRenewingKey(null);
+    }
+  };
+
+  return (
+    <div className="expiring-roles">
+      <div className="expiring-roles-header">
+        <label>
+          Expiring within
+          <select value={windowDays} onChange={(e) => setWindowDays(Number(e.target.value))}>
+            {WINDOWS.map((days) => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Renew for
+          <input
+            type="number"
+            min="1"
+            value={renewDays}
+            onChange={(e) => setRenewDays(e.target.value)}
+          />
+          days
+        </label>
+      </div>
+
+      {error && <p className="expiring-roles-error">{error}</p>}
+      {success && <p className="expiring-roles-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {isLoading ? (
+        <p className="expiring-roles-empty">Loading expiring roles...</p>
+      ) : grants.length === 0 ? (
+        <p className="expiring-roles-empty">No roles expire within {windowDays} days.</p>
+      ) : (
+        <ul className="expiring-roles-list">
+          {grants.map((grant) => (
+            <li key={grantKey(grant)} className={grant.expired ? 'expiring-roles-expired' : ''}>
+              <span className="expiring-roles-address" title={grant.address}>{formatAddress(grant.address)}</span>
+              <span className="badge badge-info">{grant.roleName}</span>
+              <span className="expiring-roles-date">
+                {grant.expired ? 'Expired' : 'Expires'} {formatDate(grant.validUntil)}
+              </span>
+              {grant.suspended && <span className="badge badge-warning">Suspended</span>}
+              <button
+                className="btn btn-outline"
+                onClick={() => handleRenew(grant)}
+                disabled={renewingKey !== null || !account}
+              >
+                {renewingKey === grantKey(grant) ? 'Renewing...' : 'Renew'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,416 @@
+/**
+ * GovernancePanel Component
+ * Multi-signature proposals over the access control contract and its ownership
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { governanceAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate, isValidAddress } from '../../utils/helpers';
+import { ROLE_NAMES, STREAM_EVENTS } from '../../utils/constants';
+import './GovernancePanel.css';
+
+// Changes signers can propose, with the parameters each one takes
+const ACTIONS = [
+  { value: 'grantRole', label: 'Grant role', fields: ['account', 'role'] },
+  { value: 'revokeRole', label: 'Revoke role', fields: ['account', 'role'] },
+  { value: 'transferOwnership', label: 'Offer ownership', fields: ['newOwner'] },
+  { value: 'acceptOwnership', label: 'Accept ownership', fields: [] },
+  { value: 'setGuardian', label: 'Appoint pause guardian', fields: ['guardian'] },
+  { value: 'addSigner', label: 'Add signer', fields: ['account'] },
+  { value: 'removeSigner', label: 'Remove signer', fields: ['account'] },
+  { value: 'changeThreshold', label: 'Change threshold', fields: ['threshold'] },
+  { value: 'changeDelay', label: 'Change timelock', fields: ['delay'] }
+];
+
+// Status filters offered; an empty value lists every proposal
+const STATUS_FILTERS = ['', 'PENDING', 'QUEUED', 'READY', 'EXECUTED', 'CANCELLED'];
+
+// Badge class of each proposal status
+const STATUS_BADGES = {
+  PENDING: 'badge-warning',
+  QUEUED: 'badge-info',
+  READY: 'badge-success',
+  EXECUTED: 'badge-success',
+  CANCELLED: 'badge-error'
+};
+
+// Roles proposals can grant or revoke
+const MANAGEABLE_ROLES = [0, 1, 2, 3];
+
+// Events after which the panel reloads
+const GOVERNANCE_EVENTS = [
+  STREAM_EVENTS.OWNERSHIP_TRANSFER_STARTED,
+  STREAM_EVENTS.PROPOSAL_CREATED,
+  STREAM_EVENTS.PROPOSAL_APPROVED,
+  STREAM_EVENTS.APPROVAL_REVOKED,
+  STREAM_EVENTS.PROPOSAL_QUEUED,
+  STREAM_EVENTS.PROPOSAL_EXECUTED,
+  STREAM_EVENTS.PROPOSAL_CANCELLED
+];
+
+/**
+ * Compare two addresses regardless of checksum case
+ * @param {string} a - Address or null
+ * @param {string} b - Address or null
+ * @returns {boolean} True if both are set and equal
+ */
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * GovernancePanel Component
+ *
+ * @param {string} account - Connected wallet address, used as the signer
+ * @param {Function} onRolesChanged - Callback after an executed proposal may have changed roles
+ *
+ * Shows the signers, threshold and timelock, and who owns the access control contract.
+ * The owner offers ownership (e.g. to the multisig) and the pending owner accepts it.
+ * Signers propose role grants, revocations, ownership and governance changes, approve
+ * them, and execute them once enough signers approved and the timelock has passed;
+ * the proposer can cancel an open proposal, unless it would remove them as a signer.
+ */
+export default function GovernancePanel({ account, onRolesChanged }) {
+  const [governance, setGovernance] = useState(null);
+  const [accessControl, setAccessControl] = useState(null);
+  const [proposals, setProposals] = useState([]);
+  const [status, setStatus] = useState('');
+  const [action, setAction] = useState(ACTIONS[0].value);
+  const [params, setParams] = useState({ account: '', role: 0, newOwner: '', guardian: '', threshold: '', delay: '' });
+  const [description, setDescription] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the governance setup and the proposals with the selected status
+   */
+  const fetchGovernance = async () => {
+    try {
+      const [setupResponse, proposalsResponse] = await Promise.all([
+        governanceAPI.get(),
+        governanceAPI.listProposals(status ? { status } : {})
+      ]);
+      setGovernance(setupResponse.data.governance);
+      setAccessControl(setupResponse.data.accessControl);
+      setProposals(proposalsResponse.data.proposals || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load governance');
+    }
+  };
+
+  useEffect(() => {
+    fetchGovernance();
+  }, [status]);
+
+  useEventStream({ events: GOVERNANCE_EVENTS }, () => fetchGovernance());
+
+  /**
+   * Run a write and refresh the panel afterwards
+   * @param {string} key - Identifies the pending action, to disable its button
+   * @param {Function} request - Sends the API request
+   * @param {boolean} rolesChanged - Whether the write may have granted or revoked a role
+   */
+  const runAction = async (key, request, rolesChanged = false) => {
+    setPendingAction(key);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      await fetchGovernance();
+      if (rolesChanged && onRolesChanged) {
+        onRolesChanged();
+      }
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Transaction failed');
+      return null;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const selectedAction = ACTIONS.find(entry => entry.value === action);
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    for (const field of ['account', 'newOwner', 'guardian']) {
+      if (selectedAction.fields.includes(field) && !isValidAddress(params[field].trim())) {
+        setError('Invalid address');
+        return;
+      }
+    }
+
+    const proposalParams = {};
+    for (const field of selectedAction.fields) {
+      proposalParams[field] = typeof params[field] === 'string' ? params[field].trim() : params[field];
+    }
+
+    const response = await runAction('propose', () => governanceAPI.propose(account, action, proposalParams, description.trim()));
+    if (response) {
+      setDescription('');
+    }
+  };
+
+  const handleOfferOwnership = async (e) => {
+    e.preventDefault();
+    if (!isValidAddress(newOwner.trim())) {
+      setError('Invalid new owner address');
+      return;
+    }
+
+    const response = await runAction('offer', () => governanceAPI.transferOwnership(account, newOwner.trim()));
+    if (response) {
+      setNewOwner('');
+    }
+  };
+
+  const isBusy = pendingAction !== null || !account;
+  const isSigner = governance?.signers.some(signer => sameAddress(signer, account));
+  const isOwner = sameAddress(accessControl?.owner, account);
+  const isPendingOwner = sameAddress(accessControl?.pendingOwner, account);
+
+  if (!governance || !accessControl) {
+    return (
+      <div className="governance-panel">
+        {error ? <p className="governance-error">{error}</p> : <p className="governance-empty">Loading governance...</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="governance-panel">
+      <div className="governance-summary">
+        <p>
+          {accessControl.governedByMultisig ? (
+            <>Roles are governed by the multisig at <span className="governance-address" title={governance.address}>{formatAddress(governance.address)}</span>.</>
+          ) : (
+            <>Roles are managed directly by <span className="governance-address" title={accessControl.owner}>{formatAddress(accessControl.owner)}</span>.</>
+          )}
+          {' '}Proposals need {governance.threshold} of {governance.signers.length} approvals and wait {governance.delay} seconds before execution.
+        </p>
+        <div className="governance-signers">
+          {governance.signers.map((signer) => (
+            <span
+              key={signer}
+              className={`badge ${sameAddress(signer, account) ? 'badge-success' : 'badge-info'}`}
+              title={signer}
+            >
+              {formatAddress(signer)}
+            </span>
+          ))}
+        </div>
+        {accessControl.pendingOwner && (
+          <p className="governance-pending-owner">
+            Ownership has been offered to{' '}
+            <span className="governance-address" title={accessControl.pendingOwner}>
+              {sameAddress(accessControl.pendingOwner, governance.address) ? 'the multisig' : formatAddress(accessControl.pendingOwner)}
+            </span>
+            {sameAddress(accessControl.pendingOwner, governance.address) && ', which accepts through an "Accept ownership" proposal'}.
+          </p>
+        )}
+      </div>
+
+      {isOwner && (
+        <form onSubmit={handleOfferOwnership} className="governance-form">
+          <input
+            type="text"
+            value={newOwner}
+            onChange={(e) => setNewOwner(e.target.value)}
+            placeholder="New owner address 0x..."
+            className="governance-address-input"
+          />
+          <button type="button" className="btn btn-outline" onClick={() => setNewOwner(governance.address)}>
+            Use Multisig
+          </button>
+          <button type="submit" disabled={isBusy || !newOwner.trim()} className="btn btn-primary">
+            {pendingAction === 'offer' ? 'Offering...' : 'Offer Ownership'}
+          </button>
+          {accessControl.pendingOwner && (
+            <button
+              type="button"
+              className="btn btn-revoke"
+              onClick={() => runAction('cancel-offer', () => governanceAPI.cancelOwnershipTransfer(account))}
+              disabled={isBusy}
+            >
+              Withdraw Offer
+            </button>
+          )}
+        </form>
+      )}
+
+      {isPendingOwner && (
+        <div className="governance-form">
+          <button
+            className="btn btn-primary"
+            onClick={() => runAction('accept', () => governanceAPI.acceptOwnership(account))}
+            disabled={isBusy}
+          >
+            {pendingAction === 'accept' ? 'Accepting...' : 'Accept Ownership'}
+          </button>
+        </div>
+      )}
+
+      {isSigner ? (
+        <form onSubmit={handlePropose} className="governance-form">
+          <select value={action} onChange={(e) => setAction(e.target.value)}>
+            {ACTIONS.map((entry) => (
+              <option key={entry.value} value={entry.value}>{entry.label}</option>
+            ))}
+          </select>
+          {selectedAction.fields.includes('account') && (
+            <input
+              type="text"
+              value={params.account}
+              onChange={(e) => setParams(prev => ({ ...prev, account: e.target.value }))}
+              placeholder="Account address 0x..."
+              className="governance-address-input"
+            />
+          )}
+          {selectedAction.fields.includes('role') && (
+            <select value={params.role} onChange={(e) => setParams(prev => ({ ...prev, role: Number(e.target.value) }))}>
+              {MANAGEABLE_ROLES.map((role) => (
+                <option key={role} value={role}>{ROLE_NAMES[role]}</option>
+              ))}
+            </select>
+          )}
+          {selectedAction.fields.includes('newOwner') && (
+            <input
+              type="text"
+              value={params.newOwner}
+              onChange={(e) => setParams(prev => ({ ...prev, newOwner: e.target.value }))}
+              placeholder="New owner address 0x..."
+              className="governance-address-input"
+            />
+          )}
+          {selectedAction.fields.includes('guardian') && (
+            <input
+              type="text"
+              value={params.guardian}
+              onChange={(e) => setParams(prev => ({ ...prev, guardian: e.target.value }))}
+              placeholder="Guardian address 0x..."
+              className="governance-address-input"
+            />
+          )}
+          {selectedAction.fields.includes('threshold') && (
+            <input
+              type="number"
+              min="1"
+              max={governance.signers.length}
+              value={params.threshold}
+              onChange={(e) => setParams(prev => ({ ...prev, threshold: e.target.value }))}
+              placeholder="Approvals"
+            />
+          )}
+          {selectedAction.fields.includes('delay') && (
+            <input
+              type="number"
+              min="0"
+              value={params.delay}
+              onChange={(e) => setParams(prev => ({ ...prev, delay: e.target.value }))}
+              placeholder="Seconds"
+            />
+          )}
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (optional)"
+          />
+          <button type="submit" disabled={isBusy} className="btn btn-primary">
+            {pendingAction === 'propose' ? 'Proposing...' : 'Propose'}
+          </button>
+        </form>
+      ) : (
+        <p className="governance-hint">Only governance signers can propose and approve changes.</p>
+      )}
+
+      {error && <p className="governance-error">{error}</p>}
+      {success && <p className="governance-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      <div className="governance-header">
+        <h3>Proposals</h3>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {STATUS_FILTERS.map((value) => (
+            <option key={value || 'all'} value={value}>{value || 'All'}</option>
+          ))}
+        </select>
+      </div>
+
+      {proposals.length === 0 ? (
+        <p className="governance-empty">No {status ? status.toLowerCase() : ''} proposals.</p>
+      ) : (
+        <ul className="governance-proposals">
+          {proposals.map((proposal) => {
+            const approved = proposal.approvers.some(approver => sameAddress(approver, account));
+            const isOpen = !proposal.executed && !proposal.cancelled;
+            const canCancel = sameAddress(proposal.proposer, account) &&
+              !(proposal.call?.functionName === 'removeSigner' && sameAddress(proposal.call.args.signer, account));
+
+            return (
+              <li key={proposal.id}>
+                <div className="governance-proposal-summary">
+                  <span>#{proposal.id}</span>
+                  <strong>{proposal.summary}</strong>
+                  <span className={`badge ${STATUS_BADGES[proposal.status]}`}>{proposal.status}</span>
+                  <span className="governance-approvals">{proposal.approvals} / {governance.threshold} approvals</span>
+                </div>
+                {proposal.description !== proposal.summary && (
+                  <p className="governance-description">{proposal.description}</p>
+                )}
+                <p className="governance-meta">
+                  Proposed by {formatAddress(proposal.proposer)} on {formatDate(proposal.createdAt)}
+                  {proposal.status === 'QUEUED' && ` · executable from ${formatDate(proposal.readyAt)}`}
+                </p>
+                {isOpen && isSigner && (
+                  <div className="governance-actions">
+                    {approved ? (
+                      <button
+                        className="btn btn-outline"
+                        onClick={() => runAction(`revoke-${proposal.id}`, () => governanceAPI.revokeApproval(account, proposal.id))}
+                        disabled={isBusy}
+                      >
+                        Withdraw Approval
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-primary"
+                        onClick={() => runAction(`approve-${proposal.id}`, () => governanceAPI.approve(account, proposal.id))}
+                        disabled={isBusy}
+                      >
+                        {pendingAction === `approve-${proposal.id}` ? 'Approving...' : 'Approve'}
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => runAction(`execute-${proposal.id}`, () => governanceAPI.execute(account, proposal.id), true)}
+                      disabled={isBusy || proposal.status === 'PENDING'}
+                    >
+                      {pendingAction === `execute-${proposal.id}` ? 'Executing...' : 'Execute'}
+                    </button>
+                    {canCancel && (
+                      <button
+                        className="btn btn-revoke"
+                        onClick={() => runAction(`cancel-${proposal.id}`, () => governanceAPI.cancel(account, proposal.id))}
+                        disabled={isBusy}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
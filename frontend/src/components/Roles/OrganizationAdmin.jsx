@@ -0,0 +1,336 @@
+/**
+ * OrganizationAdmin Component
+ * Organizations, their members and the operational roles their admins manage
+ */
+
+import { useState, useEffect } from 'react';
+import { organizationAPI, roleAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate, isValidAddress } from '../../utils/helpers';
+import { ROLE_NAMES } from '../../utils/constants';
+import './OrganizationAdmin.css';
+
+// Roles organization admins can grant to their members (REGULATOR stays with the owner)
+const OPERATIONAL_ROLES = [0, 1, 2];
+
+/**
+ * OrganizationAdmin Component
+ *
+ * @param {string} account - Connected wallet address, used as the signer
+ * @param {Function} onRolesChanged - Callback after a member's role is granted or revoked
+ *
+ * The access control owner registers organizations and appoints their admins. An
+ * organization admin invites staff to their organization and grants or revokes the
+ * operational roles of its members; the contract rejects anything outside that scope.
+ * Invited staff join once they accept. Opens on the connected account's organization
+ * when it belongs to one.
+ */
+export default function OrganizationAdmin({ account, onRolesChanged }) {
+  const [organizations, setOrganizations] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [organization, setOrganization] = useState(null);
+  const [membership, setMembership] = useState(null);
+  const [invitation, setInvitation] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newAdmin, setNewAdmin] = useState('');
+  const [memberAddress, setMemberAddress] = useState('');
+  const [memberRoles, setMemberRoles] = useState({});
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the organization list and the connected account's membership
+   */
+  const fetchOrganizations = async () => {
+    try {
+      const [listResponse, accountResponse] = await Promise.all([
+        organizationAPI.list(),
+        account ? organizationAPI.getForAccount(account) : Promise.resolve(null)
+      ]);
+      const list = listResponse.data.organizations || [];
+      const own = accountResponse?.data.organization || null;
+      setOrganizations(list);
+      setMembership(own);
+      setInvitation(accountResponse?.data.invitation || null);
+      setSelectedId(prev => prev || (own ? String(own.organizationId) : list.length > 0 ? String(list[0].id) : ''));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load organizations');
+    }
+  };
+
+  /**
+   * Load the selected organization with its members
+   */
+  const fetchOrganization = async () => {
+    if (!selectedId) {
+      setOrganization(null);
+      return;
+    }
+    try {
+      const response = await organizationAPI.getById(selectedId);
+      setOrganization(response.data.organization);
+    } catch (err) {
+      setOrganization(null);
+      setError(err.response?.data?.message || err.message || 'Failed to load organization');
+    }
+  };
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [account]);
+
+  useEffect(() => {
+    fetchOrganization();
+  }, [selectedId]);
+
+  /**
+   * Run a write and refresh the organizations afterwards
+   * @param {string} key - Identifies the pending action, to disable its button
+   * @param {Function} request - Sends the API request
+   * @param {boolean} rolesChanged - Whether the write granted or revoked a role
+   */
+  const runAction = async (key, request, rolesChanged = false) => {
+    setPendingAction(key);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      await Promise.all([fetchOrganizations(), fetchOrganization()]);
+      if (rolesChanged && onRolesChanged) {
+        onRolesChanged();
+      }
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Transaction failed');
+      return null;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) {
+      setError('Organization name is required');
+      return;
+    }
+    if (newAdmin.trim() && !isValidAddress(newAdmin.trim())) {
+      setError('Invalid admin address');
+      return;
+    }
+
+    const response = await runAction('register', () => organizationAPI.register(account, newName.trim(), newAdmin.trim() || null));
+    if (response) {
+      setNewName('');
+      setNewAdmin('');
+      setSelectedId(String(response.data.organizationId));
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!isValidAddress(memberAddress.trim())) {
+      setError('Invalid member address');
+      return;
+    }
+
+    const response = await runAction('add-member', () => organizationAPI.addMember(account, organization.id, memberAddress.trim()));
+    if (response) {
+      setMemberAddress('');
+    }
+  };
+
+  const handleAcceptInvitation = async () => {
+    const response = await runAction('accept', () => organizationAPI.acceptInvitation(account, invitation.organizationId));
+    if (response) {
+      setSelectedId(String(invitation.organizationId));
+    }
+  };
+
+  const selectedRole = (member) => memberRoles[member.address] ?? OPERATIONAL_ROLES.find(role => !member.roles.includes(role));
+
+  const isBusy = pendingAction !== null || !account;
+  const canManageMembers = membership?.isAdmin && organization && membership.organizationId === organization.id;
+
+  return (
+    <div className="organization-admin">
+      {invitation && !membership && (
+        <p className="organization-admin-membership">
+          You have been invited to <strong>{invitation.organizationName}</strong>.{' '}
+          <button className="btn btn-primary" onClick={handleAcceptInvitation} disabled={isBusy}>
+            {pendingAction === 'accept' ? 'Joining...' : 'Accept Invitation'}
+          </button>
+        </p>
+      )}
+      {membership ? (
+        <p className="organization-admin-membership">
+          You are {membership.isAdmin ? 'an admin' : 'a member'} of <strong>{membership.organizationName}</strong>.
+        </p>
+      ) : (
+        <p className="organization-admin-membership">
+          The connected account belongs to no organization. Only the access control owner can register organizations.
+        </p>
+      )}
+
+      <form onSubmit={handleRegister} className="organization-admin-form">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Organization name"
+        />
+        <input
+          type="text"
+          value={newAdmin}
+          onChange={(e) => setNewAdmin(e.target.value)}
+          placeholder="First admin address (optional)"
+          className="organization-admin-address-input"
+        />
+        <button type="submit" disabled={isBusy} className="btn btn-primary">
+          {pendingAction === 'register' ? 'Registering...' : 'Register Organization'}
+        </button>
+      </form>
+
+      {error && <p className="organization-admin-error">{error}</p>}
+      {success && <p className="organization-admin-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {organizations.length === 0 ? (
+        <p className="organization-admin-empty">No organizations registered yet.</p>
+      ) : (
+        <>
+          <div className="organization-admin-header">
+            <select
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              className="organization-admin-select"
+            >
+              {organizations.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name} ({entry.memberCount} {entry.memberCount === 1 ? 'member' : 'members'})
+                </option>
+              ))}
+            </select>
+            {organization && (
+              <span className="organization-admin-created">Registered {formatDate(organization.createdAt)}</span>
+            )}
+          </div>
+
+          {organization && (
+            <>
+              <form onSubmit={handleAddMember} className="organization-admin-form">
+                <input
+                  type="text"
+                  value={memberAddress}
+                  onChange={(e) => setMemberAddress(e.target.value)}
+                  placeholder="Staff address 0x..."
+                  className="organization-admin-address-input"
+                />
+                <button type="submit" disabled={isBusy || !memberAddress.trim()} className="btn btn-primary">
+                  {canManageMembers
+                    ? (pendingAction === 'add-member' ? 'Inviting...' : 'Invite Member')
+                    : (pendingAction === 'add-member' ? 'Adding...' : 'Add Member')}
+                </button>
+              </form>
+
+              {organization.members.length === 0 ? (
+                <p className="organization-admin-empty">This organization has no members.</p>
+              ) : (
+                <table className="organization-admin-table">
+                  <thead>
+                    <tr>
+                      <th>Member</th>
+                      <th>Roles</th>
+                      <th>Grant Role</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {organization.members.map((member) => (
+                      <tr key={member.address}>
+                        <td className="organization-admin-address" title={member.address}>
+                          {formatAddress(member.address)}
+                          {member.isAdmin && <span className="badge badge-success">admin</span>}
+                        </td>
+                        <td>
+                          <div className="organization-admin-roles">
+                            {member.roles.length === 0 && <span className="organization-admin-none">none</span>}
+                            {member.roles.map((role) => (
+                              <span key={role} className="badge badge-info organization-admin-role">
+                                {ROLE_NAMES[role]}
+                                <button
+                                  type="button"
+                                  className="organization-admin-role-revoke"
+                                  onClick={() => runAction(`revoke-${member.address}-${role}`, () => roleAPI.revoke(account, member.address, role), true)}
+                                  disabled={isBusy}
+                                  title={`Revoke ${ROLE_NAMES[role]}`}
+                                >
+                                  ×
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                        <td>
+                          <div className="organization-admin-grant">
+                            <select
+                              value={selectedRole(member) ?? ''}
+                              onChange={(e) => setMemberRoles(prev => ({ ...prev, [member.address]: Number(e.target.value) }))}
+                            >
+                              {OPERATIONAL_ROLES.filter(role => !member.roles.includes(role)).map((role) => (
+                                <option key={role} value={role}>{ROLE_NAMES[role]}</option>
+                              ))}
+                            </select>
+                            <button
+                              className="btn btn-outline"
+                              onClick={() => runAction(`grant-${member.address}`, () => roleAPI.grant(account, member.address, selectedRole(member)), true)}
+                              disabled={isBusy || selectedRole(member) === undefined}
+                            >
+                              {pendingAction === `grant-${member.address}` ? 'Granting...' : 'Grant'}
+                            </button>
+                          </div>
+                        </td>
+                        <td className="organization-admin-row-actions">
+                          <button
+                            className="btn btn-outline"
+                            onClick={() => runAction(`admin-${member.address}`, () => (member.isAdmin
+                              ? organizationAPI.revokeAdmin(organization.id, member.address)
+                              : organizationAPI.grantAdmin(account, organization.id, member.address)))}
+                            disabled={isBusy}
+                            title="Access control owner only"
+                          >
+                            {member.isAdmin ? 'Remove Admin' : 'Make Admin'}
+                          </button>
+                          <button
+                            className="btn btn-revoke"
+                            onClick={() => runAction(`remove-${member.address}`, () => organizationAPI.removeMember(organization.id, member.address))}
+                            disabled={isBusy || member.isAdmin || member.roles.length > 0}
+                            title={member.isAdmin || member.roles.length > 0 ? 'Remove admin rights and roles first' : undefined}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {!canManageMembers && (
+                <p className="organization-admin-hint">
+                  Only the access control owner or an admin of {organization.name} can change its members.
+                </p>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
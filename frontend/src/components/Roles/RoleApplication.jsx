@@ -0,0 +1,173 @@
+/**
+ * RoleApplication Component
+ * Apply for a supply chain role and follow the review of past applications
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { roleRequestAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatDate } from '../../utils/helpers';
+import { ROLE_NAMES, STREAM_EVENTS } from '../../utils/constants';
+import './RoleApplication.css';
+
+// Roles that can be applied for (CONSUMER is everyone's default)
+const REQUESTABLE_ROLES = [0, 1, 2, 3];
+
+// Badge class of each request status
+const STATUS_BADGES = {
+  PENDING: 'badge-warning',
+  APPROVED: 'badge-success',
+  REJECTED: 'badge-error'
+};
+
+/**
+ * RoleApplication Component
+ *
+ * @param {string} account - Connected wallet address, the applicant
+ * @param {number[]} heldRoles - Roles the account already holds, left out of the role list
+ *
+ * Submits a request naming the role, the applicant's organization and references to
+ * supporting documents (one hash per line). The access control owner or an admin of the
+ * applicant's organization approves or rejects it; the list below the form follows the
+ * decision live and shows the reason of a rejection.
+ */
+export default function RoleApplication({ account, heldRoles = [] }) {
+  const availableRoles = REQUESTABLE_ROLES.filter(role => !heldRoles.includes(role));
+
+  const [role, setRole] = useState(availableRoles[0] ?? '');
+  const [organizationName, setOrganizationName] = useState('');
+  const [documents, setDocuments] = useState('');
+  const [requests, setRequests] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the account's requests
+   */
+  const fetchRequests = async () => {
+    try {
+      const response = await roleRequestAPI.list({ applicant: account });
+      setRequests(response.data.requests || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load your role requests');
+    }
+  };
+
+  useEffect(() => {
+    if (account) {
+      fetchRequests();
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (!availableRoles.includes(role)) {
+      setRole(availableRoles[0] ?? '');
+    }
+  }, [heldRoles]);
+
+  // Follow reviews of the account's requests as they happen
+  useEventStream(
+    {
+      events: [
+        STREAM_EVENTS.ROLE_REQUESTED,
+        STREAM_EVENTS.ROLE_REQUEST_APPROVED,
+        STREAM_EVENTS.ROLE_REQUEST_REJECTED
+      ]
+    },
+    () => fetchRequests(),
+    Boolean(account)
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!organizationName.trim()) {
+      setError('Organization name is required');
+      return;
+    }
+
+    const documentHashes = documents.split('\n').map(line => line.trim()).filter(Boolean);
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await roleRequestAPI.submit(account, role, organizationName.trim(), documentHashes);
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      setOrganizationName('');
+      setDocuments('');
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to submit role request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const hasPending = (value) => requests.some(request => request.role === value && request.statusName === 'PENDING');
+
+  return (
+    <div className="role-application">
+      <h2>Apply for a Role</h2>
+      <p className="role-application-description">
+        Operators apply with their organization and license or registration documents. An administrator reviews the application on-chain.
+      </p>
+
+      {availableRoles.length === 0 ? (
+        <p className="role-application-empty">You already hold every role.</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="role-application-form">
+          <select value={role} onChange={(e) => setRole(Number(e.target.value))}>
+            {availableRoles.map((value) => (
+              <option key={value} value={value} disabled={hasPending(value)}>
+                {ROLE_NAMES[value]}{hasPending(value) ? ' (pending)' : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={organizationName}
+            onChange={(e) => setOrganizationName(e.target.value)}
+            placeholder="Organization name"
+          />
+          <textarea
+            value={documents}
+            onChange={(e) => setDocuments(e.target.value)}
+            placeholder="Document hashes or references, one per line"
+            rows={3}
+          />
+          <button type="submit" disabled={isSubmitting || hasPending(role)} className="btn btn-primary">
+            {isSubmitting ? 'Submitting...' : 'Submit Application'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="role-application-error">{error}</p>}
+      {success && <p className="role-application-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {requests.length > 0 && (
+        <ul className="role-application-list">
+          {requests.map((request) => (
+            <li key={request.id}>
+              <div className="role-application-summary">
+                <span className="badge badge-info">{request.roleName}</span>
+                <span>{request.organizationName}</span>
+                <span className={`badge ${STATUS_BADGES[request.statusName]}`}>{request.statusName}</span>
+                <span className="role-application-date">
+                  {formatDate(request.decidedAt || request.createdAt)}
+                </span>
+              </div>
+              {request.reason && <p className="role-application-reason">Reason: {request.reason}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+/**
+ * RoleHolders Component
+ * Directory of addresses holding each role, with suspension, revocation and role history
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { roleAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate } from '../../utils/helpers';
+import { ROLE_NAMES, STREAM_EVENTS } from '../../utils/constants';
+import './RoleHolders.css';
+
+// Roles that are granted, and so have holders (CONSUMER is public)
+const ASSIGNABLE_ROLES = [0, 1, 2, 3];
+
+/**
+ * Key of a holder row; an address holding several roles has one row per role
+ * @param {Object} holder - Holder from the API
+ * @returns {string} Row key
+ */
+const holderKey = (holder) => `${holder.address}-${holder.role}`;
+
+// Badge of each role history action
+const ACTION_BADGES = {
+  granted: 'badge-success',
+  reinstated: 'badge-success',
+  validity: 'badge-info',
+  suspended: 'badge-warning',
+  revoked: 'badge-error'
+};
+
+/**
+ * Describe a role history entry's action
+ * @param {Object} change - Role change from the API
+ * @returns {string} Action label
+ */
+const describeAction = (change) => {
+  if (change.action !== 'validity') {
+    return change.action;
+  }
+  return change.validUntil ? `valid until ${formatDate(change.validUntil)}` : 'expiry removed';
+};
+
+/**
+ * RoleHolders Component
+ *
+ * @param {string} account - Connected wallet address, used as the signer for revocations
+ * @param {number} refreshKey - Changing this reloads the holders (e.g. after a role is granted)
+ *
+ * Lists role holders, optionally for one role, and refreshes live as roles change.
+ * Addresses holding several roles get a row per role, and revoking or suspending a row
+ * only affects that role. Expired and suspended roles stay listed, marked as such, until
+ * revoked. Changing roles needs the connected account to be the access control owner or
+ * an admin of the holder's organization. Each holder's role changes can be expanded below
+ * their row.
+ */
+export default function RoleHolders({ account, refreshKey }) {
+  const [roleFilter, setRoleFilter] = useState('');
+  const [holders, setHolders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const [pendingKey, setPendingKey] = useState(null);
+  const [historyKey, setHistoryKey] = useState(null);
+  const [historyAddress, setHistoryAddress] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  /**
+   * Load the holders of the selected role
+   * @param {boolean} background - Keep the current table on screen while fetching
+   */
+  const fetchHolders = async (background = false) => {
+    if (!background) {
+      setIsLoading(true);
+    }
+    setError(null);
+
+    try {
+      const response = await roleAPI.getHolders(roleFilter === '' ? null : Number(roleFilter));
+      setHolders(response.data.holders || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load role holders');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load the role history of an address
+   * @param {string} address - Account address
+   */
+  const fetchHistory = async (address) => {
+    try {
+      const response = await roleAPI.getHistory(address);
+      setHistory(response.data.history || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load role history');
+    }
+  };
+
+  useEffect(() => {
+    fetchHolders();
+  }, [roleFilter, refreshKey]);
+
+  // Refresh when any role changes
+  const { isLive } = useEventStream(
+    {
+      events: [
+        STREAM_EVENTS.ROLE_GRANTED,
+        STREAM_EVENTS.ROLE_REVOKED,
+        STREAM_EVENTS.ROLE_VALIDITY_CHANGED,
+        STREAM_EVENTS.ROLE_SUSPENDED,
+        STREAM_EVENTS.ROLE_REINSTATED
+      ]
+    },
+    (event) => {
+      fetchHolders(true);
+      if (historyAddress && event.args.account.toLowerCase() === historyAddress.toLowerCase()) {
+        fetchHistory(historyAddress);
+      }
+    }
+  );
+
+  /**
+   * Show or hide the role history of a holder below their row
+   * @param {Object} holder - Holder from the table
+   */
+  const toggleHistory = (holder) => {
+    if (historyKey === holderKey(holder)) {
+      setHistoryKey(null);
+      setHistoryAddress(null);
+      return;
+    }
+    setHistoryKey(holderKey(holder));
+    setHistoryAddress(holder.address);
+    setHistory([]);
+    fetchHistory(holder.address);
+  };
+
+  /**
+   * Revoke a holder's role
+   * @param {Object} holder - Holder from the table
+   */
+  const handleRevoke = async (holder) => {
+    if (!window.confirm(`Revoke ${holder.roleName} from ${holder.address}?`)) {
+      return;
+    }
+
+    setPendingKey(holderKey(holder));
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await roleAPI.revoke(account, holder.address, holder.role);
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      setHolders(prev => prev.filter(entry => holderKey(entry) !== holderKey(holder)));
+      if (historyAddress === holder.address) {
+        fetchHistory(holder.address);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to revoke role');
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  /**
+   * Suspend a holder's role, or reinstate it if it is suspended
+   * @param {Object} holder - Holder from the table
+   */
+  const handleToggleSuspension = async (holder) => {
+    const action = holder.suspended ? 'reinstate' : 'suspend';
+    if (!window.confirm(`${holder.suspended ? 'Reinstate' : 'Suspend'} ${holder.roleName} of ${holder.address}?`)) {
+      return;
+    }
+
+    setPendingKey(holderKey(holder));
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await roleAPI[action](account, holder.address, holder.role);
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      fetchHolders(true);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || `Failed to ${action} role`);
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  return (
+    <div className="role-holders">
+      <div className="role-holders-header">
+        <select
+          value={roleFilter}
+          onChange={(e) => setRoleFilter(e.target.value)}
+          className="role-holders-filter"
+        >
+          <option value="">All roles</option>
+          {ASSIGNABLE_ROLES.map((role) => (
+            <option key={role} value={role}>{ROLE_NAMES[role]}</option>
+          ))}
+        </select>
+        <div className="role-holders-actions">
+          <span className={`badge ${isLive ? 'badge-success' : 'badge-warning'}`}>
+            {isLive ? 'Live' : 'Offline'}
+          </span>
+          <button className="btn btn-outline" onClick={() => fetchHolders()}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="role-holders-error">{error}</p>}
+      {success && <p className="role-holders-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {isLoading ? (
+        <p className="role-holders-empty">Loading role holders...</p>
+      ) : holders.length === 0 ? (
+        <p className="role-holders-empty">No addresses hold this role.</p>
+      ) : (
+        <table className="role-holders-table">
+          <thead>
+            <tr>
+              <th>Address</th>
+              <th>Role</th>
+              <th>Granted</th>
+              <th>Valid Until</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {holders.map((holder) => [
+              <tr key={holderKey(holder)}>
+                <td className="role-holders-address" title={holder.address}>{formatAddress(holder.address)}</td>
+                <td>
+                  <span className="badge badge-info">{holder.roleName}</span>
+                  {holder.suspended && <span className="badge badge-warning role-holders-state">Suspended</span>}
+                  {holder.expired && <span className="badge badge-error role-holders-state">Expired</span>}
+                </td>
+                <td>{holder.grantedAt ? formatDate(holder.grantedAt) : '-'}</td>
+                <td>{holder.validUntil ? formatDate(holder.validUntil) : 'No expiry'}</td>
+                <td className="role-holders-row-actions">
+                  <button className="btn btn-outline" onClick={() => toggleHistory(holder)}>
+                    {historyKey === holderKey(holder) ? 'Hide History' : 'History'}
+                  </button>
+                  <button
+                    className="btn btn-outline"
+                    onClick={() => handleToggleSuspension(holder)}
+                    disabled={pendingKey !== null || !account}
+                  >
+                    {holder.suspended ? 'Reinstate' : 'Suspend'}
+                  </button>
+                  <button
+                    className="btn btn-revoke"
+                    onClick={() => handleRevoke(holder)}
+                    disabled={pendingKey !== null || !account}
+                    title={account ? undefined : 'Connect the access control owner wallet to revoke roles'}
+                  >
+                    {pendingKey === holderKey(holder) ? 'Working...' : 'Revoke'}
+                  </button>
+                </td>
+              </tr>,
+              historyKey === holderKey(holder) && (
+                <tr key={`${holderKey(holder)}-history`} className="role-holders-history-row">
+                  <td colSpan="5">
+                    {history.length === 0 ? (
+                      <p className="role-holders-empty">No role changes recorded.</p>
+                    ) : (
+                      <ol className="role-holders-history">
+                        {history.map((change) => (
+                          <li key={`${change.transactionHash}-${change.action}-${change.role}`}>
+                            <span className={`badge ${ACTION_BADGES[change.action] || 'badge-info'}`}>
+                              {describeAction(change)}
+                            </span>
+                            <span>{change.roleName}</span>
+                            <span className="role-holders-history-date">{formatDate(change.timestamp)}</span>
+                            <span className="role-holders-address" title={change.transactionHash}>
+                              {`${change.transactionHash.slice(0, 10)}...`}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </td>
+                </tr>
+              )
+            ])}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+/**
+ * RoleRequests Component
+ * Review queue of role applications with approval and rejection
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { roleRequestAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate } from '../../utils/helpers';
+import { STREAM_EVENTS } from '../../utils/constants';
+import './RoleRequests.css';
+
+// Status filters offered; an empty value lists every request
+const STATUS_FILTERS = ['PENDING', 'APPROVED', 'REJECTED', ''];
+
+// Badge class of each request status
+const STATUS_BADGES = {
+  PENDING: 'badge-warning',
+  APPROVED: 'badge-success',
+  REJECTED: 'badge-error'
+};
+
+/**
+ * RoleRequests Component
+ *
+ * @param {string} account - Connected wallet address, used as the reviewer
+ * @param {Function} onRolesChanged - Callback after an approval grants a role
+ *
+ * Lists applications with their organization and supporting documents, pending ones
+ * first by default. Approving grants the role, until the chosen date if one is set;
+ * rejecting needs a reason, which the applicant sees. The contract only accepts
+ * decisions from the access control owner or an admin of the applicant's organization.
+ */
+export default function RoleRequests({ account, onRolesChanged }) {
+  const [status, setStatus] = useState(STATUS_FILTERS[0]);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [validUntilDates, setValidUntilDates] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  /**
+   * Load the requests with the selected status
+   * @param {boolean} background - Keep the current list on screen while fetching
+   */
+  const fetchRequests = async (background = false) => {
+    if (!background) {
+      setIsLoading(true);
+    }
+
+    try {
+      const response = await roleRequestAPI.list(status ? { status } : {});
+      setRequests(response.data.requests || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load role requests');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, [status]);
+
+  // Refresh when applications arrive or are decided elsewhere
+  useEventStream(
+    {
+      events: [
+        STREAM_EVENTS.ROLE_REQUESTED,
+        STREAM_EVENTS.ROLE_REQUEST_APPROVED,
+        STREAM_EVENTS.ROLE_REQUEST_REJECTED
+      ]
+    },
+    () => fetchRequests(true)
+  );
+
+  /**
+   * Run a decision and refresh the list afterwards
+   * @param {string} key - Identifies the pending action, to disable its button
+   * @param {Function} request - Sends the API request
+   * @param {boolean} rolesChanged - Whether the decision granted a role
+   */
+  const runAction = async (key, request, rolesChanged = false) => {
+    setPendingAction(key);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      fetchRequests(true);
+      if (rolesChanged && onRolesChanged) {
+        onRolesChanged();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Transaction failed');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleApprove = (request) => {
+    const date = validUntilDates[request.id];
+    const validUntil = date ? Math.floor(new Date(`${date}T23:59:59`).getTime() / 1000) : 0;
+    if (validUntil && validUntil <= Math.floor(Date.now() / 1000)) {
+      setError('Valid until date must be in the future');
+      return;
+    }
+
+    runAction(`approve-${request.id}`, () => roleRequestAPI.approve(account, request.id, validUntil), true);
+  };
+
+  const handleReject = (request) => {
+    const reason = (reasons[request.id] || '').trim();
+    if (!reason) {
+      setError('A reason is required to reject a request');
+      return;
+    }
+
+    runAction(`reject-${request.id}`, () => roleRequestAPI.reject(account, request.id, reason));
+  };
+
+  const isBusy = pendingAction !== null || !account;
+
+  return (
+    <div className="role-requests">
+      <div className="role-requests-header">
+        <label>
+          Status
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            {STATUS_FILTERS.map((value) => (
+              <option key={value || 'all'} value={value}>{value || 'All'}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="role-requests-error">{error}</p>}
+      {success && <p className="role-requests-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {isLoading ? (
+        <p className="role-requests-empty">Loading role requests...</p>
+      ) : requests.length === 0 ? (
+        <p className="role-requests-empty">No {status ? status.toLowerCase() : ''} role requests.</p>
+      ) : (
+        <ul className="role-requests-list">
+          {requests.map((request) => (
+            <li key={request.id}>
+              <div className="role-requests-summary">
+                <span>#{request.id}</span>
+                <span className="role-requests-address" title={request.applicant}>{formatAddress(request.applicant)}</span>
+                <span className="badge badge-info">{request.roleName}</span>
+                <span>{request.organizationName}</span>
+                <span className={`badge ${STATUS_BADGES[request.statusName]}`}>{request.statusName}</span>
+                <span className="role-requests-date">{formatDate(request.createdAt)}</span>
+              </div>
+
+              {request.documentHashes.length > 0 && (
+                <ul className="role-requests-documents">
+                  {request.documentHashes.map((hash, index) => (
+                    <li key={index}>{hash}</li>
+                  ))}
+                </ul>
+              )}
+
+              {request.statusName !== 'PENDING' && (
+                <p className="role-requests-reason">
+                  {request.statusName === 'APPROVED' ? 'Approved' : 'Rejected'} by {formatAddress(request.reviewer)} on {formatDate(request.decidedAt)}
+                  {request.reason && ` — ${request.reason}`}
+                </p>
+              )}
+
+              {request.statusName === 'PENDING' && (
+                <div className="role-requests-actions">
+                  <input
+                    type="date"
+                    value={validUntilDates[request.id] || ''}
+                    onChange={(e) => setValidUntilDates(prev => ({ ...prev, [request.id]: e.target.value }))}
+                    title="Valid until (optional)"
+                  />
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => handleApprove(request)}
+                    disabled={isBusy}
+                  >
+                    {pendingAction === `approve-${request.id}` ? 'Approving...' : 'Approve'}
+                  </button>
+                  <input
+                    type="text"
+                    value={reasons[request.id] || ''}
+                    onChange={(e) => setReasons(prev => ({ ...prev, [request.id]: e.target.value }))}
+                    placeholder="Reason for rejection"
+                  />
+                  <button
+                    className="btn btn-revoke"
+                    onClick={() => handleReject(request)}
+                    disabled={isBusy || !(reasons[request.id] || '').trim()}
+                  >
+                    {pendingAction === `reject-${request.id}` ? 'Rejecting...' : 'Reject'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * CertificateDocument Component
+ * Shows the quality or compliance certificate behind an on-chain certificate hash
+ */
+
+import { useState, useEffect } from 'react';
+import { certificateAPI } from '../../services/api';
+import { formatAddress, formatDate, generateCertificateHash } from '../../utils/helpers';
+import './CertificateDocument.css';
+
+// Hashes generated by checks; other references (e.g. IPFS CIDs) have no stored document
+const CERTIFICATE_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Certificate document types
+const DOCUMENT_TYPE_NAMES = {
+  QUALITY_CHECK: 'Quality Check',
+  COMPLIANCE: 'Compliance'
+};
+
+/**
+ * Describe a certificate's result
+ * @param {Object} certificate - Certificate document
+ * @returns {string} Score for quality checks, compliance status otherwise
+ */
+const describeResult = (certificate) => {
+  if (typeof certificate.result === 'number') {
+    return `${certificate.result}/100`;
+  }
+  return certificate.result ? 'Compliant' : 'Non-compliant';
+};
+
+/**
+ * CertificateDocument Component
+ *
+ * @param {string} hash - Certificate hash recorded on-chain
+ *
+ * Loads the certificate from the backend's certificate store and recomputes its hash
+ * in the browser, so the contents shown are only marked as matching when they
+ * really produce the recorded hash. Renders nothing for references that are not
+ * check certificate hashes or that the store does not hold.
+ */
+export default function CertificateDocument({ hash }) {
+  const [certificate, setCertificate] = useState(null);
+
+  useEffect(() => {
+    setCertificate(null);
+    if (!hash || !CERTIFICATE_HASH_PATTERN.test(hash)) {
+      return;
+    }
+
+    let cancelled = false;
+    certificateAPI.getDocument(hash)
+      .then((response) => {
+        if (!cancelled) {
+          setCertificate(response.data.certificate);
+        }
+      })
+      .catch(() => {
+        // Certificates recorded before the store existed, or by other deployments
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [hash]);
+
+  if (!certificate) {
+    return null;
+  }
+
+  const matches = generateCertificateHash(certificate) === hash.toLowerCase();
+
+  return (
+    <div className="certificate-document">
+      <div className="certificate-document-header">
+        <strong>{DOCUMENT_TYPE_NAMES[certificate.type] || certificate.type} Certificate</strong>
+        <span className={`badge ${matches ? 'badge-success' : 'badge-error'}`}>
+          {matches ? 'Hash verified' : 'Hash mismatch'}
+        </span>
+      </div>
+      <dl className="certificate-document-fields">
+        <dt>Product</dt>
+        <dd>#{certificate.productId}</dd>
+        <dt>Result</dt>
+        <dd>{describeResult(certificate)}</dd>
+        <dt>Verifier</dt>
+        <dd className="certificate-document-address" title={certificate.verifier}>{formatAddress(certificate.verifier)}</dd>
+        <dt>Issued</dt>
+        <dd>{formatDate(certificate.timestamp)}</dd>
+        {certificate.notes && (
+          <>
+            <dt>Notes</dt>
+            <dd>{certificate.notes}</dd>
+          </>
+        )}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * CertificateRegistry Component
+ * Issue, list and revoke the certificates covering a product or batch
+ */
+
+import { useState, useEffect } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { certificateAPI } from '../../services/api';
+import TransactionStatus from '../Common/TransactionStatus';
+import { formatAddress, formatDate, isValidAddress, isValidProductId } from '../../utils/helpers';
+import { CERTIFICATE_TYPES, CERTIFICATE_TYPE_NAMES, STREAM_EVENTS } from '../../utils/constants';
+import './CertificateRegistry.css';
+
+// Events after which the listed certificates reload
+const CERTIFICATE_EVENTS = [
+  STREAM_EVENTS.CERTIFICATE_ISSUED,
+  STREAM_EVENTS.CERTIFICATE_REVOKED
+];
+
+/**
+ * Describe why a certificate no longer counts
+ * @param {Object} certificate - Certificate returned by the API
+ * @returns {string|null} 'Revoked', 'Expired', or null while valid
+ */
+const invalidReason = (certificate) => {
+  if (certificate.revoked) return 'Revoked';
+  if (certificate.isExpired) return 'Expired';
+  return null;
+};
+
+/**
+ * CertificateRegistry Component
+ *
+ * @param {string} account - Connected wallet address
+ * @param {number} productId - Product whose certificates are listed (optional, can be typed in)
+ *
+ * Regulators issue any certificate type for a single product or a producer's whole batch,
+ * with an optional expiry date. A batch certificate covers the products the producer already
+ * registered under the batch.
+ * Certificates can be revoked with a reason by their issuer or any regulator;
+ * revoked and expired certificates stay listed but no longer count towards authenticity.
+ */
+export default function CertificateRegistry({ account, productId: initialProductId = '' }) {
+  const [productId, setProductId] = useState(String(initialProductId));
+  const [certificates, setCertificates] = useState([]);
+  const [scope, setScope] = useState('product');
+  const [batchId, setBatchId] = useState('');
+  const [producer, setProducer] = useState('');
+  const [certificateType, setCertificateType] = useState(CERTIFICATE_TYPES.ORGANIC);
+  const [documentHash, setDocumentHash] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [revokeReasons, setRevokeReasons] = useState({});
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+
+  const listedProductId = isValidProductId(Number(productId)) ? Number(productId) : null;
+
+  /**
+   * Load the certificates covering the selected product
+   */
+  const fetchCertificates = async () => {
+    if (listedProductId === null) {
+      setCertificates([]);
+      return;
+    }
+    try {
+      const response = await certificateAPI.getForProduct(listedProductId);
+      setCertificates(response.data.certificates);
+    } catch (err) {
+      setCertificates([]);
+      setError(err.response?.data?.message || err.message || 'Failed to load certificates');
+    }
+  };
+
+  useEffect(() => {
+    fetchCertificates();
+  }, [listedProductId]);
+
+  useEventStream({ events: CERTIFICATE_EVENTS }, () => fetchCertificates());
+
+  /**
+   * Run a write and refresh the list afterwards
+   * @param {string} key - Identifies the pending action, to disable its button
+   * @param {Function} request - Sends the API request
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  const runAction = async (key, request) => {
+    setPendingAction(key);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      setTxHash(response.data.transactionHash);
+      await fetchCertificates();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    if (scope === 'product' && listedProductId === null) {
+      setError('Enter a valid product ID');
+      return;
+    }
+    if (scope === 'batch' && !batchId.trim()) {
+      setError('Enter a batch ID');
+      return;
+    }
+    if (scope === 'batch' && !isValidAddress(producer.trim())) {
+      setError('Enter the address of the batch producer');
+      return;
+    }
+    if (!documentHash.trim()) {
+      setError('A document hash or reference is required');
+      return;
+    }
+
+    const certificateData = {
+      signerAddress: account,
+      scope,
+      certificateType,
+      documentHash: documentHash.trim(),
+      ...(scope === 'product' ? { productId: listedProductId } : { batchId: batchId.trim(), producer: producer.trim() }),
+      ...(expiresAt ? { expiresAt } : {})
+    };
+    if (await runAction('issue', () => certificateAPI.issue(certificateData))) {
+      setDocumentHash('');
+      setExpiresAt('');
+    }
+  };
+
+  const handleRevoke = async (certificateId) => {
+    const reason = (revokeReasons[certificateId] || '').trim();
+    if (!reason) {
+      setError('A reason is required to revoke a certificate');
+      return;
+    }
+
+    if (await runAction(`revoke-${certificateId}`, () => certificateAPI.revoke(certificateId, account, reason))) {
+      setRevokeReasons((prev) => ({ ...prev, [certificateId]: '' }));
+    }
+  };
+
+  const isBusy = pendingAction !== null || !account;
+
+  return (
+    <div className="certificate-registry">
+      <form onSubmit={handleIssue} className="certificate-registry-form">
+        <div className="certificate-registry-row">
+          <select value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="product">Product</option>
+            <option value="batch">Batch</option>
+          </select>
+          {scope === 'product' ? (
+            <input
+              type="number"
+              min="1"
+              value={productId}
+              onChange={(e) => setProductId(e.target.value)}
+              placeholder="Product ID"
+            />
+          ) : (
+            <>
+              <input
+                type="text"
+                value={batchId}
+                onChange={(e) => setBatchId(e.target.value)}
+                placeholder="Batch ID"
+              />
+              <input
+                type="text"
+                value={producer}
+                onChange={(e) => setProducer(e.target.value)}
+                placeholder="Producer address 0x..."
+              />
+            </>
+          )}
+          <select value={certificateType} onChange={(e) => setCertificateType(Number(e.target.value))}>
+            {Object.values(CERTIFICATE_TYPES).map((type) => (
+              <option key={type} value={type}>{CERTIFICATE_TYPE_NAMES[type]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="certificate-registry-row">
+          <input
+            type="text"
+            value={documentHash}
+            onChange={(e) => setDocumentHash(e.target.value)}
+            placeholder="Document hash or reference"
+            className="certificate-registry-hash"
+          />
+          <label className="certificate-registry-expiry">
+            Expires
+            <input type="date" value={expiresAt} onChange={(e) => setExpiresAt(e.target.value)} />
+          </label>
+          <button type="submit" disabled={isBusy} className="btn btn-primary">
+            {pendingAction === 'issue' ? 'Issuing...' : 'Issue Certificate'}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="certificate-registry-error">{error}</p>}
+      {success && <p className="certificate-registry-success">{success}</p>}
+      <TransactionStatus hash={txHash} />
+
+      {listedProductId === null ? (
+        <p className="certificate-registry-empty">Enter a product ID to list its certificates.</p>
+      ) : certificates.length === 0 ? (
+        <p className="certificate-registry-empty">Product {listedProductId} has no certificates.</p>
+      ) : (
+        <ul className="certificate-registry-list">
+          {certificates.map((certificate) => (
+            <li key={certificate.id} className={`certificate-registry-item ${certificate.isValid ? '' : 'invalid'}`}>
+              <div className="certificate-registry-summary">
+                <strong>#{certificate.id} {CERTIFICATE_TYPE_NAMES[certificate.certificateType]}</strong>
+                {' '}
+                <span className={`badge ${certificate.isValid ? 'badge-success' : 'badge-error'}`}>
+                  {invalidReason(certificate) || 'Valid'}
+                </span>
+                {certificate.scopeName === 'BATCH' && (
+                  <span className="certificate-registry-scope" title={certificate.producer}>
+                    Batch {certificate.batchId} of {formatAddress(certificate.producer)}
+                  </span>
+                )}
+              </div>
+              <div className="certificate-registry-details">
+                Issued {formatDate(certificate.issuedAt)} by{' '}
+                <span className="certificate-registry-address" title={certificate.issuer}>{formatAddress(certificate.issuer)}</span>
+                {certificate.expiresAt !== 0 && <> · Expires {formatDate(certificate.expiresAt)}</>}
+              </div>
+              <div className="certificate-registry-hash" title={certificate.documentHash}>{certificate.documentHash}</div>
+              {certificate.revoked ? (
+                <div className="certificate-registry-revocation">
+                  Revoked {formatDate(certificate.revokedAt)}: {certificate.revocationReason}
+                </div>
+              ) : (
+                <div className="certificate-registry-row">
+                  <input
+                    type="text"
+                    value={revokeReasons[certificate.id] || ''}
+                    onChange={(e) => setRevokeReasons((prev) => ({ ...prev, [certificate.id]: e.target.value }))}
+                    placeholder="Revocation reason"
+                  />
+                  <button
+                    className="btn btn-revoke"
+                    onClick={() => handleRevoke(certificate.id)}
+                    disabled={isBusy || !(revokeReasons[certificate.id] || '').trim()}
+                  >
+                    {pendingAction === `revoke-${certificate.id}` ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -9,7 +9,11 @@
  */
 
 import { useState } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
 import { verificationAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import relayService from '../../services/relay';
+import TransactionStatus from '../Common/TransactionStatus';
 import './ComplianceCheck.css';
 
 /**
@@ -26,30 +30,48 @@ export default function ComplianceCheck({ productId, signerAddress, onCompliance
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const { isWalletSigned } = useSigningMode();
 
   /**
    * Handle form submission
-   * Submits compliance check to backend API
+   * Sends the compliance check from the wallet, or signs it for the backend to relay
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
     setSuccess(null);
+    setTxHash(null);
     setIsSubmitting(true);
 
     try {
-      const response = await verificationAPI.checkCompliance({
-        signerAddress,
-        productId,
-        compliant,
-        certificateHash: certificateHash.trim()
-      });
+      let result;
+      if (isWalletSigned) {
+        result = await contractService.checkCompliance(productId, compliant, notes.trim(), certificateHash.trim(), { onSubmitted: setTxHash });
+      } else {
+        // The signed request carries the compliance certificate hash to record,
+        // and a generated certificate is sent along for the backend to store
+        const { certificate, hash } = contractService.buildComplianceCertificate(productId, compliant, notes.trim(), certificateHash.trim());
+        const request = {
+          productId,
+          compliant,
+          notes: notes.trim(),
+          certificateHash: hash
+        };
+        result = (await verificationAPI.checkCompliance({
+          signerAddress,
+          ...request,
+          ...(certificate ? { certificate } : {}),
+          ...(await relayService.signRequest('ComplianceCheck', request))
+        })).data;
+      }
 
-      if (response.data && response.data.success) {
+      if (result && result.transactionHash) {
         let successMessage = `Product marked as ${compliant ? 'compliant' : 'non-compliant'}!`;
+        setTxHash(result.transactionHash);
         
         // Check if authenticity was auto-verified
-        if (response.data.autoVerified && response.data.isAuthentic) {
+        if (result.autoVerified && result.isAuthentic) {
           successMessage += ' ✓ Product authenticity automatically verified!';
         }
         
@@ -65,7 +87,7 @@ export default function ComplianceCheck({ productId, signerAddress, onCompliance
           onComplianceCheckComplete(productId, compliant);
         }
       } else {
-        setError(response.data?.message || 'Compliance check failed');
+        setError(result?.message || 'Compliance check failed');
       }
     } catch (err) {
       setError(err.response?.data?.message || err.message || 'Failed to perform compliance check');
@@ -155,6 +177,8 @@ export default function ComplianceCheck({ productId, signerAddress, onCompliance
           </div>
         )}
 
+        <TransactionStatus hash={txHash} />
+
         <div className="form-actions">
           <button
             type="submit"
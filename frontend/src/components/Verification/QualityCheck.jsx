@@ -4,7 +4,11 @@
  */
 
 import { useState } from 'react';
+import { useSigningMode } from '../../hooks/useSigningMode';
 import { verificationAPI } from '../../services/api';
+import contractService from '../../services/contracts';
+import relayService from '../../services/relay';
+import TransactionStatus from '../Common/TransactionStatus';
 import './QualityCheck.css';
 
 /**
@@ -25,6 +29,8 @@ export default function QualityCheck({ productId, signerAddress, onQualityCheckC
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
+  const { isWalletSigned } = useSigningMode();
 
   /**
    * Handle form submission
@@ -33,6 +39,7 @@ export default function QualityCheck({ productId, signerAddress, onQualityCheckC
     e.preventDefault();
     setError(null);
     setSuccess(null);
+    setTxHash(null);
     setIsSubmitting(true);
 
     try {
@@ -41,19 +48,29 @@ export default function QualityCheck({ productId, signerAddress, onQualityCheckC
         ? `Quality Score: ${qualityScore}/100. ${notes.trim()}`
         : `Quality Score: ${qualityScore}/100`;
 
-      const response = await verificationAPI.performQualityCheck({
-        signerAddress,
-        productId,
-        qualityScore,
-        notes: notesWithScore
-      });
+      let result;
+      if (isWalletSigned) {
+        result = await contractService.performQualityCheck(productId, qualityScore, notesWithScore, { onSubmitted: setTxHash });
+      } else {
+        // The signed request carries the quality certificate hash to record,
+        // and the certificate itself is sent along for the backend to store
+        const { certificate, hash: certificateHash } = contractService.buildQualityCertificate(productId, qualityScore, notesWithScore);
+        const request = { productId, qualityScore, notes: notesWithScore, certificateHash };
+        result = (await verificationAPI.performQualityCheck({
+          signerAddress,
+          ...request,
+          certificate,
+          ...(await relayService.signRequest('QualityCheck', request))
+        })).data;
+      }
 
-      if (response.data && response.data.success) {
+      if (result && result.transactionHash) {
         const passed = qualityScore >= 50;
         let successMessage = `Quality check ${passed ? 'passed' : 'failed'}! Score: ${qualityScore}/100`;
+        setTxHash(result.transactionHash);
         
         // Check if authenticity was auto-verified
-        if (response.data.autoVerified && response.data.isAuthentic) {
+        if (result.autoVerified && result.isAuthentic) {
           successMessage += ' ✓ Product authenticity automatically verified!';
         }
         
@@ -68,7 +85,7 @@ export default function QualityCheck({ productId, signerAddress, onQualityCheckC
           onQualityCheckComplete(productId, qualityScore, passed);
         }
       } else {
-        setError(response.data?.message || 'Quality check failed');
+        setError(result?.message || 'Quality check failed');
       }
     } catch (err) {
       setError(err.response?.data?.message || err.message || 'Failed to perform quality check');
@@ -130,6 +147,8 @@ export default function QualityCheck({ productId, signerAddress, onQualityCheckC
           </div>
         )}
 
+        <TransactionStatus hash={txHash} />
+
         <button
           type="submit"
           disabled={isSubmitting}
@@ -0,0 +1,100 @@
+/**
+ * TemperatureChart Component
+ * Plots a product's cold-chain temperature readings against its allowed range
+ */
+
+import { formatDate } from '../../utils/helpers';
+import './TemperatureChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+/**
+ * TemperatureChart Component
+ *
+ * @param {Object} coldChain - Cold-chain log from coldChainAPI.getLog()
+ *
+ * Merges individually recorded readings with the raw readings of each batch,
+ * shades the allowed temperature band, and marks out-of-range readings in red.
+ */
+export default function TemperatureChart({ coldChain }) {
+  const { requirement } = coldChain;
+
+  const readings = [
+    ...coldChain.readings,
+    ...coldChain.batches.flatMap((batch) => batch.readings || [])
+  ].sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (readings.length === 0) {
+    return <p className="temperature-chart-empty">No temperature readings recorded yet.</p>;
+  }
+
+  const temperatures = readings.map((r) => r.temperature);
+  const minTemp = Math.min(requirement.minTemperature, ...temperatures) - 1;
+  const maxTemp = Math.max(requirement.maxTemperature, ...temperatures) + 1;
+  const startTime = readings[0].recordedAt;
+  const endTime = readings[readings.length - 1].recordedAt;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) =>
+    PADDING.left + (endTime === startTime ? plotWidth / 2 : ((time - startTime) / (endTime - startTime)) * plotWidth);
+  const y = (temperature) =>
+    PADDING.top + ((maxTemp - temperature) / (maxTemp - minTemp)) * plotHeight;
+
+  const isOutOfRange = (temperature) =>
+    temperature < requirement.minTemperature || temperature > requirement.maxTemperature;
+
+  const points = readings.map((r) => `${x(r.recordedAt)},${y(r.temperature)}`).join(' ');
+  const skippedBatches = coldChain.batches.filter((batch) => !batch.readings).length;
+
+  return (
+    <div className="temperature-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Temperature readings">
+        <rect
+          className="temperature-chart-band"
+          x={PADDING.left}
+          y={y(requirement.maxTemperature)}
+          width={plotWidth}
+          height={y(requirement.minTemperature) - y(requirement.maxTemperature)}
+        />
+        <line className="temperature-chart-axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} />
+        <line className="temperature-chart-axis" x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} />
+
+        <text className="temperature-chart-label" x={PADDING.left - 6} y={y(requirement.maxTemperature) + 4} textAnchor="end">
+          {requirement.maxTemperature}°C
+        </text>
+        <text className="temperature-chart-label" x={PADDING.left - 6} y={y(requirement.minTemperature) + 4} textAnchor="end">
+          {requirement.minTemperature}°C
+        </text>
+        <text className="temperature-chart-label" x={PADDING.left} y={HEIGHT - 8}>
+          {formatDate(startTime)}
+        </text>
+        <text className="temperature-chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">
+          {formatDate(endTime)}
+        </text>
+
+        <polyline className="temperature-chart-line" points={points} />
+        {readings.map((r, index) => (
+          <circle
+            key={index}
+            className={isOutOfRange(r.temperature) ? 'temperature-chart-point breach' : 'temperature-chart-point'}
+            cx={x(r.recordedAt)}
+            cy={y(r.temperature)}
+            r={isOutOfRange(r.temperature) ? 4 : 2.5}
+          >
+            <title>{`${r.temperature}°C at ${formatDate(r.recordedAt)}`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      {skippedBatches > 0 && (
+        <p className="temperature-chart-note">
+          {skippedBatches} {skippedBatches === 1 ? 'batch is' : 'batches are'} not shown because the raw readings are unavailable or do not match their on-chain hash.
+        </p>
+      )}
+    </div>
+  );
+}
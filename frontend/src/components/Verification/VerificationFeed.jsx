@@ -0,0 +1,71 @@
+/**
+ * VerificationFeed Component
+ * Shows verification results as they are recorded on-chain
+ */
+
+import { useState } from 'react';
+import { useEventStream } from '../../hooks/useEventStream';
+import { formatAddress, formatDate } from '../../utils/helpers';
+import { STREAM_EVENTS, VERIFICATION_TYPE_NAMES } from '../../utils/constants';
+import './VerificationFeed.css';
+
+// Most results kept on screen
+const MAX_RESULTS = 20;
+
+/**
+ * VerificationFeed Component
+ * 
+ * @param {string} address - Only show checks involving this address (optional)
+ * @param {Function} onProductClick - Callback with the product ID when a result is clicked (optional)
+ * @param {Function} onResult - Callback with each new verification event (optional)
+ * 
+ * Listens to ProductVerified events on the live event stream and lists the most
+ * recent results, newest first. Starts empty; past checks are in each product's history.
+ */
+export default function VerificationFeed({ address, onProductClick, onResult }) {
+  const [results, setResults] = useState([]);
+
+  const { isLive } = useEventStream(
+    { address, events: [STREAM_EVENTS.PRODUCT_VERIFIED] },
+    (event) => {
+      setResults(prev => [event, ...prev.filter(result => result.id !== event.id)].slice(0, MAX_RESULTS));
+      if (onResult) {
+        onResult(event);
+      }
+    }
+  );
+
+  return (
+    <div className="verification-feed">
+      <div className="verification-feed-header">
+        <span className={`badge ${isLive ? 'badge-success' : 'badge-warning'}`}>
+          {isLive ? 'Live' : 'Offline'}
+        </span>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="verification-feed-empty">Waiting for new verification results...</p>
+      ) : (
+        <ul className="verification-feed-list">
+          {results.map((result) => (
+            <li
+              key={result.id}
+              className={`verification-feed-item ${onProductClick ? 'clickable' : ''}`}
+              onClick={() => onProductClick && onProductClick(result.productId)}
+            >
+              <span className={`badge ${result.args.result ? 'badge-success' : 'badge-error'}`}>
+                {result.args.result ? 'Passed' : 'Failed'}
+              </span>
+              <span className="verification-feed-type">
+                {VERIFICATION_TYPE_NAMES[result.args.vType] || 'Verification'}
+              </span>
+              <span>Product #{result.productId}</span>
+              <span className="verification-feed-verifier">by {formatAddress(result.args.verifier)}</span>
+              <span className="verification-feed-time">{formatDate(result.timestamp)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
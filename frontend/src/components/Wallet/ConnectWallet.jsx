@@ -26,7 +26,7 @@ import './ConnectWallet.css';
  */
 export default function ConnectWallet() {
   const { account, isConnected, isLoading, connect, disconnect } = useWeb3();
-  const { roleName } = useRole();
+  const { roleName, roleNames } = useRole();
   const [error, setError] = useState(null);
 
   /**
@@ -112,8 +112,8 @@ export default function ConnectWallet() {
               </div>
               {roleName && (
                 <div className="role-badge">
-                  <span className="role-label">Role:</span>
-                  <span className="role-value">{roleName}</span>
+                  <span className="role-label">{roleNames.length > 1 ? 'Roles:' : 'Role:'}</span>
+                  <span className="role-value">{roleNames.length > 1 ? roleNames.join(', ') : roleName}</span>
                 </div>
               )}
             </div>
@@ -0,0 +1,49 @@
+/**
+ * useEventStream Hook
+ * React hook for live contract events from the backend
+ * 
+ * Opens a Server-Sent Events stream filtered by address, product and event name, and
+ * calls the handler for every event as the backend indexes it. The browser reconnects
+ * dropped streams by itself and the backend replays what was missed in between.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { eventAPI } from '../services/api';
+import { STREAM_EVENTS } from '../utils/constants';
+
+/**
+ * Custom hook for a live event stream
+ * 
+ * @param {Object} filters - { address, productId, events }; events defaults to every streamed event
+ * @param {Function} onEvent - Called with { id, event, productId, blockNumber, transactionHash, timestamp, args }
+ * @param {boolean} enabled - Open the stream only while true (default true)
+ * @returns {Object} { isLive } - Whether the stream is currently connected
+ */
+export function useEventStream({ address, productId, events }, onEvent, enabled = true) {
+  const [isLive, setIsLive] = useState(false);
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  const eventNames = events && events.length > 0 ? events : Object.values(STREAM_EVENTS);
+  const streamKey = JSON.stringify({ address, productId, eventNames });
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const source = eventAPI.openStream({ address, productId, events: eventNames });
+    const listener = (message) => handlerRef.current(JSON.parse(message.data));
+    eventNames.forEach((name) => source.addEventListener(name, listener));
+    source.onopen = () => setIsLive(true);
+    // EventSource retries on its own; show the stream as offline until it does
+    source.onerror = () => setIsLive(false);
+
+    return () => {
+      source.close();
+      setIsLive(false);
+    };
+  }, [streamKey, enabled]);
+
+  return { isLive };
+}
@@ -10,6 +10,10 @@
 import { useState, useEffect } from 'react';
 import contractService from '../services/contracts';
 import { useWeb3 } from './useWeb3';
+import { ROLES } from '../utils/constants';
+
+// Role enum names, in contract order
+const ROLE_ENUM_NAMES = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
 
 /**
  * Custom hook for user role
@@ -21,39 +25,46 @@ import { useWeb3 } from './useWeb3';
  * 2. Create state for role and roleName
  * 3. Implement function to fetch role from contract
  * 4. Set up useEffect to fetch role when account changes
- * 5. Return { role, roleName, isLoading, refreshRole }
+ * 5. Return { role, roleName, roles, roleNames, hasRole, isLoading, refreshRole }
+ * 
+ * An account can hold several roles. roles and roleNames list all of them (empty for
+ * consumers); role and roleName are the first in enum order, or CONSUMER if there are none.
+ * hasRole(role) is true for any held role, and for CONSUMER for every account.
  */
 export function useRole() {
   const { account } = useWeb3();
   const [role, setRole] = useState(null);
   const [roleName, setRoleName] = useState(null);
+  const [roles, setRoles] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
 
   /**
-   * Fetch role from contract
-   * Sets loading state, calls contractService.getUserRole(),
-   * maps role number to role name, and updates state.
+   * Fetch roles from contract
+   * Sets loading state, calls contractService.getUserRoles(),
+   * maps role numbers to role names, and updates state.
    */
   const fetchRole = async () => {
     if (!account) {
       setRole(null);
       setRoleName(null);
+      setRoles([]);
       setIsLoading(false);
       return;
     }
 
     setIsLoading(true);
     try {
-      const roleNumber = await contractService.getUserRole(account);
-      const roleNames = ['PRODUCER', 'DISTRIBUTOR', 'RETAILER', 'REGULATOR', 'CONSUMER'];
-      const name = roleNames[roleNumber] || 'UNKNOWN';
+      const roleNumbers = await contractService.getUserRoles(account);
+      const roleNumber = roleNumbers.length > 0 ? roleNumbers[0] : ROLES.CONSUMER;
 
       setRole(roleNumber);
-      setRoleName(name);
+      setRoleName(ROLE_ENUM_NAMES[roleNumber] || 'UNKNOWN');
+      setRoles(roleNumbers);
     } catch (error) {
       console.error('Failed to fetch role:', error);
       setRole(null);
       setRoleName(null);
+      setRoles([]);
     } finally {
       setIsLoading(false);
     }
@@ -64,9 +75,19 @@ export function useRole() {
     fetchRole();
   }, [account]);
 
+  /**
+   * Check whether the account holds a role
+   * @param {number} value - Role enum value
+   * @returns {boolean} True if the role is held (always true for CONSUMER)
+   */
+  const hasRole = (value) => value === ROLES.CONSUMER || roles.includes(value);
+
   return {
     role,
     roleName,
+    roles,
+    roleNames: roles.map((value) => ROLE_ENUM_NAMES[value]),
+    hasRole,
     isLoading,
     refreshRole: fetchRole
   };
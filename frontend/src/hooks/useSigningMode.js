@@ -0,0 +1,56 @@
+/**
+ * useSigningMode Hook
+ * React hook for choosing how write transactions are signed
+ * 
+ * In wallet-signed mode the user signs transactions in MetaMask through the contract
+ * service; in backend-relayed mode writes go to the API, which sends them on the
+ * user's behalf (registrations, transfers and checks are signed as EIP-712 requests
+ * that the backend relays). The choice is saved in localStorage and shared by every component.
+ */
+
+import { useState, useEffect } from 'react';
+import { SIGNING_MODES } from '../utils/constants';
+
+const STORAGE_KEY = 'safebite.signingMode';
+
+const listeners = new Set();
+
+/**
+ * Read the saved signing mode
+ * @returns {string} Saved mode, or backend-relayed if none is saved
+ */
+function loadMode() {
+  const mode = localStorage.getItem(STORAGE_KEY);
+  return Object.values(SIGNING_MODES).includes(mode) ? mode : SIGNING_MODES.RELAYED;
+}
+
+/**
+ * Custom hook for the signing mode
+ * 
+ * @returns {Object} { mode, isWalletSigned, setMode }
+ */
+export function useSigningMode() {
+  const [mode, setModeState] = useState(loadMode);
+
+  useEffect(() => {
+    listeners.add(setModeState);
+    return () => {
+      listeners.delete(setModeState);
+    };
+  }, []);
+
+  /**
+   * Save the signing mode and update every component using the hook
+   * @param {string} nextMode - Value from SIGNING_MODES
+   */
+  const setMode = (nextMode) => {
+    localStorage.setItem(STORAGE_KEY, nextMode);
+    listeners.forEach((listener) => listener(nextMode));
+  };
+
+  return {
+    mode,
+    isWalletSigned: mode === SIGNING_MODES.WALLET,
+    setMode
+  };
+}
@@ -10,6 +10,7 @@
 
 import { useState, useEffect } from 'react';
 import web3Service from '../services/web3';
+import authService from '../services/auth';
 
 /**
  * Custom hook for Web3 connection
@@ -32,6 +33,8 @@ export function useWeb3() {
   /**
    * Connect to MetaMask wallet
    * Sets loading state, calls web3Service.connectWallet(), and updates state.
+   * Then signs in to the backend with a SIWE message unless the account already has a session.
+   * If the signature is declined, the wallet stays connected and the next write prompts again.
    */
   const connect = async () => {
     setIsLoading(true);
@@ -39,6 +42,14 @@ export function useWeb3() {
       const account = await web3Service.connectWallet();
       setAccount(account);
       setIsConnected(true);
+
+      if (!authService.isSignedIn(account)) {
+        try {
+          await authService.signIn(web3Service.getSigner());
+        } catch (error) {
+          console.warn('Sign-in was not completed:', error.message);
+        }
+      }
     } catch (error) {
       console.error('Failed to connect wallet:', error);
       setAccount(null);
@@ -51,9 +62,10 @@ export function useWeb3() {
 
   /**
    * Disconnect wallet
-   * Calls web3Service.disconnectWallet() and resets state.
+   * Ends the account's backend session, calls web3Service.disconnectWallet() and resets state.
    */
   const disconnect = () => {
+    authService.signOut(account);
     web3Service.disconnectWallet();
     setAccount(null);
     setIsConnected(false);
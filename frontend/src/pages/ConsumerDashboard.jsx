@@ -12,8 +12,13 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useWeb3 } from '../hooks/useWeb3';
+import { useSigningMode } from '../hooks/useSigningMode';
 import QRScanner from '../components/Verification/QRScanner';
-import { productAPI, verificationAPI } from '../services/api';
+import CertificateDocument from '../components/Verification/CertificateDocument';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
+import TransactionStatus from '../components/Common/TransactionStatus';
+import { productAPI, verificationAPI, recallAPI } from '../services/api';
+import contractService from '../services/contracts';
 import { formatDate, getStatusName, formatAddress } from '../utils/helpers';
 import { VERIFICATION_TYPE_NAMES } from '../utils/constants';
 import './ConsumerDashboard.css';
@@ -53,16 +58,19 @@ const getVerificationTypeName = (type) => {
  */
 export default function ConsumerDashboard() {
   const { account, isConnected } = useWeb3();
+  const { isWalletSigned } = useSigningMode();
   const [productId, setProductId] = useState('');
   const [product, setProduct] = useState(null);
   const [journey, setJourney] = useState([]);
   const [provenance, setProvenance] = useState(null);
   const [transfers, setTransfers] = useState([]);
   const [verifications, setVerifications] = useState([]);
+  const [recall, setRecall] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isVerifying, setIsVerifying] = useState(false);
   const [error, setError] = useState(null);
   const [verifySuccess, setVerifySuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
 
   /**
    * Fetch complete product details including journey, provenance, transfers, and verification history
@@ -87,6 +95,7 @@ export default function ConsumerDashboard() {
     setProvenance(null);
     setTransfers([]);
     setVerifications([]);
+    setRecall(null);
 
     try {
       // Fetch product details
@@ -137,6 +146,18 @@ export default function ConsumerDashboard() {
       } catch (err) {
         console.error('Failed to fetch verifications:', err);
       }
+
+      // Fetch recall details if the product has been recalled
+      if (productResponse.data.product.isRecalled) {
+        try {
+          const recallResponse = await recallAPI.getForProduct(pid);
+          if (recallResponse.data && recallResponse.data.success) {
+            setRecall(recallResponse.data.recall);
+          }
+        } catch (err) {
+          console.error('Failed to fetch recall:', err);
+        }
+      }
     } catch (err) {
       setError(err.message || 'Failed to fetch product information');
     } finally {
@@ -184,16 +205,17 @@ export default function ConsumerDashboard() {
     setIsVerifying(true);
     setError(null);
     setVerifySuccess(null);
+    setTxHash(null);
 
     try {
-      const response = await verificationAPI.verifyAuthenticity({
-        signerAddress: account,
-        productId: product.id,
-        notes: 'Authenticity verification by consumer'
-      });
+      const notes = 'Authenticity verification by consumer';
+      const result = isWalletSigned
+        ? await contractService.verifyAuthenticity(product.id, notes, { onSubmitted: setTxHash })
+        : (await verificationAPI.verifyAuthenticity({ signerAddress: account, productId: product.id, notes })).data;
 
-      if (response.data && response.data.success) {
-        if (response.data.isValid) {
+      if (result && result.transactionHash) {
+        setTxHash(result.transactionHash);
+        if (result.isValid) {
           setVerifySuccess('Product verified as authentic!');
           // Refresh product data to show updated authenticity status
           setTimeout(() => {
@@ -203,14 +225,14 @@ export default function ConsumerDashboard() {
           setError('Product verification failed: Product does not meet authenticity criteria (missing metadata hash or invalid producer)');
         }
       } else {
-        setError(response.data?.message || 'Verification failed');
+        setError(result?.message || 'Verification failed');
       }
     } catch (err) {
       setError(err.response?.data?.message || err.message || 'Failed to verify authenticity');
     } finally {
       setIsVerifying(false);
     }
-  }, [account, isConnected, product, handleVerify]);
+  }, [account, isConnected, isWalletSigned, product, handleVerify]);
 
   return (
     <div className="consumer-dashboard">
@@ -221,6 +243,7 @@ export default function ConsumerDashboard() {
             Scan a QR code or enter a product ID to verify authenticity and view complete product information
           </p>
         </div>
+        {isConnected && <SigningModeToggle />}
       </div>
 
       <div className="dashboard-content">
@@ -282,6 +305,22 @@ export default function ConsumerDashboard() {
           </div>
         )}
 
+        <TransactionStatus hash={txHash} />
+
+        {/* Recall Warning */}
+        {product && product.isRecalled && (
+          <div className="error-message">
+            <strong>⚠ This product has been recalled. Do not consume.</strong>
+            {recall && (
+              <div className="recall-details">
+                <div><strong>Reason:</strong> {recall.reason}</div>
+                <div><strong>Severity:</strong> {recall.severityName.replace('_', ' ')}</div>
+                <div><strong>Issued:</strong> {formatDate(recall.timestamp)}</div>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Product Details */}
         {product && (
           <>
@@ -426,11 +465,19 @@ export default function ConsumerDashboard() {
                       <div className="verification-date">
                         <strong>Date:</strong> {formatDate(verification.timestamp)}
                       </div>
+                      {(verification.vType ?? verification.type) === 0 && (
+                        <div className="verification-score">
+                          <strong>Quality Score:</strong> {verification.score}/100
+                        </div>
+                      )}
                       {verification.notes && (
                         <div className="verification-notes">
                           <strong>Notes:</strong> {verification.notes}
                         </div>
                       )}
+                      {verification.certificateHash && (
+                        <CertificateDocument hash={verification.certificateHash} />
+                      )}
                     </div>
                   ))}
                 </div>
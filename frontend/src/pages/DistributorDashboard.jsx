@@ -3,6 +3,7 @@
  * Dashboard for distributors to manage products in transit
  * 
  * Provides functionality for distributors to:
+ * - Accept or reject incoming shipments
  * - View products they currently own
  * - Transfer products to retailers or consumers
  * - View product details and journey
@@ -12,14 +13,19 @@
 import { useState } from 'react';
 import { useWeb3 } from '../hooks/useWeb3';
 import { useRole } from '../hooks/useRole';
+import { useEventStream } from '../hooks/useEventStream';
 import { useNavigate } from 'react-router-dom';
 import ProductList from '../components/Products/ProductList';
+import IncomingShipments from '../components/Products/IncomingShipments';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
+import { STREAM_EVENTS } from '../utils/constants';
 import './DistributorDashboard.css';
 
 /**
  * DistributorDashboard Component
  * 
  * Main dashboard for distributors with:
+ * - Incoming shipments awaiting acceptance
  * - List of products currently owned by distributor
  * - Transfer functionality to retailers/consumers
  * - Product details and journey tracking
@@ -27,10 +33,17 @@ import './DistributorDashboard.css';
  */
 export default function DistributorDashboard() {
   const { account, isConnected } = useWeb3();
-  const { role, roleName } = useRole();
+  const { roleName, roles, roleNames, hasRole } = useRole();
   const navigate = useNavigate();
   const [refreshKey, setRefreshKey] = useState(0);
 
+  // Refresh inventory when a product moves into or out of it, e.g. when a recipient accepts a shipment
+  useEventStream(
+    { address: account, events: [STREAM_EVENTS.OWNERSHIP_TRANSFERRED] },
+    () => setRefreshKey(prev => prev + 1),
+    Boolean(account)
+  );
+
   /**
    * Handle product card click
    * Navigates to product details/verification page
@@ -68,7 +81,7 @@ export default function DistributorDashboard() {
   }
 
   // Check if user has DISTRIBUTOR role
-  if (role !== 1) {
+  if (!hasRole(1)) {
     return (
       <div className="distributor-dashboard">
         <div className="dashboard-error">
@@ -95,13 +108,29 @@ export default function DistributorDashboard() {
             <span className="info-value">{account}</span>
           </div>
           <div className="info-item">
-            <span className="info-label">Role:</span>
-            <span className="info-value">{roleName}</span>
+            <span className="info-label">Roles:</span>
+            <span className="info-value">{roleNames.join(', ')}</span>
+          </div>
+          <div className="info-item">
+            <SigningModeToggle />
           </div>
         </div>
       </div>
 
       <div className="dashboard-content">
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Incoming Shipments</h2>
+            <p className="section-description">
+              Products sent to you that are awaiting your acceptance. Accepting a shipment moves it into your inventory.
+            </p>
+          </div>
+          <IncomingShipments
+            account={account}
+            onShipmentAccepted={handleRefresh}
+          />
+        </div>
+
         <div className="dashboard-section">
           <div className="section-header">
             <h2>My Inventory</h2>
@@ -113,7 +142,7 @@ export default function DistributorDashboard() {
             key={refreshKey}
             ownerAddress={account}
             currentAccount={account}
-            userRole={role}
+            userRoles={roles}
             onProductClick={handleProductClick}
             onProductTransfer={handleProductTransfer}
           />
@@ -124,7 +153,7 @@ export default function DistributorDashboard() {
             <h3>How It Works</h3>
             <ul>
               <li>
-                <strong>Receive Products:</strong> Producers transfer products to you, and they appear in your inventory with status "SHIPPED"
+                <strong>Receive Products:</strong> Producers send products to you, and they appear under Incoming Shipments. Once you accept, they move into your inventory with status "SHIPPED"
               </li>
               <li>
                 <strong>Transfer to Retailer:</strong> When you transfer a product to a retailer, the status automatically changes to "RECEIVED"
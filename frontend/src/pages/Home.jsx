@@ -9,24 +9,26 @@ import { useWeb3 } from '../hooks/useWeb3';
 import { useRole } from '../hooks/useRole';
 import { ROLES, ROLE_NAMES } from '../utils/constants';
 import { formatAddress } from '../utils/helpers';
+import RoleApplication from '../components/Roles/RoleApplication';
 import './Home.css';
 
 /**
  * Home Component
  * 
- * Shows welcome message and role-based dashboard cards.
- * Auto-redirects to appropriate dashboard if user has a specific role.
+ * Shows welcome message and role-based dashboard cards, and lets the account apply for a role.
+ * Auto-redirects to the matching dashboard if user has a single non-consumer role.
  */
 export default function Home() {
   const { account, isConnected } = useWeb3();
-  const { role, roleName, isLoading: roleLoading } = useRole();
+  const { role, roleName, roles, roleNames, hasRole, isLoading: roleLoading } = useRole();
   const navigate = useNavigate();
 
   /**
-   * Auto-redirect to role-specific dashboard if user has a non-consumer role
+   * Auto-redirect to role-specific dashboard if user has exactly one non-consumer role
+   * Users holding several roles pick their dashboard from the cards
    */
   useEffect(() => {
-    if (isConnected && !roleLoading && role !== null && role !== ROLES.CONSUMER) {
+    if (isConnected && !roleLoading && roles.length === 1) {
       const roleRoutes = {
         [ROLES.PRODUCER]: '/producer',
         [ROLES.DISTRIBUTOR]: '/distributor',
@@ -38,7 +40,7 @@ export default function Home() {
         navigate(roleRoutes[role]);
       }
     }
-  }, [isConnected, role, roleLoading, navigate]);
+  }, [isConnected, role, roles, roleLoading, navigate]);
 
   if (!isConnected) {
     return (
@@ -74,7 +76,7 @@ export default function Home() {
           <h1>Welcome to SafeBite</h1>
           <p className="welcome-message">
             {roleName && role !== ROLES.CONSUMER
-              ? `You are logged in as a ${roleName}`
+              ? `You are logged in as a ${roleNames.join(' and ')}`
               : 'Select your dashboard to get started'}
           </p>
           {account && (
@@ -86,43 +88,43 @@ export default function Home() {
 
         <div className="dashboard-cards">
           <div
-            className={`dashboard-card ${role === ROLES.PRODUCER ? 'current-role' : ''}`}
+            className={`dashboard-card ${hasRole(ROLES.PRODUCER) ? 'current-role' : ''}`}
             onClick={() => navigate('/producer')}
           >
             <div className="card-icon">🏭</div>
             <h3>Producer Dashboard</h3>
             <p>Register products and manage your inventory</p>
-            {role === ROLES.PRODUCER && <span className="role-badge">Your Role</span>}
+            {hasRole(ROLES.PRODUCER) && <span className="role-badge">Your Role</span>}
           </div>
 
           <div
-            className={`dashboard-card ${role === ROLES.DISTRIBUTOR ? 'current-role' : ''}`}
+            className={`dashboard-card ${hasRole(ROLES.DISTRIBUTOR) ? 'current-role' : ''}`}
             onClick={() => navigate('/distributor')}
           >
             <div className="card-icon">🚚</div>
             <h3>Distributor Dashboard</h3>
             <p>Receive and transfer products through the supply chain</p>
-            {role === ROLES.DISTRIBUTOR && <span className="role-badge">Your Role</span>}
+            {hasRole(ROLES.DISTRIBUTOR) && <span className="role-badge">Your Role</span>}
           </div>
 
           <div
-            className={`dashboard-card ${role === ROLES.RETAILER ? 'current-role' : ''}`}
+            className={`dashboard-card ${hasRole(ROLES.RETAILER) ? 'current-role' : ''}`}
             onClick={() => navigate('/retailer')}
           >
             <div className="card-icon">🏪</div>
             <h3>Retailer Dashboard</h3>
             <p>Manage inventory and perform quality checks</p>
-            {role === ROLES.RETAILER && <span className="role-badge">Your Role</span>}
+            {hasRole(ROLES.RETAILER) && <span className="role-badge">Your Role</span>}
           </div>
 
           <div
-            className={`dashboard-card ${role === ROLES.REGULATOR ? 'current-role' : ''}`}
+            className={`dashboard-card ${hasRole(ROLES.REGULATOR) ? 'current-role' : ''}`}
             onClick={() => navigate('/regulator')}
           >
             <div className="card-icon">⚖️</div>
             <h3>Regulator Dashboard</h3>
             <p>Perform compliance checks and audits</p>
-            {role === ROLES.REGULATOR && <span className="role-badge">Your Role</span>}
+            {hasRole(ROLES.REGULATOR) && <span className="role-badge">Your Role</span>}
           </div>
 
           <div
@@ -144,6 +146,8 @@ export default function Home() {
             Verify a Product
           </button>
         </div>
+
+        <RoleApplication account={account} heldRoles={roles} />
       </div>
     </div>
   );
@@ -4,7 +4,10 @@
  * 
  * Provides a comprehensive interface for producers to:
  * - Register new products
+ * - Combine owned products into composite products
  * - View all registered products
+ * - Mark products as shipped or expired
+ * - Attach certificates to products after registration
  * - View product details
  * - Generate QR codes
  */
@@ -14,7 +17,11 @@ import { useWeb3 } from '../hooks/useWeb3';
 import { useRole } from '../hooks/useRole';
 import { useNavigate } from 'react-router-dom';
 import ProductRegistration from '../components/Products/ProductRegistration';
+import CompositeProductForm from '../components/Products/CompositeProductForm';
 import ProductList from '../components/Products/ProductList';
+import StatusUpdate from '../components/Products/StatusUpdate';
+import ProductCertificates from '../components/Products/ProductCertificates';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
 import './ProducerDashboard.css';
 
 /**
@@ -23,14 +30,17 @@ import './ProducerDashboard.css';
  * Main dashboard for producers with:
  * - Product registration form
  * - List of products owned by producer
+ * - Status updates and certificates for products the producer still owns
  * - Search and filter functionality
  * - Navigation to product details
  */
 export default function ProducerDashboard() {
   const { account, isConnected } = useWeb3();
-  const { role, roleName } = useRole();
+  const { roleName, roles, roleNames, hasRole } = useRole();
   const navigate = useNavigate();
   const [refreshKey, setRefreshKey] = useState(0);
+  const [selectedProductForStatus, setSelectedProductForStatus] = useState(null);
+  const [selectedProductForCertificates, setSelectedProductForCertificates] = useState(null);
 
   /**
    * Handle product registration success
@@ -70,7 +80,7 @@ export default function ProducerDashboard() {
   }
 
   // Check if user has PRODUCER role
-  if (role !== 0) {
+  if (!hasRole(0)) {
     return (
       <div className="producer-dashboard">
         <div className="dashboard-error">
@@ -97,8 +107,11 @@ export default function ProducerDashboard() {
             <span className="info-value">{account}</span>
           </div>
           <div className="info-item">
-            <span className="info-label">Role:</span>
-            <span className="info-value">{roleName}</span>
+            <span className="info-label">Roles:</span>
+            <span className="info-value">{roleNames.join(', ')}</span>
+          </div>
+          <div className="info-item">
+            <SigningModeToggle />
           </div>
         </div>
       </div>
@@ -108,16 +121,65 @@ export default function ProducerDashboard() {
           <ProductRegistration onProductRegistered={handleProductRegistered} />
         </div>
 
+        <div className="dashboard-section">
+          <CompositeProductForm
+            account={account}
+            refreshKey={refreshKey}
+            onProductRegistered={handleProductRegistered}
+          />
+        </div>
+
         <div className="dashboard-section">
           <ProductList
             key={refreshKey}
             producerAddress={account}
             currentAccount={account}
-            userRole={role}
+            userRoles={roles}
             onProductClick={handleProductClick}
             onProductTransfer={handleProductTransfer}
+            onUpdateStatus={setSelectedProductForStatus}
+            onManageCertificates={setSelectedProductForCertificates}
           />
         </div>
+
+        {selectedProductForStatus && (
+          <div className="dashboard-section">
+            <div className="section-header">
+              <h2>Update Status</h2>
+              <button
+                className="btn-close"
+                onClick={() => setSelectedProductForStatus(null)}
+                title="Close"
+              >
+                ×
+              </button>
+            </div>
+            <StatusUpdate
+              productId={selectedProductForStatus}
+              signerAddress={account}
+              onStatusUpdated={() => setRefreshKey(prev => prev + 1)}
+            />
+          </div>
+        )}
+
+        {selectedProductForCertificates && (
+          <div className="dashboard-section">
+            <div className="section-header">
+              <h2>Certificates</h2>
+              <button
+                className="btn-close"
+                onClick={() => setSelectedProductForCertificates(null)}
+                title="Close"
+              >
+                ×
+              </button>
+            </div>
+            <ProductCertificates
+              productId={selectedProductForCertificates}
+              signerAddress={account}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
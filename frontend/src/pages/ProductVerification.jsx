@@ -7,10 +7,15 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useSearchParams, useParams } from 'react-router-dom';
 import { useWeb3 } from '../hooks/useWeb3';
+import { useSigningMode } from '../hooks/useSigningMode';
 import QRScanner from '../components/Verification/QRScanner';
-import { productAPI, verificationAPI } from '../services/api';
+import TemperatureChart from '../components/Verification/TemperatureChart';
+import CertificateDocument from '../components/Verification/CertificateDocument';
+import TransactionStatus from '../components/Common/TransactionStatus';
+import { productAPI, verificationAPI, recallAPI, coldChainAPI } from '../services/api';
+import contractService from '../services/contracts';
 import { formatDate, getStatusName, formatAddress } from '../utils/helpers';
-import { VERIFICATION_TYPE_NAMES } from '../utils/constants';
+import { VERIFICATION_TYPE_NAMES, CERTIFICATE_TYPE_NAMES } from '../utils/constants';
 
 /**
  * Get verification type name from number
@@ -34,20 +39,55 @@ const getVerificationTypeName = (type) => {
   return VERIFICATION_TYPE_NAMES[typeNum] || `Type ${typeNum}`;
 };
 
+/**
+ * Render a product lineage tree as nested lists
+ * @param {Array} nodes - Lineage nodes from the provenance or derived products API
+ * @param {string} childKey - Property holding each node's children ('ingredients' or 'derived')
+ * @param {Function} onSelect - Called with a product ID when a node is clicked
+ */
+const LineageTree = ({ nodes, childKey, onSelect }) => (
+  <ul style={{ listStyle: 'none', paddingLeft: '1rem', margin: 0, borderLeft: '2px solid #eee' }}>
+    {nodes.map((node, index) => (
+      <li key={`${node.productId}-${index}`} style={{ padding: '0.35rem 0' }}>
+        <button
+          onClick={() => onSelect(node.productId)}
+          style={{ background: 'none', border: 'none', padding: 0, color: '#2196F3', cursor: 'pointer', fontSize: '1rem' }}
+        >
+          #{node.productId} {node.name}
+        </button>
+        <span style={{ color: '#666', fontSize: '0.85rem' }}>
+          {' '}(Batch: {node.batchId}) · {node.portion / 100}% used
+        </span>
+        {node.isRecalled && (
+          <span style={{ marginLeft: '0.5rem', color: '#c62828', fontWeight: 'bold', fontSize: '0.85rem' }}>RECALLED</span>
+        )}
+        {node[childKey] && node[childKey].length > 0 && (
+          <LineageTree nodes={node[childKey]} childKey={childKey} onSelect={onSelect} />
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
 export default function ProductVerification() {
   const [searchParams] = useSearchParams();
   const { productId: urlProductId } = useParams();
   const { account, isConnected } = useWeb3();
+  const { isWalletSigned } = useSigningMode();
   const [productId, setProductId] = useState(urlProductId || '');
   const [product, setProduct] = useState(null);
   const [journey, setJourney] = useState([]);
   const [provenance, setProvenance] = useState(null);
   const [transfers, setTransfers] = useState([]);
   const [verifications, setVerifications] = useState([]);
+  const [recall, setRecall] = useState(null);
+  const [coldChain, setColdChain] = useState(null);
+  const [derived, setDerived] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isVerifying, setIsVerifying] = useState(false);
   const [error, setError] = useState(null);
   const [verifySuccess, setVerifySuccess] = useState(null);
+  const [txHash, setTxHash] = useState(null);
 
   /**
    * Fetch complete product details including journey, provenance, transfers, and verification history
@@ -71,6 +111,9 @@ export default function ProductVerification() {
     setProvenance(null);
     setTransfers([]);
     setVerifications([]);
+    setRecall(null);
+    setColdChain(null);
+    setDerived([]);
 
     try {
       // Fetch product details
@@ -103,6 +146,16 @@ export default function ProductVerification() {
         console.error('Failed to fetch provenance:', err);
       }
 
+      // Fetch products made from this product (downstream lineage)
+      try {
+        const derivedResponse = await productAPI.getDerived(pid);
+        if (derivedResponse.data && derivedResponse.data.success) {
+          setDerived(derivedResponse.data.derived || []);
+        }
+      } catch (err) {
+        console.error('Failed to fetch derived products:', err);
+      }
+
       // Fetch transfer history (may be included in product data or separate endpoint)
       try {
         if (productResponse.data.product.transfers) {
@@ -121,6 +174,28 @@ export default function ProductVerification() {
       } catch (err) {
         console.error('Failed to fetch verifications:', err);
       }
+
+      // Fetch cold-chain temperature log
+      try {
+        const coldChainResponse = await coldChainAPI.getLog(pid);
+        if (coldChainResponse.data && coldChainResponse.data.success) {
+          setColdChain(coldChainResponse.data);
+        }
+      } catch (err) {
+        console.error('Failed to fetch cold-chain log:', err);
+      }
+
+      // Fetch recall details if the product has been recalled
+      if (productResponse.data.product.isRecalled) {
+        try {
+          const recallResponse = await recallAPI.getForProduct(pid);
+          if (recallResponse.data && recallResponse.data.success) {
+            setRecall(recallResponse.data.recall);
+          }
+        } catch (err) {
+          console.error('Failed to fetch recall:', err);
+        }
+      }
     } catch (err) {
       setError(err.message || 'Failed to fetch product information');
     } finally {
@@ -168,16 +243,17 @@ export default function ProductVerification() {
     setIsVerifying(true);
     setError(null);
     setVerifySuccess(null);
+    setTxHash(null);
 
     try {
-      const response = await verificationAPI.verifyAuthenticity({
-        signerAddress: account,
-        productId: product.id,
-        notes: 'Authenticity verification by consumer'
-      });
-
-      if (response.data && response.data.success) {
-        if (response.data.isValid) {
+      const notes = 'Authenticity verification by consumer';
+      const result = isWalletSigned
+        ? await contractService.verifyAuthenticity(product.id, notes, { onSubmitted: setTxHash })
+        : (await verificationAPI.verifyAuthenticity({ signerAddress: account, productId: product.id, notes })).data;
+
+      if (result && result.transactionHash) {
+        setTxHash(result.transactionHash);
+        if (result.isValid) {
           setVerifySuccess('Product verified as authentic!');
           // Refresh product data to show updated authenticity status
           setTimeout(() => {
@@ -187,14 +263,14 @@ export default function ProductVerification() {
           setError('Product verification failed: Product does not meet authenticity criteria (missing metadata hash or invalid producer)');
         }
       } else {
-        setError(response.data?.message || 'Verification failed');
+        setError(result?.message || 'Verification failed');
       }
     } catch (err) {
       setError(err.response?.data?.message || err.message || 'Failed to verify authenticity');
     } finally {
       setIsVerifying(false);
     }
-  }, [account, isConnected, product, handleVerify]);
+  }, [account, isConnected, isWalletSigned, product, handleVerify]);
 
   // Check for productId in URL params and auto-verify if present
   useEffect(() => {
@@ -295,6 +371,27 @@ export default function ProductVerification() {
         </div>
       )}
 
+      {/* Recall Warning */}
+      {product && product.isRecalled && (
+        <div style={{
+          padding: '1rem',
+          backgroundColor: '#ffebee',
+          color: '#c62828',
+          border: '2px solid #c62828',
+          borderRadius: '4px',
+          marginBottom: '1rem'
+        }}>
+          <strong>⚠ This product has been recalled. Do not consume.</strong>
+          {recall && (
+            <div style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}>
+              <div><strong>Reason:</strong> {recall.reason}</div>
+              <div><strong>Severity:</strong> {recall.severityName.replace('_', ' ')}</div>
+              <div><strong>Issued:</strong> {formatDate(recall.timestamp)}</div>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Product Details */}
       {product && (
         <div>
@@ -466,6 +563,64 @@ export default function ProductVerification() {
                   maxWidth: '100%'
                 }}>{formatDate(product.createdAt)}</span>
               </div>
+              {product.productionDate > 0 && (
+                <div style={{ 
+                  display: 'flex', 
+                  flexDirection: 'column',
+                  gap: '0.25rem',
+                  padding: '0.5rem 0', 
+                  borderBottom: '1px solid #eee',
+                  maxWidth: '100%',
+                  boxSizing: 'border-box'
+                }}>
+                  <strong>Production Date:</strong>
+                  <span style={{ 
+                    wordWrap: 'break-word',
+                    overflowWrap: 'break-word',
+                    wordBreak: 'break-word',
+                    maxWidth: '100%'
+                  }}>{formatDate(product.productionDate)}</span>
+                </div>
+              )}
+              {product.bestBeforeDate > 0 && (
+                <div style={{ 
+                  display: 'flex', 
+                  flexDirection: 'column',
+                  gap: '0.25rem',
+                  padding: '0.5rem 0', 
+                  borderBottom: '1px solid #eee',
+                  maxWidth: '100%',
+                  boxSizing: 'border-box'
+                }}>
+                  <strong>Best Before:</strong>
+                  <span style={{ 
+                    wordWrap: 'break-word',
+                    overflowWrap: 'break-word',
+                    wordBreak: 'break-word',
+                    maxWidth: '100%'
+                  }}>{formatDate(product.bestBeforeDate)}</span>
+                </div>
+              )}
+              {product.useByDate > 0 && (
+                <div style={{ 
+                  display: 'flex', 
+                  flexDirection: 'column',
+                  gap: '0.25rem',
+                  padding: '0.5rem 0', 
+                  borderBottom: '1px solid #eee',
+                  maxWidth: '100%',
+                  boxSizing: 'border-box'
+                }}>
+                  <strong>Use By:</strong>
+                  <span style={{ 
+                    wordWrap: 'break-word',
+                    overflowWrap: 'break-word',
+                    wordBreak: 'break-word',
+                    maxWidth: '100%',
+                    color: product.isExpired ? '#c62828' : 'inherit'
+                  }}>{formatDate(product.useByDate)}{product.isExpired && ' (expired)'}</span>
+                </div>
+              )}
               {product.metadataHash && (
                 <div style={{ 
                   padding: '0.5rem 0', 
@@ -493,6 +648,50 @@ export default function ProductVerification() {
                   </span>
                 </div>
               )}
+              {product.certificates && product.certificates.length > 0 && (
+                <div style={{ 
+                  padding: '0.5rem 0', 
+                  borderBottom: '1px solid #eee',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '0.5rem'
+                }}>
+                  <strong>Certificates:</strong>
+                  {/* Only valid, unexpired certificates are returned with the product */}
+                  {product.certificates.map((certificate) => (
+                    <div key={certificate.id} style={{
+                      background: '#f5f5f5',
+                      padding: '0.75rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ddd',
+                      maxWidth: '100%',
+                      boxSizing: 'border-box'
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap' }}>
+                        <span style={{ fontWeight: 'bold' }}>
+                          {CERTIFICATE_TYPE_NAMES[certificate.certificateType] || 'Unknown'}
+                          {certificate.scopeName === 'BATCH' && ` (batch ${certificate.batchId})`}
+                        </span>
+                        <span style={{ fontSize: '0.85rem', color: '#666' }}>
+                          {certificate.expiresAt > 0 ? `Valid until ${formatDate(certificate.expiresAt)}` : 'No expiry'}
+                        </span>
+                      </div>
+                      <div style={{ fontSize: '0.85rem', color: '#666', marginTop: '0.25rem' }}>
+                        Issued {formatDate(certificate.issuedAt)} by {formatAddress(certificate.issuer)}
+                      </div>
+                      <div style={{
+                        fontFamily: 'monospace',
+                        fontSize: '0.85rem',
+                        marginTop: '0.25rem',
+                        wordBreak: 'break-all'
+                      }}>
+                        {certificate.documentHash}
+                      </div>
+                      <CertificateDocument hash={certificate.documentHash} />
+                    </div>
+                  ))}
+                </div>
+              )}
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.5rem 0' }}>
                 <strong>Authentic:</strong>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
@@ -542,6 +741,8 @@ export default function ProductVerification() {
             </div>
           )}
 
+          <TransactionStatus hash={txHash} />
+
           {/* Product Journey */}
           {journey.length > 0 && (
             <div style={{
@@ -602,6 +803,37 @@ export default function ProductVerification() {
             </div>
           )}
 
+          {/* Cold Chain */}
+          {coldChain && coldChain.requirement.isSet && (
+            <div style={{
+              border: '1px solid #ddd',
+              borderRadius: '8px',
+              padding: '1.5rem',
+              marginBottom: '1.5rem',
+              backgroundColor: 'white'
+            }}>
+              <h3 style={{ marginTop: 0, marginBottom: '1rem' }}>Cold Chain</h3>
+              <p style={{ marginTop: 0, color: '#666' }}>
+                Allowed range: {coldChain.requirement.minTemperature}°C to {coldChain.requirement.maxTemperature}°C
+                {coldChain.requirement.maxExcursionMinutes > 0 && ` (excursions up to ${coldChain.requirement.maxExcursionMinutes} min tolerated)`}
+              </p>
+              {coldChain.isCompromised && (
+                <div style={{
+                  padding: '0.75rem',
+                  marginBottom: '1rem',
+                  backgroundColor: '#ffebee',
+                  border: '1px solid #f44336',
+                  borderRadius: '4px',
+                  color: '#c62828'
+                }}>
+                  <strong>Cold chain breached.</strong> {coldChain.breaches.length} {coldChain.breaches.length === 1 ? 'breach' : 'breaches'} recorded
+                  {coldChain.breaches.length > 0 && `, first at ${formatDate(coldChain.breaches[0].recordedAt)}`}.
+                </div>
+              )}
+              <TemperatureChart coldChain={coldChain} />
+            </div>
+          )}
+
           {/* Verification History */}
           {verifications.length > 0 && (
             <div style={{
@@ -644,6 +876,9 @@ export default function ProductVerification() {
                     </div>
                     <div><strong>Verified By:</strong> {formatAddress(verification.verifier)}</div>
                     <div><strong>Date:</strong> {formatDate(verification.timestamp)}</div>
+                    {(verification.vType ?? verification.type) === 0 && (
+                      <div><strong>Quality Score:</strong> {verification.score}/100</div>
+                    )}
                     {verification.notes && (
                       <div style={{ 
                         marginTop: '0.5rem', 
@@ -659,12 +894,54 @@ export default function ProductVerification() {
                         <strong>Notes:</strong> {verification.notes}
                       </div>
                     )}
+                    {verification.certificateHash && (
+                      <CertificateDocument hash={verification.certificateHash} />
+                    )}
                   </div>
                 ))}
               </div>
             </div>
           )}
 
+          {/* Ingredients */}
+          {provenance && provenance.ingredients && provenance.ingredients.length > 0 && (
+            <div style={{
+              border: '1px solid #ddd',
+              borderRadius: '8px',
+              padding: '1.5rem',
+              marginBottom: '1.5rem',
+              backgroundColor: 'white'
+            }}>
+              <h3 style={{ marginTop: 0, marginBottom: '1rem' }}>Ingredients</h3>
+              <LineageTree
+                nodes={provenance.ingredients}
+                childKey="ingredients"
+                onSelect={(id) => { setProductId(id.toString()); handleVerify(id.toString()); }}
+              />
+            </div>
+          )}
+
+          {/* Used In */}
+          {derived.length > 0 && (
+            <div style={{
+              border: '1px solid #ddd',
+              borderRadius: '8px',
+              padding: '1.5rem',
+              marginBottom: '1.5rem',
+              backgroundColor: 'white'
+            }}>
+              <h3 style={{ marginTop: 0, marginBottom: '1rem' }}>Used In</h3>
+              <p style={{ marginTop: 0, color: '#666' }}>
+                Products made from this product{product.consumedPortion > 0 && ` (${product.consumedPortion / 100}% of it has been used)`}.
+              </p>
+              <LineageTree
+                nodes={derived}
+                childKey="derived"
+                onSelect={(id) => { setProductId(id.toString()); handleVerify(id.toString()); }}
+              />
+            </div>
+          )}
+
           {/* Complete Provenance */}
           {provenance && (
             <div style={{
@@ -7,6 +7,8 @@
  * - Perform compliance checks on products
  * - Perform quality checks on products
  * - View verification history and audit reports
+ * - Follow verification results live
+ * - Issue and revoke product and batch certificates
  */
 
 import { useState } from 'react';
@@ -16,6 +18,9 @@ import { useNavigate } from 'react-router-dom';
 import ProductList from '../components/Products/ProductList';
 import ComplianceCheck from '../components/Verification/ComplianceCheck';
 import QualityCheck from '../components/Verification/QualityCheck';
+import VerificationFeed from '../components/Verification/VerificationFeed';
+import CertificateRegistry from '../components/Verification/CertificateRegistry';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
 import './RegulatorDashboard.css';
 
 /**
@@ -26,10 +31,12 @@ import './RegulatorDashboard.css';
  * - Compliance check functionality
  * - Quality check functionality
  * - Access to verification history and audit reports
+ * - Live feed of verification results from every verifier
+ * - Certificate registry to issue and revoke certificates
  */
 export default function RegulatorDashboard() {
   const { account, isConnected } = useWeb3();
-  const { role, roleName } = useRole();
+  const { roleName, roles, roleNames, hasRole } = useRole();
   const navigate = useNavigate();
   const [refreshKey, setRefreshKey] = useState(0);
   const [selectedProductForCompliance, setSelectedProductForCompliance] = useState(null);
@@ -115,7 +122,7 @@ export default function RegulatorDashboard() {
   }
 
   // Check if user has REGULATOR role
-  if (role !== 3) {
+  if (!hasRole(3)) {
     return (
       <div className="regulator-dashboard">
         <div className="dashboard-error">
@@ -142,8 +149,11 @@ export default function RegulatorDashboard() {
             <span className="info-value">{account}</span>
           </div>
           <div className="info-item">
-            <span className="info-label">Role:</span>
-            <span className="info-value">{roleName}</span>
+            <span className="info-label">Roles:</span>
+            <span className="info-value">{roleNames.join(', ')}</span>
+          </div>
+          <div className="info-item">
+            <SigningModeToggle />
           </div>
         </div>
       </div>
@@ -159,13 +169,34 @@ export default function RegulatorDashboard() {
           <ProductList
             key={refreshKey}
             currentAccount={account}
-            userRole={role}
+            userRoles={roles}
             onProductClick={handleProductClick}
             onComplianceCheck={handleComplianceCheckClick}
             onQualityCheck={handleQualityCheckClick}
           />
         </div>
 
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Live Verification Results</h2>
+            <p className="section-description">
+              Quality, compliance and authenticity results from every verifier, as they are recorded on the blockchain.
+            </p>
+          </div>
+          <VerificationFeed onProductClick={handleProductClick} />
+        </div>
+
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Certificates</h2>
+            <p className="section-description">
+              Issue organic, halal, lab and other certificates for a product or a whole batch, and revoke certificates
+              that no longer hold. Only valid, unexpired quality and compliance certificates keep a product authentic.
+            </p>
+          </div>
+          <CertificateRegistry account={account} />
+        </div>
+
         {(selectedProductForCompliance || selectedProductForQuality) && (
           <div className="dashboard-section">
             <div className="section-header">
@@ -3,35 +3,57 @@
  * Dashboard for retailers to manage inventory and quality checks
  * 
  * Provides functionality for retailers to:
+ * - Accept or reject incoming shipments
  * - View products in their inventory
+ * - Track products nearing their best-before or use-by date
  * - Perform quality checks on products
+ * - Mark products as stored, delivered or expired
  * - Transfer products to consumers
  * - View product details and journey
+ * - Follow verification results live
  */
 
 import { useState } from 'react';
 import { useWeb3 } from '../hooks/useWeb3';
 import { useRole } from '../hooks/useRole';
+import { useEventStream } from '../hooks/useEventStream';
 import { useNavigate } from 'react-router-dom';
 import ProductList from '../components/Products/ProductList';
+import IncomingShipments from '../components/Products/IncomingShipments';
+import ExpiringStock from '../components/Products/ExpiringStock';
+import StatusUpdate from '../components/Products/StatusUpdate';
 import QualityCheck from '../components/Verification/QualityCheck';
+import VerificationFeed from '../components/Verification/VerificationFeed';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
+import { STREAM_EVENTS } from '../utils/constants';
 import './RetailerDashboard.css';
 
 /**
  * RetailerDashboard Component
  * 
  * Main dashboard for retailers with:
+ * - Incoming shipments awaiting acceptance
  * - List of products currently owned by retailer
  * - Quality check functionality
+ * - Status updates along the allowed transitions
  * - Transfer functionality to consumers
  * - Product details and journey tracking
+ * - Live verification results
  */
 export default function RetailerDashboard() {
   const { account, isConnected } = useWeb3();
-  const { role, roleName } = useRole();
+  const { roleName, roles, roleNames, hasRole } = useRole();
   const navigate = useNavigate();
   const [refreshKey, setRefreshKey] = useState(0);
   const [selectedProductForQuality, setSelectedProductForQuality] = useState(null);
+  const [selectedProductForStatus, setSelectedProductForStatus] = useState(null);
+
+  // Refresh inventory when a product moves into or out of it, e.g. when a recipient accepts a shipment
+  useEventStream(
+    { address: account, events: [STREAM_EVENTS.OWNERSHIP_TRANSFERRED] },
+    () => setRefreshKey(prev => prev + 1),
+    Boolean(account)
+  );
 
   /**
    * Handle product card click
@@ -76,6 +98,14 @@ export default function RetailerDashboard() {
     setSelectedProductForQuality(null);
   };
 
+  /**
+   * Handle status update completion
+   * Refreshes product list; the form stays open to show the result
+   */
+  const handleStatusUpdated = () => {
+    setRefreshKey(prev => prev + 1);
+  };
+
   // Check if wallet is connected
   if (!isConnected) {
     return (
@@ -89,7 +119,7 @@ export default function RetailerDashboard() {
   }
 
   // Check if user has RETAILER role
-  if (role !== 2) {
+  if (!hasRole(2)) {
     return (
       <div className="retailer-dashboard">
         <div className="dashboard-error">
@@ -116,13 +146,29 @@ export default function RetailerDashboard() {
             <span className="info-value">{account}</span>
           </div>
           <div className="info-item">
-            <span className="info-label">Role:</span>
-            <span className="info-value">{roleName}</span>
+            <span className="info-label">Roles:</span>
+            <span className="info-value">{roleNames.join(', ')}</span>
+          </div>
+          <div className="info-item">
+            <SigningModeToggle />
           </div>
         </div>
       </div>
 
       <div className="dashboard-content">
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Incoming Shipments</h2>
+            <p className="section-description">
+              Products sent to you that are awaiting your acceptance. Accepting a shipment moves it into your inventory.
+            </p>
+          </div>
+          <IncomingShipments
+            account={account}
+            onShipmentAccepted={() => setRefreshKey(prev => prev + 1)}
+          />
+        </div>
+
         <div className="dashboard-section">
           <div className="section-header">
             <h2>My Inventory</h2>
@@ -134,13 +180,54 @@ export default function RetailerDashboard() {
             key={refreshKey}
             ownerAddress={account}
             currentAccount={account}
-            userRole={role}
+            userRoles={roles}
             onProductClick={handleProductClick}
             onProductTransfer={handleProductTransfer}
             onQualityCheck={handleQualityCheckClick}
+            onUpdateStatus={setSelectedProductForStatus}
           />
         </div>
 
+        {selectedProductForStatus && (
+          <div className="dashboard-section">
+            <div className="section-header">
+              <h2>Update Status</h2>
+              <button
+                className="btn-close"
+                onClick={() => setSelectedProductForStatus(null)}
+                title="Close"
+              >
+                ×
+              </button>
+            </div>
+            <StatusUpdate
+              productId={selectedProductForStatus}
+              signerAddress={account}
+              onStatusUpdated={handleStatusUpdated}
+            />
+          </div>
+        )}
+
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Expiring Soon</h2>
+            <p className="section-description">
+              Inventory near its best-before or use-by date. Mark down products before they expire; expired products cannot be sold to consumers.
+            </p>
+          </div>
+          <ExpiringStock account={account} refreshKey={refreshKey} />
+        </div>
+
+        <div className="dashboard-section">
+          <div className="section-header">
+            <h2>Live Verification Results</h2>
+            <p className="section-description">
+              Quality, compliance and authenticity results as they are recorded on the blockchain.
+            </p>
+          </div>
+          <VerificationFeed onProductClick={handleProductClick} />
+        </div>
+
         {selectedProductForQuality && (
           <div className="dashboard-section">
             <div className="section-header">
@@ -166,11 +253,14 @@ export default function RetailerDashboard() {
             <h3>How It Works</h3>
             <ul>
               <li>
-                <strong>Receive Products:</strong> Distributors transfer products to you, and they appear in your inventory with status "RECEIVED"
+                <strong>Receive Products:</strong> Distributors send products to you, and they appear under Incoming Shipments. Once you accept, they move into your inventory with status "RECEIVED"
               </li>
               <li>
                 <strong>Perform Quality Checks:</strong> Click "Quality Check" on any product to assess its quality (score 0-100). Products with score ≥50 pass.
               </li>
+              <li>
+                <strong>Update Status:</strong> Click "Update Status" to mark received products as "STORED" once shelved, or "EXPIRED" to pull spoiled goods. Only the next allowed statuses are offered.
+              </li>
               <li>
                 <strong>Transfer to Consumers:</strong> After quality checks, transfer products to consumers, which sets the status to "DELIVERED"
               </li>
@@ -1,11 +1,17 @@
 /**
  * Role Management Dashboard
- * Simple GUI to assign roles to accounts
+ * Simple GUI to assign, list, suspend and revoke roles, renew expiring ones, and to run organizations
  */
 
 import { useState } from 'react';
 import { useWeb3 } from '../hooks/useWeb3';
 import { roleAPI } from '../services/api';
+import RoleHolders from '../components/Roles/RoleHolders';
+import OrganizationAdmin from '../components/Roles/OrganizationAdmin';
+import ExpiringRoles from '../components/Roles/ExpiringRoles';
+import RoleRequests from '../components/Roles/RoleRequests';
+import GovernancePanel from '../components/Roles/GovernancePanel';
+import EmergencyStop from '../components/Roles/EmergencyStop';
 import { formatAddress } from '../utils/helpers';
 import './RoleManagement.css';
 
@@ -28,11 +34,13 @@ export default function RoleManagement() {
   const { account, isConnected } = useWeb3();
   const [accountAddress, setAccountAddress] = useState('');
   const [selectedRole, setSelectedRole] = useState(0);
+  const [validUntilDate, setValidUntilDate] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [messageType, setMessageType] = useState(null);
   const [checkedRole, setCheckedRole] = useState(null);
   const [checkingRole, setCheckingRole] = useState(false);
+  const [holdersRefreshKey, setHoldersRefreshKey] = useState(0);
 
   const handleAssignRole = async (e) => {
     e.preventDefault();
@@ -49,17 +57,30 @@ export default function RoleManagement() {
       return;
     }
 
+    // Roles with an expiry stop counting at the end of the chosen day
+    const validUntil = validUntilDate ? Math.floor(new Date(`${validUntilDate}T23:59:59`).getTime() / 1000) : 0;
+    if (validUntil && validUntil <= Math.floor(Date.now() / 1000)) {
+      setMessage('The expiry date must be in the future');
+      setMessageType('error');
+      return;
+    }
+
     setIsLoading(true);
     setMessage(null);
     setMessageType(null);
 
     try {
-      const response = await roleAPI.grantRoleDev(accountAddress.trim(), selectedRole);
+      // The deployer-signed grant endpoint only exists on development backends
+      const response = import.meta.env.DEV
+        ? await roleAPI.grantRoleDev(accountAddress.trim(), selectedRole, validUntil)
+        : await roleAPI.grant(account, accountAddress.trim(), selectedRole, validUntil);
       
       if (response.data && response.data.success) {
-        setMessage(`✅ ${response.data.roleName} role assigned successfully to ${formatAddress(accountAddress)}`);
+        setMessage(`✅ ${response.data.roleName || ROLES[selectedRole].label} role assigned successfully to ${formatAddress(accountAddress)}${validUntil ? ` until ${validUntilDate}` : ''}`);
         setMessageType('success');
         setAccountAddress('');
+        setValidUntilDate('');
+        setHoldersRefreshKey(prev => prev + 1);
         if (checkedRole && checkedRole.address.toLowerCase() === accountAddress.trim().toLowerCase()) {
           checkRole(accountAddress.trim());
         }
@@ -88,7 +109,8 @@ export default function RoleManagement() {
         setCheckedRole({
           address: address.trim(),
           role: response.data.role,
-          roleName: response.data.roleName
+          roleName: response.data.roleName,
+          roleNames: response.data.roleNames || []
         });
       } else {
         setCheckedRole(null);
@@ -121,7 +143,7 @@ export default function RoleManagement() {
         <div className="dashboard-title">
           <h1>Role Management Dashboard</h1>
           <p className="dashboard-subtitle">
-            Assign roles to accounts. Only the contract owner (deployer) can assign roles.
+            Assign, review and revoke roles. The contract owner (deployer) manages every role; organization admins manage the operational roles of their own members.
           </p>
         </div>
         {isConnected && account && (
@@ -157,7 +179,9 @@ export default function RoleManagement() {
               />
               {checkedRole && (
                 <div className="current-role-info">
-                  <strong>Current Role:</strong> {checkedRole.roleName} (Role {checkedRole.role})
+                  <strong>Current Roles:</strong> {checkedRole.roleNames.length > 0
+                    ? checkedRole.roleNames.join(', ')
+                    : `${checkedRole.roleName} (no assigned role)`}
                 </div>
               )}
               {checkingRole && (
@@ -181,6 +205,20 @@ export default function RoleManagement() {
               </select>
               <p className="form-hint">
                 Note: CONSUMER role is public and doesn't need to be assigned.
+                Assigned roles are added to the ones the account already holds.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="validUntil">Valid Until (optional)</label>
+              <input
+                id="validUntil"
+                type="date"
+                value={validUntilDate}
+                onChange={(e) => setValidUntilDate(e.target.value)}
+              />
+              <p className="form-hint">
+                Leave empty for a role that never expires. Assigning a held role again sets its new expiry.
               </p>
             </div>
 
@@ -195,6 +233,66 @@ export default function RoleManagement() {
           </div>
         </div>
 
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Role Requests</h2>
+            <p className="card-description">
+              Applications from operators with their organization and supporting documents. Approve to grant the role, or reject with a reason the applicant will see.
+            </p>
+            <RoleRequests account={account} onRolesChanged={() => setHoldersRefreshKey(prev => prev + 1)} />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Role Holders</h2>
+            <p className="card-description">
+              Addresses holding each role. Suspend holders under investigation, revoke compromised addresses and review when their roles changed.
+            </p>
+            <RoleHolders account={account} refreshKey={holdersRefreshKey} />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Expiring Roles</h2>
+            <p className="card-description">
+              Time-limited roles such as inspection licenses stop counting once they expire. Renew them before operations stop.
+            </p>
+            <ExpiringRoles account={account} refreshKey={holdersRefreshKey} />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Organizations</h2>
+            <p className="card-description">
+              Register companies and appoint their admins, who onboard their own staff and grant them PRODUCER, DISTRIBUTOR or RETAILER.
+            </p>
+            <OrganizationAdmin account={account} onRolesChanged={() => setHoldersRefreshKey(prev => prev + 1)} />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Governance</h2>
+            <p className="card-description">
+              Once the multisig owns the access control contract, role grants, revocations and ownership changes need the approval of several signers and wait out a timelock.
+            </p>
+            <GovernancePanel account={account} onRolesChanged={() => setHoldersRefreshKey(prev => prev + 1)} />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="role-form-card">
+            <h2>Emergency Stop</h2>
+            <p className="card-description">
+              The guardian can halt every supply chain write, for example after a bug or a compromised producer key is found. Products stay readable while paused.
+            </p>
+            <EmergencyStop account={account} />
+          </div>
+        </div>
+
         <div className="dashboard-section">
           <div className="test-accounts-card">
             <h2>Quick Test Accounts</h2>
@@ -6,12 +6,18 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { useWeb3 } from '../hooks/useWeb3';
+import { useSigningMode } from '../hooks/useSigningMode';
 import { transferAPI, productAPI } from '../services/api';
+import contractService from '../services/contracts';
+import relayService from '../services/relay';
+import SigningModeToggle from '../components/Common/SigningModeToggle';
+import TransactionStatus from '../components/Common/TransactionStatus';
 import { formatAddress, isValidAddress, formatDate } from '../utils/helpers';
 import { TEST_ACCOUNTS } from '../utils/constants';
 
 export default function TransferProduct() {
   const { account, isConnected } = useWeb3();
+  const { isWalletSigned } = useSigningMode();
   const [searchParams, setSearchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     productId: searchParams.get('productId') || '',
@@ -25,6 +31,9 @@ export default function TransferProduct() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [transferHistory, setTransferHistory] = useState([]);
+  const [pendingTransfer, setPendingTransfer] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [txHash, setTxHash] = useState(null);
 
   /**
    * Fetch product details when productId changes or on mount
@@ -70,6 +79,16 @@ export default function TransferProduct() {
             console.error('Failed to fetch transfer history:', err);
             setTransferHistory([]);
           }
+          // Fetch pending transfer awaiting the recipient's acceptance
+          try {
+            const pendingResponse = await transferAPI.getPending(pid);
+            if (pendingResponse.data && pendingResponse.data.success) {
+              setPendingTransfer(pendingResponse.data.pendingTransfer);
+            }
+          } catch (err) {
+            console.error('Failed to fetch pending transfer:', err);
+            setPendingTransfer(null);
+          }
       } else {
         setProduct(null);
         setError('Product not found');
@@ -82,6 +101,33 @@ export default function TransferProduct() {
     }
   };
 
+  /**
+   * Cancel the pending transfer for the current product
+   */
+  const handleCancelTransfer = async () => {
+    setIsCancelling(true);
+    setError(null);
+    setSuccess(null);
+    setTxHash(null);
+
+    try {
+      const result = isWalletSigned
+        ? await contractService.cancelTransfer(pendingTransfer.productId, { onSubmitted: setTxHash })
+        : (await transferAPI.cancel(pendingTransfer.productId, account)).data;
+      if (result && result.transactionHash) {
+        setSuccess('Pending transfer cancelled');
+        setTxHash(result.transactionHash);
+        setPendingTransfer(null);
+      } else {
+        setError(result?.message || 'Failed to cancel transfer');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to cancel transfer');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   /**
    * Handle form input change
    */
@@ -92,6 +138,7 @@ export default function TransferProduct() {
     });
     if (e.target.name === 'productId') {
       setProduct(null);
+      setPendingTransfer(null);
       setError(null);
     }
   };
@@ -134,6 +181,7 @@ export default function TransferProduct() {
     e.preventDefault();
     setError(null);
     setSuccess(null);
+    setTxHash(null);
     setIsTransferring(true);
 
     // Validate
@@ -162,18 +210,25 @@ export default function TransferProduct() {
     }
 
     try {
-      const response = await transferAPI.transfer({
-        signerAddress: account,
-        productId: parseInt(formData.productId),
-        toAddress: formData.toAddress,
-        shipmentDetails: formData.shipmentDetails || ''
-      });
+      const productId = parseInt(formData.productId);
+      const shipmentDetails = formData.shipmentDetails || '';
+      const result = isWalletSigned
+        ? await contractService.transferOwnership(productId, formData.toAddress, shipmentDetails, 0, { onSubmitted: setTxHash })
+        : (await transferAPI.transfer({
+          signerAddress: account,
+          productId,
+          toAddress: formData.toAddress,
+          shipmentDetails,
+          ...(await relayService.signRequest('TransferOwnership', { productId, to: formData.toAddress, shipmentDetails }))
+        })).data;
 
-      if (response.data && response.data.success) {
-        setSuccess(`Transfer successful! ${response.data.transactionHash ? `Transaction: ${response.data.transactionHash}` : ''}`);
+      if (result && result.transactionHash) {
+        setSuccess('Transfer initiated! The recipient must accept it before custody moves.');
+        setTxHash(result.transactionHash);
         setFormData({ productId: '', toAddress: '', shipmentDetails: '' });
         setProduct(null);
         setTransferHistory([]);
+        setPendingTransfer(null);
         // Refresh after delay
         setTimeout(() => {
           if (formData.productId) {
@@ -181,7 +236,7 @@ export default function TransferProduct() {
           }
         }, 2000);
       } else {
-        setError(response.data?.message || 'Transfer failed');
+        setError(result?.message || 'Transfer failed');
       }
     } catch (err) {
       console.error('Transfer error:', err);
@@ -203,9 +258,12 @@ export default function TransferProduct() {
   return (
     <div style={{ padding: '2rem', maxWidth: '1000px', margin: '0 auto' }}>
       <h1>Transfer Product</h1>
-      <p style={{ color: '#666', marginBottom: '2rem' }}>
+      <p style={{ color: '#666', marginBottom: '1rem' }}>
         Transfer product ownership to another stakeholder in the supply chain.
       </p>
+      <div style={{ marginBottom: '2rem' }}>
+        <SigningModeToggle />
+      </div>
 
       {/* Transfer Form */}
       <div style={{
@@ -271,6 +329,39 @@ export default function TransferProduct() {
               ) : (
                 <p style={{ color: 'red' }}>You are not the current owner</p>
               )}
+              {pendingTransfer && (
+                <div style={{
+                  marginTop: '0.5rem',
+                  padding: '0.75rem',
+                  backgroundColor: '#fff8e1',
+                  borderRadius: '4px'
+                }}>
+                  <p style={{ margin: 0 }}>
+                    <strong>Pending transfer to:</strong> {formatAddress(pendingTransfer.to)}
+                    {pendingTransfer.isExpired
+                      ? ' (expired)'
+                      : pendingTransfer.expiresAt > 0 && ` (accept by ${formatDate(pendingTransfer.expiresAt)})`}
+                  </p>
+                  {product.currentOwner?.toLowerCase() === account?.toLowerCase() && (
+                    <button
+                      type="button"
+                      onClick={handleCancelTransfer}
+                      disabled={isCancelling}
+                      style={{
+                        marginTop: '0.5rem',
+                        padding: '0.5rem 1rem',
+                        backgroundColor: '#e74c3c',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: isCancelling ? 'not-allowed' : 'pointer'
+                      }}
+                    >
+                      {isCancelling ? 'Cancelling...' : 'Cancel Transfer'}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -393,6 +484,8 @@ export default function TransferProduct() {
             </div>
           )}
 
+          <TransactionStatus hash={txHash} />
+
           <button
             type="submit"
             disabled={isTransferring || !product || product.currentOwner?.toLowerCase() !== account?.toLowerCase()}
@@ -465,11 +558,12 @@ export default function TransferProduct() {
           <li>Enter the recipient's wallet address (must have DISTRIBUTOR, RETAILER, or CONSUMER role)</li>
           <li>Optionally add shipment details (tracking number, carrier, etc.)</li>
           <li>Click "Transfer Product" and confirm in MetaMask</li>
-          <li>Product ownership and status will update automatically</li>
+          <li>The recipient accepts or rejects the shipment from their dashboard</li>
+          <li>Product ownership and status update once the recipient accepts</li>
         </ol>
         <p style={{ marginTop: '1rem', fontSize: '0.9rem' }}>
           <strong>Note:</strong> Only the current owner can transfer a product. 
-          The product status will automatically update based on the recipient's role.
+          You stay the owner until the recipient accepts, and the product status then updates based on the recipient's role.
         </p>
       </div>
     </div>
@@ -9,6 +9,8 @@
  */
 
 import axios from 'axios';
+import authService from './auth';
+import web3Service from './web3';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
@@ -20,6 +22,96 @@ const api = axios.create({
   }
 });
 
+// Send the connected account's session token with every request
+api.interceptors.request.use((config) => {
+  const token = authService.getToken(web3Service.getAccount());
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// When a write is rejected for a missing or expired session, sign in with the wallet and retry once
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    const signer = web3Service.getSigner();
+    if (error.response?.status !== 401 || !config || config.retriedWithSignIn || !signer || config.url.startsWith('/api/auth/')) {
+      throw error;
+    }
+
+    await authService.signIn(signer);
+    config.retriedWithSignIn = true;
+    return api(config);
+  }
+);
+
+/**
+ * Auth API calls (Sign-In With Ethereum)
+ */
+export const authAPI = {
+  /**
+   * Get a sign-in nonce
+   * GET /api/auth/nonce
+   * 
+   * Makes GET request and returns a single-use nonce for the SIWE message.
+   */
+  getNonce: async () => {
+    return await api.get('/api/auth/nonce');
+  },
+
+  /**
+   * Exchange a signed SIWE message for a session token
+   * POST /api/auth/verify
+   * 
+   * Makes POST request with the message and signature and returns address, token, and expiry.
+   */
+  verify: async (message, signature) => {
+    return await api.post('/api/auth/verify', { message, signature });
+  },
+
+  /**
+   * Get the signed-in account
+   * GET /api/auth/session
+   * 
+   * Makes GET request and returns the address the current token was issued to.
+   */
+  getSession: async () => {
+    return await api.get('/api/auth/session');
+  }
+};
+
+/**
+ * Contract API calls
+ */
+export const contractAPI = {
+  /**
+   * Get deployed contracts
+   * GET /api/contracts
+   * 
+   * Makes GET request and returns the chain ID with each contract's address and ABI.
+   */
+  getDeployment: async () => {
+    return await api.get('/api/contracts');
+  }
+};
+
+/**
+ * Relay API calls
+ */
+export const relayAPI = {
+  /**
+   * Get meta-transaction signing details
+   * GET /api/relay/:address
+   * 
+   * Makes GET request and returns the relayer, EIP-712 domain and types, and the account's next nonce.
+   */
+  getInfo: async (address) => {
+    return await api.get(`/api/relay/${address}`);
+  }
+};
+
 /**
  * Product API calls
  */
@@ -34,6 +126,42 @@ export const productAPI = {
     return await api.post('/api/products/register', data);
   },
 
+  /**
+   * Register a composite product made from input products
+   * POST /api/products/composite
+   * 
+   * Body: { signerAddress, name, batchId, origin, inputs: [{ productId, portion }] }
+   * 
+   * Makes POST request and returns product ID, transaction hash, and QR code.
+   */
+  registerComposite: async (data) => {
+    return await api.post('/api/products/composite', data);
+  },
+
+  /**
+   * Update product status
+   * PUT /api/products/:id/status
+   * 
+   * Body: { signerAddress, status } where status is a status name or enum value
+   * 
+   * Makes PUT request and returns the previous and new status and transaction hash.
+   */
+  updateStatus: async (productId, data) => {
+    return await api.put(`/api/products/${productId}/status`, data);
+  },
+
+  /**
+   * Update product metadata
+   * PUT /api/products/:id/metadata
+   * 
+   * Body: { signerAddress, metadataHash } or { signerAddress, certificateType, certificateHash }
+   * 
+   * Makes PUT request and returns the stored metadata and transaction hash.
+   */
+  updateMetadata: async (productId, data) => {
+    return await api.put(`/api/products/${productId}/metadata`, data);
+  },
+
   /**
    * Get product by ID
    * GET /api/products/:id
@@ -64,6 +192,16 @@ export const productAPI = {
     return await api.get(`/api/products/${productId}/provenance`);
   },
 
+  /**
+   * Get products made from a product
+   * GET /api/products/:id/derived
+   * 
+   * Makes GET request and returns the downstream product tree and affected products.
+   */
+  getDerived: async (productId) => {
+    return await api.get(`/api/products/${productId}/derived`);
+  },
+
   /**
    * List products
    * GET /api/products
@@ -72,6 +210,16 @@ export const productAPI = {
    */
   list: async (params = {}) => {
     return await api.get('/api/products', { params });
+  },
+
+  /**
+   * List an owner's products expiring soon
+   * GET /api/products/expiring?owner=0x...&days=7
+   * 
+   * Makes GET request and returns products past or near their best-before or use-by date.
+   */
+  getExpiring: async (owner, days = 7) => {
+    return await api.get('/api/products/expiring', { params: { owner, days } });
   }
 };
 
@@ -80,10 +228,11 @@ export const productAPI = {
  */
 export const transferAPI = {
   /**
-   * Transfer ownership
+   * Initiate ownership transfer
    * POST /api/transfers
    * 
    * Makes POST request and returns transaction hash.
+   * Custody moves once the recipient accepts the transfer.
    */
   transfer: async (data) => {
     return await api.post('/api/transfers', data);
@@ -107,6 +256,58 @@ export const transferAPI = {
    */
   getHistory: async (productId) => {
     return await api.get(`/api/transfers/${productId}`);
+  },
+
+  /**
+   * Get incoming shipments awaiting acceptance
+   * GET /api/transfers/incoming/:address
+   * 
+   * Makes GET request and returns pending transfers addressed to the account.
+   */
+  getIncoming: async (address) => {
+    return await api.get(`/api/transfers/incoming/${address}`);
+  },
+
+  /**
+   * Get pending transfer for a product
+   * GET /api/transfers/pending/:productId
+   * 
+   * Makes GET request and returns the pending transfer (null if none).
+   */
+  getPending: async (productId) => {
+    return await api.get(`/api/transfers/pending/${productId}`);
+  },
+
+  /**
+   * Accept a pending transfer
+   * POST /api/transfers/:productId/accept
+   * 
+   * Makes POST request and returns transaction hash.
+   * Pass the relayService.signRequest() result as signed to relay a signed request.
+   */
+  accept: async (productId, signerAddress, signed = {}) => {
+    return await api.post(`/api/transfers/${productId}/accept`, { signerAddress, ...signed });
+  },
+
+  /**
+   * Reject a pending transfer
+   * POST /api/transfers/:productId/reject
+   * 
+   * Makes POST request and returns transaction hash.
+   * Pass the relayService.signRequest() result as signed to relay a signed request.
+   */
+  reject: async (productId, signerAddress, signed = {}) => {
+    return await api.post(`/api/transfers/${productId}/reject`, { signerAddress, ...signed });
+  },
+
+  /**
+   * Cancel a pending transfer
+   * POST /api/transfers/:productId/cancel
+   * 
+   * Makes POST request and returns transaction hash.
+   */
+  cancel: async (productId, signerAddress) => {
+    return await api.post(`/api/transfers/${productId}/cancel`, { signerAddress });
   }
 };
 
@@ -154,13 +355,11 @@ export const verificationAPI = {
    * Get verification history
    * GET /api/verification/:productId
    * 
-   * TODO:
-   * 1. Make GET request
-   * 2. Return verification history
+   * Makes GET request and returns verification history.
+   * Pass { offset, limit } to fetch a single page.
    */
-  getHistory: async (productId) => {
-    // TODO: Implement
-    return await api.get(`/api/verification/${productId}`);
+  getHistory: async (productId, params = {}) => {
+    return await api.get(`/api/verification/${productId}`, { params });
   }
 };
 
@@ -192,15 +391,604 @@ export const roleAPI = {
    * Grant role using deployer account (Development only)
    * POST /api/roles/grant-dev
    * 
-   * Body: { accountAddress, role }
+   * Body: { accountAddress, role, validUntil }
    * 
-   * Automatically uses deployer account as signer.
+   * Automatically uses deployer account as signer. validUntil is an optional expiry in Unix seconds.
    */
-  grantRoleDev: async (accountAddress, role) => {
+  grantRoleDev: async (accountAddress, role, validUntil) => {
     return await api.post('/api/roles/grant-dev', {
+      accountAddress,
+      role,
+      validUntil
+    });
+  },
+
+  /**
+   * Grant a role (access control owner, or an organization admin for its members)
+   * POST /api/roles/grant
+   * 
+   * Body: { signerAddress, accountAddress, role, validUntil }
+   * 
+   * Makes POST request and returns transaction hash. validUntil is an optional expiry in
+   * Unix seconds; granting a held role again sets its new expiry.
+   */
+  grant: async (signerAddress, accountAddress, role, validUntil) => {
+    return await api.post('/api/roles/grant', {
+      signerAddress,
+      accountAddress,
+      role,
+      validUntil
+    });
+  },
+
+  /**
+   * Revoke a role (access control owner, or an organization admin for its members)
+   * POST /api/roles/revoke
+   * 
+   * Body: { signerAddress, accountAddress, role }
+   * 
+   * Makes POST request and returns transaction hash.
+   */
+  revoke: async (signerAddress, accountAddress, role) => {
+    return await api.post('/api/roles/revoke', {
+      signerAddress,
       accountAddress,
       role
     });
+  },
+
+  /**
+   * Suspend a role (access control owner, or an organization admin for its members)
+   * POST /api/roles/suspend
+   * 
+   * Body: { signerAddress, accountAddress, role }
+   */
+  suspend: async (signerAddress, accountAddress, role) => {
+    return await api.post('/api/roles/suspend', {
+      signerAddress,
+      accountAddress,
+      role
+    });
+  },
+
+  /**
+   * Reinstate a suspended role (access control owner, or an organization admin for its members)
+   * POST /api/roles/reinstate
+   * 
+   * Body: { signerAddress, accountAddress, role }
+   */
+  reinstate: async (signerAddress, accountAddress, role) => {
+    return await api.post('/api/roles/reinstate', {
+      signerAddress,
+      accountAddress,
+      role
+    });
+  },
+
+  /**
+   * List time-limited roles expiring soon
+   * GET /api/roles/expiring?within=604800
+   * 
+   * Makes GET request and returns grants expiring within the given seconds, soonest first,
+   * including ones that have already expired.
+   */
+  getExpiring: async (within) => {
+    return await api.get('/api/roles/expiring', { params: within === undefined ? {} : { within } });
+  },
+
+  /**
+   * List role holders
+   * GET /api/roles/holders?role=PRODUCER
+   * 
+   * Makes GET request and returns holders with the time their role was granted.
+   * Omit role to list every address with an assigned role.
+   */
+  getHolders: async (role) => {
+    return await api.get('/api/roles/holders', { params: role === undefined || role === null ? {} : { role } });
+  },
+
+  /**
+   * Get the role history of an address
+   * GET /api/roles/history/:address
+   * 
+   * Makes GET request and returns the address's role grants and revocations, oldest first.
+   */
+  getHistory: async (address) => {
+    return await api.get(`/api/roles/history/${address}`);
+  }
+};
+
+/**
+ * Organization API calls
+ */
+export const organizationAPI = {
+  /**
+   * List organizations
+   * GET /api/organizations
+   * 
+   * Makes GET request and returns organizations with their member counts and admins.
+   */
+  list: async () => {
+    return await api.get('/api/organizations');
+  },
+
+  /**
+   * Get an organization with its members
+   * GET /api/organizations/:id
+   * 
+   * Makes GET request and returns the organization; each member lists its roles.
+   */
+  getById: async (organizationId) => {
+    return await api.get(`/api/organizations/${organizationId}`);
+  },
+
+  /**
+   * Get the organization of an address
+   * GET /api/organizations/account/:address
+   * 
+   * Makes GET request and returns { organizationId, organizationName, isAdmin }, or null.
+   */
+  getForAccount: async (address) => {
+    return await api.get(`/api/organizations/account/${address}`);
+  },
+
+  /**
+   * Register an organization (access control owner only)
+   * POST /api/organizations
+   * 
+   * Body: { signerAddress, name, adminAddress }
+   * 
+   * Makes POST request and returns organization ID and transaction hash.
+   */
+  register: async (signerAddress, name, adminAddress) => {
+    return await api.post('/api/organizations', {
+      signerAddress,
+      name,
+      adminAddress
+    });
+  },
+
+  /**
+   * Add a member (access control owner) or invite one (organization admin)
+   * POST /api/organizations/:id/members
+   * 
+   * Body: { signerAddress, accountAddress }
+   * 
+   * invited is true in the response when the account still has to accept.
+   */
+  addMember: async (signerAddress, organizationId, accountAddress) => {
+    return await api.post(`/api/organizations/${organizationId}/members`, {
+      signerAddress,
+      accountAddress
+    });
+  },
+
+  /**
+   * Accept an invitation to an organization
+   * POST /api/organizations/:id/accept
+   * 
+   * Body: { signerAddress }
+   */
+  acceptInvitation: async (signerAddress, organizationId) => {
+    return await api.post(`/api/organizations/${organizationId}/accept`, {
+      signerAddress
+    });
+  },
+
+  /**
+   * Remove a member (access control owner or organization admin)
+   * DELETE /api/organizations/:id/members/:address
+   * 
+   * The member must hold no operational roles.
+   */
+  removeMember: async (organizationId, accountAddress) => {
+    return await api.delete(`/api/organizations/${organizationId}/members/${accountAddress}`);
+  },
+
+  /**
+   * Make a member an organization admin (access control owner only)
+   * POST /api/organizations/:id/admins
+   * 
+   * Body: { signerAddress, accountAddress }
+   */
+  grantAdmin: async (signerAddress, organizationId, accountAddress) => {
+    return await api.post(`/api/organizations/${organizationId}/admins`, {
+      signerAddress,
+      accountAddress
+    });
+  },
+
+  /**
+   * Remove an organization admin (access control owner only)
+   * DELETE /api/organizations/:id/admins/:address
+   */
+  revokeAdmin: async (organizationId, accountAddress) => {
+    return await api.delete(`/api/organizations/${organizationId}/admins/${accountAddress}`);
+  }
+};
+
+/**
+ * Role request API calls
+ */
+export const roleRequestAPI = {
+  /**
+   * Apply for a role
+   * POST /api/role-requests
+   * 
+   * Body: { signerAddress, role, organizationName, documentHashes }
+   * 
+   * Makes POST request and returns request ID and transaction hash.
+   */
+  submit: async (signerAddress, role, organizationName, documentHashes) => {
+    return await api.post('/api/role-requests', {
+      signerAddress,
+      role,
+      organizationName,
+      documentHashes
+    });
+  },
+
+  /**
+   * List role requests
+   * GET /api/role-requests?status=PENDING&applicant=0x...
+   * 
+   * Makes GET request and returns requests, newest first. Both filters are optional.
+   */
+  list: async (filters = {}) => {
+    return await api.get('/api/role-requests', { params: filters });
+  },
+
+  /**
+   * Get a role request with its audit trail
+   * GET /api/role-requests/:id
+   */
+  getById: async (requestId) => {
+    return await api.get(`/api/role-requests/${requestId}`);
+  },
+
+  /**
+   * Approve a request, granting the role (access control owner or organization admin)
+   * POST /api/role-requests/:id/approve
+   * 
+   * Body: { signerAddress, validUntil }
+   */
+  approve: async (signerAddress, requestId, validUntil) => {
+    return await api.post(`/api/role-requests/${requestId}/approve`, {
+      signerAddress,
+      validUntil
+    });
+  },
+
+  /**
+   * Reject a request with a reason (access control owner or organization admin)
+   * POST /api/role-requests/:id/reject
+   * 
+   * Body: { signerAddress, reason }
+   */
+  reject: async (signerAddress, requestId, reason) => {
+    return await api.post(`/api/role-requests/${requestId}/reject`, {
+      signerAddress,
+      reason
+    });
+  }
+};
+
+/**
+ * Governance API calls
+ */
+export const governanceAPI = {
+  /**
+   * Get the signers, threshold, timelock and access control owner
+   * GET /api/governance
+   */
+  get: async () => {
+    return await api.get('/api/governance');
+  },
+
+  /**
+   * List proposals
+   * GET /api/governance/proposals?status=QUEUED
+   * 
+   * Makes GET request and returns proposals, newest first. The status filter is optional.
+   */
+  listProposals: async (filters = {}) => {
+    return await api.get('/api/governance/proposals', { params: filters });
+  },
+
+  /**
+   * Get a proposal with its history
+   * GET /api/governance/proposals/:id
+   */
+  getProposal: async (proposalId) => {
+    return await api.get(`/api/governance/proposals/${proposalId}`);
+  },
+
+  /**
+   * Propose a role, ownership or governance change (signers only)
+   * POST /api/governance/proposals
+   * 
+   * Body: { signerAddress, action, params, description }
+   */
+  propose: async (signerAddress, action, params, description) => {
+    return await api.post('/api/governance/proposals', {
+      signerAddress,
+      action,
+      params,
+      description
+    });
+  },
+
+  /**
+   * Approve, withdraw an approval of, execute or cancel a proposal (signers only)
+   * POST /api/governance/proposals/:id/approve|revoke|execute|cancel
+   * 
+   * Body: { signerAddress }
+   */
+  approve: async (signerAddress, proposalId) => {
+    return await api.post(`/api/governance/proposals/${proposalId}/approve`, { signerAddress });
+  },
+
+  revokeApproval: async (signerAddress, proposalId) => {
+    return await api.post(`/api/governance/proposals/${proposalId}/revoke`, { signerAddress });
+  },
+
+  execute: async (signerAddress, proposalId) => {
+    return await api.post(`/api/governance/proposals/${proposalId}/execute`, { signerAddress });
+  },
+
+  cancel: async (signerAddress, proposalId) => {
+    return await api.post(`/api/governance/proposals/${proposalId}/cancel`, { signerAddress });
+  },
+
+  /**
+   * Offer access control ownership to a new address (owner only)
+   * POST /api/governance/ownership/transfer
+   * 
+   * Body: { signerAddress, newOwner }
+   */
+  transferOwnership: async (signerAddress, newOwner) => {
+    return await api.post('/api/governance/ownership/transfer', { signerAddress, newOwner });
+  },
+
+  /**
+   * Accept a pending ownership offer (pending owner only)
+   * POST /api/governance/ownership/accept
+   */
+  acceptOwnership: async (signerAddress) => {
+    return await api.post('/api/governance/ownership/accept', { signerAddress });
+  },
+
+  /**
+   * Withdraw a pending ownership offer (owner only)
+   * POST /api/governance/ownership/cancel
+   */
+  cancelOwnershipTransfer: async (signerAddress) => {
+    return await api.post('/api/governance/ownership/cancel', { signerAddress });
+  }
+};
+
+/**
+ * Emergency stop API calls
+ */
+export const emergencyAPI = {
+  /**
+   * Get whether the supply chain is paused, why, and who the guardian is
+   * GET /api/emergency
+   */
+  getState: async () => {
+    return await api.get('/api/emergency');
+  },
+
+  /**
+   * Pause the supply chain (guardian only)
+   * POST /api/emergency/pause
+   * 
+   * Body: { signerAddress, reason }
+   */
+  pause: async (signerAddress, reason) => {
+    return await api.post('/api/emergency/pause', { signerAddress, reason });
+  },
+
+  /**
+   * Resume the supply chain (guardian only)
+   * POST /api/emergency/unpause
+   */
+  unpause: async (signerAddress) => {
+    return await api.post('/api/emergency/unpause', { signerAddress });
+  },
+
+  /**
+   * Appoint the guardian (access control owner only)
+   * POST /api/emergency/guardian
+   * 
+   * Body: { signerAddress, guardian }
+   */
+  setGuardian: async (signerAddress, guardian) => {
+    return await api.post('/api/emergency/guardian', { signerAddress, guardian });
+  }
+};
+
+/**
+ * Recall API calls
+ */
+export const recallAPI = {
+  /**
+   * Issue a recall (Regulator only)
+   * POST /api/recalls
+   * 
+   * Body: { scope, productId | batchId and producer | producer, reason, severity, signerAddress }
+   * 
+   * Makes POST request and returns recall ID and transaction hash.
+   */
+  issue: async (recallData) => {
+    return await api.post('/api/recalls', recallData);
+  },
+
+  /**
+   * List all recalls
+   * GET /api/recalls
+   * 
+   * Makes GET request and returns array of recalls.
+   */
+  list: async () => {
+    return await api.get('/api/recalls');
+  },
+
+  /**
+   * Get recall by ID
+   * GET /api/recalls/:id
+   * 
+   * Makes GET request and returns recall data.
+   */
+  getById: async (recallId) => {
+    return await api.get(`/api/recalls/${recallId}`);
+  },
+
+  /**
+   * Get the recall covering a product
+   * GET /api/recalls/product/:productId
+   * 
+   * Makes GET request and returns recall status and recall data (if any).
+   */
+  getForProduct: async (productId) => {
+    return await api.get(`/api/recalls/product/${productId}`);
+  },
+
+  /**
+   * Get current holders of recalled products
+   * GET /api/recalls/holders
+   * 
+   * Makes GET request and returns holders with their recalled products.
+   */
+  getHolders: async () => {
+    return await api.get('/api/recalls/holders');
+  }
+};
+
+/**
+ * Certificate API calls
+ */
+export const certificateAPI = {
+  /**
+   * Issue a certificate (Regulator, or Retailer for QUALITY certificates)
+   * POST /api/certificates
+   * 
+   * Body: { signerAddress, scope, productId | batchId and producer, certificateType, documentHash, expiresAt }
+   * 
+   * Makes POST request and returns certificate ID and transaction hash.
+   */
+  issue: async (certificateData) => {
+    return await api.post('/api/certificates', certificateData);
+  },
+
+  /**
+   * Revoke a certificate (its issuer or a Regulator)
+   * POST /api/certificates/:id/revoke
+   * 
+   * Body: { signerAddress, reason }
+   */
+  revoke: async (certificateId, signerAddress, reason) => {
+    return await api.post(`/api/certificates/${certificateId}/revoke`, { signerAddress, reason });
+  },
+
+  /**
+   * Get certificate by ID
+   * GET /api/certificates/:id
+   */
+  getById: async (certificateId) => {
+    return await api.get(`/api/certificates/${certificateId}`);
+  },
+
+  /**
+   * Get the certificates covering a product, including revoked and expired ones
+   * GET /api/certificates/product/:productId
+   */
+  getForProduct: async (productId) => {
+    return await api.get(`/api/certificates/product/${productId}`);
+  },
+
+  /**
+   * Get a stored quality or compliance certificate document by its hash
+   * GET /api/certificates/:hash
+   */
+  getDocument: async (hash) => {
+    return await api.get(`/api/certificates/${hash}`);
+  },
+
+  /**
+   * Verify a certificate document against the chain
+   * POST /api/certificates/verify
+   * 
+   * Body: { certificate }
+   * 
+   * Recomputes the certificate hash and returns where the product's on-chain records hold it.
+   * A verified document is kept by the backend so it can be fetched by hash.
+   */
+  verify: async (certificate) => {
+    return await api.post('/api/certificates/verify', { certificate });
+  }
+};
+
+/**
+ * Cold Chain API calls
+ */
+export const coldChainAPI = {
+  /**
+   * Set cold-chain limits (Producer of the product only)
+   * POST /api/coldchain/:productId/requirement
+   * 
+   * Body: { signerAddress, minTemperature, maxTemperature, maxExcursionMinutes }
+   * 
+   * Makes POST request and returns transaction hash.
+   */
+  setRequirement: async (productId, data) => {
+    return await api.post(`/api/coldchain/${productId}/requirement`, data);
+  },
+
+  /**
+   * Upload temperature logger readings
+   * POST /api/coldchain/:productId/readings
+   * 
+   * Body: { signerAddress, readings: [{ timestamp, temperature }] | csv, mode }
+   * 
+   * Makes POST request and returns transaction hash(es) and breach flag.
+   */
+  uploadReadings: async (productId, data) => {
+    return await api.post(`/api/coldchain/${productId}/readings`, data);
+  },
+
+  /**
+   * Get cold-chain log
+   * GET /api/coldchain/:productId
+   * 
+   * Makes GET request and returns requirement, readings, batches and breaches.
+   */
+  getLog: async (productId) => {
+    return await api.get(`/api/coldchain/${productId}`);
+  }
+};
+
+/**
+ * Live event stream
+ */
+export const eventAPI = {
+  /**
+   * Open a live event stream
+   * GET /api/events/stream?address=0x...&productId=1&events=TransferInitiated,ProductVerified
+   * 
+   * Filters take a value or an array of values; omitted filters match everything.
+   * Returns an EventSource that dispatches each contract event under its own name,
+   * with the event JSON as message data, and reconnects by itself.
+   */
+  openStream: ({ address, productId, events } = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ address, productId, events })) {
+      const values = [].concat(value ?? []).filter((item) => item !== '');
+      if (values.length > 0) {
+        params.set(key, values.join(','));
+      }
+    }
+    return new EventSource(`${API_BASE_URL}/api/events/stream?${params}`);
   }
 };
 
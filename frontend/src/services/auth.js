@@ -0,0 +1,142 @@
+/**
+ * Auth Service
+ * Sign-In With Ethereum (EIP-4361) sessions with the backend
+ * 
+ * The backend only accepts write requests from a signed-in wallet. Signing in asks
+ * MetaMask to sign a SIWE message with a backend-issued nonce and exchanges it for a
+ * session token. Tokens are kept per address in localStorage so switching accounts
+ * does not require signing again until a token expires.
+ */
+
+import { SiweMessage } from 'siwe';
+import { authAPI } from './api';
+
+const STORAGE_KEY = 'safebite.sessions';
+
+class AuthService {
+  constructor() {
+    this.pendingSignIns = new Map();
+  }
+
+  /**
+   * Load stored sessions
+   * @returns {Object} Sessions keyed by lowercase address: { token, expiresAt }
+   */
+  loadSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Save sessions
+   * @param {Object} sessions - Sessions keyed by lowercase address
+   */
+  saveSessions(sessions) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  }
+
+  /**
+   * Get a valid session token for an address
+   * 
+   * @param {string} address - Wallet address
+   * @returns {string|null} Token, or null if not signed in or expired
+   */
+  getToken(address) {
+    if (!address) {
+      return null;
+    }
+
+    const session = this.loadSessions()[address.toLowerCase()];
+    if (!session || session.expiresAt * 1000 <= Date.now()) {
+      return null;
+    }
+    return session.token;
+  }
+
+  /**
+   * Check if an address has a valid session
+   * 
+   * @param {string} address - Wallet address
+   * @returns {boolean} True if signed in
+   */
+  isSignedIn(address) {
+    return this.getToken(address) !== null;
+  }
+
+  /**
+   * Sign in with the connected wallet
+   * 
+   * @param {ethers.Signer} signer - MetaMask signer
+   * @returns {Promise<string>} Session token
+   * 
+   * Fetches a nonce, builds a SIWE message for this site, asks the wallet to sign it,
+   * and stores the token returned by the backend. Concurrent calls for the same address
+   * share one signature request.
+   */
+  async signIn(signer) {
+    const address = await signer.getAddress();
+    const key = address.toLowerCase();
+
+    if (!this.pendingSignIns.has(key)) {
+      const pending = this.requestSession(signer, address).finally(() => {
+        this.pendingSignIns.delete(key);
+      });
+      this.pendingSignIns.set(key, pending);
+    }
+    return this.pendingSignIns.get(key);
+  }
+
+  /**
+   * Sign a SIWE message and exchange it for a session token
+   * 
+   * @param {ethers.Signer} signer - MetaMask signer
+   * @param {string} address - Signer address
+   * @returns {Promise<string>} Session token
+   */
+  async requestSession(signer, address) {
+    const nonceResponse = await authAPI.getNonce();
+    const network = await signer.provider.getNetwork();
+
+    const message = new SiweMessage({
+      domain: window.location.host,
+      address: address,
+      statement: 'Sign in to SafeBite to record supply chain actions with this account.',
+      uri: window.location.origin,
+      version: '1',
+      chainId: Number(network.chainId),
+      nonce: nonceResponse.data.nonce
+    }).prepareMessage();
+
+    const signature = await signer.signMessage(message);
+    const response = await authAPI.verify(message, signature);
+
+    const sessions = this.loadSessions();
+    sessions[address.toLowerCase()] = {
+      token: response.data.token,
+      expiresAt: response.data.expiresAt
+    };
+    this.saveSessions(sessions);
+
+    return response.data.token;
+  }
+
+  /**
+   * Forget the session of an address
+   * 
+   * @param {string} address - Wallet address
+   */
+  signOut(address) {
+    if (!address) {
+      return;
+    }
+
+    const sessions = this.loadSessions();
+    delete sessions[address.toLowerCase()];
+    this.saveSessions(sessions);
+  }
+}
+
+export default new AuthService();
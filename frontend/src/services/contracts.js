@@ -2,38 +2,133 @@
  * Contract Service
  * Handles smart contract interactions using Ethers.js
  * 
- * TODO: Implement contract interactions
- * - Load contract ABIs
- * - Create contract instances
- * - Implement all contract function calls
- * - Handle transaction signing
+ * Contract addresses and ABIs come from the backend (GET /api/contracts). Reads go
+ * through the wallet's BrowserProvider and writes are signed by the connected account
+ * in MetaMask, so no backend-held key is involved.
  */
 
 import { ethers } from 'ethers';
 import web3Service from './web3';
-import { roleAPI } from './api';
+import { roleAPI, contractAPI, certificateAPI } from './api';
+import { ROLES } from '../utils/constants';
+import { buildCertificateDocument, generateCertificateHash, mergeCertificateMetadata } from '../utils/helpers';
 
 class ContractService {
   constructor() {
     this.accessControlContract = null;
     this.supplyChainContract = null;
+    this.recallContract = null;
+    this.coldChainContract = null;
     this.contractAddresses = null;
+    this.chainId = null;
+    this.deploymentPromise = null;
+    this.provider = null;
   }
 
   /**
    * Initialize contracts with addresses and ABIs
    * 
-   * TODO:
-   * 1. Load contract addresses from environment variables
-   * 2. Load contract ABIs (from backend API or import from artifacts)
-   * 3. Get provider from web3Service
-   * 4. Create contract instances using ethers.Contract(address, abi, provider)
-   * 5. Store contract instances
+   * Loads the deployment from the backend once, then creates contract instances on the
+   * wallet's current provider (recreated when the wallet reconnects).
+   * 
+   * @throws {Error} If no wallet is connected or the wallet is on a different chain
    */
   async initialize() {
-    // TODO: Load addresses from env
-    // TODO: Load ABIs
-    // TODO: Create contract instances
+    const provider = web3Service.getProvider();
+    if (!provider) {
+      throw new Error('Connect your wallet to use the contracts');
+    }
+
+    if (!this.deploymentPromise) {
+      this.deploymentPromise = contractAPI.getDeployment()
+        .then((response) => response.data)
+        .catch((error) => {
+          // Allow a retry once the backend is reachable
+          this.deploymentPromise = null;
+          throw new Error(error.response?.data?.message || 'Failed to load contract deployment');
+        });
+    }
+    const deployment = await this.deploymentPromise;
+
+    if (this.provider !== provider) {
+      const { accessControl, supplyChain, recalls, coldChain } = deployment.contracts;
+      this.accessControlContract = new ethers.Contract(accessControl.address, accessControl.abi, provider);
+      this.supplyChainContract = new ethers.Contract(supplyChain.address, supplyChain.abi, provider);
+      this.recallContract = new ethers.Contract(recalls.address, recalls.abi, provider);
+      this.coldChainContract = new ethers.Contract(coldChain.address, coldChain.abi, provider);
+      this.contractAddresses = {
+        accessControl: accessControl.address,
+        supplyChain: supplyChain.address,
+        recalls: recalls.address,
+        coldChain: coldChain.address
+      };
+      this.chainId = deployment.chainId;
+      this.provider = provider;
+    }
+
+    const network = await provider.getNetwork();
+    if (Number(network.chainId) !== this.chainId) {
+      throw new Error(`Wallet is on chain ${network.chainId}; switch to chain ${this.chainId}`);
+    }
+  }
+
+  /**
+   * Send a transaction signed by the connected wallet
+   * 
+   * @param {string} contractKey - Contract instance property, e.g. 'supplyChainContract'
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {string} action - Action description used in error messages
+   * @param {Object} options - { onSubmitted(hash) } called once the wallet has sent the transaction
+   * @returns {Promise<Object>} Mined transaction receipt
+   */
+  async sendTransaction(contractKey, method, args, action, options = {}) {
+    await this.initialize();
+
+    const signer = web3Service.getSigner();
+    if (!signer) {
+      throw new Error('Connect your wallet to sign transactions');
+    }
+
+    try {
+      const tx = await this[contractKey].connect(signer)[method](...args);
+      if (options.onSubmitted) {
+        options.onSubmitted(tx.hash);
+      }
+      return await tx.wait();
+    } catch (error) {
+      throw new Error(`Failed to ${action}: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get a readable message from an ethers or wallet error
+   * 
+   * @param {Error} error - Error thrown while sending a transaction
+   * @returns {string} Revert reason, custom error with its arguments, wallet rejection or error message
+   */
+  getErrorMessage(error) {
+    if (error.code === 'ACTION_REJECTED' || error.info?.error?.code === 4001) {
+      return 'transaction rejected in wallet';
+    }
+    if (error.revert) {
+      return `${error.revert.name}(${error.revert.args.join(', ')})`;
+    }
+    return error.reason || error.shortMessage || error.message;
+  }
+
+  /**
+   * Format a mined transaction receipt like the backend's write responses
+   * 
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object} { transactionHash, blockNumber, gasUsed }
+   */
+  formatReceipt(receipt) {
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
   }
 
   /**
@@ -58,19 +153,37 @@ class ContractService {
     }
   }
 
+  /**
+   * Get all roles of a user
+   * 
+   * @param {string} address - User address
+   * @returns {Promise<Array<number>>} Role enum values, empty if the user has no assigned role
+   * 
+   * Calls backend API like getUserRole(); an account can hold several roles.
+   */
+  async getUserRoles(address) {
+    try {
+      const response = await roleAPI.check(address);
+      if (response.data && response.data.success) {
+        return response.data.roles || [];
+      }
+      return [];
+    } catch (error) {
+      console.error('Failed to get user roles:', error);
+      return []; // Treat as CONSUMER on error
+    }
+  }
+
   /**
    * Check if user has role
    * 
    * @param {string} address - User address
    * @param {number} role - Role enum value
    * @returns {Promise<boolean>} True if user has role
-   * 
-   * TODO:
-   * 1. Call accessControlContract.hasRole(address, role)
-   * 2. Return boolean
    */
   async hasRole(address, role) {
-    // TODO: Call contract function
+    await this.initialize();
+    return await this.accessControlContract.hasRole(address, role);
   }
 
   /**
@@ -80,18 +193,79 @@ class ContractService {
    * @param {string} batchId - Batch ID
    * @param {string} origin - Origin location
    * @param {string} metadataHash - Metadata hash
+   * @param {Object} dates - { productionDate, bestBeforeDate, useByDate } in Unix seconds (0 = not set)
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt with productId
+   * 
+   * Reads the new product ID from the ProductRegistered event.
+   */
+  async registerProduct(name, batchId, origin, metadataHash, dates = {}, options = {}) {
+    const { productionDate = 0, bestBeforeDate = 0, useByDate = 0 } = dates;
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'registerProduct',
+      [name, batchId, origin, metadataHash || '', productionDate, bestBeforeDate, useByDate],
+      'register product',
+      options
+    );
+
+    return {
+      ...this.formatReceipt(receipt),
+      productId: this.getRegisteredProductId(receipt)
+    };
+  }
+
+  /**
+   * Register a composite product made from input products
+   * 
+   * @param {string} name - Product name
+   * @param {string} batchId - Batch ID
+   * @param {string} origin - Origin location
+   * @param {string} metadataHash - Metadata hash
+   * @param {Object} dates - { productionDate, bestBeforeDate, useByDate } in Unix seconds (0 = not set)
+   * @param {Array<Object>} inputs - [{ productId, portion }] with portion in basis points
+   * @param {Object} options - { onSubmitted(hash) }
    * @returns {Promise<Object>} Transaction receipt with productId
+   */
+  async registerCompositeProduct(name, batchId, origin, metadataHash, dates, inputs, options = {}) {
+    const { productionDate = 0, bestBeforeDate = 0, useByDate = 0 } = dates || {};
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'registerCompositeProduct',
+      [
+        name,
+        batchId,
+        origin,
+        metadataHash || '',
+        productionDate,
+        bestBeforeDate,
+        useByDate,
+        inputs.map((input) => ({ productId: input.productId, portion: input.portion }))
+      ],
+      'register composite product',
+      options
+    );
+
+    return {
+      ...this.formatReceipt(receipt),
+      productId: this.getRegisteredProductId(receipt)
+    };
+  }
+
+  /**
+   * Get the product ID from a registration receipt
    * 
-   * TODO:
-   * 1. Get signer from web3Service
-   * 2. Connect supplyChainContract to signer
-   * 3. Call registerProduct(name, batchId, origin, metadataHash)
-   * 4. Wait for transaction
-   * 5. Parse events to get productId
-   * 6. Return transaction hash and productId
+   * @param {Object} receipt - Transaction receipt
+   * @returns {number|null} Product ID from the ProductRegistered event
    */
-  async registerProduct(name, batchId, origin, metadataHash) {
-    // TODO: Implement product registration
+  getRegisteredProductId(receipt) {
+    for (const log of receipt.logs) {
+      const parsedLog = this.supplyChainContract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === 'ProductRegistered') {
+        return Number(parsedLog.args.productId);
+      }
+    }
+    return null;
   }
 
   /**
@@ -100,13 +274,72 @@ class ContractService {
    * @param {number} productId - Product ID
    * @returns {Promise<Object>} Product data
    * 
-   * TODO:
-   * 1. Call supplyChainContract.getProduct(productId)
-   * 2. Get current owner, status, authentic status
-   * 3. Return formatted product object
+   * Combines getProduct with the product's dates, owner, status, authenticity,
+   * recall and cold-chain flags.
    */
   async getProduct(productId) {
-    // TODO: Call contract and format response
+    await this.initialize();
+
+    const [productData, dates, currentOwner, status, isAuthentic, isRecalled, isColdChainCompromised] = await Promise.all([
+      this.supplyChainContract.getProduct(productId),
+      this.supplyChainContract.getProductDates(productId),
+      this.supplyChainContract.getCurrentOwner(productId),
+      this.supplyChainContract.getProductStatus(productId),
+      this.supplyChainContract.isProductAuthentic(productId),
+      this.recallContract.isProductRecalled(productId),
+      this.coldChainContract.isCompromised(productId)
+    ]);
+
+    return {
+      id: Number(productId),
+      name: productData.name,
+      batchId: productData.batchId,
+      producer: productData.producer,
+      createdAt: Number(productData.createdAt),
+      origin: productData.origin,
+      metadataHash: productData.metadataHash,
+      productionDate: Number(dates.productionDate),
+      bestBeforeDate: Number(dates.bestBeforeDate),
+      useByDate: Number(dates.useByDate),
+      currentOwner,
+      status: Number(status),
+      isAuthentic,
+      isRecalled,
+      isColdChainCompromised
+    };
+  }
+
+  /**
+   * Update product status (current owner only)
+   * 
+   * @param {number} productId - Product ID
+   * @param {number} newStatus - Status enum value
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async updateStatus(productId, newStatus, options = {}) {
+    const receipt = await this.sendTransaction('supplyChainContract', 'updateStatus', [productId, newStatus], 'update status', options);
+    return this.formatReceipt(receipt);
+  }
+
+  /**
+   * Attach a certificate to a product's metadata (current owner only)
+   * 
+   * @param {number} productId - Product ID
+   * @param {string} certificateType - Metadata key for the certificate (e.g. "organic")
+   * @param {string} certificateHash - Certificate hash or reference
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt with the stored metadataHash
+   * 
+   * Merges the certificate into the product's current metadata before storing it.
+   */
+  async attachCertificate(productId, certificateType, certificateHash, options = {}) {
+    await this.initialize();
+
+    const product = await this.supplyChainContract.getProduct(productId);
+    const metadataHash = mergeCertificateMetadata(product.metadataHash, certificateType, certificateHash);
+    const receipt = await this.sendTransaction('supplyChainContract', 'updateProductMetadata', [productId, metadataHash], 'update metadata', options);
+    return { ...this.formatReceipt(receipt), metadataHash };
   }
 
   /**
@@ -115,16 +348,78 @@ class ContractService {
    * @param {number} productId - Product ID
    * @param {string} toAddress - Recipient address
    * @param {string} shipmentDetails - Shipment details
-   * @returns {Promise<string>} Transaction hash
+   * @param {number} timeout - Seconds the recipient has to accept (0 = no deadline)
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
+   * 
+   * Starts a pending transfer; custody moves once the recipient accepts it.
+   */
+  async transferOwnership(productId, toAddress, shipmentDetails, timeout = 0, options = {}) {
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'transferOwnership',
+      [productId, toAddress, shipmentDetails || '', timeout],
+      'transfer ownership',
+      options
+    );
+    return this.formatReceipt(receipt);
+  }
+
+  /**
+   * Transfer several products to the same recipient
+   * 
+   * @param {Array<number>} productIds - Product IDs
+   * @param {string} toAddress - Recipient address
+   * @param {string} shipmentDetails - Shipment details
+   * @param {number} timeout - Seconds the recipient has to accept (0 = no deadline)
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async batchTransferOwnership(productIds, toAddress, shipmentDetails, timeout = 0, options = {}) {
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'batchTransferOwnership',
+      [productIds, toAddress, shipmentDetails || '', timeout],
+      'batch transfer ownership',
+      options
+    );
+    return this.formatReceipt(receipt);
+  }
+
+  /**
+   * Accept a pending transfer (recipient only)
+   * 
+   * @param {number} productId - Product ID
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async acceptTransfer(productId, options = {}) {
+    const receipt = await this.sendTransaction('supplyChainContract', 'acceptTransfer', [productId], 'accept transfer', options);
+    return this.formatReceipt(receipt);
+  }
+
+  /**
+   * Reject a pending transfer (recipient only)
    * 
-   * TODO:
-   * 1. Get signer and connect contract
-   * 2. Call transferOwnership(productId, toAddress, shipmentDetails)
-   * 3. Wait for transaction
-   * 4. Return transaction hash
+   * @param {number} productId - Product ID
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
    */
-  async transferOwnership(productId, toAddress, shipmentDetails) {
-    // TODO: Implement ownership transfer
+  async rejectTransfer(productId, options = {}) {
+    const receipt = await this.sendTransaction('supplyChainContract', 'rejectTransfer', [productId], 'reject transfer', options);
+    return this.formatReceipt(receipt);
+  }
+
+  /**
+   * Cancel a pending transfer (current owner only)
+   * 
+   * @param {number} productId - Product ID
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async cancelTransfer(productId, options = {}) {
+    const receipt = await this.sendTransaction('supplyChainContract', 'cancelTransfer', [productId], 'cancel transfer', options);
+    return this.formatReceipt(receipt);
   }
 
   /**
@@ -132,16 +427,88 @@ class ContractService {
    * 
    * @param {number} productId - Product ID
    * @param {string} notes - Verification notes
+   * @param {Object} options - { onSubmitted(hash) }
    * @returns {Promise<Object>} Verification result
    * 
-   * TODO:
-   * 1. Get signer and connect contract
-   * 2. Call verifyAuthenticity(productId, notes)
-   * 3. Wait for transaction
-   * 4. Return result with isValid boolean
+   * Reads the authenticity flag after the transaction is mined and returns it as isValid.
+   */
+  async verifyAuthenticity(productId, notes, options = {}) {
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'verifyAuthenticity',
+      [productId, notes || ''],
+      'verify authenticity',
+      options
+    );
+
+    return {
+      ...this.formatReceipt(receipt),
+      isValid: await this.supplyChainContract.isProductAuthentic(productId)
+    };
+  }
+
+  /**
+   * Build the certificate a quality check records for the connected account
+   * 
+   * @param {number} productId - Product ID
+   * @param {number} qualityScore - Quality score (0-100)
+   * @param {string} notes - Quality check notes
+   * @returns {Object} { certificate, hash } - Quality certificate document and its hash
+   * 
+   * A passing check records the hash as a QUALITY certificate in the certificate registry.
+   * Also used to build backend-relayed checks, whose signed request carries the hash.
+   */
+  buildQualityCertificate(productId, qualityScore, notes) {
+    const certificate = buildCertificateDocument({
+      productId,
+      type: 'QUALITY_CHECK',
+      verifier: web3Service.getAccount(),
+      result: qualityScore,
+      notes: notes || '',
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return { certificate, hash: generateCertificateHash(certificate) };
+  }
+
+  /**
+   * Build the certificate a compliance check records for the connected account
+   * 
+   * @param {number} productId - Product ID
+   * @param {boolean} compliant - Compliance result
+   * @param {string} notes - Compliance check notes
+   * @param {string} certificateHash - Certificate hash (generated if empty and compliant)
+   * @returns {Object} { certificate, hash } - The hash is recorded as a COMPLIANCE certificate if
+   *   compliant; certificate is the generated document, or null when the hash was given or not needed
+   */
+  buildComplianceCertificate(productId, compliant, notes, certificateHash) {
+    if (!compliant || certificateHash) {
+      return { certificate: null, hash: certificateHash || '' };
+    }
+    const certificate = buildCertificateDocument({
+      productId,
+      type: 'COMPLIANCE',
+      verifier: web3Service.getAccount(),
+      result: compliant,
+      notes: notes || 'Compliance certificate',
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return { certificate, hash: generateCertificateHash(certificate) };
+  }
+
+  /**
+   * Hand a recorded check certificate to the backend's certificate store
+   * 
+   * @param {Object} certificate - Certificate document whose hash was just recorded
+   * 
+   * The backend keeps documents that match the chain. Failing to store one does not
+   * undo the check, so errors are only logged.
    */
-  async verifyAuthenticity(productId, notes) {
-    // TODO: Implement authenticity verification
+  async storeCertificate(certificate) {
+    try {
+      await certificateAPI.verify(certificate);
+    } catch (error) {
+      console.warn('Could not store certificate:', error.message);
+    }
   }
 
   /**
@@ -150,16 +517,38 @@ class ContractService {
    * @param {number} productId - Product ID
    * @param {number} qualityScore - Quality score (0-100)
    * @param {string} notes - Quality check notes
-   * @returns {Promise<string>} Transaction hash
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt with qualityCertificateHash, isAuthentic and autoVerified
    * 
-   * TODO:
-   * 1. Get signer and connect contract
-   * 2. Call performQualityCheck(productId, qualityScore, notes)
-   * 3. Wait for transaction
-   * 4. Return transaction hash
+   * Generates a quality certificate hash, which the contract records as a QUALITY
+   * certificate if the check passes, and stores the certificate with the backend once mined.
+   * A passing check by a regulator can complete authenticity verification; autoVerified
+   * reports whether it did.
    */
-  async performQualityCheck(productId, qualityScore, notes) {
-    // TODO: Implement quality check
+  async performQualityCheck(productId, qualityScore, notes, options = {}) {
+    const signerAddress = web3Service.getAccount();
+    const { certificate, hash: qualityCertificateHash } = this.buildQualityCertificate(productId, qualityScore, notes);
+
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'performQualityCheck',
+      [productId, qualityScore, notes || '', qualityCertificateHash],
+      'perform quality check',
+      options
+    );
+    await this.storeCertificate(certificate);
+
+    let isAuthentic = false;
+    if (qualityScore >= 50 && await this.hasRole(signerAddress, ROLES.REGULATOR)) {
+      isAuthentic = await this.supplyChainContract.isProductAuthentic(productId);
+    }
+
+    return {
+      ...this.formatReceipt(receipt),
+      qualityCertificateHash,
+      isAuthentic,
+      autoVerified: isAuthentic
+    };
   }
 
   /**
@@ -167,17 +556,36 @@ class ContractService {
    * 
    * @param {number} productId - Product ID
    * @param {boolean} compliant - Compliance result
-   * @param {string} certificateHash - Certificate hash
-   * @returns {Promise<string>} Transaction hash
+   * @param {string} notes - Compliance check notes
+   * @param {string} certificateHash - Certificate hash (generated if empty and compliant)
+   * @param {Object} options - { onSubmitted(hash) }
+   * @returns {Promise<Object>} Transaction receipt with certificateHash, isAuthentic and autoVerified
    * 
-   * TODO:
-   * 1. Get signer and connect contract
-   * 2. Call checkCompliance(productId, compliant, certificateHash)
-   * 3. Wait for transaction
-   * 4. Return transaction hash
+   * For compliant products the certificate is recorded as a COMPLIANCE certificate;
+   * a generated one is stored with the backend once mined.
    */
-  async checkCompliance(productId, compliant, certificateHash) {
-    // TODO: Implement compliance check
+  async checkCompliance(productId, compliant, notes, certificateHash, options = {}) {
+    const { certificate, hash: finalCertificateHash } = this.buildComplianceCertificate(productId, compliant, notes, certificateHash);
+
+    const receipt = await this.sendTransaction(
+      'supplyChainContract',
+      'checkCompliance',
+      [productId, compliant, notes || '', finalCertificateHash],
+      'check compliance',
+      options
+    );
+    if (certificate) {
+      await this.storeCertificate(certificate);
+    }
+
+    const isAuthentic = compliant ? await this.supplyChainContract.isProductAuthentic(productId) : false;
+
+    return {
+      ...this.formatReceipt(receipt),
+      certificateHash: finalCertificateHash,
+      isAuthentic,
+      autoVerified: isAuthentic
+    };
   }
 
   /**
@@ -185,30 +593,22 @@ class ContractService {
    * 
    * @param {number} productId - Product ID
    * @returns {Promise<Array>} Journey events array
-   * 
-   * TODO:
-   * 1. Call supplyChainContract.getProductJourney(productId)
-   * 2. Return journey array
    */
   async getProductJourney(productId) {
-    // TODO: Call contract function
+    await this.initialize();
+    return [...await this.supplyChainContract.getProductJourney(productId)];
   }
 
   /**
    * Get complete provenance
    * 
    * @param {number} productId - Product ID
-   * @returns {Promise<Object>} Provenance data
-   * 
-   * TODO:
-   * 1. Call supplyChainContract.getCompleteProvenance(productId)
-   * 2. Parse JSON string
-   * 3. Return provenance object
+   * @returns {Promise<Object>} Provenance data parsed from the contract's JSON string
    */
   async getCompleteProvenance(productId) {
-    // TODO: Call contract and parse JSON
+    await this.initialize();
+    return JSON.parse(await this.supplyChainContract.getCompleteProvenance(productId));
   }
 }
 
 export default new ContractService();
-
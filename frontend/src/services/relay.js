@@ -0,0 +1,59 @@
+/**
+ * Relay Service
+ * Signs meta-transaction requests for the backend relayer
+ * 
+ * In backend-relayed mode, registrations, transfers, transfer acceptances and rejections,
+ * quality checks and compliance checks are signed as EIP-712 typed data in MetaMask. The
+ * backend verifies the signature and submits it through the forwarder contract from its relayer wallet, which pays the gas,
+ * while the contract records the action as the signer's.
+ */
+
+import web3Service from './web3';
+import { relayAPI } from './api';
+
+// How long a signed request stays valid
+const REQUEST_TTL_SECONDS = 10 * 60;
+
+class RelayService {
+  /**
+   * Sign a request with the connected wallet
+   * 
+   * @param {string} type - Request type: RegisterProduct, TransferOwnership, AcceptTransfer,
+   *   RejectTransfer, QualityCheck or ComplianceCheck
+   * @param {Object} fields - Request fields without signer, nonce and deadline; omitted
+   *   fields are signed as 0 or an empty string
+   * @returns {Promise<Object>} { nonce, deadline, signature } to add to the API request body
+   * 
+   * Fetches the EIP-712 domain, types and the account's next nonce from the backend, and
+   * asks the wallet to sign the request with a deadline REQUEST_TTL_SECONDS from now.
+   */
+  async signRequest(type, fields) {
+    const signer = web3Service.getSigner();
+    if (!signer) {
+      throw new Error('Connect your wallet to sign requests');
+    }
+
+    const address = await signer.getAddress();
+    const { domain, types, nonce } = (await relayAPI.getInfo(address)).data;
+    const deadline = Math.floor(Date.now() / 1000) + REQUEST_TTL_SECONDS;
+
+    const message = { signer: address, nonce, deadline };
+    for (const { name, type: fieldType } of types[type]) {
+      if (!(name in message)) {
+        message[name] = fields[name] ?? (fieldType === 'string' ? '' : 0);
+      }
+    }
+
+    try {
+      const signature = await signer.signTypedData(domain, { [type]: types[type] }, message);
+      return { nonce, deadline, signature };
+    } catch (error) {
+      if (error.code === 'ACTION_REJECTED' || error.info?.error?.code === 4001) {
+        throw new Error('Request rejected in wallet');
+      }
+      throw error;
+    }
+  }
+}
+
+export default new RelayService();
@@ -27,7 +27,8 @@ export const PRODUCT_STATUS = {
   SHIPPED: 1,
   RECEIVED: 2,
   STORED: 3,
-  DELIVERED: 4
+  DELIVERED: 4,
+  EXPIRED: 5
 };
 
 // Product status names
@@ -36,7 +37,19 @@ export const STATUS_NAMES = {
   [PRODUCT_STATUS.SHIPPED]: 'Shipped',
   [PRODUCT_STATUS.RECEIVED]: 'Received',
   [PRODUCT_STATUS.STORED]: 'Stored',
-  [PRODUCT_STATUS.DELIVERED]: 'Delivered'
+  [PRODUCT_STATUS.DELIVERED]: 'Delivered',
+  [PRODUCT_STATUS.EXPIRED]: 'Expired'
+};
+
+// Statuses a product's owner can move it to from each status (mirrors SafeBiteSupplyChain.updateStatus)
+// Any status before DELIVERED can also be marked EXPIRED to pull spoiled goods early
+export const STATUS_TRANSITIONS = {
+  [PRODUCT_STATUS.CREATED]: [PRODUCT_STATUS.SHIPPED, PRODUCT_STATUS.EXPIRED],
+  [PRODUCT_STATUS.SHIPPED]: [PRODUCT_STATUS.RECEIVED, PRODUCT_STATUS.EXPIRED],
+  [PRODUCT_STATUS.RECEIVED]: [PRODUCT_STATUS.STORED, PRODUCT_STATUS.DELIVERED, PRODUCT_STATUS.EXPIRED],
+  [PRODUCT_STATUS.STORED]: [PRODUCT_STATUS.DELIVERED, PRODUCT_STATUS.EXPIRED],
+  [PRODUCT_STATUS.DELIVERED]: [],
+  [PRODUCT_STATUS.EXPIRED]: []
 };
 
 // Verification type enum values (must match contract)
@@ -55,6 +68,80 @@ export const VERIFICATION_TYPE_NAMES = {
   [VERIFICATION_TYPES.COMPLIANCE]: 'Compliance Check'
 };
 
+// Certificate type enum values (must match SafeBiteCertificates)
+export const CERTIFICATE_TYPES = {
+  QUALITY: 0,
+  COMPLIANCE: 1,
+  ORGANIC: 2,
+  HALAL: 3,
+  KOSHER: 4,
+  FAIR_TRADE: 5,
+  LAB_REPORT: 6,
+  OTHER: 7
+};
+
+// Certificate type names
+export const CERTIFICATE_TYPE_NAMES = {
+  [CERTIFICATE_TYPES.QUALITY]: 'Quality',
+  [CERTIFICATE_TYPES.COMPLIANCE]: 'Compliance',
+  [CERTIFICATE_TYPES.ORGANIC]: 'Organic',
+  [CERTIFICATE_TYPES.HALAL]: 'Halal',
+  [CERTIFICATE_TYPES.KOSHER]: 'Kosher',
+  [CERTIFICATE_TYPES.FAIR_TRADE]: 'Fair Trade',
+  [CERTIFICATE_TYPES.LAB_REPORT]: 'Lab Report',
+  [CERTIFICATE_TYPES.OTHER]: 'Other'
+};
+
+// How write transactions are signed
+export const SIGNING_MODES = {
+  WALLET: 'wallet',
+  RELAYED: 'relayed'
+};
+
+// Signing mode names
+export const SIGNING_MODE_NAMES = {
+  [SIGNING_MODES.WALLET]: 'Wallet-signed',
+  [SIGNING_MODES.RELAYED]: 'Backend-relayed'
+};
+
+// Contract events served by the live event stream
+export const STREAM_EVENTS = {
+  PRODUCT_REGISTERED: 'ProductRegistered',
+  TRANSFER_INITIATED: 'TransferInitiated',
+  TRANSFER_REJECTED: 'TransferRejected',
+  TRANSFER_CANCELLED: 'TransferCancelled',
+  OWNERSHIP_TRANSFERRED: 'OwnershipTransferred',
+  STATUS_UPDATED: 'StatusUpdated',
+  PRODUCT_VERIFIED: 'ProductVerified',
+  ROLE_GRANTED: 'RoleGranted',
+  ROLE_REVOKED: 'RoleRevoked',
+  ROLE_VALIDITY_CHANGED: 'RoleValidityChanged',
+  ROLE_SUSPENDED: 'RoleSuspended',
+  ROLE_REINSTATED: 'RoleReinstated',
+  ROLE_REQUESTED: 'RoleRequested',
+  ROLE_REQUEST_APPROVED: 'RoleRequestApproved',
+  ROLE_REQUEST_REJECTED: 'RoleRequestRejected',
+  OWNERSHIP_TRANSFER_STARTED: 'OwnershipTransferStarted',
+  PROPOSAL_CREATED: 'ProposalCreated',
+  PROPOSAL_APPROVED: 'ProposalApproved',
+  APPROVAL_REVOKED: 'ApprovalRevoked',
+  PROPOSAL_QUEUED: 'ProposalQueued',
+  PROPOSAL_EXECUTED: 'ProposalExecuted',
+  PROPOSAL_CANCELLED: 'ProposalCancelled',
+  GUARDIAN_UPDATED: 'GuardianUpdated',
+  PAUSED: 'Paused',
+  UNPAUSED: 'Unpaused',
+  CERTIFICATE_ISSUED: 'CertificateIssued',
+  CERTIFICATE_REVOKED: 'CertificateRevoked'
+};
+
+// Role request review states, in SafeBiteAccessRoles.RequestStatus order
+export const REQUEST_STATUS = {
+  PENDING: 0,
+  APPROVED: 1,
+  REJECTED: 2
+};
+
 // Network configuration
 export const NETWORK_CONFIG = {
   localhost: {
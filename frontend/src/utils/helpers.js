@@ -3,6 +3,7 @@
  * Common utility functions
  */
 
+import { ethers } from 'ethers';
 import { ROLE_NAMES, STATUS_NAMES } from './constants';
 
 /**
@@ -125,3 +126,58 @@ export function isValidProductId(productId) {
   return Number.isInteger(productId) && productId > 0;
 }
 
+/**
+ * Build the certificate document for a quality or compliance check
+ * 
+ * @param {Object} data - { productId, type, verifier, result, notes, timestamp }
+ * @returns {Object} Certificate with its fields in canonical order and the verifier lowercased
+ * 
+ * This is the object generateCertificateHash hashes and the backend's certificate store keeps.
+ */
+export function buildCertificateDocument(data) {
+  const { productId, type, verifier, result, notes = '', timestamp } = data;
+  return {
+    productId,
+    type,
+    verifier: verifier.toLowerCase(),
+    result,
+    notes,
+    timestamp
+  };
+}
+
+/**
+ * Generate a certificate hash for quality or compliance checks
+ * 
+ * @param {Object} data - { productId, type, verifier, result, notes, timestamp }
+ * @returns {string} SHA256 hash of the certificate data (hex string with 0x prefix)
+ * 
+ * Matches the backend's generateCertificateHash so wallet-signed checks store
+ * the same certificates as backend-relayed ones.
+ */
+export function generateCertificateHash(data) {
+  return ethers.sha256(ethers.toUtf8Bytes(JSON.stringify(buildCertificateDocument(data))));
+}
+
+/**
+ * Merge a certificate hash into a product's metadata hash
+ * 
+ * @param {string} existingHash - Existing metadata hash (JSON, plain hash or empty)
+ * @param {string} type - Certificate type ('quality' or 'compliance')
+ * @param {string} newHash - Certificate hash to add or replace
+ * @returns {string} Merged metadata as a JSON string
+ * 
+ * A plain existing hash is kept under 'legacy'.
+ */
+export function mergeCertificateMetadata(existingHash, type, newHash) {
+  let metadata = {};
+  if (existingHash && existingHash.trim().length > 0) {
+    try {
+      metadata = existingHash.trim().startsWith('{') ? JSON.parse(existingHash) : { legacy: existingHash };
+    } catch (e) {
+      metadata = { legacy: existingHash };
+    }
+  }
+  metadata[type] = newHash;
+  return JSON.stringify(metadata);
+}
@@ -25,7 +25,12 @@ async function main() {
   const accessControl = await SafeBiteAccessRoles.deploy();
   await accessControl.waitForDeployment();
   const accessControlAddress = await accessControl.getAddress();
+  const startBlock = (await accessControl.deploymentTransaction().wait()).blockNumber;
   console.log("   ✅ SafeBiteAccessRoles deployed to:", accessControlAddress);
+  // Appoint the guardian who can pause the supply chain in an emergency
+  const guardian = process.env.GUARDIAN_ADDRESS || deployer.address;
+  await (await accessControl.setGuardian(guardian)).wait();
+  console.log("   🛑 Pause guardian:", guardian);
 
   // Step 2: Deploy Supply Chain Contract
   console.log("\n2️⃣  Deploying SafeBiteSupplyChain...");
@@ -35,14 +40,72 @@ async function main() {
   const supplyChainAddress = await supplyChain.getAddress();
   console.log("   ✅ SafeBiteSupplyChain deployed to:", supplyChainAddress);
 
-  // Step 3: Save deployment addresses to file
+  // Step 3: Deploy Recall Registry and connect it to the supply chain
+  console.log("\n3️⃣  Deploying SafeBiteRecalls...");
+  const SafeBiteRecalls = await hre.ethers.getContractFactory("SafeBiteRecalls");
+  const recalls = await SafeBiteRecalls.deploy(accessControlAddress, supplyChainAddress);
+  await recalls.waitForDeployment();
+  const recallsAddress = await recalls.getAddress();
+  await (await supplyChain.setRecallRegistry(recallsAddress)).wait();
+  console.log("   ✅ SafeBiteRecalls deployed to:", recallsAddress);
+
+  // Step 4: Deploy Cold Chain temperature log and connect it to the supply chain
+  console.log("\n4️⃣  Deploying SafeBiteColdChain...");
+  const SafeBiteColdChain = await hre.ethers.getContractFactory("SafeBiteColdChain");
+  const coldChain = await SafeBiteColdChain.deploy(supplyChainAddress);
+  await coldChain.waitForDeployment();
+  const coldChainAddress = await coldChain.getAddress();
+  await (await supplyChain.setColdChainRegistry(coldChainAddress)).wait();
+  console.log("   ✅ SafeBiteColdChain deployed to:", coldChainAddress);
+
+  // Step 5: Deploy the meta-transaction forwarder and let the supply chain trust it
+  console.log("\n5️⃣  Deploying SafeBiteForwarder...");
+  const SafeBiteForwarder = await hre.ethers.getContractFactory("SafeBiteForwarder");
+  const forwarder = await SafeBiteForwarder.deploy(supplyChainAddress);
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  await (await supplyChain.setTrustedForwarder(forwarderAddress)).wait();
+  console.log("   ✅ SafeBiteForwarder deployed to:", forwarderAddress);
+
+  // Step 6: Deploy the multi-signature governance for the access control contract
+  // The deployer keeps ownership for local development; see README for handing it over
+  console.log("\n6️⃣  Deploying SafeBiteGovernance...");
+  const signers = await hre.ethers.getSigners();
+  const governanceSigners = process.env.GOVERNANCE_SIGNERS
+    ? process.env.GOVERNANCE_SIGNERS.split(",").map((address) => address.trim())
+    : signers.slice(0, 3).map((signer) => signer.address);
+  const governanceThreshold = parseInt(process.env.GOVERNANCE_THRESHOLD || "2");
+  const governanceDelay = parseInt(process.env.GOVERNANCE_DELAY || "10");
+  const SafeBiteGovernance = await hre.ethers.getContractFactory("SafeBiteGovernance");
+  const governance = await SafeBiteGovernance.deploy(accessControlAddress, governanceSigners, governanceThreshold, governanceDelay);
+  await governance.waitForDeployment();
+  const governanceAddress = await governance.getAddress();
+  console.log("   ✅ SafeBiteGovernance deployed to:", governanceAddress);
+  console.log(`   🔐 ${governanceThreshold} of ${governanceSigners.length} signers, ${governanceDelay}s timelock`);
+
+  // Step 7: Deploy the certificate registry and let the supply chain record check certificates in it
+  console.log("\n7️⃣  Deploying SafeBiteCertificates...");
+  const SafeBiteCertificates = await hre.ethers.getContractFactory("SafeBiteCertificates");
+  const certificates = await SafeBiteCertificates.deploy(accessControlAddress, supplyChainAddress);
+  await certificates.waitForDeployment();
+  const certificatesAddress = await certificates.getAddress();
+  await (await supplyChain.setCertificateRegistry(certificatesAddress)).wait();
+  console.log("   ✅ SafeBiteCertificates deployed to:", certificatesAddress);
+
+  // Step 8: Save deployment addresses to file
   const deploymentInfo = {
     network: "hardhat",
     chainId: 1337,
     deployer: deployer.address,
+    startBlock: startBlock,
     contracts: {
       SafeBiteAccessRoles: accessControlAddress,
-      SafeBiteSupplyChain: supplyChainAddress
+      SafeBiteSupplyChain: supplyChainAddress,
+      SafeBiteRecalls: recallsAddress,
+      SafeBiteColdChain: coldChainAddress,
+      SafeBiteForwarder: forwarderAddress,
+      SafeBiteGovernance: governanceAddress,
+      SafeBiteCertificates: certificatesAddress
     },
     deployedAt: new Date().toISOString()
   };
@@ -57,7 +120,7 @@ async function main() {
 
   fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
 
-  // Step 4: Display summary
+  // Step 9: Display summary
   console.log("\n" + "=".repeat(60));
   console.log("📋 Deployment Summary");
   console.log("=".repeat(60));
@@ -66,6 +129,11 @@ async function main() {
   console.log("\nContract Addresses:");
   console.log("  Access Control:", accessControlAddress);
   console.log("  Supply Chain:  ", supplyChainAddress);
+  console.log("  Recalls:       ", recallsAddress);
+  console.log("  Cold Chain:    ", coldChainAddress);
+  console.log("  Forwarder:     ", forwarderAddress);
+  console.log("  Governance:    ", governanceAddress);
+  console.log("  Certificates:  ", certificatesAddress);
   console.log("\n💾 Deployment info saved to: deployments/local.json");
   console.log("\n✅ Deployment completed successfully!");
   console.log("\n💡 Next steps:");